@@ -1,11 +1,22 @@
 import { CategoryGrouper } from "./categoryGrouper.js";
+import { OfflineCategorizer } from "./offlineCategorizer.js";
+import { RulesEngine } from "./rulesEngine.js";
+import { ReviewQueue } from "./reviewQueue.js";
+import { PageContentExtractor } from "./pageContentExtractor.js";
+import { CategorizationCache } from "./categorizationCache.js";
+import { CategorizationSchema } from "./categorizationSchema.js";
+import { TokenBatcher } from "./tokenBatcher.js";
+import { Taxonomy } from "./taxonomy.js";
+import { TaxonomyTemplates } from "./taxonomyTemplates.js";
 import { AnalyticsService } from "../analytics/analyticsService.js";
 import { ModelComparisonService } from "./modelComparisonService.js";
 import { PerformanceMonitor } from "../analytics/performanceMonitor.js";
 import { BookmarkService } from "../bookmarks/bookmarkService.js";
+import { OperationJournal } from "../bookmarks/operationJournal.js";
+import { ProviderRegistry } from "./providers/providerRegistry.js";
 /**
  * BookmarkMind - AI Processor
- * Handles Gemini API integration for bookmark categorization
+ * Sends bookmarks to the configured AI providers for categorization
  */
 
 /**
@@ -13,16 +24,15 @@ import { BookmarkService } from "../bookmarks/bookmarkService.js";
  * Handles provider-specific rate limits, priority ordering, throttling, and retry logic
  */
 export class RequestQueue {
-    constructor() {
+    /**
+     * @param {ProviderRegistry} providers - Providers whose rate limits apply
+     */
+    constructor(providers = new ProviderRegistry()) {
         this.queue = [];
         this.processing = false;
         this.requestHistory = new Map();
 
-        this.rateLimits = {
-            gemini: { rpm: 15, maxQueueSize: 100 },
-            cerebras: { rpm: 60, maxQueueSize: 200 },
-            groq: { rpm: 30, maxQueueSize: 150 },
-        };
+        this.rateLimits = providers.getRateLimits();
 
         this.priorities = {
             high: 0,
@@ -37,6 +47,11 @@ export class RequestQueue {
             jitterFactor: 0.3,
         };
 
+        // Every request is aborted after this long so a hung provider cannot stall a batch
+        this.requestTimeout = 30000;
+        // Requests that are queued, running or waiting to retry, for cancelAll()
+        this.pendingRequests = new Set();
+
         this.metrics = {
             requestsPerMinute: new Map(),
             queueDepth: 0,
@@ -54,16 +69,37 @@ export class RequestQueue {
     }
 
     _initializeProviderMetrics() {
-        for (const provider of ["gemini", "cerebras", "groq"]) {
-            this.metrics.providerMetrics.set(provider, {
-                requests: 0,
-                successful: 0,
-                failed: 0,
-                throttled: 0,
-                averageLatency: 0,
-                lastRequestTime: null,
-            });
+        for (const provider of Object.keys(this.rateLimits)) {
+            this._initializeMetricsFor(provider);
+        }
+    }
+
+    /**
+     * Start counting requests for a provider
+     * @param {string} provider - Provider id
+     */
+    _initializeMetricsFor(provider) {
+        this.metrics.providerMetrics.set(provider, {
+            requests: 0,
+            successful: 0,
+            failed: 0,
+            throttled: 0,
+            averageLatency: 0,
+            lastRequestTime: null,
+        });
+    }
+
+    /**
+     * Accept requests for a provider registered after the queue was created
+     * @param {string} provider - Provider id
+     * @param {Object} limits - {rpm, maxQueueSize}
+     */
+    addProvider(provider, limits) {
+        if (this.rateLimits[provider]) {
+            return;
         }
+        this.rateLimits[provider] = { ...limits };
+        this._initializeMetricsFor(provider);
     }
 
     _startMetricsCleanup() {
@@ -87,7 +123,7 @@ export class RequestQueue {
         ).length;
         this.metrics.requestsPerMinute.set("overall", overallCount);
 
-        for (const provider of ["gemini", "cerebras", "groq"]) {
+        for (const provider of Object.keys(this.rateLimits)) {
             const providerCount = Array.from(
                 this.requestHistory.entries()
             ).filter(([ts, p]) => ts >= oneMinuteAgo && p === provider).length;
@@ -95,7 +131,77 @@ export class RequestQueue {
         }
     }
 
-    async enqueue(request, provider = "gemini", priority = "normal") {
+    /**
+     * Override the requests-per-minute limit for a provider
+     * @param {string} provider - Provider name
+     * @param {number} rpm - Requests per minute
+     */
+    setRateLimit(provider, rpm) {
+        const limits = this.rateLimits[provider];
+        if (!limits || !Number.isFinite(rpm) || rpm <= 0) {
+            return;
+        }
+        limits.rpm = rpm;
+    }
+
+    /**
+     * Apply the user's timeout and retry settings
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Per-request timeout in milliseconds
+     * @param {number} options.maxRetries - Retries after the first attempt
+     */
+    configure({ timeout, maxRetries } = {}) {
+        if (Number.isFinite(timeout) && timeout > 0) {
+            this.requestTimeout = timeout;
+        }
+        if (Number.isInteger(maxRetries) && maxRetries >= 0) {
+            this.retryConfig.maxRetries = maxRetries;
+        }
+    }
+
+    /**
+     * Cancel every queued, running and retrying request. Running requests are
+     * aborted through their AbortSignal; all callers receive an error with
+     * cancelled set to true.
+     * @param {string} reason - Error message for the callers
+     * @returns {number} Number of requests cancelled
+     */
+    cancelAll(reason = "Request cancelled") {
+        const pending = [...this.pendingRequests];
+        this.queue = [];
+        this.metrics.queueDepth = 0;
+
+        for (const item of pending) {
+            const error = new Error(reason);
+            error.name = "AbortError";
+            error.cancelled = true;
+            item.controller?.abort(error);
+            this._settle(item, "reject", error);
+        }
+
+        if (pending.length > 0) {
+            console.log(`⏹️ Cancelled ${pending.length} pending requests`);
+        }
+        return pending.length;
+    }
+
+    /**
+     * Queue a request. The request should also read the response body, so the
+     * timeout covers a reply that stalls after its headers; errors with
+     * retryable set decide retrying themselves, others are judged by message.
+     * @param {Function} request - Called with an AbortSignal; should pass it to fetch
+     * @param {string} provider - Provider name
+     * @param {string} priority - high, normal or low
+     * @param {Object} options - Request options
+     * @param {number} options.maxRetries - Retries for this request (default: configured)
+     * @returns {Promise<*>} Result of the request
+     */
+    async enqueue(
+        request,
+        provider = "gemini",
+        priority = "normal",
+        { maxRetries } = {}
+    ) {
         const limits = this.rateLimits[provider];
         if (!limits) {
             throw new Error(`Unknown provider: ${provider}`);
@@ -117,12 +223,16 @@ export class RequestQueue {
             priority: this.priorities[priority] || this.priorities.normal,
             priorityName: priority,
             retries: 0,
+            maxRetries: Number.isInteger(maxRetries)
+                ? maxRetries
+                : this.retryConfig.maxRetries,
             enqueuedAt: Date.now(),
             startedAt: null,
             completedAt: null,
         };
 
         this.queue.push(queueItem);
+        this.pendingRequests.add(queueItem);
         this.queue.sort((a, b) => a.priority - b.priority);
         this.metrics.queueDepth = this.queue.length;
         this.metrics.totalRequests++;
@@ -215,16 +325,34 @@ export class RequestQueue {
         const providerMetrics = this.metrics.providerMetrics.get(item.provider);
         providerMetrics.requests++;
 
+        // Aborted on timeout or cancelAll(); the race settles even if the
+        // request ignores its signal
+        item.controller = new AbortController();
+        const { signal } = item.controller;
+        const timer = setTimeout(() => {
+            const timeoutError = new Error(
+                `${item.provider} request timeout after ${Math.round(
+                    this.requestTimeout / 1000
+                )}s`
+            );
+            timeoutError.name = "TimeoutError";
+            item.controller.abort(timeoutError);
+        }, this.requestTimeout);
+        const aborted = new Promise((_, reject) => {
+            signal.addEventListener("abort", () => reject(signal.reason), {
+                once: true,
+            });
+        });
+        aborted.catch(() => {});
+
         try {
             console.log(
                 `🚀 Executing ${item.provider} request (${
                     item.priorityName
-                }, attempt ${item.retries + 1}/${
-                    this.retryConfig.maxRetries + 1
-                })`
+                }, attempt ${item.retries + 1}/${item.maxRetries + 1})`
             );
 
-            const result = await item.request();
+            const result = await Promise.race([item.request(signal), aborted]);
 
             const latency = Date.now() - startTime;
             providerMetrics.successful++;
@@ -242,16 +370,20 @@ export class RequestQueue {
             this.metrics.successfulRequests++;
 
             console.log(`✅ ${item.provider} request completed (${latency}ms)`);
-            item.resolve(result);
+            this._settle(item, "resolve", result);
         } catch (_error) {
+            // A timeout aborts fetch with its own AbortError; report the timeout
+            const error = signal.aborted ? signal.reason : _error;
             console.error(
                 `❌ ${item.provider} request failed (attempt ${
                     item.retries + 1
                 }):`,
-                _error.message
+                error.message
             );
 
-            if (this._shouldRetry(item, error)) {
+            if (item.settled) {
+                // Cancelled while running; the caller already has its error
+            } else if (this._shouldRetry(item, error)) {
                 item.retries++;
                 this.metrics.retriedRequests++;
 
@@ -259,34 +391,55 @@ export class RequestQueue {
                 console.log(
                     `🔄 Retrying ${item.provider} request in ${Math.round(
                         delay
-                    )}ms (attempt ${item.retries + 1}/${
-                        this.retryConfig.maxRetries + 1
-                    })`
+                    )}ms (attempt ${item.retries + 1}/${item.maxRetries + 1})`
                 );
 
                 await this._delay(delay);
 
-                this.queue.unshift(item);
-                this.metrics.queueDepth = this.queue.length;
+                if (!item.settled) {
+                    this.queue.unshift(item);
+                    this.metrics.queueDepth = this.queue.length;
+                }
             } else {
                 providerMetrics.failed++;
                 this.metrics.failedRequests++;
-                item.reject(error);
+                // Attempts made, including the retries above
+                error.requestAttempts = item.retries + 1;
+                this._settle(item, "reject", error);
             }
+        } finally {
+            clearTimeout(timer);
         }
 
         this._processQueue();
     }
 
+    /**
+     * Resolve or reject a queued request exactly once
+     * @param {Object} item - Queue item
+     * @param {string} outcome - "resolve" or "reject"
+     * @param {*} value - Result or error
+     */
+    _settle(item, outcome, value) {
+        if (item.settled) return;
+        item.settled = true;
+        this.pendingRequests.delete(item);
+        item[outcome](value);
+    }
+
     _shouldRetry(item, error) {
-        if (item.retries >= this.retryConfig.maxRetries) {
+        if (error.cancelled || item.retries >= item.maxRetries) {
             return false;
         }
+        if (typeof error.retryable === "boolean") {
+            return error.retryable;
+        }
 
         const retryableErrors = [
             "rate limit",
             "timeout",
             "network",
+            "failed to fetch",
             "429",
             "500",
             "502",
@@ -296,9 +449,9 @@ export class RequestQueue {
             "ETIMEDOUT",
         ];
 
-        const errorMessage = _error.message?.toLowerCase() || "";
+        const errorMessage = error.message?.toLowerCase() || "";
         return retryableErrors.some((pattern) =>
-            errorMessage.includes(pattern)
+            errorMessage.includes(pattern.toLowerCase())
         );
     }
 
@@ -409,9 +562,6 @@ export class RequestQueue {
 
 export class AIProcessor {
     constructor() {
-        this.apiKey = null;
-        this.cerebrasApiKey = null;
-        this.groqApiKey = null;
         this.bookmarkService = null;
         this.categoryGrouper =
             typeof CategoryGrouper !== "undefined"
@@ -429,181 +579,54 @@ export class AIProcessor {
             typeof PerformanceMonitor !== "undefined"
                 ? new PerformanceMonitor()
                 : null;
+        this.offlineCategorizer = new OfflineCategorizer();
+        this.rulesEngine = new RulesEngine();
+        this.reviewQueue = new ReviewQueue();
+        // Results below this confidence wait in the review queue instead of moving
+        this.confidenceThreshold = 0.7;
+        this.pageContentExtractor = new PageContentExtractor();
+        // Page context shares the prompt with instructions and learning data
+        this.PAGE_CONTEXT_TOKEN_BUDGET = 4000; // Per batch
+        this.PAGE_CONTEXT_MAX_TOKENS = 150; // Per bookmark
+        this.categorizationCache = new CategorizationCache();
+        // Replies are validated entry by entry; failed entries are asked again
+        this.categorizationSchema = new CategorizationSchema();
+        this.MAX_VALIDATION_REASKS = 2; // Follow-up requests per batch
+        // User-designed folder tree; when locked it is the only allowed set
+        this.taxonomy = new Taxonomy();
+        // Starter taxonomies; the default one steers prompts until one is saved
+        this.taxonomyTemplates = new TaxonomyTemplates();
+        this.MAX_PROMPT_EXAMPLE_FOLDERS = 25;
+        // Batches are packed to the model's token budgets
+        this.tokenBatcher = new TokenBatcher();
+        this.CATEGORIZATION_SYSTEM_PROMPT =
+            "You are a bookmark categorization expert. Always return valid JSON arrays.";
+        this.OUTPUT_TOKENS_PER_BOOKMARK = 150; // Includes reasoning models' thinking
+        this.OUTPUT_TOKEN_OVERHEAD = 500;
+        // Leave the user's existing folders as they are (preserveExistingFolders)
+        this.preserveExistingFolders = true;
+        // Categorizer swaps in its own journal so a run is one undoable session
+        this.journal = new OperationJournal("AI categorization", {
+            operationType: "categorization",
+        });
 
-        this.requestQueue = new RequestQueue();
-
-        // Gemini model fallback sequence - try models in order when one fails
-        // Gemini model fallback sequence - try models in order when one fails
-        this.geminiModels = [];
-        this.currentModelIndex = 0;
-        this.baseUrlTemplate =
-            "https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent";
-
-        // Cerebras model fallback sequence - OpenAI-compatible API
-        this.cerebrasModels = [
-            {
-                name: "gpt-oss-120b",
-                provider: "cerebras",
-                costPer1MInputTokens: 0.6,
-                costPer1MOutputTokens: 0.6,
-            },
-            {
-                name: "llama-3.3-70b",
-                provider: "cerebras",
-                costPer1MInputTokens: 0.6,
-                costPer1MOutputTokens: 0.6,
-            },
-            {
-                name: "qwen-3-32b",
-                provider: "cerebras",
-                costPer1MInputTokens: 0.1,
-                costPer1MOutputTokens: 0.1,
-            },
-            {
-                name: "llama3.1-8b",
-                provider: "cerebras",
-                costPer1MInputTokens: 0.1,
-                costPer1MOutputTokens: 0.1,
-            },
-        ];
-        this.cerebrasBaseUrl = "https://api.cerebras.ai/v1/chat/completions";
-
-        // Groq model fallback sequence - OpenAI-compatible API
-        this.groqModels = [
-            {
-                name: "openai/gpt-oss-120b",
-                provider: "groq",
-                costPer1MInputTokens: 0.0,
-                costPer1MOutputTokens: 0.0,
-            },
-            {
-                name: "llama-3.3-70b-versatile",
-                provider: "groq",
-                costPer1MInputTokens: 0.0,
-                costPer1MOutputTokens: 0.0,
-            },
-            {
-                name: "qwen/qwen3-32b",
-                provider: "groq",
-                costPer1MInputTokens: 0.0,
-                costPer1MOutputTokens: 0.0,
-            },
-            {
-                name: "openai/gpt-oss-20b",
-                provider: "groq",
-                costPer1MInputTokens: 0.0,
-                costPer1MOutputTokens: 0.0,
-            },
-            {
-                name: "llama-3.1-8b-instant",
-                provider: "groq",
-                costPer1MInputTokens: 0.0,
-                costPer1MOutputTokens: 0.0,
-            },
-        ];
-        this.groqBaseUrl = "https://api.groq.com/openai/v1/chat/completions";
+        // AI providers; each adapter declares its models, pricing and limits
+        this.providers = new ProviderRegistry();
+        this.requestQueue = new RequestQueue(this.providers);
 
-        // Retry configuration for exponential backoff
+        // Retries after the first attempt; the request queue backs off between them
         this.maxRetries = 3;
-        this.baseRetryDelay = 1000; // 1 second
-        this.maxRetryDelay = 30000; // 30 seconds
 
         // Custom model configuration support
         this.customModelConfig = null;
-        this.modelsFetched = false;
 
         // Rate limit penalty system
         this.modelPenalties = new Map(); // Map<modelName, penaltyExpiryTimestamp>
         this.RATE_LIMIT_PENALTY_MS = 5 * 60 * 1000; // 5 minutes penalty for 429s
 
-        // Quota exhaustion state management
-        this.QUOTA_STORAGE_KEY = 'gemini_quota_exhausted_state';
-        this.quotaExhaustedUntil = null; // Timestamp when quota will reset
-    }
-
-    /**
-     * Fetch available models from Gemini API
-     * @returns {Promise<Array>} List of available models
-     */
-    async fetchAvailableModels() {
-        if (!this.apiKey) {
-            console.warn("Cannot fetch models: API key not set");
-            return this.geminiModels;
-        }
-
-        try {
-            console.log("Fetching available Gemini models from API...");
-            const response = await fetch(
-                `https://generativelanguage.googleapis.com/v1beta/models?key=${this.apiKey}`
-            );
-
-            if (!response.ok) {
-                throw new Error(
-                    `Failed to fetch models: ${response.statusText}`
-                );
-            }
-
-            const data = await response.json();
-
-            if (!data.models) {
-                console.warn("No models returned from API");
-                return this.geminiModels;
-            }
-
-            // Filter for models that support generateContent
-            const availableModels = data.models
-                .filter(
-                    (model) =>
-                        model.supportedGenerationMethods &&
-                        model.supportedGenerationMethods.includes(
-                            "generateContent"
-                        ) &&
-                        model.name.startsWith("models/gemini") // Ensure it's a Gemini model
-                )
-                .map((model) => ({
-                    name: model.name.replace(/^models\//, ""),
-                    provider: "gemini",
-                    displayName: model.displayName,
-                    description: model.description,
-                    inputTokenLimit: model.inputTokenLimit,
-                    outputTokenLimit: model.outputTokenLimit,
-                }));
-
-            // Sort by outputTokenLimit (descending), then by API order (stable)
-            availableModels.sort((a, b) => {
-                const limitA = a.outputTokenLimit || 0;
-                const limitB = b.outputTokenLimit || 0;
-                return limitB - limitA;
-            });
-
-            this.geminiModels = availableModels;
-            this.modelsFetched = true;
-            console.log(
-                `Successfully fetched and updated ${this.geminiModels.length} Gemini models`
-            );
-
-            return this.geminiModels;
-        } catch (error) {
-            console.error("Error fetching models:", error);
-            return this.geminiModels; // Return existing models on error
-        }
-    }
-
-    /**
-     * Get the current Gemini model URL
-     * @returns {string} Current model URL
-     */
-    getCurrentModelUrl() {
-        const currentModel = this.geminiModels[this.currentModelIndex].name;
-        return this.baseUrlTemplate.replace("{model}", currentModel);
-    }
-
-    /**
-     * Get the current Gemini model name
-     * @returns {string} Current model name
-     */
-    getCurrentModelName() {
-        return this.geminiModels[this.currentModelIndex].name;
+        // Quota exhaustion state, persisted per provider as "<id>_quota_exhausted_state"
+        this.QUOTA_STORAGE_SUFFIX = "_quota_exhausted_state";
+        this.quotaExhaustedUntil = new Map(); // Map<providerId, resetTimestamp>
     }
 
     /**
@@ -975,57 +998,73 @@ export class AIProcessor {
     }
 
     /**
-     * Try next Gemini model in the fallback sequence
-     * @returns {boolean} True if there's a next model, false if exhausted
+     * Check whether any AI provider is configured
+     * @returns {boolean} True if at least one provider can be used
      */
-    tryNextGeminiModel() {
-        if (this.currentModelIndex < this.geminiModels.length - 1) {
-            this.currentModelIndex++;
-            console.log(
-                `🔄 Switching to next Gemini model: ${this.getCurrentModelName()}`
-            );
-            return true;
-        }
-        console.log(
-            "⚠️ All Gemini models exhausted, no more fallbacks available"
-        );
-        return false;
+    hasConfiguredProvider() {
+        return this.providers.getConfigured().length > 0;
     }
 
     /**
-     * Reset to first Gemini model (for new categorization sessions)
+     * Configure providers from bare API keys. Kept for older callers;
+     * configureFromSettings() is the way to set up every provider.
+     * @param {string} apiKey - Gemini API key
+     * @param {string} agentRouterApiKey - AgentRouter API key (optional)
      */
-    resetToFirstModel() {
-        this.currentModelIndex = 0;
-        console.log(
-            `🔄 Reset to first Gemini model: ${this.getCurrentModelName()}`
-        );
+    setApiKey(apiKey, agentRouterApiKey = null) {
+        this.configureFromSettings({ apiKey, agentRouterApiKey });
     }
 
     /**
-     * Initialize with API key
-     * @param {string} apiKey - Gemini API key
-     * @param {string} cerebrasKey - Cerebras API key (optional)
-     * @param {string} groqKey - Groq API key (optional)
+     * Configure all providers from stored settings
+     * @param {Object} settings - bookmarkMindSettings
      */
-    setApiKey(apiKey, cerebrasKey = null, groqKey = null) {
-        this.apiKey = apiKey;
-        this.cerebrasApiKey = cerebrasKey;
-        this.groqApiKey = groqKey;
-
-        // Fetch available models if we have an API key and haven't fetched yet
-        if (this.apiKey && !this.modelsFetched) {
-            this.fetchAvailableModels().catch((err) =>
-                console.warn("Failed to auto-fetch models on init:", err)
-            );
+    configureFromSettings(settings = {}) {
+        this.providers.configure(settings);
+        for (const adapter of this.providers.list()) {
+            this.requestQueue.addProvider(adapter.id, adapter.rateLimit);
+            this.requestQueue.setRateLimit(adapter.id, adapter.rateLimit.rpm);
         }
         console.log(
-            `🔑 API Keys configured: Gemini=${!!apiKey}, Cerebras=${!!cerebrasKey}, Groq=${!!groqKey}`
+            `🔑 AI providers configured: ${
+                this.providers
+                    .getConfigured()
+                    .map((adapter) => adapter.name)
+                    .join(", ") || "none"
+            }`
         );
-        // Initialize BookmarkService for folder creation
-        if (typeof BookmarkService !== "undefined") {
-            this.bookmarkService = new BookmarkService();
+        this.confidenceThreshold = (settings.aiConfidenceThreshold ?? 70) / 100;
+        this.preserveExistingFolders = settings.preserveExistingFolders !== false;
+        this.setRequestOptions({
+            timeout: settings.requestTimeout,
+            retryAttempts: settings.retryAttempts,
+        });
+    }
+
+    /**
+     * Apply the user's timeout and retry settings to every provider request
+     * @param {Object} options - Request options
+     * @param {number} options.timeout - Per-request timeout in milliseconds
+     * @param {number} options.retryAttempts - Retries after the first attempt
+     */
+    setRequestOptions({ timeout, retryAttempts } = {}) {
+        const retries = Number(retryAttempts);
+        if (Number.isInteger(retries) && retries >= 0) {
+            this.maxRetries = retries;
         }
+        this.requestQueue.configure({
+            timeout: Number(timeout),
+            maxRetries: this.maxRetries,
+        });
+    }
+
+    /**
+     * Abort every provider request this processor has in flight or queued
+     * @param {string} reason - Error message for the waiting callers
+     * @returns {number} Number of requests cancelled
+     */
+    cancelRequests(reason = "Categorization was cancelled") {
+        return this.requestQueue.cancelAll(reason);
     }
 
     /**
@@ -1060,37 +1099,118 @@ export class AIProcessor {
     }
 
     /**
-     * Get optimal batch size based on bookmark count and rate limits
-     * @param {number} bookmarkCount - Number of bookmarks to process
-     * @param {string} provider - AI provider ('gemini', 'cerebras', 'groq')
-     * @returns {number} Optimal batch size
+     * Split bookmarks into batches that fit the token budget of the first
+     * model that would be tried, with at most settings.batchSize bookmarks each
+     * @param {Array} bookmarks - Bookmarks in processing order
+     * @param {Array} categories - Available categories
+     * @param {Object} learningData - Learning data
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {Promise<Array<Array>>} Batches
      */
-    getOptimalBatchSize(bookmarkCount, provider = "gemini") {
-        const rateLimits = {
-            gemini: { maxBatchSize: 100, rpmLimit: 15 },
-            cerebras: { maxBatchSize: 50, rpmLimit: 60 },
-            groq: { maxBatchSize: 100, rpmLimit: 30 },
-        };
+    async createBatches(bookmarks, categories, learningData, settings) {
+        const budget = await this._getBatchBudget(
+            categories,
+            learningData,
+            settings
+        );
+        const batches = this.tokenBatcher.createBatches(
+            bookmarks,
+            budget,
+            (bookmark, index) => this._estimateBookmarkTokens(bookmark, index)
+        );
+        console.log(
+            `📦 Packed ${bookmarks.length} bookmarks into ${batches.length} batches (budget: ${budget.inputTokens} input / ${budget.outputTokens} output tokens, at most ${budget.maxItems} bookmarks)`
+        );
+        return batches;
+    }
+
+    /**
+     * Count the bookmarks from start that fit the next batch
+     * @param {Array} bookmarks - Bookmarks in processing order
+     * @param {number} start - Index of the batch's first bookmark
+     * @param {Array} categories - Available categories
+     * @param {Object} learningData - Learning data
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {Promise<number>} Bookmarks in the batch
+     */
+    async getNextBatchSize(bookmarks, start, categories, learningData, settings) {
+        const budget = await this._getBatchBudget(
+            categories,
+            learningData,
+            settings
+        );
+        return this.tokenBatcher.fitCount(
+            bookmarks,
+            start,
+            budget,
+            (bookmark, index) => this._estimateBookmarkTokens(bookmark, index)
+        );
+    }
 
-        const limits = rateLimits[provider] || rateLimits.gemini;
+    /**
+     * Token budget for one batch. The prompt's instructions, folders and
+     * learning data are fixed costs; bookmarks fill the rest.
+     * @param {Array} categories - Available categories
+     * @param {Object} learningData - Learning data
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {Promise<Object>} Budget for TokenBatcher.fitCount()
+     */
+    async _getBatchBudget(categories, learningData, settings) {
+        const [model] =
+            settings.aiProvider === "offline"
+                ? []
+                : await this._getModelsToTry(settings);
+        const adapter = model ? this.providers.get(model.provider) : null;
+        const limits = adapter
+            ? adapter.getTokenLimits(model.name)
+            : {
+                  input: Number.POSITIVE_INFINITY,
+                  output: Number.POSITIVE_INFINITY,
+              };
+        const basePrompt = await this._buildPrompt([], categories, learningData);
 
-        // Calculate optimal batch size
-        if (bookmarkCount <= 10) return 10;
-        if (bookmarkCount <= 25) return 25;
-        if (bookmarkCount <= 50) return 50;
-        if (bookmarkCount <= 100) return limits.maxBatchSize;
+        return {
+            inputTokens: limits.input,
+            outputTokens: limits.output,
+            fixedInputTokens: this.tokenBatcher.estimateTokens(
+                `${this.CATEGORIZATION_SYSTEM_PROMPT}\n${basePrompt}`
+            ),
+            fixedOutputTokens: this.OUTPUT_TOKEN_OVERHEAD,
+            maxItems: Math.min(
+                settings.batchSize || 50,
+                adapter?.maxBatchSize || Number.POSITIVE_INFINITY
+            ),
+        };
+    }
 
-        // For large sets, balance between throughput and rate limits
-        const optimalSize = Math.min(
-            limits.maxBatchSize,
-            Math.ceil(bookmarkCount / limits.rpmLimit)
+    /**
+     * Estimate the prompt and reply tokens of one bookmark. Page content is
+     * fetched after batching, so its share of the page context budget is
+     * reserved up front.
+     * @param {Object} bookmark - Bookmark
+     * @param {number} index - Position in the batch, from 0
+     * @returns {Object} {inputTokens, outputTokens}
+     */
+    _estimateBookmarkTokens(bookmark, index) {
+        const pageContextTokens = Math.max(
+            0,
+            Math.min(
+                this.PAGE_CONTEXT_MAX_TOKENS,
+                this.PAGE_CONTEXT_TOKEN_BUDGET -
+                    index * this.PAGE_CONTEXT_MAX_TOKENS
+            )
         );
-
-        return Math.max(25, optimalSize);
+        return {
+            inputTokens:
+                this.tokenBatcher.estimateTokens(
+                    this._formatBookmarkForPrompt(bookmark, index, 0)
+                ) + pageContextTokens,
+            outputTokens: this.OUTPUT_TOKENS_PER_BOOKMARK,
+        };
     }
 
     /**
-     * Categorize bookmarks using Gemini API with dynamic category generation
+     * Categorize bookmarks with dynamic category generation
      * @param {Array} bookmarks - Array of bookmark objects
      * @param {Array} suggestedCategories - Suggested categories (optional)
      * @param {Object} learningData - Previous user corrections
@@ -1103,7 +1223,7 @@ export class AIProcessor {
         learningData = {},
         progressCallback = null
     ) {
-        if (!this.apiKey) {
+        if (!this.hasConfiguredProvider()) {
             throw new Error("API key not set");
         }
 
@@ -1111,9 +1231,6 @@ export class AIProcessor {
             return { categories: [], results: [] };
         }
 
-        // Reset to first Gemini model at the start of each categorization session
-        this.resetToFirstModel();
-
         // Notify background script that AI categorization is starting
         try {
             await chrome.runtime.sendMessage({
@@ -1145,18 +1262,20 @@ export class AIProcessor {
                 "🏗️  Folder structure will be created on-demand as bookmarks are categorized..."
             );
 
-            // Get batch size from user settings first
+            // Pack batches to the model's token budget, up to the batchSize setting
             const settings = await this._getSettings();
-            const batchSize = settings.batchSize || 50; // Default to 50 if not set
-            console.log(
-                `📦 Using batch size: ${batchSize} bookmarks per API call`
+            const batches = await this.createBatches(
+                bookmarks,
+                dynamicCategories,
+                learningData,
+                settings
             );
 
             const results = [];
 
-            // Process bookmarks in configurable BATCHES and MOVE IMMEDIATELY after each batch categorization
+            // Process bookmarks in token-sized BATCHES and MOVE IMMEDIATELY after each batch categorization
             console.log(
-                `🔍 Processing ${bookmarks.length} bookmarks in batches of ${batchSize} with IMMEDIATE MOVEMENT...`
+                `🔍 Processing ${bookmarks.length} bookmarks in ${batches.length} batches with IMMEDIATE MOVEMENT...`
             );
 
             // DEBUG: Check if method exists
@@ -1181,10 +1300,10 @@ export class AIProcessor {
             const failedMoves = 0;
 
             // Process bookmarks in batches
-            for (let i = 0; i < bookmarks.length; i += batchSize) {
-                const batch = bookmarks.slice(i, i + batchSize);
-                const batchNumber = Math.floor(i / batchSize) + 1;
-                const totalBatches = Math.ceil(bookmarks.length / batchSize);
+            const totalBatches = batches.length;
+            let i = 0; // Position of the batch's first bookmark
+            for (const [batchIndex, batch] of batches.entries()) {
+                const batchNumber = batchIndex + 1;
 
                 console.log(
                     `\n📦 === PROCESSING BATCH ${batchNumber}/${totalBatches} (${batch.length} bookmarks) ===`
@@ -1210,7 +1329,7 @@ export class AIProcessor {
                 try {
                     // Process entire batch with AI (50 bookmarks at once)
                     console.log(
-                        `🤖 Sending batch of ${batch.length} bookmarks to Gemini AI...`
+                        `🤖 Sending batch of ${batch.length} bookmarks to the AI...`
                     );
 
                     // Enrich batch with live titles from URLs
@@ -1323,11 +1442,16 @@ export class AIProcessor {
                                         setTimeout(resolve, 100)
                                     );
 
-                                    await chrome.bookmarks.update(bookmark.id, {
+                                    await new BookmarkService().recordCategoryHistory(
+                                        bookmark,
+                                        result.category,
+                                        result.title
+                                    );
+                                    await this.journal.update(bookmark.id, {
                                         title: result.title,
                                         url: bookmark.url,
                                     });
-                                    await chrome.bookmarks.move(bookmark.id, {
+                                    await this.journal.move(bookmark.id, {
                                         parentId: folderId,
                                     });
 
@@ -1382,10 +1506,11 @@ export class AIProcessor {
                 }
 
                 // Delay between batches to avoid rate limiting
-                if (i + batchSize < bookmarks.length) {
+                if (batchNumber < totalBatches) {
                     console.log("⏳ Waiting 10 seconds before next batch...");
                     await this._delay(10000);
                 }
+                i += batch.length;
             }
 
             console.log("\n🎯 === BATCH PROCESSING COMPLETE ===");
@@ -1397,7 +1522,9 @@ export class AIProcessor {
             console.log(`📁 Categories available: ${dynamicCategories.length}`);
             console.log(`📋 Categories: ${dynamicCategories.join(", ")}`);
             console.log(
-                `🚀 Batch size used: ${batchSize} bookmarks per API call (configurable in options)`
+                `🚀 Batch sizes used: ${batches
+                    .map((batch) => batch.length)
+                    .join(", ")} bookmarks per API call`
             );
 
             // Show category distribution
@@ -1538,13 +1665,19 @@ export class AIProcessor {
         // Small delay to ensure the message is processed
         await new Promise((resolve) => setTimeout(resolve, 100));
 
+        await new BookmarkService().recordCategoryHistory(
+            bookmark,
+            category,
+            newTitle
+        );
+
         // Update bookmark title and move it using direct Chrome API
-        await chrome.bookmarks.update(bookmark.id, {
+        await this.journal.update(bookmark.id, {
             title: newTitle,
             url: bookmark.url, // Keep the same URL
         });
 
-        await chrome.bookmarks.move(bookmark.id, { parentId: folderId });
+        await this.journal.move(bookmark.id, { parentId: folderId });
 
         console.log(
             `   ✅ MOVEMENT & TITLE UPDATE COMPLETE: "${newTitle}" successfully moved from "${currentFolderName}" to "${destinationFolderName}"`
@@ -1586,7 +1719,7 @@ export class AIProcessor {
 
             if (!existingFolder) {
                 // Create the folder with normalized name
-                existingFolder = await chrome.bookmarks.create({
+                existingFolder = await this.journal.create({
                     parentId: currentParentId,
                     title: normalizedPart,
                 });
@@ -1596,13 +1729,14 @@ export class AIProcessor {
             } else {
                 // If existing folder has poor formatting, update it to normalized version
                 if (
+                    !this.preserveExistingFolders &&
                     existingFolder.title !== normalizedPart &&
                     this._isSignificantImprovement(
                         existingFolder.title,
                         normalizedPart
                     )
                 ) {
-                    await chrome.bookmarks.update(existingFolder.id, {
+                    await this.journal.update(existingFolder.id, {
                         title: normalizedPart,
                     });
                     console.log(
@@ -1839,6 +1973,11 @@ export class AIProcessor {
      * Only updates folders that clearly need improvement
      */
     async _normalizeExistingFolders() {
+        if (this.preserveExistingFolders) {
+            console.log("📁 Preserving existing folder names");
+            return;
+        }
+
         try {
             console.log("📁 Checking existing folders for normalization...");
 
@@ -1893,7 +2032,7 @@ export class AIProcessor {
                             normalizedName
                         )
                     ) {
-                        await chrome.bookmarks.update(child.id, {
+                        await this.journal.update(child.id, {
                             title: normalizedName,
                         });
                         console.log(
@@ -2047,7 +2186,10 @@ export class AIProcessor {
     }
 
     /**
-     * Generate dynamic functional categories based on bookmark analysis (FMHY-style)
+     * Generate dynamic functional categories based on bookmark analysis, following
+     * the rules and examples of the saved taxonomy or the default template.
+     * A locked taxonomy is returned as is; otherwise its folders come first and
+     * the AI only adds categories for bookmarks they do not cover.
      * @param {Array} bookmarks - All bookmarks to analyze
      * @param {Array} suggestedCategories - Optional suggested categories
      * @param {Object} learningData - Learning data
@@ -2064,6 +2206,19 @@ export class AIProcessor {
             Math.min(150, bookmarks.length)
         );
 
+        // The user's taxonomy is the same on every run, unlike generated names
+        const { taxonomy, guide } = await this._getTaxonomyGuide();
+        const taxonomyPaths = this.taxonomy.getPaths(taxonomy);
+        if (this.taxonomy.isLocked(taxonomy)) {
+            console.log(
+                `🔒 Using the locked taxonomy (${taxonomyPaths.length} folders) instead of generating categories`
+            );
+            return taxonomyPaths;
+        }
+        const withTaxonomy = (categories) => [
+            ...new Set([...taxonomyPaths, ...categories]),
+        ];
+
         // Get existing folder structure to avoid duplicates
         const existingFolders = await this._getExistingFolderStructure();
 
@@ -2073,15 +2228,34 @@ export class AIProcessor {
         const functionalMode = settings.functionalMode !== false; // Default to true (FMHY-style)
         // NO LIMITS on number of categories - generate as many as needed for proper organization
 
-        let prompt = `**Role:** Smart Functional Bookmark Category Generator (FMHY-Style)
-**Task:** Analyze the following bookmarks and create a balanced functional category system organized by what services DO, not who provides them.
+        if (settings.aiProvider === "offline" || !this.hasConfiguredProvider()) {
+            console.log("📴 Generating categories with offline rules");
+            return withTaxonomy(
+                this.offlineCategorizer.generateCategories(
+                    bookmarks,
+                    existingFolders,
+                    suggestedCategories
+                )
+            );
+        }
+
+        const fallbackCategory = this.taxonomy.getFallbackCategory(guide);
+        const examplePaths = this._getGuideExamples(guide).map(
+            (folder) => folder.path
+        );
+        const formattingExamples = examplePaths
+            .filter((path) => path.includes(" > "))
+            .slice(0, 3);
+
+        let prompt = `**Role:** Smart Functional Bookmark Category Generator
+**Task:** Analyze the following bookmarks and create a balanced category system that follows the organizing rules below.
 
 **EXISTING FOLDER STRUCTURE (REUSE THESE AS MUCH AS POSSIBLE):**
 ${
     existingFolders.length > 0
         ? existingFolders.map((folder) => `- ${folder}`).join("\n")
         : "- No existing folders found"
-}
+}${this.taxonomy.toPromptSection(taxonomy)}
 
 **CRITICAL INSTRUCTIONS:**
 - **PRIORITIZE EXISTING FOLDERS:** Use the existing folder structure above whenever possible
@@ -2090,34 +2264,14 @@ ${
 - **CONSISTENCY:** Match the naming style and hierarchy of existing folders
 - **BALANCED GRANULARITY:** Create useful, practical categories that are neither too hierarchical nor too specific
 
-**FUNCTIONAL CATEGORIZATION REQUIREMENTS (FMHY-Style):**
-- Create AS MANY FUNCTIONAL categories as needed with MAXIMUM 2-3 levels deep
-- NO LIMITS on number of categories - generate comprehensive functional organization
-- Use format: "Category > Subcategory" or "Category > Subcategory > Type" (based on FMHY structure)
-- Examples: "Tools > File Tools > Cloud Storage", "Adblocking / Privacy > VPN", "Education > Privacy Guides"
-- **FUNCTIONAL ORGANIZATION:** Group services by WHAT THEY DO, not who provides them
-- **PRACTICAL DEPTH:** Categories should be 2-3 levels deep for proper organization
-- **SERVICE-AGNOSTIC:** Categories should contain ALL services that perform the same function
+**CATEGORY REQUIREMENTS:**
+- Create AS MANY categories as needed with MAXIMUM ${maxDepth} levels
+- NO LIMITS on number of categories - generate comprehensive organization
+- Use format: "Category > Subcategory" or "Category > Subcategory > Type"
 - **COMPREHENSIVE COVERAGE:** Create specific categories for every type of service/content found
-- **REUSE EXISTING FOLDERS FIRST, but organize them functionally**
-
-**FUNCTIONAL CATEGORIZATION RULES (FMHY-Style):**
-- ✅ GOOD: "Tools > File Tools > Cloud Storage" (functional grouping of all cloud storage services)
-- ✅ GOOD: "Adblocking / Privacy > VPN" (functional grouping of all VPN services)
-- ✅ GOOD: "Adblocking / Privacy > Encrypted Messengers" (functional grouping of secure messaging)
-- ✅ GOOD: "Web Privacy > Search Engines" (functional grouping of privacy-focused search)
-- ✅ GOOD: "Education > Privacy Guides" (functional grouping of educational content)
-- ❌ WRONG: "Google > Drive" (organized by company, not function)
-- ❌ WRONG: "Microsoft > OneDrive" (organized by provider, not what it does)
-- ❌ WRONG: "Popular Tools" (catch-all category, not functional)
-
-**FUNCTIONAL ORGANIZATION PRINCIPLES (FMHY-Style):**
-- Keep categories at 2-3 levels maximum for proper functional organization
-- Group services by FUNCTION, not by provider or brand name
-- Use descriptive names that explain what the services DO
-- Organize by purpose: "Tools > File Tools > Cloud Storage" contains ALL cloud storage services
-- Focus on functional categories that group similar services together
-- Create categories that accommodate multiple service providers doing the same thing
+- **REUSE EXISTING FOLDERS FIRST, but organize them by the rules below**
+
+${this._buildGuideSection(guide, this.taxonomy.isEmpty(taxonomy))}
 
 **FOLDER NAME FORMATTING REQUIREMENTS:**
 - **PROPER CAPITALIZATION:** Use proper Title Case for all category names
@@ -2127,18 +2281,13 @@ ${
 - **CONSISTENT SPACING:** Use single spaces, proper spacing around separators
 - **PROFESSIONAL APPEARANCE:** Categories should look polished and professional
 
-**FORMATTING EXAMPLES (FMHY-Style):**
-- ✅ CORRECT: "Adblocking / Privacy > VPN"
-- ✅ CORRECT: "Tools > File Tools > Cloud Storage"
-- ✅ CORRECT: "Adblocking / Privacy > Password Privacy / 2FA"
-- ✅ CORRECT: "Web Privacy > Search Engines"
-- ✅ CORRECT: "Education > Privacy Guides"
-- ❌ WRONG: "adblocking / privacy > vpn"
-- ❌ WRONG: "tools > file tools > cloud storage"
-- ❌ WRONG: "web privacy>search engines"
-- ❌ WRONG: "education>privacy guides"
-
-**TECHNICAL TERM CAPITALIZATION GUIDE (FMHY-Style):**
+**FORMATTING EXAMPLES:**
+${formattingExamples.map((path) => `- ✅ CORRECT: "${path}"`).join("\n")}
+${formattingExamples
+    .map((path) => `- ❌ WRONG: "${path.toLowerCase().replace(/ > /g, ">")}"`)
+    .join("\n")}
+
+**TECHNICAL TERM CAPITALIZATION GUIDE:**
 - Privacy/Security: VPN, DNS, 2FA, Anti-Malware, URL, SSL, TLS
 - Programming: JavaScript, TypeScript, Node.js, React.js, Vue.js, Angular.js, API, REST, GraphQL
 - Platforms: GitHub, GitLab, Stack Overflow, YouTube, LinkedIn, Facebook, Google Drive, OneDrive
@@ -2183,118 +2332,21 @@ ${
             prompt += "\n- No previous learning data available";
         }
 
-        prompt += `\n\n**FUNCTIONAL HIERARCHICAL CATEGORY INSTRUCTIONS:**
+        prompt += `\n\n**HIERARCHICAL CATEGORY INSTRUCTIONS:**
 - Analyze bookmark titles, domains, current folders, and content patterns
-- Create FUNCTIONAL hierarchical categories with MAXIMUM ${maxDepth} levels using " > " separator
-- Generate AS MANY category trees as needed based on FUNCTION, not service names (NO LIMITS)
-- Create comprehensive functional organization - don't limit the number of categories
-- Organize by WHAT THE TOOL DOES, not WHO PROVIDES IT
-- Categories should be:
-  * Functional and practical (e.g., "Tools > File Tools > Cloud Storage" contains Google Drive, Dropbox, OneDrive)
-  * Organized by PURPOSE and FUNCTION, not by service provider
-  * Based on actual bookmark functionality but kept simple
-  * Include functional categories that group services by what they do
-
-**FUNCTIONAL HIERARCHICAL CATEGORY EXAMPLES (UNLIMITED CATEGORIES - CREATE AS MANY AS NEEDED):**
-
-**PRIVACY & SECURITY (Create specific subcategories):**
-- "Adblocking / Privacy > VPN" (ProtonVPN, Mullvad, AirVPN, Windscribe, RiseupVPN)
-- "Adblocking / Privacy > Encrypted Messengers" (Signal, SimpleX, Matrix, Wire)
-- "Adblocking / Privacy > Password Privacy / 2FA" (2FA Directory, Ente Auth, Aegis, 2FAS, KeePassXC)
-- "Adblocking / Privacy > Antivirus / Anti-Malware" (Malwarebytes, ESET, AdwCleaner)
-- "Adblocking / Privacy > DNS Adblocking" (LibreDNS, NextDNS, DNSWarden, AdGuard DNS, Pi-Hole)
-- "Web Privacy > Search Engines" (DuckDuckGo, Brave Search, Startpage, Mojeek, Searx)
-
-**TOOLS & UTILITIES (Create specific subcategories for each tool type):**
-- "Tools > File Tools > Cloud Storage" (Google Drive, Dropbox, OneDrive, MEGA, pCloud)
-- "Tools > File Tools > Converters" (File format converters, compressors)
-- "Tools > File Tools > Sharing" (WeTransfer, file hosting services)
-- "Tools > System Tools > Virtual Machines" (VMware, VirtualBox, QEMU)
-- "Tools > Image Tools > Editors" (Image editing tools)
-- "Tools > Video Tools > Editors" (Video editing tools)
-- "Tools > Audio Tools > Editors" (Audio editing tools)
-- "Tools > Text Tools > Editors" (Text and markdown editors)
-- "Tools > Utilities" (General calculators, converters, misc utilities)
-
-**DEVELOPMENT (Create specific subcategories for each dev area):**
-- "Development > Code Repositories" (GitHub, GitLab, Bitbucket, SourceForge)
-- "Development > Documentation" (MDN, Stack Overflow, DevDocs, API references)
-- "Development > Tools > IDEs" (VS Code, IntelliJ, online IDEs)
-- "Development > Tools > Frameworks" (React, Angular, Vue documentation)
-- "Development > Tools > Testing" (Testing frameworks, tools)
-- "Development > Tools > Deployment" (Hosting, CI/CD platforms)
-
-**EDUCATION (Create specific subcategories for each learning type):**
-- "Education > Learning Platforms" (Coursera, Udemy, Khan Academy, edX)
-- "Education > Programming Tutorials" (Coding bootcamps, programming courses)
-- "Education > Language Learning" (Duolingo, language platforms)
-- "Education > Academic Resources" (Research, academic databases)
-- "Education > Privacy Guides" (Privacy Guides, security education)
-
-**ENTERTAINMENT (Create specific subcategories for each entertainment type):**
-- "Entertainment > Streaming > Video" (Netflix, YouTube, Twitch, Disney+)
-- "Entertainment > Streaming > Music" (Spotify, Apple Music, SoundCloud)
-- "Entertainment > Gaming > Platforms" (Steam, Epic Games, gaming stores)
-- "Entertainment > Gaming > Resources" (Gaming news, guides, communities)
-- "Entertainment > Books > Reading" (Goodreads, online libraries, ebooks)
-- "Entertainment > Podcasts" (Podcast platforms and directories)
-
-**BUSINESS (Create specific subcategories for each business function):**
-- "Business > Productivity > Project Management" (Slack, Trello, Asana, Notion)
-- "Business > Productivity > Communication" (Zoom, Teams, communication tools)
-- "Business > Finance > Banking" (Online banking, financial services)
-- "Business > Finance > Investment" (Trading platforms, investment tools)
-- "Business > Finance > Cryptocurrency" (Crypto exchanges, blockchain tools)
-- "Business > Marketing > SEO" (SEO tools, analytics platforms)
-
-**SHOPPING (Create specific subcategories for each shopping type):**
-- "Shopping > E-commerce > General" (Amazon, eBay, general marketplaces)
-- "Shopping > E-commerce > Specialized" (Etsy, niche marketplaces)
-- "Shopping > Price Comparison" (Price tracking, deal aggregators)
-- "Shopping > Coupons & Deals" (Coupon sites, deal platforms)
-
-**NEWS & MEDIA (Create specific subcategories for each news type):**
-- "News > Technology News" (TechCrunch, Ars Technica, The Verge, Hacker News)
-- "News > General News" (BBC, CNN, Reuters, Associated Press)
-- "News > Industry Specific" (Industry publications, trade news)
-- "News > Blogs & Opinion" (Personal blogs, opinion sites)
-
-**SOCIAL & COMMUNICATION (Create specific subcategories):**
-- "Social Media > Platforms" (Twitter, Facebook, Instagram, LinkedIn)
-- "Social Media > Professional" (LinkedIn, professional networks)
-- "Social Media > Communities" (Reddit, Discord, forums)
-
-**IMPORTANT: CREATE AS MANY SPECIFIC CATEGORIES AS NEEDED!**
-- Analyze ALL bookmarks and create specific functional categories for every type of service
-- Don't limit yourself to these examples - create new categories as needed
-- Be comprehensive and specific - users prefer detailed organization
-- Group services by their actual function, not by popularity or provider
+- Create hierarchical categories with MAXIMUM ${maxDepth} levels using " > " separator
+- Generate AS MANY category trees as needed (NO LIMITS)
+- Create comprehensive organization - don't limit the number of categories
+- Follow the organizing rules and category examples above
+- Don't limit yourself to the examples - create new categories as needed
 
 **OUTPUT FORMAT:**
-Return a JSON array of FUNCTIONAL hierarchical category paths with proper capitalization.
+Return a JSON array of hierarchical category paths with proper capitalization.
 CREATE AS MANY CATEGORIES AS NEEDED - NO LIMITS! Example structure:
 [
-  "Adblocking / Privacy > VPN",
-  "Adblocking / Privacy > Encrypted Messengers",
-  "Adblocking / Privacy > Password Privacy / 2FA",
-  "Tools > File Tools > Cloud Storage",
-  "Tools > File Tools > Converters",
-  "Tools > Image Tools > Editors",
-  "Tools > Video Tools > Editors",
-  "Development > Code Repositories",
-  "Development > Tools > IDEs",
-  "Development > Tools > Frameworks",
-  "Education > Learning Platforms",
-  "Education > Programming Tutorials",
-  "Entertainment > Streaming > Video",
-  "Entertainment > Streaming > Music",
-  "Entertainment > Gaming > Platforms",
-  "Business > Productivity > Project Management",
-  "Business > Finance > Banking",
-  "Shopping > E-commerce > General",
-  "News > Technology News",
-  "Social Media > Platforms",
-  "Tools > Utilities",
+${[...new Set([...examplePaths.slice(0, 20), fallbackCategory])]
+    .map((path) => `  "${path}",`)
+    .join("\n")}
   ... (create as many specific categories as needed for comprehensive organization)
 ]
 
@@ -2306,33 +2358,19 @@ CREATE AS MANY CATEGORIES AS NEEDED - NO LIMITS! Example structure:
 - **PROFESSIONAL APPEARANCE:** Categories should look polished and ready for professional use
 
 **CONTENT REQUIREMENTS:**
-- Create FUNCTIONAL categories that group services by what they do
-- Generate AS MANY functional category trees as needed (NO MAXIMUM LIMIT)
+- Generate AS MANY category trees as needed (NO MAXIMUM LIMIT)
 - Create comprehensive, specific categories for every type of service found
-- NEVER use "Other" - all bookmarks must be categorized into specific functional categories
-- If unsure, create new appropriate functional categories rather than using generic ones
-- Organize by function, not by service provider or company name
-- Follow FMHY-style functional organization principles
+- NEVER use "Other" - all bookmarks must be categorized into specific categories
+- If unsure, create new appropriate categories rather than using generic ones
+- Follow the organizing rules above
 - Prioritize comprehensive coverage over category count limits
 
 Return only the JSON array with properly formatted category names, no additional text or formatting.`;
 
         try {
-            const requestBody = {
-                contents: [
-                    {
-                        parts: [
-                            {
-                                text: prompt,
-                            },
-                        ],
-                    },
-                ],
-            };
-
             // Use model fallback for category generation too
             const responseText =
-                await this._generateCategoriesWithModelFallback(requestBody);
+                await this._generateCategoriesWithModelFallback(prompt);
 
             // Parse the generated categories
             const cleanText = responseText
@@ -2349,219 +2387,232 @@ Return only the JSON array with properly formatted category names, no additional
                         (cat) => cat !== "Other" && !cat.includes("Other")
                     );
 
-                    // Ensure we have comprehensive functional categories
-                    const essentialCategories = [
-                        "Tools > Utilities",
-                        "Development > Tools",
-                        "Business > Productivity",
-                        "Entertainment > General",
-                        "Education > Resources",
-                    ];
-
-                    essentialCategories.forEach((essential) => {
-                        if (
-                            !filteredCategories.some((cat) => cat === essential)
-                        ) {
-                            filteredCategories.push(essential);
-                        }
-                    });
+                    // The prompts send unsure bookmarks to the fallback folder
+                    if (!filteredCategories.includes(fallbackCategory)) {
+                        filteredCategories.push(fallbackCategory);
+                    }
 
                     console.log(
                         "Successfully generated dynamic categories:",
                         filteredCategories
                     );
-                    return filteredCategories;
+                    return withTaxonomy(filteredCategories);
                 }
             }
 
             throw new Error(
-                "Failed to parse generated categories from Gemini AI response"
+                "Failed to parse generated categories from AI response"
             );
         } catch (_error) {
             console.error("_error generating categories:", _error);
-            throw new Error(`Failed to generate categories: ${_error.message}`);
+            console.log("📴 Falling back to offline category generation");
+            return withTaxonomy(
+                this.offlineCategorizer.generateCategories(
+                    bookmarks,
+                    existingFolders,
+                    suggestedCategories
+                )
+            );
         }
     }
 
     /**
-     * Generate categories with Gemini model fallback sequence
-     * @param {Object} requestBody - Request body for Gemini API
-     * @returns {Promise<string>} Response text from successful model
+     * Ask the AI which folders hold the same kind of bookmarks
+     * @param {Array<string>} folderPaths - Folder paths such as "Tools > Dev"
+     * @returns {Promise<Array<Array<string>>>} Groups of paths that should be merged
      */
-    async _generateCategoriesWithModelFallback(requestBody) {
-        let lastError = null;
-        const originalModelIndex = this.currentModelIndex;
+    async suggestFolderMerges(folderPaths) {
+        const prompt = `You are cleaning up a bookmark folder tree. Find folders that are near-duplicates: different names, abbreviations, spellings or nesting for the same topic (for example "Dev Tools", "Developer Tools" and "Tools > Dev").
+
+**FOLDERS:**
+${folderPaths.map((path) => `- ${path}`).join("\n")}
+
+**RULES:**
+- Only group folders a person would expect to find in one place
+- Do not group a folder with its own parent or subfolder
+- Do not group folders that merely share a broad theme (e.g. "Work > Invoices" and "Work > Meetings")
+- Use the folder paths exactly as written above
+- Leave out folders that have no near-duplicate
+
+Return only a JSON array of groups, each group an array of two or more folder paths, e.g. [["Dev Tools", "Tools > Dev"]]. Return [] if there are none.`;
+
+        const responseText =
+            await this._generateCategoriesWithModelFallback(prompt);
+
+        const jsonMatch = responseText
+            .replace(/```json\n?/g, "")
+            .replace(/```\n?/g, "")
+            .match(/\[[\s\S]*\]/);
+        if (!jsonMatch) {
+            throw new Error("Failed to parse folder merge suggestions");
+        }
+
+        const groups = JSON.parse(jsonMatch[0]);
+        if (!Array.isArray(groups)) {
+            throw new Error("Folder merge suggestions are not a list");
+        }
+        return groups.filter(
+            (group) => Array.isArray(group) && group.length > 1
+        );
+    }
 
-        // Try each Gemini model for category generation
-        for (let attempt = 0; attempt < this.geminiModels.length; attempt++) {
-            const currentModel = this.getCurrentModelName();
-            const currentUrl = this.getCurrentModelUrl();
+    /**
+     * Answer a category or folder prompt with the first configured model that
+     * responds, in preference order
+     * @param {string} prompt - Prompt text
+     * @returns {Promise<string>} Response text from the successful model
+     */
+    async _generateCategoriesWithModelFallback(prompt) {
+        const settings = await this._getSettings();
+        const models = await this._getModelsToTry(settings);
+        if (models.length === 0) {
+            throw new Error("No AI provider available for category generation");
+        }
 
+        let lastError = null;
+        for (const model of models) {
             console.log(
-                `🏷️ Generating categories with ${currentModel} (attempt ${
-                    attempt + 1
-                }/${this.geminiModels.length})`
+                `🏷️ Generating categories with ${model.provider.toUpperCase()} - ${model.name}`
             );
 
-            // Check if model is penalized
-            if (this._isModelPenalized(currentModel)) {
-                console.log(`⏭️ Skipping penalized model: ${currentModel}`);
-                continue;
-            }
-
             try {
-                const response = await this.requestQueue.enqueue(
-                    async () => {
-                        return await fetch(currentUrl, {
-                            method: "POST",
-                            headers: {
-                                "Content-Type": "application/json",
-                                "x-goog-api-key": this.apiKey,
-                            },
-                            body: JSON.stringify(requestBody),
-                        });
-                    },
-                    "gemini",
-                    "high"
+                const { text } = await this._requestCompletion(
+                    model,
+                    [{ role: "user", content: prompt }],
+                    { maxTokens: 4096, priority: "high", retries: 0 }
                 );
-
-                if (response.ok) {
-                    const data = await response.json();
-                    const responseText =
-                        data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-                    if (responseText) {
-                        console.log(
-                            `✅ Category generation SUCCESS with ${currentModel}`
-                        );
-                        // Reset to original model for next operations
-                        this.currentModelIndex = originalModelIndex;
-                        return responseText;
-                    } else {
-                        throw new Error(
-                            "Invalid category generation response format"
-                        );
-                    }
-                } else {
-                    const errorText = await response.text();
-                    console.error(
-                        `❌ Category generation failed with ${currentModel}:`,
-                        response.status,
-                        errorText
-                    );
-
-                    // Check for quota exhaustion on 429 errors
-                    if (response.status === 429) {
-                        try {
-                            const errorData = JSON.parse(errorText);
-                            const { isQuotaExhausted, retryDelaySeconds } = this._checkQuotaExhaustion(errorData);
-
-                            if (isQuotaExhausted && retryDelaySeconds) {
-                                // Mark quota as exhausted
-                                await this._markQuotaExhausted(retryDelaySeconds);
-
-                                // Throw specific quota exhaustion error
-                                const quotaMessage = await this._getQuotaExhaustedMessage();
-                                throw new Error(`QUOTA_EXHAUSTED: ${quotaMessage}`);
-                            }
-                        } catch (parseError) {
-                            // If JSON parsing fails, continue with normal rate limit handling
-                            console.warn('Failed to parse quota error response:', parseError);
-                        }
-
-                        // Apply penalty for rate limits
-                        this._penalizeModel(currentModel);
-                    }
-
-                    // Check if this is a retryable error
-                    const isRetryableError =
-                        response.status === 429 || // Rate limit
-                        response.status === 503 || // Service unavailable
-                        response.status === 500 || // Server error
-                        response.status === 502 || // Bad gateway
-                        response.status === 504; // Gateway timeout
-
-                    if (!isRetryableError) {
-                        // Non-retryable errors - don't try other models
-                        if (response.status === 401) {
-                            throw new Error(
-                                "Invalid API key for category generation. Please check your Gemini API key."
-                            );
-                        } else if (response.status === 403) {
-                            throw new Error(
-                                "API access denied for category generation. Check your API key permissions."
-                            );
-                        } else if (response.status === 400) {
-                            throw new Error(
-                                "Bad request for category generation. Check your API key format."
-                            );
-                        } else {
-                            throw new Error(
-                                `Category generation failed: ${response.status} - ${errorText}`
-                            );
-                        }
-                    }
-
-                    lastError = new Error(
-                        `${currentModel}: ${response.status} - ${errorText}`
-                    );
-                }
+                console.log(`✅ Category generation SUCCESS with ${model.name}`);
+                return text;
             } catch (_error) {
                 console.error(
-                    `❌ Category generation error with ${currentModel}:`,
+                    `❌ Category generation error with ${model.name}:`,
                     _error.message
                 );
                 lastError = _error;
-
-                // If it's a non-retryable error, don't try other models
-                if (
-                    _error.message.includes("Invalid API key") ||
-                    _error.message.includes("API access denied") ||
-                    _error.message.includes("Bad request")
-                ) {
+                if (_error.cancelled) {
                     throw _error;
                 }
-            }
-
-            // Try next model if available
-            if (attempt < this.geminiModels.length - 1) {
-                if (!this.tryNextGeminiModel()) {
-                    break;
+                if (_error.rateLimited) {
+                    this._penalizeModel(model.name);
                 }
-                // Small delay between model attempts
-                await new Promise((resolve) => setTimeout(resolve, 1000));
             }
         }
 
-        // Reset to original model
-        this.currentModelIndex = originalModelIndex;
-
-        // All models failed
         throw new Error(
-            `Category generation failed with all Gemini models. Last error: ${lastError?.message}`
+            `Category generation failed with all models. Last error: ${lastError?.message}`
+        );
+    }
+
+    /**
+     * Models of the configured providers in the order to try them: preferred
+     * provider first, providers with an exhausted quota left out and
+     * rate-limited models skipped unless every model is rate limited
+     * @param {Object} settings - User settings (aiProvider, enableFallbackProviders)
+     * @returns {Promise<Array>} Models: {name, provider, ...}
+     */
+    async _getModelsToTry(settings) {
+        const models = [];
+        for (const adapter of this.providers.getConfigured()) {
+            if (await this._isQuotaExhausted(adapter.id)) {
+                console.log(`⏭️ Skipping ${adapter.name}: quota exhausted`);
+                continue;
+            }
+            models.push(...(await adapter.loadModels()));
+        }
+        const ordered = this._orderModelsByPreference(models, settings);
+
+        const active = ordered.filter(
+            (model) => !this._isModelPenalized(model.name)
         );
+        if (active.length === 0 && ordered.length > 0) {
+            console.warn(
+                "⚠️ All models are currently penalized. Forcing retry with all models."
+            );
+            return ordered;
+        }
+        if (active.length < ordered.length) {
+            const skipped = ordered.filter((model) =>
+                this._isModelPenalized(model.name)
+            );
+            console.log(
+                `ℹ️ Skipping ${skipped.length} penalized models: ${skipped
+                    .map((model) => model.name)
+                    .join(", ")}`
+            );
+        }
+        return active;
     }
 
     /**
-     * Process a batch of bookmarks
+     * Process a batch of bookmarks. Bookmarks matching an enabled user rule
+     * go straight to the rule's folder; the rest are sent to the AI.
      * @param {Array} batch - Batch of bookmarks
      * @param {Array} dynamicCategories - Available categories
      * @param {Object} learningData - Learning data
      * @param {Function} onMarkAsAIMoved - Optional callback to mark bookmark as AI-moved
+     * @param {Object} options - Processing options
+     * @param {boolean} options.planMode - Return results without moving bookmarks
      * @returns {Promise<Array>} Categorization results
      */
     async processBatch(
         batch,
         dynamicCategories,
         learningData,
-        onMarkAsAIMoved = null
+        onMarkAsAIMoved = null,
+        options = {}
     ) {
-        return await this._processBatchWithProviderFallback(
-            batch,
-            dynamicCategories,
-            learningData,
-            onMarkAsAIMoved
-        );
+        // User rules are deterministic and always run before any AI call
+        const { results: ruleResults, remaining } =
+            await this.rulesEngine.applyRules(batch);
+
+        if (ruleResults.length > 0) {
+            console.log(
+                `📏 RULES: ${ruleResults.length}/${batch.length} bookmarks matched user rules`
+            );
+            // Rule folders are used exactly as the user wrote them
+            await this._applyBatchResults(ruleResults, batch, onMarkAsAIMoved, {
+                ...options,
+                skipGrouping: true,
+            });
+            if (!options.planMode) {
+                await this.rulesEngine.recordFires(
+                    ruleResults.map((result) => result.ruleId)
+                );
+            }
+        }
+
+        const aiResults =
+            remaining.length > 0
+                ? await this._processBatchWithProviderFallback(
+                      remaining,
+                      dynamicCategories,
+                      learningData,
+                      onMarkAsAIMoved,
+                      options
+                  )
+                : [];
+
+        if (ruleResults.length === 0) {
+            return aiResults;
+        }
+
+        return this._mergeBatchResults(batch, [...ruleResults, ...aiResults]);
+    }
+
+    /**
+     * Return results in batch order so index-based callers still line up
+     * @param {Array} batch - Batch of bookmarks
+     * @param {Array} results - Results from several sources, keyed by bookmarkId
+     * @returns {Array} Results renumbered in batch order
+     */
+    _mergeBatchResults(batch, results) {
+        const byId = new Map(results.map((result) => [result.bookmarkId, result]));
+        return batch
+            .map((bookmark, index) => {
+                const result = byId.get(bookmark.id);
+                return result ? { ...result, id: index + 1 } : null;
+            })
+            .filter((result) => result);
     }
 
     /**
@@ -2570,53 +2621,53 @@ Return only the JSON array with properly formatted category names, no additional
      * @param {Array} categories - Available categories
      * @param {Object} learningData - Learning data
      * @param {Function} onMarkAsAIMoved - Optional callback
+     * @param {Object} options - Processing options (planMode)
      * @returns {Promise<Array>} Batch results
      */
     async _processBatchWithProviderFallback(
         batch,
         categories,
         learningData,
-        onMarkAsAIMoved = null
+        onMarkAsAIMoved = null,
+        options = {}
     ) {
         console.log(
             "\n🔄 === PROVIDER FALLBACK ORCHESTRATOR (Size-Based Model Ordering) ==="
         );
         console.log(`📦 Processing batch of ${batch.length} bookmarks`);
         console.log(
-            `🔑 Available providers: Gemini=${!!this.apiKey}, Cerebras=${!!this
-                .cerebrasApiKey}, Groq=${!!this.groqApiKey}`
+            `🔑 Available providers: ${
+                this.providers
+                    .getConfigured()
+                    .map((adapter) => adapter.name)
+                    .join(", ") || "none"
+            }`
         );
 
-        // Build unified model list sorted by size descending
-        const allModels = [];
+        const settings = await this._getSettings();
+        // Keep the user's taxonomy folders out of grouping
+        const taxonomy = await this.taxonomy.getTaxonomy();
+        this.categoryGrouper?.setTaxonomy(
+            this.taxonomy.getPaths(taxonomy),
+            this.taxonomy.isLocked(taxonomy)
+        );
+        const modelsToTry =
+            settings.aiProvider === "offline"
+                ? []
+                : await this._getModelsToTry(settings);
 
-        // Add Gemini models (always available with apiKey)
-        if (this.apiKey) {
-            this.geminiModels.forEach((model) =>
-                allModels.push({ ...model, provider: "gemini" })
+        // Offline rules were chosen explicitly, or there is nothing to call
+        if (modelsToTry.length === 0) {
+            console.log(
+                "📴 No AI provider in use, categorizing with offline rules"
+            );
+            return await this._processWithOffline(
+                batch,
+                categories,
+                learningData,
+                onMarkAsAIMoved,
+                options
             );
-        }
-
-        // Add Cerebras models if key available
-        if (this.cerebrasApiKey) {
-            this.cerebrasModels.forEach((model) => allModels.push(model));
-        }
-
-        // Add Groq models if key available
-        if (this.groqApiKey) {
-            this.groqModels.forEach((model) => allModels.push(model));
-        }
-
-        // Filter out penalized models (unless all are penalized, then try anyway)
-        const activeModels = allModels.filter(m => !this._isModelPenalized(m.name));
-        const penalizedModels = allModels.filter(m => this._isModelPenalized(m.name));
-
-        let modelsToTry = activeModels;
-        if (activeModels.length === 0) {
-             console.warn("⚠️ All models are currently penalized. Forcing retry with all models.");
-             modelsToTry = allModels;
-        } else if (penalizedModels.length > 0) {
-            console.log(`ℹ️ Skipping ${penalizedModels.length} penalized models: ${penalizedModels.map(m => m.name).join(', ')}`);
         }
 
         console.log("\n📊 Model sequence:");
@@ -2628,6 +2679,22 @@ Return only the JSON array with properly formatted category names, no additional
             );
         });
 
+        // Bookmarks these models already decided skip the AI entirely
+        const cachedResults = await this._applyCachedResults(
+            batch,
+            modelsToTry,
+            settings,
+            onMarkAsAIMoved,
+            options
+        );
+        if (cachedResults.length === batch.length) {
+            return cachedResults;
+        }
+        const cachedIds = new Set(cachedResults.map((r) => r.bookmarkId));
+        const pending = batch.filter((bookmark) => !cachedIds.has(bookmark.id));
+        const withCached = (results) =>
+            this._mergeBatchResults(batch, [...cachedResults, ...results]);
+
         // Try models in order
         let lastError = null;
         for (let i = 0; i < modelsToTry.length; i++) {
@@ -2639,37 +2706,12 @@ Return only the JSON array with properly formatted category names, no additional
             );
 
             try {
-                let result;
-                if (model.provider === "gemini") {
-                    result = await this._processWithGemini(
-                        batch,
-                        categories,
-                        learningData,
-                        model.name
-                    );
-                } else if (model.provider === "cerebras") {
-                    const prompt = await this._buildPrompt(
-                        batch,
-                        categories,
-                        learningData
-                    );
-                    result = await this._processWithCerebras(
-                        prompt,
-                        batch,
-                        model.name
-                    );
-                } else if (model.provider === "groq") {
-                    const prompt = await this._buildPrompt(
-                        batch,
-                        categories,
-                        learningData
-                    );
-                    result = await this._processWithGroq(
-                        prompt,
-                        batch,
-                        model.name
-                    );
-                }
+                const result = await this._processWithModel(
+                    model,
+                    pending,
+                    categories,
+                    learningData
+                );
 
                 if (result) {
                     console.log(
@@ -2678,48 +2720,20 @@ Return only the JSON array with properly formatted category names, no additional
                         }`
                     );
 
-                    // IMMEDIATELY MOVE each bookmark in the batch after categorization
-                    console.log(
-                        `🚚 IMMEDIATE BATCH MOVEMENT: Moving ${result.length} bookmarks...`
+                    await this.categorizationCache.store(
+                        pending,
+                        result,
+                        model.name,
+                        settings
+                    );
+                    return withCached(
+                        await this._applyBatchResults(
+                            result,
+                            pending,
+                            onMarkAsAIMoved,
+                            options
+                        )
                     );
-
-                    for (let j = 0; j < result.length; j++) {
-                        const item = result[j];
-
-                        // Apply category grouping if available
-                        let finalCategory = item.category;
-                        if (this.categoryGrouper) {
-                            finalCategory =
-                                this.categoryGrouper.getGroupedCategory(
-                                    item.category
-                                );
-                        }
-
-                        // Find original bookmark from batch
-                        const bookmark =
-                            batch.find((b) => b.id === item.bookmarkId) ||
-                            batch[j];
-
-                        if (bookmark) {
-                            try {
-                                await this._moveBookmarkImmediately(
-                                    bookmark,
-                                    finalCategory,
-                                    item.title,
-                                    j + 1,
-                                    batch.length,
-                                    onMarkAsAIMoved
-                                );
-                            } catch (moveError) {
-                                console.error(
-                                    `❌ Failed to move bookmark ${bookmark.id}:`,
-                                    moveError
-                                );
-                            }
-                        }
-                    }
-
-                    return result;
                 }
             } catch (_error) {
                 console.log(
@@ -2729,30 +2743,50 @@ Return only the JSON array with properly formatted category names, no additional
                 );
                 lastError = _error;
 
+                // A cancelled session must not move on to other models or offline rules
+                if (_error.cancelled) {
+                    throw _error;
+                }
+
                 // Check for truncation error and retry with smaller batches
-                if (_error.isTruncation && batch.length > 1) {
+                if (_error.isTruncation && pending.length > 1) {
                     console.warn(
                         "⚠️ JSON truncation detected! Retrying with split batches..."
                     );
-                    return await this._retryWithSmallerBatches(
-                        batch,
+                    const splitResults = await this._retryWithSmallerBatches(
+                        pending,
                         categories,
                         learningData,
                         model
                     );
+                    // Split results are moved, cached and reviewed like any other
+                    await this.categorizationCache.store(
+                        pending,
+                        splitResults,
+                        model.name,
+                        settings
+                    );
+                    return withCached(
+                        await this._applyBatchResults(
+                            splitResults,
+                            pending,
+                            onMarkAsAIMoved,
+                            options
+                        )
+                    );
                 }
 
                 // Handle rate limits with penalty
-                if (_error.message.includes("429") || _error.message.includes("quota")) {
+                if (
+                    _error.rateLimited ||
+                    _error.message.includes("429") ||
+                    _error.message.includes("quota")
+                ) {
                     this._penalizeModel(model.name);
                 }
 
                 // Stop trying if it's a non-retryable error
-                if (
-                    _error.message.includes("Invalid API key") ||
-                    _error.message.includes("API access denied") ||
-                    _error.message.includes("Unauthorized")
-                ) {
+                if (_error.status === 401 || _error.status === 403) {
                     console.log(
                         `⚠️ Non-retryable error detected, stopping model fallback for ${model.provider}`
                     );
@@ -2765,865 +2799,613 @@ Return only the JSON array with properly formatted category names, no additional
             }
         }
 
-        // All models failed
-        console.error("❌ All models across all providers failed");
-        throw new Error(
-            `All AI providers exhausted. Last error: ${lastError?.message}`
+        // All models failed - organize with offline rules instead of failing the run
+        console.error(
+            `❌ All models across all providers failed. Last error: ${lastError?.message}`
+        );
+        console.log("📴 Falling back to offline rule-based categorization");
+        return withCached(
+            await this._processWithOffline(
+                pending,
+                categories,
+                learningData,
+                onMarkAsAIMoved,
+                options
+            )
         );
     }
 
     /**
-     * Process batch with Gemini model fallback sequence
+     * Apply cached decisions for bookmarks that one of the models already categorized.
+     * Entries whose folder no longer exists are dropped so taxonomy changes re-ask the AI.
      * @param {Array} batch - Batch of bookmarks
-     * @param {Array} categories - Available categories
-     * @param {Object} learningData - Learning data
-     * @returns {Promise<Array>} Batch results
+     * @param {Array} models - Models in the order they will be tried
+     * @param {Object} settings - User settings (enableCaching, cacheExpiration)
+     * @param {Function} onMarkAsAIMoved - Optional callback
+     * @param {Object} options - Processing options (planMode)
+     * @returns {Promise<Array>} Results for the cached bookmarks
      */
-    async _processBatchWithGeminiModels(batch, categories, learningData) {
-        const prompt = await this._buildPrompt(batch, categories, learningData);
-        const requestBody = {
-            contents: [
-                {
-                    parts: [
-                        {
-                            text: prompt,
-                        },
-                    ],
-                },
-            ],
-        };
-
-        // Try each Gemini model in sequence
-        let lastError = null;
-        const originalModelIndex = this.currentModelIndex;
-
-        for (let attempt = 0; attempt < this.geminiModels.length; attempt++) {
-            const currentModel = this.getCurrentModelName();
-            const currentUrl = this.getCurrentModelUrl();
+    async _applyCachedResults(batch, models, settings, onMarkAsAIMoved, options) {
+        if (!this.categorizationCache.isEnabled(settings)) {
+            return [];
+        }
 
-            console.log(
-                `🤖 Trying Gemini model: ${currentModel} (attempt ${
-                    attempt + 1
-                }/${this.geminiModels.length})`
+        try {
+            const { hits } = await this.categorizationCache.lookup(
+                batch,
+                models.map((model) => model.name),
+                settings,
+                {
+                    folderPaths: await this._getExistingFolderStructure(),
+                    resolveCategory: (category) =>
+                        this.categoryGrouper
+                            ? this.categoryGrouper.getGroupedCategory(category)
+                            : category,
+                }
             );
 
-            try {
-                const requestStart = Date.now();
-                const response = await this.requestQueue.enqueue(
-                    async () => {
-                        return await fetch(currentUrl, {
-                            method: "POST",
-                            headers: {
-                                "Content-Type": "application/json",
-                                "x-goog-api-key": this.apiKey,
-                            },
-                            body: JSON.stringify(requestBody),
-                        });
-                    },
-                    "gemini",
-                    "normal"
+            if (this.analyticsService) {
+                await this.analyticsService.recordCacheLookup(
+                    hits.length,
+                    batch.length - hits.length
                 );
-                const responseTime = Date.now() - requestStart;
-
-                if (response.ok) {
-                    const data = await response.json();
-
-                    if (
-                        data.candidates &&
-                        data.candidates[0] &&
-                        data.candidates[0].content
-                    ) {
-                        const responseText =
-                            data.candidates[0].content.parts[0].text;
-                        console.log(`✅ SUCCESS with ${currentModel}`);
-
-                        // Record API usage analytics
-                        if (this.analyticsService) {
-                            await this.analyticsService.recordApiUsage({
-                                provider: "gemini",
-                                model: currentModel,
-                                success: true,
-                                responseTime,
-                                batchSize: batch.length,
-                                tokensUsed:
-                                    data.usageMetadata?.totalTokenCount || 0,
-                            });
-                        }
-
-                        // Record rate limit tracking
-                        if (this.performanceMonitor) {
-                            await this.performanceMonitor.recordApiRequest(
-                                "gemini",
-                                true,
-                                false,
-                                false
-                            );
-                        }
-
-                        return this._parseResponse(responseText, batch);
-                    } else {
-                        throw new Error("Invalid API response format");
-                    }
-                } else {
-                    const errorText = await response.text();
-                    console.error(
-                        `❌ ${currentModel} failed:`,
-                        response.status,
-                        errorText
-                    );
-
-                    // Record API failure analytics
-                    if (this.analyticsService) {
-                        await this.analyticsService.recordApiUsage({
-                            provider: "gemini",
-                            model: currentModel,
-                            success: false,
-                            responseTime,
-                            batchSize: batch.length,
-                            errorType: `${response.status}`,
-                        });
-                    }
-
-                    // Check if this is a retryable error (rate limit, server overload, etc.)
-                    const isRetryableError =
-                        response.status === 429 || // Rate limit
-                        response.status === 503 || // Service unavailable
-                        response.status === 500 || // Server error
-                        response.status === 502 || // Bad gateway
-                        response.status === 504; // Gateway timeout
-
-                    // Record rate limit tracking
-                    if (this.performanceMonitor) {
-                        const throttled = response.status === 429;
-                        const rejected = response.status === 429;
-                        await this.performanceMonitor.recordApiRequest(
-                            "gemini",
-                            false,
-                            throttled,
-                            rejected
-                        );
-                    }
-
-                    if (!isRetryableError) {
-                        // Non-retryable errors (auth, bad request, etc.) - don't try other models
-                        if (response.status === 401) {
-                            throw new Error(
-                                'Invalid API key. Please check your Gemini API key in settings. Make sure it starts with "AIza" and is from Google AI Studio.'
-                            );
-                        } else if (response.status === 403) {
-                            throw new Error(
-                                "API access denied. Please check your API key permissions and ensure Gemini API is enabled."
-                            );
-                        } else if (response.status === 400) {
-                            throw new Error(
-                                "Bad request. Please check your API key format and try again."
-                            );
-                        } else {
-                            throw new Error(
-                                `Gemini API request failed: ${response.status}. ${errorText}`
-                            );
-                        }
-                    }
-
-                    lastError = new Error(
-                        `${currentModel}: ${response.status} - ${errorText}`
-                    );
-                }
-            } catch (_error) {
-                console.error(`❌ ${currentModel} _error:`, _error.message);
-                lastError = _error;
-
-                // If it's a non-retryable error, don't try other models
-                if (
-                    _error.message.includes("Invalid API key") ||
-                    _error.message.includes("API access denied") ||
-                    _error.message.includes("Bad request")
-                ) {
-                    throw _error;
-                }
             }
-
-            // Try next model if available
-            if (attempt < this.geminiModels.length - 1) {
-                if (!this.tryNextGeminiModel()) {
-                    break;
-                }
-                // Small delay between model attempts
-                await new Promise((resolve) => setTimeout(resolve, 1000));
+            if (hits.length === 0) {
+                return [];
             }
-        }
-
-        // All Gemini models failed
-        console.error("❌ All Gemini models failed.");
-
-        // Reset to original model for next batch
-        this.currentModelIndex = originalModelIndex;
 
-        throw new Error(
-            `All Gemini models failed. Last error: ${lastError?.message}`
-        );
+            console.log(
+                `💾 CACHE: ${hits.length}/${batch.length} bookmarks reuse earlier decisions`
+            );
+            return await this._applyBatchResults(
+                hits,
+                batch,
+                onMarkAsAIMoved,
+                options
+            );
+        } catch (_error) {
+            console.warn("Categorization cache lookup failed:", _error);
+            return [];
+        }
     }
 
     /**
-     * Process batch with Cerebras model fallback sequence
+     * Categorize a batch with the offline rule engine and apply the results
      * @param {Array} batch - Batch of bookmarks
      * @param {Array} categories - Available categories
      * @param {Object} learningData - Learning data
+     * @param {Function} onMarkAsAIMoved - Optional callback
+     * @param {Object} options - Processing options (planMode)
      * @returns {Promise<Array>} Batch results
      */
-    async _processBatchWithCerebrasModels(batch, categories, learningData) {
-        const prompt = await this._buildPrompt(batch, categories, learningData);
-        let lastError = null;
-
-        // Try each Cerebras model in sequence
-        for (
-            let modelIndex = 0;
-            modelIndex < this.cerebrasModels.length;
-            modelIndex++
-        ) {
-            const currentModel = this.cerebrasModels[modelIndex];
-            console.log(
-                `🧠 Trying Cerebras model: ${currentModel} (${modelIndex + 1}/${
-                    this.cerebrasModels.length
-                })`
-            );
-
-            try {
-                const result = await this._processWithCerebras(
-                    prompt,
-                    batch,
-                    currentModel
-                );
-                console.log(`✅ SUCCESS with Cerebras ${currentModel}`);
-                return result;
-            } catch (_error) {
-                console.log(
-                    `❌ Cerebras ${currentModel} failed: ${_error.message}`
-                );
-                lastError = _error;
+    async _processWithOffline(
+        batch,
+        categories,
+        learningData,
+        onMarkAsAIMoved = null,
+        options = {}
+    ) {
+        const result = this.offlineCategorizer.categorizeBatch(
+            batch,
+            categories,
+            learningData
+        );
+        this._applyTaxonomyOffline(
+            result,
+            batch,
+            await this.taxonomy.getTaxonomy()
+        );
 
-                // If it's a non-retryable error, don't try other models
-                if (
-                    _error.message.includes("Invalid API key") ||
-                    _error.message.includes("API access denied") ||
-                    _error.message.includes("Unauthorized")
-                ) {
-                    throw _error;
-                }
+        // Offline categories already use parent groups, so skip the grouper
+        return await this._applyBatchResults(
+            result,
+            batch,
+            onMarkAsAIMoved,
+            { ...options, skipGrouping: true }
+        );
+    }
 
-                // Small delay between model attempts
-                if (modelIndex < this.cerebrasModels.length - 1) {
-                    await new Promise((resolve) => setTimeout(resolve, 1000));
-                }
-            }
-        }
+    /**
+     * Steer offline results with the taxonomy: a bookmark on the same site as
+     * a folder's example URL goes to that folder, and with a locked taxonomy
+     * anything the rules placed elsewhere is left for the user to review
+     * @param {Array} result - Offline results, changed in place
+     * @param {Array} batch - Batch of bookmarks
+     * @param {Object} taxonomy - User taxonomy
+     */
+    _applyTaxonomyOffline(result, batch, taxonomy) {
+        if (this.taxonomy.isEmpty(taxonomy)) return;
 
-        throw new Error(
-            `All Cerebras models failed. Last error: ${lastError?.message}`
+        const paths = new Set(
+            this.taxonomy.getPaths(taxonomy).map((path) => path.toLowerCase())
         );
+        const locked = this.taxonomy.isLocked(taxonomy);
+
+        result.forEach((item, index) => {
+            const bookmark =
+                batch.find((b) => b.id === item.bookmarkId) || batch[index];
+            const example = this.taxonomy.matchExampleUrl(
+                taxonomy,
+                bookmark?.url
+            );
+            if (example) {
+                item.category = example;
+                item.confidence = Math.max(item.confidence ?? 0, 0.9);
+                item.reason = "Same site as an example URL of this taxonomy folder";
+            } else if (locked && !paths.has(item.category.toLowerCase())) {
+                item.confidence = 0;
+                item.reason = `"${item.category}" is outside the locked taxonomy`;
+            }
+        });
     }
 
     /**
-     * Process batch with Cerebras API (OpenAI-compatible format) with exponential backoff
-     * @param {string} prompt - Formatted prompt
+     * Move bookmarks to their categorized folders, or return the proposals in plan mode
+     * @param {Array} result - Categorization results for the batch
      * @param {Array} batch - Batch of bookmarks
-     * @param {string} model - Cerebras model name
+     * @param {Function} onMarkAsAIMoved - Optional callback
+     * @param {Object} options - Processing options (planMode, skipGrouping)
      * @returns {Promise<Array>} Batch results
      */
-    async _processWithCerebras(prompt, batch, model) {
-        const maxTokens = this._calculateMaxTokens(batch.length);
-        const requestBody = {
-            model: model,
-            messages: [
-                {
-                    role: "system",
-                    content:
-                        "You are a bookmark categorization expert. Always return valid JSON arrays.",
-                },
-                {
-                    role: "user",
-                    content: prompt,
-                },
-            ],
-            temperature: 0.3,
-            max_tokens: maxTokens,
-        };
-
-        // Exponential backoff retry logic
-        for (
-            let retryAttempt = 0;
-            retryAttempt <= this.maxRetries;
-            retryAttempt++
-        ) {
-            try {
-                const requestStart = Date.now();
-                console.log(
-                    `   🔄 Cerebras ${model} request attempt ${
-                        retryAttempt + 1
-                    }/${this.maxRetries + 1}`
-                );
-
-                const response = await this.requestQueue.enqueue(
-                    async () => {
-                        return await fetch(this.cerebrasBaseUrl, {
-                            method: "POST",
-                            headers: {
-                                "Content-Type": "application/json",
-                                Authorization: `Bearer ${this.cerebrasApiKey}`,
-                            },
-                            body: JSON.stringify(requestBody),
-                        });
-                    },
-                    "cerebras",
-                    "normal"
-                );
+    async _applyBatchResults(result, batch, onMarkAsAIMoved = null, options = {}) {
+        const groupCategory = (category) =>
+            this.categoryGrouper && !options.skipGrouping
+                ? this.categoryGrouper.getGroupedCategory(category)
+                : category;
+
+        // Plan mode: report grouped categories without touching the tree
+        if (options.planMode) {
+            console.log(
+                `📝 PLAN MODE: Collected ${result.length} proposals, no bookmarks moved`
+            );
+            return result.map((item) => ({
+                ...item,
+                category: groupCategory(item.category),
+            }));
+        }
 
-                const responseTime = Date.now() - requestStart;
+        // IMMEDIATELY MOVE each bookmark in the batch after categorization
+        console.log(
+            `🚚 IMMEDIATE BATCH MOVEMENT: Moving ${result.length} bookmarks...`
+        );
 
-                if (response.ok) {
-                    const data = await response.json();
+        const needsReview = [];
+        for (let j = 0; j < result.length; j++) {
+            const item = result[j];
 
-                    if (
-                        data.choices &&
-                        data.choices[0] &&
-                        data.choices[0].message
-                    ) {
-                        const responseText = data.choices[0].message.content;
-                        console.log(
-                            `   ✅ Cerebras ${model} SUCCESS (${responseTime}ms)`
-                        );
+            // Apply category grouping if available
+            const finalCategory = groupCategory(item.category);
 
-                        // Record API usage analytics
-                        if (this.analyticsService) {
-                            await this.analyticsService.recordApiUsage({
-                                provider: "cerebras",
-                                model: model,
-                                success: true,
-                                responseTime,
-                                batchSize: batch.length,
-                                tokensUsed: data.usage?.total_tokens || 0,
-                                retryAttempt: retryAttempt,
-                            });
-                        }
+            // Find original bookmark from batch
+            const bookmark =
+                batch.find((b) => b.id === item.bookmarkId) || batch[j];
 
-                        // Record rate limit tracking
-                        if (this.performanceMonitor) {
-                            await this.performanceMonitor.recordApiRequest(
-                                "cerebras",
-                                true,
-                                false,
-                                false
-                            );
-                        }
+            if (bookmark) {
+                await this._storeConfidence(bookmark.id, item);
+            }
 
-                        return this._parseResponse(responseText, batch);
-                    } else {
-                        throw new Error("Invalid Cerebras API response format");
-                    }
-                } else {
-                    const errorText = await response.text();
-                    const isRateLimitError = response.status === 429;
-                    const isServerError =
-                        response.status === 503 ||
-                        response.status === 500 ||
-                        response.status === 502 ||
-                        response.status === 504;
+            // Unsure results are left in place for the user to review
+            if (
+                bookmark &&
+                typeof item.confidence === "number" &&
+                item.confidence < this.confidenceThreshold
+            ) {
+                item.needsReview = true;
+                needsReview.push({
+                    bookmarkId: bookmark.id,
+                    title: bookmark.title,
+                    url: bookmark.url,
+                    currentFolder: bookmark.currentFolder || "",
+                    suggestedCategory: finalCategory,
+                    suggestedTitle: item.title,
+                    confidence: item.confidence,
+                    reasoning: item.reasoning || item.reason || "",
+                });
+                continue;
+            }
 
-                    console.log(
-                        `   ❌ Cerebras ${model} failed: ${
-                            response.status
-                        } (attempt ${retryAttempt + 1}/${this.maxRetries + 1})`
+            if (bookmark) {
+                try {
+                    await this._moveBookmarkImmediately(
+                        bookmark,
+                        finalCategory,
+                        item.title,
+                        j + 1,
+                        batch.length,
+                        onMarkAsAIMoved
                     );
-                    console.log(
-                        `   Error details: ${errorText.substring(0, 200)}`
+                } catch (moveError) {
+                    console.error(
+                        `❌ Failed to move bookmark ${bookmark.id}:`,
+                        moveError
                     );
+                }
+            }
+        }
 
-                    // Record API failure analytics
-                    if (this.analyticsService) {
-                        await this.analyticsService.recordApiUsage({
-                            provider: "cerebras",
-                            model: model,
-                            success: false,
-                            responseTime,
-                            batchSize: batch.length,
-                            errorType: `${response.status}`,
-                            retryAttempt: retryAttempt,
-                        });
-                    }
-
-                    // Record rate limit tracking
-                    if (this.performanceMonitor) {
-                        const throttled = isRateLimitError;
-                        const rejected = isRateLimitError;
-                        await this.performanceMonitor.recordApiRequest(
-                            "cerebras",
-                            false,
-                            throttled,
-                            rejected
-                        );
-                    }
-
-                    // Check if this is a retryable error
-                    const isRetryableError = isRateLimitError || isServerError;
-
-                    if (!isRetryableError) {
-                        // Non-retryable errors (auth, bad request, etc.)
-                        if (response.status === 401) {
-                            throw new Error(
-                                'Invalid Cerebras API key. Please check your API key (should start with "csk-").'
-                            );
-                        } else if (response.status === 403) {
-                            throw new Error(
-                                "Cerebras API access denied. Please check your API key permissions."
-                            );
-                        } else if (response.status === 400) {
-                            throw new Error(
-                                "Bad request to Cerebras API. Please check your configuration."
-                            );
-                        } else {
-                            throw new Error(
-                                `Cerebras API request failed: ${response.status}. ${errorText}`
-                            );
-                        }
-                    }
-
-                    // If this is the last retry, throw the error
-                    if (retryAttempt >= this.maxRetries) {
-                        if (isRateLimitError) {
-                            throw new Error(
-                                `Cerebras rate limit exceeded after ${
-                                    this.maxRetries + 1
-                                } attempts`
-                            );
-                        } else {
-                            throw new Error(
-                                `Cerebras server error (${
-                                    response.status
-                                }) after ${this.maxRetries + 1} attempts`
-                            );
-                        }
-                    }
-
-                    // Calculate exponential backoff delay with jitter
-                    const baseDelay =
-                        this.baseRetryDelay * Math.pow(2, retryAttempt);
-                    const jitter = Math.random() * 1000; // Add 0-1s jitter
-                    const retryDelay = Math.min(
-                        baseDelay + jitter,
-                        this.maxRetryDelay
-                    );
+        if (needsReview.length > 0) {
+            console.log(
+                `🔍 ${needsReview.length} bookmarks below ${Math.round(this.confidenceThreshold * 100)}% confidence left for review`
+            );
+            await this.reviewQueue.add(needsReview);
+        }
 
-                    console.log(
-                        `   ⏳ Rate limit/server error detected. Retrying in ${Math.round(
-                            retryDelay / 1000
-                        )}s...`
-                    );
-                    await new Promise((resolve) =>
-                        setTimeout(resolve, retryDelay)
-                    );
-                }
-            } catch (_error) {
-                console.log(
-                    `   ❌ Cerebras ${model} error on attempt ${
-                        retryAttempt + 1
-                    }: ${_error.message}`
-                );
+        return result;
+    }
 
-                // If it's a non-retryable error, throw immediately
-                if (
-                    _error.message.includes("Invalid") ||
-                    _error.message.includes("denied") ||
-                    _error.message.includes("Unauthorized") ||
-                    _error.message.includes("Bad request")
-                ) {
-                    throw _error;
-                }
+    /**
+     * Persist a result's confidence and reasoning for folder insights and review
+     * @param {string} bookmarkId - Bookmark ID
+     * @param {Object} item - Categorization result
+     */
+    async _storeConfidence(bookmarkId, item) {
+        if (typeof item.confidence !== "number") return;
 
-                // If this is the last retry, throw the error
-                if (retryAttempt >= this.maxRetries) {
-                    throw _error;
-                }
+        try {
+            await chrome.storage.local.set({
+                [`ai_confidence_${bookmarkId}`]: item.confidence,
+                [`ai_reasoning_${bookmarkId}`]: item.reasoning || item.reason || "",
+            });
+        } catch (_error) {
+            console.warn("Failed to store categorization confidence:", _error);
+        }
+    }
 
-                // Retry with exponential backoff
-                const baseDelay =
-                    this.baseRetryDelay * Math.pow(2, retryAttempt);
-                const jitter = Math.random() * 1000;
-                const retryDelay = Math.min(
-                    baseDelay + jitter,
-                    this.maxRetryDelay
-                );
+    /**
+     * Put the preferred provider's models first. When fallback providers are
+     * disabled, only the preferred provider is used (e.g. keep URLs on a local
+     * server); if it has no usable models the list is empty so the batch is
+     * categorized offline instead of going to another provider.
+     * @param {Array} models - Available models
+     * @param {Object} settings - User settings (aiProvider, enableFallbackProviders)
+     * @returns {Array} Ordered models
+     */
+    _orderModelsByPreference(models, settings = {}) {
+        const preferred = settings.aiProvider || "auto";
+        if (preferred === "auto") {
+            return models;
+        }
 
-                console.log(
-                    `   ⏳ Network/timeout error. Retrying in ${Math.round(
-                        retryDelay / 1000
-                    )}s...`
+        const preferredModels = models.filter((m) => m.provider === preferred);
+        if (settings.enableFallbackProviders === false) {
+            if (preferredModels.length === 0) {
+                console.warn(
+                    `⚠️ Preferred provider "${preferred}" is unavailable and fallback providers are disabled, using offline rules`
                 );
-                await new Promise((resolve) => setTimeout(resolve, retryDelay));
             }
+            return preferredModels;
         }
 
-        throw new Error(
-            `Cerebras ${model} failed after ${this.maxRetries + 1} attempts`
-        );
+        if (preferredModels.length === 0) {
+            console.warn(
+                `⚠️ Preferred provider "${preferred}" is not configured, using all providers`
+            );
+            return models;
+        }
+
+        return [
+            ...preferredModels,
+            ...models.filter((m) => m.provider !== preferred),
+        ];
     }
 
     /**
-     * Process batch with Groq API (OpenAI-compatible format) with exponential backoff
-     * @param {string} prompt - Formatted prompt
+     * Categorize a batch with one model. Providers with structured output are
+     * held to the categorization schema; every reply is validated and only the
+     * bookmarks whose entries failed are asked again, up to
+     * MAX_VALIDATION_REASKS times.
+     * @param {Object} model - Model from the provider registry: {name, provider}
      * @param {Array} batch - Batch of bookmarks
-     * @param {string} model - Groq model name
-     * @returns {Promise<Array>} Batch results
+     * @param {Array} categories - Available categories
+     * @param {Object} learningData - Learning data
+     * @returns {Promise<Array>} Batch results in batch order
      */
-    async _processWithGroq(prompt, batch, model) {
-        const maxTokens = this._calculateMaxTokens(batch.length);
-        const requestBody = {
-            model: model,
-            messages: [
-                {
-                    role: "system",
-                    content:
-                        "You are a bookmark categorization expert. Always return valid JSON arrays.",
-                },
-                {
-                    role: "user",
-                    content: prompt,
-                },
-            ],
-            temperature: 0.3,
-            max_tokens: maxTokens,
-        };
+    async _processWithModel(model, batch, categories, learningData) {
+        const adapter = this.providers.get(model.provider);
+        const { taxonomy, guide } = await this._getTaxonomyGuide();
+        const locked = this.taxonomy.isLocked(taxonomy);
+        const fallbackCategory = this.taxonomy.getFallbackCategory(guide);
+        // The prompt offers existing folders alongside the categories,
+        // unless a locked taxonomy allows its own folders only
+        let allowedCategories = categories;
+        if (locked) {
+            allowedCategories = this.taxonomy.getPaths(taxonomy);
+        } else if (categories.length > 0) {
+            allowedCategories = [
+                ...categories,
+                ...(await this._getExistingFolderStructure()),
+            ];
+        }
+        const schema = adapter?.supportsStructuredOutput(model.name)
+            ? this.categorizationSchema.getJsonSchema(
+                  locked ? allowedCategories : null
+              )
+            : null;
+        const results = new Map();
+        let remaining = batch;
+        let problems = new Map();
 
-        // Exponential backoff retry logic
         for (
-            let retryAttempt = 0;
-            retryAttempt <= this.maxRetries;
-            retryAttempt++
+            let reask = 0;
+            reask <= this.MAX_VALIDATION_REASKS && remaining.length > 0;
+            reask++
         ) {
-            try {
-                const requestStart = Date.now();
+            if (reask > 0) {
                 console.log(
-                    `   🔄 Groq ${model} request attempt ${retryAttempt + 1}/${
-                        this.maxRetries + 1
-                    }`
-                );
-
-                const response = await this.requestQueue.enqueue(
-                    async () => {
-                        return await fetch(this.groqBaseUrl, {
-                            method: "POST",
-                            headers: {
-                                "Content-Type": "application/json",
-                                Authorization: `Bearer ${this.groqApiKey}`,
-                            },
-                            body: JSON.stringify(requestBody),
-                        });
-                    },
-                    "groq",
-                    "normal"
+                    `   🔁 Asking ${model.name} again for ${remaining.length} invalid entries (${reask}/${this.MAX_VALIDATION_REASKS})`
                 );
+            }
+            let prompt = await this._buildPrompt(
+                remaining,
+                categories,
+                learningData
+            );
+            if (problems.size > 0) {
+                prompt += this._buildValidationFeedback(problems);
+            }
 
-                const responseTime = Date.now() - requestStart;
-
-                if (response.ok) {
-                    const data = await response.json();
-
-                    if (
-                        data.choices &&
-                        data.choices[0] &&
-                        data.choices[0].message
-                    ) {
-                        const responseText = data.choices[0].message.content;
-                        console.log(
-                            `   ✅ Groq ${model} SUCCESS (${responseTime}ms)`
-                        );
-
-                        // Record API usage analytics
-                        if (this.analyticsService) {
-                            await this.analyticsService.recordApiUsage({
-                                provider: "groq",
-                                model: model,
-                                success: true,
-                                responseTime,
-                                batchSize: batch.length,
-                                tokensUsed: data.usage?.total_tokens || 0,
-                                retryAttempt: retryAttempt,
-                            });
-                        }
-
-                        // Record rate limit tracking
-                        if (this.performanceMonitor) {
-                            await this.performanceMonitor.recordApiRequest(
-                                "groq",
-                                true,
-                                false,
-                                false
-                            );
-                        }
-
-                        return this._parseResponse(responseText, batch);
-                    } else {
-                        throw new Error("Invalid Groq API response format");
-                    }
-                } else {
-                    const errorText = await response.text();
-                    const isRateLimitError = response.status === 429;
-                    const isServerError =
-                        response.status === 503 ||
-                        response.status === 500 ||
-                        response.status === 502 ||
-                        response.status === 504;
-
-                    console.log(
-                        `   ❌ Groq ${model} failed: ${
-                            response.status
-                        } (attempt ${retryAttempt + 1}/${this.maxRetries + 1})`
-                    );
-                    console.log(
-                        `   Error details: ${errorText.substring(0, 200)}`
-                    );
-
-                    // Record API failure analytics
-                    if (this.analyticsService) {
-                        await this.analyticsService.recordApiUsage({
-                            provider: "groq",
-                            model: model,
-                            success: false,
-                            responseTime,
-                            batchSize: batch.length,
-                            errorType: `${response.status}`,
-                            retryAttempt: retryAttempt,
-                        });
-                    }
-
-                    // Record rate limit tracking
-                    if (this.performanceMonitor) {
-                        const throttled = isRateLimitError;
-                        const rejected = isRateLimitError;
-                        await this.performanceMonitor.recordApiRequest(
-                            "groq",
-                            false,
-                            throttled,
-                            rejected
-                        );
-                    }
-
-                    // Check if this is a retryable error
-                    const isRetryableError = isRateLimitError || isServerError;
-
-                    if (!isRetryableError) {
-                        // Non-retryable errors (auth, bad request, etc.)
-                        if (response.status === 401) {
-                            throw new Error(
-                                'Invalid Groq API key. Please check your API key (should start with "gsk_").'
-                            );
-                        } else if (response.status === 403) {
-                            throw new Error(
-                                "Groq API access denied. Please check your API key permissions."
-                            );
-                        } else if (response.status === 400) {
-                            throw new Error(
-                                "Bad request to Groq API. Please check your configuration."
-                            );
-                        } else {
-                            throw new Error(
-                                `Groq API request failed: ${response.status}. ${errorText}`
-                            );
-                        }
-                    }
-
-                    // If this is the last retry, throw the error
-                    if (retryAttempt >= this.maxRetries) {
-                        if (isRateLimitError) {
-                            throw new Error(
-                                `Groq rate limit exceeded after ${
-                                    this.maxRetries + 1
-                                } attempts`
-                            );
-                        } else {
-                            throw new Error(
-                                `Groq server error (${response.status}) after ${
-                                    this.maxRetries + 1
-                                } attempts`
-                            );
-                        }
-                    }
-
-                    // Calculate exponential backoff delay with jitter
-                    const baseDelay =
-                        this.baseRetryDelay * Math.pow(2, retryAttempt);
-                    const jitter = Math.random() * 1000; // Add 0-1s jitter
-                    const retryDelay = Math.min(
-                        baseDelay + jitter,
-                        this.maxRetryDelay
-                    );
-
-                    console.log(
-                        `   ⏳ Rate limit/server error detected. Retrying in ${Math.round(
-                            retryDelay / 1000
-                        )}s...`
-                    );
-                    await new Promise((resolve) =>
-                        setTimeout(resolve, retryDelay)
-                    );
-                }
-            } catch (_error) {
-                console.log(
-                    `   ❌ Groq ${model} error on attempt ${
-                        retryAttempt + 1
-                    }: ${_error.message}`
-                );
-
-                // If it's a non-retryable error, throw immediately
-                if (
-                    _error.message.includes("Invalid") ||
-                    _error.message.includes("denied") ||
-                    _error.message.includes("Unauthorized") ||
-                    _error.message.includes("Bad request")
-                ) {
-                    throw _error;
-                }
-
-                // If this is the last retry, throw the error
-                if (retryAttempt >= this.maxRetries) {
-                    throw _error;
+            const completion = await this._requestCompletion(
+                model,
+                [
+                    {
+                        role: "system",
+                        content: this.CATEGORIZATION_SYSTEM_PROMPT,
+                    },
+                    { role: "user", content: prompt },
+                ],
+                {
+                    maxTokens: this._calculateMaxTokens(
+                        remaining.length,
+                        model
+                    ),
+                    batchSize: remaining.length,
+                    schema,
                 }
+            );
+            await this._recordTokenEstimate(model, remaining.length, {
+                estimatedInputTokens: this.tokenBatcher.estimateTokens(
+                    `${this.CATEGORIZATION_SYSTEM_PROMPT}\n${prompt}`
+                ),
+                estimatedOutputTokens:
+                    remaining.length * this.OUTPUT_TOKENS_PER_BOOKMARK +
+                    this.OUTPUT_TOKEN_OVERHEAD,
+                actualInputTokens: completion.inputTokens,
+                actualOutputTokens: completion.outputTokens,
+            });
+            const { text } = completion;
+            const parsed = this._parseResponse(
+                text,
+                remaining,
+                allowedCategories,
+                { exact: locked, fallbackCategory }
+            );
+            for (const result of parsed.results) {
+                results.set(result.bookmarkId, result);
+            }
 
-                // Retry with exponential backoff
-                const baseDelay =
-                    this.baseRetryDelay * Math.pow(2, retryAttempt);
-                const jitter = Math.random() * 1000;
-                const retryDelay = Math.min(
-                    baseDelay + jitter,
-                    this.maxRetryDelay
-                );
+            // Renumber the failed entries for the follow-up prompt
+            const failed = [...parsed.problems.keys()].sort((a, b) => a - b);
+            problems = new Map(
+                failed.map((position, index) => [
+                    index + 1,
+                    parsed.problems.get(position),
+                ])
+            );
+            remaining = failed.map((position) => remaining[position - 1]);
+        }
 
-                console.log(
-                    `   ⏳ Network/timeout error. Retrying in ${Math.round(
-                        retryDelay / 1000
-                    )}s...`
-                );
-                await new Promise((resolve) => setTimeout(resolve, retryDelay));
-            }
+        if (remaining.length > 0) {
+            const error = new Error(
+                `${model.name} returned invalid entries for ${
+                    remaining.length
+                } bookmarks: ${[...problems.values()].slice(0, 3).join("; ")}`
+            );
+            error.invalidResponse = true;
+            throw error;
         }
 
-        throw new Error(
-            `Groq ${model} failed after ${this.maxRetries + 1} attempts`
-        );
+        return batch.map((bookmark, index) => ({
+            ...results.get(bookmark.id),
+            id: index + 1,
+        }));
     }
 
     /**
-     * Process single Gemini model request
-     * @param {Array} batch - Batch of bookmarks
-     * @param {Array} categories - Available categories
-     * @param {Object} learningData - Learning data
-     * @param {string} modelName - Gemini model name
-     * @returns {Promise<Array>} Batch results
+     * Tell the model why its previous entries were rejected
+     * @param {Map<number, string>} problems - Reasons by bookmark position
+     * @returns {string} Prompt section
      */
-    async _processWithGemini(batch, categories, learningData, modelName) {
-        const prompt = await this._buildPrompt(batch, categories, learningData);
-        const requestBody = {
-            contents: [
-                {
-                    parts: [
-                        {
-                            text: prompt,
-                        },
-                    ],
-                },
-            ],
-        };
-
-        const url = this.baseUrlTemplate.replace("{model}", modelName);
+    _buildValidationFeedback(problems) {
+        let feedback =
+            "\n\n**YOUR PREVIOUS ANSWER FOR THESE BOOKMARKS WAS REJECTED:**";
+        for (const [position, problem] of problems) {
+            feedback += `\n- Bookmark ${position}: ${problem}`;
+        }
+        feedback +=
+            "\nReturn a corrected entry for every bookmark listed above.";
+        return feedback;
+    }
 
-        const requestStart = Date.now();
-        const response = await fetch(url, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "x-goog-api-key": this.apiKey,
-            },
-            body: JSON.stringify(requestBody),
+    /**
+     * Send chat messages to one model through the request queue. The model's
+     * provider adapter builds the request, reads the reply and classifies
+     * failures. Each attempt reads the body inside the queue's timeout, and the
+     * queue retries network failures, timeouts, rate limits and server errors
+     * with exponential backoff from one retry budget. Errors carry the HTTP
+     * status and whether it was a rate limit.
+     * @param {Object} model - Model from the provider registry: {name, provider}
+     * @param {Array} messages - Chat messages: {role, content}
+     * @param {Object} options - Request options
+     * @param {number} options.maxTokens - Maximum tokens to generate
+     * @param {string} options.priority - Queue priority
+     * @param {number} options.batchSize - Bookmarks in the request, for analytics
+     * @param {number} options.retries - Retries after the first attempt
+     * @param {Object|null} options.schema - JSON schema for the reply, for providers that support it
+     * @returns {Promise<Object>} {text, tokensUsed, inputTokens, outputTokens, responseTime}
+     */
+    async _requestCompletion(
+        model,
+        messages,
+        {
+            maxTokens = 4096,
+            priority = "normal",
+            batchSize = 0,
+            retries = this.maxRetries,
+            schema = null,
+        } = {}
+    ) {
+        const adapter = this.providers.get(model.provider);
+        if (!adapter?.isConfigured()) {
+            throw new Error(`${adapter?.name || model.provider} is not configured`);
+        }
+        const { url, init } = adapter.buildRequest({
+            model: model.name,
+            messages,
+            maxTokens,
+            schema,
         });
-        const responseTime = Date.now() - requestStart;
+        const label = `${adapter.name} ${model.name}`;
+        let attempts = 0;
 
-        if (response.ok) {
-            const data = await response.json();
+        return await this.requestQueue.enqueue(
+            async (signal) => {
+                const retryAttempt = attempts++;
+                console.log(
+                    `   🔄 ${label} request attempt ${retryAttempt + 1}/${retries + 1}`
+                );
 
-            if (
-                data.candidates &&
-                data.candidates[0] &&
-                data.candidates[0].content
-            ) {
-                const responseText = data.candidates[0].content.parts[0].text;
-                console.log(`✅ SUCCESS with ${modelName}`);
-
-                // Record API usage analytics
-                if (this.analyticsService) {
-                    await this.analyticsService.recordApiUsage({
-                        provider: "gemini",
-                        model: modelName,
-                        success: true,
-                        responseTime,
-                        batchSize: batch.length,
-                        tokensUsed: data.usageMetadata?.totalTokenCount || 0,
-                    });
-                }
+                const requestStart = Date.now();
+                const response = await fetch(url, { ...init, signal });
+                const body = response.ok
+                    ? await response.json()
+                    : await response.text();
+                const usage = {
+                    provider: adapter.id,
+                    model: model.name,
+                    responseTime: Date.now() - requestStart,
+                    batchSize,
+                    retryAttempt,
+                };
 
-                return this._parseResponse(responseText, batch);
-            } else {
-                throw new Error("Invalid API response format");
-            }
-        } else {
-            const errorText = await response.text();
-            console.error(
-                `❌ ${modelName} failed:`,
-                response.status,
-                errorText
-            );
+                if (response.ok) {
+                    const { text, tokensUsed, inputTokens, outputTokens } =
+                        adapter.parseResponse(body);
+                    console.log(`   ✅ ${label} SUCCESS (${usage.responseTime}ms)`);
+                    await this._recordApiRequest(usage, { success: true, tokensUsed });
+                    return {
+                        text,
+                        tokensUsed,
+                        inputTokens: inputTokens || 0,
+                        outputTokens: outputTokens || 0,
+                        responseTime: usage.responseTime,
+                    };
+                }
 
-            // Record API failure analytics
-            if (this.analyticsService) {
-                await this.analyticsService.recordApiUsage({
-                    provider: "gemini",
-                    model: modelName,
+                const failure = adapter.classifyError(response.status, body);
+                console.log(
+                    `   ❌ ${label} failed: ${response.status} (attempt ${
+                        retryAttempt + 1
+                    }/${retries + 1})`
+                );
+                console.log(`   Error details: ${body.substring(0, 200)}`);
+                await this._recordApiRequest(usage, {
                     success: false,
-                    responseTime,
-                    batchSize: batch.length,
                     errorType: `${response.status}`,
+                    rateLimited: failure.rateLimited,
                 });
-            }
 
-            // Handle specific error types
-            if (response.status === 401) {
-                throw new Error(
-                    "Invalid API key. Please check your Gemini API key in settings."
-                );
-            } else if (response.status === 403) {
-                throw new Error(
-                    "API access denied. Please check your API key permissions."
-                );
-            } else if (response.status === 400) {
-                throw new Error(
-                    "Bad request. Please check your API key format."
-                );
-            } else {
-                throw new Error(
-                    `Gemini API request failed: ${response.status}. ${errorText}`
+                if (failure.quotaResetSeconds) {
+                    await this._markQuotaExhausted(
+                        adapter.id,
+                        failure.quotaResetSeconds
+                    );
+                }
+                const error = new Error(
+                    failure.quotaResetSeconds
+                        ? await this._getQuotaExhaustedMessage(adapter.id)
+                        : failure.message
                 );
-            }
+                error.status = response.status;
+                error.rateLimited = failure.rateLimited;
+                // An exhausted quota will not recover within the retries
+                error.retryable = failure.retryable && !failure.quotaResetSeconds;
+                throw error;
+            },
+            adapter.id,
+            priority,
+            { maxRetries: retries }
+        );
+    }
+
+    /**
+     * Record a provider request for analytics and rate limit tracking
+     * @param {Object} usage - {provider, model, responseTime, batchSize, retryAttempt}
+     * @param {Object} outcome - Request outcome
+     * @param {boolean} outcome.success - Whether the provider answered
+     * @param {number} outcome.tokensUsed - Tokens used by a successful request
+     * @param {string} outcome.errorType - HTTP status of a failed request
+     * @param {boolean} outcome.rateLimited - Whether the provider throttled the request
+     */
+    async _recordApiRequest(
+        usage,
+        { success, tokensUsed = 0, errorType = null, rateLimited = false }
+    ) {
+        if (this.analyticsService) {
+            await this.analyticsService.recordApiUsage({
+                ...usage,
+                success,
+                ...(success ? { tokensUsed } : { errorType }),
+            });
+        }
+
+        if (this.performanceMonitor) {
+            await this.performanceMonitor.recordApiRequest(
+                usage.provider,
+                success,
+                rateLimited,
+                rateLimited
+            );
+        }
+    }
+
+    /**
+     * Record how the batcher's token estimates compare with what the provider
+     * counted. Skipped when the provider does not report usage.
+     * @param {Object} model - Model from the provider registry: {name, provider}
+     * @param {number} batchSize - Bookmarks in the request
+     * @param {Object} tokens - {estimatedInputTokens, estimatedOutputTokens, actualInputTokens, actualOutputTokens}
+     */
+    async _recordTokenEstimate(model, batchSize, tokens) {
+        if (!this.analyticsService || !tokens.actualInputTokens) {
+            return;
+        }
+        try {
+            await this.analyticsService.recordTokenEstimate({
+                provider: model.provider,
+                model: model.name,
+                batchSize,
+                ...tokens,
+            });
+        } catch (_error) {
+            console.warn("⚠️ Failed to record token estimate:", _error.message);
         }
     }
 
     /**
-     * Build prompt for Gemini API
+     * Build the categorization prompt
      * @param {Array} bookmarks - Bookmarks to categorize
      * @param {Array} categories - Available categories
      * @param {Object} learningData - Learning data
      * @returns {string} Formatted prompt
      */
     async _buildPrompt(bookmarks, categories, learningData) {
-        // Get existing folder structure to include in prompt
-        const existingFolders = await this._getExistingFolderStructure();
+        const { taxonomy, guide } = await this._getTaxonomyGuide();
+        const locked = this.taxonomy.isLocked(taxonomy);
+        const fallbackCategory = this.taxonomy.getFallbackCategory(guide);
+        // Get existing folder structure to include in prompt; a locked taxonomy replaces it
+        const existingFolders = locked
+            ? []
+            : await this._getExistingFolderStructure();
 
         let prompt = `**Role:** Smart Bookmark Categorization and Title Optimization Expert
 **Task:** Analyze the following bookmarks and assign each to the most appropriate practical category, and generate clear, descriptive titles.
@@ -3632,10 +3414,12 @@ Return only the JSON array with properly formatted category names, no additional
 ${
     existingFolders.length > 0
         ? existingFolders.map((folder) => `- ${folder}`).join("\n")
-        : "- No existing folders found"
+        : locked
+          ? "- Not available: the user taxonomy below is locked"
+          : "- No existing folders found"
 }
 
-**Available Categories:** ${categories.join(", ")}
+**Available Categories:** ${categories.join(", ")}${this.taxonomy.toPromptSection(taxonomy)}
 
 **CRITICAL CATEGORIZATION INSTRUCTIONS:**
 - **NEVER USE "OTHER":** ABSOLUTELY FORBIDDEN to use "Other" category - ALL bookmarks must be categorized into specific functional categories
@@ -3643,45 +3427,20 @@ ${
 - **ANALYZE CURRENT CATEGORY:** Look at the bookmark's current category and determine if it's appropriate
 - **CHANGE WRONG CATEGORIES:** If the current category is incorrect, assign the correct one from the available list
 - **CONTENT-BASED CATEGORIZATION:** Use URL domain, path, title, and content type to determine the correct category
-- **FUNCTIONAL GROUPING:** Group services by what they DO, not who provides them
-- **FALLBACK STRATEGY:** If unsure, use "Tools > Utilities" for general tools, but prefer specific functional categories
+- **USE PAGE CONTEXT:** When a bookmark lists a description, headings, keywords or a text snippet from the page, trust them over vague titles like "Home", "Dashboard" or "Login"
+- **FOLLOW THE ORGANIZING RULES:** Apply the organizing rules below when choosing between categories
+- **FALLBACK STRATEGY:** If unsure, use "${fallbackCategory}", but prefer specific functional categories
 - **RESPECT CONTENT TYPE:** Match the actual content type to appropriate functional categories
 - **USE RISK FLAGS:** Pay attention to risk flags and categorize accordingly
 - **USER-FRIENDLY:** Choose categories that users will easily understand and remember
 
-**FUNCTIONAL CATEGORIZATION RULES BY CONTENT TYPE (FMHY-Style):**
-- **Cloud Storage Services:** Should go to "Tools > File Tools > Cloud Storage" (Google Drive, Dropbox, OneDrive, MEGA, pCloud)
-- **VPN Services:** Should go to "Adblocking / Privacy > VPN" (ProtonVPN, Mullvad, AirVPN, Windscribe)
-- **Password Managers/2FA:** Should go to "Adblocking / Privacy > Password Privacy / 2FA" (KeePassXC, Aegis, 2FAS)
-- **Encrypted Messengers:** Should go to "Adblocking / Privacy > Encrypted Messengers" (Signal, Matrix, Wire)
-- **Search Engines:** Should go to "Web Privacy > Search Engines" (DuckDuckGo, Brave Search, Startpage)
-- **Antivirus/Security:** Should go to "Adblocking / Privacy > Antivirus / Anti-Malware" (Malwarebytes, ESET)
-- **DNS Services:** Should go to "Adblocking / Privacy > DNS Adblocking" (Pi-Hole, AdGuard DNS, NextDNS)
-- **Virtual Machines:** Should go to "Tools > System Tools > Virtual Machines" (VMware, VirtualBox, QEMU)
-- **Code Repositories:** Should go to "Development > Code Repositories" (GitHub, GitLab, Bitbucket)
-- **Streaming Services:** Should go to "Entertainment > Streaming" (Netflix, YouTube, Twitch, Spotify)
-- **E-commerce Sites:** Should go to "Shopping > E-commerce" (Amazon, eBay, Etsy)
-- **Privacy Guides:** Should go to "Education > Privacy Guides" (Privacy Guides, The New Oil)
-
-**FUNCTIONAL CATEGORIZATION EXAMPLES (Based on FMHY Structure):**
-- ✅ GOOD: "Adblocking / Privacy > VPN" (ProtonVPN, Mullvad, AirVPN - grouped by function)
-- ✅ GOOD: "Tools > File Tools > Cloud Storage" (Google Drive, Dropbox, OneDrive - grouped by what they do)
-- ✅ GOOD: "Adblocking / Privacy > Encrypted Messengers" (Signal, Matrix, Wire - grouped by function)
-- ✅ GOOD: "Education > Privacy Guides" (Privacy Guides, The New Oil - grouped by content type)
-- ✅ GOOD: "Web Privacy > Search Engines" (DuckDuckGo, Brave Search, Startpage - grouped by function)
-- ❌ WRONG: "Google > Drive" (organized by service provider, not function)
-- ❌ WRONG: "Microsoft > OneDrive" (organized by company, not what it does)
-- ❌ WRONG: "Popular Tools" (catch-all category, not functional)
+${this._buildGuideSection(guide, this.taxonomy.isEmpty(taxonomy))}
 
 **FUNCTIONAL CATEGORIZATION RULES:**
 - Use MAXIMUM 2-3 levels of hierarchy for ALL bookmarks
-- Organize by FUNCTION/PURPOSE, not by service provider or company name
-- Group services that do the same thing together (e.g., all cloud storage services together)
-- Categories should describe WHAT THE SERVICE DOES, not WHO PROVIDES IT
-- Follow FMHY-style functional organization: Category > Subcategory > Item
-- Cloud storage should contain ALL cloud storage services (Google Drive, Dropbox, OneDrive, etc.)
-- VPN category should contain ALL VPN services (ProtonVPN, Mullvad, etc.)
-- Never create categories named after specific companies or services
+- Follow the organizing rules above when several categories could fit
+- Put bookmarks that do the same thing in the same category
+- Never use a category that contradicts the organizing rules
 
 **TITLE GENERATION INSTRUCTIONS:**
 - **GENERATE IMPROVED TITLES:** Create descriptive, clear titles for each bookmark
@@ -3728,83 +3487,60 @@ Based on previous user corrections and manual categorizations, follow these patt
 
         prompt += "\n\n**Bookmarks to Categorize:**";
 
-        bookmarks.forEach((bookmark, index) => {
-            const title = bookmark.title || "Untitled";
-            const url = bookmark.url || "";
-            const currentFolder = bookmark.currentFolderName || "Root";
-            const folderPath = bookmark.currentFolder || "Root";
-            let domain = "unknown";
-            let urlPath = "";
-
-            try {
-                if (url) {
-                    const urlObj = new URL(url);
-                    domain = urlObj.hostname.replace("www.", "");
-                    urlPath = urlObj.pathname + urlObj.search;
-                }
-            } catch (e) {
-                domain = "invalid-url";
-            }
+        // Split the page context budget between bookmarks that have any
+        const withContent = bookmarks.filter((b) => b.pageContent).length;
+        const pageContextTokens = withContent
+            ? Math.min(
+                  this.PAGE_CONTEXT_MAX_TOKENS,
+                  Math.floor(this.PAGE_CONTEXT_TOKEN_BUDGET / withContent)
+              )
+            : 0;
 
-            // Extract additional context from URL and title
-            const urlKeywords = this._extractUrlKeywords(url, title);
-            const contentType = this._detectContentType(url, title);
-            const riskFlags = this._detectRiskFlags(url, title);
-
-            prompt += `\n${index + 1}. BOOKMARK ANALYSIS:`;
-            prompt += `\n   Current Title: "${title}"`;
-            prompt += `\n   Current Category: "${currentFolder}" (Path: ${folderPath})`;
-            prompt += `\n   Domain: "${domain}"`;
-            prompt += `\n   URL Path: "${urlPath}"`;
-            prompt += `\n   Full URL: "${url}"`;
-            prompt += `\n   Content Type: ${contentType}`;
-            prompt += `\n   Keywords: ${urlKeywords.join(", ")}`;
-            if (riskFlags.length > 0) {
-                prompt += `\n   ⚠️ RISK FLAGS: ${riskFlags.join(", ")}`;
-            }
-            prompt += "\n   ---";
+        bookmarks.forEach((bookmark, index) => {
+            prompt += this._formatBookmarkForPrompt(
+                bookmark,
+                index,
+                pageContextTokens
+            );
         });
 
         prompt += `\n\n**OUTPUT REQUIREMENTS:**
 - Return JSON array with same number of items as input bookmarks
-- Each item must have 'id' (bookmark position 1-${bookmarks.length}), 'category' (full hierarchical path), 'title' (improved descriptive title), 'confidence' (0.0-1.0), and 'categoryChanged' (true/false)
+- Each item must have 'id' (bookmark position 1-${bookmarks.length}), 'category' (full hierarchical path), 'title' (improved descriptive title), 'confidence' (0.0-1.0), 'reasoning' (one short sentence on why this category fits), and 'categoryChanged' (true/false)
+- **CALIBRATE CONFIDENCE:** Use 0.9+ only when the URL or title clearly shows what the site is, around 0.6 when you are inferring from weak hints, and below 0.4 when you are guessing. Low-confidence bookmarks are shown to the user for review, so do not inflate it
 - **ABSOLUTELY NO "OTHER" CATEGORY:** NEVER use "Other" - this is strictly forbidden
 - **MANDATORY SPECIFIC CATEGORIZATION:** Every bookmark MUST be assigned to a specific functional category
 - **ANALYZE CURRENT CATEGORY:** Compare the current category with the correct category based on content analysis
 - **CHANGE WRONG CATEGORIES:** If current category is incorrect, assign the correct one and set 'categoryChanged': true
 - **USE EXACT CATEGORY NAMES:** Select categories from the available list using their exact capitalization and formatting
-- **MAINTAIN PROPER FORMATTING:** Category must be the full path with proper capitalization (e.g., "Adblocking / Privacy > VPN")
+- **MAINTAIN PROPER FORMATTING:** Category must be the full path with proper capitalization (e.g., "${
+            this.taxonomy.getPaths(guide).find((path) => path.includes(" > ")) ||
+            fallbackCategory
+        }")
 - **TECHNICAL TERMS:** Ensure technical terms in categories are properly capitalized (JavaScript, API, UI, etc.)
 - **FUNCTIONAL CATEGORIZATION:** Match actual content to appropriate functional categories based on what the service DOES
 - **FOLLOW LEARNING DATA:** Prioritize user-corrected patterns from learning data
-- **FALLBACK STRATEGY:** If genuinely unsure, use "Tools > Utilities" but prefer specific functional categories
-- Title must be descriptive and informative, based on URL domain and content context
+- **FALLBACK STRATEGY:** If genuinely unsure, use "${fallbackCategory}" but prefer specific functional categories
+- **STAY IN THE TAXONOMY:** ${
+            locked
+                ? "Each category must be exactly one of the locked user taxonomy folders; any other category, including subfolders of them, is rejected"
+                : 'Each category must be an existing folder, one of the Available Categories, or a subcategory of one (e.g., "Development > Documentation" under "Development"); other categories are rejected'
+        }
+- Title must be descriptive and informative, based on URL domain and content context, and at most ${this.categorizationSchema.maxTitleLength} characters
 - Choose the most appropriate functional category that describes what the service does
 - Consider URL domain, title content, risk flags, and content type for accurate functional categorization
 - Prefer practical, functional categories that group services by their purpose
 
-**EXAMPLE OUTPUT (FMHY-Style Functional Categories - NO "OTHER" ALLOWED):**
-[
-  {"id": 1, "category": "Development > Documentation", "title": "React Documentation - JavaScript Library Guide", "confidence": 0.9, "categoryChanged": false},
-  {"id": 2, "category": "Tools > File Tools > Cloud Storage", "title": "Google Drive - Cloud Storage Service", "confidence": 0.8, "categoryChanged": true},
-  {"id": 3, "category": "Adblocking / Privacy > VPN", "title": "ProtonVPN - Privacy-Focused VPN Service", "confidence": 0.9, "categoryChanged": true},
-  {"id": 4, "category": "Tools > Utilities", "title": "Generic Tool - General Utility", "confidence": 0.7, "categoryChanged": true}
-]
-
-**FUNCTIONAL CATEGORIZATION EXAMPLES (FMHY-Style):**
-- Google Drive currently in "Google Services" → Should be "Tools > File Tools > Cloud Storage" (categoryChanged: true)
-- ProtonVPN currently in "VPN Services" → Should be "Adblocking / Privacy > VPN" (categoryChanged: true)
-- GitHub repo currently in "Uncategorized" → Should be "Development > Code Repositories" (categoryChanged: true)
-- Signal app currently in "Communication" → Should be "Adblocking / Privacy > Encrypted Messengers" (categoryChanged: true)
-- DuckDuckGo currently in "Search" → Should be "Web Privacy > Search Engines" (categoryChanged: true)
+**EXAMPLE OUTPUT (NO "OTHER" ALLOWED):**
+${this._buildExampleOutput(guide, fallbackCategory)}
 
 **FINAL INSTRUCTIONS:**
 - **ABSOLUTELY NO "OTHER" CATEGORY ALLOWED** - completely forbidden
-- **CREATE UNLIMITED CATEGORIES** - generate as many specific functional categories as needed
+- **CREATE UNLIMITED SUBCATEGORIES** - generate as many specific functional subcategories under the Available Categories as needed
 - **BE COMPREHENSIVE** - create detailed, specific categories for every type of service found
 - **NO CATEGORY LIMITS** - don't restrict yourself to a small number of categories
 - Every bookmark must be categorized into a specific functional category
-- If you cannot determine the exact function, create a new appropriate category or use "Tools > Utilities"
+- If you cannot determine the exact function, create a new appropriate subcategory or use "${fallbackCategory}"
 - Prioritize comprehensive, detailed organization over simplicity
 
 Return only the JSON array, no additional text or formatting`;
@@ -3813,12 +3549,170 @@ Return only the JSON array, no additional text or formatting`;
     }
 
     /**
-     * Parse API response
+     * Get the saved taxonomy and the guide whose rules and examples steer the
+     * prompts: the taxonomy once it has folders, the default template until then
+     * @returns {Promise<Object>} {taxonomy, guide}
+     */
+    async _getTaxonomyGuide() {
+        const taxonomy = await this.taxonomy.getTaxonomy();
+        const guide = this.taxonomy.isEmpty(taxonomy)
+            ? this.taxonomyTemplates.getDefaultTemplate()
+            : taxonomy;
+        return { taxonomy, guide };
+    }
+
+    /**
+     * Pick the guide folders worth showing as examples: those with a
+     * description or example URLs, capped so big trees keep prompts short
+     * @param {Object} guide - Taxonomy or template
+     * @returns {Array<Object>} Flattened folders, see Taxonomy.flatten()
+     */
+    _getGuideExamples(guide) {
+        return this.taxonomy
+            .flatten(guide)
+            .filter((folder) => folder.description || folder.exampleUrls.length > 0)
+            .slice(0, this.MAX_PROMPT_EXAMPLE_FOLDERS);
+    }
+
+    /**
+     * Describe a guide's organizing rules, and optionally its example folders,
+     * for a prompt
+     * @param {Object} guide - Taxonomy or template
+     * @param {boolean} withFolders - Also list example folders; the saved
+     *   taxonomy's folders already have their own prompt section
+     * @returns {string} Prompt section
+     */
+    _buildGuideSection(guide, withFolders) {
+        const name = guide.name || "User Taxonomy";
+        const rules =
+            guide.guidance.length > 0
+                ? guide.guidance
+                : [
+                      "Group bookmarks by what they are used for",
+                      "Follow the naming and nesting of the taxonomy folders",
+                  ];
+
+        let section = `**ORGANIZING RULES (${name}):**`;
+        for (const rule of rules) {
+            section += `\n- ${rule}`;
+        }
+        section += `\n- If nothing fits, use "${this.taxonomy.getFallbackCategory(guide)}"`;
+
+        if (withFolders) {
+            section += `\n\n**CATEGORY EXAMPLES (${name}):**`;
+            for (const folder of this._getGuideExamples(guide)) {
+                const details = [
+                    folder.description,
+                    folder.exampleUrls
+                        .map((url) => url.replace(/^https?:\/\//, "").replace(/\/$/, ""))
+                        .join(", "),
+                ].filter((detail) => detail);
+                section += `\n- ✅ "${folder.path}" (${details.join(": ")})`;
+            }
+        }
+        return section;
+    }
+
+    /**
+     * Build the example reply for the categorization prompt from guide folders
+     * that list example URLs, ending with a low-confidence fallback entry
+     * @param {Object} guide - Taxonomy or template
+     * @param {string} fallbackCategory - Folder for unsure bookmarks
+     * @returns {string} JSON array text
+     */
+    _buildExampleOutput(guide, fallbackCategory) {
+        const entries = this._getGuideExamples(guide)
+            .filter((folder) => folder.exampleUrls.length > 0)
+            .slice(0, 3)
+            .map((folder) => {
+                const site = folder.exampleUrls[0]
+                    .replace(/^https?:\/\//, "")
+                    .replace(/\/$/, "");
+                const name = folder.path.split(" > ").pop();
+                return {
+                    category: folder.path,
+                    title: `${site} - ${folder.description || name}`,
+                    confidence: 0.9,
+                    reasoning: `${site} is a typical ${name} site`,
+                    categoryChanged: true,
+                };
+            });
+        entries.push({
+            category: fallbackCategory,
+            title: "Generic Tool - General Utility",
+            confidence: 0.3,
+            reasoning: "Unknown domain and a vague title, best guess",
+            categoryChanged: true,
+        });
+
+        return `[\n${entries
+            .map((entry, index) => `  ${JSON.stringify({ id: index + 1, ...entry })}`)
+            .join(",\n")}\n]`;
+    }
+
+    /**
+     * Describe one bookmark for the categorization prompt
+     * @param {Object} bookmark - Bookmark, optionally with pageContent
+     * @param {number} index - Position in the batch, from 0
+     * @param {number} pageContextTokens - Token budget for its page content
+     * @returns {string} Prompt section
+     */
+    _formatBookmarkForPrompt(bookmark, index, pageContextTokens) {
+        const title = bookmark.title || "Untitled";
+        const url = bookmark.url || "";
+        const currentFolder = bookmark.currentFolderName || "Root";
+        const folderPath = bookmark.currentFolder || "Root";
+        let domain = "unknown";
+        let urlPath = "";
+
+        try {
+            if (url) {
+                const urlObj = new URL(url);
+                domain = urlObj.hostname.replace("www.", "");
+                urlPath = urlObj.pathname + urlObj.search;
+            }
+        } catch (_error) {
+            domain = "invalid-url";
+        }
+
+        // Extract additional context from URL and title
+        const urlKeywords = this._extractUrlKeywords(url, title);
+        const contentType = this._detectContentType(url, title);
+        const riskFlags = this._detectRiskFlags(url, title);
+
+        let section = `\n${index + 1}. BOOKMARK ANALYSIS:`;
+        section += `\n   Current Title: "${title}"`;
+        section += `\n   Current Category: "${currentFolder}" (Path: ${folderPath})`;
+        section += `\n   Domain: "${domain}"`;
+        section += `\n   URL Path: "${urlPath}"`;
+        section += `\n   Full URL: "${url}"`;
+        section += `\n   Content Type: ${contentType}`;
+        section += `\n   Keywords: ${urlKeywords.join(", ")}`;
+        if (riskFlags.length > 0) {
+            section += `\n   ⚠️ RISK FLAGS: ${riskFlags.join(", ")}`;
+        }
+        for (const line of this.pageContentExtractor.toPromptLines(
+            bookmark.pageContent,
+            pageContextTokens,
+            url
+        )) {
+            section += `\n   ${line}`;
+        }
+        section += "\n   ---";
+        return section;
+    }
+
+    /**
+     * Parse and validate an API response. Entries that fail validation are
+     * reported instead of patched so the caller can ask for them again.
      * @param {string} responseText - Raw API response
-     * @param {Array} batch - Original batch of bookmarks
-     * @returns {Array} Parsed results
+     * @param {Array} batch - Bookmarks in the prompt, in prompt order
+     * @param {Array} categories - Allowed categories (empty = any)
+     * @param {Object} options - Validation options, see CategorizationSchema.validate()
+     * @returns {Object} {results, problems: Map<position, reason>}
      */
-    _parseResponse(responseText, batch) {
+    _parseResponse(responseText, batch, categories = [], options = {}) {
+        let entries;
         try {
             // Clean the response text
             let cleanText = responseText.trim();
@@ -3828,69 +3722,18 @@ Return only the JSON array, no additional text or formatting`;
                 .replace(/```json\n?/g, "")
                 .replace(/```\n?/g, "");
 
-            // Try to find JSON array in the response
-            const jsonMatch = cleanText.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-                cleanText = jsonMatch[0];
+            // Structured output arrives as {"results": [...]}; otherwise find the array
+            if (!cleanText.startsWith("{")) {
+                const jsonMatch = cleanText.match(/\[[\s\S]*\]/);
+                if (jsonMatch) {
+                    cleanText = jsonMatch[0];
+                }
             }
 
             // Try to repair truncated JSON before parsing
             cleanText = this._repairTruncatedJson(cleanText);
 
-            const parsed = JSON.parse(cleanText);
-
-            if (!Array.isArray(parsed)) {
-                throw new Error("Response is not an array");
-            }
-
-            // Map results to bookmark IDs and include titles with validation
-            const results = parsed.map((result, index) => {
-                let category = result.category || "Tools > Utilities";
-
-                // CRITICAL: Validate that "Other" is never used
-                if (category === "Other" || category.includes("Other")) {
-                    console.warn(
-                        `⚠️ AI tried to use forbidden "Other" category for bookmark ${
-                            index + 1
-                        }. Forcing to "Tools > Utilities"`
-                    );
-                    category = "Tools > Utilities";
-                }
-
-                // Ensure category is not empty
-                if (!category || category.trim() === "") {
-                    console.warn(
-                        `⚠️ Empty category detected for bookmark ${
-                            index + 1
-                        }. Using "Tools > Utilities"`
-                    );
-                    category = "Tools > Utilities";
-                }
-
-                return {
-                    id: result.id || index + 1,
-                    bookmarkId: batch[index]?.id,
-                    category: category,
-                    title: result.title || batch[index]?.title || "Untitled",
-                    confidence: result.confidence || 0.5,
-                };
-            });
-
-            // Final validation: Check if any "Other" categories slipped through
-            const otherCategories = results.filter(
-                (r) => r.category === "Other" || r.category.includes("Other")
-            );
-            if (otherCategories.length > 0) {
-                console.error(
-                    '🚨 CRITICAL: "Other" categories detected after validation!',
-                    otherCategories
-                );
-                throw new Error(
-                    'AI returned forbidden "Other" categories despite explicit instructions'
-                );
-            }
-
-            return results;
+            entries = this.categorizationSchema.getEntries(JSON.parse(cleanText));
         } catch (_error) {
             console.error("_error parsing API response:", _error);
             console.log("Raw response:", responseText);
@@ -3910,23 +3753,67 @@ Return only the JSON array, no additional text or formatting`;
 
             throw new Error(`Failed to parse AI response: ${_error.message}`);
         }
+
+        const { valid, problems } = this.categorizationSchema.validate(
+            entries,
+            batch,
+            categories,
+            options
+        );
+        for (const [position, problem] of problems) {
+            console.warn(`⚠️ Invalid entry for bookmark ${position}: ${problem}`);
+        }
+
+        const results = [...valid.values()].map((entry) => ({
+            id: entry.id,
+            bookmarkId: batch[entry.id - 1].id,
+            category: entry.category,
+            title: entry.title,
+            confidence: this._parseConfidence(entry.confidence),
+            reasoning:
+                typeof entry.reasoning === "string"
+                    ? entry.reasoning.trim().slice(0, 300)
+                    : "",
+        }));
+        return { results, problems };
+    }
+
+    /**
+     * Read a model's confidence value. Accepts 0-1 fractions, 0-100
+     * percentages and numeric strings.
+     * @param {*} value - Raw confidence
+     * @returns {number|null} Confidence between 0 and 1, or null when missing
+     */
+    _parseConfidence(value) {
+        const number =
+            typeof value === "string"
+                ? Number.parseFloat(value.replace("%", ""))
+                : value;
+        if (typeof number !== "number" || !Number.isFinite(number)) {
+            return null;
+        }
+        const fraction = number > 1 ? number / 100 : number;
+        return Math.min(1, Math.max(0, fraction));
     }
 
     /**
-     * Calculate dynamic max_tokens based on batch size
+     * Calculate dynamic max_tokens based on batch size, within the model's
+     * output budget
      * @param {number} batchSize - Number of bookmarks in batch
+     * @param {Object} model - Model from the provider registry: {name, provider}
      * @returns {number} Calculated max_tokens value
      */
-    _calculateMaxTokens(batchSize) {
-        const baseTokensPerBookmark = 150;
-        const overhead = 500;
+    _calculateMaxTokens(batchSize, model = null) {
         const buffer = 1.2;
 
         const calculated = Math.ceil(
-            (batchSize * baseTokensPerBookmark + overhead) * buffer
+            (batchSize * this.OUTPUT_TOKENS_PER_BOOKMARK +
+                this.OUTPUT_TOKEN_OVERHEAD) *
+                buffer
         );
-        const min = 2000;
-        const max = 8000;
+        const adapter = model ? this.providers.get(model.provider) : null;
+        const max = adapter ? adapter.getTokenLimits(model.name).output : 8000;
+        const min = Math.min(2000, max);
 
         const result = Math.max(min, Math.min(max, calculated));
         console.log(
@@ -3963,37 +3850,12 @@ Return only the JSON array, no additional text or formatting`;
             );
 
             try {
-                let subResult;
-                if (model.provider === "gemini") {
-                    subResult = await this._processWithGemini(
-                        subBatch,
-                        categories,
-                        learningData,
-                        model.name
-                    );
-                } else if (model.provider === "cerebras") {
-                    const prompt = await this._buildPrompt(
-                        subBatch,
-                        categories,
-                        learningData
-                    );
-                    subResult = await this._processWithCerebras(
-                        prompt,
-                        subBatch,
-                        model.name
-                    );
-                } else if (model.provider === "groq") {
-                    const prompt = await this._buildPrompt(
-                        subBatch,
-                        categories,
-                        learningData
-                    );
-                    subResult = await this._processWithGroq(
-                        prompt,
-                        subBatch,
-                        model.name
-                    );
-                }
+                const subResult = await this._processWithModel(
+                    model,
+                    subBatch,
+                    categories,
+                    learningData
+                );
 
                 if (subResult) {
                     results.push(...subResult);
@@ -4110,63 +3972,63 @@ Return only the JSON array, no additional text or formatting`;
     }
 
     /**
-     * Test API key validity
-     * @returns {Promise<boolean>} True if API key is valid
+     * Test a provider's key or endpoint with a minimal request
+     * @param {string} provider - Provider id from the registry
+     * @returns {Promise<boolean>} True if the provider answers
      */
-    async testApiKey() {
-        if (!this.apiKey) {
+    async testApiKey(provider = "gemini") {
+        const adapter = this.providers.get(provider);
+        if (!adapter?.isConfigured()) {
             return false;
         }
 
         // Basic format validation
-        if (!this.apiKey.startsWith("AIza") || this.apiKey.length < 35) {
+        if (!adapter.isValidKey()) {
             console.error(
-                'API key format invalid. Should start with "AIza" and be ~39 characters long.'
+                `${adapter.name} API key format invalid. ${adapter.keyHint}`
             );
             return false;
         }
 
         try {
-            // Simple test request
+            const [model] = await adapter.loadModels();
+            if (!model) {
+                console.error(`${adapter.name} has no models to test`);
+                return false;
+            }
+
+            const { url, init } = adapter.buildRequest({
+                model: model.name,
+                messages: [{ role: "user", content: "Test" }],
+                maxTokens: 5,
+            });
+            // The body is read inside the queue so the timeout covers it
             const testResponse = await this.requestQueue.enqueue(
-                async () => {
-                    return await fetch(this.getCurrentModelUrl(), {
-                        method: "POST",
-                        headers: {
-                            "Content-Type": "application/json",
-                            "x-goog-api-key": this.apiKey,
-                        },
-                        body: JSON.stringify({
-                            contents: [
-                                {
-                                    parts: [
-                                        {
-                                            text: "Hello, this is a test message.",
-                                        },
-                                    ],
-                                },
-                            ],
-                        }),
-                    });
+                async (signal) => {
+                    const response = await fetch(url, { ...init, signal });
+                    return {
+                        ok: response.ok,
+                        status: response.status,
+                        text: response.ok ? "" : await response.text(),
+                    };
                 },
-                "gemini",
+                adapter.id,
                 "high"
             );
 
             if (testResponse.ok) {
-                console.log("API key test successful");
+                console.log(`${adapter.name} test successful`);
                 return true;
-            } else {
-                const errorText = await testResponse.text();
-                console.error(
-                    "API key test failed:",
-                    testResponse.status,
-                    errorText
-                );
-                return false;
             }
+
+            console.error(
+                `${adapter.name} test failed:`,
+                testResponse.status,
+                testResponse.text
+            );
+            return false;
         } catch (_error) {
-            console.error("API key test failed:", _error);
+            console.error(`${adapter.name} test failed:`, _error);
             return false;
         }
     }
@@ -4205,7 +4067,8 @@ Return only the JSON array, no additional text or formatting`;
     }
 
     /**
-     * Enrich a batch of bookmarks with live titles fetched from their URLs
+     * Enrich a batch of bookmarks with live titles and page content (description,
+     * OpenGraph tags, keywords, heading, snippet) fetched from their URLs
      * Optimized with configurable concurrency and performance metrics
      * @param {Array} batch - Batch of bookmarks to enrich
      */
@@ -4234,7 +4097,11 @@ Return only the JSON array, no additional text or formatting`;
                 if (!bookmark.url) return { success: false, reason: "no_url" };
 
                 try {
-                    const liveTitle = await this._fetchPageTitle(bookmark.url);
+                    const content = await this._fetchPageContent(bookmark.url);
+                    if (content) {
+                        bookmark.pageContent = content;
+                    }
+                    const liveTitle = content?.title || content?.ogTitle;
                     if (
                         liveTitle &&
                         liveTitle.length > 0 &&
@@ -4301,6 +4168,16 @@ Return only the JSON array, no additional text or formatting`;
      * @returns {Promise<string>} Page title or null
      */
     async _fetchPageTitle(url) {
+        const content = await this._fetchPageContent(url);
+        return content?.title || null;
+    }
+
+    /**
+     * Fetch a page and extract its categorization signals
+     * @param {string} url - URL to fetch
+     * @returns {Promise<Object|null>} Extracted content or null
+     */
+    async _fetchPageContent(url) {
         try {
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 5000); // 5s timeout
@@ -4321,22 +4198,16 @@ Return only the JSON array, no additional text or formatting`;
                 return null;
             }
 
+            // Skip PDFs, images and other downloads
+            const contentType = response.headers?.get("content-type") || "";
+            if (contentType && !contentType.includes("html")) {
+                return null;
+            }
+
             const text = await response.text();
 
-            // Extract title using regex to avoid DOMParser overhead/issues in worker
-            const titleMatch = text.match(/<title[^>]*>([^<]+)<\/title>/i);
-            if (titleMatch && titleMatch[1]) {
-                // Decode HTML entities
-                let title = titleMatch[1].trim();
-                title = title
-                    .replace(/&amp;/g, "&")
-                    .replace(/&lt;/g, "<")
-                    .replace(/&gt;/g, ">")
-                    .replace(/&quot;/g, '"')
-                    .replace(/&#39;/g, "'");
-                return title;
-            }
-            return null;
+            // Regex extraction avoids DOMParser, which workers do not have
+            return this.pageContentExtractor.extract(text, response.url || url);
         } catch (_error) {
             // Distinguish between timeout and other errors for better debugging if needed
             if (_error.name === "AbortError") {
@@ -4375,145 +4246,126 @@ Return only the JSON array, no additional text or formatting`;
     }
 
     /**
-     * Check if Gemini API quota is currently exhausted
+     * Storage key of a provider's quota state
+     * @param {string} providerId - Provider id
+     * @returns {string} chrome.storage.local key
+     */
+    _quotaStorageKey(providerId) {
+        return `${providerId}${this.QUOTA_STORAGE_SUFFIX}`;
+    }
+
+    /**
+     * Check if a provider's quota is currently exhausted
+     * @param {string} providerId - Provider id
      * @returns {Promise<boolean>} True if quota exhausted
      */
-    async _isQuotaExhausted() {
+    async _isQuotaExhausted(providerId) {
         // Check in-memory state first
-        if (this.quotaExhaustedUntil && Date.now() < this.quotaExhaustedUntil) {
+        const exhaustedUntil = this.quotaExhaustedUntil.get(providerId);
+        if (exhaustedUntil && Date.now() < exhaustedUntil) {
             return true;
         }
 
         // Check persisted state
+        const key = this._quotaStorageKey(providerId);
         try {
-            const result = await chrome.storage.local.get(this.QUOTA_STORAGE_KEY);
-            const quotaState = result[this.QUOTA_STORAGE_KEY];
+            const result = await chrome.storage.local.get(key);
+            const quotaState = result?.[key];
 
-            if (quotaState && quotaState.exhaustedUntil) {
+            if (quotaState?.exhaustedUntil) {
                 if (Date.now() < quotaState.exhaustedUntil) {
-                    this.quotaExhaustedUntil = quotaState.exhaustedUntil;
+                    this.quotaExhaustedUntil.set(
+                        providerId,
+                        quotaState.exhaustedUntil
+                    );
                     return true;
-                } else {
-                    // Quota has reset, clear the state
-                    await this._clearQuotaExhaustedState();
                 }
+                // Quota has reset, clear the state
+                await this._clearQuotaExhaustedState(providerId);
             }
-        } catch (error) {
-            console.warn('Error checking quota state:', error);
+        } catch (_error) {
+            console.warn("Error checking quota state:", _error);
         }
 
         return false;
     }
 
     /**
-     * Mark quota as exhausted with retry delay
+     * Mark a provider's quota as exhausted until it resets
+     * @param {string} providerId - Provider id
      * @param {number} retryDelaySeconds - Seconds until quota resets (from API response)
      */
-    async _markQuotaExhausted(retryDelaySeconds) {
-        const exhaustedUntil = Date.now() + (retryDelaySeconds * 1000);
-        this.quotaExhaustedUntil = exhaustedUntil;
+    async _markQuotaExhausted(providerId, retryDelaySeconds) {
+        const exhaustedUntil = Date.now() + retryDelaySeconds * 1000;
+        this.quotaExhaustedUntil.set(providerId, exhaustedUntil);
 
         // Persist to storage
         try {
             await chrome.storage.local.set({
-                [this.QUOTA_STORAGE_KEY]: {
+                [this._quotaStorageKey(providerId)]: {
                     exhaustedUntil,
                     markedAt: Date.now(),
-                    retryDelaySeconds
-                }
+                    retryDelaySeconds,
+                },
             });
-            console.warn(`🚫 Gemini API quota exhausted. Reset in ${retryDelaySeconds}s (${new Date(exhaustedUntil).toLocaleString()})`);
-        } catch (error) {
-            console.error('Error persisting quota state:', error);
+            console.warn(
+                `🚫 ${providerId} quota exhausted. Reset in ${retryDelaySeconds}s (${new Date(
+                    exhaustedUntil
+                ).toLocaleString()})`
+            );
+        } catch (_error) {
+            console.error("Error persisting quota state:", _error);
         }
     }
 
     /**
      * Clear quota exhausted state (for manual retry or after reset)
+     * @param {string|null} providerId - Provider id, or null for every provider
      */
-    async _clearQuotaExhaustedState() {
-        this.quotaExhaustedUntil = null;
-        try {
-            await chrome.storage.local.remove(this.QUOTA_STORAGE_KEY);
-            console.log('✅ Quota exhausted state cleared');
-        } catch (error) {
-            console.error('Error clearing quota state:', error);
+    async _clearQuotaExhaustedState(providerId = null) {
+        const ids = providerId
+            ? [providerId]
+            : this.providers.list().map((adapter) => adapter.id);
+        for (const id of ids) {
+            this.quotaExhaustedUntil.delete(id);
         }
-    }
 
-    /**
-     * Check if an error response indicates quota exhaustion (vs temporary rate limit)
-     * @param {Object} errorResponse - Parsed error response from API
-     * @returns {Object} { isQuotaExhausted: boolean, retryDelaySeconds: number|null }
-     */
-    _checkQuotaExhaustion(errorResponse) {
         try {
-            const errorMessage = errorResponse.error?.message || '';
-
-            // Check for quota exhaustion indicators
-            const isQuotaExhausted = (
-                errorMessage.includes('quota exceeded') ||
-                errorMessage.includes('Quota exceeded') ||
-                errorMessage.includes('free_tier') ||
-                (errorResponse.error?.details &&
-                 errorResponse.error.details.some(d =>
-                    d['@type']?.includes('QuotaFailure') ||
-                    d.violations?.some(v => v.quotaMetric?.includes('free_tier'))
-                 ))
+            await chrome.storage.local.remove(
+                ids.map((id) => this._quotaStorageKey(id))
             );
-
-            // Extract retry delay from RetryInfo
-            let retryDelaySeconds = null;
-            if (errorResponse.error?.details) {
-                const retryInfo = errorResponse.error.details.find(d => d['@type']?.includes('RetryInfo'));
-                if (retryInfo?.retryDelay) {
-                    // Parse formats like "57s" or "57.356284637s"
-                    const match = retryInfo.retryDelay.match(/^([\d.]+)s?$/);
-                    if (match) {
-                        retryDelaySeconds = Math.ceil(Number.parseFloat(match[1]));
-                    }
-                }
-            }
-
-            // Default to 24 hours if quota exhausted but no retry delay specified
-            if (isQuotaExhausted && !retryDelaySeconds) {
-                // Gemini free tier typically resets at midnight Pacific time
-                const now = new Date();
-                const pacificMidnight = new Date(now.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-                pacificMidnight.setHours(24, 0, 0, 0);
-                retryDelaySeconds = Math.ceil((pacificMidnight - now) / 1000);
-            }
-
-            return { isQuotaExhausted, retryDelaySeconds };
-        } catch (error) {
-            console.warn('Error parsing quota exhaustion:', error);
-            return { isQuotaExhausted: false, retryDelaySeconds: null };
+            console.log("✅ Quota exhausted state cleared");
+        } catch (_error) {
+            console.error("Error clearing quota state:", _error);
         }
     }
 
     /**
      * Generate user-friendly quota exhaustion error message
+     * @param {string} providerId - Provider id
      * @returns {Promise<string>} Error message with details
      */
-    async _getQuotaExhaustedMessage() {
-        const result = await chrome.storage.local.get(this.QUOTA_STORAGE_KEY);
-        const quotaState = result[this.QUOTA_STORAGE_KEY];
+    async _getQuotaExhaustedMessage(providerId) {
+        const adapter = this.providers.get(providerId);
+        const name = adapter?.name || providerId;
+        const exhaustedUntil = this.quotaExhaustedUntil.get(providerId);
 
-        if (!quotaState) {
-            return 'Gemini API quota exhausted. Please try again later or upgrade your API plan.';
+        if (!exhaustedUntil) {
+            return `${name} quota exhausted. Please try again later or upgrade your plan.`;
         }
 
-        const resetDate = new Date(quotaState.exhaustedUntil);
-        const hoursUntilReset = Math.ceil((quotaState.exhaustedUntil - Date.now()) / (1000 * 60 * 60));
+        const resetDate = new Date(exhaustedUntil);
+        const hoursUntilReset = Math.ceil(
+            (exhaustedUntil - Date.now()) / (1000 * 60 * 60)
+        );
 
-        let message = `🚫 **Gemini API Free Tier Quota Exhausted**\n\n`;
-        message += `Your daily quota will reset at: **${resetDate.toLocaleString()}**\n`;
-        message += `(approximately ${hoursUntilReset} hour${hoursUntilReset !== 1 ? 's' : ''})\n\n`;
+        let message = `🚫 **${name} Quota Exhausted**\n\n`;
+        message += `Your quota will reset at: **${resetDate.toLocaleString()}**\n`;
+        message += `(approximately ${hoursUntilReset} hour${hoursUntilReset !== 1 ? "s" : ""})\n\n`;
         message += `**Options:**\n`;
-        message += `1. Wait for quota reset (typically midnight Pacific time)\n`;
-        message += `2. Upgrade to a paid Gemini API plan at https://ai.google.dev/pricing\n`;
-        message += `3. Add alternative API keys (Cerebras or Groq) in Settings\n\n`;
-        message += `Monitor your usage at: https://ai.dev/usage?tab=rate-limit`;
+        message += `1. Wait for the quota to reset\n`;
+        message += `2. Upgrade your ${name} plan${adapter?.planUrl ? ` at ${adapter.planUrl}` : ""}\n`;
+        message += "3. Add another AI provider in Settings";
 
         return message;
     }
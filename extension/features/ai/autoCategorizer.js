@@ -0,0 +1,364 @@
+import { BookmarkService } from "../bookmarks/bookmarkService.js";
+import { ReviewQueue } from "./reviewQueue.js";
+import { OperationJournal } from "../bookmarks/operationJournal.js";
+
+/**
+ * BookmarkMind - Auto Categorizer
+ * Files newly created bookmarks into existing folders in the background.
+ * New bookmarks are debounced, categorized in small batches and every run
+ * can be undone from its notification.
+ */
+
+// Queue updates in this context go through one chain so a burst of created
+// bookmarks cannot overwrite each other's additions
+let queueChain = Promise.resolve();
+
+export class AutoCategorizer {
+    /**
+     * @param {AIProcessor} aiProcessor - Needed only to process the queue
+     */
+    constructor(aiProcessor = null) {
+        this.aiProcessor = aiProcessor;
+        this.QUEUE_KEY = "autoCategorizeQueue";
+        this.UNDO_KEY = "autoCategorizeUndo";
+        this.ALARM_NAME = "auto_categorize_new_bookmarks";
+        this.DEBOUNCE_MS = 30000; // Chrome alarms fire no sooner than 30s
+        this.BATCH_SIZE = 5;
+        this.MAX_UNDO_RECORDS = 10;
+        this.UNSORTED_FOLDER_IDS = ["1", "2", "3"];
+        this.reviewQueue = new ReviewQueue();
+        this.journal = new OperationJournal("Auto-categorized new bookmarks", {
+            operationType: "auto_categorize",
+        });
+    }
+
+    /**
+     * Check whether auto-categorization is switched on
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {boolean} True when enabled
+     */
+    isEnabled(settings) {
+        return settings?.autoCategorizeNew === true;
+    }
+
+    /**
+     * Queue a new bookmark and (re)start the debounce timer
+     * @param {string} bookmarkId - Created bookmark ID
+     */
+    async enqueue(bookmarkId) {
+        const queue = await this._updateQueue(async (ids) => {
+            if (!ids.includes(bookmarkId)) {
+                ids.push(bookmarkId);
+            }
+            await chrome.storage.local.set({ [this.QUEUE_KEY]: ids });
+        });
+
+        // Re-creating an alarm with the same name replaces it, which debounces bursts
+        await chrome.alarms.create(this.ALARM_NAME, {
+            when: Date.now() + this.DEBOUNCE_MS,
+        });
+        console.log(
+            `🆕 Queued new bookmark ${bookmarkId} for auto-categorization (${queue.length} waiting)`
+        );
+    }
+
+    /**
+     * Get queued bookmark IDs
+     * @returns {Promise<Array<string>>} Bookmark IDs
+     */
+    async getQueue() {
+        const result = await chrome.storage.local.get(this.QUEUE_KEY);
+        return result?.[this.QUEUE_KEY] || [];
+    }
+
+    /**
+     * Change the queue; updates run one at a time
+     * @param {Function} mutate - Receives the queued IDs and stores the change
+     * @returns {Promise<Array<string>>} Queued IDs as passed to mutate
+     */
+    async _updateQueue(mutate) {
+        const run = queueChain.then(async () => {
+            const queue = await this.getQueue();
+            await mutate(queue);
+            return queue;
+        });
+        queueChain = run.catch(() => {});
+        return await run;
+    }
+
+    /**
+     * Categorize queued bookmarks into existing folders
+     * @param {Object} settings - bookmarkMindSettings
+     * @param {Function} onMarkAsAIMoved - Callback to protect moves from learning
+     * @returns {Promise<Object>} {moves, skipped, needsReview, sessionId}
+     */
+    async processQueue(settings, onMarkAsAIMoved = null) {
+        const queue = await this._updateQueue(async () => {
+            await chrome.storage.local.remove(this.QUEUE_KEY);
+        });
+
+        const summary = { moves: [], skipped: 0, needsReview: 0, sessionId: null };
+        if (queue.length === 0 || !this.isEnabled(settings)) {
+            return summary;
+        }
+
+        // Only bookmarks still sitting unsorted are ours to file
+        const bookmarks = [];
+        for (const bookmarkId of queue) {
+            try {
+                const [bookmark] = await chrome.bookmarks.get(bookmarkId);
+                if (
+                    bookmark?.url &&
+                    this.UNSORTED_FOLDER_IDS.includes(bookmark.parentId)
+                ) {
+                    bookmarks.push(bookmark);
+                } else {
+                    summary.skipped++;
+                }
+            } catch (_error) {
+                summary.skipped++; // Deleted before we got to it
+            }
+        }
+
+        const folders = await this.getExistingFolders();
+        if (bookmarks.length === 0 || folders.size === 0) {
+            summary.skipped += bookmarks.length;
+            return summary;
+        }
+
+        this.aiProcessor.configureFromSettings(settings);
+        const categories = [...new Set([...folders.values()].map((f) => f.path))];
+        const threshold = (settings.aiConfidenceThreshold ?? 70) / 100;
+        const review = [];
+
+        summary.sessionId = await this.journal.startSession();
+        try {
+            for (let i = 0; i < bookmarks.length; i += this.BATCH_SIZE) {
+                const batch = bookmarks.slice(i, i + this.BATCH_SIZE);
+
+                let results = [];
+                try {
+                    // Plan mode returns proposals without creating folders or moving anything
+                    results = await this.aiProcessor.processBatch(
+                        batch,
+                        categories,
+                        {},
+                        null,
+                        { planMode: true }
+                    );
+                } catch (_error) {
+                    console.error("Auto-categorization batch failed:", _error);
+                    summary.skipped += batch.length;
+                    continue;
+                }
+
+                for (const bookmark of batch) {
+                    const result = results.find((r) => r.bookmarkId === bookmark.id);
+                    const folder = result && this.resolveFolder(result.category, folders);
+                    if (!folder) {
+                        summary.skipped++;
+                        continue;
+                    }
+
+                    // Unsure suggestions wait for the user instead of moving silently
+                    if (
+                        typeof result.confidence === "number" &&
+                        result.confidence < threshold
+                    ) {
+                        review.push({
+                            bookmarkId: bookmark.id,
+                            title: bookmark.title,
+                            url: bookmark.url,
+                            currentFolder: "",
+                            suggestedCategory: folder.path,
+                            suggestedFolderId: folder.id,
+                            suggestedTitle: bookmark.title,
+                            confidence: result.confidence,
+                            reasoning: result.reasoning || result.reason || "",
+                        });
+                        continue;
+                    }
+
+                    const move = {
+                        bookmarkId: bookmark.id,
+                        title: bookmark.title,
+                        fromParentId: bookmark.parentId,
+                        fromIndex: bookmark.index,
+                        toParentId: folder.id,
+                        folderPath: folder.path,
+                    };
+
+                    try {
+                        onMarkAsAIMoved?.(bookmark.id);
+                        await chrome.storage.local.set({
+                            [`ai_moved_${bookmark.id}`]: Date.now(),
+                        });
+                        await new BookmarkService().recordCategoryHistory(
+                            bookmark,
+                            folder.path
+                        );
+                        await this.journal.move(bookmark.id, {
+                            parentId: folder.id,
+                        });
+                        summary.moves.push(move);
+                    } catch (_error) {
+                        console.error(
+                            `Failed to auto-file bookmark ${bookmark.id}:`,
+                            _error
+                        );
+                        summary.skipped++;
+                    }
+                }
+            }
+        } finally {
+            await this.journal.endSession();
+        }
+
+        if (review.length > 0) {
+            await this.reviewQueue.add(review);
+            summary.needsReview = review.length;
+        }
+
+        console.log(
+            `🆕 Auto-categorized ${summary.moves.length} new bookmarks (${summary.skipped} skipped, ${summary.needsReview} need review)`
+        );
+        return summary;
+    }
+
+    /**
+     * Collect existing folders under Bookmarks Bar and Other Bookmarks
+     * @returns {Promise<Map<string, Object>>} Lowercased "A > B" path → {id, path}
+     */
+    async getExistingFolders() {
+        const folders = new Map();
+
+        const walk = (node, prefix) => {
+            (node.children || []).forEach((child) => {
+                if (child.url) return;
+                const path = prefix ? `${prefix} > ${child.title}` : child.title;
+                // Bookmarks Bar is walked first and wins on duplicate paths
+                if (!folders.has(path.toLowerCase())) {
+                    folders.set(path.toLowerCase(), { id: child.id, path });
+                }
+                walk(child, path);
+            });
+        };
+
+        for (const rootId of ["1", "2"]) {
+            try {
+                const [root] = await chrome.bookmarks.getSubTree(rootId);
+                if (root) walk(root, "");
+            } catch (_error) {
+                console.warn(`Could not read folders under ${rootId}:`, _error);
+            }
+        }
+
+        return folders;
+    }
+
+    /**
+     * Map a proposed category to an existing folder. Never creates folders.
+     * @param {string} category - Proposed category ("A > B" or "A/B")
+     * @param {Map<string, Object>} folders - Existing folders
+     * @returns {Object|null} Folder {id, path}
+     */
+    resolveFolder(category, folders) {
+        const path = (category || "")
+            .split(/\s*>\s*|\s*\/\s*/)
+            .map((part) => part.trim())
+            .filter((part) => part)
+            .join(" > ")
+            .toLowerCase();
+
+        return path ? folders.get(path) || null : null;
+    }
+
+    /**
+     * Remember a run's moves so they can be undone from the notification
+     * @param {string} notificationId - Notification ID
+     * @param {Array} moves - Moves made by the run
+     * @param {string} sessionId - Journal session the moves were recorded in
+     */
+    async saveUndoRecord(notificationId, moves, sessionId) {
+        const result = await chrome.storage.local.get(this.UNDO_KEY);
+        const records = result?.[this.UNDO_KEY] || {};
+        records[notificationId] = { createdAt: Date.now(), sessionId, moves };
+
+        // Keep only the most recent runs
+        const ids = Object.keys(records).sort(
+            (a, b) => records[b].createdAt - records[a].createdAt
+        );
+        ids.slice(this.MAX_UNDO_RECORDS).forEach((id) => {
+            delete records[id];
+        });
+
+        await chrome.storage.local.set({ [this.UNDO_KEY]: records });
+    }
+
+    /**
+     * Show a notification for a run with an Undo button
+     * @param {Array} moves - Moves made by the run
+     * @param {string} sessionId - Journal session the moves were recorded in
+     * @returns {Promise<string|null>} Notification ID
+     */
+    async notify(moves, sessionId) {
+        if (moves.length === 0) return null;
+
+        const notificationId = `auto_categorize_${Date.now()}`;
+        const message =
+            moves.length === 1
+                ? `"${moves[0].title}" → ${moves[0].folderPath}`
+                : `${moves.length} new bookmarks filed into existing folders`;
+
+        await this.saveUndoRecord(notificationId, moves, sessionId);
+        await chrome.notifications.create(notificationId, {
+            type: "basic",
+            iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+            title: "BookmarkMind sorted new bookmarks",
+            message,
+            buttons: [{ title: "Undo" }],
+            priority: 0,
+        });
+        return notificationId;
+    }
+
+    /**
+     * Move a run's bookmarks back where they were created. The undo goes
+     * through the run's journal session so the history shows it as undone.
+     * @param {string} notificationId - Notification ID of the run
+     * @param {Function} onMarkAsAIMoved - Callback to protect moves from learning
+     * @returns {Promise<Object>} {restored, skipped}
+     */
+    async undo(notificationId, onMarkAsAIMoved = null) {
+        const result = await chrome.storage.local.get(this.UNDO_KEY);
+        const records = result?.[this.UNDO_KEY] || {};
+        const record = records[notificationId];
+        const summary = { restored: 0, skipped: 0 };
+        if (!record) return summary;
+
+        await chrome.storage.local.set(
+            Object.fromEntries(
+                record.moves.map((move) => [`ai_moved_${move.bookmarkId}`, Date.now()])
+            )
+        );
+        try {
+            // Bookmarks the user has moved again since are skipped, not forced
+            const undone = await this.journal.undoSession(
+                record.sessionId,
+                onMarkAsAIMoved
+            );
+            summary.restored = undone.undone;
+            summary.skipped = undone.skipped.length + undone.failed.length;
+        } catch (_error) {
+            console.warn("Could not undo auto-categorization session:", _error);
+            summary.skipped = record.moves.length;
+        }
+
+        delete records[notificationId];
+        await chrome.storage.local.set({ [this.UNDO_KEY]: records });
+        console.log(
+            `↩️ Undid auto-categorization: ${summary.restored} restored, ${summary.skipped} skipped`
+        );
+        return summary;
+    }
+}
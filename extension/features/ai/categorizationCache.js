@@ -0,0 +1,250 @@
+import { Taxonomy } from "./taxonomy.js";
+
+/**
+ * BookmarkMind - Categorization Cache
+ * Remembers model decisions by normalized URL and model so reruns do not
+ * send already-decided bookmarks back to the AI. Controlled by the
+ * enableCaching and cacheExpiration settings.
+ */
+
+export class CategorizationCache {
+    constructor() {
+        this.STORAGE_KEY = "categorizationCache";
+        this.VERSION = 1;
+        this.MAX_ENTRIES = 5000;
+        this.DEFAULT_EXPIRATION_MS = 30 * 24 * 60 * 60 * 1000;
+        this.taxonomy = new Taxonomy();
+    }
+
+    /**
+     * Check whether caching is switched on
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {boolean} True unless the user turned caching off
+     */
+    isEnabled(settings) {
+        return settings?.enableCaching !== false;
+    }
+
+    /**
+     * Split a batch into cached decisions and bookmarks that still need the AI.
+     * A cached decision is only reused while its folder still exists.
+     * @param {Array} batch - Bookmarks
+     * @param {Array<string>} models - Model names in the order they would be tried
+     * @param {Object} settings - bookmarkMindSettings
+     * @param {Object} options - {folderPaths: existing folder paths, resolveCategory: maps a cached category to its folder}
+     * @returns {Promise<Object>} {hits: results, misses: bookmarks}
+     */
+    async lookup(batch, models, settings, options = {}) {
+        if (!this.isEnabled(settings) || batch.length === 0) {
+            return { hits: [], misses: batch };
+        }
+
+        const cache = await this._load(settings);
+        const expiration = settings?.cacheExpiration ?? this.DEFAULT_EXPIRATION_MS;
+        const now = Date.now();
+        const folders = new Set(
+            (options.folderPaths || []).map((path) => path.toLowerCase())
+        );
+        const resolveCategory = options.resolveCategory || ((category) => category);
+
+        const hits = [];
+        const misses = [];
+        let stale = false;
+
+        for (const bookmark of batch) {
+            const url = this.normalizeUrl(bookmark.url);
+            let entry = null;
+            for (const model of models) {
+                const candidate = cache.entries[this._key(url, model)];
+                if (!candidate) continue;
+
+                const expired = expiration > 0 && now - candidate.at > expiration;
+                // Folder renamed or deleted: the taxonomy moved on
+                const orphaned = !folders.has(
+                    resolveCategory(candidate.category).toLowerCase()
+                );
+                if (expired || orphaned) {
+                    delete cache.entries[this._key(url, model)];
+                    stale = true;
+                    continue;
+                }
+                entry = candidate;
+                break;
+            }
+
+            if (entry) {
+                hits.push({
+                    bookmarkId: bookmark.id,
+                    category: entry.category,
+                    title: entry.title || bookmark.title,
+                    confidence: entry.confidence ?? null,
+                    reasoning: entry.reasoning || "",
+                    cached: true,
+                    model: entry.model,
+                });
+            } else {
+                misses.push(bookmark);
+            }
+        }
+
+        if (stale) {
+            await this._save(cache);
+        }
+
+        hits.forEach((hit, index) => {
+            hit.id = index + 1;
+        });
+        return { hits, misses };
+    }
+
+    /**
+     * Remember the model's decisions for a batch
+     * @param {Array} batch - Bookmarks that were sent to the model
+     * @param {Array} results - Parsed model results with bookmarkId
+     * @param {string} model - Model that produced the results
+     * @param {Object} settings - bookmarkMindSettings
+     */
+    async store(batch, results, model, settings) {
+        if (!this.isEnabled(settings) || results.length === 0) return;
+
+        try {
+            const cache = await this._load(settings);
+            const at = Date.now();
+
+            results.forEach((result, index) => {
+                const bookmark =
+                    batch.find((b) => b.id === result.bookmarkId) || batch[index];
+                if (!bookmark?.url || !result.category) return;
+
+                cache.entries[this._key(this.normalizeUrl(bookmark.url), model)] = {
+                    category: result.category,
+                    title: result.title || null,
+                    confidence: result.confidence ?? null,
+                    reasoning: result.reasoning || "",
+                    model,
+                    at,
+                };
+            });
+
+            this._trim(cache);
+            await this._save(cache);
+        } catch (_error) {
+            console.warn("Failed to cache categorization results:", _error);
+        }
+    }
+
+    /**
+     * Drop every cached decision
+     */
+    async clear() {
+        await chrome.storage.local.remove(this.STORAGE_KEY);
+        console.log("🗑️ Categorization cache cleared");
+    }
+
+    /**
+     * Get the number of cached decisions
+     * @returns {Promise<number>} Entry count
+     */
+    async size() {
+        const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+        return Object.keys(stored[this.STORAGE_KEY]?.entries || {}).length;
+    }
+
+    /**
+     * Normalize a URL so trivial variants share a cache entry: scheme, "www.",
+     * trailing slashes, fragments and utm_* tracking parameters are ignored
+     * @param {string} url - Bookmark URL
+     * @returns {string} Cache URL
+     */
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            const host = parsed.hostname.toLowerCase().replace(/^www\./, "");
+            const path = parsed.pathname.replace(/\/+$/, "");
+            [...parsed.searchParams.keys()]
+                .filter((key) => key.toLowerCase().startsWith("utm_"))
+                .forEach((key) => parsed.searchParams.delete(key));
+            return `${host}${path}${parsed.search}`;
+        } catch (_error) {
+            return url;
+        }
+    }
+
+    /**
+     * Build an entry key
+     * @param {string} url - Normalized URL
+     * @param {string} model - Model name
+     * @returns {string} Key
+     */
+    _key(url, model) {
+        return `${model}|${url}`;
+    }
+
+    /**
+     * Load the cache, starting over when the user's categories or taxonomy changed
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {Promise<Object>} {version, taxonomy, entries}
+     */
+    async _load(settings) {
+        const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+        const cache = stored[this.STORAGE_KEY];
+        const taxonomy = this._taxonomyFingerprint(
+            settings,
+            await this.taxonomy.getTaxonomy()
+        );
+
+        if (
+            !cache ||
+            cache.version !== this.VERSION ||
+            cache.taxonomy !== taxonomy
+        ) {
+            if (cache) {
+                console.log("🗑️ Category list changed, starting a fresh categorization cache");
+            }
+            return { version: this.VERSION, taxonomy, entries: {} };
+        }
+        return cache;
+    }
+
+    /**
+     * Save the cache
+     * @param {Object} cache - Cache object
+     */
+    async _save(cache) {
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: cache });
+    }
+
+    /**
+     * Keep only the newest entries
+     * @param {Object} cache - Cache object
+     */
+    _trim(cache) {
+        const keys = Object.keys(cache.entries);
+        if (keys.length <= this.MAX_ENTRIES) return;
+
+        keys.sort((a, b) => cache.entries[a].at - cache.entries[b].at)
+            .slice(0, keys.length - this.MAX_ENTRIES)
+            .forEach((key) => {
+                delete cache.entries[key];
+            });
+    }
+
+    /**
+     * Describe the user's category list and taxonomy so edits invalidate the cache
+     * @param {Object} settings - bookmarkMindSettings
+     * @param {Object} taxonomy - Saved user taxonomy
+     * @returns {string} Fingerprint
+     */
+    _taxonomyFingerprint(settings, taxonomy) {
+        const fingerprint = [
+            ...(settings?.categories || []),
+            ...this.taxonomy.getPaths(taxonomy),
+        ]
+            .map((category) => category.trim().toLowerCase())
+            .sort()
+            .join("|");
+        return this.taxonomy.isLocked(taxonomy)
+            ? `locked:${fingerprint}`
+            : fingerprint;
+    }
+}
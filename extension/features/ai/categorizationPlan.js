@@ -0,0 +1,304 @@
+import { BookmarkService } from "../bookmarks/bookmarkService.js";
+import { OperationJournal } from "../bookmarks/operationJournal.js";
+
+/**
+ * BookmarkMind - Categorization Plan
+ * Collects proposed moves, new folders and title rewrites from a dry-run
+ * categorization so they can be reviewed before anything is changed
+ */
+
+export class CategorizationPlan {
+    constructor() {
+        this.STORAGE_KEY = "categorizationPlan";
+        this.ROOT_FOLDER_ID = "1"; // AI categories are always created under Bookmarks Bar
+        this.journal = new OperationJournal("Apply categorization plan", {
+            operationType: "apply_plan",
+        });
+    }
+
+    /**
+     * Create an empty plan
+     * @param {Object} metadata - Run information (forceReorganize, totalBookmarks)
+     * @returns {Object} New plan
+     */
+    createPlan(metadata = {}) {
+        return {
+            id: `plan_${Date.now()}`,
+            createdAt: Date.now(),
+            status: "collecting",
+            forceReorganize: !!metadata.forceReorganize,
+            totalBookmarks: metadata.totalBookmarks || 0,
+            entries: [],
+            newFolders: [],
+        };
+    }
+
+    /**
+     * Add AI results for a batch to the plan
+     * @param {Object} plan - Plan being collected
+     * @param {Array} batch - Bookmarks sent to the AI
+     * @param {Array} results - Parsed AI results ({bookmarkId, category, title, confidence})
+     * @returns {Object} Updated plan
+     */
+    addResults(plan, batch, results) {
+        (results || []).forEach((item, index) => {
+            const bookmark =
+                batch.find((b) => b.id === item.bookmarkId) || batch[index];
+            if (!bookmark || !item.category) return;
+
+            // Replace any earlier proposal for the same bookmark
+            plan.entries = plan.entries.filter(
+                (entry) => entry.bookmarkId !== bookmark.id
+            );
+
+            const targetFolder = this.normalizePath(item.category);
+            const newTitle = (item.title || "").trim() || bookmark.title;
+            const currentFolder = this._stripRootFolder(
+                bookmark.currentFolder || ""
+            );
+
+            plan.entries.push({
+                bookmarkId: bookmark.id,
+                url: bookmark.url,
+                currentTitle: bookmark.title,
+                newTitle: newTitle,
+                currentFolder: currentFolder,
+                targetFolder: targetFolder,
+                confidence: item.confidence ?? null,
+                moveChanged:
+                    currentFolder.toLowerCase() !== targetFolder.toLowerCase(),
+                titleChanged: newTitle !== bookmark.title,
+                createsFolders: [],
+            });
+        });
+
+        return plan;
+    }
+
+    /**
+     * Work out which folders the plan would have to create
+     * @param {Object} plan - Plan to update
+     * @param {Set<string>} existingPaths - Lowercased existing folder paths under Bookmarks Bar
+     * @param {Function} normalizeName - Folder name normalizer used when folders are created
+     * @returns {Object} Updated plan
+     */
+    markNewFolders(plan, existingPaths, normalizeName = (name) => name) {
+        const newFolders = new Set();
+
+        plan.entries.forEach((entry) => {
+            entry.createsFolders = [];
+            if (!entry.moveChanged) return;
+
+            const parts = entry.targetFolder
+                .split(" > ")
+                .map((part) => normalizeName(part));
+            for (let i = 1; i <= parts.length; i++) {
+                const path = parts.slice(0, i).join(" > ");
+                if (!existingPaths.has(path.toLowerCase())) {
+                    entry.createsFolders.push(path);
+                    newFolders.add(path);
+                }
+            }
+        });
+
+        plan.newFolders = [...newFolders].sort();
+        return plan;
+    }
+
+    /**
+     * Summarize a plan for display
+     * @param {Object} plan - Plan
+     * @returns {Object} Counts of each change type
+     */
+    getSummary(plan) {
+        const entries = plan?.entries || [];
+        return {
+            total: entries.length,
+            moves: entries.filter((e) => e.moveChanged).length,
+            titleRewrites: entries.filter((e) => e.titleChanged).length,
+            newFolders: plan?.newFolders?.length || 0,
+            unchanged: entries.filter((e) => !e.moveChanged && !e.titleChanged)
+                .length,
+        };
+    }
+
+    /**
+     * Normalize a category path to "A > B > C" form
+     * @param {string} path - Category path separated by ">" or "/"
+     * @returns {string} Normalized path
+     */
+    normalizePath(path) {
+        return (path || "")
+            .split(/\s*>\s*|\s*\/\s*/)
+            .map((part) => part.trim())
+            .filter((part) => part)
+            .join(" > ");
+    }
+
+    /**
+     * Convert a BookmarkService folder path ("Bookmarks bar/Work") into a
+     * category path relative to the Bookmarks Bar
+     * @param {string} folderPath - Slash-separated folder path
+     * @returns {string} Category path
+     */
+    _stripRootFolder(folderPath) {
+        const parts = folderPath.split("/").filter((part) => part.trim());
+        if (parts.length > 0 && /^bookmarks bar$/i.test(parts[0])) {
+            parts.shift();
+        }
+        return parts.join(" > ");
+    }
+
+    /**
+     * Collect existing folder paths under the Bookmarks Bar
+     * @returns {Promise<Set<string>>} Lowercased folder paths
+     */
+    async getExistingFolderPaths() {
+        const paths = new Set();
+        const subtree = await chrome.bookmarks.getSubTree(this.ROOT_FOLDER_ID);
+
+        const walk = (node, prefix) => {
+            (node.children || []).forEach((child) => {
+                if (child.url) return;
+                const path = prefix ? `${prefix} > ${child.title}` : child.title;
+                paths.add(path.toLowerCase());
+                walk(child, path);
+            });
+        };
+
+        if (subtree?.[0]) {
+            walk(subtree[0], "");
+        }
+        return paths;
+    }
+
+    /**
+     * Save plan to local storage
+     * @param {Object} plan - Plan to save
+     */
+    async savePlan(plan) {
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: plan });
+    }
+
+    /**
+     * Load the stored plan
+     * @returns {Promise<Object|null>} Stored plan
+     */
+    async loadPlan() {
+        const result = await chrome.storage.local.get(this.STORAGE_KEY);
+        return result[this.STORAGE_KEY] || null;
+    }
+
+    /**
+     * Remove the stored plan
+     */
+    async clearPlan() {
+        await chrome.storage.local.remove(this.STORAGE_KEY);
+    }
+
+    /**
+     * Apply approved plan entries
+     * @param {Object} plan - Plan to apply
+     * @param {Array} approvals - [{bookmarkId, move, rename}] chosen by the user
+     * @param {Object} aiProcessor - AIProcessor used to create folders
+     * @param {Function} onMarkAsAIMoved - Optional callback to protect moves from learning
+     * @param {Function} progressCallback - Optional progress callback
+     * @returns {Promise<Object>} Apply results
+     */
+    async applyPlan(
+        plan,
+        approvals,
+        aiProcessor,
+        onMarkAsAIMoved = null,
+        progressCallback = null
+    ) {
+        const results = {
+            processed: 0,
+            moved: 0,
+            renamed: 0,
+            skipped: 0,
+            errors: [],
+        };
+
+        const entriesById = new Map(
+            (plan?.entries || []).map((entry) => [entry.bookmarkId, entry])
+        );
+
+        // Joins the caller's session when one is already open
+        await this.journal.startSession("Apply categorization plan", {
+            operationType: "apply_plan",
+        });
+        try {
+            for (let i = 0; i < approvals.length; i++) {
+                const approval = approvals[i];
+                const entry = entriesById.get(approval.bookmarkId);
+                results.processed++;
+
+                if (!entry || (!approval.move && !approval.rename)) {
+                    results.skipped++;
+                    continue;
+                }
+
+                try {
+                    // The bookmark may have been deleted since the plan was made
+                    const existing = await chrome.bookmarks.get(entry.bookmarkId);
+                    if (!existing || !existing[0]) {
+                        results.skipped++;
+                        continue;
+                    }
+
+                    const renamed = approval.rename && entry.titleChanged;
+                    const moved = approval.move && entry.moveChanged;
+                    await new BookmarkService().recordCategoryHistory(
+                        existing[0],
+                        moved ? entry.targetFolder : entry.currentFolder,
+                        renamed ? entry.newTitle : existing[0].title
+                    );
+
+                    if (renamed) {
+                        await this.journal.update(entry.bookmarkId, {
+                            title: entry.newTitle,
+                        });
+                        results.renamed++;
+                    }
+
+                    if (moved) {
+                        if (onMarkAsAIMoved) {
+                            onMarkAsAIMoved(entry.bookmarkId);
+                        }
+                        await chrome.storage.local.set({
+                            [`ai_moved_${entry.bookmarkId}`]: Date.now(),
+                        });
+
+                        const folderId = await aiProcessor._createFolderDirect(
+                            entry.targetFolder,
+                            this.ROOT_FOLDER_ID
+                        );
+                        await this.journal.move(entry.bookmarkId, {
+                            parentId: folderId,
+                        });
+                        results.moved++;
+                    }
+                } catch (_error) {
+                    console.error(
+                        `Failed to apply plan entry for bookmark ${entry.bookmarkId}:`,
+                        _error
+                    );
+                    results.errors.push({
+                        bookmarkId: entry.bookmarkId,
+                        error: _error.message,
+                    });
+                }
+
+                progressCallback?.({
+                    stage: "organizing",
+                    progress: Math.round(((i + 1) / approvals.length) * 100),
+                });
+            }
+        } finally {
+            await this.journal.endSession();
+        }
+
+        return results;
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * BookmarkMind - Categorization Schema
+ * Shape of a categorization reply. Providers with structured output get the
+ * JSON schema with the request; every reply is validated against the batch
+ * and the allowed categories so only the failed entries are asked again.
+ */
+
+export class CategorizationSchema {
+    /**
+     * @param {Object} options - Validation limits
+     * @param {number} options.maxTitleLength - Longest accepted title
+     * @param {string} options.fallbackCategory - Category the prompt allows when unsure
+     */
+    constructor({
+        maxTitleLength = 150,
+        fallbackCategory = "Tools > Utilities",
+    } = {}) {
+        this.maxTitleLength = maxTitleLength;
+        this.fallbackCategory = fallbackCategory;
+        this.SCHEMA_NAME = "bookmark_categorization";
+    }
+
+    /**
+     * JSON schema for the reply. The array is wrapped in an object because
+     * OpenAI-style structured output requires an object at the root.
+     * @param {Array<string>|null} categories - Only categories the reply may use (null = any)
+     * @returns {Object} {name, schema}
+     */
+    getJsonSchema(categories = null) {
+        const category = categories
+            ? { type: "string", enum: categories }
+            : { type: "string" };
+        return {
+            name: this.SCHEMA_NAME,
+            schema: {
+                type: "object",
+                properties: {
+                    results: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            properties: {
+                                id: { type: "integer" },
+                                category,
+                                title: { type: "string" },
+                                confidence: { type: "number" },
+                                reasoning: { type: "string" },
+                                categoryChanged: { type: "boolean" },
+                            },
+                            required: [
+                                "id",
+                                "category",
+                                "title",
+                                "confidence",
+                                "reasoning",
+                                "categoryChanged",
+                            ],
+                            additionalProperties: false,
+                        },
+                    },
+                },
+                required: ["results"],
+                additionalProperties: false,
+            },
+        };
+    }
+
+    /**
+     * Entries of a parsed reply, with or without the results wrapper
+     * @param {*} parsed - Parsed JSON
+     * @returns {Array} Entries
+     */
+    getEntries(parsed) {
+        if (Array.isArray(parsed)) {
+            return parsed;
+        }
+        if (Array.isArray(parsed?.results)) {
+            return parsed.results;
+        }
+        throw new Error("Response is not an array");
+    }
+
+    /**
+     * Check every entry against the batch and the allowed categories. Entries
+     * are matched to bookmarks by their 1-based id; the first entry for an id
+     * wins. Categories are returned in the allowed spelling.
+     * @param {Array} entries - Entries from the reply
+     * @param {Array} batch - Bookmarks that were sent, in prompt order
+     * @param {Array<string>} categories - Allowed categories (empty = any)
+     * @param {Object} options - Validation options
+     * @param {boolean} options.exact - Only the categories themselves, no subcategories or fallback
+     * @param {string} options.fallbackCategory - Fallback the prompt named, if not the default
+     * @returns {Object} {valid: Map<position, entry>, problems: Map<position, reason>}
+     */
+    validate(
+        entries,
+        batch,
+        categories = [],
+        { exact = false, fallbackCategory = this.fallbackCategory } = {}
+    ) {
+        const valid = new Map();
+        const problems = new Map();
+
+        entries.forEach((entry, index) => {
+            const position = Number(entry?.id ?? index + 1);
+            if (
+                !Number.isInteger(position) ||
+                position < 1 ||
+                position > batch.length ||
+                valid.has(position)
+            ) {
+                return;
+            }
+
+            const category = this._resolveCategory(
+                entry.category,
+                categories,
+                exact,
+                fallbackCategory
+            );
+            const problem = this._findProblem(entry, category, exact);
+            if (problem) {
+                if (!problems.has(position)) {
+                    problems.set(position, problem);
+                }
+                return;
+            }
+
+            problems.delete(position);
+            valid.set(position, {
+                ...entry,
+                id: position,
+                category,
+                title: entry.title.trim(),
+            });
+        });
+
+        for (let position = 1; position <= batch.length; position++) {
+            if (!valid.has(position) && !problems.has(position)) {
+                problems.set(position, "missing from the response");
+            }
+        }
+
+        return { valid, problems };
+    }
+
+    /**
+     * Describe what was wrong with an entry
+     * @param {Object} entry - Entry from the reply
+     * @param {string|null} category - Resolved category, or null if not allowed
+     * @param {boolean} exact - Whether subcategories were allowed
+     * @returns {string|null} Problem, or null if the entry is valid
+     */
+    _findProblem(entry, category, exact = false) {
+        const rawCategory =
+            typeof entry.category === "string" ? entry.category.trim() : "";
+        if (!rawCategory) {
+            return "has no category";
+        }
+        const parts = rawCategory.split(">").map((part) => part.trim());
+        if (parts.some((part) => part.toLowerCase() === "other")) {
+            return 'uses the forbidden "Other" category';
+        }
+        if (!category) {
+            return exact
+                ? `category "${rawCategory}" is not one of the locked taxonomy folders`
+                : `category "${rawCategory}" is not one of the available categories or their subcategories`;
+        }
+
+        const title = typeof entry.title === "string" ? entry.title.trim() : "";
+        if (!title) {
+            return "has no title";
+        }
+        if (title.length > this.maxTitleLength) {
+            return `title is longer than ${this.maxTitleLength} characters`;
+        }
+        return null;
+    }
+
+    /**
+     * Match a category to the allowed set, case-insensitively. Subcategories
+     * of an allowed category and the fallback are accepted unless exact.
+     * @param {*} category - Category from the reply
+     * @param {Array<string>} categories - Allowed categories (empty = any)
+     * @param {boolean} exact - Only accept the categories themselves
+     * @param {string} fallbackCategory - Fallback accepted alongside the categories
+     * @returns {string|null} Category in the allowed spelling, or null
+     */
+    _resolveCategory(
+        category,
+        categories,
+        exact = false,
+        fallbackCategory = this.fallbackCategory
+    ) {
+        if (typeof category !== "string" || !category.trim()) {
+            return null;
+        }
+        const path = category
+            .split(">")
+            .map((part) => part.trim())
+            .filter((part) => part)
+            .join(" > ");
+        if (categories.length === 0) {
+            return path;
+        }
+
+        const lowerPath = path.toLowerCase();
+        const candidates = exact
+            ? categories
+            : [...categories, fallbackCategory];
+        for (const allowed of candidates) {
+            const lowerAllowed = allowed.toLowerCase();
+            if (lowerPath === lowerAllowed) {
+                return allowed;
+            }
+            if (!exact && lowerPath.startsWith(`${lowerAllowed} > `)) {
+                return allowed + path.slice(allowed.length);
+            }
+        }
+        return null;
+    }
+}
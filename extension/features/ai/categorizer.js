@@ -4,11 +4,18 @@ import { FolderManager } from "../bookmarks/folderManager.js";
 import { SnapshotManager } from "../bookmarks/snapshotManager.js";
 import { LearningService } from "./learningService.js";
 import { AnalyticsService } from "../analytics/analyticsService.js";
+import { CategorizationPlan } from "./categorizationPlan.js";
+import { FolderMergeAnalyzer } from "../bookmarks/folderMergeAnalyzer.js";
+import { OperationJournal } from "../bookmarks/operationJournal.js";
 /**
  * BookmarkMind - Categorizer
  * Main orchestrator for bookmark categorization process
  */
 
+// Processors with a batch in flight. Alarms and cancel requests each build their
+// own Categorizer, so cancel() needs this to abort requests started elsewhere.
+const activeProcessors = new Set();
+
 export class Categorizer {
     constructor(aiProcessor, callbacks = {}) {
         this.bookmarkService = new BookmarkService();
@@ -27,8 +34,17 @@ export class Categorizer {
             typeof AnalyticsService !== "undefined"
                 ? new AnalyticsService()
                 : null;
+        this.categorizationPlan = new CategorizationPlan();
+        // Every change of a run goes into one journal session so it can be undone
+        this.journal = new OperationJournal("AI categorization", {
+            operationType: "categorization",
+        });
+        this.aiProcessor.journal = this.journal;
+        this.categorizationPlan.journal = this.journal;
         this.isProcessing = false;
         this.sessionStartTime = null;
+        // A batch marked as running longer than this died with its worker
+        this.BATCH_STALE_MS = 5 * 60 * 1000;
     }
 
     /**
@@ -36,22 +52,27 @@ export class Categorizer {
      * @param {Object} settings - User settings
      */
     async initialize(settings) {
-        if (settings.apiKey) {
-            this.aiProcessor.setApiKey(
-                settings.apiKey,
-                settings.cerebrasApiKey || null,
-                settings.groqApiKey || null
-            );
-        }
+        this.aiProcessor.configureFromSettings(settings);
     }
 
     /**
      * Main categorization process
      * @param {Function} progressCallback - Progress update callback
      * @param {boolean} forceReorganize - Whether to reorganize all bookmarks
+     * @param {Object} options - Run options
+     * @param {boolean} options.planMode - Collect a reviewable plan instead of moving bookmarks
+     * @param {string} options.folderId - Only reorganize bookmarks inside this folder
+     * @param {boolean} options.skipSnapshot - Caller already took a snapshot
+     * @param {string} options.snapshotId - ID of the caller's snapshot, used for rollback
+     * @param {string} options.scheduledRunId - Scheduled run this categorization belongs to
      * @returns {Promise<Object>} Results summary
      */
-    async categorizeAllBookmarks(progressCallback, forceReorganize = false) {
+    async categorizeAllBookmarks(
+        progressCallback,
+        forceReorganize = false,
+        options = {}
+    ) {
+        const planMode = !!options.planMode;
         if (this.isProcessing) {
             throw new Error("Categorization already in progress");
         }
@@ -65,18 +86,22 @@ export class Categorizer {
 
             // Get settings first
             const settings = await this._getSettings();
-            if (!settings.apiKey) {
-                throw new Error("API key not configured.");
+            this.aiProcessor.configureFromSettings(settings);
+            if (!this.aiProcessor.hasConfiguredProvider()) {
+                console.log(
+                    "Categorizer: No AI provider configured, using offline rules"
+                );
             }
 
-            this.aiProcessor.setApiKey(
-                settings.apiKey,
-                settings.cerebrasApiKey || null,
-                settings.groqApiKey || null
-            );
-
-            // Create snapshot before starting (if enabled)
-            if (this.snapshotManager && settings.autoSnapshot !== false) {
+            // Create snapshot before starting (if enabled). Plan mode changes
+            // nothing, so the snapshot is taken when the plan is applied instead.
+            let snapshotId = options.snapshotId || null;
+            if (
+                !planMode &&
+                !options.skipSnapshot &&
+                this.snapshotManager &&
+                settings.autoSnapshot !== false
+            ) {
                 try {
                     progressCallback?.({
                         stage: "snapshot",
@@ -85,7 +110,7 @@ export class Categorizer {
                     });
                     const bookmarks =
                         await this.bookmarkService.getAllBookmarks();
-                    await this.snapshotManager.createSnapshot(
+                    const snapshot = await this.snapshotManager.createSnapshot(
                         forceReorganize
                             ? "Before Force Reorganization"
                             : "Before AI Categorization",
@@ -99,6 +124,7 @@ export class Categorizer {
                             ).length,
                         }
                     );
+                    snapshotId = snapshot.id;
                 } catch (snapshotError) {
                     console.warn("Failed to create snapshot:", snapshotError);
                 }
@@ -109,7 +135,14 @@ export class Categorizer {
             const bookmarks = await this.bookmarkService.getAllBookmarks();
 
             let uncategorizedBookmarks;
-            if (forceReorganize) {
+            if (options.folderId) {
+                const folderIds = await this._getSubtreeFolderIds(
+                    options.folderId
+                );
+                uncategorizedBookmarks = bookmarks.filter((bookmark) =>
+                    folderIds.has(bookmark.parentId)
+                );
+            } else if (forceReorganize) {
                 uncategorizedBookmarks = bookmarks;
             } else {
                 uncategorizedBookmarks = bookmarks.filter((bookmark) => {
@@ -137,6 +170,20 @@ export class Categorizer {
                 };
             }
 
+            // Plan mode changes nothing until the plan is applied
+            const journalSessionId = planMode
+                ? null
+                : await this.journal.startSession(
+                      forceReorganize
+                          ? "Force reorganization"
+                          : "AI categorization",
+                      {
+                          operationType: forceReorganize
+                              ? "force_reorganize"
+                              : "categorization",
+                      }
+                  );
+
             // Initialize persistent state
             const batchSize = settings.batchSize || 50;
             const state = {
@@ -149,14 +196,30 @@ export class Categorizer {
                 startTime: Date.now(),
                 forceReorganize: forceReorganize,
                 settings: settings,
+                planMode: planMode,
+                scheduledRunId: options.scheduledRunId || null,
+                snapshotId: snapshotId,
+                journalSessionId: journalSessionId,
+                paused: false,
+                pausedAt: null,
+                batchStartedAt: null,
+                plan: planMode
+                    ? this.categorizationPlan.createPlan({
+                          forceReorganize,
+                          totalBookmarks: uncategorizedBookmarks.length,
+                      })
+                    : null,
             };
 
             await this._saveState(state);
 
-            // Notify background to start AI mode
-            await chrome.runtime.sendMessage({
-                action: "startAICategorization",
-            });
+            if (planMode) {
+                // A new dry run replaces any plan still waiting for review
+                await this.categorizationPlan.clearPlan();
+            } else {
+                // Notify background to start AI mode
+                await this._notifyBackground("startAICategorization");
+            }
 
             // Schedule first batch immediately via alarm
             await chrome.alarms.create("process_categorization_batch", {
@@ -168,7 +231,10 @@ export class Categorizer {
             );
             return {
                 started: true,
-                message: "Categorization started in background",
+                planMode: planMode,
+                message: planMode
+                    ? "Building categorization plan in background"
+                    : "Categorization started in background",
             };
         } catch (_error) {
             console.error("Categorization start _error:", _error);
@@ -181,36 +247,46 @@ export class Categorizer {
      * Process the next batch of bookmarks (called by alarm)
      */
     async processNextBatch() {
+        let state;
         try {
-            const state = await this._loadState();
-            if (!state || state.currentIndex >= state.totalBookmarks) {
+            state = await this._loadState();
+            // A stray alarm after cancel() has nothing left to finish
+            if (!state) {
+                await chrome.alarms.clear("process_categorization_batch");
+                return;
+            }
+            if (state.currentIndex >= state.totalBookmarks) {
                 await this._finishCategorization(state);
                 return;
             }
 
+            // A stray alarm must not advance a paused session
+            if (state.paused) {
+                console.log("Categorization is paused, skipping batch");
+                return;
+            }
+
+            // The running batch schedules the next one itself
+            if (this._isBatchInFlight(state)) {
+                console.log("A batch is already running, skipping alarm");
+                return;
+            }
+            state.batchStartedAt = Date.now();
+            await this._saveState(state);
+
             console.log(
                 `Processing batch starting at index ${state.currentIndex}/${state.totalBookmarks}`
             );
 
             // Initialize services if needed (service worker might have restarted)
-            if (!this.aiProcessor.apiKey && state.settings?.apiKey) {
-                this.aiProcessor.setApiKey(
-                    state.settings.apiKey,
-                    state.settings.cerebrasApiKey || null,
-                    state.settings.groqApiKey || null
-                );
+            if (!this.aiProcessor.hasConfiguredProvider() && state.settings) {
+                this.aiProcessor.configureFromSettings(state.settings);
             }
 
-            // Get batch
-            const batch = state.bookmarks.slice(
-                state.currentIndex,
-                state.currentIndex + state.batchSize
-            );
-
-            // Enrich titles
-            await this.aiProcessor._enrichBatchWithTitles(batch);
+            activeProcessors.add(this.aiProcessor);
+            // Alarms build a new Categorizer per batch; keep recording into the run's session
+            this.journal.resumeSession(state.journalSessionId);
 
-            // Process batch
             // We need to get learning data again as it might have changed or we are in a new worker
             const learningData = await this._getLearningData();
 
@@ -225,33 +301,198 @@ export class Categorizer {
                     );
             }
 
+            // Get batch, packed to the model's token budget (state.batchSize at most).
+            // Copies keep fetched page content out of the saved state
+            const batchSize = await this.aiProcessor.getNextBatchSize(
+                state.bookmarks,
+                state.currentIndex,
+                dynamicCategories,
+                learningData,
+                { ...state.settings, batchSize: state.batchSize }
+            );
+            const batch = state.bookmarks
+                .slice(state.currentIndex, state.currentIndex + batchSize)
+                .map((bookmark) => ({ ...bookmark }));
+
+            // Enrich titles
+            await this.aiProcessor._enrichBatchWithTitles(batch);
+
             // Process batch
-            const _results = await this.aiProcessor.processBatch(
+            const results = await this.aiProcessor.processBatch(
                 batch,
                 dynamicCategories,
                 learningData,
-                this.callbacks.onMarkAsAIMoved // Pass the callback here
+                this.callbacks.onMarkAsAIMoved, // Pass the callback here
+                { planMode: !!state.planMode }
             );
 
+            // In plan mode nothing was moved; record the proposals instead
+            if (state.planMode && state.plan) {
+                this.categorizationPlan.addResults(state.plan, batch, results);
+            }
+
+            // Pick up a pause or cancel that arrived while this batch ran
+            const latest = await this._loadState();
+            if (!latest) {
+                console.log("Categorization was cancelled during the batch");
+                return;
+            }
+
             // Update state
-            state.currentIndex += state.batchSize;
+            state.currentIndex += batch.length;
             state.generatedCategories = dynamicCategories;
+            state.needsReview =
+                (state.needsReview || 0) +
+                results.filter((result) => result.needsReview).length;
+            state.paused = !!latest.paused;
+            state.pausedAt = latest.pausedAt || null;
+            state.batchStartedAt = null;
 
             // Save state
             await this._saveState(state);
 
             // Schedule next batch
-            await chrome.alarms.create("process_categorization_batch", {
-                when: Date.now() + 1000, // Process next batch in 1 second
-            });
+            if (!state.paused) {
+                await chrome.alarms.create("process_categorization_batch", {
+                    when: Date.now() + 1000, // Process next batch in 1 second
+                });
+            }
         } catch (_error) {
+            // cancel() already cleaned up and reported the session
+            if (_error.cancelled) {
+                console.log("Categorization batch aborted by cancel");
+                return;
+            }
             console.error("_error processing batch:", _error);
             this.isProcessing = false;
+            await this.journal.endSession();
             // Clear alarm on error to stop processing loop
             await chrome.alarms.clear("process_categorization_batch");
+            await this.callbacks.onFinished?.(state, _error);
+        } finally {
+            activeProcessors.delete(this.aiProcessor);
+            await this.journal.flush();
         }
     }
 
+    /**
+     * Describe the running categorization session
+     * @returns {Promise<Object|null>} Session summary, or null when nothing is running
+     */
+    async getSession() {
+        const state = await this._loadState();
+        if (!state) return null;
+
+        const processed = Math.min(state.currentIndex, state.totalBookmarks);
+        return {
+            active: true,
+            paused: !!state.paused,
+            pausedAt: state.pausedAt || null,
+            planMode: !!state.planMode,
+            forceReorganize: !!state.forceReorganize,
+            totalBookmarks: state.totalBookmarks,
+            processed,
+            needsReview: state.needsReview || 0,
+            progress:
+                state.totalBookmarks > 0
+                    ? Math.round((processed / state.totalBookmarks) * 100)
+                    : 0,
+            startTime: state.startTime,
+            snapshotId: state.snapshotId || null,
+            scheduledRunId: state.scheduledRunId || null,
+        };
+    }
+
+    /**
+     * Pause the running session after the current batch
+     * @returns {Promise<Object>} Session summary
+     */
+    async pause() {
+        const state = await this._loadState();
+        if (!state) {
+            throw new Error("No categorization in progress");
+        }
+
+        state.paused = true;
+        state.pausedAt = Date.now();
+        await this._saveState(state);
+        await chrome.alarms.clear("process_categorization_batch");
+
+        console.log(
+            `⏸️ Categorization paused at ${state.currentIndex}/${state.totalBookmarks}`
+        );
+        return this.getSession();
+    }
+
+    /**
+     * Resume a paused session
+     * @returns {Promise<Object>} Session summary
+     */
+    async resume() {
+        const state = await this._loadState();
+        if (!state) {
+            throw new Error("No categorization in progress");
+        }
+
+        state.paused = false;
+        state.pausedAt = null;
+        await this._saveState(state);
+        // A batch still running re-arms the alarm when it sees the resume
+        if (!this._isBatchInFlight(state)) {
+            await chrome.alarms.create("process_categorization_batch", {
+                when: Date.now() + 100,
+            });
+        }
+
+        console.log(
+            `▶️ Categorization resumed at ${state.currentIndex}/${state.totalBookmarks}`
+        );
+        return this.getSession();
+    }
+
+    /**
+     * Cancel the running session. Bookmarks already moved stay where they are;
+     * the caller decides whether to roll back to the session snapshot.
+     * @returns {Promise<Object>} Summary of the cancelled session
+     */
+    async cancel() {
+        const session = await this.getSession();
+        if (!session) {
+            throw new Error("No categorization in progress");
+        }
+
+        const state = await this._loadState();
+        this.isProcessing = false;
+        await chrome.alarms.clear("process_categorization_batch");
+        await chrome.storage.local.remove("categorizationState");
+        for (const processor of activeProcessors) {
+            processor.cancelRequests("Categorization was cancelled");
+        }
+        this.journal.resumeSession(state?.journalSessionId);
+        await this.journal.endSession();
+        await this.callbacks.onFinished?.(
+            state,
+            new Error("Categorization was cancelled")
+        );
+
+        console.log(
+            `⏹️ Categorization cancelled at ${session.processed}/${session.totalBookmarks}`
+        );
+        return session;
+    }
+
+    /**
+     * Check whether a batch of the session is still being processed
+     * @param {Object} state - Categorization state
+     * @returns {boolean} True while a live batch is running
+     */
+    _isBatchInFlight(state) {
+        return (
+            !!state?.batchStartedAt &&
+            Date.now() - state.batchStartedAt < this.BATCH_STALE_MS
+        );
+    }
+
     /**
      * Save categorization state
      * @param {Object} state - State to save
@@ -278,10 +519,17 @@ export class Categorizer {
         await chrome.alarms.clear("process_categorization_batch");
         await chrome.storage.local.remove("categorizationState");
 
-        // Notify background to end AI mode
-        await chrome.runtime.sendMessage({
-            action: "endAICategorization",
-        });
+        if (state?.planMode && state.plan) {
+            await this._finishPlan(state.plan);
+        } else {
+            this.journal.resumeSession(state?.journalSessionId);
+            await this._mergeSimilarFolders(state?.settings);
+            await this.journal.endSession();
+            // Notify background to end AI mode
+            await this._notifyBackground("endAICategorization");
+        }
+
+        await this.callbacks.onFinished?.(state, null);
 
         const duration = Math.round((Date.now() - state.startTime) / 1000);
         console.log(
@@ -289,6 +537,140 @@ export class Categorizer {
         );
     }
 
+    /**
+     * Merge near-duplicate folders once a run finishes, if the user asked for it
+     * @param {Object} settings - Settings the run started with
+     */
+    async _mergeSimilarFolders(settings) {
+        try {
+            const analyzer = new FolderMergeAnalyzer(this.aiProcessor);
+            analyzer.journal = this.journal;
+            const result = await analyzer.autoMerge(
+                settings,
+                this.callbacks.onMarkAsAIMoved
+            );
+            if (result) {
+                console.log(
+                    `Merged ${result.foldersRemoved} similar folders after categorization`
+                );
+            }
+        } catch (_error) {
+            console.warn("Automatic folder merge failed:", _error);
+        }
+    }
+
+    /**
+     * Tell the background script about a run starting or ending.
+     * Unattended runs have no extension page open to receive the message,
+     * so a failed delivery is not an error.
+     * @param {string} action - Message action
+     */
+    async _notifyBackground(action) {
+        try {
+            await chrome.runtime.sendMessage({ action });
+        } catch (_error) {
+            console.log(`${action} message not delivered:`, _error.message);
+        }
+    }
+
+    /**
+     * Collect the IDs of a folder and all folders below it
+     * @param {string} folderId - Root folder ID
+     * @returns {Promise<Set<string>>} Folder IDs
+     */
+    async _getSubtreeFolderIds(folderId) {
+        const folderIds = new Set();
+        const walk = (node) => {
+            if (node.url) return;
+            folderIds.add(node.id);
+            (node.children || []).forEach(walk);
+        };
+
+        const [root] = await chrome.bookmarks.getSubTree(folderId);
+        if (root) walk(root);
+        return folderIds;
+    }
+
+    /**
+     * Store a completed plan for review and notify the dashboard
+     * @param {Object} plan - Collected plan
+     */
+    async _finishPlan(plan) {
+        try {
+            const existingPaths =
+                await this.categorizationPlan.getExistingFolderPaths();
+            this.categorizationPlan.markNewFolders(plan, existingPaths, (name) =>
+                this.aiProcessor.normalizeFolderName(name)
+            );
+        } catch (_error) {
+            console.warn("Failed to detect new folders for plan:", _error);
+        }
+
+        plan.status = "ready";
+        plan.completedAt = Date.now();
+        await this.categorizationPlan.savePlan(plan);
+
+        const summary = this.categorizationPlan.getSummary(plan);
+        console.log(
+            `Categorization plan ready: ${summary.moves} moves, ${summary.titleRewrites} title rewrites, ${summary.newFolders} new folders`
+        );
+
+        try {
+            await chrome.runtime.sendMessage({
+                action: "categorizationPlanReady",
+                data: summary,
+            });
+        } catch (_error) {
+            // Dashboard is probably closed; the plan stays in storage
+        }
+    }
+
+    /**
+     * Apply approved entries from the stored categorization plan
+     * @param {Array} approvals - [{bookmarkId, move, rename}] chosen by the user
+     * @param {Function} progressCallback - Progress update callback
+     * @returns {Promise<Object>} Apply results
+     */
+    async applyPlan(approvals, progressCallback) {
+        const plan = await this.categorizationPlan.loadPlan();
+        if (!plan || plan.status !== "ready") {
+            throw new Error("No categorization plan is ready for review.");
+        }
+
+        const settings = await this._getSettings();
+        await this.journal.startSession("Apply categorization plan", {
+            operationType: "apply_plan",
+        });
+        if (this.snapshotManager && settings.autoSnapshot !== false) {
+            try {
+                progressCallback?.({ stage: "snapshot", progress: 0 });
+                await this.snapshotManager.createSnapshot(
+                    "Before Applying Categorization Plan",
+                    {
+                        operationType: "apply_plan",
+                        bookmarkCount: approvals.length,
+                    }
+                );
+            } catch (snapshotError) {
+                console.warn("Failed to create snapshot:", snapshotError);
+            }
+        }
+
+        try {
+            const results = await this.categorizationPlan.applyPlan(
+                plan,
+                approvals,
+                this.aiProcessor,
+                this.callbacks.onMarkAsAIMoved,
+                progressCallback
+            );
+            await this.categorizationPlan.clearPlan();
+            return results;
+        } finally {
+            await this.journal.endSession();
+        }
+    }
+
     /**
      * Record user correction for learning
      * @param {string} bookmarkId - Bookmark ID
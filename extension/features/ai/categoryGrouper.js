@@ -1,6 +1,7 @@
 /**
  * BookmarkMind - Category Grouper
- * Handles semantic grouping of categories into parent folders
+ * Handles semantic grouping of categories into parent folders. Folders from
+ * the user's taxonomy are never regrouped.
  */
 
 export class CategoryGrouper {
@@ -76,6 +77,21 @@ export class CategoryGrouper {
                 ],
             },
         ];
+
+        // Lowercased taxonomy folder paths, see setTaxonomy()
+        this.taxonomyPaths = [];
+        this.taxonomyLocked = false;
+    }
+
+    /**
+     * Leave the user's taxonomy alone: its folders and their subfolders keep
+     * their paths, and a locked taxonomy turns grouping off
+     * @param {Array<string>} paths - Taxonomy folder paths ("A > B")
+     * @param {boolean} locked - Whether the taxonomy is locked
+     */
+    setTaxonomy(paths = [], locked = false) {
+        this.taxonomyPaths = paths.map((path) => this._normalizePath(path));
+        this.taxonomyLocked = locked && paths.length > 0;
     }
 
     /**
@@ -86,6 +102,10 @@ export class CategoryGrouper {
     getGroupedCategory(category) {
         if (!category) return "Uncategorized";
 
+        if (this.taxonomyLocked || this._isInTaxonomy(category)) {
+            return category;
+        }
+
         // If category is already hierarchical (has '/'), check the first part
         // But we might want to regroup even if it is hierarchical if the top level matches a keyword
         // For now, let's assume we want to group top-level categories primarily
@@ -118,5 +138,30 @@ export class CategoryGrouper {
         // No grouping found, return original
         return category;
     }
-}
 
+    /**
+     * Check whether a category is a taxonomy folder or one of its subfolders
+     * @param {string} category - Category path
+     * @returns {boolean} True if the taxonomy already places it
+     */
+    _isInTaxonomy(category) {
+        const path = this._normalizePath(category);
+        return this.taxonomyPaths.some(
+            (taxonomyPath) =>
+                path === taxonomyPath || path.startsWith(`${taxonomyPath} > `)
+        );
+    }
+
+    /**
+     * Lowercase a path and write it with " > " separators
+     * @param {string} path - Path with ">" separators
+     * @returns {string} Normalized path
+     */
+    _normalizePath(path) {
+        return path
+            .split(/\s*>\s*/)
+            .map((part) => part.trim().toLowerCase())
+            .filter((part) => part)
+            .join(" > ");
+    }
+}
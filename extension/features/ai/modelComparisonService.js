@@ -1,3 +1,4 @@
+import { ProviderRegistry } from "./providers/providerRegistry.js";
 /**
  * BookmarkMind - Model Comparison Service
  * Tracks AI model performance, handles A/B testing, cost tracking, and model recommendations
@@ -7,6 +8,8 @@ export class ModelComparisonService {
     constructor() {
         this.storageKey = "bookmarkMindModelComparison";
         this.costTrackingKey = "bookmarkMindCostTracking";
+        // Model pricing comes from the provider adapters
+        this.providers = new ProviderRegistry();
     }
 
     /**
@@ -406,34 +409,7 @@ export class ModelComparisonService {
      * @private
      */
     _calculateCost(data) {
-        const pricing = {
-            // Gemini pricing
-            "gemini-2.5-pro": { input: 1.25, output: 5.0 },
-            "gemini-2.5-flash-preview-09-2025": { input: 0.075, output: 0.3 },
-            "gemini-2.5-flash": { input: 0.075, output: 0.3 },
-            "gemini-2.5-flash-image": { input: 0.0375, output: 0.15 },
-            "gemini-2.0-flash": { input: 0.0375, output: 0.15 },
-            "gemini-2.5-flash-lite-preview-09-2025": {
-                input: 0.02,
-                output: 0.08,
-            },
-            "gemini-2.5-flash-lite": { input: 0.02, output: 0.08 },
-
-            // Cerebras pricing
-            "gpt-oss-120b": { input: 0.6, output: 0.6 },
-            "llama-3.3-70b": { input: 0.6, output: 0.6 },
-            "qwen-3-32b": { input: 0.1, output: 0.1 },
-            "llama3.1-8b": { input: 0.1, output: 0.1 },
-
-            // Groq pricing (free tier)
-            "openai/gpt-oss-120b": { input: 0.0, output: 0.0 },
-            "llama-3.3-70b-versatile": { input: 0.0, output: 0.0 },
-            "qwen/qwen3-32b": { input: 0.0, output: 0.0 },
-            "openai/gpt-oss-20b": { input: 0.0, output: 0.0 },
-            "llama-3.1-8b-instant": { input: 0.0, output: 0.0 },
-        };
-
-        const modelPricing = pricing[data.model] || { input: 0.1, output: 0.3 };
+        const modelPricing = this.providers.getPricing(data.model);
         const inputTokens = data.inputTokens || 0;
         const outputTokens = data.outputTokens || 0;
 
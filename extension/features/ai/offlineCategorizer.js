@@ -0,0 +1,570 @@
+/**
+ * BookmarkMind - Offline Categorizer
+ * Rule-based categorization that works without any AI provider. Used as its
+ * own provider and as the automatic fallback when AI is unavailable.
+ */
+
+import { CategoryGrouper } from "./categoryGrouper.js";
+
+export class OfflineCategorizer {
+    constructor() {
+        this.categoryGrouper = new CategoryGrouper();
+        this.DEFAULT_CATEGORY = "Tools > Utilities"; // Same default the AI parser uses
+
+        // Confidence reported for each kind of signal
+        this.CONFIDENCE = {
+            learned: 0.9,
+            domain: 0.85,
+            path: 0.65,
+            keyword: 0.45,
+            fallback: 0.2,
+        };
+
+        // Well-known sites. Keys with a dot match the hostname suffix,
+        // keys without one match any hostname label (amazon.de, ebay.co.uk)
+        this.domainRules = {
+            "github.com": "Development > Code Hosting",
+            "gitlab.com": "Development > Code Hosting",
+            "bitbucket.org": "Development > Code Hosting",
+            "codeberg.org": "Development > Code Hosting",
+            "stackoverflow.com": "Development > Q&A",
+            "stackexchange.com": "Development > Q&A",
+            "superuser.com": "Development > Q&A",
+            "serverfault.com": "Development > Q&A",
+            "developer.mozilla.org": "Development > Documentation",
+            "devdocs.io": "Development > Documentation",
+            "readthedocs.io": "Development > Documentation",
+            "npmjs.com": "Development > Packages",
+            "pypi.org": "Development > Packages",
+            "crates.io": "Development > Packages",
+            "rubygems.org": "Development > Packages",
+            "dev.to": "Development > Articles",
+            "youtube.com": "Entertainment > Video",
+            "youtu.be": "Entertainment > Video",
+            "vimeo.com": "Entertainment > Video",
+            "twitch.tv": "Entertainment > Video",
+            "netflix.com": "Entertainment > Streaming",
+            "hulu.com": "Entertainment > Streaming",
+            "disneyplus.com": "Entertainment > Streaming",
+            "primevideo.com": "Entertainment > Streaming",
+            "spotify.com": "Entertainment > Music",
+            "soundcloud.com": "Entertainment > Music",
+            "bandcamp.com": "Entertainment > Music",
+            "store.steampowered.com": "Entertainment > Games",
+            "itch.io": "Entertainment > Games",
+            "facebook.com": "Social > Networks",
+            "twitter.com": "Social > Networks",
+            "x.com": "Social > Networks",
+            "instagram.com": "Social > Networks",
+            "linkedin.com": "Social > Networks",
+            "mastodon.social": "Social > Networks",
+            "reddit.com": "Social > Communities",
+            "discord.com": "Social > Communities",
+            "discord.gg": "Social > Communities",
+            "news.ycombinator.com": "News > Technology",
+            "techcrunch.com": "News > Technology",
+            "theverge.com": "News > Technology",
+            "arstechnica.com": "News > Technology",
+            "wired.com": "News > Technology",
+            "nytimes.com": "News > General",
+            "bbc.com": "News > General",
+            "bbc.co.uk": "News > General",
+            "theguardian.com": "News > General",
+            "reuters.com": "News > General",
+            "apnews.com": "News > General",
+            "medium.com": "Reading > Blogs",
+            "substack.com": "Reading > Blogs",
+            amazon: "Shopping > Marketplaces",
+            ebay: "Shopping > Marketplaces",
+            "etsy.com": "Shopping > Marketplaces",
+            "aliexpress.com": "Shopping > Marketplaces",
+            "coursera.org": "Education > Courses",
+            "udemy.com": "Education > Courses",
+            "edx.org": "Education > Courses",
+            "khanacademy.org": "Education > Courses",
+            "freecodecamp.org": "Education > Courses",
+            "wikipedia.org": "Education > Reference",
+            "britannica.com": "Education > Reference",
+            "arxiv.org": "Education > Research",
+            "scholar.google.com": "Education > Research",
+            "notion.so": "Business > Productivity",
+            "trello.com": "Business > Productivity",
+            "asana.com": "Business > Productivity",
+            "airtable.com": "Business > Productivity",
+            "slack.com": "Business > Productivity",
+            "docs.google.com": "Business > Productivity",
+            "drive.google.com": "Business > Productivity",
+            "calendar.google.com": "Business > Productivity",
+            "paypal.com": "Finance > Payments",
+            "coinbase.com": "Finance > Crypto",
+            "binance.com": "Finance > Crypto",
+            "tradingview.com": "Finance > Investing",
+            "finance.yahoo.com": "Finance > Investing",
+            "figma.com": "Design > Tools",
+            "canva.com": "Design > Tools",
+            "dribbble.com": "Design > Inspiration",
+            "behance.net": "Design > Inspiration",
+            "chatgpt.com": "AI > Assistants",
+            "chat.openai.com": "AI > Assistants",
+            "claude.ai": "AI > Assistants",
+            "gemini.google.com": "AI > Assistants",
+            "huggingface.co": "AI > Models",
+            "haveibeenpwned.com": "Privacy & Security > Tools",
+            "bitwarden.com": "Privacy & Security > Passwords",
+            "1password.com": "Privacy & Security > Passwords",
+            "proton.me": "Privacy & Security > Email",
+            "booking.com": "Travel > Booking",
+            "airbnb.com": "Travel > Booking",
+            "tripadvisor.com": "Travel > Booking",
+        };
+
+        // URL shapes that say what a page is regardless of the site
+        this.pathRules = [
+            {
+                pattern: /^(docs|developer|devdocs)\.|\/(docs|documentation|reference|manual|api-reference)(\/|$)/,
+                category: "Development > Documentation",
+            },
+            {
+                pattern: /^blog\.|\/(blog|blogs|posts?|articles?)(\/|$)/,
+                category: "Reading > Blogs",
+            },
+            {
+                pattern: /\/(courses?|tutorials?|lessons?|learn)(\/|$)/,
+                category: "Education > Tutorials",
+            },
+            {
+                pattern: /^shop\.|^store\.|\/(shop|store|products?|cart)(\/|$)/,
+                category: "Shopping > Stores",
+            },
+            {
+                pattern: /\/(watch|videos?|playlist)(\/|$)/,
+                category: "Entertainment > Video",
+            },
+            {
+                pattern: /^jobs\.|^careers\.|\/(jobs|careers)(\/|$)/,
+                category: "Career > Jobs",
+            },
+            {
+                pattern: /^news\.|\/news(\/|$)/,
+                category: "News > General",
+            },
+            {
+                pattern: /\.pdf$/,
+                category: "Reading > Documents",
+            },
+        ];
+
+        // Keyword vocabulary shared with the content type detector
+        this.keywordRules = {
+            "Development > Tools": [
+                "code",
+                "programming",
+                "developer",
+                "api",
+                "sdk",
+                "git",
+                "javascript",
+                "python",
+                "typescript",
+                "rust",
+                "golang",
+                "react",
+                "docker",
+                "kubernetes",
+                "database",
+                "sql",
+                "regex",
+            ],
+            "Entertainment > Video": [
+                "video",
+                "movie",
+                "movies",
+                "series",
+                "stream",
+                "trailer",
+                "anime",
+            ],
+            "Entertainment > Music": ["music", "song", "album", "playlist", "lyrics"],
+            "Entertainment > Games": ["game", "games", "gaming", "steam"],
+            "Shopping > Stores": [
+                "shop",
+                "buy",
+                "cart",
+                "store",
+                "price",
+                "deal",
+                "deals",
+                "sale",
+                "coupon",
+            ],
+            "News > General": ["news", "press", "headlines", "journal"],
+            "Reading > Blogs": ["blog", "article", "newsletter", "essay"],
+            "Education > Resources": [
+                "course",
+                "tutorial",
+                "learn",
+                "learning",
+                "education",
+                "university",
+                "school",
+                "training",
+                "study",
+                "guide",
+            ],
+            "Finance > Money": [
+                "bank",
+                "banking",
+                "finance",
+                "money",
+                "investment",
+                "investing",
+                "crypto",
+                "trading",
+                "stock",
+                "stocks",
+                "tax",
+                "budget",
+            ],
+            "Business > Productivity": [
+                "calendar",
+                "todo",
+                "notes",
+                "kanban",
+                "project",
+                "meeting",
+                "spreadsheet",
+            ],
+            "Design > Resources": [
+                "design",
+                "icons",
+                "fonts",
+                "font",
+                "color",
+                "palette",
+                "ui",
+                "ux",
+                "mockup",
+            ],
+            "Health > Fitness": [
+                "health",
+                "fitness",
+                "workout",
+                "nutrition",
+                "recipe",
+                "recipes",
+            ],
+            "Travel > Planning": ["travel", "flight", "flights", "hotel", "trip"],
+        };
+    }
+
+    /**
+     * Categorize a batch of bookmarks in the same shape as parsed AI results
+     * @param {Array} batch - Bookmarks to categorize
+     * @param {Array} categories - Available categories (reused when they match)
+     * @param {Object} learningData - Learning data from LearningService
+     * @returns {Array} Results ({id, bookmarkId, category, title, confidence, source})
+     */
+    categorizeBatch(batch, categories = [], learningData = {}) {
+        return batch.map((bookmark, index) => {
+            const match = this.categorize(bookmark, categories, learningData);
+            return {
+                id: index + 1,
+                bookmarkId: bookmark.id,
+                category: match.category,
+                title: bookmark.title || "Untitled",
+                confidence: match.confidence,
+                source: "offline",
+                reason: match.reason,
+            };
+        });
+    }
+
+    /**
+     * Categorize a single bookmark. Signals are tried strongest first:
+     * learned patterns, known domains, URL path rules, then keyword scoring.
+     * @param {Object} bookmark - Bookmark ({url, title})
+     * @param {Array} categories - Available categories (reused when they match)
+     * @param {Object} learningData - Learning data from LearningService
+     * @returns {Object} {category, confidence, reason}
+     */
+    categorize(bookmark, categories = [], learningData = {}) {
+        const url = bookmark?.url || "";
+        const title = bookmark?.title || "";
+        const { hostname, path } = this._parseUrl(url);
+
+        const match = this._matchLearnedPattern(
+            hostname,
+            path,
+            title,
+            learningData
+        ) ||
+            this._matchDomain(hostname) ||
+            this._matchPath(hostname, path) ||
+            this._scoreKeywords(this._tokenize(hostname, path, title)) || {
+                category: this.DEFAULT_CATEGORY,
+                confidence: this.CONFIDENCE.fallback,
+                reason: "No rule matched",
+            };
+
+        return {
+            ...match,
+            category: this._fitToCategories(match.category, categories),
+        };
+    }
+
+    /**
+     * Build a category list from bookmarks without calling an AI provider
+     * @param {Array} bookmarks - Bookmarks to analyze
+     * @param {Array} existingFolders - Existing folder paths to keep
+     * @param {Array} suggestedCategories - User-suggested categories
+     * @returns {Array<string>} Categories
+     */
+    generateCategories(
+        bookmarks = [],
+        existingFolders = [],
+        suggestedCategories = []
+    ) {
+        const found = bookmarks.map(
+            (bookmark) => this.categorize(bookmark, [], {}).category
+        );
+
+        return [
+            ...new Set([
+                ...existingFolders,
+                ...(suggestedCategories || []),
+                ...found,
+                this.DEFAULT_CATEGORY,
+            ]),
+        ].filter((category) => category && !category.includes("Other"));
+    }
+
+    /**
+     * Match learned patterns from manual corrections
+     * @param {string} hostname - Hostname without "www."
+     * @param {string} path - Lowercased URL path
+     * @param {string} title - Bookmark title
+     * @param {Object} learningData - Either {patterns: {...}} from LearningService
+     * or a plain {pattern: category} map
+     * @returns {Object|null} Match
+     */
+    _matchLearnedPattern(hostname, path, title, learningData) {
+        if (!learningData || typeof learningData !== "object") return null;
+
+        if (learningData.patterns) {
+            const patterns = Object.values(learningData.patterns);
+            const urlPattern = path.split("/").filter((p) => p).slice(0, 2).join("/");
+            const titleWords = title.toLowerCase().match(/[a-z0-9]{3,}/g) || [];
+
+            const byType = (type, test) =>
+                patterns
+                    .filter((p) => p.type === type && p.category && test(p))
+                    .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))[0];
+
+            const domain = byType("domain", (p) => p.value === hostname);
+            if (domain) {
+                return {
+                    category: domain.category,
+                    confidence: this.CONFIDENCE.learned,
+                    reason: `Learned domain: ${hostname}`,
+                };
+            }
+
+            const url = byType(
+                "url_pattern",
+                (p) => urlPattern && p.value === urlPattern
+            );
+            if (url) {
+                return {
+                    category: url.category,
+                    confidence: this.CONFIDENCE.learned,
+                    reason: `Learned URL pattern: ${urlPattern}`,
+                };
+            }
+
+            // Single keywords are weak; require a confident pattern
+            const keyword = byType(
+                "keyword",
+                (p) => (p.confidence || 0) >= 0.6 && titleWords.includes(p.value)
+            );
+            if (keyword) {
+                return {
+                    category: keyword.category,
+                    confidence: keyword.confidence,
+                    reason: `Learned keyword: ${keyword.value}`,
+                };
+            }
+            return null;
+        }
+
+        const text = `${hostname}${path} ${title}`.toLowerCase();
+        for (const [pattern, category] of Object.entries(learningData)) {
+            if (
+                typeof category === "string" &&
+                pattern &&
+                text.includes(pattern.toLowerCase())
+            ) {
+                return {
+                    category,
+                    confidence: this.CONFIDENCE.learned,
+                    reason: `Learned pattern: ${pattern}`,
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Match well-known domains
+     * @param {string} hostname - Hostname without "www."
+     * @returns {Object|null} Match
+     */
+    _matchDomain(hostname) {
+        if (!hostname) return null;
+        const labels = hostname.split(".");
+
+        // Prefer the most specific rule (docs.google.com over google.com)
+        const key = Object.keys(this.domainRules)
+            .filter((rule) =>
+                rule.includes(".")
+                    ? hostname === rule || hostname.endsWith(`.${rule}`)
+                    : labels.slice(0, -1).includes(rule)
+            )
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (!key) return null;
+        return {
+            category: this.domainRules[key],
+            confidence: this.CONFIDENCE.domain,
+            reason: `Known domain: ${hostname}`,
+        };
+    }
+
+    /**
+     * Match URL path and subdomain rules
+     * @param {string} hostname - Hostname without "www."
+     * @param {string} path - Lowercased URL path
+     * @returns {Object|null} Match
+     */
+    _matchPath(hostname, path) {
+        const rule = this.pathRules.find(
+            (r) => r.pattern.test(hostname) || r.pattern.test(path)
+        );
+        if (!rule) return null;
+        return {
+            category: rule.category,
+            confidence: this.CONFIDENCE.path,
+            reason: `URL pattern: ${rule.pattern.source}`,
+        };
+    }
+
+    /**
+     * Score categories by keyword hits, including the CategoryGrouper vocabulary
+     * @param {Array<string>} tokens - Words from the URL and title
+     * @returns {Object|null} Best match
+     */
+    _scoreKeywords(tokens) {
+        if (tokens.length === 0) return null;
+        const scores = new Map();
+        const add = (category, keyword) => {
+            const entry = scores.get(category) || { score: 0, hits: [] };
+            entry.score++;
+            entry.hits.push(keyword);
+            scores.set(category, entry);
+        };
+
+        for (const [category, keywords] of Object.entries(this.keywordRules)) {
+            keywords.forEach((keyword) => {
+                if (tokens.includes(keyword)) add(category, keyword);
+            });
+        }
+
+        // Grouper keywords only tell us the parent group
+        this.categoryGrouper.groupMappings.forEach((mapping) => {
+            mapping.keywords.forEach((keyword) => {
+                const lower = keyword.toLowerCase();
+                if (tokens.some((token) => token.startsWith(lower))) {
+                    add(mapping.group, lower);
+                }
+            });
+        });
+
+        let best = null;
+        for (const [category, entry] of scores) {
+            if (!best || entry.score > best.score) {
+                best = { category, ...entry };
+            }
+        }
+        if (!best) return null;
+
+        return {
+            category: best.category,
+            confidence: Math.min(
+                this.CONFIDENCE.path,
+                this.CONFIDENCE.keyword + (best.score - 1) * 0.05
+            ),
+            reason: `Keywords: ${best.hits.join(", ")}`,
+        };
+    }
+
+    /**
+     * Reuse an available category when it names the same folder
+     * @param {string} category - Proposed category
+     * @param {Array} categories - Available categories
+     * @returns {string} Category to use
+     */
+    _fitToCategories(category, categories = []) {
+        if (!categories || categories.length === 0) return category;
+
+        const normalize = (value) =>
+            value
+                .split(/\s*>\s*|\s*\/\s*/)
+                .map((part) => part.trim().toLowerCase())
+                .filter((part) => part);
+        const wanted = normalize(category);
+
+        const exact = categories.find(
+            (c) => normalize(c).join(">") === wanted.join(">")
+        );
+        if (exact) return exact;
+
+        // Same leaf under the same top-level folder at a different depth
+        const similar = categories.find((c) => {
+            const parts = normalize(c);
+            return (
+                parts.length > 1 &&
+                parts[0] === wanted[0] &&
+                parts[parts.length - 1] === wanted[wanted.length - 1]
+            );
+        });
+        return similar || category;
+    }
+
+    /**
+     * Split a URL into hostname and path
+     * @param {string} url - Bookmark URL
+     * @returns {Object} {hostname, path}
+     */
+    _parseUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            return {
+                hostname: urlObj.hostname.toLowerCase().replace(/^www\./, ""),
+                path: urlObj.pathname.toLowerCase(),
+            };
+        } catch (_error) {
+            return { hostname: "", path: "" };
+        }
+    }
+
+    /**
+     * Collect lowercase words from the hostname, path and title
+     * @param {string} hostname - Hostname
+     * @param {string} path - URL path
+     * @param {string} title - Bookmark title
+     * @returns {Array<string>} Unique tokens
+     */
+    _tokenize(hostname, path, title) {
+        const text = `${hostname} ${path} ${title}`.toLowerCase();
+        return [...new Set(text.match(/[a-z0-9]{2,}/g) || [])];
+    }
+}
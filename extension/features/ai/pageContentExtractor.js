@@ -0,0 +1,180 @@
+import { HtmlText } from "../core/htmlText.js";
+
+/**
+ * BookmarkMind - Page Content Extractor
+ * Pulls categorization signals (description, OpenGraph tags, keywords, main
+ * heading, canonical URL, language and a text snippet) out of raw HTML.
+ * Uses regular expressions because the service worker has no DOMParser.
+ */
+
+export class PageContentExtractor {
+    constructor() {
+        this.MAX_HTML_CHARS = 300000; // Signals live near the top of the page
+        this.SNIPPET_CHARS = 400;
+        this.CHARS_PER_TOKEN = 4; // Rough estimate for English prose
+        this.htmlText = new HtmlText();
+    }
+
+    /**
+     * Extract signals from an HTML document
+     * @param {string} html - Page HTML
+     * @param {string} url - Page URL, used to resolve a relative canonical link
+     * @returns {Object} {title, description, ogTitle, ogDescription, ogType, ogSiteName, keywords, h1, canonicalUrl, language, snippet}
+     */
+    extract(html, url = "") {
+        const source = (html || "").slice(0, this.MAX_HTML_CHARS);
+        const meta = this._readMetaTags(source);
+
+        const titleMatch = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        const h1Match = source.match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+        const langMatch = source.match(/<html\b[^>]*\blang\s*=\s*["']?([\w-]+)/i);
+
+        return {
+            title: titleMatch ? this._cleanText(titleMatch[1]) || null : null,
+            description: meta.description || meta["twitter:description"] || null,
+            ogTitle: meta["og:title"] || null,
+            ogDescription: meta["og:description"] || null,
+            ogType: meta["og:type"] || null,
+            ogSiteName: meta["og:site_name"] || null,
+            keywords: meta.keywords
+                ? meta.keywords
+                      .split(",")
+                      .map((keyword) => keyword.trim())
+                      .filter(Boolean)
+                      .slice(0, 10)
+                : [],
+            h1: h1Match ? this._cleanText(h1Match[1]) || null : null,
+            canonicalUrl: this._readCanonicalUrl(source, url),
+            language: langMatch
+                ? langMatch[1].toLowerCase()
+                : meta["content-language"] || null,
+            snippet: this._extractSnippet(source),
+        };
+    }
+
+    /**
+     * Format extracted signals as prompt lines that fit a token budget.
+     * Short, high-signal fields come first; the snippet gets what is left.
+     * @param {Object} content - Result of extract()
+     * @param {number} maxTokens - Token budget for this bookmark
+     * @param {string} bookmarkUrl - Bookmark URL, to skip a canonical URL that says nothing new
+     * @returns {Array<string>} Lines such as 'Description: "..."'
+     */
+    toPromptLines(content, maxTokens, bookmarkUrl = "") {
+        if (!content || maxTokens <= 0) return [];
+
+        const fields = [
+            ["Site Name", content.ogSiteName],
+            ["Description", content.description || content.ogDescription],
+            [
+                "Social Title",
+                content.ogTitle !== content.title ? content.ogTitle : null,
+            ],
+            ["Main Heading", content.h1 !== content.title ? content.h1 : null],
+            ["Page Type", content.ogType],
+            ["Keywords", content.keywords?.join(", ")],
+            ["Language", content.language],
+            [
+                "Canonical URL",
+                content.canonicalUrl !== bookmarkUrl ? content.canonicalUrl : null,
+            ],
+            ["Text Snippet", content.snippet],
+        ];
+
+        let remaining = maxTokens * this.CHARS_PER_TOKEN;
+        const lines = [];
+        for (const [label, value] of fields) {
+            if (!value) continue;
+
+            const overhead = label.length + 4; // `Label: ""`
+            const room = remaining - overhead;
+            if (room < 20) break;
+
+            const text =
+                value.length > room ? `${value.slice(0, room - 1).trimEnd()}…` : value;
+            lines.push(`${label}: "${text.replace(/"/g, "'")}"`);
+            remaining -= overhead + text.length;
+        }
+        return lines;
+    }
+
+    /**
+     * Collect meta tag values keyed by lowercased name or property
+     * @param {string} html - Page HTML
+     * @returns {Object} Meta values (first occurrence wins)
+     */
+    _readMetaTags(html) {
+        const meta = {};
+        for (const match of html.matchAll(/<meta\b[^>]*>/gi)) {
+            const attributes = this.htmlText.parseAttributes(match[0]);
+            const key = (
+                attributes.property ||
+                attributes.name ||
+                attributes["http-equiv"] ||
+                ""
+            ).toLowerCase();
+            if (key && attributes.content && !(key in meta)) {
+                meta[key] = this._cleanText(attributes.content);
+            }
+        }
+        return meta;
+    }
+
+    /**
+     * Find the canonical URL and make it absolute
+     * @param {string} html - Page HTML
+     * @param {string} url - Page URL
+     * @returns {string|null} Canonical URL
+     */
+    _readCanonicalUrl(html, url) {
+        for (const match of html.matchAll(/<link\b[^>]*>/gi)) {
+            const attributes = this.htmlText.parseAttributes(match[0]);
+            if ((attributes.rel || "").toLowerCase().split(/\s+/).includes("canonical")) {
+                try {
+                    return new URL(this.htmlText.decodeEntities(attributes.href), url || undefined).href;
+                } catch (_error) {
+                    return null;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Take the start of the page's readable text, preferring <main> or <article>
+     * @param {string} html - Page HTML
+     * @returns {string|null} Snippet
+     */
+    _extractSnippet(html) {
+        const body =
+            html.match(/<main\b[^>]*>([\s\S]*?)<\/main>/i)?.[1] ||
+            html.match(/<article\b[^>]*>([\s\S]*?)<\/article>/i)?.[1] ||
+            html.match(/<body\b[^>]*>([\s\S]*)/i)?.[1] ||
+            "";
+
+        const text = this._cleanText(
+            body
+                .replace(/<!--[\s\S]*?-->/g, " ")
+                .replace(
+                    /<(script|style|noscript|svg|template|nav|header|footer|form)\b[\s\S]*?<\/\1>/gi,
+                    " "
+                )
+        );
+        if (!text) return null;
+
+        return text.length > this.SNIPPET_CHARS
+            ? `${text.slice(0, this.SNIPPET_CHARS).replace(/\s+\S*$/, "")}…`
+            : text;
+    }
+
+    /**
+     * Strip tags, decode entities and collapse whitespace
+     * @param {string} html - HTML fragment
+     * @returns {string} Plain text
+     */
+    _cleanText(html) {
+        return this.htmlText.decodeEntities(html.replace(/<[^>]+>/g, " "))
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+}
@@ -0,0 +1,34 @@
+import { OpenAICompatibleAdapter } from "./openAICompatibleAdapter.js";
+/**
+ * BookmarkMind - Cerebras Adapter
+ * Cerebras inference API (OpenAI-compatible)
+ */
+
+export class CerebrasAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super();
+        this.id = "cerebras";
+        this.name = "Cerebras";
+        this.settingsKey = "cerebrasApiKey";
+        this.keyHint = 'Please check your API key (should start with "csk-").';
+        this.baseUrl = "https://api.cerebras.ai/v1/chat/completions";
+        this.models = [
+            { name: "gpt-oss-120b" },
+            { name: "llama-3.3-70b" },
+            { name: "qwen-3-32b" },
+            { name: "llama3.1-8b" },
+        ];
+        this.pricing = {
+            "gpt-oss-120b": { input: 0.6, output: 0.6 },
+            "llama-3.3-70b": { input: 0.6, output: 0.6 },
+            "qwen-3-32b": { input: 0.1, output: 0.1 },
+            "llama3.1-8b": { input: 0.1, output: 0.1 },
+        };
+        this.rateLimit = { rpm: 60, maxQueueSize: 200 };
+        this.maxBatchSize = 50;
+        // Kept inside the free tier's context window
+        this.tokenLimits = { input: 24000, output: 8000 };
+        this.structuredOutput = true;
+        this.planUrl = "https://cloud.cerebras.ai";
+    }
+}
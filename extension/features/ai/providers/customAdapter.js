@@ -0,0 +1,102 @@
+import { OpenAICompatibleAdapter } from "./openAICompatibleAdapter.js";
+/**
+ * BookmarkMind - Custom Endpoint Adapter
+ * User-configured OpenAI-compatible server (Ollama, llama.cpp, vLLM, ...).
+ * The key is optional for local servers.
+ */
+
+export class CustomAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super();
+        this.id = "custom";
+        this.name = "Custom endpoint";
+        this.DEFAULT_RPM = 60;
+        // Local servers often run with small context windows
+        this.DEFAULT_CONTEXT_WINDOW = 8192;
+        this.rateLimit = { rpm: this.DEFAULT_RPM, maxQueueSize: 200 };
+        this.maxBatchSize = 50;
+        // Local servers differ in response_format support; rely on validation
+        this.structuredOutput = false;
+    }
+
+    /**
+     * Read the endpoint settings
+     * @param {Object} settings - bookmarkMindSettings
+     * @param {string} settings.customProviderBaseUrl - Server URL (e.g. "http://localhost:11434/v1")
+     * @param {Array|string} settings.customProviderModels - Model names (array or comma-separated)
+     * @param {string} settings.customProviderApiKey - API key (optional)
+     * @param {number} settings.customProviderRpm - Requests per minute limit (optional)
+     * @param {number} settings.customProviderContextWindow - Server context size in tokens (optional)
+     */
+    configure(settings = {}) {
+        const models = settings.customProviderModels;
+        const modelNames = Array.isArray(models)
+            ? models
+            : (models || "").split(",");
+        const rpm = Number(settings.customProviderRpm);
+        const contextWindow = Number(settings.customProviderContextWindow);
+        const context =
+            contextWindow > 0 ? contextWindow : this.DEFAULT_CONTEXT_WINDOW;
+
+        this.baseUrl = settings.customProviderBaseUrl
+            ? settings.customProviderBaseUrl.trim()
+            : "";
+        this.apiKey = settings.customProviderApiKey || null;
+        this.models = modelNames
+            .map((name) => name.trim())
+            .filter((name) => name)
+            .map((name) => ({ name }));
+        this.rateLimit.rpm = rpm > 0 ? rpm : this.DEFAULT_RPM;
+        // The reply shares the context window with the prompt
+        const output = Math.floor(context / 4);
+        this.tokenLimits = { input: context - output, output };
+    }
+
+    /**
+     * Check whether the endpoint is usable
+     * @returns {boolean} True if a base URL and at least one model are set
+     */
+    isConfigured() {
+        return !!this.baseUrl && this.models.length > 0;
+    }
+
+    /**
+     * Local servers usually run without a key
+     * @returns {boolean} Always true
+     */
+    isValidKey() {
+        return true;
+    }
+
+    /**
+     * Build the chat-completions URL from the configured base URL
+     * @returns {string} Full endpoint URL
+     */
+    getChatUrl() {
+        const base = this.baseUrl.replace(/\/+$/, "");
+        if (base.endsWith("/chat/completions")) {
+            return base;
+        }
+        // Accept both "http://host:port" and "http://host:port/v1"
+        return /\/v\d+$/.test(base)
+            ? `${base}/chat/completions`
+            : `${base}/v1/chat/completions`;
+    }
+
+    /**
+     * Decide how AIProcessor handles a failed response
+     * @param {number} status - HTTP status
+     * @param {string} errorText - Response body
+     * @returns {Object} {retryable, rateLimited, quotaResetSeconds, message}
+     */
+    classifyError(status, errorText = "") {
+        const result = super.classifyError(status, errorText);
+        if (status === 401 || status === 403) {
+            result.message =
+                "Invalid custom endpoint API key. Check the key configured for your server.";
+        } else if (status === 404) {
+            result.message = `Custom endpoint or model not found at ${this.getChatUrl()}. ${errorText.substring(0, 200)}`;
+        }
+        return result;
+    }
+}
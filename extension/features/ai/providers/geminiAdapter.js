@@ -0,0 +1,272 @@
+import { ProviderAdapter } from "./providerAdapter.js";
+/**
+ * BookmarkMind - Gemini Adapter
+ * Google Gemini API. Models are listed from the API the first time they are
+ * needed, largest output limit first.
+ */
+
+export class GeminiAdapter extends ProviderAdapter {
+    constructor() {
+        super();
+        this.id = "gemini";
+        this.name = "Gemini";
+        this.settingsKey = "apiKey";
+        this.keyHint =
+            'Make sure it starts with "AIza" and is from Google AI Studio.';
+        this.baseUrl = "https://generativelanguage.googleapis.com/v1beta";
+        this.pricing = {
+            "gemini-2.5-pro": { input: 1.25, output: 5.0 },
+            "gemini-2.5-flash-preview-09-2025": { input: 0.075, output: 0.3 },
+            "gemini-2.5-flash": { input: 0.075, output: 0.3 },
+            "gemini-2.5-flash-image": { input: 0.0375, output: 0.15 },
+            "gemini-2.0-flash": { input: 0.0375, output: 0.15 },
+            "gemini-2.5-flash-lite-preview-09-2025": {
+                input: 0.02,
+                output: 0.08,
+            },
+            "gemini-2.5-flash-lite": { input: 0.02, output: 0.08 },
+        };
+        this.defaultPricing = { input: 0.1, output: 0.3 };
+        this.rateLimit = { rpm: 15, maxQueueSize: 100 };
+        this.maxBatchSize = 100;
+        // Models accept far more, but long prompts slow every batch down
+        this.tokenLimits = { input: 32000, output: 16000 };
+        this.planUrl = "https://ai.google.dev/pricing";
+        this.structuredOutput = true;
+        // Shared by concurrent loadModels() calls
+        this.modelsRequest = null;
+    }
+
+    /**
+     * Check the key format before spending a test request on it
+     * @returns {boolean} True if the key looks like a Google AI Studio key
+     */
+    isValidKey() {
+        return (
+            !!this.apiKey &&
+            this.apiKey.startsWith("AIza") &&
+            this.apiKey.length >= 35
+        );
+    }
+
+    /**
+     * Models, listing them from the API once if none are known yet
+     * @returns {Promise<Array>} Models as returned by getModels()
+     */
+    async loadModels() {
+        if (this.models.length === 0 && this.apiKey) {
+            if (!this.modelsRequest) {
+                this.modelsRequest = this.fetchModels();
+            }
+            await this.modelsRequest;
+        }
+        return this.getModels();
+    }
+
+    /**
+     * List the Gemini models that support generateContent
+     * @returns {Promise<Array>} Models, or the known ones when the request fails
+     */
+    async fetchModels() {
+        try {
+            console.log("📋 Fetching available Gemini models from API...");
+            const response = await fetch(
+                `${this.baseUrl}/models?key=${this.apiKey}`
+            );
+            if (!response.ok) {
+                throw new Error(
+                    `Failed to fetch models: ${response.statusText}`
+                );
+            }
+
+            const data = await response.json();
+            if (!data.models) {
+                console.warn("No models returned from API");
+                return this.models;
+            }
+
+            this.models = data.models
+                .filter(
+                    (model) =>
+                        model.supportedGenerationMethods?.includes(
+                            "generateContent"
+                        ) && model.name.startsWith("models/gemini")
+                )
+                .map((model) => ({
+                    name: model.name.replace(/^models\//, ""),
+                    displayName: model.displayName,
+                    description: model.description,
+                    inputTokenLimit: model.inputTokenLimit,
+                    outputTokenLimit: model.outputTokenLimit,
+                }))
+                // Stable sort keeps the API order within the same limit
+                .sort(
+                    (a, b) =>
+                        (b.outputTokenLimit || 0) - (a.outputTokenLimit || 0)
+                );
+            console.log(`✅ Fetched ${this.models.length} Gemini models`);
+        } catch (_error) {
+            console.error("Error fetching models:", _error);
+            // Let the next loadModels() try again
+            this.modelsRequest = null;
+        }
+        return this.models;
+    }
+
+    /**
+     * Build the generateContent request. Gemini chooses its own output limit:
+     * thinking models count their reasoning against maxOutputTokens.
+     * @param {Object} request - Request details
+     * @param {string} request.model - Model name
+     * @param {Array} request.messages - Chat messages: {role, content}
+     * @param {Object|null} request.schema - JSON schema for the reply: {name, schema}
+     * @returns {Object} {url, init} for fetch()
+     */
+    buildRequest({ model, messages, schema = null }) {
+        const system = messages
+            .filter((message) => message.role === "system")
+            .map((message) => message.content)
+            .join("\n\n");
+        const body = {
+            contents: messages
+                .filter((message) => message.role !== "system")
+                .map((message) => ({
+                    role: message.role === "assistant" ? "model" : "user",
+                    parts: [{ text: message.content }],
+                })),
+        };
+        if (system) {
+            body.systemInstruction = { parts: [{ text: system }] };
+        }
+        if (schema) {
+            body.generationConfig = {
+                responseMimeType: "application/json",
+                responseSchema: this._toGeminiSchema(schema.schema),
+            };
+        }
+
+        return {
+            url: `${this.baseUrl}/models/${model}:generateContent`,
+            init: {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "x-goog-api-key": this.apiKey,
+                },
+                body: JSON.stringify(body),
+            },
+        };
+    }
+
+    /**
+     * Convert a JSON schema to Gemini's OpenAPI subset, which has upper-case
+     * types and no additionalProperties
+     * @param {Object} schema - JSON schema
+     * @returns {Object} Gemini responseSchema
+     */
+    _toGeminiSchema(schema) {
+        const converted = { type: schema.type.toUpperCase() };
+        if (schema.enum) {
+            converted.enum = schema.enum;
+        }
+        if (schema.items) {
+            converted.items = this._toGeminiSchema(schema.items);
+        }
+        if (schema.properties) {
+            converted.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([key, value]) => [
+                    key,
+                    this._toGeminiSchema(value),
+                ])
+            );
+            converted.propertyOrdering = Object.keys(schema.properties);
+        }
+        if (schema.required) {
+            converted.required = schema.required;
+        }
+        return converted;
+    }
+
+    /**
+     * Read the reply from a successful response body
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object} {text, tokensUsed, inputTokens, outputTokens}
+     */
+    parseResponse(data) {
+        const text = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) {
+            throw new Error("Invalid Gemini API response format");
+        }
+        const usage = data.usageMetadata || {};
+        return {
+            text,
+            tokensUsed: usage.totalTokenCount || 0,
+            inputTokens: usage.promptTokenCount || 0,
+            // Thinking tokens are billed as output
+            outputTokens:
+                (usage.candidatesTokenCount || 0) +
+                (usage.thoughtsTokenCount || 0),
+        };
+    }
+
+    /**
+     * Decide how AIProcessor handles a failed response. A 429 that reports an
+     * exhausted free-tier quota carries the time until the quota resets.
+     * @param {number} status - HTTP status
+     * @param {string} errorText - Response body
+     * @returns {Object} {retryable, rateLimited, quotaResetSeconds, message}
+     */
+    classifyError(status, errorText = "") {
+        const result = super.classifyError(status, errorText);
+        if (status === 429) {
+            result.quotaResetSeconds = this._quotaResetSeconds(errorText);
+        }
+        return result;
+    }
+
+    /**
+     * Seconds until an exhausted quota resets, as opposed to a short rate limit
+     * @param {string} errorText - 429 response body
+     * @returns {number|null} Seconds, or null if the quota is not exhausted
+     */
+    _quotaResetSeconds(errorText) {
+        let error;
+        try {
+            error = JSON.parse(errorText).error || {};
+        } catch (_error) {
+            return null;
+        }
+
+        const message = error.message || "";
+        const details = Array.isArray(error.details) ? error.details : [];
+        const exhausted =
+            /quota exceeded|free_tier/i.test(message) ||
+            details.some(
+                (detail) =>
+                    detail["@type"]?.includes("QuotaFailure") ||
+                    detail.violations?.some((violation) =>
+                        violation.quotaMetric?.includes("free_tier")
+                    )
+            );
+        if (!exhausted) {
+            return null;
+        }
+
+        // RetryInfo delays look like "57s" or "57.356284637s"
+        const retryInfo = details.find((detail) =>
+            detail["@type"]?.includes("RetryInfo")
+        );
+        const match = retryInfo?.retryDelay?.match(/^([\d.]+)s?$/);
+        if (match) {
+            return Math.ceil(Number.parseFloat(match[1]));
+        }
+
+        // The free tier resets at midnight Pacific time
+        const now = new Date();
+        const pacificMidnight = new Date(
+            now.toLocaleString("en-US", { timeZone: "America/Los_Angeles" })
+        );
+        pacificMidnight.setHours(24, 0, 0, 0);
+        return Math.ceil((pacificMidnight - now) / 1000);
+    }
+}
@@ -0,0 +1,44 @@
+import { OpenAICompatibleAdapter } from "./openAICompatibleAdapter.js";
+/**
+ * BookmarkMind - Groq Adapter
+ * Groq API (OpenAI-compatible), free tier
+ */
+
+export class GroqAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super();
+        this.id = "groq";
+        this.name = "Groq";
+        this.settingsKey = "groqApiKey";
+        this.keyHint = 'Please check your API key (should start with "gsk_").';
+        this.baseUrl = "https://api.groq.com/openai/v1/chat/completions";
+        this.models = [
+            { name: "openai/gpt-oss-120b" },
+            { name: "llama-3.3-70b-versatile" },
+            { name: "qwen/qwen3-32b" },
+            { name: "openai/gpt-oss-20b" },
+            { name: "llama-3.1-8b-instant" },
+        ];
+        // Free tier: every model costs nothing
+        this.pricing = {};
+        this.rateLimit = { rpm: 30, maxQueueSize: 150 };
+        this.maxBatchSize = 100;
+        // Free-tier tokens-per-minute limits make large prompts wait
+        this.tokenLimits = { input: 8000, output: 8000 };
+        this.planUrl = "https://console.groq.com/settings/billing";
+        // Groq rejects response_format json_schema on the other models
+        this.structuredOutputModels = new Set([
+            "openai/gpt-oss-120b",
+            "openai/gpt-oss-20b",
+        ]);
+    }
+
+    /**
+     * Check whether a model can be held to a JSON schema
+     * @param {string} modelName - Model name
+     * @returns {boolean} True for the models Groq supports structured output on
+     */
+    supportsStructuredOutput(modelName) {
+        return this.structuredOutputModels.has(modelName);
+    }
+}
@@ -0,0 +1,78 @@
+import { ProviderAdapter } from "./providerAdapter.js";
+/**
+ * BookmarkMind - OpenAI-Compatible Adapter
+ * Shared request and response handling for providers that implement the
+ * OpenAI chat-completions API
+ */
+
+export class OpenAICompatibleAdapter extends ProviderAdapter {
+    constructor() {
+        super();
+        this.baseUrl = "";
+        this.temperature = 0.3;
+    }
+
+    /**
+     * Full chat-completions URL
+     * @returns {string} Endpoint URL
+     */
+    getChatUrl() {
+        return this.baseUrl;
+    }
+
+    /**
+     * Build the HTTP request for a chat completion
+     * @param {Object} request - Request details
+     * @param {string} request.model - Model name
+     * @param {Array} request.messages - Chat messages: {role, content}
+     * @param {number} request.maxTokens - Maximum tokens to generate
+     * @param {Object|null} request.schema - JSON schema for the reply: {name, schema}
+     * @returns {Object} {url, init} for fetch()
+     */
+    buildRequest({ model, messages, maxTokens, schema = null }) {
+        const headers = { "Content-Type": "application/json" };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        const body = {
+            model,
+            messages,
+            temperature: this.temperature,
+            max_tokens: maxTokens,
+            stream: false,
+        };
+        if (schema && this.supportsStructuredOutput(model)) {
+            body.response_format = {
+                type: "json_schema",
+                json_schema: { ...schema, strict: true },
+            };
+        }
+
+        return {
+            url: this.getChatUrl(),
+            init: {
+                method: "POST",
+                headers,
+                body: JSON.stringify(body),
+            },
+        };
+    }
+
+    /**
+     * Read the reply from a successful response body
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object} {text, tokensUsed, inputTokens, outputTokens}
+     */
+    parseResponse(data) {
+        const text = data?.choices?.[0]?.message?.content;
+        if (!text) {
+            throw new Error(`Invalid ${this.name} API response format`);
+        }
+        return {
+            text,
+            tokensUsed: data.usage?.total_tokens || 0,
+            inputTokens: data.usage?.prompt_tokens || 0,
+            outputTokens: data.usage?.completion_tokens || 0,
+        };
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * BookmarkMind - Provider Adapter
+ * Base class for AI providers. An adapter declares a provider's models,
+ * pricing and rate limits, builds its HTTP requests and reads its responses;
+ * AIProcessor queues, retries and records the requests of every provider the
+ * same way.
+ */
+
+export class ProviderAdapter {
+    constructor() {
+        this.id = "";
+        this.name = "";
+        // bookmarkMindSettings key holding the API key
+        this.settingsKey = null;
+        this.apiKey = null;
+        // Appended to the error shown when the provider rejects the key
+        this.keyHint = "";
+        // Models in fallback order: {name, ...}
+        this.models = [];
+        // USD per 1M tokens by model name
+        this.pricing = {};
+        this.defaultPricing = { input: 0, output: 0 };
+        this.rateLimit = { rpm: 60, maxQueueSize: 200 };
+        this.maxBatchSize = 50;
+        // Token budgets batches are packed to; models may declare lower limits
+        this.tokenLimits = { input: 8000, output: 4000 };
+        // Accepts a JSON schema that constrains the reply
+        this.structuredOutput = false;
+        // Where users can raise their quota
+        this.planUrl = null;
+    }
+
+    /**
+     * Read this provider's settings
+     * @param {Object} settings - bookmarkMindSettings
+     */
+    configure(settings = {}) {
+        if (this.settingsKey) {
+            this.apiKey = settings[this.settingsKey] || null;
+        }
+    }
+
+    /**
+     * Check whether requests can be sent to this provider
+     * @returns {boolean} True if the provider has what it needs
+     */
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * Check the key format before spending a test request on it
+     * @returns {boolean} True if the key looks usable
+     */
+    isValidKey() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * Models with their provider and pricing, in fallback order
+     * @returns {Array} Models: {name, provider, costPer1MInputTokens, costPer1MOutputTokens}
+     */
+    getModels() {
+        return this.models.map((model) => this.describeModel(model));
+    }
+
+    /**
+     * Add the provider and pricing to a model entry
+     * @param {Object} model - Model entry: {name, ...}
+     * @returns {Object} {name, provider, costPer1MInputTokens, costPer1MOutputTokens, ...}
+     */
+    describeModel(model) {
+        const pricing = this.getPricing(model.name);
+        return {
+            ...model,
+            provider: this.id,
+            costPer1MInputTokens: pricing.input,
+            costPer1MOutputTokens: pricing.output,
+        };
+    }
+
+    /**
+     * Models, after loading them from the provider where the list is dynamic
+     * @returns {Promise<Array>} Models as returned by getModels()
+     */
+    async loadModels() {
+        return this.getModels();
+    }
+
+    /**
+     * Check whether a model belongs to this provider
+     * @param {string} modelName - Model name
+     * @returns {boolean} True if the model is listed or priced here
+     */
+    hasModel(modelName) {
+        return (
+            !!this.pricing[modelName] ||
+            this.models.some((model) => model.name === modelName)
+        );
+    }
+
+    /**
+     * Price of a model
+     * @param {string} modelName - Model name
+     * @returns {Object} USD per 1M tokens: {input, output}
+     */
+    getPricing(modelName) {
+        return this.pricing[modelName] || this.defaultPricing;
+    }
+
+    /**
+     * Token budgets for one request to a model
+     * @param {string} modelName - Model name
+     * @returns {Object} {input, output} in tokens
+     */
+    getTokenLimits(modelName) {
+        const model =
+            this.models.find((candidate) => candidate.name === modelName) || {};
+        return {
+            input: Math.min(
+                this.tokenLimits.input,
+                model.inputTokenLimit || Number.POSITIVE_INFINITY
+            ),
+            output: Math.min(
+                this.tokenLimits.output,
+                model.outputTokenLimit || Number.POSITIVE_INFINITY
+            ),
+        };
+    }
+
+    /**
+     * Check whether a model can be held to a JSON schema
+     * @param {string} _modelName - Model name
+     * @returns {boolean} True if buildRequest() can send a schema
+     */
+    supportsStructuredOutput(_modelName) {
+        return this.structuredOutput;
+    }
+
+    /**
+     * Build the HTTP request for a chat completion
+     * @param {Object} request - Request details
+     * @param {string} request.model - Model name
+     * @param {Array} request.messages - Chat messages: {role, content}
+     * @param {number} request.maxTokens - Maximum tokens to generate
+     * @param {Object|null} request.schema - JSON schema for the reply: {name, schema}
+     * @returns {Object} {url, init} for fetch()
+     */
+    buildRequest({ model }) {
+        throw new Error(`${this.name} cannot build a request for ${model}`);
+    }
+
+    /**
+     * Read the reply from a successful response body
+     * @param {Object} _data - Parsed JSON response
+     * @returns {Object} {text, tokensUsed, inputTokens, outputTokens}
+     */
+    parseResponse(_data) {
+        throw new Error(`${this.name} cannot read responses`);
+    }
+
+    /**
+     * Decide how AIProcessor handles a failed response
+     * @param {number} status - HTTP status
+     * @param {string} errorText - Response body
+     * @returns {Object} {retryable, rateLimited, quotaResetSeconds, message}
+     */
+    classifyError(status, errorText = "") {
+        const detail = errorText.substring(0, 200);
+        const messages = {
+            400: `Bad request to ${this.name}. Please check your configuration.`,
+            401: `Invalid ${this.name} API key. ${this.keyHint}`.trim(),
+            403: `${this.name} API access denied. Please check your API key permissions.`,
+            404: `${this.name} model not found. ${detail}`.trim(),
+        };
+
+        return {
+            retryable: status === 429 || status >= 500,
+            rateLimited: status === 429,
+            // Seconds until an exhausted quota resets, when the provider says so
+            quotaResetSeconds: null,
+            message:
+                messages[status] ||
+                `${this.name} request failed: ${status}. ${detail}`.trim(),
+        };
+    }
+}
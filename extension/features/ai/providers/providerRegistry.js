@@ -0,0 +1,127 @@
+import { GeminiAdapter } from "./geminiAdapter.js";
+import { CerebrasAdapter } from "./cerebrasAdapter.js";
+import { GroqAdapter } from "./groqAdapter.js";
+import { CustomAdapter } from "./customAdapter.js";
+/**
+ * BookmarkMind - Provider Registry
+ * The AI providers BookmarkMind can call. Adding a provider means writing an
+ * adapter module and registering it here; the request queue, model fallback,
+ * cost tracking and benchmarks pick it up from the registry.
+ */
+
+export class ProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+        // Price for models no adapter knows
+        this.defaultPricing = { input: 0.1, output: 0.3 };
+
+        // Registration order is the fallback order in "auto" mode
+        this.register(new GeminiAdapter());
+        this.register(new CerebrasAdapter());
+        this.register(new GroqAdapter());
+        this.register(new CustomAdapter());
+    }
+
+    /**
+     * Add a provider, replacing any with the same id
+     * @param {ProviderAdapter} adapter - Provider adapter
+     * @returns {ProviderAdapter} The adapter
+     */
+    register(adapter) {
+        if (!adapter?.id) {
+            throw new Error("Provider adapters need an id");
+        }
+        this.adapters.set(adapter.id, adapter);
+        return adapter;
+    }
+
+    /**
+     * Look up a provider
+     * @param {string} id - Provider id
+     * @returns {ProviderAdapter|null} Adapter, or null if unknown
+     */
+    get(id) {
+        return this.adapters.get(id) || null;
+    }
+
+    /**
+     * All providers in registration order
+     * @returns {Array<ProviderAdapter>} Adapters
+     */
+    list() {
+        return [...this.adapters.values()];
+    }
+
+    /**
+     * Providers that have what they need to send requests
+     * @returns {Array<ProviderAdapter>} Configured adapters
+     */
+    getConfigured() {
+        return this.list().filter((adapter) => adapter.isConfigured());
+    }
+
+    /**
+     * Configure every provider from stored settings
+     * @param {Object} settings - bookmarkMindSettings
+     */
+    configure(settings = {}) {
+        for (const adapter of this.list()) {
+            adapter.configure(settings);
+        }
+    }
+
+    /**
+     * Models of every configured provider, loading dynamic model lists
+     * @returns {Promise<Array>} Models in fallback order
+     */
+    async loadModels() {
+        const models = [];
+        for (const adapter of this.getConfigured()) {
+            models.push(...(await adapter.loadModels()));
+        }
+        return models;
+    }
+
+    /**
+     * Find the model with this name, preferring configured providers
+     * @param {string} modelName - Model name
+     * @returns {Object|null} Model as returned by getModels(), or null
+     */
+    findModel(modelName) {
+        const adapters = [...this.getConfigured(), ...this.list()];
+        const adapter = adapters.find((candidate) =>
+            candidate.hasModel(modelName)
+        );
+        if (!adapter) {
+            return null;
+        }
+        // Priced but not listed yet, e.g. before Gemini's list is loaded
+        return adapter.describeModel(
+            adapter.models.find((model) => model.name === modelName) || {
+                name: modelName,
+            }
+        );
+    }
+
+    /**
+     * Request queue limits of every provider
+     * @returns {Object} Limits by provider id: {rpm, maxQueueSize}
+     */
+    getRateLimits() {
+        return Object.fromEntries(
+            this.list().map((adapter) => [adapter.id, { ...adapter.rateLimit }])
+        );
+    }
+
+    /**
+     * Price of a model from whichever provider lists it
+     * @param {string} modelName - Model name
+     * @returns {Object} USD per 1M tokens: {input, output}
+     */
+    getPricing(modelName) {
+        const adapter = this.list().find((candidate) =>
+            candidate.hasModel(modelName)
+        );
+        return adapter ? adapter.getPricing(modelName) : this.defaultPricing;
+    }
+}
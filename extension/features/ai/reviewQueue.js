@@ -0,0 +1,205 @@
+import { BookmarkService } from "../bookmarks/bookmarkService.js";
+import { LearningService } from "./learningService.js";
+import { OperationJournal } from "../bookmarks/operationJournal.js";
+
+/**
+ * BookmarkMind - Review Queue
+ * Holds categorizations whose confidence fell below the user's threshold.
+ * These bookmarks stay where they are until the user accepts the
+ * suggestion, picks another folder or skips them.
+ */
+
+export class ReviewQueue {
+    constructor() {
+        this.STORAGE_KEY = "needsReviewQueue";
+        this.ROOT_FOLDER_ID = "1"; // Same root the AI files into
+        this.bookmarkService = new BookmarkService();
+        this.journal = new OperationJournal("Reviewed bookmark", {
+            operationType: "review",
+        });
+        this.bookmarkService.journal = this.journal;
+    }
+
+    /**
+     * Get queued entries, oldest first
+     * @returns {Promise<Array>} Entries
+     */
+    async getQueue() {
+        const stored = await chrome.storage.local.get(this.STORAGE_KEY);
+        return stored[this.STORAGE_KEY] || [];
+    }
+
+    /**
+     * Queue low-confidence categorizations. A bookmark that is already
+     * queued gets its suggestion replaced.
+     * @param {Array} entries - {bookmarkId, title, url, suggestedCategory, suggestedTitle, confidence, reasoning}
+     * @returns {Promise<number>} Queue length
+     */
+    async add(entries) {
+        if (entries.length === 0) return (await this.getQueue()).length;
+
+        const incoming = new Set(entries.map((entry) => entry.bookmarkId));
+        const queue = (await this.getQueue()).filter(
+            (entry) => !incoming.has(entry.bookmarkId)
+        );
+        const queuedAt = Date.now();
+        queue.push(...entries.map((entry) => ({ ...entry, queuedAt })));
+
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: queue });
+        console.log(
+            `🔍 Queued ${entries.length} low-confidence bookmarks for review (${queue.length} waiting)`
+        );
+        return queue.length;
+    }
+
+    /**
+     * File a bookmark where the AI suggested
+     * @param {string} bookmarkId - Bookmark ID
+     * @param {Function} onMarkAsAIMoved - Called before the move so it is not learned from
+     * @returns {Promise<Object>} The resolved entry
+     */
+    async accept(bookmarkId, onMarkAsAIMoved = null) {
+        const entry = await this._getEntry(bookmarkId);
+        await this._file(
+            entry,
+            entry.suggestedCategory,
+            entry.suggestedTitle,
+            onMarkAsAIMoved
+        );
+        await this.remove(bookmarkId);
+        return entry;
+    }
+
+    /**
+     * File a bookmark in a folder the user picked and learn from the correction
+     * @param {string} bookmarkId - Bookmark ID
+     * @param {string} category - Folder path ("Work > Projects")
+     * @param {Function} onMarkAsAIMoved - Called before the move so it is not learned from twice
+     * @returns {Promise<Object>} The resolved entry
+     */
+    async reassign(bookmarkId, category, onMarkAsAIMoved = null) {
+        if (!category?.trim()) {
+            throw new Error("Choose a folder for this bookmark");
+        }
+
+        const entry = await this._getEntry(bookmarkId);
+        const bookmark = await this._file(
+            entry,
+            category.trim(),
+            null,
+            onMarkAsAIMoved
+        );
+        await new LearningService().recordCorrection(
+            bookmark,
+            entry.suggestedCategory,
+            category.trim(),
+            true
+        );
+        await this.remove(bookmarkId);
+        return entry;
+    }
+
+    /**
+     * Drop a bookmark from the queue and leave it where it is
+     * @param {string} bookmarkId - Bookmark ID
+     * @returns {Promise<number>} Queue length
+     */
+    async remove(bookmarkId) {
+        const queue = (await this.getQueue()).filter(
+            (entry) => entry.bookmarkId !== bookmarkId
+        );
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: queue });
+        return queue.length;
+    }
+
+    /**
+     * Empty the queue
+     */
+    async clear() {
+        await chrome.storage.local.remove(this.STORAGE_KEY);
+    }
+
+    /**
+     * Find a queued entry
+     * @param {string} bookmarkId - Bookmark ID
+     * @returns {Promise<Object>} Entry
+     */
+    async _getEntry(bookmarkId) {
+        const entry = (await this.getQueue()).find(
+            (item) => item.bookmarkId === bookmarkId
+        );
+        if (!entry) {
+            throw new Error("Bookmark is not waiting for review");
+        }
+        return entry;
+    }
+
+    /**
+     * Find the destination folder. Suggestions that named an existing folder
+     * keep using it; anything else is created under Bookmarks Bar.
+     * @param {Object} entry - Queue entry
+     * @param {string} category - Destination folder path
+     * @returns {Promise<string>} Folder ID
+     */
+    async _resolveFolderId(entry, category) {
+        if (entry.suggestedFolderId && category === entry.suggestedCategory) {
+            try {
+                const [folder] = await chrome.bookmarks.get(
+                    entry.suggestedFolderId
+                );
+                if (folder && !folder.url) return folder.id;
+            } catch (_error) {
+                // Folder was deleted, fall through and recreate the path
+            }
+        }
+        return await this.bookmarkService.findOrCreateFolderByPath(
+            category,
+            this.ROOT_FOLDER_ID
+        );
+    }
+
+    /**
+     * Move a reviewed bookmark and record that a person confirmed it
+     * @param {Object} entry - Queue entry
+     * @param {string} category - Destination folder path
+     * @param {string|null} title - New title, or null to keep the current one
+     * @param {Function} onMarkAsAIMoved - Optional callback
+     * @returns {Promise<Object>} Bookmark before the move
+     */
+    async _file(entry, category, title, onMarkAsAIMoved) {
+        let bookmark;
+        try {
+            [bookmark] = await chrome.bookmarks.get(entry.bookmarkId);
+        } catch (_error) {
+            bookmark = null;
+        }
+        if (!bookmark) {
+            // Deleted since it was queued; nothing left to review
+            await this.remove(entry.bookmarkId);
+            throw new Error("Bookmark no longer exists");
+        }
+
+        await this.bookmarkService.recordCategoryHistory(
+            bookmark,
+            category,
+            title || bookmark.title
+        );
+        await this.journal.startSession(`Reviewed "${bookmark.title}"`, {
+            operationType: "review",
+        });
+        try {
+            if (title && title !== bookmark.title) {
+                await this.journal.update(bookmark.id, { title });
+            }
+
+            onMarkAsAIMoved?.(bookmark.id);
+            const folderId = await this._resolveFolderId(entry, category);
+            // A person has checked this one
+            await chrome.storage.local.set({ [`ai_confidence_${bookmark.id}`]: 1 });
+            await this.bookmarkService.moveBookmark(bookmark.id, folderId);
+        } finally {
+            await this.journal.endSession();
+        }
+        return bookmark;
+    }
+}
@@ -0,0 +1,390 @@
+/**
+ * BookmarkMind - Rules Engine
+ * User-defined deterministic rules (domain glob / regex → folder) that are
+ * applied before any AI call
+ */
+
+export class RulesEngine {
+    constructor() {
+        this.STORAGE_KEY = "categorizationRules";
+        this.STATS_KEY = "categorizationRuleStats";
+        this.RULES_VERSION = "1.0";
+        this.FIELDS = ["url", "domain", "title"];
+        this.TYPES = ["glob", "regex"];
+    }
+
+    /**
+     * Get all rules, highest priority first
+     * @returns {Promise<Array>} Rules
+     */
+    async getRules() {
+        try {
+            const result = await chrome.storage.local.get(this.STORAGE_KEY);
+            return this.sortRules(result[this.STORAGE_KEY] || []);
+        } catch (_error) {
+            console.error("_error loading categorization rules:", _error);
+            return [];
+        }
+    }
+
+    /**
+     * Save rules
+     * @param {Array} rules - Rules to save
+     */
+    async saveRules(rules) {
+        await chrome.storage.local.set({
+            [this.STORAGE_KEY]: this.sortRules(rules),
+        });
+    }
+
+    /**
+     * Add a rule
+     * @param {Object} rule - Rule fields (name, field, type, pattern, folder, priority, enabled)
+     * @returns {Promise<Object>} Saved rule
+     */
+    async addRule(rule) {
+        const newRule = this.normalizeRule(rule);
+        const validation = this.validateRule(newRule);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(", "));
+        }
+
+        const rules = await this.getRules();
+        rules.push(newRule);
+        await this.saveRules(rules);
+        return newRule;
+    }
+
+    /**
+     * Update a rule
+     * @param {string} ruleId - Rule ID
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object>} Updated rule
+     */
+    async updateRule(ruleId, changes) {
+        const rules = await this.getRules();
+        const index = rules.findIndex((rule) => rule.id === ruleId);
+        if (index === -1) {
+            throw new Error(`Rule not found: ${ruleId}`);
+        }
+
+        const updated = this.normalizeRule({ ...rules[index], ...changes });
+        const validation = this.validateRule(updated);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(", "));
+        }
+
+        rules[index] = updated;
+        await this.saveRules(rules);
+        return updated;
+    }
+
+    /**
+     * Delete a rule and its stats
+     * @param {string} ruleId - Rule ID
+     */
+    async deleteRule(ruleId) {
+        const rules = await this.getRules();
+        await this.saveRules(rules.filter((rule) => rule.id !== ruleId));
+
+        const stats = await this.getStats();
+        delete stats[ruleId];
+        await chrome.storage.local.set({ [this.STATS_KEY]: stats });
+    }
+
+    /**
+     * Fill in defaults for a rule
+     * @param {Object} rule - Partial rule
+     * @returns {Object} Complete rule
+     */
+    normalizeRule(rule = {}) {
+        return {
+            id:
+                rule.id ||
+                `rule_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            name: (rule.name || "").trim(),
+            field: rule.field || "url",
+            type: rule.type || "glob",
+            pattern: (rule.pattern || "").trim(),
+            folder: (rule.folder || "").trim(),
+            priority: Number.parseInt(rule.priority, 10) || 0,
+            enabled: rule.enabled !== false,
+            createdAt: rule.createdAt || Date.now(),
+        };
+    }
+
+    /**
+     * Validate a rule
+     * @param {Object} rule - Rule to validate
+     * @returns {Object} {valid, errors}
+     */
+    validateRule(rule) {
+        const errors = [];
+
+        if (!this.FIELDS.includes(rule.field)) {
+            errors.push(`Unknown field "${rule.field}"`);
+        }
+        if (!this.TYPES.includes(rule.type)) {
+            errors.push(`Unknown rule type "${rule.type}"`);
+        }
+        if (!rule.pattern) {
+            errors.push("Pattern is required");
+        }
+        if (!rule.folder) {
+            errors.push("Target folder is required");
+        }
+
+        if (rule.pattern && this.TYPES.includes(rule.type)) {
+            try {
+                this.compilePattern(rule);
+            } catch (_error) {
+                errors.push(`Invalid pattern: ${_error.message}`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Sort rules by priority (higher first), then by creation time
+     * @param {Array} rules - Rules
+     * @returns {Array} Sorted copy
+     */
+    sortRules(rules) {
+        return [...rules].sort(
+            (a, b) =>
+                (b.priority || 0) - (a.priority || 0) ||
+                (a.createdAt || 0) - (b.createdAt || 0)
+        );
+    }
+
+    /**
+     * Compile a rule pattern to a RegExp.
+     * Globs: "*" matches anything, "?" one character, and a leading "*."
+     * also matches the bare domain ("*.github.com" matches "github.com").
+     * Regex patterns may be written as "/pattern/flags"; they are
+     * case-insensitive unless flags are given.
+     * @param {Object} rule - Rule
+     * @returns {RegExp} Compiled pattern
+     */
+    compilePattern(rule) {
+        if (rule.type === "regex") {
+            const literal = rule.pattern.match(/^\/(.+)\/([a-z]*)$/);
+            if (literal) {
+                return new RegExp(literal[1], literal[2]);
+            }
+            return new RegExp(rule.pattern, "i");
+        }
+
+        let source = rule.pattern.toLowerCase();
+        let prefix = "";
+        if (source.startsWith("*.")) {
+            prefix = "(?:[^/]*\\.)?";
+            source = source.slice(2);
+        }
+
+        const body = source
+            .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+            .replace(/\*/g, ".*")
+            .replace(/\?/g, ".");
+        return new RegExp(`^${prefix}${body}$`, "i");
+    }
+
+    /**
+     * Get the text a rule is matched against
+     * @param {Object} rule - Rule
+     * @param {Object} bookmark - Bookmark ({url, title})
+     * @returns {string} Subject text
+     */
+    getSubject(rule, bookmark) {
+        if (rule.field === "title") {
+            return bookmark.title || "";
+        }
+
+        let urlObj;
+        try {
+            urlObj = new URL(bookmark.url);
+        } catch (_error) {
+            return rule.type === "regex" ? bookmark.url || "" : "";
+        }
+
+        const hostname = urlObj.hostname.replace(/^www\./, "");
+        if (rule.field === "domain") {
+            return hostname;
+        }
+
+        // Regexes see the full URL; globs see "host/path?query" without the scheme
+        return rule.type === "regex"
+            ? bookmark.url
+            : `${hostname}${urlObj.pathname}${urlObj.search}`;
+    }
+
+    /**
+     * Check whether a rule matches a bookmark
+     * @param {Object} rule - Rule
+     * @param {Object} bookmark - Bookmark
+     * @returns {boolean} True on match
+     */
+    matches(rule, bookmark) {
+        try {
+            return this.compilePattern(rule).test(
+                this.getSubject(rule, bookmark)
+            );
+        } catch (_error) {
+            return false;
+        }
+    }
+
+    /**
+     * Find the highest-priority enabled rule matching a bookmark
+     * @param {Object} bookmark - Bookmark
+     * @param {Array} rules - Rules sorted by priority
+     * @returns {Object|null} Matching rule
+     */
+    findMatch(bookmark, rules) {
+        return (
+            rules.find((rule) => rule.enabled && this.matches(rule, bookmark)) ||
+            null
+        );
+    }
+
+    /**
+     * Split a batch into rule-matched results and bookmarks left for the AI
+     * @param {Array} batch - Bookmarks
+     * @param {Array} rules - Rules (loaded from storage when omitted)
+     * @returns {Promise<Object>} {results, remaining}
+     */
+    async applyRules(batch, rules = null) {
+        const activeRules = this.sortRules(rules || (await this.getRules()));
+        const results = [];
+        const remaining = [];
+
+        if (!activeRules.some((rule) => rule.enabled)) {
+            return { results, remaining: [...batch] };
+        }
+
+        batch.forEach((bookmark) => {
+            const rule = this.findMatch(bookmark, activeRules);
+            if (rule) {
+                results.push({
+                    bookmarkId: bookmark.id,
+                    category: rule.folder,
+                    title: bookmark.title || "Untitled",
+                    confidence: 1,
+                    source: "rule",
+                    ruleId: rule.id,
+                });
+            } else {
+                remaining.push(bookmark);
+            }
+        });
+
+        return { results, remaining };
+    }
+
+    /**
+     * Test a bookmark against the rules (for the settings rule tester)
+     * @param {Object} bookmark - Sample bookmark ({url, title})
+     * @param {Array} rules - Rules to test (loaded from storage when omitted)
+     * @returns {Promise<Object>} {match, matchingRules}
+     */
+    async testBookmark(bookmark, rules = null) {
+        const activeRules = this.sortRules(rules || (await this.getRules()));
+        const matchingRules = activeRules.filter((rule) =>
+            this.matches(rule, bookmark)
+        );
+        return {
+            match: matchingRules.find((rule) => rule.enabled) || null,
+            matchingRules,
+        };
+    }
+
+    /**
+     * Get rule fire stats
+     * @returns {Promise<Object>} Stats keyed by rule ID ({count, lastFired})
+     */
+    async getStats() {
+        try {
+            const result = await chrome.storage.local.get(this.STATS_KEY);
+            return result[this.STATS_KEY] || {};
+        } catch (_error) {
+            console.error("_error loading rule stats:", _error);
+            return {};
+        }
+    }
+
+    /**
+     * Record that rules fired
+     * @param {Array<string>} ruleIds - IDs of rules that fired, once per bookmark
+     */
+    async recordFires(ruleIds) {
+        if (!ruleIds || ruleIds.length === 0) return;
+
+        const stats = await this.getStats();
+        const now = Date.now();
+        ruleIds.forEach((ruleId) => {
+            const entry = stats[ruleId] || { count: 0, lastFired: null };
+            entry.count++;
+            entry.lastFired = now;
+            stats[ruleId] = entry;
+        });
+        await chrome.storage.local.set({ [this.STATS_KEY]: stats });
+    }
+
+    /**
+     * Reset rule fire stats
+     */
+    async resetStats() {
+        await chrome.storage.local.remove(this.STATS_KEY);
+    }
+
+    /**
+     * Export rules
+     * @returns {Promise<Object>} Export data
+     */
+    async exportRules() {
+        return {
+            version: this.RULES_VERSION,
+            rules: await this.getRules(),
+            exportDate: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Import rules
+     * @param {Object|Array} importedData - Export data or a plain rules array
+     * @param {boolean} merge - Merge with existing rules (true) or replace (false)
+     * @returns {Promise<Object>} {imported, skipped, errors}
+     */
+    async importRules(importedData, merge = true) {
+        const incoming = Array.isArray(importedData)
+            ? importedData
+            : importedData?.rules;
+        if (!Array.isArray(incoming)) {
+            throw new Error("Import data missing required field (rules)");
+        }
+
+        const existing = merge ? await this.getRules() : [];
+        const byId = new Map(existing.map((rule) => [rule.id, rule]));
+        const errors = [];
+        let imported = 0;
+
+        incoming.forEach((rawRule, index) => {
+            const rule = this.normalizeRule(rawRule);
+            const validation = this.validateRule(rule);
+            if (!validation.valid) {
+                errors.push(`Rule ${index + 1}: ${validation.errors.join(", ")}`);
+                return;
+            }
+            byId.set(rule.id, rule);
+            imported++;
+        });
+
+        await this.saveRules([...byId.values()]);
+        console.log(
+            `✅ Imported ${imported} categorization rules (${errors.length} skipped)`
+        );
+
+        return { imported, skipped: errors.length, errors };
+    }
+}
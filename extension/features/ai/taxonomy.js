@@ -0,0 +1,351 @@
+/**
+ * BookmarkMind - Taxonomy
+ * User-designed folder tree that categorization works from instead of
+ * inventing folder names on every run. Folders carry a description and
+ * example URLs that guide the AI; a locked taxonomy is the only set of
+ * folders the AI may use. Its organizing rules, fallback folder and examples
+ * replace the built-in prompt rules, so a taxonomy doubles as a shareable
+ * template (see TaxonomyTemplates).
+ */
+
+export class Taxonomy {
+    constructor() {
+        this.STORAGE_KEY = "categoryTaxonomy";
+        this.TAXONOMY_VERSION = "1.0";
+        this.MAX_NAME_LENGTH = 50;
+        this.MAX_DESCRIPTION_LENGTH = 300;
+        this.MAX_EXAMPLE_URLS = 10;
+        this.MAX_GUIDANCE_RULES = 20;
+        this.SEPARATOR = " > ";
+        this.DEFAULT_FALLBACK_CATEGORY = "Tools > Utilities";
+    }
+
+    /**
+     * Get the saved taxonomy
+     * @returns {Promise<Object>} Taxonomy, see normalizeTaxonomy()
+     */
+    async getTaxonomy() {
+        try {
+            const result = await chrome.storage.local.get(this.STORAGE_KEY);
+            return this.normalizeTaxonomy(result?.[this.STORAGE_KEY]);
+        } catch (_error) {
+            console.error("_error loading taxonomy:", _error);
+            return this.normalizeTaxonomy();
+        }
+    }
+
+    /**
+     * Validate and save a taxonomy
+     * @param {Object} taxonomy - Taxonomy, see normalizeTaxonomy()
+     * @returns {Promise<Object>} Saved taxonomy
+     */
+    async saveTaxonomy(taxonomy) {
+        const normalized = this.normalizeTaxonomy(taxonomy);
+        const validation = this.validateTaxonomy(normalized);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join(", "));
+        }
+
+        await chrome.storage.local.set({
+            [this.STORAGE_KEY]: {
+                ...normalized,
+                version: this.TAXONOMY_VERSION,
+                updatedAt: Date.now(),
+            },
+        });
+        console.log(
+            `🌳 Saved taxonomy with ${this.getPaths(normalized).length} folders${
+                normalized.locked ? " (locked)" : ""
+            }`
+        );
+        return normalized;
+    }
+
+    /**
+     * Export the saved taxonomy so it can be shared as a template
+     * @returns {Promise<Object>} Export data
+     */
+    async exportTaxonomy() {
+        return {
+            version: this.TAXONOMY_VERSION,
+            taxonomy: await this.getTaxonomy(),
+            exportDate: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Import a taxonomy, replacing the saved one
+     * @param {Object} importedData - Export data or a plain taxonomy
+     * @returns {Promise<Object>} Saved taxonomy
+     */
+    async importTaxonomy(importedData) {
+        const incoming = importedData?.taxonomy ?? importedData;
+        if (!Array.isArray(incoming?.folders)) {
+            throw new Error("Import data missing required field (folders)");
+        }
+        return this.saveTaxonomy(incoming);
+    }
+
+    /**
+     * Fill in defaults for a taxonomy
+     * @param {Object} taxonomy - Partial taxonomy
+     * @returns {Object} {name, description, templateId, guidance, fallbackCategory, locked, folders}
+     */
+    normalizeTaxonomy(taxonomy = {}) {
+        const text = (value) => (typeof value === "string" ? value.trim() : "");
+        return {
+            name: text(taxonomy?.name),
+            description: text(taxonomy?.description),
+            templateId: text(taxonomy?.templateId) || null,
+            guidance: (Array.isArray(taxonomy?.guidance) ? taxonomy.guidance : [])
+                .map(text)
+                .filter((rule) => rule),
+            fallbackCategory: text(taxonomy?.fallbackCategory)
+                .split(">")
+                .map((part) => part.trim())
+                .filter((part) => part)
+                .join(this.SEPARATOR),
+            locked: taxonomy?.locked === true,
+            folders: (Array.isArray(taxonomy?.folders) ? taxonomy.folders : [])
+                .map((folder) => this.normalizeFolder(folder))
+                .filter((folder) => folder.name || folder.children.length > 0),
+        };
+    }
+
+    /**
+     * Fill in defaults for a folder and its children. Example URLs without a
+     * scheme get https:// so "github.com" can be typed as is.
+     * @param {Object} folder - Partial folder
+     * @returns {Object} {name, description, exampleUrls, children}
+     */
+    normalizeFolder(folder = {}) {
+        const exampleUrls = (
+            Array.isArray(folder?.exampleUrls) ? folder.exampleUrls : []
+        )
+            .map((url) => (typeof url === "string" ? url.trim() : ""))
+            .filter((url) => url)
+            .map((url) => (/^[a-z][a-z\d+.-]*:/i.test(url) ? url : `https://${url}`));
+
+        return {
+            name: typeof folder?.name === "string" ? folder.name.trim().replace(/\s+/g, " ") : "",
+            description:
+                typeof folder?.description === "string" ? folder.description.trim() : "",
+            exampleUrls: [...new Set(exampleUrls)],
+            children: (Array.isArray(folder?.children) ? folder.children : [])
+                .map((child) => this.normalizeFolder(child))
+                .filter((child) => child.name || child.children.length > 0),
+        };
+    }
+
+    /**
+     * Validate a normalized taxonomy
+     * @param {Object} taxonomy - Taxonomy to validate
+     * @returns {Object} {valid, errors}
+     */
+    validateTaxonomy(taxonomy) {
+        const errors = [];
+        if (taxonomy.locked && taxonomy.folders.length === 0) {
+            errors.push("A locked taxonomy needs at least one folder");
+        }
+        if (taxonomy.guidance.length > this.MAX_GUIDANCE_RULES) {
+            errors.push(`More than ${this.MAX_GUIDANCE_RULES} organizing rules`);
+        }
+        if (
+            taxonomy.guidance.some((rule) => rule.length > this.MAX_DESCRIPTION_LENGTH)
+        ) {
+            errors.push(
+                `Organizing rules cannot be longer than ${this.MAX_DESCRIPTION_LENGTH} characters`
+            );
+        }
+        if (
+            taxonomy.fallbackCategory
+                .split(this.SEPARATOR)
+                .some((part) => part.toLowerCase() === "other")
+        ) {
+            errors.push('The fallback folder cannot be "Other"');
+        }
+        this._validateFolders(taxonomy.folders, "", errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Check whether the user has designed any folders
+     * @param {Object} taxonomy - Taxonomy
+     * @returns {boolean} True when there are no folders
+     */
+    isEmpty(taxonomy) {
+        return !taxonomy?.folders?.length;
+    }
+
+    /**
+     * Check whether the AI may only use the taxonomy's folders
+     * @param {Object} taxonomy - Taxonomy
+     * @returns {boolean} True when locked and not empty
+     */
+    isLocked(taxonomy) {
+        return taxonomy?.locked === true && !this.isEmpty(taxonomy);
+    }
+
+    /**
+     * Get the folder the AI should use when unsure
+     * @param {Object} taxonomy - Taxonomy
+     * @returns {string} Fallback folder path
+     */
+    getFallbackCategory(taxonomy) {
+        return taxonomy?.fallbackCategory || this.DEFAULT_FALLBACK_CATEGORY;
+    }
+
+    /**
+     * List every folder with its full path, parents before children
+     * @param {Object} taxonomy - Taxonomy
+     * @returns {Array<Object>} {path, depth, description, exampleUrls}
+     */
+    flatten(taxonomy) {
+        const flat = [];
+        const walk = (folders, parentPath, depth) => {
+            for (const folder of folders) {
+                const path = parentPath
+                    ? `${parentPath}${this.SEPARATOR}${folder.name}`
+                    : folder.name;
+                flat.push({
+                    path,
+                    depth,
+                    description: folder.description,
+                    exampleUrls: folder.exampleUrls,
+                });
+                walk(folder.children, path, depth + 1);
+            }
+        };
+        walk(taxonomy?.folders || [], "", 0);
+        return flat;
+    }
+
+    /**
+     * Get every folder path, e.g. "Development > Documentation"
+     * @param {Object} taxonomy - Taxonomy
+     * @returns {Array<string>} Folder paths
+     */
+    getPaths(taxonomy) {
+        return this.flatten(taxonomy).map((folder) => folder.path);
+    }
+
+    /**
+     * Find the folder whose example URLs share a bookmark's host. The deepest
+     * folder wins when several list the same site.
+     * @param {Object} taxonomy - Taxonomy
+     * @param {string} url - Bookmark URL
+     * @returns {string|null} Folder path
+     */
+    matchExampleUrl(taxonomy, url) {
+        const host = this._hostOf(url);
+        if (!host) return null;
+
+        let match = null;
+        for (const folder of this.flatten(taxonomy)) {
+            if (
+                folder.exampleUrls.some((example) => this._hostOf(example) === host) &&
+                (!match || folder.depth > match.depth)
+            ) {
+                match = folder;
+            }
+        }
+        return match ? match.path : null;
+    }
+
+    /**
+     * Describe the taxonomy for a prompt, one folder per line with its
+     * description and example URLs
+     * @param {Object} taxonomy - Taxonomy
+     * @returns {string} Prompt section, or "" when there are no folders
+     */
+    toPromptSection(taxonomy) {
+        if (this.isEmpty(taxonomy)) return "";
+
+        const locked = this.isLocked(taxonomy);
+        let section = locked
+            ? "\n\n**USER TAXONOMY (LOCKED - THESE ARE THE ONLY ALLOWED FOLDERS):**"
+            : "\n\n**USER TAXONOMY (USE THESE FOLDERS FIRST):**";
+
+        for (const folder of this.flatten(taxonomy)) {
+            section += `\n- "${folder.path}"`;
+            if (folder.description) {
+                section += `: ${folder.description}`;
+            }
+            if (folder.exampleUrls.length > 0) {
+                section += `\n  Examples: ${folder.exampleUrls.join(", ")}`;
+            }
+        }
+
+        section += locked
+            ? `\n- Every category MUST be exactly one of the folder paths above. Do not create subfolders, do not use other existing folders and do not use "${this.getFallbackCategory(taxonomy)}" unless it is listed. If nothing fits well, choose the closest folder and lower the confidence.`
+            : "\n- Follow the descriptions and examples when choosing among these folders. Only add a subfolder under one of them, or a new folder, when a bookmark fits none of them.";
+        return section;
+    }
+
+    /**
+     * Validate folders and their children
+     * @param {Array} folders - Sibling folders
+     * @param {string} parentPath - Path of their parent ("" at the top)
+     * @param {Array<string>} errors - Collected errors
+     */
+    _validateFolders(folders, parentPath, errors) {
+        const seen = new Set();
+
+        for (const folder of folders) {
+            const path = parentPath
+                ? `${parentPath}${this.SEPARATOR}${folder.name || "(unnamed)"}`
+                : folder.name || "(unnamed)";
+
+            if (!folder.name) {
+                errors.push(`Folder "${path}" needs a name`);
+            } else {
+                if (folder.name.includes(">")) {
+                    errors.push(`Folder "${path}": names cannot contain ">"`);
+                }
+                if (folder.name.length > this.MAX_NAME_LENGTH) {
+                    errors.push(
+                        `Folder "${path}": name is longer than ${this.MAX_NAME_LENGTH} characters`
+                    );
+                }
+                if (folder.name.toLowerCase() === "other") {
+                    errors.push(`Folder "${path}": "Other" is not allowed`);
+                }
+                if (seen.has(folder.name.toLowerCase())) {
+                    errors.push(`Folder "${path}" appears twice`);
+                }
+                seen.add(folder.name.toLowerCase());
+            }
+
+            if (folder.description.length > this.MAX_DESCRIPTION_LENGTH) {
+                errors.push(
+                    `Folder "${path}": description is longer than ${this.MAX_DESCRIPTION_LENGTH} characters`
+                );
+            }
+            if (folder.exampleUrls.length > this.MAX_EXAMPLE_URLS) {
+                errors.push(
+                    `Folder "${path}": more than ${this.MAX_EXAMPLE_URLS} example URLs`
+                );
+            }
+            for (const url of folder.exampleUrls) {
+                if (!this._hostOf(url)) {
+                    errors.push(`Folder "${path}": "${url}" is not a valid URL`);
+                }
+            }
+
+            this._validateFolders(folder.children, path, errors);
+        }
+    }
+
+    /**
+     * Get a URL's hostname without "www."
+     * @param {string} url - URL
+     * @returns {string} Hostname, or "" if the URL is invalid
+     */
+    _hostOf(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+        } catch (_error) {
+            return "";
+        }
+    }
+}
@@ -0,0 +1,588 @@
+import { Taxonomy } from "./taxonomy.js";
+
+/**
+ * BookmarkMind - Taxonomy Templates
+ * Starter taxonomies the user can pick in settings and then edit. Each one
+ * brings its folder tree, organizing rules and example URLs; the FMHY-style
+ * template also steers the prompts while no taxonomy has been saved.
+ */
+
+export class TaxonomyTemplates {
+    constructor() {
+        this.taxonomy = new Taxonomy();
+        this.DEFAULT_TEMPLATE_ID = "fmhy";
+
+        this.templates = [
+            {
+                id: "fmhy",
+                name: "FMHY-style (by function)",
+                description:
+                    "Groups services by what they do, like the FreeMediaHeckYeah index",
+                guidance: [
+                    "Group services by WHAT THEY DO, not by the company that provides them",
+                    'Never name folders after a company or brand: "Google > Drive" and "Microsoft > OneDrive" are wrong, "Tools > File Tools > Cloud Storage" is right',
+                    "A folder holds every service that does the same job, e.g. all VPNs together",
+                    "Use 2-3 levels: Category > Subcategory > Type",
+                    'Avoid catch-all folders such as "Popular Tools"',
+                ],
+                fallbackCategory: "Tools > Utilities",
+                folders: [
+                    {
+                        name: "Adblocking / Privacy",
+                        children: [
+                            {
+                                name: "VPN",
+                                description: "VPN services",
+                                exampleUrls: ["protonvpn.com", "mullvad.net", "airvpn.org", "windscribe.com"],
+                            },
+                            {
+                                name: "Encrypted Messengers",
+                                description: "Secure messaging apps",
+                                exampleUrls: ["signal.org", "matrix.org", "wire.com"],
+                            },
+                            {
+                                name: "Password Privacy / 2FA",
+                                description: "Password managers and authenticators",
+                                exampleUrls: ["keepassxc.org", "getaegis.app", "2fas.com"],
+                            },
+                            {
+                                name: "Antivirus / Anti-Malware",
+                                description: "Antivirus and malware removal",
+                                exampleUrls: ["malwarebytes.com", "eset.com"],
+                            },
+                            {
+                                name: "DNS Adblocking",
+                                description: "DNS-level ad and tracker blocking",
+                                exampleUrls: ["nextdns.io", "adguard-dns.io", "pi-hole.net"],
+                            },
+                        ],
+                    },
+                    {
+                        name: "Web Privacy",
+                        children: [
+                            {
+                                name: "Search Engines",
+                                description: "Privacy-focused search engines",
+                                exampleUrls: ["duckduckgo.com", "search.brave.com", "startpage.com"],
+                            },
+                        ],
+                    },
+                    {
+                        name: "Tools",
+                        children: [
+                            {
+                                name: "File Tools",
+                                children: [
+                                    {
+                                        name: "Cloud Storage",
+                                        description: "Cloud storage services",
+                                        exampleUrls: ["drive.google.com", "dropbox.com", "onedrive.live.com", "mega.io"],
+                                    },
+                                    {
+                                        name: "Converters",
+                                        description: "File format converters and compressors",
+                                    },
+                                    {
+                                        name: "Sharing",
+                                        description: "File transfer and hosting",
+                                        exampleUrls: ["wetransfer.com"],
+                                    },
+                                ],
+                            },
+                            {
+                                name: "System Tools",
+                                children: [
+                                    {
+                                        name: "Virtual Machines",
+                                        description: "Virtualization software",
+                                        exampleUrls: ["virtualbox.org", "vmware.com", "qemu.org"],
+                                    },
+                                ],
+                            },
+                            {
+                                name: "Image Tools",
+                                children: [{ name: "Editors", description: "Image editors" }],
+                            },
+                            {
+                                name: "Video Tools",
+                                children: [{ name: "Editors", description: "Video editors" }],
+                            },
+                            {
+                                name: "Utilities",
+                                description: "General calculators, converters and misc utilities",
+                            },
+                        ],
+                    },
+                    {
+                        name: "Development",
+                        children: [
+                            {
+                                name: "Code Repositories",
+                                description: "Code hosting platforms",
+                                exampleUrls: ["github.com", "gitlab.com", "bitbucket.org"],
+                            },
+                            {
+                                name: "Documentation",
+                                description: "Developer documentation and Q&A",
+                                exampleUrls: ["developer.mozilla.org", "devdocs.io", "stackoverflow.com"],
+                            },
+                            {
+                                name: "Tools",
+                                children: [
+                                    {
+                                        name: "IDEs",
+                                        description: "Code editors and online IDEs",
+                                        exampleUrls: ["code.visualstudio.com"],
+                                    },
+                                    {
+                                        name: "Frameworks",
+                                        description: "Framework documentation",
+                                        exampleUrls: ["react.dev", "vuejs.org", "angular.dev"],
+                                    },
+                                    {
+                                        name: "Deployment",
+                                        description: "Hosting and CI/CD platforms",
+                                        exampleUrls: ["vercel.com", "netlify.com"],
+                                    },
+                                ],
+                            },
+                        ],
+                    },
+                    {
+                        name: "Education",
+                        children: [
+                            {
+                                name: "Learning Platforms",
+                                description: "Online course platforms",
+                                exampleUrls: ["coursera.org", "udemy.com", "khanacademy.org", "edx.org"],
+                            },
+                            {
+                                name: "Language Learning",
+                                description: "Language learning apps",
+                                exampleUrls: ["duolingo.com"],
+                            },
+                            {
+                                name: "Privacy Guides",
+                                description: "Privacy and security education",
+                                exampleUrls: ["privacyguides.org", "thenewoil.org"],
+                            },
+                        ],
+                    },
+                    {
+                        name: "Entertainment",
+                        children: [
+                            {
+                                name: "Streaming",
+                                children: [
+                                    {
+                                        name: "Video",
+                                        description: "Video streaming",
+                                        exampleUrls: ["netflix.com", "youtube.com", "twitch.tv"],
+                                    },
+                                    {
+                                        name: "Music",
+                                        description: "Music streaming",
+                                        exampleUrls: ["spotify.com", "soundcloud.com"],
+                                    },
+                                ],
+                            },
+                            {
+                                name: "Gaming",
+                                children: [
+                                    {
+                                        name: "Platforms",
+                                        description: "Game stores and launchers",
+                                        exampleUrls: ["store.steampowered.com", "epicgames.com"],
+                                    },
+                                ],
+                            },
+                            {
+                                name: "Books",
+                                description: "Reading and online libraries",
+                                exampleUrls: ["goodreads.com"],
+                            },
+                        ],
+                    },
+                    {
+                        name: "Business",
+                        children: [
+                            {
+                                name: "Productivity",
+                                children: [
+                                    {
+                                        name: "Project Management",
+                                        description: "Task and project tools",
+                                        exampleUrls: ["trello.com", "asana.com", "notion.so"],
+                                    },
+                                    {
+                                        name: "Communication",
+                                        description: "Team chat and video calls",
+                                        exampleUrls: ["slack.com", "zoom.us"],
+                                    },
+                                ],
+                            },
+                            {
+                                name: "Finance",
+                                children: [
+                                    { name: "Banking", description: "Online banking" },
+                                    { name: "Investment", description: "Trading and investment tools" },
+                                    { name: "Cryptocurrency", description: "Crypto exchanges and wallets" },
+                                ],
+                            },
+                        ],
+                    },
+                    {
+                        name: "Shopping",
+                        children: [
+                            {
+                                name: "E-commerce",
+                                description: "Online marketplaces",
+                                exampleUrls: ["amazon.com", "ebay.com", "etsy.com"],
+                            },
+                            { name: "Price Comparison", description: "Price trackers and deal aggregators" },
+                        ],
+                    },
+                    {
+                        name: "News",
+                        children: [
+                            {
+                                name: "Technology News",
+                                description: "Tech news sites",
+                                exampleUrls: ["techcrunch.com", "arstechnica.com", "theverge.com", "news.ycombinator.com"],
+                            },
+                            {
+                                name: "General News",
+                                description: "General news outlets",
+                                exampleUrls: ["bbc.com", "reuters.com"],
+                            },
+                        ],
+                    },
+                    {
+                        name: "Social Media",
+                        children: [
+                            {
+                                name: "Platforms",
+                                description: "Social networks",
+                                exampleUrls: ["twitter.com", "facebook.com", "instagram.com"],
+                            },
+                            {
+                                name: "Communities",
+                                description: "Forums and community chats",
+                                exampleUrls: ["reddit.com", "discord.com"],
+                            },
+                        ],
+                    },
+                ],
+            },
+            {
+                id: "developer",
+                name: "Software developer",
+                description: "Docs, code hosting, packages, infrastructure and learning for programmers",
+                guidance: [
+                    "File documentation under the language or tool it documents when that folder exists",
+                    "Keep code hosting, package registries and cloud consoles apart from documentation",
+                    "Use the product's own spelling for technical names (JavaScript, PostgreSQL, Kubernetes)",
+                    "Use at most 3 levels",
+                ],
+                fallbackCategory: "Tools > Utilities",
+                folders: [
+                    {
+                        name: "Languages & Frameworks",
+                        description: "Language and framework references, one subfolder per language or framework",
+                        children: [
+                            { name: "Frontend", exampleUrls: ["react.dev", "vuejs.org", "svelte.dev"] },
+                            { name: "Backend", exampleUrls: ["nodejs.org", "docs.djangoproject.com", "go.dev"] },
+                            { name: "Mobile", exampleUrls: ["developer.android.com", "developer.apple.com"] },
+                        ],
+                    },
+                    {
+                        name: "Documentation",
+                        children: [
+                            {
+                                name: "References",
+                                description: "General API and web platform references",
+                                exampleUrls: ["developer.mozilla.org", "devdocs.io"],
+                            },
+                            { name: "Guides", description: "How-to articles and long-form guides" },
+                        ],
+                    },
+                    {
+                        name: "Code Hosting",
+                        description: "Repositories, issues and pull requests",
+                        exampleUrls: ["github.com", "gitlab.com", "bitbucket.org"],
+                    },
+                    {
+                        name: "Packages",
+                        description: "Package registries and library pages",
+                        exampleUrls: ["npmjs.com", "pypi.org", "crates.io"],
+                    },
+                    {
+                        name: "DevOps",
+                        children: [
+                            { name: "CI/CD", exampleUrls: ["circleci.com", "travis-ci.com"] },
+                            { name: "Cloud", exampleUrls: ["aws.amazon.com", "console.cloud.google.com", "portal.azure.com"] },
+                            { name: "Containers", exampleUrls: ["hub.docker.com", "kubernetes.io"] },
+                        ],
+                    },
+                    {
+                        name: "Databases",
+                        description: "Database docs and hosted databases",
+                        exampleUrls: ["postgresql.org", "mongodb.com", "redis.io"],
+                    },
+                    {
+                        name: "Tools",
+                        children: [
+                            { name: "Editors & IDEs", exampleUrls: ["code.visualstudio.com", "jetbrains.com"] },
+                            { name: "Testing", exampleUrls: ["jestjs.io", "playwright.dev"] },
+                            { name: "Monitoring", exampleUrls: ["sentry.io", "grafana.com"] },
+                            { name: "Utilities", description: "Formatters, converters, regex testers and other small tools" },
+                        ],
+                    },
+                    {
+                        name: "Community",
+                        children: [
+                            { name: "Q&A", exampleUrls: ["stackoverflow.com"] },
+                            { name: "News & Blogs", exampleUrls: ["news.ycombinator.com", "dev.to"] },
+                        ],
+                    },
+                    {
+                        name: "Learning",
+                        description: "Courses, tutorials and coding practice",
+                        exampleUrls: ["freecodecamp.org", "leetcode.com", "exercism.org"],
+                    },
+                ],
+            },
+            {
+                id: "research",
+                name: "Academic research",
+                description: "Literature, data, writing and funding for researchers",
+                guidance: [
+                    "File papers by their role in your work (literature, methods, data), not by publisher",
+                    "Put a paper's dataset or code under Data, next to nothing else",
+                    "Keep calls for papers, grants and conferences out of the literature folders",
+                    "Use at most 3 levels",
+                ],
+                fallbackCategory: "Tools & Utilities",
+                folders: [
+                    {
+                        name: "Literature",
+                        children: [
+                            { name: "Papers", description: "Published articles", exampleUrls: ["doi.org", "nature.com", "sciencedirect.com"] },
+                            { name: "Preprints", exampleUrls: ["arxiv.org", "biorxiv.org", "ssrn.com"] },
+                            { name: "Books & Theses" },
+                        ],
+                    },
+                    {
+                        name: "Search & Databases",
+                        description: "Literature search engines and indexes",
+                        exampleUrls: ["scholar.google.com", "pubmed.ncbi.nlm.nih.gov", "semanticscholar.org"],
+                    },
+                    {
+                        name: "Data",
+                        children: [
+                            { name: "Datasets", exampleUrls: ["zenodo.org", "kaggle.com", "data.gov"] },
+                            { name: "Code", description: "Research code and notebooks", exampleUrls: ["paperswithcode.com"] },
+                        ],
+                    },
+                    {
+                        name: "Methods",
+                        description: "Statistics, protocols and analysis methods",
+                        exampleUrls: ["protocols.io"],
+                    },
+                    {
+                        name: "Writing",
+                        children: [
+                            { name: "Reference Managers", exampleUrls: ["zotero.org", "mendeley.com"] },
+                            { name: "Editors", exampleUrls: ["overleaf.com"] },
+                            { name: "Style Guides" },
+                        ],
+                    },
+                    {
+                        name: "Funding",
+                        description: "Grants and funding calls",
+                        exampleUrls: ["grants.gov", "erc.europa.eu"],
+                    },
+                    {
+                        name: "Conferences & Events",
+                        description: "Conference sites and calls for papers",
+                        exampleUrls: ["openreview.net"],
+                    },
+                    { name: "Teaching", description: "Course material and teaching resources" },
+                    { name: "Tools & Utilities", description: "Other research software and small tools" },
+                ],
+            },
+            {
+                id: "shopping",
+                name: "Shopping",
+                description: "Stores, deals, reviews and wishlists",
+                guidance: [
+                    "File stores by what they sell, not by brand",
+                    "Keep deal, coupon and price-tracking sites apart from stores",
+                    "Product pages you want later go to Wishlist",
+                    "Use at most 2 levels",
+                ],
+                fallbackCategory: "Stores",
+                folders: [
+                    {
+                        name: "Marketplaces",
+                        description: "Stores that sell everything",
+                        exampleUrls: ["amazon.com", "ebay.com", "aliexpress.com"],
+                    },
+                    {
+                        name: "Stores",
+                        description: "Specialist shops, one subfolder per kind of product",
+                        children: [
+                            { name: "Electronics", exampleUrls: ["bestbuy.com", "newegg.com"] },
+                            { name: "Fashion", exampleUrls: ["zalando.com", "asos.com"] },
+                            { name: "Home & Garden", exampleUrls: ["ikea.com", "wayfair.com"] },
+                            { name: "Groceries", exampleUrls: ["instacart.com"] },
+                            { name: "Handmade", exampleUrls: ["etsy.com"] },
+                        ],
+                    },
+                    {
+                        name: "Deals & Coupons",
+                        exampleUrls: ["slickdeals.net", "retailmenot.com"],
+                    },
+                    {
+                        name: "Price Tracking",
+                        exampleUrls: ["camelcamelcamel.com", "keepa.com", "pricespy.co.uk"],
+                    },
+                    {
+                        name: "Reviews",
+                        description: "Product reviews and comparisons",
+                        exampleUrls: ["rtings.com", "nytimes.com/wirecutter"],
+                    },
+                    { name: "Wishlist", description: "Individual products to buy later" },
+                    { name: "Orders & Accounts", description: "Order tracking, returns and store accounts" },
+                ],
+            },
+            {
+                id: "para",
+                name: "PARA (Projects, Areas, Resources, Archive)",
+                description: "Tiago Forte's PARA method: organize by how actionable a bookmark is",
+                guidance: [
+                    "Projects: bookmarks for an active project with a goal and a deadline, one subfolder per project",
+                    "Areas: ongoing responsibilities with no end date, such as Health, Finances or Home",
+                    "Resources: topics of interest that are not tied to a project or responsibility",
+                    "Archive: anything from a finished project or an area you no longer look after",
+                    "Choose by how actionable the bookmark is, not by its subject",
+                ],
+                fallbackCategory: "Resources",
+                folders: [
+                    { name: "Projects", description: "Active efforts with a goal and a deadline" },
+                    {
+                        name: "Areas",
+                        description: "Ongoing responsibilities",
+                        children: [
+                            { name: "Health" },
+                            { name: "Finances" },
+                            { name: "Home" },
+                            { name: "Career" },
+                        ],
+                    },
+                    {
+                        name: "Resources",
+                        description: "Topics of interest and reference material",
+                        children: [
+                            { name: "Reading" },
+                            { name: "Learning" },
+                            { name: "Tools" },
+                        ],
+                    },
+                    { name: "Archive", description: "Inactive items from the other three" },
+                ],
+            },
+            {
+                id: "johnny-decimal",
+                name: "Johnny.Decimal",
+                description: "Numbered areas (10-19, 20-29...) holding numbered categories",
+                guidance: [
+                    'Areas are ranges of ten ("10-19 Development") and hold at most ten categories',
+                    'A category takes a two-digit number from its area\'s range ("12 Documentation" in 10-19)',
+                    "Keep the numbers in every folder name and use exactly 2 levels: Area > Category",
+                    "A new category takes the next free number in its area",
+                ],
+                fallbackCategory: "90-99 Reference > 91 Tools & Utilities",
+                folders: [
+                    {
+                        name: "10-19 Development",
+                        children: [
+                            { name: "11 Code Hosting", exampleUrls: ["github.com", "gitlab.com"] },
+                            { name: "12 Documentation", exampleUrls: ["developer.mozilla.org", "devdocs.io"] },
+                            { name: "13 Dev Tools", exampleUrls: ["code.visualstudio.com"] },
+                        ],
+                    },
+                    {
+                        name: "20-29 Learning",
+                        children: [
+                            { name: "21 Courses", exampleUrls: ["coursera.org", "udemy.com"] },
+                            { name: "22 Articles" },
+                            { name: "23 Videos", exampleUrls: ["youtube.com"] },
+                        ],
+                    },
+                    {
+                        name: "30-39 Life Admin",
+                        children: [
+                            { name: "31 Finance" },
+                            { name: "32 Health" },
+                            { name: "33 Home" },
+                        ],
+                    },
+                    {
+                        name: "40-49 Leisure",
+                        children: [
+                            { name: "41 Entertainment", exampleUrls: ["netflix.com", "spotify.com"] },
+                            { name: "42 Shopping", exampleUrls: ["amazon.com"] },
+                            { name: "43 Travel" },
+                        ],
+                    },
+                    {
+                        name: "90-99 Reference",
+                        children: [
+                            { name: "91 Tools & Utilities" },
+                            { name: "92 News", exampleUrls: ["bbc.com", "news.ycombinator.com"] },
+                        ],
+                    },
+                ],
+            },
+        ];
+    }
+
+    /**
+     * List the built-in templates as ready-to-save taxonomies
+     * @returns {Array<Object>} Taxonomies with templateId set
+     */
+    getTemplates() {
+        return this.templates.map((template) => this._toTaxonomy(template));
+    }
+
+    /**
+     * Get one built-in template as a taxonomy
+     * @param {string} templateId - Template ID
+     * @returns {Object|null} Taxonomy, or null if there is no such template
+     */
+    getTemplate(templateId) {
+        const template = this.templates.find((t) => t.id === templateId);
+        return template ? this._toTaxonomy(template) : null;
+    }
+
+    /**
+     * Get the template that steers the prompts when no taxonomy is saved
+     * @returns {Object} Taxonomy
+     */
+    getDefaultTemplate() {
+        return this.getTemplate(this.DEFAULT_TEMPLATE_ID);
+    }
+
+    /**
+     * Normalize a template into a taxonomy
+     * @param {Object} template - Template definition
+     * @returns {Object} Taxonomy
+     */
+    _toTaxonomy(template) {
+        return this.taxonomy.normalizeTaxonomy({
+            ...template,
+            templateId: template.id,
+        });
+    }
+}
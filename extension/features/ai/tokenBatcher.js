@@ -0,0 +1,104 @@
+/**
+ * BookmarkMind - Token Batcher
+ * Estimates prompt tokens without a model tokenizer and packs bookmarks into
+ * batches that stay inside a model's input and output token budgets, so long
+ * URLs or page content shrink a batch instead of truncating its reply.
+ */
+
+export class TokenBatcher {
+    constructor() {
+        this.CHARS_PER_TOKEN = 4; // Plain English words
+        this.CHARS_PER_DENSE_TOKEN = 2.5; // URLs, numbers, code and punctuation
+        // Share of each budget left free because estimates can run low
+        this.SAFETY_MARGIN = 0.1;
+    }
+
+    /**
+     * Estimate the tokens a text uses. Words are counted separately because
+     * tokenizers split URLs and symbols far more finely than prose, and
+     * non-Latin scripts take about a token per character.
+     * @param {string} text - Text to estimate
+     * @returns {number} Estimated tokens
+     */
+    estimateTokens(text) {
+        if (!text) return 0;
+
+        let tokens = 0;
+        for (const word of text.match(/\S+/g) || []) {
+            const wide = (word.match(/[\u0250-\uffff]/g) || []).length;
+            const narrow = word.length - wide;
+            const charsPerToken = /^[A-Za-z]+[.,;:!?'")]*$/.test(word)
+                ? this.CHARS_PER_TOKEN
+                : this.CHARS_PER_DENSE_TOKEN;
+            tokens += wide + Math.ceil(narrow / charsPerToken);
+        }
+        return tokens;
+    }
+
+    /**
+     * Split items into consecutive batches that fit the budgets
+     * @param {Array} items - Items in processing order
+     * @param {Object} budget - Limits, see fitCount()
+     * @param {Function} estimateItem - (item, indexInBatch) => {inputTokens, outputTokens}
+     * @returns {Array<Array>} Batches
+     */
+    createBatches(items, budget, estimateItem) {
+        const batches = [];
+        let start = 0;
+        while (start < items.length) {
+            const count = this.fitCount(items, start, budget, estimateItem);
+            batches.push(items.slice(start, start + count));
+            start += count;
+        }
+        return batches;
+    }
+
+    /**
+     * Count how many items from start fit one batch. A batch always takes at
+     * least one item, even one that is over budget on its own.
+     * @param {Array} items - Items in processing order
+     * @param {number} start - Index of the first item
+     * @param {Object} budget - Limits
+     * @param {number} budget.inputTokens - Prompt tokens the model accepts
+     * @param {number} budget.outputTokens - Reply tokens the model can produce
+     * @param {number} budget.fixedInputTokens - Prompt tokens used by everything but the items
+     * @param {number} budget.fixedOutputTokens - Reply tokens used by everything but the items
+     * @param {number} budget.maxItems - Most items in one batch
+     * @param {Function} estimateItem - (item, indexInBatch) => {inputTokens, outputTokens}
+     * @returns {number} Items in the batch
+     */
+    fitCount(
+        items,
+        start,
+        {
+            inputTokens,
+            outputTokens,
+            fixedInputTokens = 0,
+            fixedOutputTokens = 0,
+            maxItems = Number.POSITIVE_INFINITY,
+        },
+        estimateItem
+    ) {
+        const usable = 1 - this.SAFETY_MARGIN;
+        const inputRoom = inputTokens * usable - fixedInputTokens;
+        const outputRoom = outputTokens * usable - fixedOutputTokens;
+
+        let input = 0;
+        let output = 0;
+        let count = 0;
+        while (start + count < items.length && count < maxItems) {
+            const estimate = estimateItem(items[start + count], count);
+            if (
+                count > 0 &&
+                (input + estimate.inputTokens > inputRoom ||
+                    output + estimate.outputTokens > outputRoom)
+            ) {
+                break;
+            }
+            input += estimate.inputTokens;
+            output += estimate.outputTokens;
+            count++;
+        }
+        return count;
+    }
+}
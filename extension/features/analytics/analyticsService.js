@@ -169,6 +169,46 @@ export class AnalyticsService {
     await this._saveAnalytics(analytics);
   }
 
+  /**
+   * Record categorization cache hits and misses for one batch
+   * @param {number} hits - Bookmarks answered from the cache
+   * @param {number} misses - Bookmarks sent to the AI
+   */
+  async recordCacheLookup(hits, misses) {
+    const analytics = await this._getAnalytics();
+
+    analytics.cacheStats.hits += hits;
+    analytics.cacheStats.misses += misses;
+
+    await this._saveAnalytics(analytics);
+  }
+
+  /**
+   * Record the batcher's token estimate for a request next to the provider's count
+   * @param {Object} estimate - {provider, model, batchSize, estimatedInputTokens, actualInputTokens, estimatedOutputTokens, actualOutputTokens}
+   */
+  async recordTokenEstimate(estimate) {
+    const analytics = await this._getAnalytics();
+
+    analytics.tokenEstimates.push({
+      timestamp: Date.now(),
+      provider: estimate.provider || 'unknown',
+      model: estimate.model || 'unknown',
+      batchSize: estimate.batchSize || 0,
+      estimatedInputTokens: estimate.estimatedInputTokens || 0,
+      actualInputTokens: estimate.actualInputTokens || 0,
+      estimatedOutputTokens: estimate.estimatedOutputTokens || 0,
+      actualOutputTokens: estimate.actualOutputTokens || 0
+    });
+
+    // Keep only last 200 estimates
+    if (analytics.tokenEstimates.length > 200) {
+      analytics.tokenEstimates = analytics.tokenEstimates.slice(-200);
+    }
+
+    await this._saveAnalytics(analytics);
+  }
+
   /**
    * Get comprehensive analytics report
    * @returns {Promise<Object>} Analytics report
@@ -231,6 +271,17 @@ export class AnalyticsService {
         recent: analytics.consolidations.slice(-10)
       },
 
+      cache: {
+        hits: analytics.cacheStats.hits,
+        misses: analytics.cacheStats.misses,
+        hitRate: this._calculateSuccessRate(
+          analytics.cacheStats.hits,
+          analytics.cacheStats.hits + analytics.cacheStats.misses
+        )
+      },
+
+      tokenEstimates: this._getTokenEstimateStats(analytics.tokenEstimates),
+
       sessions: analytics.sessions.slice(-20), // Last 20 sessions
 
       metadata: {
@@ -241,6 +292,26 @@ export class AnalyticsService {
     };
   }
 
+  /**
+   * Summarize how actual token counts compare with the batcher's estimates
+   * @param {Array} tokenEstimates - Recorded estimates
+   * @returns {Object} {requests, inputRatio, outputRatio, recent}; ratios are actual / estimated
+   */
+  _getTokenEstimateStats(tokenEstimates) {
+    const ratio = (actualKey, estimatedKey) => {
+      const estimated = tokenEstimates.reduce((sum, e) => sum + e[estimatedKey], 0);
+      const actual = tokenEstimates.reduce((sum, e) => sum + e[actualKey], 0);
+      return estimated > 0 ? Math.round((actual / estimated) * 100) / 100 : null;
+    };
+
+    return {
+      requests: tokenEstimates.length,
+      inputRatio: ratio('actualInputTokens', 'estimatedInputTokens'),
+      outputRatio: ratio('actualOutputTokens', 'estimatedOutputTokens'),
+      recent: tokenEstimates.slice(-10)
+    };
+  }
+
   /**
    * Get success rate percentage
    * @param {number} successful - Successful operations
@@ -733,7 +804,9 @@ export class AnalyticsService {
         // Ensure objects exist
         categoryUsage: stored.categoryUsage || {},
         apiByProvider: stored.apiByProvider || {},
-        processingTimes: stored.processingTimes || {}
+        processingTimes: stored.processingTimes || {},
+        tokenEstimates: Array.isArray(stored.tokenEstimates) ? stored.tokenEstimates : [],
+        cacheStats: { ...defaults.cacheStats, ...stored.cacheStats }
       };
     } catch (_error) {
       console.error('_error getting analytics:', _error);
@@ -789,7 +862,9 @@ export class AnalyticsService {
       consolidations: [],
       categoryUsage: {},
       apiByProvider: {},
-      processingTimes: {}
+      processingTimes: {},
+      cacheStats: { hits: 0, misses: 0 },
+      tokenEstimates: []
     };
   }
 }
@@ -1,3 +1,4 @@
+import { AIProcessor } from '../ai/aiProcessor.js';
 /**
  * BookmarkMind - Benchmark Service
  * Automated benchmark suite for evaluating categorization accuracy and performance
@@ -209,15 +210,16 @@ export class BenchmarkService {
   /**
    * Run complete benchmark suite
    * @param {Object} options - Benchmark options
+   * @param {Array|null} options.providers - Provider ids (null = every configured provider)
    * @returns {Promise<Object>} Benchmark results
    */
   async runBenchmarkSuite(options = {}) {
     const {
-      providers = ['gemini', 'cerebras', 'groq'],
       models = null, // null = test all available models
       testCategories = ['technical', 'news', 'shopping', 'entertainment'],
       batchSize = 10
     } = options;
+    const providers = options.providers || (await this._getConfiguredProviders());
 
     console.log('🧪 Starting benchmark suite...');
     console.log('Options:', { providers, testCategories, batchSize });
@@ -287,13 +289,10 @@ export class BenchmarkService {
    */
   async _testProvider(provider, testCategories, batchSize, specificModels = null) {
     const aiProcessor = new AIProcessor();
-    const settings = await this._getSettings();
-
-    // Configure API keys
-    aiProcessor.setApiKey(settings.apiKey, settings.cerebrasApiKey, settings.groqApiKey);
+    aiProcessor.configureFromSettings(await this._getSettings());
 
     // Get models to test for this provider
-    const modelsToTest = this._getModelsForProvider(provider, aiProcessor, specificModels);
+    const modelsToTest = await this._getModelsForProvider(provider, aiProcessor, specificModels);
 
     const providerResult = {
       provider,
@@ -442,11 +441,11 @@ export class BenchmarkService {
    * Categorize a batch of test bookmarks
    * @param {AIProcessor} aiProcessor - AI processor instance
    * @param {Array} batch - Batch of bookmarks to categorize
-   * @param {string} provider - Provider name
+   * @param {string} _provider - Provider name
    * @param {Object} model - Model configuration
    * @returns {Promise<Array>} Categorization results
    */
-  async _categorizeBatch(aiProcessor, batch, provider, model) {
+  async _categorizeBatch(aiProcessor, batch, _provider, model) {
     // Mock bookmark objects for AI processing
     const mockBookmarks = batch.map((test, idx) => ({
       id: `benchmark_${Date.now()}_${idx}`,
@@ -455,15 +454,9 @@ export class BenchmarkService {
       parentId: '1'
     }));
 
-    // Set the specific model to test
-    if (provider === 'gemini') {
-      const modelIndex = aiProcessor.geminiModels.findIndex((m) => m.name === model.name);
-      if (modelIndex >= 0) aiProcessor.currentModelIndex = modelIndex;
-    }
-
+    // Ask this model only; nothing is moved
     try {
-      const result = await aiProcessor.categorizeBookmarks(mockBookmarks, [], {});
-      return result.results || [];
+      return await aiProcessor._processWithModel(model, mockBookmarks, [], {});
     } catch (_error) {
       console.error('Categorization _error:', _error);
       return mockBookmarks.map(() => ({ category: 'Other', confidence: 0, reasoning: 'Error' }));
@@ -548,21 +541,17 @@ export class BenchmarkService {
 
   /**
    * Get models for provider
-   * @param {string} provider - Provider name
+   * @param {string} provider - Provider id from the registry
    * @param {AIProcessor} aiProcessor - AI processor instance
    * @param {Array|null} specificModels - Specific models to test
-   * @returns {Array} Models to test
+   * @returns {Promise<Array>} Models to test
    */
-  _getModelsForProvider(provider, aiProcessor, specificModels) {
-    let allModels = [];
-
-    if (provider === 'gemini') {
-      allModels = aiProcessor.geminiModels;
-    } else if (provider === 'cerebras') {
-      allModels = aiProcessor.cerebrasModels;
-    } else if (provider === 'groq') {
-      allModels = aiProcessor.groqModels;
+  async _getModelsForProvider(provider, aiProcessor, specificModels) {
+    const adapter = aiProcessor.providers.get(provider);
+    if (!adapter?.isConfigured()) {
+      throw new Error(`Provider ${provider} is not configured`);
     }
+    const allModels = await adapter.loadModels();
 
     if (specificModels) {
       return allModels.filter((m) => specificModels.includes(m.name));
@@ -594,13 +583,23 @@ export class BenchmarkService {
     return validProviders.reduce((sum, p) => sum + p.averageSpeed, 0) / validProviders.length;
   }
 
+  /**
+   * Ids of the providers the user has configured
+   * @returns {Promise<Array<string>>} Provider ids
+   */
+  async _getConfiguredProviders() {
+    const aiProcessor = new AIProcessor();
+    aiProcessor.configureFromSettings(await this._getSettings());
+    return aiProcessor.providers.getConfigured().map((adapter) => adapter.id);
+  }
+
   /**
    * Get user settings
    * @returns {Promise<Object>} Settings
    */
   async _getSettings() {
-    const result = await chrome.storage.sync.get(['apiKey', 'cerebrasApiKey', 'groqApiKey']);
-    return result;
+    const result = await chrome.storage.sync.get(['bookmarkMindSettings']);
+    return result.bookmarkMindSettings || {};
   }
 
   /**
@@ -0,0 +1,448 @@
+/**
+ * BookmarkMind - Bookmark Exporter
+ * Writes the bookmark tree, or a single folder of it, as Netscape HTML,
+ * Markdown, OPML, CSV or JSON. Exports can use the original titles instead
+ * of the AI-generated ones and can carry each bookmark's confidence and
+ * category history.
+ */
+
+export class BookmarkExporter {
+    constructor() {
+        this.FORMATS = {
+            html: { extension: "html", mimeType: "text/html" },
+            markdown: { extension: "md", mimeType: "text/markdown" },
+            opml: { extension: "opml", mimeType: "text/x-opml" },
+            csv: { extension: "csv", mimeType: "text/csv" },
+            json: { extension: "json", mimeType: "application/json" },
+        };
+        this.BOOKMARKS_BAR_ID = "1";
+    }
+
+    /**
+     * Export bookmarks
+     * @param {Object} options - Export options
+     * @param {string} options.format - "html", "markdown", "opml", "csv" or "json"
+     * @param {string} options.folderId - Only export this folder's subtree
+     * @param {boolean} options.includeAITitles - Use AI-generated titles (otherwise the originals)
+     * @param {boolean} options.includeMetadata - Add confidence and category history
+     * @returns {Promise<Object>} {content, fileName, mimeType, bookmarkCount}
+     */
+    async export(options = {}) {
+        const format = options.format || "json";
+        if (!this.FORMATS[format]) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const [root] = options.folderId
+            ? await chrome.bookmarks.getSubTree(options.folderId)
+            : await chrome.bookmarks.getTree();
+        if (!root) {
+            throw new Error("Folder not found");
+        }
+
+        const bookmarks = [];
+        this._collectBookmarks(root, bookmarks);
+        const metadata =
+            options.includeMetadata || options.includeAITitles === false
+                ? await this._loadMetadata(bookmarks)
+                : {};
+
+        const tree = this._buildTree(root, metadata, {
+            includeAITitles: options.includeAITitles !== false,
+            includeMetadata: !!options.includeMetadata,
+        });
+        const title = options.folderId ? root.title : "Bookmarks";
+
+        const writers = {
+            html: () => this.toNetscapeHtml(tree, title),
+            markdown: () => this.toMarkdown(tree, title),
+            opml: () => this.toOpml(tree, title),
+            csv: () => this.toCsv(tree, !!options.includeMetadata),
+            json: () => this.toJson(tree),
+        };
+
+        const date = new Date().toISOString().split("T")[0];
+        const slug = options.folderId
+            ? `-${title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")}`
+            : "";
+
+        return {
+            content: writers[format](),
+            fileName: `bookmarks-export${slug}-${date}.${this.FORMATS[format].extension}`,
+            mimeType: this.FORMATS[format].mimeType,
+            bookmarkCount: bookmarks.length,
+        };
+    }
+
+    /**
+     * Netscape bookmark file that every browser can import
+     * @param {Object} tree - Tree from _buildTree()
+     * @param {string} title - Document title
+     * @returns {string} HTML
+     */
+    toNetscapeHtml(tree, title) {
+        const lines = [
+            "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+            "<!-- This is an automatically generated file.",
+            "     It will be read and overwritten.",
+            "     DO NOT EDIT! -->",
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            `<TITLE>${this._escapeHtml(title)}</TITLE>`,
+            `<H1>${this._escapeHtml(title)}</H1>`,
+        ];
+
+        const writeFolder = (folder, indent) => {
+            lines.push(`${indent}<DL><p>`);
+            for (const child of folder.children) {
+                if (child.url) {
+                    lines.push(
+                        `${indent}    <DT><A HREF="${this._escapeHtml(child.url)}"${this._dateAttribute(child.dateAdded)}>${this._escapeHtml(child.title)}</A>`
+                    );
+                    const note = this._describeMetadata(child);
+                    if (note) {
+                        lines.push(`${indent}    <DD>${this._escapeHtml(note)}`);
+                    }
+                } else {
+                    const toolbar =
+                        child.id === this.BOOKMARKS_BAR_ID
+                            ? ' PERSONAL_TOOLBAR_FOLDER="true"'
+                            : "";
+                    lines.push(
+                        `${indent}    <DT><H3${this._dateAttribute(child.dateAdded)}${toolbar}>${this._escapeHtml(child.title)}</H3>`
+                    );
+                    writeFolder(child, `${indent}    `);
+                }
+            }
+            lines.push(`${indent}</DL><p>`);
+        };
+
+        writeFolder(tree, "");
+        return `${lines.join("\n")}\n`;
+    }
+
+    /**
+     * Markdown with a heading per folder, for wikis and link lists
+     * @param {Object} tree - Tree from _buildTree()
+     * @param {string} title - Document title
+     * @returns {string} Markdown
+     */
+    toMarkdown(tree, title) {
+        const sections = [`# ${this._escapeMarkdown(title)}`];
+
+        const writeFolder = (folder, depth) => {
+            const links = folder.children
+                .filter((child) => child.url)
+                .map((child) => {
+                    const note = this._describeMetadata(child);
+                    const link = `- [${this._escapeMarkdown(child.title)}](${this._escapeMarkdownUrl(child.url)})`;
+                    return note ? `${link} — ${this._escapeMarkdown(note)}` : link;
+                });
+            if (links.length > 0) {
+                sections.push(links.join("\n"));
+            }
+
+            for (const child of folder.children) {
+                if (!child.url) {
+                    // Markdown stops at six heading levels
+                    sections.push(
+                        `${"#".repeat(Math.min(depth + 1, 6))} ${this._escapeMarkdown(child.title)}`
+                    );
+                    writeFolder(child, depth + 1);
+                }
+            }
+        };
+
+        writeFolder(tree, 1);
+        return `${sections.join("\n\n")}\n`;
+    }
+
+    /**
+     * OPML outline with one nested outline per folder
+     * @param {Object} tree - Tree from _buildTree()
+     * @param {string} title - Document title
+     * @returns {string} OPML
+     */
+    toOpml(tree, title) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<opml version="2.0">',
+            "    <head>",
+            `        <title>${this._escapeHtml(title)}</title>`,
+            `        <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+            "    </head>",
+            "    <body>",
+        ];
+
+        const writeFolder = (folder, indent) => {
+            for (const child of folder.children) {
+                if (child.url) {
+                    const attributes = [
+                        `text="${this._escapeHtml(child.title)}"`,
+                        'type="link"',
+                        `url="${this._escapeHtml(child.url)}"`,
+                    ];
+                    if (child.dateAdded) {
+                        attributes.push(
+                            `created="${new Date(child.dateAdded).toUTCString()}"`
+                        );
+                    }
+                    if (child.confidence !== undefined) {
+                        attributes.push(`confidence="${child.confidence}"`);
+                    }
+                    if (child.categoryHistory?.length) {
+                        attributes.push(
+                            `categoryHistory="${this._escapeHtml(child.categoryHistory.join(" | "))}"`
+                        );
+                    }
+                    lines.push(`${indent}<outline ${attributes.join(" ")}/>`);
+                } else {
+                    lines.push(
+                        `${indent}<outline text="${this._escapeHtml(child.title)}">`
+                    );
+                    writeFolder(child, `${indent}    `);
+                    lines.push(`${indent}</outline>`);
+                }
+            }
+        };
+
+        writeFolder(tree, "        ");
+        lines.push("    </body>", "</opml>");
+        return `${lines.join("\n")}\n`;
+    }
+
+    /**
+     * CSV with one row per bookmark and its folder path
+     * @param {Object} tree - Tree from _buildTree()
+     * @param {boolean} includeMetadata - Add metadata columns
+     * @returns {string} CSV
+     */
+    toCsv(tree, includeMetadata) {
+        const header = ["title", "url", "folder", "created"];
+        if (includeMetadata) {
+            header.push("original_title", "confidence", "category_history");
+        }
+
+        const rows = [header];
+        this._walkBookmarks(tree, [], (bookmark, path) => {
+            const row = [
+                bookmark.title,
+                bookmark.url,
+                path.join("/"),
+                bookmark.dateAdded
+                    ? new Date(bookmark.dateAdded).toISOString()
+                    : "",
+            ];
+            if (includeMetadata) {
+                row.push(
+                    bookmark.originalTitle || "",
+                    bookmark.confidence ?? "",
+                    (bookmark.categoryHistory || []).join(" | ")
+                );
+            }
+            rows.push(row);
+        });
+
+        return `${rows.map((row) => row.map((cell) => this._escapeCsv(cell)).join(",")).join("\n")}\n`;
+    }
+
+    /**
+     * JSON in the same shape as FolderManager.exportOrganization()
+     * @param {Object} tree - Tree from _buildTree()
+     * @returns {string} JSON
+     */
+    toJson(tree) {
+        const bookmarks = [];
+        this._walkBookmarks(tree, [], (bookmark, path) => {
+            const { id: _id, children: _children, ...fields } = bookmark;
+            bookmarks.push({ ...fields, path: path.join("/") });
+        });
+
+        return JSON.stringify(
+            {
+                exportDate: new Date().toISOString(),
+                version: "1.0.0",
+                bookmarks,
+            },
+            null,
+            2
+        );
+    }
+
+    /**
+     * Convert a Chrome bookmark node into the export tree, dropping folders
+     * without bookmarks and applying title and metadata options
+     * @param {Object} node - Chrome bookmark node
+     * @param {Object} metadata - Metadata by bookmark ID
+     * @param {Object} options - {includeAITitles, includeMetadata}
+     * @param {boolean} isRoot - Whether this is the exported root, which is kept even when empty
+     * @returns {Object|null} Export node
+     */
+    _buildTree(node, metadata, options, isRoot = true) {
+        if (node.url) {
+            const meta = metadata[node.id] || {};
+            const originalTitle = meta.history?.[0]?.previousTitle;
+            const bookmark = {
+                id: node.id,
+                title:
+                    !options.includeAITitles && originalTitle
+                        ? originalTitle
+                        : node.title,
+                url: node.url,
+                dateAdded: node.dateAdded,
+            };
+
+            if (options.includeMetadata) {
+                if (originalTitle && originalTitle !== bookmark.title) {
+                    bookmark.originalTitle = originalTitle;
+                }
+                if (meta.confidence !== undefined) {
+                    bookmark.confidence = meta.confidence;
+                }
+                if (meta.history?.length) {
+                    bookmark.categoryHistory = meta.history.map(
+                        (entry) => entry.category
+                    );
+                }
+            }
+            return bookmark;
+        }
+
+        const children = (node.children || [])
+            .map((child) => this._buildTree(child, metadata, options, false))
+            .filter((child) => child);
+        if (children.length === 0 && !isRoot) {
+            return null;
+        }
+        return {
+            id: node.id,
+            title: node.title,
+            dateAdded: node.dateAdded,
+            children,
+        };
+    }
+
+    /**
+     * Load stored confidence and category history for bookmarks
+     * @param {Array} bookmarks - Bookmark nodes
+     * @returns {Promise<Object>} {[id]: {confidence, history}}
+     */
+    async _loadMetadata(bookmarks) {
+        const keys = bookmarks.flatMap((bookmark) => [
+            `ai_confidence_${bookmark.id}`,
+            `ai_history_${bookmark.id}`,
+        ]);
+        if (keys.length === 0) return {};
+
+        const stored = (await chrome.storage.local.get(keys)) || {};
+        const metadata = {};
+        bookmarks.forEach((bookmark) => {
+            metadata[bookmark.id] = {
+                confidence: stored[`ai_confidence_${bookmark.id}`],
+                history: stored[`ai_history_${bookmark.id}`],
+            };
+        });
+        return metadata;
+    }
+
+    /**
+     * Collect bookmark nodes below a Chrome bookmark node
+     * @param {Object} node - Chrome bookmark node
+     * @param {Array} bookmarks - Output array
+     */
+    _collectBookmarks(node, bookmarks) {
+        if (node.url) {
+            bookmarks.push(node);
+        }
+        (node.children || []).forEach((child) =>
+            this._collectBookmarks(child, bookmarks)
+        );
+    }
+
+    /**
+     * Visit every bookmark in an export tree with its folder path
+     * @param {Object} folder - Export tree folder
+     * @param {Array<string>} path - Folder titles so far
+     * @param {Function} visit - Called with (bookmark, path)
+     */
+    _walkBookmarks(folder, path, visit) {
+        for (const child of folder.children) {
+            if (child.url) {
+                visit(child, path);
+            } else {
+                this._walkBookmarks(child, [...path, child.title], visit);
+            }
+        }
+    }
+
+    /**
+     * One-line summary of a bookmark's metadata
+     * @param {Object} bookmark - Export tree bookmark
+     * @returns {string} Summary, or an empty string
+     */
+    _describeMetadata(bookmark) {
+        const parts = [];
+        if (bookmark.confidence !== undefined) {
+            parts.push(`Confidence: ${Math.round(bookmark.confidence * 100)}%`);
+        }
+        if (bookmark.originalTitle) {
+            parts.push(`Originally: ${bookmark.originalTitle}`);
+        }
+        if (bookmark.categoryHistory?.length) {
+            parts.push(`Categories: ${bookmark.categoryHistory.join(" → ")}`);
+        }
+        return parts.join(" · ");
+    }
+
+    /**
+     * ADD_DATE attribute in seconds, as browsers expect
+     * @param {number} dateAdded - Milliseconds since epoch
+     * @returns {string} Attribute text
+     */
+    _dateAttribute(dateAdded) {
+        return dateAdded ? ` ADD_DATE="${Math.floor(dateAdded / 1000)}"` : "";
+    }
+
+    /**
+     * Escape text for HTML and XML
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    _escapeHtml(text = "") {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    /**
+     * Escape characters that would change Markdown formatting
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    _escapeMarkdown(text = "") {
+        return String(text).replace(/([\\`*_[\]<>#|])/g, "\\$1");
+    }
+
+    /**
+     * Percent-encode characters that would end a Markdown link target
+     * @param {string} url - URL
+     * @returns {string} Escaped URL
+     */
+    _escapeMarkdownUrl(url) {
+        return url.replace(
+            /[()\s]/g,
+            (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`
+        );
+    }
+
+    /**
+     * Quote a CSV cell when needed
+     * @param {*} value - Cell value
+     * @returns {string} CSV cell
+     */
+    _escapeCsv(value) {
+        const text = String(value ?? "");
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
@@ -0,0 +1,501 @@
+import { DuplicateManager } from "./duplicateManager.js";
+import { OperationJournal } from "./operationJournal.js";
+import { HtmlText } from "../core/htmlText.js";
+/**
+ * BookmarkMind - Bookmark Importer
+ * Parses browser (Netscape HTML), Pocket, Raindrop, Pinboard and plain URL
+ * list exports and creates the bookmarks, skipping ones that already exist.
+ * Parsing is string-based because service workers have no DOMParser.
+ */
+
+export class BookmarkImporter {
+    constructor() {
+        this.duplicateManager = new DuplicateManager();
+        this.htmlText = new HtmlText();
+        this.journal = new OperationJournal("Imported bookmarks", {
+            operationType: "import",
+        });
+        this.DEFAULT_PARENT_ID = "2"; // Other Bookmarks
+        this.ALLOWED_PROTOCOLS = ["http:", "https:", "ftp:", "file:"];
+        this.URL_COLUMNS = ["url", "href", "link"];
+        this.TITLE_COLUMNS = ["title", "name", "description"];
+        this.FOLDER_COLUMNS = ["folder", "collection", "path"];
+        this.TAG_COLUMNS = ["tags", "tag"];
+        this.DATE_COLUMNS = ["created", "time_added", "add_date", "time"];
+    }
+
+    /**
+     * Work out which format a file is in
+     * @param {string} content - File content
+     * @param {string} fileName - File name, used as a hint
+     * @returns {string} "html", "json", "csv" or "text"
+     */
+    detectFormat(content, fileName = "") {
+        const trimmed = content.trim();
+        const extension = fileName.toLowerCase().split(".").pop();
+
+        // A URL list can start with "[" too, so brackets alone are not enough
+        if (extension === "json" || (/^[[{]/.test(trimmed) && this._isJson(trimmed))) {
+            return "json";
+        }
+        if (
+            /<!DOCTYPE NETSCAPE-Bookmark-file/i.test(trimmed) ||
+            /<a\s[^>]*href\s*=/i.test(trimmed)
+        ) {
+            return "html";
+        }
+
+        const header = trimmed.split(/\r?\n/, 1)[0].toLowerCase();
+        const columns = this._parseCsvLine(header).map((c) => c.trim());
+        if (
+            extension === "csv" ||
+            (columns.length > 1 &&
+                columns.some((c) => this.URL_COLUMNS.includes(c)))
+        ) {
+            return "csv";
+        }
+        return "text";
+    }
+
+    /**
+     * Parse an export into import items
+     * @param {string} content - File content
+     * @param {string} fileName - File name
+     * @returns {Object} {format, items, invalid}
+     */
+    parse(content, fileName = "") {
+        const format = this.detectFormat(content || "", fileName);
+        const parsers = {
+            html: () => this.parseHtml(content),
+            json: () => this.parseJson(content),
+            csv: () => this.parseCsv(content),
+            text: () => this.parseUrlList(content),
+        };
+
+        const raw = parsers[format]();
+        const items = [];
+        const invalid = [];
+
+        raw.forEach((item) => {
+            const url = this._cleanUrl(item.url);
+            if (!url) {
+                invalid.push({
+                    url: item.url || "",
+                    title: item.title || "",
+                    reason: "Unsupported or malformed URL",
+                });
+                return;
+            }
+            items.push({
+                url,
+                title: (item.title || "").trim() || url,
+                folderPath: (item.folderPath || []).filter((part) => part),
+                tags: item.tags || [],
+                dateAdded: item.dateAdded || null,
+            });
+        });
+
+        return { format, items, invalid };
+    }
+
+    /**
+     * Parse Netscape bookmark HTML (every browser, Raindrop) and Pocket's HTML export
+     * @param {string} html - HTML content
+     * @returns {Array} Items with folderPath
+     */
+    parseHtml(html) {
+        const items = [];
+        const folderStack = [];
+        let pendingFolder = null;
+
+        const tokens =
+            /<h3\b([^>]*)>([\s\S]*?)<\/h3>|<a\b([^>]*)>([\s\S]*?)<\/a>|<dl\b[^>]*>|<\/dl>/gi;
+
+        for (const match of html.matchAll(tokens)) {
+            const token = match[0].slice(0, 3).toLowerCase();
+
+            if (token === "<h3") {
+                pendingFolder = this.htmlText.decodeEntities(this._stripTags(match[2]));
+            } else if (token === "<dl") {
+                // The list right after a heading holds that folder's children
+                folderStack.push(pendingFolder);
+                pendingFolder = null;
+            } else if (token === "</d") {
+                folderStack.pop();
+            } else {
+                const attributes = this.htmlText.parseAttributes(match[3]);
+                const addDate = Number.parseInt(
+                    attributes.add_date || attributes.time_added,
+                    10
+                );
+                items.push({
+                    url: this.htmlText.decodeEntities(attributes.href || ""),
+                    title: this.htmlText.decodeEntities(this._stripTags(match[4])),
+                    folderPath: folderStack.filter((folder) => folder),
+                    tags: this._splitTags(attributes.tags),
+                    dateAdded: addDate ? addDate * 1000 : null,
+                });
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Parse Pinboard JSON, generic JSON arrays and BookmarkMind's own export
+     * @param {string} json - JSON content
+     * @returns {Array} Items
+     */
+    parseJson(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (_error) {
+            throw new Error(`Invalid JSON file: ${_error.message}`);
+        }
+
+        const entries = Array.isArray(data)
+            ? data
+            : data.bookmarks || data.items || data.links || [];
+
+        return entries.map((entry) => ({
+            url: entry.url || entry.href || entry.link || "",
+            title: entry.title || entry.description || entry.name || "",
+            folderPath: this._splitPath(entry.path || entry.folder || ""),
+            tags: Array.isArray(entry.tags)
+                ? entry.tags
+                : this._splitTags(entry.tags),
+            dateAdded: this._parseDate(entry.time || entry.created || entry.dateAdded),
+        }));
+    }
+
+    /**
+     * Parse Pocket and Raindrop CSV exports
+     * @param {string} csv - CSV content
+     * @returns {Array} Items
+     */
+    parseCsv(csv) {
+        const rows = this._parseCsvRows(csv);
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map((column) => column.trim().toLowerCase());
+        const find = (names) => header.findIndex((c) => names.includes(c));
+        const urlIndex = find(this.URL_COLUMNS);
+        if (urlIndex === -1) {
+            throw new Error("CSV file has no url column");
+        }
+        const titleIndex = find(this.TITLE_COLUMNS);
+        const folderIndex = find(this.FOLDER_COLUMNS);
+        const tagIndex = find(this.TAG_COLUMNS);
+        const dateIndex = find(this.DATE_COLUMNS);
+
+        return rows
+            .slice(1)
+            .filter((row) => row.some((cell) => cell.trim()))
+            .map((row) => ({
+                url: (row[urlIndex] || "").trim(),
+                title: titleIndex === -1 ? "" : row[titleIndex],
+                folderPath:
+                    folderIndex === -1 ? [] : this._splitPath(row[folderIndex]),
+                tags: tagIndex === -1 ? [] : this._splitTags(row[tagIndex]),
+                dateAdded:
+                    dateIndex === -1 ? null : this._parseDate(row[dateIndex]),
+            }));
+    }
+
+    /**
+     * Parse a plain list with one URL per line. Text around the URL becomes the title.
+     * @param {string} text - Text content
+     * @returns {Array} Items
+     */
+    parseUrlList(text) {
+        return text
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter((line) => line && !line.startsWith("#"))
+            .map((line) => {
+                const urlMatch = line.match(/\b[a-z][a-z0-9+.-]*:\/\/\S+/i);
+                if (!urlMatch) {
+                    return { url: line, title: "" };
+                }
+                const title = line
+                    .replace(urlMatch[0], "")
+                    .replace(/^[\s\-–|:]+|[\s\-–|:]+$/g, "");
+                return { url: urlMatch[0], title };
+            });
+    }
+
+    /**
+     * Key used to detect duplicates, shared with the duplicate manager so an
+     * import never re-adds a bookmark it would later flag as a duplicate
+     * @param {string} url - URL
+     * @returns {string} Comparison key
+     */
+    normalizeUrl(url) {
+        return this.duplicateManager.canonicalizeUrl(url);
+    }
+
+    /**
+     * Create bookmarks for parsed items
+     * @param {Object} parsed - Result of parse()
+     * @param {Object} options - Import options
+     * @param {string} options.parentId - Folder that receives the import folder
+     * @param {string} options.folderTitle - Name of the import folder
+     * @param {boolean} options.preserveFolders - Recreate the file's folder structure
+     * @param {Function} options.progressCallback - Progress updates
+     * @returns {Promise<Object>} Import report
+     */
+    async importItems(parsed, options = {}) {
+        const startTime = Date.now();
+        const preserveFolders = options.preserveFolders !== false;
+        const report = {
+            format: parsed.format,
+            total: parsed.items.length + parsed.invalid.length,
+            imported: 0,
+            duplicates: [],
+            invalid: [...parsed.invalid],
+            failed: [],
+            foldersCreated: 0,
+            folderId: null,
+            folderTitle:
+                options.folderTitle ||
+                `Imported ${new Date().toISOString().slice(0, 10)}`,
+            bookmarkIds: [],
+            durationMs: 0,
+        };
+
+        const seen = await this._getExistingUrlKeys();
+        const toCreate = [];
+        parsed.items.forEach((item) => {
+            const key = this.normalizeUrl(item.url);
+            if (seen.has(key)) {
+                report.duplicates.push({ url: item.url, title: item.title });
+                return;
+            }
+            seen.add(key);
+            toCreate.push(item);
+        });
+
+        if (toCreate.length === 0) {
+            report.durationMs = Date.now() - startTime;
+            return report;
+        }
+
+        await this.journal.startSession(`Imported ${report.folderTitle}`, {
+            operationType: "import",
+        });
+        try {
+            const root = await this.journal.create({
+                parentId: options.parentId || this.DEFAULT_PARENT_ID,
+                title: report.folderTitle,
+            });
+            report.folderId = root.id;
+
+            const folderIds = new Map([["", root.id]]);
+            const getFolderId = async (folderPath) => {
+                let parentId = root.id;
+                let key = "";
+                for (const part of folderPath) {
+                    key = `${key}/${part}`;
+                    if (!folderIds.has(key)) {
+                        const folder = await this.journal.create({
+                            parentId,
+                            title: part,
+                        });
+                        folderIds.set(key, folder.id);
+                        report.foldersCreated++;
+                    }
+                    parentId = folderIds.get(key);
+                }
+                return parentId;
+            };
+
+            for (let i = 0; i < toCreate.length; i++) {
+                const item = toCreate[i];
+                try {
+                    const parentId = preserveFolders
+                        ? await getFolderId(item.folderPath)
+                        : root.id;
+                    const bookmark = await this.journal.create({
+                        parentId,
+                        title: item.title,
+                        url: item.url,
+                    });
+                    report.bookmarkIds.push(bookmark.id);
+                    report.imported++;
+                } catch (_error) {
+                    report.failed.push({
+                        url: item.url,
+                        title: item.title,
+                        reason: _error.message,
+                    });
+                }
+
+                options.progressCallback?.({
+                    stage: "importing",
+                    progress: Math.round(((i + 1) / toCreate.length) * 100),
+                    current: i + 1,
+                    total: toCreate.length,
+                });
+            }
+        } finally {
+            await this.journal.endSession();
+        }
+
+        report.durationMs = Date.now() - startTime;
+        console.log(
+            `📥 Imported ${report.imported}/${report.total} bookmarks (${report.duplicates.length} duplicates, ${report.invalid.length} invalid, ${report.failed.length} failed)`
+        );
+        return report;
+    }
+
+    /**
+     * Collect duplicate keys of every existing bookmark
+     * @returns {Promise<Set<string>>} Keys from normalizeUrl()
+     */
+    async _getExistingUrlKeys() {
+        const keys = new Set();
+        const walk = (node) => {
+            if (node.url) keys.add(this.normalizeUrl(node.url));
+            (node.children || []).forEach(walk);
+        };
+        const tree = await chrome.bookmarks.getTree();
+        tree.forEach(walk);
+        return keys;
+    }
+
+    /**
+     * Validate a URL for chrome.bookmarks.create
+     * @param {string} url - Raw URL
+     * @returns {string|null} Usable URL, or null
+     */
+    _cleanUrl(url) {
+        if (!url) return null;
+        try {
+            const parsed = new URL(url.trim());
+            return this.ALLOWED_PROTOCOLS.includes(parsed.protocol)
+                ? parsed.href
+                : null;
+        } catch (_error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether text is valid JSON
+     * @param {string} text - Text to check
+     * @returns {boolean} True when it parses
+     */
+    _isJson(text) {
+        try {
+            JSON.parse(text);
+            return true;
+        } catch (_error) {
+            return false;
+        }
+    }
+
+    /**
+     * Remove markup from text
+     * @param {string} text - HTML text
+     * @returns {string} Plain text
+     */
+    _stripTags(text = "") {
+        return text.replace(/<[^>]*>/g, "").trim();
+    }
+
+    /**
+     * Split a tag field ("a,b", "a b" or "a|b")
+     * @param {string} tags - Tag text
+     * @returns {Array<string>} Tags
+     */
+    _splitTags(tags) {
+        if (!tags) return [];
+        return String(tags)
+            .split(/[,|]|\s+/)
+            .map((tag) => tag.trim())
+            .filter((tag) => tag);
+    }
+
+    /**
+     * Split a folder path ("A/B" or "A > B")
+     * @param {string} path - Folder path
+     * @returns {Array<string>} Folder names
+     */
+    _splitPath(path) {
+        if (!path) return [];
+        return String(path)
+            .split(/\s*>\s*|\//)
+            .map((part) => part.trim())
+            .filter((part) => part);
+    }
+
+    /**
+     * Parse a Unix timestamp (seconds) or date string
+     * @param {string|number} value - Date value
+     * @returns {number|null} Milliseconds since epoch
+     */
+    _parseDate(value) {
+        if (!value) return null;
+        if (/^\d+$/.test(String(value))) {
+            const number = Number(value);
+            return number < 1e12 ? number * 1000 : number;
+        }
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : time;
+    }
+
+    /**
+     * Split CSV text into rows, honouring quoted fields with commas and newlines
+     * @param {string} csv - CSV content
+     * @returns {Array<Array<string>>} Rows of cells
+     */
+    _parseCsvRows(csv) {
+        const rows = [];
+        let row = [];
+        let cell = "";
+        let inQuotes = false;
+
+        for (let i = 0; i < csv.length; i++) {
+            const char = csv[i];
+            if (inQuotes) {
+                if (char === '"' && csv[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ",") {
+                row.push(cell);
+                cell = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && csv[i + 1] === "\n") i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = "";
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Parse a single CSV line
+     * @param {string} line - CSV line
+     * @returns {Array<string>} Cells
+     */
+    _parseCsvLine(line) {
+        return this._parseCsvRows(line)[0] || [];
+    }
+}
@@ -1,3 +1,5 @@
+import { DuplicateManager } from "./duplicateManager.js";
+import { OperationJournal } from "./operationJournal.js";
 /**
  * BookmarkMind - Bookmark Service
  * Handles all Chrome Bookmarks API interactions
@@ -6,6 +8,9 @@
 export class BookmarkService {
     constructor() {
         this.bookmarkTree = null;
+        this.journal = new OperationJournal("Bookmark changes");
+        this.duplicateManager = new DuplicateManager();
+        this.duplicateManager.journal = this.journal;
     }
 
     /**
@@ -113,7 +118,7 @@ export class BookmarkService {
      */
     async createFolder(title, parentId = "1") {
         try {
-            const folder = await chrome.bookmarks.create({
+            const folder = await this.journal.create({
                 parentId: parentId,
                 title: title,
             });
@@ -177,7 +182,7 @@ export class BookmarkService {
                 console.warn("Failed to set AI metadata:", metadataError);
             }
 
-            const bookmark = await chrome.bookmarks.move(
+            const bookmark = await this.journal.move(
                 bookmarkId,
                 moveDetails
             );
@@ -348,6 +353,9 @@ export class BookmarkService {
      * @returns {Promise<Object>} Result object
      */
     async moveAllToBookmarkBar(progressCallback) {
+        await this.journal.startSession("Move all to Bookmarks Bar", {
+            operationType: "move_all",
+        });
         try {
             console.log("Starting move all to Bookmark Bar...");
 
@@ -398,7 +406,7 @@ export class BookmarkService {
                 await Promise.all(
                     batch.map(async (bookmark) => {
                         try {
-                            await chrome.bookmarks.move(bookmark.id, {
+                            await this.journal.move(bookmark.id, {
                                 parentId: "1",
                             });
                             movedCount++;
@@ -439,7 +447,72 @@ export class BookmarkService {
         } catch (_error) {
             console.error("_error moving all to bookmark bar:", _error);
             throw new Error(`Failed to move bookmarks: ${_error.message}`);
+        } finally {
+            await this.journal.endSession();
         }
     }
-}
 
+    /**
+     * Group bookmarks that point to the same webpage (see
+     * DuplicateManager.canonicalizeUrl for what counts as the same URL)
+     * @param {Array} bookmarks - Bookmarks to check
+     * @returns {Array} Groups of {normalizedUrl, bookmarks} with more than one bookmark
+     */
+    findDuplicateGroups(bookmarks) {
+        return this.duplicateManager
+            .groupDuplicates(bookmarks)
+            .map((group) => ({
+                normalizedUrl: group.key,
+                bookmarks: group.bookmarks,
+            }));
+    }
+
+    /**
+     * Remove duplicate bookmarks, keeping the oldest copy of each group.
+     * No snapshot is taken; callers that need undo take one first.
+     * @returns {Promise<Object>} {groups, removed, errors}
+     */
+    async removeDuplicateBookmarks() {
+        const bookmarks = await this.getAllBookmarks();
+        const groups = this.duplicateManager.groupDuplicates(bookmarks);
+        if (groups.length === 0) {
+            return { groups: 0, removed: 0, errors: [] };
+        }
+
+        const result = await this.duplicateManager.removeDuplicates(groups, {
+            strategy: "oldest",
+            skipSnapshot: true,
+        });
+        return {
+            groups: result.groups,
+            removed: result.removed,
+            errors: result.failed.map(
+                (failure) => `${failure.title}: ${failure.error}`
+            ),
+        };
+    }
+
+    /**
+     * Append a categorization to a bookmark's history so exports can show
+     * where it was filed before and what it was originally called
+     * @param {Object} bookmark - Bookmark before the change
+     * @param {string} category - Category it is being filed under
+     * @param {string} newTitle - Title after the change
+     */
+    async recordCategoryHistory(bookmark, category, newTitle = bookmark.title) {
+        const key = `ai_history_${bookmark.id}`;
+        try {
+            const stored = await chrome.storage.local.get(key);
+            const history = stored[key] || [];
+            history.push({
+                category,
+                title: newTitle,
+                previousTitle: bookmark.title,
+                at: Date.now(),
+            });
+            await chrome.storage.local.set({ [key]: history.slice(-10) });
+        } catch (_error) {
+            console.warn("Failed to record category history:", _error);
+        }
+    }
+}
@@ -0,0 +1,419 @@
+import { SnapshotManager } from "./snapshotManager.js";
+import { OperationJournal } from "./operationJournal.js";
+/**
+ * BookmarkMind - Duplicate Manager
+ * Finds bookmarks that point to the same page (or look like the same page on
+ * the same site) and removes the extra copies, keeping the one the user chose
+ */
+
+export class DuplicateManager {
+    constructor() {
+        this.snapshotManager = new SnapshotManager();
+        this.journal = new OperationJournal("Removed duplicates", {
+            operationType: "duplicate_removal",
+        });
+        this.STRATEGIES = ["oldest", "newest", "deepest"];
+        // Tracking and AMP parameters that never change which page is shown
+        this.IGNORED_PARAMS = new Set([
+            "fbclid",
+            "gclid",
+            "dclid",
+            "msclkid",
+            "yclid",
+            "igshid",
+            "mc_cid",
+            "mc_eid",
+            "_ga",
+            "_gl",
+            "ref",
+            "ref_src",
+            "ref_url",
+            "amp",
+        ]);
+        // Titles with fewer words than this are too generic to compare ("Home")
+        this.MIN_TITLE_WORDS = 3;
+        // Shared words over all words of both titles (Jaccard similarity)
+        this.TITLE_SIMILARITY_THRESHOLD = 0.8;
+        // Shorter title's word count over the longer one's
+        this.MIN_TITLE_LENGTH_RATIO = 0.8;
+    }
+
+    /**
+     * Find duplicate groups across all bookmarks
+     * @param {Object} options - Search options
+     * @param {boolean} options.includeTitles - Also group near-identical titles on the same site
+     * @param {string} options.strategy - Keep strategy used to preselect keepId
+     * @returns {Promise<Array>} Groups: {id, type, key, keepId, bookmarks}
+     */
+    async findDuplicates(options = {}) {
+        const bookmarks = await this._collectBookmarks();
+        const groups = this.groupDuplicates(bookmarks, options).map((group) => ({
+            ...group,
+            keepId: this.pickKeeper(group.bookmarks, options.strategy).id,
+        }));
+        console.log(
+            `🔍 Found ${groups.length} duplicate groups in ${bookmarks.length} bookmarks`
+        );
+        return groups;
+    }
+
+    /**
+     * Group bookmarks that share a canonical URL and, optionally, bookmarks on
+     * the same site whose titles are nearly identical
+     * @param {Array} bookmarks - Bookmarks with id, title and url
+     * @param {Object} options - Grouping options
+     * @param {boolean} options.includeTitles - Also group near-identical titles
+     * @param {string} options.strategy - Keep strategy; titles are compared with the copy it keeps
+     * @returns {Array} Groups of two or more: {id, type: "url"|"title", key, bookmarks}
+     */
+    groupDuplicates(bookmarks, options = {}) {
+        const parent = bookmarks.map((_, index) => index);
+        const find = (index) => {
+            let root = index;
+            while (parent[root] !== root) {
+                parent[root] = parent[parent[root]];
+                root = parent[root];
+            }
+            return root;
+        };
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent[rootB] = rootA;
+        };
+
+        const keys = bookmarks.map((bookmark) =>
+            this.canonicalizeUrl(bookmark.url)
+        );
+        const firstByKey = new Map();
+        keys.forEach((key, index) => {
+            if (firstByKey.has(key)) {
+                union(firstByKey.get(key), index);
+            } else {
+                firstByKey.set(key, index);
+            }
+        });
+
+        if (options.includeTitles) {
+            this._unionSimilarTitles(bookmarks, keys, find, union, options.strategy);
+        }
+
+        const groups = new Map();
+        bookmarks.forEach((_, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(index);
+        });
+
+        return [...groups.values()]
+            .filter((members) => members.length > 1)
+            .map((members) => {
+                const memberKeys = new Set(members.map((index) => keys[index]));
+                const type = memberKeys.size === 1 ? "url" : "title";
+                return {
+                    id: `${type}-${bookmarks[members[0]].id}`,
+                    type,
+                    key: keys[members[0]],
+                    bookmarks: members.map((index) => bookmarks[index]),
+                };
+            });
+    }
+
+    /**
+     * Remove every bookmark in each group except the one kept. A group's
+     * keepId wins over the strategy.
+     * @param {Array} groups - Groups from findDuplicates(), optionally with keepId
+     * @param {Object} options - Removal options
+     * @param {string} options.strategy - "oldest", "newest" or "deepest"
+     * @param {boolean} options.skipSnapshot - Caller already took a snapshot
+     * @returns {Promise<Object>} {groups, removed, kept, failed, snapshotId}
+     */
+    async removeDuplicates(groups, options = {}) {
+        if (!groups?.length) {
+            throw new Error("Select at least one duplicate group");
+        }
+        const strategy = options.strategy || "oldest";
+        if (!this.STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown keep strategy: ${strategy}`);
+        }
+
+        let snapshotId = null;
+        if (!options.skipSnapshot) {
+            const removable = groups.reduce(
+                (sum, group) => sum + group.bookmarks.length - 1,
+                0
+            );
+            const snapshot = await this.snapshotManager.createSnapshot(
+                "Before Removing Duplicates",
+                {
+                    operationType: "duplicate_removal",
+                    groupCount: groups.length,
+                    bookmarkCount: removable,
+                    strategy,
+                }
+            );
+            snapshotId = snapshot.id;
+        }
+
+        const result = {
+            groups: groups.length,
+            removed: 0,
+            kept: [],
+            failed: [],
+            snapshotId,
+        };
+
+        await this.journal.startSession("Removed duplicates", {
+            operationType: "duplicate_removal",
+        });
+        try {
+            for (const group of groups) {
+                const keeper =
+                    group.bookmarks.find((bookmark) => bookmark.id === group.keepId) ||
+                    this.pickKeeper(group.bookmarks, strategy);
+                result.kept.push(keeper.id);
+
+                for (const bookmark of group.bookmarks) {
+                    if (bookmark.id === keeper.id) continue;
+                    try {
+                        await this.journal.remove(bookmark.id);
+                        result.removed++;
+                    } catch (_error) {
+                        console.error(
+                            `Failed to remove duplicate ${bookmark.id}:`,
+                            _error
+                        );
+                        result.failed.push({
+                            id: bookmark.id,
+                            title: bookmark.title,
+                            error: _error.message,
+                        });
+                    }
+                }
+            }
+        } finally {
+            await this.journal.endSession();
+        }
+
+        console.log(
+            `🧹 Removed ${result.removed} duplicate bookmarks from ${result.groups} groups (keep ${strategy})`
+        );
+        return result;
+    }
+
+    /**
+     * Choose the copy to keep
+     * @param {Array} bookmarks - Bookmarks in one group
+     * @param {string} strategy - "oldest", "newest" or "deepest" (deepest folder, then oldest)
+     * @returns {Object} Bookmark to keep
+     */
+    pickKeeper(bookmarks, strategy) {
+        return [...bookmarks].sort(this._keeperComparator(strategy))[0];
+    }
+
+    /**
+     * Sort order that puts the copy to keep first
+     * @param {string} strategy - Keep strategy, see pickKeeper()
+     * @returns {Function} Comparator for bookmarks
+     */
+    _keeperComparator(strategy) {
+        const added = (bookmark) => bookmark.dateAdded || 0;
+        const compare = {
+            oldest: (a, b) => added(a) - added(b),
+            newest: (a, b) => added(b) - added(a),
+            deepest: (a, b) => (b.depth || 0) - (a.depth || 0) || added(a) - added(b),
+        }[strategy || "oldest"];
+        if (!compare) {
+            throw new Error(`Unknown keep strategy: ${strategy}`);
+        }
+        return (a, b) => compare(a, b) || Number(a.id) - Number(b.id);
+    }
+
+    /**
+     * Canonical form of a URL used to detect duplicates. Ignores the scheme,
+     * "www." and mobile subdomains, AMP variants, trailing slashes, fragments,
+     * tracking parameters and query parameter order. Hash routes ("#/inbox",
+     * "#!/inbox") are kept because they name different pages of an app.
+     * @param {string} url - Bookmark URL
+     * @returns {string} Canonical URL, or the URL itself when it cannot be parsed
+     */
+    canonicalizeUrl(url) {
+        try {
+            const parsed = this._unwrapAmpCache(new URL(`${url}`.trim()));
+            if (!/^https?:$/.test(parsed.protocol)) {
+                return parsed.href;
+            }
+
+            let host = parsed.hostname.toLowerCase().replace(/^www\d*\./, "");
+            const withoutMobile = host.replace(/(^|\.)(m|mobile|amp)\./, "$1");
+            if (withoutMobile.includes(".")) host = withoutMobile;
+            const port = parsed.port ? `:${parsed.port}` : "";
+
+            const path = parsed.pathname
+                .replace(/^\/amp(?=\/)/, "")
+                .replace(/\/amp\/?$/, "")
+                .replace(/\/+$/, "");
+
+            const params = [...parsed.searchParams.entries()]
+                .filter(([key, value]) => {
+                    const name = key.toLowerCase();
+                    if (name === "outputtype") return value !== "amp";
+                    return !name.startsWith("utm_") && !this.IGNORED_PARAMS.has(name);
+                })
+                .sort(([a], [b]) => a.localeCompare(b));
+            const search = params.length
+                ? `?${new URLSearchParams(params).toString()}`
+                : "";
+
+            const route = /^#[/!]/.test(parsed.hash)
+                ? parsed.hash.replace(/\/+$/, "")
+                : "";
+
+            return `${host}${port}${path}${search}${route}`;
+        } catch (_error) {
+            return `${url}`.trim();
+        }
+    }
+
+    /**
+     * Point Google AMP cache links at the page they wrap
+     * @param {URL} parsed - Parsed URL
+     * @returns {URL} Original page URL, or the input
+     */
+    _unwrapAmpCache(parsed) {
+        const host = parsed.hostname.toLowerCase();
+        const match =
+            (/^(www\.)?google\.[a-z.]+$/.test(host) &&
+                parsed.pathname.match(/^\/amp\/s\/(.+)$/)) ||
+            (host.endsWith(".cdn.ampproject.org") &&
+                parsed.pathname.match(/^\/[cv]\/s\/(.+)$/));
+
+        if (!match) return parsed;
+        try {
+            return new URL(`https://${match[1]}${parsed.search}`);
+        } catch (_error) {
+            return parsed;
+        }
+    }
+
+    /**
+     * Join bookmarks on the same site whose titles share nearly every word.
+     * Each URL group takes part through the copy it keeps, and each title group
+     * is built around the copy it will keep: candidates are compared with that
+     * copy only, so similar titles never chain into unrelated pages.
+     * @param {Array} bookmarks - Bookmarks
+     * @param {Array<string>} keys - Canonical URL of each bookmark
+     * @param {Function} find - Root of a bookmark index's URL group
+     * @param {Function} union - Joins two bookmark indexes
+     * @param {string} strategy - Keep strategy, see pickKeeper()
+     */
+    _unionSimilarTitles(bookmarks, keys, find, union, strategy) {
+        const urlGroups = new Map();
+        bookmarks.forEach((_, index) => {
+            const root = find(index);
+            if (!urlGroups.has(root)) urlGroups.set(root, []);
+            urlGroups.get(root).push(index);
+        });
+
+        const bySite = new Map();
+        for (const members of urlGroups.values()) {
+            const keeper = this.pickKeeper(
+                members.map((index) => bookmarks[index]),
+                strategy
+            );
+            const index = members.find((member) => bookmarks[member] === keeper);
+            const words = this._titleWords(keeper.title);
+            if (words.length < this.MIN_TITLE_WORDS) continue;
+
+            const site = keys[index].split("/")[0];
+            if (!bySite.has(site)) bySite.set(site, []);
+            bySite.get(site).push({
+                index,
+                bookmark: keeper,
+                words: new Set(words),
+                numbers: words.filter((word) => /\d/.test(word)).join(" "),
+            });
+        }
+
+        // Ranked like pickKeeper() so the first copy of a group is the one kept
+        const compare = this._keeperComparator(strategy);
+        for (const entries of bySite.values()) {
+            entries.sort((a, b) => compare(a.bookmark, b.bookmark));
+            const anchors = [];
+            for (const entry of entries) {
+                const anchor = anchors.find((candidate) =>
+                    this._isSimilarTitle(candidate, entry)
+                );
+                if (anchor) {
+                    union(anchor.index, entry.index);
+                } else {
+                    anchors.push(entry);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check whether two titles are near-identical: about the same length,
+     * nearly all words shared and the same numbers ("Part 1" never matches
+     * "Part 2")
+     * @param {Object} a - {words: Set, numbers}
+     * @param {Object} b - {words: Set, numbers}
+     * @returns {boolean} True when similar
+     */
+    _isSimilarTitle(a, b) {
+        if (a.numbers !== b.numbers) return false;
+
+        const shorter = Math.min(a.words.size, b.words.size);
+        const longer = Math.max(a.words.size, b.words.size);
+        if (shorter / longer < this.MIN_TITLE_LENGTH_RATIO) return false;
+
+        const shared = [...a.words].filter((word) => b.words.has(word)).length;
+        const union = a.words.size + b.words.size - shared;
+        return shared / union >= this.TITLE_SIMILARITY_THRESHOLD;
+    }
+
+    /**
+     * Split a title into lowercase words. Hyphenated names stay one word so
+     * "react-native" is not read as "react" plus an extra word.
+     * @param {string} title - Bookmark title
+     * @returns {Array<string>} Words
+     */
+    _titleWords(title) {
+        return `${title || ""}`
+            .toLowerCase()
+            .split(/[^a-z0-9-]+/)
+            .map((word) => word.replace(/^-+|-+$/g, ""))
+            .filter((word) => word);
+    }
+
+    /**
+     * List every bookmark with its folder path and depth
+     * @returns {Promise<Array>} Bookmarks: {id, title, url, parentId, dateAdded, folderPath, depth}
+     */
+    async _collectBookmarks() {
+        const [root] = await chrome.bookmarks.getTree();
+        const bookmarks = [];
+
+        const walk = (node, segments) => {
+            for (const child of node.children || []) {
+                if (child.url) {
+                    bookmarks.push({
+                        id: child.id,
+                        title: child.title || child.url,
+                        url: child.url,
+                        parentId: child.parentId,
+                        dateAdded: child.dateAdded,
+                        folderPath: segments.join(" > "),
+                        depth: segments.length,
+                    });
+                } else {
+                    walk(child, [...segments, child.title]);
+                }
+            }
+        };
+
+        if (root) walk(root, []);
+        return bookmarks;
+    }
+}
@@ -1,3 +1,4 @@
+import { OperationJournal } from './operationJournal.js';
 /**
  * BookmarkMind - Folder Consolidator
  * Consolidates bookmarks from sparse folders (less than 3 bookmarks) to parent folders
@@ -7,6 +8,9 @@ export class FolderConsolidator {
   constructor() {
     this.minBookmarksThreshold = 3; // Minimum bookmarks required to keep a folder
     this.analyticsService = typeof AnalyticsService !== 'undefined' ? new AnalyticsService() : null;
+    this.journal = new OperationJournal('Consolidated sparse folders', {
+      operationType: 'consolidation'
+    });
     this.consolidationResults = {
       foldersProcessed: 0,
       bookmarksMoved: 0,
@@ -30,6 +34,9 @@ export class FolderConsolidator {
       consolidationPaths: []
     };
 
+    await this.journal.startSession('Consolidated sparse folders', {
+      operationType: 'consolidation'
+    });
     try {
       // Get all bookmark folders from main locations
       const rootFolders = ['1', '2']; // Bookmarks Bar and Other Bookmarks
@@ -52,6 +59,8 @@ export class FolderConsolidator {
     } catch (_error) {
       console.error('❌ _error during folder consolidation:', _error);
       throw new Error(`Folder consolidation failed: ${_error.message}`);
+    } finally {
+      await this.journal.endSession();
     }
   }
 
@@ -146,13 +155,13 @@ export class FolderConsolidator {
           console.warn('Failed to set AI metadata:', metadataError);
         }
 
-        await chrome.bookmarks.move(bookmark.id, { parentId: parentId });
+        await this.journal.move(bookmark.id, { parentId: parentId });
         console.log(`   ✅ Moved bookmark: "${bookmark.title}"`);
         this.consolidationResults.bookmarksMoved++;
       }
 
       // Remove the now-empty folder
-      await chrome.bookmarks.remove(folderId);
+      await this.journal.remove(folderId);
       console.log(`   🗑️ Removed empty folder: "${folderTitle}"`);
 
       this.consolidationResults.foldersRemoved++;
@@ -176,7 +185,7 @@ export class FolderConsolidator {
    */
   async _removeEmptyFolder(folderId, folderTitle) {
     try {
-      await chrome.bookmarks.remove(folderId);
+      await this.journal.remove(folderId);
       console.log(`🗑️ Removed empty folder: "${folderTitle}"`);
 
       this.consolidationResults.foldersRemoved++;
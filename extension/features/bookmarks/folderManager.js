@@ -1,3 +1,4 @@
+import { OperationJournal } from './operationJournal.js';
 /**
  * BookmarkMind - Folder Manager
  * Handles folder operations and bookmark organization
@@ -6,6 +7,7 @@
 export class FolderManager {
   constructor() {
     this.folderCache = new Map();
+    this.journal = new OperationJournal('Organized folders');
   }
 
   /**
@@ -87,7 +89,7 @@ export class FolderManager {
    */
   async _createFolder(title, parentId) {
     try {
-      const folder = await chrome.bookmarks.create({
+      const folder = await this.journal.create({
         parentId: parentId,
         title: title
       });
@@ -111,6 +113,7 @@ export class FolderManager {
       errorDetails: []
     };
 
+    await this.journal.startSession('Moved bookmarks to folders');
     for (const move of moves) {
       try {
         // Mark bookmark with AI metadata to prevent learning from AI moves
@@ -123,7 +126,7 @@ export class FolderManager {
           console.warn('Failed to set AI metadata:', metadataError);
         }
 
-        await chrome.bookmarks.move(move.bookmarkId, {
+        await this.journal.move(move.bookmarkId, {
           parentId: move.folderId
         });
         results.success++;
@@ -136,6 +139,7 @@ export class FolderManager {
         });
       }
     }
+    await this.journal.endSession();
 
     return results;
   }
@@ -193,11 +197,16 @@ export class FolderManager {
   async cleanupEmptyFolders(rootId = '1') {
     let removedCount = 0;
 
+    await this.journal.startSession('Removed empty folders', {
+      operationType: 'cleanup'
+    });
     try {
       const tree = await this.getFolderStructure(rootId);
       removedCount = await this._removeEmptyFolders(tree);
     } catch (_error) {
       console.error('_error cleaning up empty folders:', _error);
+    } finally {
+      await this.journal.endSession();
     }
 
     return removedCount;
@@ -223,7 +232,7 @@ export class FolderManager {
       folderTree.id !== '1'
     ) {
       try {
-        await chrome.bookmarks.remove(folderTree.id);
+        await this.journal.remove(folderTree.id);
         console.log(`Removed empty folder: ${folderTree.title}`);
         removedCount++;
       } catch (_error) {
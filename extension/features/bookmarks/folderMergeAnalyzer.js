@@ -0,0 +1,482 @@
+import { SnapshotManager } from "./snapshotManager.js";
+import { OperationJournal } from "./operationJournal.js";
+/**
+ * BookmarkMind - Folder Merge Analyzer
+ * Finds near-duplicate folders ("Dev Tools", "Developer Tools", "Tools > Dev")
+ * and merges them into one, taking a snapshot first so the merge can be undone.
+ */
+
+export class FolderMergeAnalyzer {
+    /**
+     * @param {Object} aiProcessor - Configured AIProcessor, used for name
+     *   normalization and AI suggestions (optional)
+     */
+    constructor(aiProcessor = null) {
+        this.aiProcessor = aiProcessor;
+        this.snapshotManager = new SnapshotManager();
+        this.journal = new OperationJournal("Merged similar folders", {
+            operationType: "folder_merge",
+        });
+        this.ROOT_IDS = ["1", "2"]; // Bookmarks Bar and Other Bookmarks
+        this.SIMILARITY_THRESHOLD = 0.85;
+        this.STOP_WORDS = new Set([
+            "a",
+            "an",
+            "and",
+            "the",
+            "of",
+            "for",
+            "my",
+            "misc",
+            "stuff",
+            "things",
+        ]);
+        // Spellings that name the same thing once plurals are stripped
+        this.SYNONYMS = {
+            developer: "dev",
+            development: "dev",
+            doc: "docs",
+            documentation: "docs",
+            application: "app",
+            utility: "util",
+            utilitie: "util",
+            reference: "ref",
+            tutorial: "tut",
+            photo: "pic",
+            picture: "pic",
+            image: "pic",
+            video: "vid",
+        };
+    }
+
+    /**
+     * Find groups of similar folders and propose merging each group into its
+     * largest folder
+     * @param {Object} options - Analysis options
+     * @param {boolean} options.useAI - Ask the AI which folders overlap instead of comparing names
+     * @returns {Promise<Array>} Proposals: {id, method, score, target, sources}
+     */
+    async analyze(options = {}) {
+        const folders = await this._collectFolders();
+        if (folders.length < 2) return [];
+
+        let groups = null;
+        if (options.useAI && this.aiProcessor?.hasConfiguredProvider()) {
+            try {
+                groups = await this._groupWithAI(folders);
+            } catch (_error) {
+                console.warn(
+                    "AI folder comparison failed, comparing names instead:",
+                    _error.message
+                );
+            }
+        }
+        const method = groups ? "ai" : "name";
+        groups = groups || this._groupByName(folders);
+
+        const proposals = groups
+            .map((group) => this._buildProposal(group, method))
+            .filter((proposal) => proposal);
+
+        console.log(
+            `🔀 Found ${proposals.length} folder merge proposals (${method})`
+        );
+        return proposals;
+    }
+
+    /**
+     * Merge each proposal's source folders into its target folder. Subfolders
+     * with the same name are merged recursively; emptied folders are removed.
+     * @param {Array} proposals - Proposals from analyze()
+     * @param {Function} onMarkAsAIMoved - Called with each moved bookmark or
+     *   folder ID so the move is not learned as a user correction
+     * @returns {Promise<Object>} {merged, bookmarksMoved, foldersRemoved, failed, snapshotId}
+     */
+    async applyMerges(proposals, onMarkAsAIMoved = null) {
+        if (!proposals?.length) {
+            throw new Error("Select at least one merge");
+        }
+
+        const sourceCount = proposals.reduce(
+            (sum, proposal) => sum + proposal.sources.length,
+            0
+        );
+        const snapshot = await this.snapshotManager.createSnapshot(
+            "Before Merging Similar Folders",
+            {
+                operationType: "folder_merge",
+                mergeCount: proposals.length,
+                folderCount: sourceCount,
+            }
+        );
+
+        const result = {
+            merged: 0,
+            bookmarksMoved: 0,
+            foldersRemoved: 0,
+            failed: [],
+            snapshotId: snapshot.id,
+        };
+
+        await this.journal.startSession("Merged similar folders", {
+            operationType: "folder_merge",
+        });
+        try {
+            for (const proposal of proposals) {
+                for (const source of proposal.sources) {
+                    try {
+                        const moved = await this._mergeInto(
+                            source.id,
+                            proposal.target.id,
+                            onMarkAsAIMoved
+                        );
+                        result.bookmarksMoved += moved.bookmarks;
+                        result.foldersRemoved += moved.folders;
+                    } catch (_error) {
+                        console.error(
+                            `❌ Failed to merge "${source.path}" into "${proposal.target.path}":`,
+                            _error
+                        );
+                        result.failed.push({
+                            path: source.path,
+                            target: proposal.target.path,
+                            error: _error.message,
+                        });
+                    }
+                }
+                result.merged++;
+            }
+        } finally {
+            await this.journal.endSession();
+        }
+
+        console.log(
+            `🔀 Merged ${result.foldersRemoved} folders, moved ${result.bookmarksMoved} bookmarks`
+        );
+        return result;
+    }
+
+    /**
+     * Merge similar folders after categorization when the user turned on
+     * mergeSimilarFolders. Existing folders are left alone while
+     * preserveExistingFolders is on.
+     * @param {Object} settings - bookmarkMindSettings
+     * @param {Function} onMarkAsAIMoved - Optional callback for moved bookmarks
+     * @returns {Promise<Object|null>} Merge result, or null when nothing ran
+     */
+    async autoMerge(settings, onMarkAsAIMoved = null) {
+        if (settings?.mergeSimilarFolders !== true) return null;
+        if (settings.preserveExistingFolders !== false) {
+            console.log(
+                "🔀 Skipping automatic folder merge: existing folders are preserved"
+            );
+            return null;
+        }
+
+        const proposals = await this.analyze();
+        if (proposals.length === 0) return null;
+        return await this.applyMerges(proposals, onMarkAsAIMoved);
+    }
+
+    /**
+     * Compare normalized folder paths and group folders that name the same
+     * thing. Each group is built around the folder it would be merged into,
+     * and only folders similar to that target join it, so "A" ~ "B" and
+     * "B" ~ "C" never pull an unrelated "C" into "A".
+     * @param {Array} folders - Folders from _collectFolders()
+     * @returns {Array<Array>} Groups of two or more folders, target first
+     */
+    _groupByName(folders) {
+        const ranked = [...folders].sort(this._compareTargets);
+        const grouped = new Set();
+        const groups = [];
+
+        for (const target of ranked) {
+            if (grouped.has(target.id)) continue;
+
+            const group = [{ ...target, score: null }];
+            for (const candidate of ranked) {
+                if (
+                    candidate === target ||
+                    grouped.has(candidate.id) ||
+                    this._isRelated(candidate, target)
+                ) {
+                    continue;
+                }
+                const score = this.similarity(target.key, candidate.key);
+                if (score >= this.SIMILARITY_THRESHOLD) {
+                    group.push({ ...candidate, score });
+                }
+            }
+
+            if (group.length > 1) {
+                group.forEach((folder) => grouped.add(folder.id));
+                groups.push(group);
+            }
+        }
+        return groups;
+    }
+
+    /**
+     * Ask the AI which folders hold the same kind of bookmarks
+     * @param {Array} folders - Folders from _collectFolders()
+     * @returns {Promise<Array<Array>>} Groups of two or more folders
+     */
+    async _groupWithAI(folders) {
+        const byPath = new Map(
+            folders.map((folder) => [folder.path.toLowerCase(), folder])
+        );
+        const suggestions = await this.aiProcessor.suggestFolderMerges(
+            folders.map((folder) => folder.path)
+        );
+
+        return suggestions
+            .map((paths) =>
+                [...new Set(paths.map((path) => `${path}`.trim().toLowerCase()))]
+                    .map((path) => byPath.get(path))
+                    .filter((folder) => folder)
+                    .map((folder) => ({ ...folder, score: null }))
+            )
+            .filter((group) => group.length > 1);
+    }
+
+    /**
+     * Turn a group into a proposal. The folder holding the most bookmarks is
+     * kept; ties go to the shallower, older folder.
+     * @param {Array} group - Similar folders
+     * @param {string} method - "name" or "ai"
+     * @returns {Object|null} Proposal, or null when nothing can be merged
+     */
+    _buildProposal(group, method) {
+        const [target, ...rest] = [...group].sort(this._compareTargets);
+        // A folder cannot be merged into its own parent or child
+        const related = rest.filter((folder) => !this._isRelated(folder, target));
+        // A source inside another source moves with it; merging it on its own
+        // would touch a folder that was already moved or removed
+        const sources = related.filter(
+            (folder) =>
+                !related.some((other) => folder.ancestorIds.includes(other.id))
+        );
+        if (sources.length === 0) return null;
+
+        const describe = (folder) => ({
+            id: folder.id,
+            path: folder.path,
+            bookmarkCount: folder.bookmarkCount,
+        });
+        const scores = [target, ...sources]
+            .map((folder) => folder.score)
+            .filter((score) => typeof score === "number");
+
+        return {
+            id: `merge-${target.id}`,
+            method,
+            score: scores.length > 0 ? Math.min(...scores) : null,
+            target: describe(target),
+            sources: sources.map(describe),
+        };
+    }
+
+    /**
+     * Order folders by how suitable they are as a merge target: most
+     * bookmarks, then shallowest, then oldest
+     * @param {Object} a - Folder
+     * @param {Object} b - Folder
+     * @returns {number} Sort order
+     */
+    _compareTargets(a, b) {
+        return (
+            b.bookmarkCount - a.bookmarkCount ||
+            a.depth - b.depth ||
+            Number(a.id) - Number(b.id)
+        );
+    }
+
+    /**
+     * Move a folder's contents into another folder and remove it
+     * @param {string} sourceId - Folder to empty
+     * @param {string} targetId - Folder to keep
+     * @param {Function} onMarkAsAIMoved - Optional callback for moved bookmarks
+     * @returns {Promise<Object>} {bookmarks, folders} moved and removed counts
+     */
+    async _mergeInto(sourceId, targetId, onMarkAsAIMoved) {
+        const counts = { bookmarks: 0, folders: 0 };
+        const [children, targetChildren] = await Promise.all([
+            chrome.bookmarks.getChildren(sourceId),
+            chrome.bookmarks.getChildren(targetId),
+        ]);
+
+        for (const child of children) {
+            const twin = child.url
+                ? null
+                : targetChildren.find(
+                      (item) =>
+                          !item.url &&
+                          item.title.toLowerCase() === child.title.toLowerCase()
+                  );
+
+            if (twin) {
+                const moved = await this._mergeInto(
+                    child.id,
+                    twin.id,
+                    onMarkAsAIMoved
+                );
+                counts.bookmarks += moved.bookmarks;
+                counts.folders += moved.folders;
+                continue;
+            }
+
+            // Subfolders are marked too; moving them must not look like a user move
+            onMarkAsAIMoved?.(child.id);
+            if (child.url) {
+                counts.bookmarks++;
+            }
+            await this.journal.move(child.id, { parentId: targetId });
+        }
+
+        const remaining = await chrome.bookmarks.getChildren(sourceId);
+        if (remaining.length === 0) {
+            await this.journal.remove(sourceId);
+            counts.folders++;
+        }
+        return counts;
+    }
+
+    /**
+     * List every folder below the root folders with its path and comparison key
+     * @returns {Promise<Array>} Folders: {id, title, path, depth, bookmarkCount, ancestorIds, key}
+     */
+    async _collectFolders() {
+        const folders = [];
+
+        const walk = (node, segments, ancestorIds) => {
+            let bookmarkCount = 0;
+            for (const child of node.children || []) {
+                if (child.url) {
+                    bookmarkCount++;
+                    continue;
+                }
+
+                const path = [...segments, child.title];
+                const folder = {
+                    id: child.id,
+                    title: child.title,
+                    path: path.join(" > "),
+                    depth: path.length,
+                    ancestorIds,
+                    key: this.folderKey(path),
+                    bookmarkCount: 0,
+                };
+                folders.push(folder);
+                folder.bookmarkCount = walk(child, path, [
+                    ...ancestorIds,
+                    child.id,
+                ]);
+                bookmarkCount += folder.bookmarkCount;
+            }
+            return bookmarkCount;
+        };
+
+        for (const rootId of this.ROOT_IDS) {
+            try {
+                const [root] = await chrome.bookmarks.getSubTree(rootId);
+                if (root) walk(root, [], []);
+            } catch (_error) {
+                console.warn(`Could not read folder ${rootId}:`, _error.message);
+            }
+        }
+
+        return folders.filter((folder) => folder.key);
+    }
+
+    /**
+     * Build a comparison key from a folder path: words from every segment,
+     * normalized, singular, with synonyms folded and stop words dropped, sorted
+     * so "Tools > Dev" and "Developer Tools" share the key "dev tool"
+     * @param {Array<string>} segments - Folder path segments
+     * @returns {string} Key
+     */
+    folderKey(segments) {
+        const words = segments.flatMap((segment) => {
+            const name = this.aiProcessor?.normalizeFolderName
+                ? this.aiProcessor.normalizeFolderName(segment)
+                : segment;
+            return `${name}`
+                .toLowerCase()
+                .replace(/[&+]/g, " and ")
+                .split(/[^a-z0-9]+/);
+        });
+
+        const tokens = words
+            .filter((word) => word && !this.STOP_WORDS.has(word))
+            .map((word) => {
+                const singular =
+                    word.length > 3 && /[^su]s$/.test(word)
+                        ? word.slice(0, -1)
+                        : word;
+                return this.SYNONYMS[singular] || singular;
+            });
+
+        return [...new Set(tokens)].sort().join(" ");
+    }
+
+    /**
+     * Score how alike two folder keys are, from 0 to 1: the better of word
+     * overlap and spelling distance, so typos like "Recipies" still match
+     * @param {string} a - First key
+     * @param {string} b - Second key
+     * @returns {number} Similarity
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+
+        const wordsA = new Set(a.split(" "));
+        const wordsB = new Set(b.split(" "));
+        const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+        const overlap = shared / (wordsA.size + wordsB.size - shared);
+
+        const longest = Math.max(a.length, b.length);
+        // Spelling distance cannot reach the threshold past this length gap
+        if (
+            longest < 4 ||
+            Math.abs(a.length - b.length) >
+                longest * (1 - this.SIMILARITY_THRESHOLD)
+        ) {
+            return overlap;
+        }
+
+        return Math.max(overlap, 1 - this._editDistance(a, b) / longest);
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Edit distance
+     */
+    _editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Check whether one folder contains the other
+     * @param {Object} a - Folder
+     * @param {Object} b - Folder
+     * @returns {boolean} True for ancestor and descendant pairs
+     */
+    _isRelated(a, b) {
+        return a.ancestorIds.includes(b.id) || b.ancestorIds.includes(a.id);
+    }
+}
@@ -0,0 +1,596 @@
+/**
+ * BookmarkMind - Operation Journal
+ * Records every move, create, update and delete the extension makes, grouped
+ * into sessions, so one session or one bookmark can be undone in place without
+ * rebuilding the whole tree the way a snapshot restore does
+ */
+
+// Storage updates from every journal in this context go through one chain so
+// two sessions flushing at once cannot overwrite each other's index changes
+let writeChain = Promise.resolve();
+
+export class OperationJournal {
+    /**
+     * @param {string} label - Session label used when a change is recorded
+     *   before startSession() was called
+     * @param {Object} metadata - Session metadata for that fallback session
+     */
+    constructor(label = "Bookmark changes", metadata = {}) {
+        this.label = label;
+        this.metadata = metadata;
+        this.sessionId = null;
+        this.depth = 0;
+        this.isFallbackSession = false;
+        this.pending = [];
+        this.INDEX_KEY = "operationJournal";
+        this.SESSION_KEY_PREFIX = "operationJournal_";
+        this.MAX_SESSIONS = 50;
+        // Entries are written in chunks; categorization moves hundreds of bookmarks
+        this.FLUSH_EVERY = 25;
+    }
+
+    /**
+     * Start a session. Calls nest: while a session is open, starting another
+     * joins it, and only the outermost endSession() closes it.
+     * @param {string} label - Description shown in the history
+     * @param {Object} metadata - Extra details such as operationType
+     * @returns {Promise<string>} Session ID
+     */
+    async startSession(label = this.label, metadata = this.metadata) {
+        if (this.sessionId) {
+            this.depth++;
+            return this.sessionId;
+        }
+
+        const session = {
+            id: `journal_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+            label,
+            operationType: metadata.operationType || null,
+            startedAt: Date.now(),
+            endedAt: null,
+            undoneAt: null,
+            entryCount: 0,
+            undoneCount: 0,
+        };
+        this.sessionId = session.id;
+        this.depth = 1;
+        this.isFallbackSession = false;
+
+        try {
+            await this._update(async (index) => {
+                index.unshift(session);
+                const dropped = index.splice(this.MAX_SESSIONS);
+                if (dropped.length > 0) {
+                    await chrome.storage.local.remove(
+                        dropped.map((old) => this._sessionKey(old.id))
+                    );
+                }
+            });
+        } catch (_error) {
+            console.warn("Failed to start journal session:", _error);
+        }
+        return session.id;
+    }
+
+    /**
+     * Continue a session started by another journal instance, e.g. after the
+     * service worker restarted in the middle of a categorization run
+     * @param {string} sessionId - Session to continue
+     */
+    resumeSession(sessionId) {
+        this.sessionId = sessionId || null;
+        this.depth = sessionId ? 1 : 0;
+        this.isFallbackSession = false;
+    }
+
+    /**
+     * Close the current session once the outermost caller is done. Sessions
+     * that changed nothing are dropped from the history.
+     */
+    async endSession() {
+        if (!this.sessionId) return;
+        this.depth--;
+        if (this.depth > 0) return;
+
+        const sessionId = this.sessionId;
+        await this.flush();
+        this.sessionId = null;
+        try {
+            await this._update(async (index) => {
+                const position = index.findIndex((entry) => entry.id === sessionId);
+                if (position === -1) return;
+                if (index[position].entryCount === 0) {
+                    index.splice(position, 1);
+                } else {
+                    index[position].endedAt = Date.now();
+                }
+            });
+        } catch (_error) {
+            console.warn("Failed to close journal session:", _error);
+        }
+    }
+
+    /**
+     * Move a bookmark or folder and record where it came from
+     * @param {string} id - Bookmark or folder ID
+     * @param {Object} destination - {parentId, index}
+     * @returns {Promise<Object>} Moved node
+     */
+    async move(id, destination) {
+        const before = await this._getNode(id);
+        const moved = await chrome.bookmarks.move(id, destination);
+        await this._record({
+            type: "move",
+            bookmarkId: id,
+            title: before?.title ?? moved?.title ?? "",
+            url: before?.url || null,
+            from: before
+                ? { parentId: before.parentId, index: before.index }
+                : null,
+            to: {
+                parentId: moved?.parentId ?? destination.parentId,
+                index: moved?.index ?? destination.index ?? null,
+            },
+        });
+        return moved;
+    }
+
+    /**
+     * Create a bookmark or folder and record it
+     * @param {Object} details - chrome.bookmarks.create details
+     * @returns {Promise<Object>} Created node
+     */
+    async create(details) {
+        const created = await chrome.bookmarks.create(details);
+        await this._record({
+            type: "create",
+            bookmarkId: created?.id,
+            title: details.title || "",
+            url: details.url || null,
+            to: {
+                parentId: created?.parentId ?? details.parentId,
+                index: created?.index ?? null,
+            },
+        });
+        return created;
+    }
+
+    /**
+     * Change a bookmark's title or URL and record the previous values
+     * @param {string} id - Bookmark or folder ID
+     * @param {Object} changes - {title, url}
+     * @returns {Promise<Object>} Updated node
+     */
+    async update(id, changes) {
+        const before = await this._getNode(id);
+        const updated = await chrome.bookmarks.update(id, changes);
+        const fields = Object.keys(changes).filter((field) =>
+            ["title", "url"].includes(field)
+        );
+        await this._record({
+            type: "update",
+            bookmarkId: id,
+            title: before?.title ?? changes.title ?? "",
+            url: before?.url || null,
+            from: before
+                ? Object.fromEntries(fields.map((field) => [field, before[field]]))
+                : null,
+            to: Object.fromEntries(
+                fields.map((field) => [field, updated?.[field] ?? changes[field]])
+            ),
+        });
+        return updated;
+    }
+
+    /**
+     * Remove a bookmark or empty folder and record it so it can be recreated
+     * @param {string} id - Bookmark or folder ID
+     */
+    async remove(id) {
+        await this._removeAndRecord(id, () => chrome.bookmarks.remove(id));
+    }
+
+    /**
+     * Remove a folder with everything in it and record the whole subtree
+     * @param {string} id - Folder ID
+     */
+    async removeTree(id) {
+        await this._removeAndRecord(id, () => chrome.bookmarks.removeTree(id));
+    }
+
+    /**
+     * Write recorded entries that are still in memory
+     */
+    async flush() {
+        if (!this.sessionId || this.pending.length === 0) return;
+
+        const sessionId = this.sessionId;
+        const entries = this.pending;
+        this.pending = [];
+        try {
+            await this._update(async (index) => {
+                const key = this._sessionKey(sessionId);
+                const stored = await chrome.storage.local.get(key);
+                const saved = stored?.[key] || [];
+                const firstId = saved.length;
+                entries.forEach((entry, offset) => {
+                    saved.push({ ...entry, id: firstId + offset });
+                });
+                await chrome.storage.local.set({ [key]: saved });
+
+                const session = index.find((entry) => entry.id === sessionId);
+                if (session) session.entryCount = saved.length;
+            });
+        } catch (_error) {
+            console.warn("Failed to write journal entries:", _error);
+        }
+    }
+
+    /**
+     * List sessions, newest first
+     * @returns {Promise<Array>} Session summaries
+     */
+    async getSessions() {
+        return await this._loadIndex();
+    }
+
+    /**
+     * Load one session with its entries
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Object|null>} Session with entries, or null when unknown
+     */
+    async getSession(sessionId) {
+        const session = (await this._loadIndex()).find(
+            (entry) => entry.id === sessionId
+        );
+        if (!session) return null;
+        return { ...session, entries: await this._loadEntries(sessionId) };
+    }
+
+    /**
+     * Undo every change in a session, newest first. Changes that were
+     * overtaken since (the bookmark was moved again, the folder is no longer
+     * empty) are skipped, not forced.
+     * @param {string} sessionId - Session ID
+     * @param {Function} onMarkAsAIMoved - Called with each ID the undo moves or
+     *   recreates so it is not learned as a user correction
+     * @returns {Promise<Object>} {undone, skipped, failed}
+     */
+    async undoSession(sessionId, onMarkAsAIMoved = null) {
+        return await this._undo(sessionId, () => true, onMarkAsAIMoved);
+    }
+
+    /**
+     * Undo one bookmark's changes in a session, leaving everything else alone
+     * @param {string} sessionId - Session ID
+     * @param {string} bookmarkId - Bookmark ID as recorded in the session
+     * @param {Function} onMarkAsAIMoved - Optional callback, see undoSession()
+     * @returns {Promise<Object>} {undone, skipped, failed}
+     */
+    async undoBookmark(sessionId, bookmarkId, onMarkAsAIMoved = null) {
+        return await this._undo(
+            sessionId,
+            (entry) => entry.bookmarkId === bookmarkId,
+            onMarkAsAIMoved
+        );
+    }
+
+    /**
+     * Delete the whole history
+     */
+    async clear() {
+        await this._update(async (index) => {
+            await chrome.storage.local.remove(
+                index.map((session) => this._sessionKey(session.id))
+            );
+            index.splice(0);
+        });
+    }
+
+    /**
+     * Undo the matching entries of a session, newest first
+     * @param {string} sessionId - Session ID
+     * @param {Function} matches - Picks the entries to undo
+     * @param {Function} onMarkAsAIMoved - Optional callback for moved IDs
+     * @returns {Promise<Object>} {undone, skipped, failed}
+     */
+    async _undo(sessionId, matches, onMarkAsAIMoved) {
+        // Open sessions keep entries in memory until flushed
+        if (sessionId === this.sessionId) await this.flush();
+
+        const entries = await this._loadEntries(sessionId);
+        if (entries.length === 0) {
+            throw new Error("Nothing to undo in this session");
+        }
+
+        // Bookmarks recreated by an earlier undo have new IDs
+        const idMap = new Map();
+        entries.forEach((entry) => {
+            Object.entries(entry.restoredIds || {}).forEach(([oldId, newId]) =>
+                idMap.set(oldId, newId)
+            );
+        });
+
+        const result = { undone: 0, skipped: [], failed: [] };
+        for (const entry of [...entries].reverse()) {
+            if (entry.undone || !matches(entry)) continue;
+            try {
+                const reason = await this._undoEntry(entry, idMap, onMarkAsAIMoved);
+                if (reason) {
+                    result.skipped.push({
+                        entryId: entry.id,
+                        bookmarkId: entry.bookmarkId,
+                        title: entry.title,
+                        reason,
+                    });
+                } else {
+                    entry.undone = true;
+                    result.undone++;
+                }
+            } catch (_error) {
+                console.error(`Failed to undo ${entry.type} of ${entry.bookmarkId}:`, _error);
+                result.failed.push({
+                    entryId: entry.id,
+                    bookmarkId: entry.bookmarkId,
+                    title: entry.title,
+                    error: _error.message,
+                });
+            }
+        }
+
+        await this._update(async (index) => {
+            await chrome.storage.local.set({
+                [this._sessionKey(sessionId)]: entries,
+            });
+            const session = index.find((item) => item.id === sessionId);
+            if (session) {
+                session.undoneCount = entries.filter((entry) => entry.undone).length;
+                if (session.undoneCount === entries.length) {
+                    session.undoneAt = Date.now();
+                }
+            }
+        });
+
+        console.log(
+            `↩️ Undid ${result.undone} changes (${result.skipped.length} skipped, ${result.failed.length} failed)`
+        );
+        return result;
+    }
+
+    /**
+     * Reverse one entry
+     * @param {Object} entry - Journal entry, updated with restoredIds for deletes
+     * @param {Map} idMap - Recorded ID to current ID
+     * @param {Function} onMarkAsAIMoved - Optional callback for moved IDs
+     * @returns {Promise<string|null>} Why the entry was skipped, or null when undone
+     */
+    async _undoEntry(entry, idMap, onMarkAsAIMoved) {
+        const resolve = (id) => idMap.get(id) || id;
+        const id = resolve(entry.bookmarkId);
+
+        if (entry.type === "delete") {
+            if (!entry.node || !entry.from) return "Deleted item was not recorded";
+            const parentId = resolve(entry.from.parentId);
+            if (!(await this._getNode(parentId))) {
+                return "Its folder no longer exists";
+            }
+            const restoredIds = {};
+            await this._recreate(
+                entry.node,
+                parentId,
+                await this._clampIndex(parentId, entry.from.index),
+                restoredIds,
+                onMarkAsAIMoved
+            );
+            Object.entries(restoredIds).forEach(([oldId, newId]) =>
+                idMap.set(oldId, newId)
+            );
+            entry.restoredIds = restoredIds;
+            return null;
+        }
+
+        const node = await this._getNode(id);
+        if (entry.type === "create") {
+            if (!node) return null; // Already gone
+            if (!node.url) {
+                const children = await chrome.bookmarks.getChildren(id);
+                if (children.length > 0) return "Folder is no longer empty";
+            }
+            await chrome.bookmarks.remove(id);
+            return null;
+        }
+
+        if (!node) return "Bookmark no longer exists";
+
+        if (entry.type === "move") {
+            if (!entry.from) return "Original location was not recorded";
+            if (node.parentId !== resolve(entry.to.parentId)) {
+                return "Moved again since";
+            }
+            const parentId = resolve(entry.from.parentId);
+            if (!(await this._getNode(parentId))) {
+                return "Original folder no longer exists";
+            }
+            onMarkAsAIMoved?.(id);
+            await chrome.bookmarks.move(id, {
+                parentId,
+                index: await this._clampIndex(parentId, entry.from.index),
+            });
+            return null;
+        }
+
+        if (entry.type === "update") {
+            if (!entry.from) return "Previous values were not recorded";
+            const changedSince = Object.entries(entry.to).some(
+                ([field, value]) => (node[field] ?? null) !== (value ?? null)
+            );
+            if (changedSince) return "Changed again since";
+            await chrome.bookmarks.update(id, entry.from);
+            return null;
+        }
+
+        return `Unknown change type: ${entry.type}`;
+    }
+
+    /**
+     * Recreate a deleted subtree
+     * @param {Object} node - Recorded node {id, title, url, children}
+     * @param {string} parentId - Folder to create it in
+     * @param {number|undefined} index - Position in the folder
+     * @param {Object} restoredIds - Filled with recorded ID to new ID
+     * @param {Function} onMarkAsAIMoved - Optional callback for recreated IDs
+     */
+    async _recreate(node, parentId, index, restoredIds, onMarkAsAIMoved) {
+        const details = { parentId, title: node.title };
+        if (node.url) details.url = node.url;
+        if (typeof index === "number") details.index = index;
+
+        const created = await chrome.bookmarks.create(details);
+        restoredIds[node.id] = created.id;
+        onMarkAsAIMoved?.(created.id);
+
+        for (const child of node.children || []) {
+            await this._recreate(
+                child,
+                created.id,
+                undefined,
+                restoredIds,
+                onMarkAsAIMoved
+            );
+        }
+    }
+
+    /**
+     * Read a node and its subtree, then remove it and record what was removed
+     * @param {string} id - Bookmark or folder ID
+     * @param {Function} removeFn - Performs the removal
+     */
+    async _removeAndRecord(id, removeFn) {
+        let tree = null;
+        try {
+            [tree] = await chrome.bookmarks.getSubTree(id);
+        } catch (_error) {
+            tree = await this._getNode(id);
+        }
+
+        await removeFn();
+        await this._record({
+            type: "delete",
+            bookmarkId: id,
+            title: tree?.title || "",
+            url: tree?.url || null,
+            from: tree ? { parentId: tree.parentId, index: tree.index } : null,
+            node: tree ? this._serializeNode(tree) : null,
+        });
+    }
+
+    /**
+     * Keep only what is needed to recreate a node
+     * @param {Object} node - Bookmark tree node
+     * @returns {Object} {id, title, url, children}
+     */
+    _serializeNode(node) {
+        const serialized = { id: node.id, title: node.title || "" };
+        if (node.url) serialized.url = node.url;
+        if (node.children) {
+            serialized.children = node.children.map((child) =>
+                this._serializeNode(child)
+            );
+        }
+        return serialized;
+    }
+
+    /**
+     * Queue an entry for the current session, starting the fallback session
+     * when the caller did not start one. A failure here never fails the change.
+     * @param {Object} entry - Entry without id and timestamp
+     */
+    async _record(entry) {
+        try {
+            if (!this.sessionId) {
+                await this.startSession();
+                this.isFallbackSession = true;
+            }
+            this.pending.push({ ...entry, at: Date.now(), undone: false });
+            // Nobody will end a fallback session, so its entries are written now
+            if (this.isFallbackSession || this.pending.length >= this.FLUSH_EVERY) {
+                await this.flush();
+            }
+        } catch (_error) {
+            console.warn("Failed to record journal entry:", _error);
+        }
+    }
+
+    /**
+     * Position to restore a node at, clamped to the folder's current size
+     * @param {string} parentId - Folder ID
+     * @param {number} index - Recorded position
+     * @returns {Promise<number|undefined>} Index, or undefined to append
+     */
+    async _clampIndex(parentId, index) {
+        if (typeof index !== "number") return undefined;
+        try {
+            const children = await chrome.bookmarks.getChildren(parentId);
+            return Math.min(index, children.length);
+        } catch (_error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Read a node, or null when it does not exist
+     * @param {string} id - Bookmark or folder ID
+     * @returns {Promise<Object|null>} Node
+     */
+    async _getNode(id) {
+        try {
+            const [node] = await chrome.bookmarks.get(id);
+            return node || null;
+        } catch (_error) {
+            return null;
+        }
+    }
+
+    /**
+     * Load the session index
+     * @returns {Promise<Array>} Session summaries
+     */
+    async _loadIndex() {
+        const stored = await chrome.storage.local.get(this.INDEX_KEY);
+        return stored?.[this.INDEX_KEY] || [];
+    }
+
+    /**
+     * Load a session's entries
+     * @param {string} sessionId - Session ID
+     * @returns {Promise<Array>} Entries, oldest first
+     */
+    async _loadEntries(sessionId) {
+        const key = this._sessionKey(sessionId);
+        const stored = await chrome.storage.local.get(key);
+        return stored?.[key] || [];
+    }
+
+    /**
+     * Change the session index; updates run one at a time
+     * @param {Function} mutate - Receives the index array to change in place
+     */
+    async _update(mutate) {
+        const run = writeChain.then(async () => {
+            const index = await this._loadIndex();
+            await mutate(index);
+            await chrome.storage.local.set({ [this.INDEX_KEY]: index });
+        });
+        writeChain = run.catch(() => {});
+        await run;
+    }
+
+    /**
+     * Storage key of a session's entries
+     * @param {string} sessionId - Session ID
+     * @returns {string} Key
+     */
+    _sessionKey(sessionId) {
+        return `${this.SESSION_KEY_PREFIX}${sessionId}`;
+    }
+}
@@ -1,6 +1,8 @@
+import { OperationJournal } from "./operationJournal.js";
 /**
  * BookmarkMind - Snapshot Manager
- * Handles versioned snapshots of bookmark state for undo/rollback functionality
+ * Handles versioned snapshots of bookmark state for undo/rollback functionality.
+ * Each snapshot is stored as a delta against a compressed base tree.
  */
 
 export class SnapshotManager {
@@ -9,6 +11,17 @@ export class SnapshotManager {
         this.storageKey = "bookmarkMindSnapshots";
         this.QUOTA_BYTES_LIMIT = 10485760; // 10MB chrome.storage.local limit
         this.SAFE_THRESHOLD = 0.8; // Use only 80% of quota for safety
+        // Snapshots are stored as a compressed full tree (base) plus compressed
+        // deltas against it; the index under storageKey holds only metadata
+        this.BASE_KEY_PREFIX = "bookmarkMindSnapshotBase_";
+        this.DELTA_KEY_PREFIX = "bookmarkMindSnapshotDelta_";
+        // A new base is started once a delta grows past this share of the base
+        this.REBASE_RATIO = 0.5;
+        this.FORMAT_VERSION = "2.0";
+        this.baseCache = new Map();
+        this.journal = new OperationJournal("Restored from snapshot", {
+            operationType: "selective_restore",
+        });
     }
 
     /**
@@ -152,7 +165,8 @@ export class SnapshotManager {
     }
 
     /**
-     * Detect and repair corrupted snapshots
+     * Detect and repair corrupted snapshots. Entries whose stored base or
+     * delta is missing cannot be rebuilt and are dropped as well.
      * @private
      */
     async _detectAndRepairCorruption() {
@@ -175,23 +189,39 @@ export class SnapshotManager {
                 return { repaired: true, removed: "all", reason: "not_array" };
             }
 
+            const index = await this._loadIndex();
+            const stored = await chrome.storage.local.get(
+                index.flatMap((entry) => this._dataKeys(entry))
+            );
+
             const validSnapshots = [];
             const corruptedSnapshots = [];
 
-            for (let i = 0; i < snapshots.length; i++) {
-                const snapshot = snapshots[i];
-                const validation = this._validateSnapshotStructure(snapshot);
+            for (let i = 0; i < index.length; i++) {
+                const entry = index[i];
+                const validation = this._validateSnapshotEntry(entry);
+                if (validation.valid) {
+                    const missing = this._dataKeys(entry).filter(
+                        (key) => !stored?.[key]
+                    );
+                    if (missing.length > 0) {
+                        validation.valid = false;
+                        validation.errors.push(
+                            `Missing stored data: ${missing.join(", ")}`
+                        );
+                    }
+                }
 
                 if (validation.valid) {
-                    validSnapshots.push(snapshot);
+                    validSnapshots.push(entry);
                 } else {
                     console.warn(`🔴 Corrupted snapshot at index ${i}:`, {
-                        id: snapshot?.id || "unknown",
+                        id: entry?.id || "unknown",
                         errors: validation.errors,
                     });
                     corruptedSnapshots.push({
                         index: i,
-                        id: snapshot?.id || "unknown",
+                        id: entry?.id || "unknown",
                         errors: validation.errors,
                     });
                 }
@@ -204,6 +234,10 @@ export class SnapshotManager {
                 await chrome.storage.local.set({
                     [this.storageKey]: validSnapshots,
                 });
+                await this._removeSnapshotData(
+                    index.filter((entry) => !validSnapshots.includes(entry)),
+                    validSnapshots
+                );
 
                 return {
                     repaired: true,
@@ -213,7 +247,7 @@ export class SnapshotManager {
                 };
             }
 
-            console.log(`✅ All ${snapshots.length} snapshots are valid`);
+            console.log(`✅ All ${index.length} snapshots are valid`);
             return { repaired: false, removed: 0 };
         } catch (_error) {
             console.error("Failed to detect/repair corruption:", _error);
@@ -248,13 +282,6 @@ export class SnapshotManager {
 
             await this._detectAndRepairCorruption();
 
-            const storageState = await this._getStorageState();
-            console.log(
-                `📊 Current storage usage: ${storageState.usagePercent}% (${
-                    storageState.totalSizeMB
-                }MB / ${(this.QUOTA_BYTES_LIMIT / (1024 * 1024)).toFixed(2)}MB)`
-            );
-
             const tree = await chrome.bookmarks.getTree();
 
             const snapshot = {
@@ -263,7 +290,7 @@ export class SnapshotManager {
                 description: description,
                 metadata: {
                     ...metadata,
-                    version: "1.0",
+                    version: this.FORMAT_VERSION,
                     createdBy: "BookmarkMind",
                 },
                 bookmarkTree: tree[0],
@@ -278,16 +305,6 @@ export class SnapshotManager {
                 );
             }
 
-            const snapshotSize = new Blob([JSON.stringify(snapshot)]).size;
-            const snapshotSizeMB = (snapshotSize / (1024 * 1024)).toFixed(4);
-            console.log(`📦 Snapshot size: ${snapshotSizeMB}MB`);
-
-            if (snapshotSize > this.QUOTA_BYTES_LIMIT * this.SAFE_THRESHOLD) {
-                console.warn(
-                    `⚠️ Snapshot size (${snapshotSizeMB}MB) exceeds safe threshold, may cause storage issues`
-                );
-            }
-
             await this._saveSnapshot(snapshot);
 
             console.log(`✅ Snapshot created: ${snapshot.id}`);
@@ -309,62 +326,20 @@ export class SnapshotManager {
         try {
             await this._detectAndRepairCorruption();
 
-            const result = await chrome.storage.local.get([this.storageKey]);
-            const snapshots = result[this.storageKey];
+            const snapshots = (await this._loadIndex()).map((entry) => ({
+                id: entry.id,
+                timestamp: entry.timestamp,
+                description: entry.description,
+                metadata: entry.metadata,
+                storedBytes: entry.storedBytes,
+            }));
 
-            if (!snapshots) {
+            if (snapshots.length === 0) {
                 console.log("📭 No snapshots found");
-                return [];
-            }
-
-            if (!Array.isArray(snapshots)) {
-                console.error("🔴 Snapshots data is corrupted (not an array)");
-                await this._logDetailedError(
-                    "getSnapshots",
-                    new Error("Snapshots data is not an array"),
-                    {
-                        snapshotsType: typeof snapshots,
-                        snapshotsValue: JSON.stringify(snapshots).substring(
-                            0,
-                            500
-                        ),
-                    }
-                );
-                await chrome.storage.local.set({ [this.storageKey]: [] });
-                return [];
-            }
-
-            const validSnapshots = snapshots
-                .filter((snapshot) => {
-                    const validation =
-                        this._validateSnapshotStructure(snapshot);
-                    if (!validation.valid) {
-                        console.warn(
-                            "⚠️ Filtering out invalid snapshot:",
-                            snapshot?.id,
-                            validation.errors
-                        );
-                        return false;
-                    }
-                    return true;
-                })
-                .map((snapshot) => ({
-                    id: snapshot.id,
-                    timestamp: snapshot.timestamp,
-                    description: snapshot.description,
-                    metadata: snapshot.metadata,
-                }));
-
-            if (validSnapshots.length !== snapshots.length) {
-                console.warn(
-                    `⚠️ Filtered ${
-                        snapshots.length - validSnapshots.length
-                    } invalid snapshots`
-                );
+            } else {
+                console.log(`📦 Loaded ${snapshots.length} valid snapshots`);
             }
-
-            console.log(`📦 Loaded ${validSnapshots.length} valid snapshots`);
-            return validSnapshots;
+            return snapshots;
         } catch (_error) {
             await this._logDetailedError("getSnapshots", _error);
             console.error(
@@ -375,7 +350,7 @@ export class SnapshotManager {
     }
 
     /**
-     * Get a specific snapshot by ID with validation
+     * Get a specific snapshot by ID, rebuilt from its base and delta
      * @param {string} snapshotId - Snapshot ID
      * @returns {Promise<Object|null>} Snapshot object or null if not found
      */
@@ -387,21 +362,23 @@ export class SnapshotManager {
 
             await this._detectAndRepairCorruption();
 
-            const result = await chrome.storage.local.get([this.storageKey]);
-            const snapshots = result[this.storageKey];
-
-            if (!snapshots || !Array.isArray(snapshots)) {
-                console.warn("🔴 No valid snapshots array found");
-                return null;
-            }
-
-            const snapshot = snapshots.find((s) => s.id === snapshotId);
+            const entry = (await this._loadIndex()).find(
+                (s) => s.id === snapshotId
+            );
 
-            if (!snapshot) {
+            if (!entry) {
                 console.warn(`⚠️ Snapshot ${snapshotId} not found`);
                 return null;
             }
 
+            const snapshot = {
+                id: entry.id,
+                timestamp: entry.timestamp,
+                description: entry.description,
+                metadata: entry.metadata,
+                bookmarkTree: this._buildTree(await this._loadNodes(entry)),
+            };
+
             const validation = this._validateSnapshotStructure(snapshot);
             if (!validation.valid) {
                 console.error(
@@ -427,6 +404,239 @@ export class SnapshotManager {
         }
     }
 
+    /**
+     * Compare two snapshots, or a snapshot with the current bookmarks. Nodes
+     * are matched by ID first; restoring a snapshot gives bookmarks new IDs,
+     * so leftover bookmarks are then matched by URL and folders by path.
+     * @param {string} fromId - Snapshot to compare from (the older side)
+     * @param {string|null} toId - Snapshot to compare to, or null for the current bookmarks
+     * @returns {Promise<Object>} {from, to, changes, summary}. Change types:
+     * added, removed, moved (oldPath → newPath), renamed (oldTitle → title),
+     * folder_created and folder_deleted; folder moves and renames use moved
+     * and renamed with isFolder set. sourceId is the node's ID on the from
+     * side, as taken by restoreSelection(), and null for additions.
+     */
+    async compareSnapshots(fromId, toId = null) {
+        const from = await this._loadComparisonSide(fromId);
+        const to = await this._loadComparisonSide(toId);
+        const before = this._indexTree(from.tree);
+        const after = this._indexTree(to.tree);
+        const matches = this._matchNodes(before, after);
+
+        const changes = [];
+        const describe = (type, node, extra = {}) => ({
+            type,
+            id: node.id,
+            title: node.title,
+            url: node.url || null,
+            isFolder: node.isFolder,
+            path: node.path,
+            sourceId: null,
+            ...extra,
+        });
+
+        for (const [id, node] of before) {
+            if (!node.parentId) continue;
+            const match = after.get(matches.get(id));
+            if (!match) {
+                changes.push(
+                    describe(node.isFolder ? "folder_deleted" : "removed", node, {
+                        sourceId: id,
+                    })
+                );
+                continue;
+            }
+            if (matches.get(node.parentId) !== match.parentId) {
+                changes.push(
+                    describe("moved", match, {
+                        sourceId: id,
+                        oldPath: node.path,
+                        newPath: match.path,
+                    })
+                );
+            }
+            if (node.title !== match.title) {
+                changes.push(
+                    describe("renamed", match, {
+                        sourceId: id,
+                        oldTitle: node.title,
+                    })
+                );
+            }
+        }
+
+        const matched = new Set(matches.values());
+        for (const [id, node] of after) {
+            if (!node.parentId || matched.has(id)) continue;
+            changes.push(
+                describe(node.isFolder ? "folder_created" : "added", node)
+            );
+        }
+
+        const summary = {
+            added: 0,
+            removed: 0,
+            moved: 0,
+            renamed: 0,
+            folder_created: 0,
+            folder_deleted: 0,
+        };
+        changes.forEach((change) => summary[change.type]++);
+
+        console.log(
+            `🔍 Compared ${from.id} with ${to.id || "current bookmarks"}: ${changes.length} changes`
+        );
+        const side = ({ id, description, timestamp }) => ({
+            id,
+            description,
+            timestamp,
+        });
+        return {
+            from: side(from),
+            to: side(to),
+            changes,
+            summary,
+        };
+    }
+
+    /**
+     * Put chosen folders and bookmarks from a snapshot back in their old
+     * folders with their old titles, merging into the current bookmarks.
+     * Selected folders bring their whole contents; missing parent folders are
+     * recreated and nothing outside the selection is moved or removed. Live
+     * nodes are matched the way compareSnapshots() matches them, so bookmarks
+     * that got new IDs are found by URL. Changes are recorded in the
+     * operation journal and can be undone.
+     * @param {string} snapshotId - Snapshot ID
+     * @param {Array<string>} nodeIds - Snapshot-side IDs of folders and bookmarks
+     * @param {Function} onMarkAsAIMoved - Called with each bookmark ID moved or created
+     * @returns {Promise<Object>} {foldersCreated, bookmarksCreated, moved, renamed, unchanged, errors}
+     */
+    async restoreSelection(snapshotId, nodeIds, onMarkAsAIMoved = null) {
+        if (!nodeIds?.length) {
+            throw new Error("Select at least one folder or bookmark to restore");
+        }
+        const snapshot = await this.getSnapshot(snapshotId);
+        if (!snapshot) {
+            throw new Error("Snapshot not found or corrupted");
+        }
+
+        const saved = this._indexTree(snapshot.bookmarkTree);
+        const [liveRoot] = await chrome.bookmarks.getTree();
+        const live = this._indexTree(liveRoot);
+        const liveIds = this._matchNodes(saved, live);
+        const rootId = snapshot.bookmarkTree.id;
+
+        // Tree order puts every folder ahead of its contents
+        const selected = new Set(nodeIds);
+        const included = new Set();
+        for (const node of saved.values()) {
+            if (selected.has(node.id) || included.has(node.parentId)) {
+                included.add(node.id);
+            }
+        }
+
+        const results = {
+            foldersCreated: 0,
+            bookmarksCreated: 0,
+            moved: 0,
+            renamed: 0,
+            unchanged: 0,
+            errors: [],
+        };
+
+        const insertAt = async (parentId, index) => {
+            const siblings = await chrome.bookmarks.getChildren(parentId);
+            return Math.min(index ?? siblings.length, siblings.length);
+        };
+        const resolveFolder = async (savedId) => {
+            if (liveIds.has(savedId)) return liveIds.get(savedId);
+            const folder = saved.get(savedId);
+            if (!folder?.parentId) {
+                throw new Error("Folder is missing from the snapshot");
+            }
+            const parentId = await resolveFolder(folder.parentId);
+            const created = await this.journal.create({
+                parentId,
+                index: await insertAt(parentId, folder.index),
+                title: folder.title,
+            });
+            liveIds.set(savedId, created.id);
+            results.foldersCreated++;
+            return created.id;
+        };
+
+        await this.journal.startSession(
+            `Restored from "${snapshot.description}"`,
+            { operationType: "selective_restore", snapshotId }
+        );
+        try {
+            for (const node of saved.values()) {
+                // The root and its fixed top-level folders always exist in place
+                if (
+                    !included.has(node.id) ||
+                    !node.parentId ||
+                    node.parentId === rootId
+                ) {
+                    continue;
+                }
+
+                try {
+                    const parentId = await resolveFolder(node.parentId);
+                    const current = live.get(liveIds.get(node.id));
+
+                    if (!current) {
+                        if (node.isFolder) {
+                            await resolveFolder(node.id);
+                            continue;
+                        }
+                        const created = await this.journal.create({
+                            parentId,
+                            index: await insertAt(parentId, node.index),
+                            title: node.title,
+                            url: node.url,
+                        });
+                        liveIds.set(node.id, created.id);
+                        onMarkAsAIMoved?.(created.id);
+                        results.bookmarksCreated++;
+                        continue;
+                    }
+
+                    let changed = false;
+                    if (current.parentId !== parentId) {
+                        if (!current.isFolder) onMarkAsAIMoved?.(current.id);
+                        await this.journal.move(current.id, {
+                            parentId,
+                            index: await insertAt(parentId, node.index),
+                        });
+                        results.moved++;
+                        changed = true;
+                    }
+                    if (current.title !== node.title) {
+                        await this.journal.update(current.id, {
+                            title: node.title,
+                        });
+                        results.renamed++;
+                        changed = true;
+                    }
+                    if (!changed) results.unchanged++;
+                } catch (_error) {
+                    console.error(`Failed to restore ${node.title}:`, _error);
+                    results.errors.push({
+                        id: node.id,
+                        title: node.title,
+                        error: _error.message,
+                    });
+                }
+            }
+        } finally {
+            await this.journal.endSession();
+        }
+
+        console.log(`✅ Restored selection from ${snapshotId}:`, results);
+        return results;
+    }
+
     /**
      * Restore bookmarks from a snapshot
      * @param {string} snapshotId - Snapshot ID to restore
@@ -552,14 +762,13 @@ export class SnapshotManager {
             }
 
             const result = await chrome.storage.local.get([this.storageKey]);
-            const snapshots = result[this.storageKey] || [];
-
-            if (!Array.isArray(snapshots)) {
+            if (result[this.storageKey] && !Array.isArray(result[this.storageKey])) {
                 console.error("🔴 Snapshots data is corrupted");
                 await chrome.storage.local.set({ [this.storageKey]: [] });
                 return false;
             }
 
+            const snapshots = await this._loadIndex();
             const filteredSnapshots = snapshots.filter(
                 (s) => s.id !== snapshotId
             );
@@ -572,6 +781,10 @@ export class SnapshotManager {
             await chrome.storage.local.set({
                 [this.storageKey]: filteredSnapshots,
             });
+            await this._removeSnapshotData(
+                snapshots.filter((s) => s.id === snapshotId),
+                filteredSnapshots
+            );
 
             console.log(`🗑️ Snapshot deleted: ${snapshotId}`);
             return true;
@@ -589,9 +802,11 @@ export class SnapshotManager {
      */
     async clearAllSnapshots() {
         try {
+            const snapshots = await this._loadIndex();
             await chrome.storage.local.set({
                 [this.storageKey]: [],
             });
+            await this._removeSnapshotData(snapshots, []);
 
             console.log("🗑️ All snapshots cleared");
             return true;
@@ -602,70 +817,64 @@ export class SnapshotManager {
     }
 
     /**
-     * Save snapshot to storage with robust error handling
+     * Save a snapshot as a delta against the current base, or as a new base
+     * when it has drifted too far from it, with robust error handling
      * @private
      */
     async _saveSnapshot(snapshot) {
-        try {
-            const result = await chrome.storage.local.get([this.storageKey]);
-            let snapshots = result[this.storageKey] || [];
-
-            if (!Array.isArray(snapshots)) {
-                console.warn("🔴 Snapshots data corrupted, resetting...");
-                snapshots = [];
-            }
+        let snapshots = await this._loadIndex();
+        const { entry, writes } = await this._encodeSnapshot(
+            snapshot,
+            snapshots
+        );
 
-            snapshots.push(snapshot);
-            snapshots.sort((a, b) => b.timestamp - a.timestamp);
+        // Newest first; the sort is stable, so a snapshot taken in the same
+        // millisecond as the previous one still lands in front of it
+        snapshots.unshift(entry);
+        snapshots.sort((a, b) => b.timestamp - a.timestamp);
 
-            // Get max snapshots setting
-            try {
-                const settingsResult = await chrome.storage.sync.get([
-                    "bookmarkMindSettings",
-                ]);
-                if (
-                    settingsResult.bookmarkMindSettings &&
-                    settingsResult.bookmarkMindSettings.maxSnapshots !==
-                        undefined
-                ) {
-                    let max = Number.parseInt(
-                        settingsResult.bookmarkMindSettings.maxSnapshots,
-                        10
-                    );
-                    // 0 means unlimited
-                    if (max === 0) max = 10000;
-                    this.maxSnapshots = max;
-                }
-            } catch (settingsError) {
-                console.warn(
-                    "Failed to load maxSnapshots setting:",
-                    settingsError
-                );
-            }
-
-            if (snapshots.length > this.maxSnapshots) {
-                console.log(
-                    `📦 Removing old snapshots (keeping ${this.maxSnapshots} most recent)`
+        // Get max snapshots setting
+        try {
+            const settingsResult = await chrome.storage.sync.get([
+                "bookmarkMindSettings",
+            ]);
+            if (
+                settingsResult.bookmarkMindSettings &&
+                settingsResult.bookmarkMindSettings.maxSnapshots !== undefined
+            ) {
+                let max = Number.parseInt(
+                    settingsResult.bookmarkMindSettings.maxSnapshots,
+                    10
                 );
-                snapshots = snapshots.slice(0, this.maxSnapshots);
+                // 0 means unlimited
+                if (max === 0) max = 10000;
+                this.maxSnapshots = max;
             }
+        } catch (settingsError) {
+            console.warn("Failed to load maxSnapshots setting:", settingsError);
+        }
 
-            const dataSize = new Blob([JSON.stringify(snapshots)]).size;
-            const dataSizeMB = (dataSize / (1024 * 1024)).toFixed(4);
-
-            if (dataSize > this.QUOTA_BYTES_LIMIT) {
-                console.warn(
-                    `⚠️ Data size (${dataSizeMB}MB) exceeds quota, reducing snapshots...`
-                );
-                throw new Error("QUOTA_BYTES quota exceeded");
-            }
+        let dropped = [];
+        if (snapshots.length > this.maxSnapshots) {
+            console.log(
+                `📦 Removing old snapshots (keeping ${this.maxSnapshots} most recent)`
+            );
+            dropped = snapshots.slice(this.maxSnapshots);
+            snapshots = snapshots.slice(0, this.maxSnapshots);
+        }
 
+        try {
             await chrome.storage.local.set({
+                ...writes,
                 [this.storageKey]: snapshots,
             });
+            await this._removeSnapshotData(dropped, snapshots);
 
+            const kind = entry.baseId === entry.id ? "full base" : "delta";
             console.log(
-                `💾 Saved ${snapshots.length} snapshots (${dataSizeMB}MB)`
+                `💾 Saved ${snapshots.length} snapshots (new ${kind}: ${(
+                    entry.storedBytes / 1024
+                ).toFixed(1)}KB)`
             );
         } catch (_error) {
             if (
@@ -676,7 +885,7 @@ export class SnapshotManager {
                 console.warn(
                     "⚠️ Storage quota exceeded, initiating cleanup..."
                 );
-                await this._handleQuotaExceeded(snapshot);
+                await this._handleQuotaExceeded(entry, writes);
             } else {
                 await this._logDetailedError("_saveSnapshot", _error);
                 throw _error;
@@ -685,74 +894,50 @@ export class SnapshotManager {
     }
 
     /**
-     * Handle storage quota exceeded with aggressive cleanup
+     * Handle storage quota exceeded by dropping the oldest snapshots until
+     * the new one fits. Only reachable without the unlimitedStorage permission.
+     * @param {Object} newEntry - Index entry of the snapshot being saved
+     * @param {Object} writes - Storage items holding its base and delta
      * @private
      */
-    async _handleQuotaExceeded(newSnapshot) {
+    async _handleQuotaExceeded(newEntry, writes) {
         try {
             console.log("🧹 Starting quota exceeded recovery...");
 
             const storageState = await this._getStorageState();
             console.log("Current storage state:", storageState);
 
-            const result = await chrome.storage.local.get([this.storageKey]);
-            let snapshots = result[this.storageKey] || [];
-
-            if (!Array.isArray(snapshots)) {
-                snapshots = [];
-            }
-
-            snapshots.push(newSnapshot);
-            snapshots.sort((a, b) => b.timestamp - a.timestamp);
-
-            let savedSuccessfully = false;
-            let keepCount = Math.min(snapshots.length - 1, 5);
-
-            while (!savedSuccessfully && keepCount > 0) {
-                const trimmedSnapshots = snapshots.slice(0, keepCount);
-                const testSize = new Blob([JSON.stringify(trimmedSnapshots)])
-                    .size;
-                const testSizeMB = (testSize / (1024 * 1024)).toFixed(4);
+            const snapshots = (await this._loadIndex()).filter(
+                (entry) => entry.id !== newEntry.id
+            );
 
+            while (snapshots.length > 0) {
+                const oldest = snapshots.pop();
+                const kept = [newEntry, ...snapshots];
+                await this._removeSnapshotData([oldest], kept);
                 console.log(
-                    `🔄 Attempting save with ${keepCount} snapshots (${testSizeMB}MB)...`
+                    `🔄 Attempting save with ${kept.length} snapshots...`
                 );
 
-                if (testSize > this.QUOTA_BYTES_LIMIT * this.SAFE_THRESHOLD) {
-                    console.log(
-                        `⚠️ ${keepCount} snapshots still too large, reducing further...`
-                    );
-                    keepCount--;
-                    continue;
-                }
-
                 try {
                     await chrome.storage.local.set({
-                        [this.storageKey]: trimmedSnapshots,
+                        ...writes,
+                        [this.storageKey]: kept,
                     });
-                    savedSuccessfully = true;
                     console.log(
-                        `✅ Saved snapshot with ${keepCount} total snapshots (${testSizeMB}MB)`
+                        `✅ Saved snapshot with ${kept.length} total snapshots`
                     );
+                    return;
                 } catch (_error) {
                     console.warn(
-                        `❌ Failed to save with ${keepCount} snapshots, reducing...`
+                        `❌ Failed to save with ${kept.length} snapshots, reducing...`
                     );
-                    keepCount--;
                 }
             }
 
-            if (!savedSuccessfully) {
-                console.error(
-                    "🔴 Unable to save snapshot even after aggressive cleanup"
-                );
-                await chrome.storage.local.set({
-                    [this.storageKey]: [newSnapshot],
-                });
-                console.log(
-                    "⚠️ Saved only the new snapshot, all old snapshots removed"
-                );
-            }
+            // The base the new snapshot depends on is never removed, so the
+            // last attempt above already held the smallest possible data
+            throw new Error("Snapshot does not fit in storage");
         } catch (_error) {
             await this._logDetailedError("_handleQuotaExceeded", _error);
             throw new Error(`Quota recovery failed: ${_error.message}`);
@@ -900,9 +1085,8 @@ export class SnapshotManager {
     async getStorageInfo() {
         try {
             const result = await chrome.storage.local.get([this.storageKey]);
-            const snapshots = result[this.storageKey] || [];
 
-            if (!Array.isArray(snapshots)) {
+            if (result[this.storageKey] && !Array.isArray(result[this.storageKey])) {
                 console.warn("🔴 Snapshots data corrupted in getStorageInfo");
                 return {
                     snapshotCount: 0,
@@ -913,14 +1097,25 @@ export class SnapshotManager {
                 };
             }
 
-            const totalSize = new Blob([JSON.stringify(snapshots)]).size;
+            const snapshots = await this._loadIndex();
+            const stored = await chrome.storage.local.get([
+                ...new Set(snapshots.flatMap((entry) => this._dataKeys(entry))),
+            ]);
+            const totalSize =
+                new Blob([JSON.stringify(snapshots)]).size +
+                Object.values(stored || {}).reduce(
+                    (sum, record) => sum + (record?.data?.length || 0),
+                    0
+                );
             const storageState = await this._getStorageState();
 
             return {
                 snapshotCount: snapshots.length,
+                baseCount: new Set(snapshots.map((entry) => entry.baseId)).size,
                 totalSizeBytes: totalSize,
                 totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
                 maxSnapshots: this.maxSnapshots,
+                unlimitedStorage: this._hasUnlimitedStorage(),
                 quotaUsagePercent: storageState?.usagePercent || "N/A",
                 quotaRemainingMB: storageState?.quotaRemainingMB || "N/A",
             };
@@ -961,6 +1156,8 @@ export class SnapshotManager {
             } else if (storageInfo.error) {
                 diagnostics.health = "critical";
             } else if (
+                // The 10MB quota does not apply with unlimitedStorage
+                !storageInfo.unlimitedStorage &&
                 Number.parseFloat(storageState?.usagePercent || 0) > 90
             ) {
                 diagnostics.health = "warning";
@@ -979,5 +1176,477 @@ export class SnapshotManager {
             };
         }
     }
-}
 
+    /**
+     * Validate a stored index entry
+     * @private
+     */
+    _validateSnapshotEntry(entry) {
+        const errors = [];
+
+        if (!entry || typeof entry !== "object") {
+            errors.push("Snapshot is not an object");
+            return { valid: false, errors };
+        }
+
+        if (!entry.id || typeof entry.id !== "string") {
+            errors.push("Invalid or missing snapshot ID");
+        }
+
+        if (!entry.timestamp || typeof entry.timestamp !== "number") {
+            errors.push("Invalid or missing timestamp");
+        }
+
+        if (!entry.description || typeof entry.description !== "string") {
+            errors.push("Invalid or missing description");
+        }
+
+        if (!entry.baseId || typeof entry.baseId !== "string") {
+            errors.push("Invalid or missing base snapshot");
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors,
+        };
+    }
+
+    /**
+     * Load the snapshot index, newest first. Snapshots saved as full trees by
+     * older versions are converted to base and delta form on first load.
+     * @private
+     * @returns {Promise<Array>} Index entries
+     */
+    async _loadIndex() {
+        const result = await chrome.storage.local.get([this.storageKey]);
+        const stored = result[this.storageKey];
+        if (!Array.isArray(stored)) return [];
+
+        if (stored.some((entry) => entry?.bookmarkTree)) {
+            return await this._migrateLegacySnapshots(stored);
+        }
+        return [...stored].sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Rewrite full-tree snapshots as bases and deltas, oldest first so each
+     * one can be stored against the one before it
+     * @private
+     * @param {Array} stored - Stored index with full-tree entries
+     * @returns {Promise<Array>} Migrated index entries
+     */
+    async _migrateLegacySnapshots(stored) {
+        console.log("🔄 Converting snapshots to compressed base and delta storage...");
+
+        let index = stored.filter((entry) => entry && !entry.bookmarkTree);
+        const legacy = stored
+            .filter((entry) => entry?.bookmarkTree)
+            .filter((entry) => this._validateSnapshotStructure(entry).valid)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        let writes = {};
+        for (const snapshot of legacy) {
+            const encoded = await this._encodeSnapshot(snapshot, index);
+            writes = { ...writes, ...encoded.writes };
+            index = [encoded.entry, ...index].sort(
+                (a, b) => b.timestamp - a.timestamp
+            );
+        }
+
+        await chrome.storage.local.set({ ...writes, [this.storageKey]: index });
+        console.log(`✅ Converted ${legacy.length} snapshots`);
+        return index;
+    }
+
+    /**
+     * Encode a snapshot as a delta against the newest base, or as a new base
+     * when there is none or the delta would be too large to be worth it
+     * @private
+     * @param {Object} snapshot - Snapshot with bookmarkTree
+     * @param {Array} index - Current index entries, newest first
+     * @returns {Promise<Object>} {entry, writes}: index entry and storage items to write
+     */
+    async _encodeSnapshot(snapshot, index) {
+        const nodes = this._flattenTree(snapshot.bookmarkTree);
+        const entry = {
+            id: snapshot.id,
+            timestamp: snapshot.timestamp,
+            description: snapshot.description,
+            metadata: snapshot.metadata,
+            baseId: null,
+            nodeCount: Object.keys(nodes).length,
+            storedBytes: 0,
+        };
+
+        const latestBaseId = index[0]?.baseId;
+        const base = latestBaseId ? await this._loadBase(latestBaseId) : null;
+        if (base) {
+            const delta = await this._encode(this._diffNodes(base.nodes, nodes));
+            if (delta.data.length <= base.bytes * this.REBASE_RATIO) {
+                entry.baseId = latestBaseId;
+                entry.storedBytes = delta.data.length;
+                return {
+                    entry,
+                    writes: { [`${this.DELTA_KEY_PREFIX}${entry.id}`]: delta },
+                };
+            }
+        }
+
+        const record = await this._encode(nodes);
+        this.baseCache.set(entry.id, { nodes, bytes: record.data.length });
+        entry.baseId = entry.id;
+        entry.storedBytes = record.data.length;
+        return {
+            entry,
+            writes: { [`${this.BASE_KEY_PREFIX}${entry.id}`]: record },
+        };
+    }
+
+    /**
+     * Rebuild a snapshot's flat node map from its base and delta
+     * @private
+     * @param {Object} entry - Index entry
+     * @returns {Promise<Object>} Nodes by ID
+     */
+    async _loadNodes(entry) {
+        const base = await this._loadBase(entry.baseId);
+        if (!base) {
+            throw new Error(`Base snapshot ${entry.baseId} is missing`);
+        }
+        const nodes = { ...base.nodes };
+        if (entry.baseId === entry.id) return nodes;
+
+        const key = `${this.DELTA_KEY_PREFIX}${entry.id}`;
+        const stored = await chrome.storage.local.get(key);
+        if (!stored?.[key]) {
+            throw new Error(`Changes for snapshot ${entry.id} are missing`);
+        }
+        const delta = await this._decode(stored[key]);
+        delta.removed.forEach((id) => {
+            delete nodes[id];
+        });
+        return Object.assign(nodes, delta.changed);
+    }
+
+    /**
+     * Load a base's nodes, cached for the life of this instance
+     * @private
+     * @param {string} baseId - Base snapshot ID
+     * @returns {Promise<Object|null>} {nodes, bytes}, or null when missing
+     */
+    async _loadBase(baseId) {
+        if (this.baseCache.has(baseId)) return this.baseCache.get(baseId);
+
+        const key = `${this.BASE_KEY_PREFIX}${baseId}`;
+        const stored = await chrome.storage.local.get(key);
+        if (!stored?.[key]) return null;
+
+        const base = {
+            nodes: await this._decode(stored[key]),
+            bytes: stored[key].data.length,
+        };
+        this.baseCache.set(baseId, base);
+        return base;
+    }
+
+    /**
+     * Remove the stored deltas of removed snapshots and any base that no
+     * remaining snapshot is built on
+     * @private
+     * @param {Array} removed - Index entries being removed
+     * @param {Array} kept - Index entries that stay
+     */
+    async _removeSnapshotData(removed, kept) {
+        const usedBases = new Set(kept.map((entry) => entry.baseId));
+        const keys = removed.flatMap((entry) =>
+            this._dataKeys(entry).filter(
+                (key) =>
+                    !key.startsWith(this.BASE_KEY_PREFIX) ||
+                    !usedBases.has(entry.baseId)
+            )
+        );
+        if (keys.length === 0) return;
+
+        removed.forEach((entry) => {
+            if (!usedBases.has(entry.baseId)) this.baseCache.delete(entry.baseId);
+        });
+        await chrome.storage.local.remove([...new Set(keys)]);
+    }
+
+    /**
+     * Storage keys an index entry is built from
+     * @private
+     * @param {Object} entry - Index entry
+     * @returns {Array<string>} Base key, plus the delta key for delta snapshots
+     */
+    _dataKeys(entry) {
+        const keys = [`${this.BASE_KEY_PREFIX}${entry.baseId}`];
+        if (entry.baseId !== entry.id) {
+            keys.push(`${this.DELTA_KEY_PREFIX}${entry.id}`);
+        }
+        return keys;
+    }
+
+    /**
+     * Flatten a bookmark tree into nodes by ID. Folders list their children
+     * in order instead of each node storing its index, so adding a bookmark
+     * changes one folder rather than every sibling after it.
+     * @private
+     * @param {Object} root - Root bookmark node
+     * @returns {Object} Nodes by ID: {title, url, dateAdded, parentId, children}
+     */
+    _flattenTree(root) {
+        const nodes = {};
+        const walk = (node) => {
+            const flat = { title: node.title || "" };
+            if (node.url) flat.url = node.url;
+            if (node.dateAdded) flat.dateAdded = node.dateAdded;
+            if (node.parentId) flat.parentId = node.parentId;
+            if (node.children) {
+                flat.children = node.children.map((child) => child.id);
+                node.children.forEach(walk);
+            }
+            nodes[node.id] = flat;
+        };
+        walk(root);
+        return nodes;
+    }
+
+    /**
+     * Nodes that were added or changed, and IDs that were removed, since the base
+     * @private
+     * @param {Object} base - Base nodes by ID
+     * @param {Object} nodes - Current nodes by ID
+     * @returns {Object} {changed, removed}
+     */
+    _diffNodes(base, nodes) {
+        const changed = {};
+        for (const [id, node] of Object.entries(nodes)) {
+            if (JSON.stringify(base[id]) !== JSON.stringify(node)) {
+                changed[id] = node;
+            }
+        }
+        const removed = Object.keys(base).filter((id) => !(id in nodes));
+        return { changed, removed };
+    }
+
+    /**
+     * Rebuild a bookmark tree from nodes by ID
+     * @private
+     * @param {Object} nodes - Nodes by ID
+     * @returns {Object|null} Root node with parentId and index set on every descendant
+     */
+    _buildTree(nodes) {
+        const build = (id, index) => {
+            const flat = nodes[id];
+            if (!flat) return null;
+
+            const node = { id, title: flat.title };
+            if (flat.parentId) node.parentId = flat.parentId;
+            if (index !== null) node.index = index;
+            if (flat.url) node.url = flat.url;
+            if (flat.dateAdded) node.dateAdded = flat.dateAdded;
+            if (flat.children) {
+                node.children = flat.children
+                    .map((childId, childIndex) => build(childId, childIndex))
+                    .filter((child) => child);
+            }
+            return node;
+        };
+
+        const rootId = Object.keys(nodes).find((id) => !nodes[id].parentId);
+        return rootId ? build(rootId, null) : null;
+    }
+
+    /**
+     * Serialize a value for storage, gzip-compressed where CompressionStream
+     * is available
+     * @private
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<Object>} {encoding, data}
+     */
+    async _encode(value) {
+        const json = JSON.stringify(value);
+        if (typeof CompressionStream === "undefined") {
+            return { encoding: "json", data: json };
+        }
+
+        const bytes = await this._pipe(
+            new TextEncoder().encode(json),
+            new CompressionStream("gzip")
+        );
+        let binary = "";
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return { encoding: "gzip", data: btoa(binary) };
+    }
+
+    /**
+     * Read a value written by _encode()
+     * @private
+     * @param {Object} record - {encoding, data}
+     * @returns {Promise<*>} Value
+     */
+    async _decode(record) {
+        if (record.encoding === "json") {
+            return JSON.parse(record.data);
+        }
+        if (record.encoding !== "gzip") {
+            throw new Error(`Unknown snapshot encoding: ${record.encoding}`);
+        }
+
+        const binary = atob(record.data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        const json = await this._pipe(bytes, new DecompressionStream("gzip"));
+        return JSON.parse(new TextDecoder().decode(json));
+    }
+
+    /**
+     * Run bytes through a compression or decompression stream
+     * @private
+     * @param {Uint8Array} input - Input bytes
+     * @param {TransformStream} transform - CompressionStream or DecompressionStream
+     * @returns {Promise<Uint8Array>} Output bytes
+     */
+    async _pipe(input, transform) {
+        const writer = transform.writable.getWriter();
+        const written = writer.write(input).then(() => writer.close());
+
+        const chunks = [];
+        const reader = transform.readable.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+        }
+        await written;
+
+        const output = new Uint8Array(
+            chunks.reduce((sum, chunk) => sum + chunk.length, 0)
+        );
+        let offset = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    }
+
+    /**
+     * Whether the extension holds the unlimitedStorage permission, which
+     * lifts the 10MB chrome.storage.local quota
+     * @private
+     * @returns {boolean}
+     */
+    _hasUnlimitedStorage() {
+        try {
+            return (
+                chrome.runtime
+                    .getManifest?.()
+                    ?.permissions?.includes("unlimitedStorage") === true
+            );
+        } catch (_error) {
+            return false;
+        }
+    }
+
+    /**
+     * Load one side of a comparison
+     * @private
+     * @param {string|null} snapshotId - Snapshot ID, or null for the current bookmarks
+     * @returns {Promise<Object>} {id, description, timestamp, tree}
+     */
+    async _loadComparisonSide(snapshotId) {
+        if (!snapshotId) {
+            const [tree] = await chrome.bookmarks.getTree();
+            return {
+                id: null,
+                description: "Current bookmarks",
+                timestamp: Date.now(),
+                tree,
+            };
+        }
+
+        const snapshot = await this.getSnapshot(snapshotId);
+        if (!snapshot) {
+            throw new Error(`Snapshot ${snapshotId} not found`);
+        }
+        return {
+            id: snapshot.id,
+            description: snapshot.description,
+            timestamp: snapshot.timestamp,
+            tree: snapshot.bookmarkTree,
+        };
+    }
+
+    /**
+     * List every node in tree order with the path of the folder holding it
+     * @private
+     * @param {Object} root - Root bookmark node
+     * @returns {Map} Nodes by ID: {id, title, url, parentId, index, isFolder, path, fullPath}
+     */
+    _indexTree(root) {
+        const nodes = new Map();
+        const walk = (node, parentId, path) => {
+            const title = node.title || "";
+            // The root node has no title and is left out of paths
+            const fullPath = parentId
+                ? [path, title].filter((part) => part).join(" > ")
+                : "";
+            nodes.set(node.id, {
+                id: node.id,
+                title,
+                url: node.url,
+                parentId,
+                index: node.index,
+                isFolder: !node.url,
+                path,
+                fullPath,
+            });
+            (node.children || []).forEach((child) =>
+                walk(child, node.id, fullPath)
+            );
+        };
+        if (root) walk(root, null, "");
+        return nodes;
+    }
+
+    /**
+     * Pair nodes of two trees: by ID, then bookmarks by URL and folders by path
+     * @private
+     * @param {Map} before - Nodes from _indexTree()
+     * @param {Map} after - Nodes from _indexTree()
+     * @returns {Map} Node ID in before → node ID in after
+     */
+    _matchNodes(before, after) {
+        const matches = new Map();
+        const taken = new Set();
+        for (const [id, node] of before) {
+            if (after.get(id)?.isFolder === node.isFolder) {
+                matches.set(id, id);
+                taken.add(id);
+            }
+        }
+
+        const keyOf = (node) =>
+            node.isFolder ? `folder:${node.fullPath}` : `url:${node.url}`;
+        const unmatched = new Map();
+        for (const [id, node] of after) {
+            if (taken.has(id)) continue;
+            const key = keyOf(node);
+            if (!unmatched.has(key)) unmatched.set(key, []);
+            unmatched.get(key).push(id);
+        }
+        for (const [id, node] of before) {
+            if (matches.has(id)) continue;
+            const candidates = unmatched.get(keyOf(node));
+            if (candidates?.length) matches.set(id, candidates.shift());
+        }
+
+        return matches;
+    }
+}
@@ -3,14 +3,27 @@
  * Handles extension lifecycle and background processing
  */
 import { AIProcessor } from "../ai/aiProcessor.js";
+import { AutoCategorizer } from "../ai/autoCategorizer.js";
 import { Categorizer } from "../ai/categorizer.js";
+import { CategorizationPlan } from "../ai/categorizationPlan.js";
 import { CategoryGrouper } from "../ai/categoryGrouper.js";
 import { LearningService } from "../ai/learningService.js";
+import { RulesEngine } from "../ai/rulesEngine.js";
+import { Taxonomy } from "../ai/taxonomy.js";
+import { TaxonomyTemplates } from "../ai/taxonomyTemplates.js";
+import { ReviewQueue } from "../ai/reviewQueue.js";
 import { ModelComparisonService } from "../ai/modelComparisonService.js";
 import { BookmarkService } from "../bookmarks/bookmarkService.js";
 import { FolderManager } from "../bookmarks/folderManager.js";
 import { SnapshotManager } from "../bookmarks/snapshotManager.js";
 import { FolderInsights } from "../bookmarks/folderInsights.js";
+import { BookmarkImporter } from "../bookmarks/bookmarkImporter.js";
+import { BookmarkExporter } from "../bookmarks/bookmarkExporter.js";
+import { FolderMergeAnalyzer } from "../bookmarks/folderMergeAnalyzer.js";
+import { DuplicateManager } from "../bookmarks/duplicateManager.js";
+import { OperationJournal } from "../bookmarks/operationJournal.js";
+import { OrganizationScheduler } from "./organizationScheduler.js";
+import { LinkHealthChecker } from "./linkHealthChecker.js";
 import { AnalyticsService } from "../analytics/analyticsService.js";
 import { PerformanceMonitor } from "../analytics/performanceMonitor.js";
 import { BenchmarkService } from "../analytics/benchmarkService.js";
@@ -23,6 +36,15 @@ let aiCategorizationStartTime = null; // Track when AI categorization started
 // Global flag to track snapshot restoration state
 let isRestoringSnapshot = false;
 
+// Bookmarks created by Chrome's importer or BookmarkImporter are not auto-categorized
+let isImportingBookmarks = false;
+
+// Bookmarks recreated by undoing a journal session are not auto-categorized either
+let isUndoingOperations = false;
+
+// Link health scan in progress, shared by the popup and the recurring alarm
+let linkHealthScan = null;
+
 // Debug function to log AI state
 function logAIState(context) {
     console.log(`🤖 AI State [${context}]:`, {
@@ -39,15 +61,15 @@ function logAIState(context) {
 chrome.runtime.onStartup.addListener(async () => {
     console.log("BookmarkMind extension started");
 
-    // Resume categorization if it was in progress
+    // Resume categorization if it was in progress. Alarms may not survive a
+    // browser restart, so the batch loop is re-armed from the saved session.
     try {
-        const result = await chrome.storage.local.get("categorization_state");
-        if (result.categorization_state) {
+        const session = await new Categorizer().getSession();
+        if (session && !session.paused) {
             console.log("🔄 Resuming interrupted categorization...");
-            if (typeof Categorizer !== "undefined") {
-                const categorizer = new Categorizer();
-                await categorizer.processNextBatch();
-            }
+            await chrome.alarms.create("process_categorization_batch", {
+                when: Date.now() + 1000,
+            });
         }
     } catch (_error) {
         console.error(
@@ -55,6 +77,8 @@ chrome.runtime.onStartup.addListener(async () => {
             _error
         );
     }
+
+    await restoreScheduledOrganization();
 });
 
 // Handle extension installation
@@ -68,6 +92,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         // Extension updated
         console.log(`Updated from version ${details.previousVersion}`);
     }
+
+    // Alarms do not survive extension updates
+    await restoreScheduledOrganization();
 });
 
 /**
@@ -94,6 +121,8 @@ async function initializeExtension() {
             maxCategories: 50,
             lastSortTime: 0,
             autoSort: false,
+            autoCategorizeNew: false,
+            linkCheckInterval: "off",
             batchSize: 50,
             cleanupEmptyFolders: false,
         };
@@ -159,7 +188,11 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
                 break;
 
             case "exportBookmarks":
-                await handleExportBookmarks(sendResponse);
+                await handleExportBookmarks(message.data, sendResponse);
+                break;
+
+            case "importBookmarks":
+                await handleImportBookmarks(message.data, sendResponse);
                 break;
 
             case "getAllBookmarks":
@@ -355,6 +388,14 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
                 await handleDeleteSnapshot(message.data, sendResponse);
                 break;
 
+            case "compareSnapshots":
+                await handleCompareSnapshots(message.data, sendResponse);
+                break;
+
+            case "restoreSnapshotSelection":
+                await handleRestoreSnapshotSelection(message.data, sendResponse);
+                break;
+
             case "getAnalytics":
                 await handleGetAnalytics(sendResponse);
                 break;
@@ -403,6 +444,158 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
                 await handleClearQuotaState(sendResponse);
                 break;
 
+            case "getCategorizationPlan":
+                await handleGetCategorizationPlan(sendResponse);
+                break;
+
+            case "applyCategorizationPlan":
+                await handleApplyCategorizationPlan(message.data, sendResponse);
+                break;
+
+            case "discardCategorizationPlan":
+                await handleDiscardCategorizationPlan(sendResponse);
+                break;
+
+            case "getCategorizationRules":
+                await handleGetCategorizationRules(sendResponse);
+                break;
+
+            case "saveCategorizationRule":
+                await handleSaveCategorizationRule(message.data, sendResponse);
+                break;
+
+            case "deleteCategorizationRule":
+                await handleDeleteCategorizationRule(message.data, sendResponse);
+                break;
+
+            case "testCategorizationRules":
+                await handleTestCategorizationRules(message.data, sendResponse);
+                break;
+
+            case "exportCategorizationRules":
+                await handleExportCategorizationRules(sendResponse);
+                break;
+
+            case "importCategorizationRules":
+                await handleImportCategorizationRules(message.data, sendResponse);
+                break;
+
+            case "getTaxonomy":
+                await handleGetTaxonomy(sendResponse);
+                break;
+
+            case "saveTaxonomy":
+                await handleSaveTaxonomy(message.data, sendResponse);
+                break;
+
+            case "getTaxonomyTemplates":
+                await handleGetTaxonomyTemplates(sendResponse);
+                break;
+
+            case "exportTaxonomy":
+                await handleExportTaxonomy(sendResponse);
+                break;
+
+            case "importTaxonomy":
+                await handleImportTaxonomy(message.data, sendResponse);
+                break;
+
+            case "getCategorizationSession":
+                await handleGetCategorizationSession(sendResponse);
+                break;
+
+            case "pauseCategorization":
+                await handlePauseCategorization(sendResponse);
+                break;
+
+            case "resumeCategorization":
+                await handleResumeCategorization(sendResponse);
+                break;
+
+            case "cancelCategorization":
+                await handleCancelCategorization(message.data, sendResponse);
+                break;
+
+            case "getScheduleStatus":
+                await handleGetScheduleStatus(sendResponse);
+                break;
+
+            case "saveSchedule":
+                await handleSaveSchedule(message.data, sendResponse);
+                break;
+
+            case "runScheduledOrganizationNow":
+                await handleRunScheduledOrganizationNow(sendResponse);
+                break;
+
+            case "clearScheduleHistory":
+                await handleClearScheduleHistory(sendResponse);
+                break;
+
+            case "getReviewQueue":
+                await handleGetReviewQueue(sendResponse);
+                break;
+
+            case "acceptReviewItem":
+                await handleReviewAction("accept", message.data, sendResponse);
+                break;
+
+            case "reassignReviewItem":
+                await handleReviewAction("reassign", message.data, sendResponse);
+                break;
+
+            case "skipReviewItem":
+                await handleReviewAction("skip", message.data, sendResponse);
+                break;
+
+            case "getLinkHealthReport":
+                await handleGetLinkHealthReport(sendResponse);
+                break;
+
+            case "checkLinkHealth":
+                await handleCheckLinkHealth(sendResponse);
+                break;
+
+            case "applyLinkHealthAction":
+                await handleApplyLinkHealthAction(message.data, sendResponse);
+                break;
+
+            case "getFolderMergeProposals":
+                await handleGetFolderMergeProposals(message.data, sendResponse);
+                break;
+
+            case "applyFolderMerges":
+                await handleApplyFolderMerges(message.data, sendResponse);
+                break;
+
+            case "getDuplicateGroups":
+                await handleGetDuplicateGroups(message.data, sendResponse);
+                break;
+
+            case "removeDuplicates":
+                await handleRemoveDuplicates(message.data, sendResponse);
+                break;
+
+            case "getJournalSessions":
+                await handleGetJournalSessions(sendResponse);
+                break;
+
+            case "getJournalSession":
+                await handleGetJournalSession(message.data, sendResponse);
+                break;
+
+            case "undoJournalSession":
+                await handleUndoJournal(message.data, sendResponse);
+                break;
+
+            case "undoJournalBookmark":
+                await handleUndoJournal(message.data, sendResponse);
+                break;
+
+            case "resetCategorizationRuleStats":
+                await handleResetCategorizationRuleStats(sendResponse);
+                break;
+
             default:
                 console.warn("Unknown message action:", message.action);
                 sendResponse({ success: false, error: "Unknown action" });
@@ -427,11 +620,275 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
                     `🤖 Marked bookmark ${bookmarkId} as AI-moved (ALARM CALLBACK)`
                 );
             },
+            onFinished: finishScheduledRun,
         });
         await categorizer.processNextBatch();
+    } else if (alarm.name === "auto_categorize_new_bookmarks") {
+        await processNewBookmarks();
+    } else if (alarm.name === "scheduled_organization_run") {
+        console.log("⏰ Alarm triggered: scheduled_organization_run");
+        await runScheduledOrganization("schedule");
+    } else if (alarm.name === "link_health_check") {
+        console.log("⏰ Alarm triggered: link_health_check");
+        try {
+            const report = await runLinkHealthCheck();
+            await new LinkHealthChecker().notify(report);
+        } catch (_error) {
+            console.error("_error running scheduled link check:", _error);
+        }
+    }
+});
+
+// Re-arm the schedule whenever it is edited
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    const change = changes.bookmarkMindSettings;
+    if (areaName !== "sync" || !change) return;
+
+    if (
+        change.oldValue?.linkCheckInterval !==
+        change.newValue?.linkCheckInterval
+    ) {
+        try {
+            await new LinkHealthChecker().reschedule(change.newValue);
+        } catch (_error) {
+            console.error("_error rescheduling link checks:", _error);
+        }
+    }
+
+    const before = JSON.stringify(change.oldValue?.schedule || null);
+    const after = JSON.stringify(change.newValue?.schedule || null);
+    if (before === after) return;
+
+    try {
+        await new OrganizationScheduler().reschedule(change.newValue);
+    } catch (_error) {
+        console.error("_error rescheduling organization runs:", _error);
+    }
+});
+
+// Auto-categorize newly created bookmarks (opt-in)
+chrome.bookmarks.onCreated.addListener(async (id, bookmark) => {
+    try {
+        if (
+            !bookmark.url ||
+            isRestoringSnapshot ||
+            isImportingBookmarks ||
+            isUndoingOperations
+        ) {
+            return;
+        }
+
+        const { bookmarkMindSettings } = await chrome.storage.sync.get([
+            "bookmarkMindSettings",
+        ]);
+        // The AI processor is only built once the debounced batch runs
+        const autoCategorizer = new AutoCategorizer();
+        if (autoCategorizer.isEnabled(bookmarkMindSettings)) {
+            await autoCategorizer.enqueue(id);
+        }
+    } catch (_error) {
+        console.error("_error queuing new bookmark:", _error);
     }
 });
 
+chrome.bookmarks.onImportBegan.addListener(() => {
+    isImportingBookmarks = true;
+});
+
+chrome.bookmarks.onImportEnded.addListener(() => {
+    isImportingBookmarks = false;
+});
+
+chrome.notifications.onButtonClicked.addListener(
+    async (notificationId, buttonIndex) => {
+        if (!notificationId.startsWith("auto_categorize_") || buttonIndex !== 0) {
+            return;
+        }
+
+        try {
+            const autoCategorizer = new AutoCategorizer();
+            const movedIds = [];
+            await autoCategorizer.undo(notificationId, (bookmarkId) => {
+                aiCategorizedBookmarks.add(bookmarkId);
+                movedIds.push(bookmarkId);
+            });
+            releaseAIMovedBookmarks(movedIds);
+            chrome.notifications.clear(notificationId);
+        } catch (_error) {
+            console.error("_error undoing auto-categorization:", _error);
+        }
+    }
+);
+
+/**
+ * File queued new bookmarks into existing folders
+ */
+async function processNewBookmarks() {
+    // A full run or restore owns the tree right now; try again later
+    const { categorizationState } = await chrome.storage.local.get(
+        "categorizationState"
+    );
+    if (categorizationState || isRestoringSnapshot) {
+        await chrome.alarms.create("auto_categorize_new_bookmarks", {
+            when: Date.now() + 60000,
+        });
+        return;
+    }
+
+    try {
+        const { bookmarkMindSettings } = await chrome.storage.sync.get([
+            "bookmarkMindSettings",
+        ]);
+        const autoCategorizer = new AutoCategorizer(new AIProcessor());
+        const movedIds = [];
+
+        const { moves, sessionId } = await autoCategorizer.processQueue(
+            bookmarkMindSettings,
+            (bookmarkId) => {
+                // Same protection as full runs: these moves must not be learned from
+                aiCategorizedBookmarks.add(bookmarkId);
+                movedIds.push(bookmarkId);
+            }
+        );
+
+        releaseAIMovedBookmarks(movedIds);
+        await autoCategorizer.notify(moves, sessionId);
+    } catch (_error) {
+        console.error("_error auto-categorizing new bookmarks:", _error);
+    }
+}
+
+/**
+ * Recreate the scheduled organization alarm from stored state
+ */
+async function restoreScheduledOrganization() {
+    try {
+        const { bookmarkMindSettings } = await chrome.storage.sync.get([
+            "bookmarkMindSettings",
+        ]);
+        await new OrganizationScheduler().restoreAlarm(bookmarkMindSettings);
+        await new LinkHealthChecker().reschedule(bookmarkMindSettings);
+    } catch (_error) {
+        console.error("_error restoring organization schedule:", _error);
+    }
+}
+
+/**
+ * Run a scheduled organization pass and arm the next one
+ * @param {string} trigger - "schedule" or "manual"
+ * @returns {Promise<Object>} Run record
+ */
+async function runScheduledOrganization(trigger) {
+    const { bookmarkMindSettings } = await chrome.storage.sync.get([
+        "bookmarkMindSettings",
+    ]);
+    const settings = bookmarkMindSettings || {};
+    const scheduler = new OrganizationScheduler();
+    const categorizer = new Categorizer(new AIProcessor(), {
+        onMarkAsAIMoved: (bookmarkId) => {
+            aiCategorizedBookmarks.add(bookmarkId);
+        },
+        onFinished: finishScheduledRun,
+    });
+    await categorizer.initialize(settings);
+
+    // Self-sent startAICategorization messages never reach this listener,
+    // so learning is switched off here directly
+    isAICategorizing = true;
+    aiCategorizationStartTime = Date.now();
+
+    let run;
+    try {
+        run = await scheduler.run(settings, { trigger, categorizer });
+    } finally {
+        // Categorization runs keep going on batch alarms and end in finishScheduledRun
+        if (run?.status !== "running") {
+            endBackgroundAIMode();
+        }
+
+        // Quiet hours already armed the alarm for when they end. A failed run
+        // still gets its next slot, and its own error is the one reported.
+        if (!run?.deferred) {
+            try {
+                await scheduler.reschedule(settings);
+            } catch (_error) {
+                console.error("_error rescheduling organization:", _error);
+            }
+        }
+    }
+    return run;
+}
+
+/**
+ * Check every bookmark's link, sharing one scan between concurrent requests
+ * @returns {Promise<Object>} Link health report
+ */
+function runLinkHealthCheck() {
+    if (!linkHealthScan) {
+        linkHealthScan = new LinkHealthChecker()
+            .scan((progress) => {
+                // The popup may be closed; the report is stored either way
+                chrome.runtime
+                    .sendMessage({ action: "linkHealthProgress", data: progress })
+                    .catch(() => {});
+            })
+            .finally(() => {
+                linkHealthScan = null;
+            });
+    }
+    return linkHealthScan;
+}
+
+/**
+ * Wrap up a background categorization run, recording it in the schedule
+ * history when it was a scheduled one
+ * @param {Object} state - Final categorization state
+ * @param {Error|null} error - Error that stopped the run
+ */
+async function finishScheduledRun(state, error) {
+    if (state?.scheduledRunId) {
+        try {
+            await new OrganizationScheduler().finishRun(state.scheduledRunId, {
+                error,
+                summary: error
+                    ? null
+                    : {
+                          categorized: state.totalBookmarks,
+                          folders: state.generatedCategories?.length || 0,
+                      },
+            });
+        } catch (_error) {
+            console.error("_error finishing scheduled run:", _error);
+        }
+    }
+    endBackgroundAIMode();
+}
+
+/**
+ * Re-enable learning once a background run's moves have settled
+ */
+function endBackgroundAIMode() {
+    setTimeout(() => {
+        isAICategorizing = false;
+        aiCategorizedBookmarks.clear();
+        aiCategorizationStartTime = null;
+        logAIState("BACKGROUND_END");
+    }, 15000);
+}
+
+/**
+ * Stop treating bookmarks as AI-moved once their move events have been seen
+ * @param {Array<string>} bookmarkIds - Bookmark IDs
+ */
+function releaseAIMovedBookmarks(bookmarkIds) {
+    if (bookmarkIds.length === 0) return;
+    setTimeout(() => {
+        bookmarkIds.forEach((bookmarkId) => {
+            aiCategorizedBookmarks.delete(bookmarkId);
+        });
+    }, 15000);
+}
+
 /**
  * Handle bookmark categorization request
  */
@@ -499,25 +956,25 @@ async function handleCategorization(data, sendResponse) {
             );
         }
 
-        if (!settings.bookmarkMindSettings.apiKey) {
-            throw new Error(
-                "API key not configured. Please set up your Gemini API key in settings."
+        // Check which providers are available before attempting categorization
+        const aiProcessor = new AIProcessor();
+        aiProcessor.configureFromSettings(settings.bookmarkMindSettings);
+
+        if (!aiProcessor.hasConfiguredProvider()) {
+            console.log(
+                "No AI provider configured, bookmarks will be organized with offline rules"
             );
         }
         console.log("✓ Settings validated");
 
-        // Check if Gemini quota is exhausted before attempting categorization
-        const aiProcessor = new AIProcessor();
-        aiProcessor.setApiKey(
-            settings.bookmarkMindSettings.apiKey,
-            settings.bookmarkMindSettings.cerebrasApiKey || null,
-            settings.bookmarkMindSettings.groqApiKey || null
-        );
-
-        const isQuotaExhausted = await aiProcessor._isQuotaExhausted();
-        if (isQuotaExhausted) {
-            const quotaMessage = await aiProcessor._getQuotaExhaustedMessage();
-            throw new Error(quotaMessage);
+        // An exhausted quota no longer blocks the run: other providers or
+        // the offline rules take over
+        for (const adapter of aiProcessor.providers.getConfigured()) {
+            if (await aiProcessor._isQuotaExhausted(adapter.id)) {
+                console.warn(
+                    `⚠️ ${adapter.name} quota exhausted, continuing with fallback categorization`
+                );
+            }
         }
 
         // Initialize categorizer
@@ -545,10 +1002,16 @@ async function handleCategorization(data, sendResponse) {
             } catch (_error) {
                 console.log("Progress callback error:", _error.message);
             }
-        }, data.forceReorganize);
+        }, data.forceReorganize, { planMode: !!data.planMode });
 
         console.log("Categorization completed:", results);
 
+        // A dry run leaves the tree untouched, so it does not count as a sort
+        if (data.planMode) {
+            sendResponse({ success: true, data: results });
+            return;
+        }
+
         // Update last sort time and save generated categories
         const updatedSettings = {
             ...settings.bookmarkMindSettings,
@@ -643,9 +1106,11 @@ async function handleBulkCategorization(data, sendResponse) {
             );
         }
 
-        if (!settings.bookmarkMindSettings.apiKey) {
-            throw new Error(
-                "API key not configured. Please set up your Gemini API key in settings."
+        const aiProcessor = new AIProcessor();
+        aiProcessor.configureFromSettings(settings.bookmarkMindSettings);
+        if (!aiProcessor.hasConfiguredProvider()) {
+            console.log(
+                "No AI provider configured, bookmarks will be organized with offline rules"
             );
         }
         console.log("✓ Settings validated");
@@ -720,14 +1185,11 @@ async function handleApiKeyTest(data, sendResponse) {
             );
         }
 
+        // data carries the settings keys of the provider under test
         const aiProcessor = new AIProcessor();
-        aiProcessor.setApiKey(
-            data.apiKey,
-            data.cerebrasApiKey || null,
-            data.groqApiKey || null
-        );
+        aiProcessor.providers.configure(data);
 
-        const isValid = await aiProcessor.testApiKey();
+        const isValid = await aiProcessor.testApiKey(data.provider || "gemini");
         sendResponse({ success: true, valid: isValid });
     } catch (_error) {
         console.error("API key test _error:", _error);
@@ -788,17 +1250,10 @@ async function handleGetStats(sendResponse) {
 /**
  * Handle bookmark export request
  */
-async function handleExportBookmarks(sendResponse) {
+async function handleExportBookmarks(data, sendResponse) {
     try {
-        // Check if FolderManager class is available
-        if (typeof FolderManager === "undefined") {
-            throw new Error(
-                "FolderManager class not loaded. Please reload the extension."
-            );
-        }
-
-        const folderManager = new FolderManager();
-        const exportData = await folderManager.exportOrganization();
+        const exporter = new BookmarkExporter();
+        const exportData = await exporter.export(data || {});
 
         sendResponse({ success: true, data: exportData });
     } catch (_error) {
@@ -968,6 +1423,71 @@ async function handleDeleteSnapshot(data, sendResponse) {
     }
 }
 
+/**
+ * Handle restore of chosen folders and bookmarks from a snapshot, merged
+ * into the current bookmarks
+ */
+async function handleRestoreSnapshotSelection(data, sendResponse) {
+    const movedIds = [];
+    isRestoringSnapshot = true;
+    try {
+        if (!data?.snapshotId) {
+            throw new Error("Snapshot ID is required");
+        }
+
+        const snapshotManager = new SnapshotManager();
+        const results = await snapshotManager.restoreSelection(
+            data.snapshotId,
+            data.nodeIds,
+            (bookmarkId) => {
+                // Putting a bookmark back is not a user correction to learn from
+                aiCategorizedBookmarks.add(bookmarkId);
+                movedIds.push(bookmarkId);
+            }
+        );
+
+        sendResponse({ success: true, data: results });
+    } catch (_error) {
+        console.error("Restore snapshot selection _error:", _error);
+        sendResponse({
+            success: false,
+            error: _error.message || "Failed to restore selection",
+        });
+    } finally {
+        releaseAIMovedBookmarks(movedIds);
+        // onCreated events for recreated bookmarks arrive after the calls return
+        setTimeout(() => {
+            isRestoringSnapshot = false;
+        }, 5000);
+    }
+}
+
+/**
+ * Handle compare snapshots request. Without toId the snapshot is compared
+ * with the current bookmarks.
+ */
+async function handleCompareSnapshots(data, sendResponse) {
+    try {
+        if (!data?.fromId) {
+            throw new Error("Snapshot ID is required");
+        }
+
+        const snapshotManager = new SnapshotManager();
+        const comparison = await snapshotManager.compareSnapshots(
+            data.fromId,
+            data.toId || null
+        );
+
+        sendResponse({ success: true, data: comparison });
+    } catch (_error) {
+        console.error("Compare snapshots _error:", _error);
+        sendResponse({
+            success: false,
+            error: _error.message || "Failed to compare snapshots",
+        });
+    }
+}
+
 /**
  * Handle analytics request
  */
@@ -1510,25 +2030,20 @@ async function handleStartABTest(data, sendResponse) {
         const result = await chrome.storage.sync.get(["bookmarkMindSettings"]);
         const settings = result.bookmarkMindSettings || {};
 
-        if (!settings.apiKey) {
-            throw new Error("API key not configured");
-        }
-
         // Initialize AI processor
         const aiProcessor = new AIProcessor();
-        aiProcessor.setApiKey(
-            settings.apiKey,
-            settings.cerebrasApiKey,
-            settings.groqApiKey
-        );
+        aiProcessor.configureFromSettings(settings);
+
+        if (!aiProcessor.hasConfiguredProvider()) {
+            throw new Error("API key not configured");
+        }
 
         // Process with both models
         const startTimeA = Date.now();
         const resultsA = await processWithSpecificModel(
             modelA,
             bookmarks,
-            aiProcessor,
-            settings
+            aiProcessor
         );
         resultsA.time = Date.now() - startTimeA;
 
@@ -1536,8 +2051,7 @@ async function handleStartABTest(data, sendResponse) {
         const resultsB = await processWithSpecificModel(
             modelB,
             bookmarks,
-            aiProcessor,
-            settings
+            aiProcessor
         );
         resultsB.time = Date.now() - startTimeB;
 
@@ -1607,62 +2121,25 @@ async function handleStartABTest(data, sendResponse) {
  * Process bookmarks with a specific model
  * @param {string} modelName - Model name to use
  * @param {Array} bookmarks - Bookmarks to process
- * @param {AIProcessor} aiProcessor - AI processor instance
- * @param {Object} settings - Settings object
+ * @param {AIProcessor} aiProcessor - AI processor configured from settings
  * @returns {Promise<Object>} Results with categories, success, and metrics
  */
-async function processWithSpecificModel(
-    modelName,
-    bookmarks,
-    aiProcessor,
-    settings
-) {
+async function processWithSpecificModel(modelName, bookmarks, aiProcessor) {
     try {
-        // Determine provider and process accordingly
-        let provider = "gemini";
-        if (
-            modelName.includes("llama") ||
-            modelName.includes("qwen") ||
-            modelName.includes("gpt-oss")
-        ) {
-            if (
-                settings.cerebrasApiKey &&
-                !modelName.includes("versatile") &&
-                !modelName.includes("instant")
-            ) {
-                provider = "cerebras";
-            } else if (settings.groqApiKey) {
-                provider = "groq";
-            }
+        // The provider that lists the model handles it
+        await aiProcessor.providers.loadModels();
+        const model = aiProcessor.providers.findModel(modelName);
+        if (!model) {
+            throw new Error(`No configured provider offers model ${modelName}`);
         }
+        const provider = model.provider;
 
-        // Build the prompt for categorization
-        const prompt = await aiProcessor._buildPrompt(bookmarks, [], {});
-
-        let result;
-        let inputTokens = 0;
-        let outputTokens = 0;
-
-        if (provider === "gemini") {
-            result = await aiProcessor._processWithGemini(
-                bookmarks,
-                [],
-                {},
-                modelName
-            );
-        } else if (provider === "cerebras") {
-            result = await aiProcessor._processWithCerebras(
-                prompt,
-                bookmarks,
-                modelName
-            );
-        } else if (provider === "groq") {
-            result = await aiProcessor._processWithGroq(
-                prompt,
-                bookmarks,
-                modelName
-            );
-        }
+        const result = await aiProcessor._processWithModel(
+            model,
+            bookmarks,
+            [],
+            {}
+        );
 
         // Extract categories from results
         const categories = [
@@ -1671,8 +2148,8 @@ async function processWithSpecificModel(
 
         // Estimate token counts (rough approximation)
         const promptText = JSON.stringify(bookmarks);
-        inputTokens = Math.ceil(promptText.length / 4);
-        outputTokens = Math.ceil(JSON.stringify(result).length / 4);
+        const inputTokens = Math.ceil(promptText.length / 4);
+        const outputTokens = Math.ceil(JSON.stringify(result).length / 4);
 
         return {
             categories,
@@ -1872,3 +2349,729 @@ async function handleClearQuotaState(sendResponse) {
         });
     }
 }
+
+/**
+ * Handle get categorization plan request
+ */
+async function handleGetCategorizationPlan(sendResponse) {
+    try {
+        const planService = new CategorizationPlan();
+        const plan = await planService.loadPlan();
+
+        sendResponse({
+            success: true,
+            data: plan
+                ? { plan, summary: planService.getSummary(plan) }
+                : null,
+        });
+    } catch (_error) {
+        console.error("Error getting categorization plan:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle apply categorization plan request (approved entries only)
+ */
+async function handleApplyCategorizationPlan(data, sendResponse) {
+    try {
+        const approvals = Array.isArray(data?.approvals) ? data.approvals : [];
+        if (approvals.length === 0) {
+            throw new Error("No plan entries were approved");
+        }
+
+        const categorizer = new Categorizer(new AIProcessor(), {
+            onMarkAsAIMoved: (bookmarkId) => {
+                aiCategorizedBookmarks.add(bookmarkId);
+            },
+        });
+
+        // Approved moves are AI moves - keep them out of learning
+        isAICategorizing = true;
+        aiCategorizationStartTime = Date.now();
+
+        let results;
+        try {
+            results = await categorizer.applyPlan(approvals, (progress) => {
+                chrome.runtime
+                    .sendMessage({
+                        action: "categorizationProgress",
+                        data: progress,
+                    })
+                    .catch(() => {});
+            });
+        } finally {
+            setTimeout(() => {
+                isAICategorizing = false;
+                aiCategorizedBookmarks.clear();
+                aiCategorizationStartTime = null;
+                logAIState("PLAN_APPLIED");
+            }, 15000);
+        }
+
+        const settings = await chrome.storage.sync.get(["bookmarkMindSettings"]);
+        await chrome.storage.sync.set({
+            bookmarkMindSettings: {
+                ...settings.bookmarkMindSettings,
+                lastSortTime: Date.now(),
+            },
+        });
+
+        sendResponse({ success: true, data: results });
+    } catch (_error) {
+        console.error("Error applying categorization plan:", _error);
+        sendResponse({
+            success: false,
+            error: _error.message || "Failed to apply plan",
+        });
+    }
+}
+
+/**
+ * Handle discard categorization plan request
+ */
+async function handleDiscardCategorizationPlan(sendResponse) {
+    try {
+        await new CategorizationPlan().clearPlan();
+        sendResponse({ success: true });
+    } catch (_error) {
+        console.error("Error discarding categorization plan:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Get user categorization rules with their fire stats
+ */
+async function handleGetCategorizationRules(sendResponse) {
+    try {
+        const rulesEngine = new RulesEngine();
+        const [rules, stats] = await Promise.all([
+            rulesEngine.getRules(),
+            rulesEngine.getStats(),
+        ]);
+        sendResponse({ success: true, data: { rules, stats } });
+    } catch (_error) {
+        console.error("Error loading categorization rules:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Add a categorization rule, or update it when it has an ID
+ */
+async function handleSaveCategorizationRule(data, sendResponse) {
+    try {
+        const rulesEngine = new RulesEngine();
+        const rule = data.rule.id
+            ? await rulesEngine.updateRule(data.rule.id, data.rule)
+            : await rulesEngine.addRule(data.rule);
+        sendResponse({ success: true, data: rule });
+    } catch (_error) {
+        console.error("Error saving categorization rule:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Delete a categorization rule
+ */
+async function handleDeleteCategorizationRule(data, sendResponse) {
+    try {
+        await new RulesEngine().deleteRule(data.ruleId);
+        sendResponse({ success: true });
+    } catch (_error) {
+        console.error("Error deleting categorization rule:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Test a sample bookmark against the categorization rules
+ */
+async function handleTestCategorizationRules(data, sendResponse) {
+    try {
+        const result = await new RulesEngine().testBookmark(
+            { url: data.url, title: data.title },
+            data.rules || null
+        );
+        sendResponse({ success: true, data: result });
+    } catch (_error) {
+        console.error("Error testing categorization rules:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Export categorization rules
+ */
+async function handleExportCategorizationRules(sendResponse) {
+    try {
+        const exportData = await new RulesEngine().exportRules();
+        sendResponse({ success: true, data: exportData });
+    } catch (_error) {
+        console.error("Error exporting categorization rules:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Import categorization rules
+ */
+async function handleImportCategorizationRules(data, sendResponse) {
+    try {
+        const result = await new RulesEngine().importRules(
+            data.rulesData,
+            data.merge
+        );
+        sendResponse({ success: true, data: result });
+    } catch (_error) {
+        console.error("Error importing categorization rules:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Get the user's category taxonomy
+ */
+async function handleGetTaxonomy(sendResponse) {
+    try {
+        const taxonomy = await new Taxonomy().getTaxonomy();
+        sendResponse({ success: true, data: taxonomy });
+    } catch (_error) {
+        console.error("Error loading taxonomy:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Validate and save the user's category taxonomy
+ */
+async function handleSaveTaxonomy(data, sendResponse) {
+    try {
+        const taxonomy = await new Taxonomy().saveTaxonomy(data.taxonomy);
+        sendResponse({ success: true, data: taxonomy });
+    } catch (_error) {
+        console.error("Error saving taxonomy:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * List the built-in taxonomy templates
+ */
+async function handleGetTaxonomyTemplates(sendResponse) {
+    try {
+        const templates = new TaxonomyTemplates().getTemplates();
+        sendResponse({ success: true, data: templates });
+    } catch (_error) {
+        console.error("Error loading taxonomy templates:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Export the user's category taxonomy
+ */
+async function handleExportTaxonomy(sendResponse) {
+    try {
+        const exportData = await new Taxonomy().exportTaxonomy();
+        sendResponse({ success: true, data: exportData });
+    } catch (_error) {
+        console.error("Error exporting taxonomy:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Import a category taxonomy, replacing the saved one
+ */
+async function handleImportTaxonomy(data, sendResponse) {
+    try {
+        const taxonomy = await new Taxonomy().importTaxonomy(data.taxonomyData);
+        sendResponse({ success: true, data: taxonomy });
+    } catch (_error) {
+        console.error("Error importing taxonomy:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Reset categorization rule fire stats
+ */
+async function handleResetCategorizationRuleStats(sendResponse) {
+    try {
+        await new RulesEngine().resetStats();
+        sendResponse({ success: true });
+    } catch (_error) {
+        console.error("Error resetting rule stats:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle get schedule status request
+ */
+async function handleGetScheduleStatus(sendResponse) {
+    try {
+        const { bookmarkMindSettings } = await chrome.storage.sync.get([
+            "bookmarkMindSettings",
+        ]);
+        const scheduler = new OrganizationScheduler();
+        sendResponse({
+            success: true,
+            data: await scheduler.getStatus(bookmarkMindSettings),
+        });
+    } catch (_error) {
+        console.error("_error getting schedule status:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle save schedule request
+ */
+async function handleSaveSchedule(data, sendResponse) {
+    try {
+        const scheduler = new OrganizationScheduler();
+        const schedule = scheduler.normalizeSchedule(data.schedule);
+        if (schedule.scope === "folder" && !schedule.folderId) {
+            throw new Error("Choose a folder for folder-scoped runs");
+        }
+
+        const { bookmarkMindSettings } = await chrome.storage.sync.get([
+            "bookmarkMindSettings",
+        ]);
+        const settings = { ...(bookmarkMindSettings || {}), schedule };
+        await chrome.storage.sync.set({ bookmarkMindSettings: settings });
+        await scheduler.reschedule(settings);
+
+        sendResponse({
+            success: true,
+            data: await scheduler.getStatus(settings),
+        });
+    } catch (_error) {
+        console.error("_error saving schedule:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle run scheduled organization now request
+ */
+async function handleRunScheduledOrganizationNow(sendResponse) {
+    try {
+        const run = await runScheduledOrganization("manual");
+        sendResponse({ success: true, data: run });
+    } catch (_error) {
+        console.error("_error running scheduled organization:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle clear schedule history request
+ */
+async function handleClearScheduleHistory(sendResponse) {
+    try {
+        await new OrganizationScheduler().clearHistory();
+        sendResponse({ success: true });
+    } catch (_error) {
+        console.error("_error clearing schedule history:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle get categorization session request
+ */
+async function handleGetCategorizationSession(sendResponse) {
+    try {
+        const session = await new Categorizer().getSession();
+        sendResponse({ success: true, data: session });
+    } catch (_error) {
+        console.error("_error getting categorization session:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle pause categorization request
+ */
+async function handlePauseCategorization(sendResponse) {
+    try {
+        const session = await new Categorizer().pause();
+        sendResponse({ success: true, data: session });
+    } catch (_error) {
+        console.error("_error pausing categorization:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle resume categorization request
+ */
+async function handleResumeCategorization(sendResponse) {
+    try {
+        const session = await new Categorizer().resume();
+        sendResponse({ success: true, data: session });
+    } catch (_error) {
+        console.error("_error resuming categorization:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle cancel categorization request, optionally rolling back to the
+ * snapshot taken before the run
+ */
+async function handleCancelCategorization(data, sendResponse) {
+    try {
+        const categorizer = new Categorizer(new AIProcessor(), {
+            onFinished: finishScheduledRun,
+        });
+        const session = await categorizer.cancel();
+        endBackgroundAIMode();
+
+        let rollback = null;
+        if (data?.rollback && session.snapshotId && !session.planMode) {
+            // Self-sent startSnapshotRestore messages never arrive, so the
+            // learning guard is raised here directly
+            isRestoringSnapshot = true;
+            try {
+                rollback = await new SnapshotManager().restoreSnapshot(
+                    session.snapshotId
+                );
+            } finally {
+                setTimeout(() => {
+                    isRestoringSnapshot = false;
+                }, 5000);
+            }
+        }
+
+        sendResponse({ success: true, data: { session, rollback } });
+    } catch (_error) {
+        console.error("_error cancelling categorization:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle bookmark file import request, optionally organizing the imported
+ * bookmarks with the AI afterwards
+ */
+async function handleImportBookmarks(data, sendResponse) {
+    try {
+        if (!data?.content) {
+            throw new Error("Import file is empty");
+        }
+
+        const importer = new BookmarkImporter();
+        const parsed = importer.parse(data.content, data.fileName);
+        if (parsed.items.length === 0 && parsed.invalid.length === 0) {
+            throw new Error("No bookmarks found in the import file");
+        }
+
+        let report;
+        isImportingBookmarks = true;
+        try {
+            report = await importer.importItems(parsed, {
+                preserveFolders: data.options?.preserveFolders !== false,
+            });
+        } finally {
+            isImportingBookmarks = false;
+        }
+
+        report.categorization = null;
+        if (data.options?.categorize && report.imported > 0) {
+            const { bookmarkMindSettings } = await chrome.storage.sync.get([
+                "bookmarkMindSettings",
+            ]);
+            const categorizer = new Categorizer(new AIProcessor(), {
+                onMarkAsAIMoved: (bookmarkId) => {
+                    aiCategorizedBookmarks.add(bookmarkId);
+                },
+                onFinished: finishScheduledRun,
+            });
+            await categorizer.initialize(bookmarkMindSettings || {});
+
+            isAICategorizing = true;
+            aiCategorizationStartTime = Date.now();
+            try {
+                report.categorization = await categorizer.categorizeAllBookmarks(
+                    null,
+                    true,
+                    { folderId: report.folderId }
+                );
+            } catch (_error) {
+                report.categorization = { error: _error.message };
+            }
+            // Started runs continue on batch alarms and end in finishScheduledRun
+            if (!report.categorization?.started) {
+                endBackgroundAIMode();
+            }
+        }
+
+        sendResponse({ success: true, data: report });
+    } catch (_error) {
+        console.error("_error importing bookmarks:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle get review queue request
+ */
+async function handleGetReviewQueue(sendResponse) {
+    try {
+        const queue = await new ReviewQueue().getQueue();
+        sendResponse({ success: true, data: queue });
+    } catch (_error) {
+        console.error("_error getting review queue:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle accept, reassign and skip requests for low-confidence bookmarks
+ * @param {string} action - "accept", "reassign" or "skip"
+ * @param {Object} data - {bookmarkId, category}
+ */
+async function handleReviewAction(action, data, sendResponse) {
+    try {
+        if (!data?.bookmarkId) {
+            throw new Error("Bookmark ID is required");
+        }
+
+        const reviewQueue = new ReviewQueue();
+        const movedIds = [];
+        const markAsAIMoved = (bookmarkId) => {
+            aiCategorizedBookmarks.add(bookmarkId);
+            movedIds.push(bookmarkId);
+        };
+
+        if (action === "accept") {
+            await reviewQueue.accept(data.bookmarkId, markAsAIMoved);
+        } else if (action === "reassign") {
+            await reviewQueue.reassign(
+                data.bookmarkId,
+                data.category,
+                markAsAIMoved
+            );
+        } else {
+            await reviewQueue.remove(data.bookmarkId);
+        }
+        releaseAIMovedBookmarks(movedIds);
+
+        sendResponse({ success: true, data: await reviewQueue.getQueue() });
+    } catch (_error) {
+        console.error(`_error handling review ${action}:`, _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle get link health report request
+ */
+async function handleGetLinkHealthReport(sendResponse) {
+    try {
+        const report = await new LinkHealthChecker().getReport();
+        sendResponse({
+            success: true,
+            data: { report, running: linkHealthScan !== null },
+        });
+    } catch (_error) {
+        console.error("_error getting link health report:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle link health check request
+ */
+async function handleCheckLinkHealth(sendResponse) {
+    try {
+        const report = await runLinkHealthCheck();
+        sendResponse({ success: true, data: report });
+    } catch (_error) {
+        console.error("_error checking link health:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle bulk delete, archive and Wayback Machine actions on broken links
+ * @param {Object} data - {action, bookmarkIds}
+ */
+async function handleApplyLinkHealthAction(data, sendResponse) {
+    try {
+        if (!data?.bookmarkIds?.length) {
+            throw new Error("Select at least one bookmark");
+        }
+
+        const movedIds = [];
+        const result = await new LinkHealthChecker().applyAction(
+            data.action,
+            data.bookmarkIds,
+            (bookmarkId) => {
+                // Archiving is housekeeping, not a categorization to learn from
+                aiCategorizedBookmarks.add(bookmarkId);
+                movedIds.push(bookmarkId);
+            }
+        );
+        releaseAIMovedBookmarks(movedIds);
+
+        sendResponse({ success: true, data: result });
+    } catch (_error) {
+        console.error("_error applying link health action:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Build a folder merge analyzer with the user's AI settings
+ * @returns {Promise<FolderMergeAnalyzer>} Analyzer
+ */
+async function createFolderMergeAnalyzer() {
+    const { bookmarkMindSettings } = await chrome.storage.sync.get([
+        "bookmarkMindSettings",
+    ]);
+    const aiProcessor = new AIProcessor();
+    aiProcessor.configureFromSettings(bookmarkMindSettings || {});
+    return new FolderMergeAnalyzer(aiProcessor);
+}
+
+/**
+ * Handle folder merge preview request
+ */
+async function handleGetFolderMergeProposals(data, sendResponse) {
+    try {
+        const analyzer = await createFolderMergeAnalyzer();
+        const proposals = await analyzer.analyze({ useAI: !!data?.useAI });
+        sendResponse({ success: true, data: proposals });
+    } catch (_error) {
+        console.error("_error finding similar folders:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle request to merge the selected folder proposals
+ */
+async function handleApplyFolderMerges(data, sendResponse) {
+    try {
+        const movedIds = [];
+        const analyzer = await createFolderMergeAnalyzer();
+        const result = await analyzer.applyMerges(data?.proposals, (bookmarkId) => {
+            // Merging folders is housekeeping, not a categorization to learn from
+            aiCategorizedBookmarks.add(bookmarkId);
+            movedIds.push(bookmarkId);
+        });
+        releaseAIMovedBookmarks(movedIds);
+
+        sendResponse({ success: true, data: result });
+    } catch (_error) {
+        console.error("_error merging folders:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle duplicate preview request
+ */
+async function handleGetDuplicateGroups(data, sendResponse) {
+    try {
+        const duplicateManager = new DuplicateManager();
+        const groups = await duplicateManager.findDuplicates({
+            includeTitles: !!data?.includeTitles,
+            strategy: data?.strategy,
+        });
+        sendResponse({ success: true, data: groups });
+    } catch (_error) {
+        console.error("_error finding duplicates:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle request to remove the selected duplicate groups
+ */
+async function handleRemoveDuplicates(data, sendResponse) {
+    try {
+        const duplicateManager = new DuplicateManager();
+        const result = await duplicateManager.removeDuplicates(data?.groups, {
+            strategy: data?.strategy,
+        });
+        sendResponse({ success: true, data: result });
+    } catch (_error) {
+        console.error("_error removing duplicates:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle request for the recorded change sessions, newest first
+ */
+async function handleGetJournalSessions(sendResponse) {
+    try {
+        const sessions = await new OperationJournal().getSessions();
+        sendResponse({ success: true, data: sessions });
+    } catch (_error) {
+        console.error("_error loading change history:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle request for one change session with its entries
+ */
+async function handleGetJournalSession(data, sendResponse) {
+    try {
+        const session = await new OperationJournal().getSession(data?.sessionId);
+        if (!session) {
+            throw new Error("Change session not found");
+        }
+        sendResponse({ success: true, data: session });
+    } catch (_error) {
+        console.error("_error loading change session:", _error);
+        sendResponse({ success: false, error: _error.message });
+    }
+}
+
+/**
+ * Handle undo of a whole change session, or of one bookmark in it when
+ * data.bookmarkId is set
+ */
+async function handleUndoJournal(data, sendResponse) {
+    const movedIds = [];
+    const onMarkAsAIMoved = (bookmarkId) => {
+        // Putting a bookmark back is not a user correction to learn from
+        aiCategorizedBookmarks.add(bookmarkId);
+        movedIds.push(bookmarkId);
+    };
+
+    isUndoingOperations = true;
+    try {
+        if (!data?.sessionId) {
+            throw new Error("Choose a change session to undo");
+        }
+        const journal = new OperationJournal();
+        const result = data.bookmarkId
+            ? await journal.undoBookmark(
+                  data.sessionId,
+                  data.bookmarkId,
+                  onMarkAsAIMoved
+              )
+            : await journal.undoSession(data.sessionId, onMarkAsAIMoved);
+        sendResponse({ success: true, data: result });
+    } catch (_error) {
+        console.error("_error undoing changes:", _error);
+        sendResponse({ success: false, error: _error.message });
+    } finally {
+        releaseAIMovedBookmarks(movedIds);
+        // onCreated events for recreated bookmarks arrive after the calls return
+        setTimeout(() => {
+            isUndoingOperations = false;
+        }, 5000);
+    }
+}
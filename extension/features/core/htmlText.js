@@ -0,0 +1,66 @@
+/**
+ * BookmarkMind - HTML Text
+ * Attribute parsing and entity decoding shared by everything that reads raw
+ * HTML with regular expressions, since the service worker has no DOMParser.
+ */
+
+export class HtmlText {
+  constructor() {
+    this.ENTITIES = {
+      amp: '&',
+      lt: '<',
+      gt: '>',
+      quot: '"',
+      apos: "'",
+      nbsp: ' ',
+      ndash: '–',
+      mdash: '—',
+      hellip: '…',
+      rsquo: '’',
+      lsquo: '‘',
+      rdquo: '”',
+      ldquo: '“',
+      copy: '©',
+      reg: '®',
+      trade: '™'
+    };
+  }
+
+  /**
+   * Parse tag attributes into an object with lowercased names
+   * @param {string} source - Opening tag or its attribute text
+   * @returns {Object} Attribute names → values
+   */
+  parseAttributes(source = '') {
+    const attributes = {};
+    for (const match of source.matchAll(
+      /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g
+    )) {
+      attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+    }
+    return attributes;
+  }
+
+  /**
+   * Decode named and numeric HTML entities. References outside the Unicode
+   * range are left as written.
+   * @param {string} text - Text with entities
+   * @returns {string} Decoded text
+   */
+  decodeEntities(text = '') {
+    return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point =
+          code[1].toLowerCase() === 'x'
+            ? Number.parseInt(code.slice(2), 16)
+            : Number.parseInt(code.slice(1), 10);
+        try {
+          return String.fromCodePoint(point);
+        } catch (_error) {
+          return entity;
+        }
+      }
+      return this.ENTITIES[code.toLowerCase()] ?? entity;
+    });
+  }
+}
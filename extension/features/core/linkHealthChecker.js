@@ -0,0 +1,443 @@
+import { BookmarkService } from '../bookmarks/bookmarkService.js';
+import { OperationJournal } from '../bookmarks/operationJournal.js';
+import { RedirectResolver } from './redirectResolver.js';
+
+/**
+ * BookmarkMind - Link Health Checker
+ * Checks every bookmark with RedirectResolver and classifies it as alive,
+ * redirected, dead (404/410), unreachable (DNS failure), timed out, parked
+ * or failing (server and connection errors).
+ * Broken links can be deleted, archived into a folder or pointed at a
+ * Wayback Machine copy.
+ */
+
+export class LinkHealthChecker {
+  constructor(resolver = new RedirectResolver()) {
+    this.resolver = resolver;
+    // A dead host would otherwise cost four timeouts
+    this.resolver.MAX_RETRIES = 1;
+    this.bookmarkService = new BookmarkService();
+    this.journal = new OperationJournal('Fixed broken links', { operationType: 'link_health' });
+    this.bookmarkService.journal = this.journal;
+    this.ACTION_LABELS = {
+      delete: 'Deleted broken links',
+      archive: 'Archived broken links',
+      wayback: 'Replaced broken links with archived copies'
+    };
+    this.REPORT_KEY = 'linkHealth_report';
+    this.ALARM_NAME = 'link_health_check';
+    this.ARCHIVE_PATH = 'Archive > Dead';
+    this.ARCHIVE_ROOT_ID = '2'; // Other Bookmarks
+    this.INTERVAL_DAYS = { weekly: 7, monthly: 30 };
+    this.PAGE_SAMPLE_CHARS = 20000;
+    this.DNS_ERROR_PATTERN = /ENOTFOUND|EAI_AGAIN|EAI_NONAME|ERR_NAME_NOT_RESOLVED|getaddrinfo|name not resolved/i;
+    this.BROKEN_STATUSES = ['dead', 'dns', 'timeout', 'parked', 'error'];
+    // The server answered; it just refuses automated HEAD/GET requests
+    this.BLOCKED_STATUSES = [401, 403, 405, 429];
+    this.PARKING_HOSTS = [
+      'sedoparking.com',
+      'sedo.com',
+      'parkingcrew.net',
+      'bodis.com',
+      'dan.com',
+      'afternic.com',
+      'hugedomains.com',
+      'undeveloped.com',
+      'parklogic.com',
+      'above.com'
+    ];
+    this.PARKED_PATTERNS = [
+      /domain (?:name )?(?:is|may be) for sale/i,
+      /buy this domain/i,
+      /this domain (?:has been|is) parked/i,
+      /parked free,? courtesy of/i,
+      /domain parking/i
+    ];
+  }
+
+  /**
+   * Check all http(s) bookmarks and store the report
+   * @param {Function} progressCallback - Optional {completed, total, percentage} callback
+   * @returns {Promise<Object>} Report with counts and the non-alive results
+   */
+  async scan(progressCallback = null) {
+    const startedAt = Date.now();
+    const bookmarks = (await this.bookmarkService.getAllBookmarks()).filter((bookmark) =>
+      /^https?:/i.test(bookmark.url)
+    );
+    const previous = await this.getReport();
+    const brokenBefore = new Map(
+      (previous?.results || []).map((result) => [result.bookmarkId, result])
+    );
+
+    console.log(`🩺 Checking link health of ${bookmarks.length} bookmarks`);
+
+    const results = [];
+    const limit = this.resolver.CONCURRENT_LIMIT;
+    for (let i = 0; i < bookmarks.length; i += limit) {
+      const batch = bookmarks.slice(i, i + limit);
+      results.push(...(await Promise.all(batch.map((bookmark) => this.checkBookmark(bookmark)))));
+
+      if (progressCallback) {
+        progressCallback({
+          completed: results.length,
+          total: bookmarks.length,
+          percentage: Math.round((results.length / bookmarks.length) * 100)
+        });
+      }
+    }
+
+    const counts = { alive: 0, redirected: 0, dead: 0, dns: 0, timeout: 0, parked: 0, error: 0 };
+    results.forEach((result) => counts[result.status]++);
+
+    let newlyBroken = 0;
+    const stored = results
+      .filter((result) => result.status !== 'alive')
+      .map((result) => {
+        const before = brokenBefore.get(result.bookmarkId);
+        const broken = this.BROKEN_STATUSES.includes(result.status);
+        if (broken && !before?.firstBrokenAt) newlyBroken++;
+        return {
+          ...result,
+          firstBrokenAt: broken ? before?.firstBrokenAt || result.checkedAt : null
+        };
+      });
+
+    const report = {
+      checkedAt: startedAt,
+      durationMs: Date.now() - startedAt,
+      total: bookmarks.length,
+      counts,
+      broken: stored.filter((result) => this.BROKEN_STATUSES.includes(result.status)).length,
+      newlyBroken,
+      results: stored
+    };
+
+    await chrome.storage.local.set({ [this.REPORT_KEY]: report });
+
+    console.log('🩺 Link health check complete:', counts);
+    return report;
+  }
+
+  /**
+   * Check and classify one bookmark
+   * @param {Object} bookmark - Bookmark with id, title, url, parentId
+   * @returns {Promise<Object>} {bookmarkId, title, url, status, httpStatus, finalUrl, error, checkedAt}
+   */
+  async checkBookmark(bookmark) {
+    const resolution = await this.resolver.resolveUrl(bookmark.url, 0, { skipCache: true });
+    let status = this.classify(resolution);
+    let finalUrl = resolution.finalUrl || bookmark.url;
+    let httpStatus = resolution.success ? resolution.status : null;
+
+    // HEAD responses carry no body, so live pages get one GET to spot parked domains
+    if (status === 'alive' || status === 'redirected') {
+      const page = await this._inspectPage(finalUrl);
+      if (page) {
+        finalUrl = page.url || finalUrl;
+        httpStatus = page.status;
+        if (page.parked || this._isParkingHost(finalUrl)) {
+          status = 'parked';
+        } else if (page.status === 404 || page.status === 410) {
+          status = 'dead';
+        } else if (page.status >= 500) {
+          status = 'error';
+        } else {
+          status = this._sameUrl(finalUrl, bookmark.url) ? 'alive' : 'redirected';
+        }
+      }
+    }
+
+    return {
+      bookmarkId: bookmark.id,
+      title: bookmark.title,
+      url: bookmark.url,
+      parentId: bookmark.parentId,
+      dateAdded: bookmark.dateAdded,
+      status,
+      httpStatus,
+      finalUrl: this._sameUrl(finalUrl, bookmark.url) ? null : finalUrl,
+      error: resolution.error || null,
+      checkedAt: Date.now()
+    };
+  }
+
+  /**
+   * Classify a RedirectResolver result
+   * @param {Object} resolution - Result of resolveUrl()
+   * @returns {string} alive, redirected, dead, dns, timeout, parked or error
+   */
+  classify(resolution) {
+    if (!resolution.success) {
+      if (this._isTimeout(resolution)) return 'timeout';
+      // TLS errors, refused connections and the like are not DNS failures
+      return this._isDnsFailure(resolution) ? 'dns' : 'error';
+    }
+
+    const status = resolution.status;
+    if (status === 404 || status === 410) return 'dead';
+    if (this._isParkingHost(resolution.finalUrl)) return 'parked';
+    if (typeof status === 'number' && status >= 400 && !this.BLOCKED_STATUSES.includes(status)) {
+      return 'error';
+    }
+    // Status 0 is an opaque redirect: the browser hid where it leads
+    if (status === 0 || !this._sameUrl(resolution.finalUrl, resolution.originalUrl)) {
+      return 'redirected';
+    }
+    return 'alive';
+  }
+
+  /**
+   * Get the last stored report
+   * @returns {Promise<Object|null>} Report
+   */
+  async getReport() {
+    const stored = await chrome.storage.local.get(this.REPORT_KEY);
+    return stored[this.REPORT_KEY] || null;
+  }
+
+  /**
+   * Apply a bulk action to broken bookmarks
+   * @param {string} action - delete, archive or wayback
+   * @param {Array<string>} bookmarkIds - Bookmarks to act on
+   * @param {Function} onMarkAsAIMoved - Called before archive moves so they are not learned from
+   * @returns {Promise<Object>} {succeeded, failed, report}
+   */
+  async applyAction(action, bookmarkIds, onMarkAsAIMoved = null) {
+    if (!['delete', 'archive', 'wayback'].includes(action)) {
+      throw new Error(`Unknown link action: ${action}`);
+    }
+
+    const report = await this.getReport();
+    const entries = new Map((report?.results || []).map((result) => [result.bookmarkId, result]));
+    const succeeded = [];
+    const failed = [];
+    await this.journal.startSession(this.ACTION_LABELS[action], { operationType: 'link_health' });
+    try {
+      const archiveFolderId =
+        action === 'archive'
+          ? await this.bookmarkService.findOrCreateFolderByPath(
+              this.ARCHIVE_PATH,
+              this.ARCHIVE_ROOT_ID
+            )
+          : null;
+
+      for (const bookmarkId of bookmarkIds) {
+        const entry = entries.get(bookmarkId);
+        try {
+          if (!entry) {
+            throw new Error('Not in the last link check');
+          }
+
+          if (action === 'delete') {
+            await this.journal.remove(bookmarkId);
+          } else if (action === 'archive') {
+            onMarkAsAIMoved?.(bookmarkId);
+            await this.journal.move(bookmarkId, { parentId: archiveFolderId });
+          } else {
+            const archivedUrl = await this.findArchivedCopy(entry.url, entry.dateAdded);
+            if (!archivedUrl) {
+              throw new Error('No archived copy found');
+            }
+            await this.journal.update(bookmarkId, { url: archivedUrl });
+          }
+          succeeded.push(bookmarkId);
+        } catch (_error) {
+          failed.push({ bookmarkId, title: entry?.title || bookmarkId, error: _error.message });
+        }
+      }
+    } finally {
+      await this.journal.endSession();
+    }
+
+    const updated = await this._dropResults(report, succeeded);
+    console.log(`🩺 Link action "${action}": ${succeeded.length} done, ${failed.length} failed`);
+    return { succeeded, failed, report: updated };
+  }
+
+  /**
+   * Find the Wayback Machine snapshot closest to when the bookmark was saved
+   * @param {string} url - Original URL
+   * @param {number} dateAdded - Bookmark creation time
+   * @returns {Promise<string|null>} Snapshot URL
+   */
+  async findArchivedCopy(url, dateAdded = null) {
+    const params = new URLSearchParams({ url });
+    if (dateAdded) {
+      params.set('timestamp', new Date(dateAdded).toISOString().slice(0, 10).replace(/-/g, ''));
+    }
+
+    const response = await fetch(`https://archive.org/wayback/available?${params}`);
+    if (!response.ok) {
+      throw new Error(`Wayback Machine returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    const closest = data?.archived_snapshots?.closest;
+    if (!closest?.available || !closest.url) return null;
+    return closest.url.replace(/^http:/, 'https:');
+  }
+
+  /**
+   * Arm or clear the recurring check for the configured interval
+   * @param {Object} settings - bookmarkMindSettings
+   * @returns {Promise<number|null>} Days between checks, or null when off
+   */
+  async reschedule(settings) {
+    const days = this.INTERVAL_DAYS[settings?.linkCheckInterval];
+    if (!days) {
+      await chrome.alarms.clear(this.ALARM_NAME);
+      return null;
+    }
+
+    const period = days * 24 * 60;
+    const existing = await chrome.alarms.get(this.ALARM_NAME);
+    // Re-creating the alarm on every worker start would push the check back forever
+    if (existing?.periodInMinutes !== period) {
+      await chrome.alarms.create(this.ALARM_NAME, {
+        delayInMinutes: period,
+        periodInMinutes: period
+      });
+      console.log(`🩺 Link health check scheduled every ${days} days`);
+    }
+    return days;
+  }
+
+  /**
+   * Tell the user about links that broke since the previous check
+   * @param {Object} report - Scan report
+   */
+  async notify(report) {
+    if (!report.newlyBroken) return;
+
+    await chrome.notifications.create(`link_health_${report.checkedAt}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: 'BookmarkMind: broken links found',
+      message: `${report.newlyBroken} bookmark${report.newlyBroken === 1 ? '' : 's'} stopped working since the last check. Open BookmarkMind to review them.`
+    });
+  }
+
+  /**
+   * Remove handled bookmarks from the stored report
+   * @param {Object|null} report - Stored report
+   * @param {Array<string>} bookmarkIds - Handled bookmarks
+   * @returns {Promise<Object|null>} Updated report
+   */
+  async _dropResults(report, bookmarkIds) {
+    if (!report || bookmarkIds.length === 0) return report;
+
+    const handled = new Set(bookmarkIds);
+    const removed = report.results.filter((result) => handled.has(result.bookmarkId));
+    const counts = { ...report.counts };
+    removed.forEach((result) => counts[result.status]--);
+
+    const results = report.results.filter((result) => !handled.has(result.bookmarkId));
+    const updated = {
+      ...report,
+      counts,
+      results,
+      broken: results.filter((result) => this.BROKEN_STATUSES.includes(result.status)).length
+    };
+    await chrome.storage.local.set({ [this.REPORT_KEY]: updated });
+    return updated;
+  }
+
+  /**
+   * Fetch the start of a page to see where it lands and whether it is parked.
+   * Only HTML is read, and only its first PAGE_SAMPLE_CHARS characters, so
+   * PDFs, videos and large files are never downloaded in full.
+   * @param {string} url - URL to load
+   * @returns {Promise<Object|null>} {url, status, parked}, or null when it cannot be loaded
+   */
+  async _inspectPage(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.resolver.REQUEST_TIMEOUT);
+
+    try {
+      const response = await fetch(url, { method: 'GET', signal: controller.signal });
+      const type = response.headers.get('content-type') || '';
+      let text = '';
+      if (/html/i.test(type)) {
+        text = await this._readStart(response);
+      } else {
+        await response.body?.cancel().catch(() => {});
+      }
+      return {
+        url: response.url,
+        status: response.status,
+        parked: this.PARKED_PATTERNS.some((pattern) => pattern.test(text))
+      };
+    } catch (_error) {
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Read the start of a response body and stop downloading the rest
+   * @param {Response} response - Fetch response
+   * @returns {Promise<string>} Up to PAGE_SAMPLE_CHARS characters
+   */
+  async _readStart(response) {
+    if (!response.body) return '';
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    while (text.length < this.PAGE_SAMPLE_CHARS) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value, { stream: true });
+    }
+    await reader.cancel().catch(() => {});
+    return text.slice(0, this.PAGE_SAMPLE_CHARS);
+  }
+
+  /**
+   * Check whether a URL points at a known domain-parking service
+   * @param {string} url - URL
+   * @returns {boolean} True for parking hosts
+   */
+  _isParkingHost(url) {
+    try {
+      const host = new URL(url).hostname.toLowerCase();
+      return this.PARKING_HOSTS.some((parking) => host === parking || host.endsWith(`.${parking}`));
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  /**
+   * Compare URLs the way the browser normalizes them ("a.com" and "a.com/")
+   * @param {string} a - URL
+   * @param {string} b - URL
+   * @returns {boolean} True when both point at the same address
+   */
+  _sameUrl(a, b) {
+    try {
+      return new URL(a).href === new URL(b).href;
+    } catch (_error) {
+      return a === b;
+    }
+  }
+
+  /**
+   * Check whether a failed resolution could not look up the host name
+   * @param {Object} resolution - Failed resolveUrl() result
+   * @returns {boolean} True for name-resolution failures
+   */
+  _isDnsFailure(resolution) {
+    return this.DNS_ERROR_PATTERN.test(`${resolution.errorCode || ''} ${resolution.error || ''}`);
+  }
+
+  /**
+   * Check whether a failed resolution ran out of time
+   * @param {Object} resolution - Failed resolveUrl() result
+   * @returns {boolean} True for timeouts
+   */
+  _isTimeout(resolution) {
+    return resolution.errorName === 'AbortError' || /abort|time(?:d )?out/i.test(resolution.error || '');
+  }
+}
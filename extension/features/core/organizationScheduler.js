@@ -0,0 +1,497 @@
+import { BookmarkService } from "../bookmarks/bookmarkService.js";
+import { FolderConsolidator } from "../bookmarks/folderConsolidator.js";
+import { SnapshotManager } from "../bookmarks/snapshotManager.js";
+
+/**
+ * BookmarkMind - Organization Scheduler
+ * Runs recurring organization passes from chrome.alarms. The next run time
+ * and the run in progress are kept in storage so a restarted service worker
+ * picks up where the previous one stopped.
+ */
+
+export class OrganizationScheduler {
+    constructor() {
+        this.bookmarkService = new BookmarkService();
+        this.folderConsolidator = new FolderConsolidator();
+        this.snapshotManager = new SnapshotManager();
+        this.ALARM_NAME = "scheduled_organization_run";
+        this.STATE_KEY = "scheduledRunState";
+        this.HISTORY_KEY = "scheduledRunHistory";
+        this.MAX_HISTORY = 20;
+        this.MISSED_RUN_DELAY_MS = 60000;
+        this.STALE_RUN_MS = 6 * 60 * 60 * 1000;
+        this.INTERRUPTED_RUN_MS = 30 * 60 * 1000;
+        this.FREQUENCIES = ["daily", "weekly", "custom"];
+        this.SCOPES = ["uncategorized", "folder", "maintenance"];
+    }
+
+    /**
+     * Get the default schedule
+     * @returns {Object} Schedule
+     */
+    getDefaultSchedule() {
+        return {
+            enabled: false,
+            frequency: "daily",
+            time: "03:00",
+            dayOfWeek: 0,
+            intervalHours: 12,
+            quietHoursEnabled: false,
+            quietStart: "22:00",
+            quietEnd: "07:00",
+            scope: "uncategorized",
+            folderId: "",
+        };
+    }
+
+    /**
+     * Fill in defaults and drop invalid values
+     * @param {Object} schedule - Stored schedule
+     * @returns {Object} Complete schedule
+     */
+    normalizeSchedule(schedule = {}) {
+        const defaults = this.getDefaultSchedule();
+        const merged = { ...defaults, ...(schedule || {}) };
+
+        return {
+            enabled: merged.enabled === true,
+            frequency: this.FREQUENCIES.includes(merged.frequency)
+                ? merged.frequency
+                : defaults.frequency,
+            time: this._isValidTime(merged.time) ? merged.time : defaults.time,
+            dayOfWeek: Math.min(
+                6,
+                Math.max(0, Number.parseInt(merged.dayOfWeek, 10) || 0)
+            ),
+            intervalHours: Math.max(
+                1,
+                Number.parseInt(merged.intervalHours, 10) ||
+                    defaults.intervalHours
+            ),
+            quietHoursEnabled: merged.quietHoursEnabled === true,
+            quietStart: this._isValidTime(merged.quietStart)
+                ? merged.quietStart
+                : defaults.quietStart,
+            quietEnd: this._isValidTime(merged.quietEnd)
+                ? merged.quietEnd
+                : defaults.quietEnd,
+            scope: this.SCOPES.includes(merged.scope)
+                ? merged.scope
+                : defaults.scope,
+            folderId: merged.folderId || "",
+        };
+    }
+
+    /**
+     * Calculate when the next run is due
+     * @param {Object} schedule - Normalized schedule
+     * @param {number} from - Timestamp to calculate from
+     * @param {number|null} lastRunAt - Start of the last run (custom intervals)
+     * @returns {number} Timestamp of the next run
+     */
+    getNextRunTime(schedule, from = Date.now(), lastRunAt = null) {
+        let next;
+
+        if (schedule.frequency === "custom") {
+            const interval = schedule.intervalHours * 60 * 60 * 1000;
+            next = lastRunAt ? lastRunAt + interval : from + interval;
+            // Overdue runs (browser was closed) happen shortly instead of never
+            if (next <= from) {
+                next = from + this.MISSED_RUN_DELAY_MS;
+            }
+        } else {
+            const date = this._atTime(new Date(from), schedule.time);
+            if (schedule.frequency === "weekly") {
+                const daysAhead = (schedule.dayOfWeek - date.getDay() + 7) % 7;
+                date.setDate(date.getDate() + daysAhead);
+                if (date.getTime() <= from) {
+                    date.setDate(date.getDate() + 7);
+                }
+            } else if (date.getTime() <= from) {
+                date.setDate(date.getDate() + 1);
+            }
+            next = date.getTime();
+        }
+
+        return this.deferPastQuietHours(schedule, next);
+    }
+
+    /**
+     * Check whether a time falls inside the quiet-hours window
+     * @param {Object} schedule - Normalized schedule
+     * @param {number} timestamp - Time to check
+     * @returns {boolean} True when runs must wait
+     */
+    isInQuietHours(schedule, timestamp = Date.now()) {
+        if (!schedule.quietHoursEnabled) return false;
+
+        const start = this._toMinutes(schedule.quietStart);
+        const end = this._toMinutes(schedule.quietEnd);
+        if (start === end) return false;
+
+        const date = new Date(timestamp);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        // Windows such as 22:00-07:00 wrap past midnight
+        return start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    }
+
+    /**
+     * Move a run time to the end of quiet hours when it falls inside them
+     * @param {Object} schedule - Normalized schedule
+     * @param {number} timestamp - Proposed run time
+     * @returns {number} Allowed run time
+     */
+    deferPastQuietHours(schedule, timestamp) {
+        if (!this.isInQuietHours(schedule, timestamp)) {
+            return timestamp;
+        }
+
+        const end = this._atTime(new Date(timestamp), schedule.quietEnd);
+        if (end.getTime() <= timestamp) {
+            end.setDate(end.getDate() + 1);
+        }
+        return end.getTime();
+    }
+
+    /**
+     * Re-arm the alarm after the schedule changed or a run finished
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {Promise<number|null>} Next run time, or null when disabled
+     */
+    async reschedule(settings) {
+        const schedule = this.normalizeSchedule(settings?.schedule);
+        const state = await this._loadState();
+
+        if (!schedule.enabled) {
+            await chrome.alarms.clear(this.ALARM_NAME);
+            await this._saveState({ ...state, nextRunAt: null });
+            return null;
+        }
+
+        const nextRunAt = this.getNextRunTime(
+            schedule,
+            Date.now(),
+            state.lastRunAt
+        );
+        await chrome.alarms.create(this.ALARM_NAME, { when: nextRunAt });
+        await this._saveState({ ...state, nextRunAt });
+
+        console.log(
+            `🗓️ Next scheduled organization: ${new Date(nextRunAt).toLocaleString()}`
+        );
+        return nextRunAt;
+    }
+
+    /**
+     * Restore the alarm from storage after the browser or worker restarted
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {Promise<number|null>} Next run time
+     */
+    async restoreAlarm(settings) {
+        const schedule = this.normalizeSchedule(settings?.schedule);
+        const state = await this._loadState();
+
+        if (!schedule.enabled || !state.nextRunAt) {
+            return this.reschedule(settings);
+        }
+
+        // A run that came due while the browser was closed starts shortly
+        const nextRunAt = Math.max(
+            state.nextRunAt,
+            Date.now() + this.MISSED_RUN_DELAY_MS
+        );
+        await chrome.alarms.create(this.ALARM_NAME, { when: nextRunAt });
+        await this._saveState({ ...state, nextRunAt });
+        return nextRunAt;
+    }
+
+    /**
+     * Run an organization pass
+     * @param {Object} settings - bookmarkMindSettings
+     * @param {Object} options - Run options
+     * @param {string} options.trigger - "schedule" or "manual"
+     * @param {Object} options.categorizer - Categorizer used for categorization scopes
+     * @returns {Promise<Object>} The run record, or {deferred} when quiet hours apply
+     */
+    async run(settings, options = {}) {
+        const schedule = this.normalizeSchedule(settings?.schedule);
+        const trigger = options.trigger || "schedule";
+
+        if (trigger === "schedule" && this.isInQuietHours(schedule)) {
+            const nextRunAt = this.deferPastQuietHours(schedule, Date.now());
+            await chrome.alarms.create(this.ALARM_NAME, { when: nextRunAt });
+            await this._saveState({ ...(await this._loadState()), nextRunAt });
+            console.log("🌙 Quiet hours: scheduled organization deferred");
+            return { deferred: true, nextRunAt };
+        }
+
+        await this._expireStaleRun();
+
+        const run = {
+            id: `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            trigger,
+            scope: schedule.scope,
+            folderId: schedule.scope === "folder" ? schedule.folderId : null,
+            startedAt: Date.now(),
+            finishedAt: null,
+            status: "running",
+            snapshotId: null,
+            summary: null,
+            error: null,
+        };
+
+        const blockedBy = await this._getBlockingReason(settings);
+        if (blockedBy) {
+            await this._recordRun({
+                ...run,
+                status: "skipped",
+                finishedAt: Date.now(),
+                error: blockedBy,
+            });
+            return { ...run, status: "skipped", error: blockedBy };
+        }
+
+        let state = await this._loadState();
+        await this._saveState({
+            ...state,
+            activeRun: run,
+            lastRunAt: run.startedAt,
+        });
+
+        try {
+            // Unattended runs are only safe with a way back
+            const snapshot = await this.snapshotManager.createSnapshot(
+                "Before Scheduled Organization",
+                { operationType: "scheduled_run", scope: run.scope, runId: run.id }
+            );
+            run.snapshotId = snapshot.id;
+            state = await this._loadState();
+            await this._saveState({ ...state, activeRun: run });
+
+            if (run.scope === "maintenance") {
+                const summary = await this._runMaintenance(settings);
+                return await this.finishRun(run.id, { summary });
+            }
+
+            if (!options.categorizer) {
+                throw new Error("No categorizer available for scheduled run");
+            }
+
+            const result = await options.categorizer.categorizeAllBookmarks(
+                null,
+                run.scope === "folder",
+                {
+                    folderId: run.folderId || undefined,
+                    skipSnapshot: true,
+                    snapshotId: run.snapshotId,
+                    scheduledRunId: run.id,
+                }
+            );
+
+            // Nothing to organize: the categorizer never started its batch loop
+            if (!result?.started) {
+                return await this.finishRun(run.id, {
+                    summary: { categorized: 0, message: result?.message },
+                });
+            }
+
+            // The batch alarms finish the run through finishRun()
+            return run;
+        } catch (_error) {
+            console.error("❌ Scheduled organization failed:", _error);
+            return this.finishRun(run.id, { error: _error });
+        }
+    }
+
+    /**
+     * Record the end of a run in the history
+     * @param {string} runId - Run ID
+     * @param {Object} outcome - {summary, error}
+     * @returns {Promise<Object|null>} Finished run, or null when it is not the active run
+     */
+    async finishRun(runId, outcome = {}) {
+        const state = await this._loadState();
+        if (!state.activeRun || state.activeRun.id !== runId) {
+            return null;
+        }
+
+        const run = {
+            ...state.activeRun,
+            finishedAt: Date.now(),
+            status: outcome.error ? "failed" : "completed",
+            summary: outcome.summary || null,
+            error: outcome.error
+                ? outcome.error.message || String(outcome.error)
+                : null,
+        };
+
+        await this._saveState({ ...state, activeRun: null });
+        await this._recordRun(run);
+        console.log(`🗓️ Scheduled organization ${run.status}:`, run.summary);
+        return run;
+    }
+
+    /**
+     * Get schedule status for the settings page
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {Promise<Object>} {schedule, nextRunAt, activeRun, history}
+     */
+    async getStatus(settings) {
+        const schedule = this.normalizeSchedule(settings?.schedule);
+        const state = await this._loadState();
+        return {
+            schedule,
+            nextRunAt: schedule.enabled ? state.nextRunAt || null : null,
+            activeRun: state.activeRun || null,
+            history: await this.getHistory(),
+        };
+    }
+
+    /**
+     * Get past runs, newest first
+     * @returns {Promise<Array>} Run records
+     */
+    async getHistory() {
+        const result = await chrome.storage.local.get(this.HISTORY_KEY);
+        return result?.[this.HISTORY_KEY] || [];
+    }
+
+    /**
+     * Clear run history
+     */
+    async clearHistory() {
+        await chrome.storage.local.remove(this.HISTORY_KEY);
+    }
+
+    /**
+     * Consolidate sparse folders and remove duplicates
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {Promise<Object>} Summary
+     */
+    async _runMaintenance(settings) {
+        this.folderConsolidator.minBookmarksThreshold =
+            settings?.minBookmarksThreshold || 3;
+        const consolidation =
+            await this.folderConsolidator.consolidateSparsefolders();
+        const duplicates = await this.bookmarkService.removeDuplicateBookmarks();
+
+        return {
+            foldersRemoved: consolidation.foldersRemoved,
+            bookmarksMoved: consolidation.bookmarksMoved,
+            duplicatesRemoved: duplicates.removed,
+        };
+    }
+
+    /**
+     * Explain why a run cannot start right now
+     * @param {Object} settings - bookmarkMindSettings
+     * @returns {Promise<string|null>} Reason, or null when the run may start
+     */
+    async _getBlockingReason(settings) {
+        const state = await this._loadState();
+        if (state.activeRun) {
+            return "Previous scheduled run is still in progress";
+        }
+
+        const { categorizationState } = await chrome.storage.local.get(
+            "categorizationState"
+        );
+        if (categorizationState) {
+            return "Another categorization is in progress";
+        }
+
+        const schedule = this.normalizeSchedule(settings?.schedule);
+        if (schedule.scope === "folder" && !schedule.folderId) {
+            return "No folder selected for scheduled runs";
+        }
+        return null;
+    }
+
+    /**
+     * Close out an active run whose worker died without finishing it
+     */
+    async _expireStaleRun() {
+        const state = await this._loadState();
+        const run = state.activeRun;
+        if (!run) return;
+
+        const { categorizationState } = await chrome.storage.local.get(
+            "categorizationState"
+        );
+        // A run whose batches are still queued may take hours; anything else
+        // that has been active this long lost its worker
+        const limit =
+            categorizationState?.scheduledRunId === run.id
+                ? this.STALE_RUN_MS
+                : this.INTERRUPTED_RUN_MS;
+        if (Date.now() - run.startedAt > limit) {
+            await this.finishRun(run.id, {
+                error: new Error("Run was interrupted"),
+            });
+        }
+    }
+
+    /**
+     * Add a run to the history
+     * @param {Object} run - Run record
+     */
+    async _recordRun(run) {
+        const history = await this.getHistory();
+        history.unshift(run);
+        await chrome.storage.local.set({
+            [this.HISTORY_KEY]: history.slice(0, this.MAX_HISTORY),
+        });
+    }
+
+    /**
+     * Load scheduler state
+     * @returns {Promise<Object>} {nextRunAt, lastRunAt, activeRun}
+     */
+    async _loadState() {
+        const result = await chrome.storage.local.get(this.STATE_KEY);
+        return result?.[this.STATE_KEY] || {};
+    }
+
+    /**
+     * Save scheduler state
+     * @param {Object} state - State to save
+     */
+    async _saveState(state) {
+        await chrome.storage.local.set({ [this.STATE_KEY]: state });
+    }
+
+    /**
+     * Get a copy of a date set to a "HH:MM" time
+     * @param {Date} date - Day to use
+     * @param {string} time - "HH:MM"
+     * @returns {Date} Date at that time
+     */
+    _atTime(date, time) {
+        const minutes = this._toMinutes(time);
+        const result = new Date(date.getTime());
+        result.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+        return result;
+    }
+
+    /**
+     * Convert "HH:MM" to minutes after midnight
+     * @param {string} time - "HH:MM"
+     * @returns {number} Minutes
+     */
+    _toMinutes(time) {
+        const [hours, minutes] = time.split(":").map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Check a "HH:MM" string
+     * @param {string} time - Time string
+     * @returns {boolean} True when valid
+     */
+    _isValidTime(time) {
+        return typeof time === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+    }
+}
@@ -1,3 +1,5 @@
+import { OperationJournal } from '../bookmarks/operationJournal.js';
+
 /**
  * BookmarkMind - Redirect Resolver Service
  * Resolves bookmark URLs to their final destinations by following redirects
@@ -12,6 +14,7 @@ export class RedirectResolver {
     this.REQUEST_TIMEOUT = 10000; // 10 seconds
     this.MAX_RETRIES = 3;
     this.CACHE_EXPIRY_DAYS = 7;
+    this.journal = new OperationJournal('Resolved redirects', { operationType: 'redirects' });
 
     // Statistics tracking
     this.stats = {
@@ -27,12 +30,13 @@ export class RedirectResolver {
    * Resolve a single bookmark URL to its final destination
    * @param {string} url - URL to resolve
    * @param {number} retryCount - Current retry attempt
+   * @param {Object} options - {skipCache: ignore cached results, e.g. for health checks}
    * @returns {Promise<Object>} Result object with original, final, chain, and success
    */
-  async resolveUrl(url, retryCount = 0) {
+  async resolveUrl(url, retryCount = 0, options = {}) {
     try {
       // Check cache first
-      const cachedResult = await this._getCachedUrl(url);
+      const cachedResult = options.skipCache ? null : await this._getCachedUrl(url);
       if (cachedResult) {
         console.log(`📦 Cache hit for: ${url}`);
         console.log(`   ├─ Final URL: ${cachedResult.finalUrl}`);
@@ -94,7 +98,7 @@ export class RedirectResolver {
         if (retryCount < this.MAX_RETRIES) {
           console.warn(`⚠️ Fetch failed for ${url}, retrying... (${fetchError.message})`);
           await this._delay(1000 * (retryCount + 1)); // Exponential backoff
-          return this.resolveUrl(url, retryCount + 1);
+          return this.resolveUrl(url, retryCount + 1, options);
         }
 
         throw fetchError;
@@ -109,7 +113,10 @@ export class RedirectResolver {
         chain: [url],
         redirectChain: [{ url: url, status: 'error' }],
         success: false,
-        error: _error.message
+        error: _error.message,
+        errorName: _error.name,
+        // Network failures hide the reason (DNS, TLS, refused) in the cause
+        errorCode: _error.cause?.code || null
       };
     }
   }
@@ -306,7 +313,7 @@ export class RedirectResolver {
     // Update bookmark if URL changed
     if (resolution.success && resolution.finalUrl !== resolution.originalUrl) {
       try {
-        await chrome.bookmarks.update(bookmark.id, {
+        await this.journal.update(bookmark.id, {
           url: resolution.finalUrl
         });
         result.updated = true;
@@ -355,35 +362,40 @@ export class RedirectResolver {
     const total = bookmarks.length;
     let completed = 0;
 
-    // Process bookmarks in concurrent batches
-    for (let i = 0; i < bookmarks.length; i += this.CONCURRENT_LIMIT) {
-      const batch = bookmarks.slice(i, i + this.CONCURRENT_LIMIT);
-      const batchNumber = Math.floor(i / this.CONCURRENT_LIMIT) + 1;
-      const totalBatches = Math.ceil(bookmarks.length / this.CONCURRENT_LIMIT);
-
-      console.log('\n📦 ======================================');
-      console.log(`📦 Batch ${batchNumber}/${totalBatches}`);
-      console.log('📦 ======================================');
-      console.log(`Processing ${batch.length} bookmarks concurrently...`);
-
-      // Process batch concurrently
-      const batchPromises = batch.map((bookmark) => this.processBookmark(bookmark));
-      const batchResults = await Promise.all(batchPromises);
-
-      results.push(...batchResults);
-      completed += batch.length;
+    await this.journal.startSession('Resolved redirects', { operationType: 'redirects' });
+    try {
+      // Process bookmarks in concurrent batches
+      for (let i = 0; i < bookmarks.length; i += this.CONCURRENT_LIMIT) {
+        const batch = bookmarks.slice(i, i + this.CONCURRENT_LIMIT);
+        const batchNumber = Math.floor(i / this.CONCURRENT_LIMIT) + 1;
+        const totalBatches = Math.ceil(bookmarks.length / this.CONCURRENT_LIMIT);
+
+        console.log('\n📦 ======================================');
+        console.log(`📦 Batch ${batchNumber}/${totalBatches}`);
+        console.log('📦 ======================================');
+        console.log(`Processing ${batch.length} bookmarks concurrently...`);
+
+        // Process batch concurrently
+        const batchPromises = batch.map((bookmark) => this.processBookmark(bookmark));
+        const batchResults = await Promise.all(batchPromises);
+
+        results.push(...batchResults);
+        completed += batch.length;
+
+        // Update progress
+        if (progressCallback) {
+          progressCallback({
+            completed,
+            total,
+            percentage: Math.round((completed / total) * 100),
+            stats: { ...this.stats }
+          });
+        }
 
-      // Update progress
-      if (progressCallback) {
-        progressCallback({
-          completed,
-          total,
-          percentage: Math.round((completed / total) * 100),
-          stats: { ...this.stats }
-        });
+        console.log(`\n✅ Batch ${batchNumber} complete: ${completed}/${total} bookmarks processed`);
       }
-
-      console.log(`\n✅ Batch ${batchNumber} complete: ${completed}/${total} bookmarks processed`);
+    } finally {
+      await this.journal.endSession();
     }
 
     // Calculate final statistics
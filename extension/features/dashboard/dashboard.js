@@ -1,3 +1,6 @@
+import { OperationJournal } from '../bookmarks/operationJournal.js';
+import { ProviderRegistry } from '../ai/providers/providerRegistry.js';
+
 /**
  * BookmarkMind - Popup Script
  * Handles popup UI interactions and communication with background script
@@ -8,6 +11,23 @@ class PopupController {
     this.isProcessing = false;
     this.settings = null;
     this.stats = null;
+    this.session = null;
+    this.reviewQueue = [];
+    this.linkReport = null;
+    this.selectedLinks = new Set();
+    this.mergeProposals = [];
+    this.selectedMerges = new Set();
+    this.duplicateGroups = [];
+    this.selectedDuplicates = new Set();
+    this.duplicateSnapshotId = null;
+    this.journalSessions = [];
+    this.expandedJournalSessionId = null;
+    this.snapshots = [];
+    this.snapshotDiff = null;
+    this.snapshotDiffFromId = null;
+    this.selectedSnapshotNodes = new Set();
+    this.sessionPollTimer = null;
+    this.providers = new ProviderRegistry();
 
     // Check extension context
     if (typeof chrome === 'undefined' || !chrome.bookmarks) {
@@ -40,6 +60,12 @@ class PopupController {
     this.removeDuplicatesBtn = document.getElementById('removeDuplicatesBtn');
     this.moveToBookmarkBarBtn = document.getElementById('moveToBookmarkBarBtn');
     this.forceReorganizeBtn = document.getElementById('forceReorganizeBtn');
+    this.previewPlanBtn = document.getElementById('previewPlanBtn');
+    this.reviewPlanBtn = document.getElementById('reviewPlanBtn');
+    this.needsReviewBtn = document.getElementById('needsReviewBtn');
+    this.needsReviewCount = document.getElementById('needsReviewCount');
+    this.brokenLinksBtn = document.getElementById('brokenLinksBtn');
+    this.brokenLinksCount = document.getElementById('brokenLinksCount');
     this.exportBtn = document.getElementById('exportBtn');
     this.settingsBtn = document.getElementById('settingsBtn');
     this.helpLink = document.getElementById('helpLink');
@@ -79,6 +105,63 @@ class PopupController {
     this.snapshotsSection = document.getElementById('snapshotsSection');
     this.progressSection = document.getElementById('progressSection');
     this.resultsSection = document.getElementById('resultsSection');
+    this.planSection = document.getElementById('planSection');
+    this.exportSection = document.getElementById('exportSection');
+    this.reviewSection = document.getElementById('reviewSection');
+    this.reviewList = document.getElementById('reviewList');
+    this.closeReviewBtn = document.getElementById('closeReviewBtn');
+    this.brokenLinksSection = document.getElementById('brokenLinksSection');
+    this.closeBrokenLinksBtn = document.getElementById('closeBrokenLinksBtn');
+    this.linkHealthSummary = document.getElementById('linkHealthSummary');
+    this.checkLinksBtn = document.getElementById('checkLinksBtn');
+    this.selectAllLinksBtn = document.getElementById('selectAllLinksBtn');
+    this.selectNoLinksBtn = document.getElementById('selectNoLinksBtn');
+    this.brokenLinksList = document.getElementById('brokenLinksList');
+    this.brokenLinksSelectedCount = document.getElementById('brokenLinksSelectedCount');
+    this.deleteLinksBtn = document.getElementById('deleteLinksBtn');
+    this.archiveLinksBtn = document.getElementById('archiveLinksBtn');
+    this.waybackLinksBtn = document.getElementById('waybackLinksBtn');
+    this.mergeFoldersBtn = document.getElementById('mergeFoldersBtn');
+    this.folderMergeSection = document.getElementById('folderMergeSection');
+    this.closeFolderMergeBtn = document.getElementById('closeFolderMergeBtn');
+    this.folderMergeSummary = document.getElementById('folderMergeSummary');
+    this.findMergesBtn = document.getElementById('findMergesBtn');
+    this.findMergesAIBtn = document.getElementById('findMergesAIBtn');
+    this.folderMergeList = document.getElementById('folderMergeList');
+    this.folderMergeSelectedCount = document.getElementById('folderMergeSelectedCount');
+    this.applyMergesBtn = document.getElementById('applyMergesBtn');
+    this.duplicatesSection = document.getElementById('duplicatesSection');
+    this.closeDuplicatesBtn = document.getElementById('closeDuplicatesBtn');
+    this.duplicatesSummary = document.getElementById('duplicatesSummary');
+    this.duplicateStrategySelect = document.getElementById('duplicateStrategy');
+    this.includeSimilarTitlesCheckbox = document.getElementById('includeSimilarTitles');
+    this.duplicatesList = document.getElementById('duplicatesList');
+    this.duplicatesSelectedCount = document.getElementById('duplicatesSelectedCount');
+    this.undoDuplicatesBtn = document.getElementById('undoDuplicatesBtn');
+    this.removeDuplicatesApplyBtn = document.getElementById('removeDuplicatesApplyBtn');
+    this.recentChangesBtn = document.getElementById('recentChangesBtn');
+    this.journalSection = document.getElementById('journalSection');
+    this.closeJournalBtn = document.getElementById('closeJournalBtn');
+    this.journalSummary = document.getElementById('journalSummary');
+    this.journalList = document.getElementById('journalList');
+
+    // Export elements
+    this.closeExportBtn = document.getElementById('closeExportBtn');
+    this.exportFormatSelect = document.getElementById('exportFormat');
+    this.exportFolderSelect = document.getElementById('exportFolder');
+    this.exportAITitlesCheckbox = document.getElementById('exportAITitles');
+    this.exportMetadataCheckbox = document.getElementById('exportMetadata');
+    this.downloadExportBtn = document.getElementById('downloadExportBtn');
+
+    // Categorization plan elements
+    this.closePlanBtn = document.getElementById('closePlanBtn');
+    this.planSummary = document.getElementById('planSummary');
+    this.planList = document.getElementById('planList');
+    this.planApprovedCount = document.getElementById('planApprovedCount');
+    this.approveAllPlanBtn = document.getElementById('approveAllPlanBtn');
+    this.approveNonePlanBtn = document.getElementById('approveNonePlanBtn');
+    this.discardPlanBtn = document.getElementById('discardPlanBtn');
+    this.applyPlanBtn = document.getElementById('applyPlanBtn');
 
     // Snapshot elements
     this.closeSnapshotsBtn = document.getElementById('closeSnapshotsBtn');
@@ -87,6 +170,29 @@ class PopupController {
     this.maxSnapshots = document.getElementById('maxSnapshots');
     this.storageSize = document.getElementById('storageSize');
     this.runDiagnosticsBtn = document.getElementById('runDiagnosticsBtn');
+    this.snapshotDiffSection = document.getElementById('snapshotDiffSection');
+    this.closeSnapshotDiffBtn = document.getElementById('closeSnapshotDiffBtn');
+    this.snapshotDiffTarget = document.getElementById('snapshotDiffTarget');
+    this.snapshotDiffType = document.getElementById('snapshotDiffType');
+    this.snapshotDiffSearch = document.getElementById('snapshotDiffSearch');
+    this.snapshotDiffSummary = document.getElementById('snapshotDiffSummary');
+    this.snapshotDiffList = document.getElementById('snapshotDiffList');
+    this.restoreFromDiffBtn = document.getElementById('restoreFromDiffBtn');
+    this.snapshotDiffControls = document.getElementById('snapshotDiffControls');
+    this.snapshotDiffActions = document.getElementById('snapshotDiffActions');
+    this.selectShownDiffBtn = document.getElementById('selectShownDiffBtn');
+    this.selectNoDiffBtn = document.getElementById('selectNoDiffBtn');
+    this.snapshotDiffSelectedCount = document.getElementById('snapshotDiffSelectedCount');
+    this.restoreSelectedDiffBtn = document.getElementById('restoreSelectedDiffBtn');
+
+    // Categorization session elements
+    this.sessionSection = document.getElementById('sessionSection');
+    this.sessionText = document.getElementById('sessionText');
+    this.sessionPercent = document.getElementById('sessionPercent');
+    this.sessionFill = document.getElementById('sessionFill');
+    this.pauseSessionBtn = document.getElementById('pauseSessionBtn');
+    this.resumeSessionBtn = document.getElementById('resumeSessionBtn');
+    this.cancelSessionBtn = document.getElementById('cancelSessionBtn');
 
     // Progress elements
     this.progressText = document.getElementById('progressText');
@@ -109,11 +215,53 @@ class PopupController {
     this.viewSnapshotsBtn.addEventListener('click', () => this.showSnapshots());
     this.closeSnapshotsBtn.addEventListener('click', () => this.hideSnapshots());
     this.runDiagnosticsBtn.addEventListener('click', () => this.runSnapshotDiagnostics());
+    this.closeSnapshotDiffBtn.addEventListener('click', () => this.hideSnapshotDiff());
+    this.snapshotDiffTarget.addEventListener('change', () => this.loadSnapshotDiff());
+    this.snapshotDiffType.addEventListener('change', () => this.renderSnapshotDiff());
+    this.snapshotDiffSearch.addEventListener('input', () => this.renderSnapshotDiff());
+    this.restoreFromDiffBtn.addEventListener('click', () => this.restoreSnapshot(this.snapshotDiffFromId));
+    this.selectShownDiffBtn.addEventListener('click', () => this.selectShownSnapshotChanges(true));
+    this.selectNoDiffBtn.addEventListener('click', () => this.selectShownSnapshotChanges(false));
+    this.restoreSelectedDiffBtn.addEventListener('click', () => this.restoreSnapshotSelection());
     this.deleteEmptyFoldersBtn.addEventListener('click', () => this.deleteEmptyFolders());
-    this.removeDuplicatesBtn.addEventListener('click', () => this.removeDuplicateUrls());
+    this.removeDuplicatesBtn.addEventListener('click', () => this.showDuplicates());
     this.moveToBookmarkBarBtn.addEventListener('click', () => this.moveAllToBookmarkBar());
     this.forceReorganizeBtn.addEventListener('click', () => this.startCategorization(true));
-    this.exportBtn.addEventListener('click', () => this.exportBookmarks());
+    this.exportBtn.addEventListener('click', () => this.showExportOptions());
+    this.closeExportBtn.addEventListener('click', () => this.exportSection.classList.add('hidden'));
+    this.downloadExportBtn.addEventListener('click', () => this.exportBookmarks());
+    this.previewPlanBtn.addEventListener('click', () => this.startCategorization(false, true));
+    this.reviewPlanBtn.addEventListener('click', () => this.showPlanReview());
+    this.needsReviewBtn.addEventListener('click', () => this.showReviewQueue());
+    this.closeReviewBtn.addEventListener('click', () => this.hideReviewQueue());
+    this.brokenLinksBtn.addEventListener('click', () => this.showBrokenLinks());
+    this.closeBrokenLinksBtn.addEventListener('click', () => this.hideBrokenLinks());
+    this.checkLinksBtn.addEventListener('click', () => this.runLinkCheck());
+    this.selectAllLinksBtn.addEventListener('click', () => this.selectAllLinks(true));
+    this.selectNoLinksBtn.addEventListener('click', () => this.selectAllLinks(false));
+    this.deleteLinksBtn.addEventListener('click', () => this.applyLinkAction('delete'));
+    this.archiveLinksBtn.addEventListener('click', () => this.applyLinkAction('archive'));
+    this.waybackLinksBtn.addEventListener('click', () => this.applyLinkAction('wayback'));
+    this.mergeFoldersBtn.addEventListener('click', () => this.showFolderMerges());
+    this.closeFolderMergeBtn.addEventListener('click', () => this.hideFolderMerges());
+    this.findMergesBtn.addEventListener('click', () => this.findFolderMerges(false));
+    this.findMergesAIBtn.addEventListener('click', () => this.findFolderMerges(true));
+    this.applyMergesBtn.addEventListener('click', () => this.applyFolderMerges());
+    this.closeDuplicatesBtn.addEventListener('click', () => this.hideDuplicates());
+    this.duplicateStrategySelect.addEventListener('change', () => this.findDuplicates());
+    this.includeSimilarTitlesCheckbox.addEventListener('change', () => this.findDuplicates());
+    this.removeDuplicatesApplyBtn.addEventListener('click', () => this.removeSelectedDuplicates());
+    this.undoDuplicatesBtn.addEventListener('click', () => this.undoDuplicateRemoval());
+    this.recentChangesBtn.addEventListener('click', () => this.showJournal());
+    this.closeJournalBtn.addEventListener('click', () => this.hideJournal());
+    this.closePlanBtn.addEventListener('click', () => this.hidePlanReview());
+    this.approveAllPlanBtn.addEventListener('click', () => this.setAllPlanApprovals(true));
+    this.approveNonePlanBtn.addEventListener('click', () => this.setAllPlanApprovals(false));
+    this.discardPlanBtn.addEventListener('click', () => this.discardPlan());
+    this.applyPlanBtn.addEventListener('click', () => this.applyPlan());
+    this.pauseSessionBtn.addEventListener('click', () => this.pauseSession());
+    this.resumeSessionBtn.addEventListener('click', () => this.resumeSession());
+    this.cancelSessionBtn.addEventListener('click', () => this.cancelSession());
     this.folderInsightsBtn = document.getElementById('folderInsightsBtn');
     if (this.folderInsightsBtn) {
       this.folderInsightsBtn.addEventListener('click', () => this.openFolderInsights());
@@ -165,6 +313,10 @@ class PopupController {
         this.updateProgress(message.data);
       } else if (message.type === 'CATEGORIZATION_ERROR_NOTIFICATION') {
         this.handleCategorizationError(message.error);
+      } else if (message.action === 'categorizationPlanReady') {
+        this.showPlanReview();
+      } else if (message.action === 'linkHealthProgress') {
+        this.linkHealthSummary.textContent = `Checking links... ${message.data.completed} of ${message.data.total}`;
       }
     });
   }
@@ -176,6 +328,10 @@ class PopupController {
     try {
       await this.loadSettings();
       await this.loadStats();
+      await this.checkPendingPlan();
+      await this.checkReviewQueue();
+      await this.loadLinkHealth();
+      await this.checkSession();
 
       // Fallback: Test direct bookmark access if stats are empty
       if (!this.stats || this.stats.totalBookmarks === 0) {
@@ -303,16 +459,10 @@ class PopupController {
       this.lastSortTime.textContent = 'Never';
     }
 
-    // Show/hide API key warning
-    if (!this.settings.apiKey) {
-      this.apiKeyWarning.classList.remove('hidden');
-      this.sortBtn.disabled = true;
-      this.bulkCategorizeBtn.disabled = true;
-    } else {
-      this.apiKeyWarning.classList.add('hidden');
-      this.sortBtn.disabled = false;
-      this.bulkCategorizeBtn.disabled = false;
-    }
+    // Without a provider, organizing still works with the offline rules
+    this.apiKeyWarning.classList.toggle('hidden', this.hasProvider());
+    this.sortBtn.disabled = false;
+    this.bulkCategorizeBtn.disabled = false;
 
     // Show debug button if no bookmarks detected
     const debugSection = document.getElementById('debugSection');
@@ -334,9 +484,7 @@ class PopupController {
       this.sortBtn.disabled = true;
 
       // Show bulk categorize button when bookmarks exist
-      if (this.bulkCategorizeBtn && !this.settings.apiKey) {
-        this.bulkCategorizeBtn.disabled = true;
-      } else if (this.bulkCategorizeBtn) {
+      if (this.bulkCategorizeBtn) {
         this.bulkCategorizeBtn.disabled = false;
       }
 
@@ -354,9 +502,7 @@ class PopupController {
       this.sortBtn.disabled = false;
 
       // Show bulk categorize button when bookmarks exist
-      if (this.bulkCategorizeBtn && !this.settings.apiKey) {
-        this.bulkCategorizeBtn.disabled = true;
-      } else if (this.bulkCategorizeBtn) {
+      if (this.bulkCategorizeBtn) {
         this.bulkCategorizeBtn.disabled = false;
       }
 
@@ -519,36 +665,42 @@ class PopupController {
       const errors = [];
       let processedFolders = 0;
 
-      for (const folder of emptyFolders) {
-        processedFolders++;
-        const progress = Math.round(50 + (processedFolders / emptyFolders.length) * 40);
+      const journal = new OperationJournal();
+      await journal.startSession('Deleted empty folders', { operationType: 'cleanup' });
+      try {
+        for (const folder of emptyFolders) {
+          processedFolders++;
+          const progress = Math.round(50 + (processedFolders / emptyFolders.length) * 40);
 
-        this.updateProgress(
-          `Deleting empty folder "${folder.title}"... (${processedFolders}/${emptyFolders.length})`,
-          progress
-        );
+          this.updateProgress(
+            `Deleting empty folder "${folder.title}"... (${processedFolders}/${emptyFolders.length})`,
+            progress
+          );
 
-        try {
-          // Double-check the folder is still empty before deleting
-          const currentChildren = await chrome.bookmarks.getChildren(folder.id);
-          const hasBookmarks = currentChildren.some((child) => child.url);
-
-          if (!hasBookmarks) {
-            await chrome.bookmarks.removeTree(folder.id);
-            console.log(`Deleted empty folder: "${folder.title}" from "${folder.parentTitle}"`);
-            deletedCount++;
-          } else {
-            console.log(`Skipped folder "${folder.title}" - no longer empty`);
+          try {
+            // Double-check the folder is still empty before deleting
+            const currentChildren = await chrome.bookmarks.getChildren(folder.id);
+            const hasBookmarks = currentChildren.some((child) => child.url);
+
+            if (!hasBookmarks) {
+              await journal.removeTree(folder.id);
+              console.log(`Deleted empty folder: "${folder.title}" from "${folder.parentTitle}"`);
+              deletedCount++;
+            } else {
+              console.log(`Skipped folder "${folder.title}" - no longer empty`);
+            }
+          } catch (_error) {
+            console.error(`Failed to delete folder "${folder.title}":`, _error);
+            errors.push(`${folder.title}: ${_error.message}`);
           }
-        } catch (_error) {
-          console.error(`Failed to delete folder "${folder.title}":`, _error);
-          errors.push(`${folder.title}: ${_error.message}`);
-        }
 
-        // Small delay to prevent overwhelming the API
-        if (processedFolders < emptyFolders.length) {
-          await new Promise((resolve) => setTimeout(resolve, 100));
+          // Small delay to prevent overwhelming the API
+          if (processedFolders < emptyFolders.length) {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+          }
         }
+      } finally {
+        await journal.endSession();
       }
 
       // Show results
@@ -578,199 +730,6 @@ class PopupController {
     }
   }
 
-  /**
-   * Remove duplicate URLs (same webpage with different fragments/anchors)
-   */
-  async removeDuplicateUrls() {
-    if (this.isProcessing) return;
-
-    // Show confirmation dialog
-    const confirmed = confirm(
-      'This will scan all bookmarks and remove duplicates that point to the same webpage.\n\n' +
-        'Examples of duplicates that will be removed:\n' +
-        '• https://example.com/page#section1\n' +
-        '• https://example.com/page#section2\n' +
-        '(Both point to the same page, one will be kept)\n\n' +
-        'This action cannot be undone automatically.\n\n' +
-        'Are you sure you want to continue?'
-    );
-
-    if (!confirmed) return;
-
-    this.isProcessing = true;
-    this.showProgress();
-    this.updateProgress('Scanning for duplicate URLs...', 0);
-
-    try {
-      console.log('Popup: Starting duplicate URL removal...');
-
-      // Get all bookmarks
-      const bookmarkTree = await chrome.bookmarks.getTree();
-      const allBookmarks = [];
-
-      // Collect all bookmarks from all folders
-      const collectBookmarksFromTree = (nodes, parentTitle = '') => {
-        for (const node of nodes) {
-          if (node.url) {
-            allBookmarks.push({
-              id: node.id,
-              title: node.title,
-              url: node.url,
-              parentId: node.parentId,
-              currentFolder: parentTitle
-            });
-          }
-          if (node.children) {
-            collectBookmarksFromTree(node.children, node.title);
-          }
-        }
-      };
-
-      collectBookmarksFromTree(bookmarkTree);
-
-      console.log(`Found ${allBookmarks.length} total bookmarks to analyze`);
-      this.updateProgress(`Analyzing ${allBookmarks.length} bookmarks for duplicates...`, 10);
-
-      if (allBookmarks.length === 0) {
-        this.showResults({
-          processed: 0,
-          removed: 0,
-          message: 'No bookmarks found to analyze.'
-        });
-        return;
-      }
-
-      // Group bookmarks by normalized URL (without fragments, query params, etc.)
-      const urlGroups = new Map();
-      const duplicateGroups = [];
-
-      for (let i = 0; i < allBookmarks.length; i++) {
-        const bookmark = allBookmarks[i];
-        const progress = Math.round(10 + (i / allBookmarks.length) * 40);
-
-        this.updateProgress(
-          `Analyzing "${bookmark.title}"... (${i + 1}/${allBookmarks.length})`,
-          progress
-        );
-
-        try {
-          // Normalize URL by removing fragments, query parameters, and trailing slashes
-          const url = new URL(bookmark.url);
-          const normalizedUrl = `${url.protocol}//${url.hostname}${url.pathname}`.replace(
-            /\/$/,
-            ''
-          );
-
-          if (!urlGroups.has(normalizedUrl)) {
-            urlGroups.set(normalizedUrl, []);
-          }
-
-          urlGroups.get(normalizedUrl).push(bookmark);
-        } catch (_error) {
-          console.warn(`Invalid URL for bookmark "${bookmark.title}": ${bookmark.url}`);
-          // Keep invalid URLs as unique
-          const invalidKey = `invalid_${bookmark.url}`;
-          urlGroups.set(invalidKey, [bookmark]);
-        }
-      }
-
-      // Find groups with duplicates
-      for (const [normalizedUrl, bookmarks] of urlGroups) {
-        if (bookmarks.length > 1) {
-          duplicateGroups.push({
-            normalizedUrl,
-            bookmarks,
-            duplicateCount: bookmarks.length - 1
-          });
-        }
-      }
-
-      console.log(`Found ${duplicateGroups.length} groups with duplicates`);
-
-      if (duplicateGroups.length === 0) {
-        this.showResults({
-          processed: allBookmarks.length,
-          removed: 0,
-          message: 'No duplicate URLs found. All bookmarks point to unique webpages.'
-        });
-        return;
-      }
-
-      // Remove duplicates (keep the first one, remove the rest)
-      let removedCount = 0;
-      const errors = [];
-      let processedGroups = 0;
-
-      for (const group of duplicateGroups) {
-        processedGroups++;
-        const progress = Math.round(50 + (processedGroups / duplicateGroups.length) * 40);
-
-        this.updateProgress(
-          `Removing duplicates for ${group.normalizedUrl}... (${processedGroups}/${duplicateGroups.length})`,
-          progress
-        );
-
-        // Sort bookmarks by creation date (keep the oldest) or by title length (keep the most descriptive)
-        const sortedBookmarks = group.bookmarks.sort((a, b) => {
-          // Prefer bookmarks with longer, more descriptive titles
-          const titleDiff = b.title.length - a.title.length;
-          if (Math.abs(titleDiff) > 10) return titleDiff;
-
-          // If titles are similar length, prefer the first one found
-          return 0;
-        });
-
-        const keepBookmark = sortedBookmarks[0];
-        const duplicatesToRemove = sortedBookmarks.slice(1);
-
-        console.log(`Keeping: "${keepBookmark.title}" (${keepBookmark.url})`);
-        console.log(`Removing ${duplicatesToRemove.length} duplicates:`);
-
-        for (const duplicate of duplicatesToRemove) {
-          try {
-            console.log(`  - "${duplicate.title}" (${duplicate.url})`);
-            await chrome.bookmarks.remove(duplicate.id);
-            removedCount++;
-          } catch (_error) {
-            console.error(`Failed to remove duplicate "${duplicate.title}":`, _error);
-            errors.push(`${duplicate.title}: ${_error.message}`);
-          }
-        }
-
-        // Small delay to prevent overwhelming the API
-        if (processedGroups < duplicateGroups.length) {
-          await new Promise((resolve) => setTimeout(resolve, 100));
-        }
-      }
-
-      // Show results
-      const resultMessage =
-        errors.length > 0
-          ? `Removed ${removedCount} duplicate bookmarks. ${errors.length} failed to remove.`
-          : `Successfully removed ${removedCount} duplicate bookmarks from ${duplicateGroups.length} groups.`;
-
-      this.showResults({
-        processed: allBookmarks.length,
-        removed: removedCount,
-        groups: duplicateGroups.length,
-        errors: errors.length,
-        message: resultMessage,
-        details:
-          errors.length > 0
-            ? `Errors: ${errors.slice(0, 3).join(', ')}${errors.length > 3 ? '...' : ''}`
-            : `Found ${duplicateGroups.length} groups of duplicates. Kept the most descriptive bookmark from each group.`
-      });
-
-      // Refresh stats after removing duplicates
-      await this.loadStats();
-    } catch (_error) {
-      console.error('Popup: Remove duplicates _error:', _error);
-      this.showError(`Failed to remove duplicates: ${_error.message}`);
-    } finally {
-      this.isProcessing = false;
-    }
-  }
-
   /**
    * Move all bookmarks to Bookmark Bar for reprocessing
    * Now runs in background - continues even if popup closes
@@ -1117,8 +1076,10 @@ class PopupController {
 
   /**
    * Start bookmark categorization process
+   * @param {boolean} forceReorganize - Reorganize all bookmarks
+   * @param {boolean} planMode - Build a reviewable plan instead of moving bookmarks
    */
-  async startCategorization(forceReorganize = false) {
+  async startCategorization(forceReorganize = false, planMode = false) {
     if (this.isProcessing) return;
 
     this.isProcessing = true;
@@ -1126,18 +1087,22 @@ class PopupController {
 
     try {
       console.log('Popup: Starting categorization...', {
-        forceReorganize
+        forceReorganize,
+        planMode
       });
 
       const response = await chrome.runtime.sendMessage({
         action: 'startCategorization',
-        data: { forceReorganize }
+        data: { forceReorganize, planMode }
       });
 
       console.log('Popup: Categorization response:', response);
 
       if (response?.success) {
         this.showResults(response.data);
+        if (response.data?.started) {
+          await this.checkSession();
+        }
       } else {
         const errorMsg = response?.error || 'Categorization failed - no response';
         console.error('Popup: Categorization failed:', errorMsg);
@@ -1157,12 +1122,52 @@ class PopupController {
   }
 
   /**
-   * Export bookmarks organization
+   * Show export options with the current folder list
+   */
+  async showExportOptions() {
+    try {
+      const tree = await chrome.bookmarks.getTree();
+      const selected = this.exportFolderSelect.value;
+      this.exportFolderSelect.innerHTML = '<option value="">All bookmarks</option>';
+
+      const walk = (node, prefix) => {
+        (node.children || []).forEach((child) => {
+          if (child.url) return;
+          const path = prefix ? `${prefix} > ${child.title}` : child.title;
+          const option = document.createElement('option');
+          option.value = child.id;
+          option.textContent = path;
+          this.exportFolderSelect.appendChild(option);
+          walk(child, path);
+        });
+      };
+      walk(tree[0], '');
+
+      // Fall back to everything if the chosen folder was deleted
+      this.exportFolderSelect.value = selected;
+      if (this.exportFolderSelect.selectedIndex === -1) {
+        this.exportFolderSelect.value = '';
+      }
+      this.exportSection.classList.remove('hidden');
+    } catch (_error) {
+      console.error('_error loading export folders:', _error);
+      this.showError('Failed to load bookmark folders');
+    }
+  }
+
+  /**
+   * Export bookmarks organization in the chosen format
    */
   async exportBookmarks() {
     try {
       const response = await chrome.runtime.sendMessage({
-        action: 'exportBookmarks'
+        action: 'exportBookmarks',
+        data: {
+          format: this.exportFormatSelect.value,
+          folderId: this.exportFolderSelect.value || null,
+          includeAITitles: this.exportAITitlesCheckbox.checked,
+          includeMetadata: this.exportMetadataCheckbox.checked
+        }
       });
 
       if (response.success) {
@@ -1177,17 +1182,16 @@ class PopupController {
   }
 
   /**
-   * Download export data as JSON file
+   * Download an export file
+   * @param {Object} file - {content, fileName, mimeType}
    */
-  downloadExport(data) {
-    const blob = new Blob([JSON.stringify(data, null, 2)], {
-      type: 'application/json'
-    });
+  downloadExport(file) {
+    const blob = new Blob([file.content], { type: file.mimeType });
 
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `bookmarks-export-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = file.fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -1416,6 +1420,18 @@ Need an API key? Visit: https://makersuite.google.com/app/apikey`;
     this.progressSection.classList.add('hidden');
     this.resultsSection.classList.remove('hidden');
 
+    // Handle cancelled categorization
+    if (results.cancelled) {
+      this.resultsTitle.textContent = 'Organizing Cancelled';
+      this.resultsMessage.textContent = results.message;
+      this.processedCount.textContent = results.processed || 0;
+      this.categorizedCount.textContent = results.categorized || 0;
+      setTimeout(() => {
+        this.loadStats().then(() => this.updateUI());
+      }, 1000);
+      return;
+    }
+
     // Handle delete empty folders results
     if (results.deleted !== undefined) {
       this.resultsTitle.textContent = 'Empty Folders Deleted!';
@@ -1483,7 +1499,13 @@ Need an API key? Visit: https://makersuite.google.com/app/apikey`;
     }
 
     // Handle categorization results
-    if (results.started) {
+    if (results.started && results.planMode) {
+      this.resultsTitle.textContent = 'Building Plan';
+      this.resultsMessage.textContent =
+        results.message || 'Building categorization plan in background';
+      this.resultsMessage.textContent +=
+        '\n\nNo bookmarks will be changed until you review and apply the plan.';
+    } else if (results.started) {
       this.resultsTitle.textContent = 'Categorization Started';
       this.resultsMessage.textContent = results.message || 'Categorization started in background';
     } else if (results.message && /already organized/i.test(results.message)) {
@@ -1577,6 +1599,16 @@ Need an API key? Visit: https://makersuite.google.com/app/apikey`;
     }, 5000);
   }
 
+  /**
+   * Check whether bookmarks can be categorized: offline rules were chosen or
+   * a provider adapter has what it needs, the same test AIProcessor uses
+   */
+  hasProvider() {
+    if (this.settings.aiProvider === 'offline') return true;
+    this.providers.configure(this.settings);
+    return this.providers.getConfigured().length > 0;
+  }
+
   /**
    * Update extension status indicator
    */
@@ -1585,17 +1617,17 @@ Need an API key? Visit: https://makersuite.google.com/app/apikey`;
 
     const totalBookmarks = this.stats.totalBookmarks || 0;
     const uncategorized = this.stats.uncategorized || 0;
-    const hasApiKey = this.settings.apiKey;
+    const hasApiKey = this.hasProvider();
 
     if (totalBookmarks === 0) {
       this.statusDot.className = 'status-dot error';
       this.statusText.textContent = 'No bookmarks detected';
-    } else if (!hasApiKey) {
-      this.statusDot.className = 'status-dot warning';
-      this.statusText.textContent = 'API key required';
     } else if (uncategorized === 0) {
       this.statusDot.className = 'status-dot success';
       this.statusText.textContent = 'All bookmarks organized';
+    } else if (!hasApiKey) {
+      this.statusDot.className = 'status-dot warning';
+      this.statusText.textContent = `Ready to organize ${uncategorized} bookmarks offline`;
     } else {
       this.statusDot.className = 'status-dot success';
       this.statusText.textContent = `Ready to organize ${uncategorized} bookmarks`;
@@ -1623,120 +1655,1582 @@ Need an API key? Visit: https://makersuite.google.com/app/apikey`;
   }
 
   /**
-   * Show snapshots view
+   * Show the review button when a plan is waiting
    */
-  async showSnapshots() {
+  async checkPendingPlan() {
     try {
-      this.actionSection.classList.add('hidden');
-      this.snapshotsSection.classList.remove('hidden');
+      const response = await chrome.runtime.sendMessage({
+        action: 'getCategorizationPlan'
+      });
+      const hasPlan = response?.success && response.data?.plan?.status === 'ready';
+      this.reviewPlanBtn.classList.toggle('hidden', !hasPlan);
+    } catch (_error) {
+      console.error('_error checking categorization plan:', _error);
+    }
+  }
 
+  /**
+   * Show controls for a categorization running in the background
+   */
+  async checkSession() {
+    try {
       const response = await chrome.runtime.sendMessage({
-        action: 'getSnapshots'
+        action: 'getCategorizationSession'
       });
+      this.renderSession(response?.success ? response.data : null);
+    } catch (_error) {
+      console.error('_error checking categorization session:', _error);
+    }
+  }
 
-      if (response?.success) {
-        const snapshots = Array.isArray(response.data) ? response.data : [];
+  /**
+   * Render the session panel and keep polling while a session runs
+   * @param {Object|null} session - Session summary from the background
+   */
+  renderSession(session) {
+    clearTimeout(this.sessionPollTimer);
+    const finished = this.session && !session;
+    this.session = session;
+    this.sessionSection.classList.toggle('hidden', !session);
 
-        const storageInfo = {
-          snapshotCount: snapshots.length,
-          maxSnapshots: 10,
-          totalSizeMB: '0.00'
-        };
+    if (finished) {
+      this.loadStats().then(() => this.updateUI());
+      this.checkPendingPlan();
+      this.checkReviewQueue();
+    }
+    if (!session) return;
+
+    const label = session.planMode ? 'Building plan' : 'Organizing';
+    this.sessionText.textContent = session.paused
+      ? `Paused at ${session.processed} of ${session.totalBookmarks} bookmarks`
+      : `${label}: ${session.processed} of ${session.totalBookmarks} bookmarks`;
+    if (session.needsReview) {
+      this.sessionText.textContent += `, ${session.needsReview} need review`;
+    }
+    this.sessionPercent.textContent = `${session.progress}%`;
+    this.sessionFill.style.width = `${session.progress}%`;
+    this.pauseSessionBtn.classList.toggle('hidden', session.paused);
+    this.resumeSessionBtn.classList.toggle('hidden', !session.paused);
 
-        if (snapshots.length > 0) {
-          const snapshotsSize = new Blob([JSON.stringify(snapshots)]).size;
-          storageInfo.totalSizeMB = (snapshotsSize / (1024 * 1024)).toFixed(2);
-        }
+    this.sessionPollTimer = setTimeout(() => this.checkSession(), 2000);
+  }
 
-        this.displaySnapshots(snapshots, storageInfo);
-      } else {
-        console.error('Failed to load snapshots:', response?._error);
-        this.showError(`Failed to load snapshots: ${response?.error || 'Unknown error'}`);
-      }
+  /**
+   * Show the Needs Review button when low-confidence bookmarks are waiting
+   */
+  async checkReviewQueue() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getReviewQueue' });
+      this.reviewQueue = response?.success ? response.data : [];
+      this.needsReviewCount.textContent = this.reviewQueue.length;
+      this.needsReviewBtn.classList.toggle('hidden', this.reviewQueue.length === 0);
     } catch (_error) {
-      console.error('_error loading snapshots:', _error);
-      this.showError(`Failed to load snapshots: ${_error.message}`);
+      console.error('_error checking review queue:', _error);
     }
   }
 
   /**
-   * Hide snapshots view
+   * Show low-confidence bookmarks waiting for a decision
    */
-  hideSnapshots() {
-    this.snapshotsSection.classList.add('hidden');
-    this.actionSection.classList.remove('hidden');
+  async showReviewQueue() {
+    await this.checkReviewQueue();
+    this.actionSection.classList.add('hidden');
+    this.resultsSection.classList.add('hidden');
+    this.reviewSection.classList.remove('hidden');
+    await this.renderReviewQueue();
   }
 
   /**
-   * Display snapshots list
+   * Hide the review view
    */
-  displaySnapshots(snapshots, storageInfo) {
-    this.snapshotCount.textContent = storageInfo.snapshotCount;
-    this.maxSnapshots.textContent = storageInfo.maxSnapshots;
-    this.storageSize.textContent = storageInfo.totalSizeMB;
+  hideReviewQueue() {
+    this.reviewSection.classList.add('hidden');
+    this.actionSection.classList.remove('hidden');
+  }
 
-    if (snapshots.length === 0) {
-      this.snapshotsList.innerHTML = `
+  /**
+   * Render review entries with accept, reassign and skip actions
+   */
+  async renderReviewQueue() {
+    if (this.reviewQueue.length === 0) {
+      this.reviewList.innerHTML = `
         <div class="empty-state">
-          <p>No snapshots available yet.</p>
-          <p>Snapshots are created automatically before AI categorization.</p>
+          <p>Nothing left to review.</p>
         </div>
       `;
       return;
     }
 
-    this.snapshotsList.innerHTML = snapshots
-      .map((snapshot) => {
-        const date = new Date(snapshot.timestamp);
-        const timeAgo = this.formatRelativeTime(date);
-        const fullDate = date.toLocaleString();
+    const categories = await this.getAvailableCategories();
+    const options = categories
+      .map((cat) => `<option value="${this.escapeHtml(cat)}">${this.escapeHtml(cat)}</option>`)
+      .join('');
 
+    this.reviewList.innerHTML = this.reviewQueue
+      .map((entry) => {
+        const id = this.escapeHtml(entry.bookmarkId);
+        const confidence = Math.round(entry.confidence * 100);
         return `
-        <div class="snapshot-item" data-snapshot-id="${snapshot.id}">
-          <div class="snapshot-info">
-            <div class="snapshot-title">${snapshot.description}</div>
-            <div class="snapshot-meta">
-              <span class="snapshot-time" title="${fullDate}">${timeAgo}</span>
-              ${
-                snapshot.metadata.bookmarkCount
-                  ? `<span class="snapshot-count">${snapshot.metadata.bookmarkCount} bookmarks</span>`
-                  : ''
-              }
-            </div>
+        <div class="bookmark-item plan-entry" data-bookmark-id="${id}">
+          <div class="plan-entry-title" title="${this.escapeHtml(entry.url)}">${this.escapeHtml(entry.title)}</div>
+          <div class="plan-change">
+            <span class="plan-diff-new">📁 ${this.escapeHtml(entry.suggestedCategory)} (${confidence}% sure)</span>
           </div>
-          <div class="snapshot-actions">
-            <button class="restore-snapshot-btn" data-snapshot-id="${snapshot.id}">
-              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M12 5V1L7 6L12 11V7C15.31 7 18 9.69 18 13C18 16.31 15.31 19 12 19C8.69 19 6 16.31 6 13H4C4 17.42 7.58 21 12 21C16.42 21 20 17.42 20 13C20 8.58 16.42 5 12 5Z" fill="currentColor" />
-              </svg>
-              Restore
-            </button>
-            <button class="delete-snapshot-btn" data-snapshot-id="${snapshot.id}">
-              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M6 19C6 20.1 6.9 21 8 21H16C17.1 21 18 20.1 18 19V7H6V19ZM19 4H15.5L14.5 3H9.5L8.5 4H5V6H19V4Z" fill="currentColor" />
-              </svg>
-            </button>
+          ${entry.reasoning ? `<div class="review-reasoning">${this.escapeHtml(entry.reasoning)}</div>` : ''}
+          <div class="review-actions">
+            <button class="control-btn review-accept">Accept</button>
+            <select class="review-category">
+              <option value="">Move to...</option>
+              ${options}
+            </select>
+            <button class="control-btn review-skip">Skip</button>
           </div>
         </div>
       `;
       })
       .join('');
 
-    document.querySelectorAll('.restore-snapshot-btn').forEach((btn) => {
-      btn.addEventListener('click', (e) => {
-        const snapshotId = e.currentTarget.dataset.snapshotId;
-        this.restoreSnapshot(snapshotId);
+    this.reviewList.querySelectorAll('.plan-entry').forEach((item) => {
+      const { bookmarkId } = item.dataset;
+      item.querySelector('.review-accept').addEventListener('click', () =>
+        this.sendReviewAction('acceptReviewItem', { bookmarkId })
+      );
+      item.querySelector('.review-category').addEventListener('change', (e) => {
+        if (e.currentTarget.value) {
+          this.sendReviewAction('reassignReviewItem', { bookmarkId, category: e.currentTarget.value });
+        }
       });
+      item.querySelector('.review-skip').addEventListener('click', () =>
+        this.sendReviewAction('skipReviewItem', { bookmarkId })
+      );
     });
+  }
 
-    document.querySelectorAll('.delete-snapshot-btn').forEach((btn) => {
-      btn.addEventListener('click', (e) => {
-        const snapshotId = e.currentTarget.dataset.snapshotId;
+  /**
+   * Resolve a review entry and refresh the list
+   */
+  async sendReviewAction(action, data) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action, data });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Review action failed');
+      }
+
+      this.reviewQueue = response.data;
+      this.needsReviewCount.textContent = this.reviewQueue.length;
+      this.needsReviewBtn.classList.toggle('hidden', this.reviewQueue.length === 0);
+      await this.renderReviewQueue();
+      if (action !== 'skipReviewItem') {
+        this.loadStats().then(() => this.updateUI());
+      }
+    } catch (_error) {
+      console.error('_error resolving review entry:', _error);
+      this.showError(_error.message);
+      await this.checkReviewQueue();
+      await this.renderReviewQueue();
+    }
+  }
+
+  /**
+   * Load the last link health report and show the broken link count
+   * @returns {Promise<boolean>} True while a check is running
+   */
+  async loadLinkHealth() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getLinkHealthReport' });
+      if (!response?.success) return false;
+
+      this.linkReport = response.data.report;
+      this.updateBrokenLinksCount();
+      return response.data.running;
+    } catch (_error) {
+      console.error('_error loading link health report:', _error);
+      return false;
+    }
+  }
+
+  /**
+   * Show the broken link count next to the Broken Links button
+   */
+  updateBrokenLinksCount() {
+    const broken = this.linkReport?.broken || 0;
+    this.brokenLinksCount.textContent = broken > 0 ? ` (${broken})` : '';
+  }
+
+  /**
+   * Show broken links from the last check
+   */
+  async showBrokenLinks() {
+    const running = await this.loadLinkHealth();
+    this.actionSection.classList.add('hidden');
+    this.resultsSection.classList.add('hidden');
+    this.brokenLinksSection.classList.remove('hidden');
+    this.renderBrokenLinks();
+
+    if (running) {
+      this.runLinkCheck();
+    }
+  }
+
+  /**
+   * Hide the broken links view
+   */
+  hideBrokenLinks() {
+    this.brokenLinksSection.classList.add('hidden');
+    this.actionSection.classList.remove('hidden');
+  }
+
+  /**
+   * Check every bookmark, or wait for the check that is already running
+   */
+  async runLinkCheck() {
+    this.checkLinksBtn.disabled = true;
+    this.checkLinksBtn.textContent = 'Checking...';
+    this.linkHealthSummary.textContent = 'Checking links...';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'checkLinkHealth' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Link check failed');
+      }
+      this.linkReport = response.data;
+      this.selectedLinks.clear();
+    } catch (_error) {
+      console.error('_error checking links:', _error);
+      this.showError(_error.message);
+    } finally {
+      this.checkLinksBtn.disabled = false;
+      this.checkLinksBtn.textContent = 'Check Links Now';
+      this.updateBrokenLinksCount();
+      this.renderBrokenLinks();
+    }
+  }
+
+  /**
+   * Render broken links with selection checkboxes
+   */
+  renderBrokenLinks() {
+    const labels = {
+      dead: 'Not found',
+      dns: 'Host not found (DNS)',
+      timeout: 'Timed out',
+      parked: 'Parked domain',
+      error: 'Server or connection error'
+    };
+    const report = this.linkReport;
+
+    if (!report) {
+      this.linkHealthSummary.textContent =
+        'Links have not been checked yet. Checking takes a few minutes for large collections.';
+      this.brokenLinksList.innerHTML = '';
+      this.updateLinkSelection();
+      return;
+    }
+
+    const { counts } = report;
+    this.linkHealthSummary.textContent =
+      `Checked ${report.total} bookmarks ${new Date(report.checkedAt).toLocaleString()}: ` +
+      `${counts.alive} alive, ${counts.redirected} redirected, ${counts.dead} not found, ` +
+      `${counts.dns} host not found, ${counts.timeout} timed out, ${counts.parked} parked, ` +
+      `${counts.error} failing`;
+
+    const entries = report.results.filter((entry) => labels[entry.status]);
+    if (entries.length === 0) {
+      this.brokenLinksList.innerHTML = `
+        <div class="empty-state">
+          <p>No broken links found.</p>
+        </div>
+      `;
+      this.updateLinkSelection();
+      return;
+    }
+
+    this.brokenLinksList.innerHTML = entries
+      .map((entry) => {
+        const id = this.escapeHtml(entry.bookmarkId);
+        const code = entry.httpStatus ? ` (${this.escapeHtml(entry.httpStatus)})` : '';
+        return `
+        <label class="bookmark-item plan-entry">
+          <span class="plan-change">
+            <input type="checkbox" class="link-select" data-bookmark-id="${id}" ${this.selectedLinks.has(entry.bookmarkId) ? 'checked' : ''}>
+            <span class="plan-entry-title">${this.escapeHtml(entry.title)}</span>
+          </span>
+          <span class="link-status">${labels[entry.status]}${code}</span>
+          <span class="link-url" title="${this.escapeHtml(entry.url)}">${this.escapeHtml(entry.url)}</span>
+        </label>
+      `;
+      })
+      .join('');
+
+    this.brokenLinksList.querySelectorAll('.link-select').forEach((checkbox) => {
+      checkbox.addEventListener('change', (e) => {
+        const { bookmarkId } = e.currentTarget.dataset;
+        if (e.currentTarget.checked) {
+          this.selectedLinks.add(bookmarkId);
+        } else {
+          this.selectedLinks.delete(bookmarkId);
+        }
+        this.updateLinkSelection();
+      });
+    });
+
+    this.updateLinkSelection();
+  }
+
+  /**
+   * Select or clear every listed broken link
+   */
+  selectAllLinks(selected) {
+    this.brokenLinksList.querySelectorAll('.link-select').forEach((checkbox) => {
+      checkbox.checked = selected;
+      if (selected) {
+        this.selectedLinks.add(checkbox.dataset.bookmarkId);
+      }
+    });
+    if (!selected) {
+      this.selectedLinks.clear();
+    }
+    this.updateLinkSelection();
+  }
+
+  /**
+   * Update the selected count and bulk action buttons
+   */
+  updateLinkSelection() {
+    const count = this.selectedLinks.size;
+    this.brokenLinksSelectedCount.textContent = count;
+    this.deleteLinksBtn.disabled = count === 0;
+    this.archiveLinksBtn.disabled = count === 0;
+    this.waybackLinksBtn.disabled = count === 0;
+  }
+
+  /**
+   * Delete, archive or replace the selected broken links
+   * @param {string} action - delete, archive or wayback
+   */
+  async applyLinkAction(action) {
+    const bookmarkIds = [...this.selectedLinks];
+    if (bookmarkIds.length === 0) return;
+
+    if (
+      action === 'delete' &&
+      !confirm(`Delete ${bookmarkIds.length} bookmarks?\n\nYou can restore them from Recent Changes.`)
+    ) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'applyLinkHealthAction',
+        data: { action, bookmarkIds }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Action failed');
+      }
+
+      const { succeeded, failed, report } = response.data;
+      this.linkReport = report;
+      succeeded.forEach((bookmarkId) => this.selectedLinks.delete(bookmarkId));
+      this.updateBrokenLinksCount();
+      this.renderBrokenLinks();
+
+      const verb = { delete: 'deleted', archive: 'archived', wayback: 'replaced with archived copies' }[action];
+      if (failed.length > 0) {
+        this.showError(
+          `${succeeded.length} ${verb}. ${failed.length} failed: ${failed
+            .slice(0, 3)
+            .map((entry) => `${entry.title} (${entry.error})`)
+            .join(', ')}`
+        );
+      } else {
+        this.showNotification(`${succeeded.length} bookmarks ${verb}`);
+      }
+
+      if (action !== 'wayback') {
+        this.loadStats().then(() => this.updateUI());
+      }
+    } catch (_error) {
+      console.error(`_error applying link action ${action}:`, _error);
+      this.showError(_error.message);
+    }
+  }
+
+  /**
+   * Show the folder merge preview and compare folder names
+   */
+  showFolderMerges() {
+    this.actionSection.classList.add('hidden');
+    this.resultsSection.classList.add('hidden');
+    this.folderMergeSection.classList.remove('hidden');
+    this.findFolderMerges(false);
+  }
+
+  /**
+   * Hide the folder merge preview
+   */
+  hideFolderMerges() {
+    this.folderMergeSection.classList.add('hidden');
+    this.actionSection.classList.remove('hidden');
+  }
+
+  /**
+   * Look for near-duplicate folders
+   * @param {boolean} useAI - Ask the AI instead of comparing names
+   */
+  async findFolderMerges(useAI) {
+    this.findMergesBtn.disabled = true;
+    this.findMergesAIBtn.disabled = true;
+    this.folderMergeSummary.textContent = useAI
+      ? 'Asking AI to compare folders...'
+      : 'Comparing folder names...';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getFolderMergeProposals',
+        data: { useAI }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not compare folders');
+      }
+      this.mergeProposals = response.data;
+      this.selectedMerges = new Set(this.mergeProposals.map((proposal) => proposal.id));
+    } catch (_error) {
+      console.error('_error finding similar folders:', _error);
+      this.showError(_error.message);
+      this.mergeProposals = [];
+      this.selectedMerges.clear();
+    } finally {
+      this.findMergesBtn.disabled = false;
+      this.findMergesAIBtn.disabled = false;
+      this.renderFolderMerges();
+    }
+  }
+
+  /**
+   * Render merge proposals: each keeps the first folder and empties the others into it
+   */
+  renderFolderMerges() {
+    const proposals = this.mergeProposals;
+    const folderCount = proposals.reduce((sum, proposal) => sum + proposal.sources.length, 0);
+    this.folderMergeSummary.textContent =
+      proposals.length > 0
+        ? `${proposals.length} groups of similar folders. ${folderCount} folders would be merged into the folder shown first; a snapshot is taken before merging.`
+        : 'No similar folders found.';
+
+    this.folderMergeList.innerHTML = proposals
+      .map((proposal) => {
+        const sources = proposal.sources
+          .map(
+            (source) =>
+              `<span class="merge-source">← ${this.escapeHtml(source.path)} (${source.bookmarkCount})</span>`
+          )
+          .join('');
+        const score = typeof proposal.score === 'number' ? ` · ${Math.round(proposal.score * 100)}% match` : '';
+        return `
+        <label class="bookmark-item plan-entry">
+          <span class="plan-change">
+            <input type="checkbox" class="merge-select" data-proposal-id="${this.escapeHtml(proposal.id)}" ${this.selectedMerges.has(proposal.id) ? 'checked' : ''}>
+            <span class="plan-entry-title">${this.escapeHtml(proposal.target.path)} (${proposal.target.bookmarkCount})</span>
+          </span>
+          ${sources}
+          <span class="merge-method">${proposal.method === 'ai' ? 'Suggested by AI' : 'Similar names'}${score}</span>
+        </label>
+      `;
+      })
+      .join('');
+
+    this.folderMergeList.querySelectorAll('.merge-select').forEach((checkbox) => {
+      checkbox.addEventListener('change', (e) => {
+        const { proposalId } = e.currentTarget.dataset;
+        if (e.currentTarget.checked) {
+          this.selectedMerges.add(proposalId);
+        } else {
+          this.selectedMerges.delete(proposalId);
+        }
+        this.updateMergeSelection();
+      });
+    });
+
+    this.updateMergeSelection();
+  }
+
+  /**
+   * Update the selected count and merge button
+   */
+  updateMergeSelection() {
+    this.folderMergeSelectedCount.textContent = this.selectedMerges.size;
+    this.applyMergesBtn.disabled = this.selectedMerges.size === 0;
+  }
+
+  /**
+   * Merge the selected folder groups
+   */
+  async applyFolderMerges() {
+    const proposals = this.mergeProposals.filter((proposal) => this.selectedMerges.has(proposal.id));
+    if (proposals.length === 0) return;
+
+    this.applyMergesBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'applyFolderMerges',
+        data: { proposals }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Merge failed');
+      }
+
+      const { foldersRemoved, bookmarksMoved, failed } = response.data;
+      if (failed.length > 0) {
+        this.showError(
+          `${foldersRemoved} folders merged. ${failed.length} failed: ${failed
+            .slice(0, 3)
+            .map((entry) => `${entry.path} (${entry.error})`)
+            .join(', ')}`
+        );
+      } else {
+        this.showNotification(
+          `Merged ${foldersRemoved} folders and moved ${bookmarksMoved} bookmarks. Restore the snapshot to undo.`
+        );
+      }
+
+      this.loadStats().then(() => this.updateUI());
+      await this.findFolderMerges(false);
+    } catch (_error) {
+      console.error('_error merging folders:', _error);
+      this.showError(_error.message);
+      this.updateMergeSelection();
+    }
+  }
+
+  /**
+   * Show the duplicate preview
+   */
+  showDuplicates() {
+    this.actionSection.classList.add('hidden');
+    this.resultsSection.classList.add('hidden');
+    this.duplicatesSection.classList.remove('hidden');
+    this.findDuplicates();
+  }
+
+  /**
+   * Hide the duplicate preview
+   */
+  hideDuplicates() {
+    this.duplicatesSection.classList.add('hidden');
+    this.actionSection.classList.remove('hidden');
+  }
+
+  /**
+   * Look for duplicate bookmarks with the chosen keep strategy
+   */
+  async findDuplicates() {
+    this.removeDuplicatesApplyBtn.disabled = true;
+    this.duplicatesSummary.textContent = 'Scanning bookmarks for duplicates...';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getDuplicateGroups',
+        data: {
+          includeTitles: this.includeSimilarTitlesCheckbox.checked,
+          strategy: this.duplicateStrategySelect.value
+        }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not scan for duplicates');
+      }
+      this.duplicateGroups = response.data;
+      // Similar titles are a guess; only exact URL matches start selected
+      this.selectedDuplicates = new Set(
+        this.duplicateGroups.filter((group) => group.type === 'url').map((group) => group.id)
+      );
+    } catch (_error) {
+      console.error('_error finding duplicates:', _error);
+      this.showError(_error.message);
+      this.duplicateGroups = [];
+      this.selectedDuplicates.clear();
+    } finally {
+      this.renderDuplicates();
+    }
+  }
+
+  /**
+   * Render duplicate groups with the copy to keep preselected
+   */
+  renderDuplicates() {
+    const groups = this.duplicateGroups;
+    const extraCopies = groups.reduce((sum, group) => sum + group.bookmarks.length - 1, 0);
+    this.duplicatesSummary.textContent =
+      groups.length > 0
+        ? `${groups.length} groups with ${extraCopies} extra copies. The checked copy is kept; a snapshot is taken before removing.`
+        : 'No duplicate bookmarks found.';
+
+    this.duplicatesList.innerHTML = groups
+      .map((group) => {
+        const copies = group.bookmarks
+          .map((bookmark) => {
+            const added = bookmark.dateAdded ? new Date(bookmark.dateAdded).toLocaleDateString() : 'unknown date';
+            return `
+            <label class="plan-change duplicate-copy">
+              <input type="radio" name="keep-${this.escapeHtml(group.id)}" class="duplicate-keep" data-group-id="${this.escapeHtml(group.id)}" value="${this.escapeHtml(bookmark.id)}" ${bookmark.id === group.keepId ? 'checked' : ''}>
+              <span>
+                <span class="plan-entry-title">${this.escapeHtml(bookmark.title)}</span>
+                <span class="link-url">${this.escapeHtml(bookmark.folderPath || 'Root')} · ${added}</span>
+              </span>
+            </label>
+          `;
+          })
+          .join('');
+        return `
+        <div class="bookmark-item plan-entry">
+          <label class="plan-change">
+            <input type="checkbox" class="duplicate-select" data-group-id="${this.escapeHtml(group.id)}" ${this.selectedDuplicates.has(group.id) ? 'checked' : ''}>
+            <span class="merge-method">${group.type === 'url' ? 'Same page' : 'Similar titles'} · ${group.bookmarks.length} copies</span>
+          </label>
+          <span class="link-url">${this.escapeHtml(group.key)}</span>
+          ${copies}
+        </div>
+      `;
+      })
+      .join('');
+
+    this.duplicatesList.querySelectorAll('.duplicate-select').forEach((checkbox) => {
+      checkbox.addEventListener('change', (e) => {
+        const { groupId } = e.currentTarget.dataset;
+        if (e.currentTarget.checked) {
+          this.selectedDuplicates.add(groupId);
+        } else {
+          this.selectedDuplicates.delete(groupId);
+        }
+        this.updateDuplicateSelection();
+      });
+    });
+
+    this.duplicatesList.querySelectorAll('.duplicate-keep').forEach((radio) => {
+      radio.addEventListener('change', (e) => {
+        const group = this.duplicateGroups.find((entry) => entry.id === e.currentTarget.dataset.groupId);
+        if (group) group.keepId = e.currentTarget.value;
+      });
+    });
+
+    this.updateDuplicateSelection();
+  }
+
+  /**
+   * Update the selected count and remove button
+   */
+  updateDuplicateSelection() {
+    this.duplicatesSelectedCount.textContent = this.selectedDuplicates.size;
+    this.removeDuplicatesApplyBtn.disabled = this.selectedDuplicates.size === 0;
+  }
+
+  /**
+   * Remove every copy except the kept one in the selected groups
+   */
+  async removeSelectedDuplicates() {
+    const groups = this.duplicateGroups.filter((group) => this.selectedDuplicates.has(group.id));
+    if (groups.length === 0) return;
+
+    this.removeDuplicatesApplyBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'removeDuplicates',
+        data: { groups, strategy: this.duplicateStrategySelect.value }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not remove duplicates');
+      }
+
+      const { removed, failed, snapshotId } = response.data;
+      this.duplicateSnapshotId = snapshotId;
+      this.undoDuplicatesBtn.classList.remove('hidden');
+      if (failed.length > 0) {
+        this.showError(
+          `Removed ${removed} duplicates. ${failed.length} failed: ${failed
+            .slice(0, 3)
+            .map((entry) => `${entry.title} (${entry.error})`)
+            .join(', ')}`
+        );
+      } else {
+        this.showNotification(`Removed ${removed} duplicate bookmarks. Use Undo to bring them back.`);
+      }
+
+      this.loadStats().then(() => this.updateUI());
+      await this.findDuplicates();
+    } catch (_error) {
+      console.error('_error removing duplicates:', _error);
+      this.showError(_error.message);
+      this.updateDuplicateSelection();
+    }
+  }
+
+  /**
+   * Restore the snapshot taken before the last duplicate removal
+   */
+  async undoDuplicateRemoval() {
+    if (!this.duplicateSnapshotId) return;
+    this.duplicatesSection.classList.add('hidden');
+    await this.restoreSnapshot(this.duplicateSnapshotId);
+
+    // The restore prompt was dismissed; stay on the duplicate list
+    if (this.progressSection.classList.contains('hidden') && this.resultsSection.classList.contains('hidden')) {
+      this.duplicatesSection.classList.remove('hidden');
+      return;
+    }
+    this.duplicateSnapshotId = null;
+    this.undoDuplicatesBtn.classList.add('hidden');
+  }
+
+  /**
+   * Show the change history
+   */
+  showJournal() {
+    this.actionSection.classList.add('hidden');
+    this.resultsSection.classList.add('hidden');
+    this.journalSection.classList.remove('hidden');
+    this.expandedJournalSessionId = null;
+    this.loadJournal();
+  }
+
+  /**
+   * Hide the change history
+   */
+  hideJournal() {
+    this.journalSection.classList.add('hidden');
+    this.actionSection.classList.remove('hidden');
+  }
+
+  /**
+   * Load recorded change sessions and the entries of the expanded one
+   */
+  async loadJournal() {
+    this.journalSummary.textContent = 'Loading recent changes...';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getJournalSessions' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not load recent changes');
+      }
+      this.journalSessions = response.data;
+
+      const expanded = this.journalSessions.find((session) => session.id === this.expandedJournalSessionId);
+      if (expanded) {
+        const detail = await chrome.runtime.sendMessage({
+          action: 'getJournalSession',
+          data: { sessionId: expanded.id }
+        });
+        expanded.entries = detail?.success ? detail.data.entries : [];
+      }
+    } catch (_error) {
+      console.error('_error loading recent changes:', _error);
+      this.showError(_error.message);
+      this.journalSessions = [];
+    } finally {
+      this.renderJournal();
+    }
+  }
+
+  /**
+   * Render change sessions, newest first. The expanded session lists each
+   * bookmark it touched with its own undo button.
+   */
+  renderJournal() {
+    const sessions = this.journalSessions;
+    this.journalSummary.textContent =
+      sessions.length > 0
+        ? 'Undo a whole run or single bookmarks. Changes you made yourself since are left alone.'
+        : 'No changes recorded yet.';
+
+    this.journalList.innerHTML = sessions
+      .map((session) => {
+        const when = new Date(session.startedAt).toLocaleString();
+        const undone = session.undoneAt
+          ? ' · undone'
+          : session.undoneCount > 0
+            ? ` · ${session.undoneCount} undone`
+            : '';
+        const expanded = session.id === this.expandedJournalSessionId;
+        return `
+        <div class="bookmark-item plan-entry">
+          <span class="plan-entry-title">${this.escapeHtml(session.label)}</span>
+          <span class="link-url">${when} · ${session.entryCount} changes${undone}</span>
+          <div class="review-actions">
+            <button class="control-btn journal-toggle" data-session-id="${this.escapeHtml(session.id)}">${expanded ? 'Hide' : 'Details'}</button>
+            <button class="control-btn journal-undo" data-session-id="${this.escapeHtml(session.id)}" ${session.undoneAt ? 'disabled' : ''}>Undo All</button>
+          </div>
+          ${expanded ? this.renderJournalEntries(session) : ''}
+        </div>
+      `;
+      })
+      .join('');
+
+    this.journalList.querySelectorAll('.journal-toggle').forEach((button) => {
+      button.addEventListener('click', (e) => {
+        const { sessionId } = e.currentTarget.dataset;
+        this.expandedJournalSessionId = this.expandedJournalSessionId === sessionId ? null : sessionId;
+        this.loadJournal();
+      });
+    });
+    this.journalList.querySelectorAll('.journal-undo').forEach((button) => {
+      button.addEventListener('click', (e) => this.undoJournal(e.currentTarget.dataset.sessionId));
+    });
+    this.journalList.querySelectorAll('.journal-undo-bookmark').forEach((button) => {
+      button.addEventListener('click', (e) => {
+        const { sessionId, bookmarkId } = e.currentTarget.dataset;
+        this.undoJournal(sessionId, bookmarkId);
+      });
+    });
+  }
+
+  /**
+   * Render one session's changes grouped by bookmark
+   * @param {Object} session - Session with entries
+   * @returns {string} HTML
+   */
+  renderJournalEntries(session) {
+    const byBookmark = new Map();
+    (session.entries || []).forEach((entry) => {
+      if (!byBookmark.has(entry.bookmarkId)) byBookmark.set(entry.bookmarkId, []);
+      byBookmark.get(entry.bookmarkId).push(entry);
+    });
+
+    return [...byBookmark.entries()]
+      .map(([bookmarkId, entries]) => {
+        const pending = entries.some((entry) => !entry.undone);
+        const changes = entries.map((entry) => this.describeJournalEntry(entry)).join(', ');
+        return `
+        <div class="plan-change journal-entry">
+          <span>
+            <span class="plan-entry-title">${this.escapeHtml(entries[0].title || entries[0].url || 'Untitled')}</span>
+            <span class="link-url">${this.escapeHtml(changes)}</span>
+          </span>
+          <button class="control-btn journal-undo-bookmark" data-session-id="${this.escapeHtml(session.id)}" data-bookmark-id="${this.escapeHtml(bookmarkId)}" ${pending ? '' : 'disabled'}>${pending ? 'Undo' : 'Undone'}</button>
+        </div>
+      `;
+      })
+      .join('');
+  }
+
+  /**
+   * Describe a journal entry in a few words
+   * @param {Object} entry - Journal entry
+   * @returns {string} Description
+   */
+  describeJournalEntry(entry) {
+    if (entry.type === 'update') {
+      if (entry.to?.url !== undefined) return 'changed URL';
+      return `renamed to "${entry.to?.title ?? ''}"`;
+    }
+    return { move: 'moved', create: 'created', delete: 'deleted' }[entry.type] || entry.type;
+  }
+
+  /**
+   * Undo a whole change session, or one bookmark in it
+   * @param {string} sessionId - Session ID
+   * @param {string} bookmarkId - Bookmark ID (optional)
+   */
+  async undoJournal(sessionId, bookmarkId = null) {
+    if (!bookmarkId && !confirm('Undo every change in this run?')) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: bookmarkId ? 'undoJournalBookmark' : 'undoJournalSession',
+        data: { sessionId, bookmarkId }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not undo these changes');
+      }
+
+      const { undone, skipped, failed } = response.data;
+      if (skipped.length > 0 || failed.length > 0) {
+        const reasons = [
+          ...skipped.map((entry) => `${entry.title}: ${entry.reason}`),
+          ...failed.map((entry) => `${entry.title}: ${entry.error}`)
+        ];
+        this.showError(
+          `Undid ${undone} changes. ${reasons.length} left as they are: ${reasons.slice(0, 3).join(', ')}${reasons.length > 3 ? '...' : ''}`
+        );
+      } else {
+        this.showNotification(`Undid ${undone} changes.`);
+      }
+
+      this.loadStats().then(() => this.updateUI());
+      await this.loadJournal();
+    } catch (_error) {
+      console.error('_error undoing changes:', _error);
+      this.showError(_error.message);
+    }
+  }
+
+  /**
+   * Pause the running session after its current batch
+   */
+  async pauseSession() {
+    const session = await this.sendSessionAction('pauseCategorization');
+    if (session) this.renderSession(session);
+  }
+
+  /**
+   * Resume a paused session
+   */
+  async resumeSession() {
+    const session = await this.sendSessionAction('resumeCategorization');
+    if (session) this.renderSession(session);
+  }
+
+  /**
+   * Cancel the running session, optionally rolling back to its snapshot
+   */
+  async cancelSession() {
+    if (!this.session) return;
+
+    const confirmed = confirm(
+      'Stop organizing now?\n\nBookmarks that were already moved stay where they are.'
+    );
+    if (!confirmed) return;
+
+    let rollback = false;
+    if (this.session.snapshotId && !this.session.planMode && this.session.processed > 0) {
+      rollback = confirm(
+        'Also undo this run?\n\n' +
+          'OK restores your bookmarks from the snapshot taken before it started. ' +
+          'Cancel keeps the bookmarks that were already organized.'
+      );
+    }
+
+    this.cancelSessionBtn.disabled = true;
+    const result = await this.sendSessionAction('cancelCategorization', { rollback });
+    this.cancelSessionBtn.disabled = false;
+
+    if (result) {
+      this.renderSession(null);
+      this.showResults({
+        cancelled: true,
+        processed: result.session.processed,
+        categorized: result.rollback ? 0 : result.session.processed,
+        message: result.rollback
+          ? 'Run cancelled and bookmarks restored from the snapshot.'
+          : `Run cancelled after ${result.session.processed} of ${result.session.totalBookmarks} bookmarks.`
+      });
+    }
+  }
+
+  /**
+   * Send a session control message
+   * @param {string} action - Message action
+   * @param {Object} data - Message data
+   * @returns {Promise<Object|null>} Response data, or null on failure
+   */
+  async sendSessionAction(action, data = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action, data });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Request failed');
+      }
+      return response.data;
+    } catch (_error) {
+      console.error(`_error sending ${action}:`, _error);
+      this.showError(_error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Show categorization plan review view
+   */
+  async showPlanReview() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getCategorizationPlan'
+      });
+
+      if (!response?.success) {
+        this.showError(`Failed to load plan: ${response?.error || 'Unknown error'}`);
+        return;
+      }
+
+      if (!response.data?.plan) {
+        this.showNotification('No categorization plan is waiting for review');
+        this.reviewPlanBtn.classList.add('hidden');
+        return;
+      }
+
+      this.plan = response.data.plan;
+
+      // Everything that changes starts approved; the user opts out per entry
+      this.planApprovals = new Map();
+      this.plan.entries.forEach((entry) => {
+        if (entry.moveChanged || entry.titleChanged) {
+          this.planApprovals.set(entry.bookmarkId, {
+            move: entry.moveChanged,
+            rename: entry.titleChanged
+          });
+        }
+      });
+
+      this.actionSection.classList.add('hidden');
+      this.progressSection.classList.add('hidden');
+      this.resultsSection.classList.add('hidden');
+      this.planSection.classList.remove('hidden');
+
+      this.displayPlan(response.data.summary);
+    } catch (_error) {
+      console.error('_error loading categorization plan:', _error);
+      this.showError(`Failed to load plan: ${_error.message}`);
+    }
+  }
+
+  /**
+   * Hide categorization plan review view
+   */
+  hidePlanReview() {
+    this.planSection.classList.add('hidden');
+    this.actionSection.classList.remove('hidden');
+  }
+
+  /**
+   * Render plan entries as a diff with approval checkboxes
+   */
+  displayPlan(summary) {
+    const unchanged = summary.unchanged ? ` (${summary.unchanged} unchanged)` : '';
+    this.planSummary.textContent = `${summary.moves} moves, ${summary.titleRewrites} title rewrites, ${summary.newFolders} new folders${unchanged}`;
+
+    const entries = this.plan.entries.filter((entry) => entry.moveChanged || entry.titleChanged);
+
+    if (entries.length === 0) {
+      this.planList.innerHTML = `
+        <div class="empty-state">
+          <p>The AI did not propose any changes.</p>
+        </div>
+      `;
+      this.updatePlanApprovedCount();
+      return;
+    }
+
+    this.planList.innerHTML = entries
+      .map((entry) => {
+        const approval = this.planApprovals.get(entry.bookmarkId);
+        const id = this.escapeHtml(entry.bookmarkId);
+
+        const moveRow = entry.moveChanged
+          ? `
+          <label class="plan-change">
+            <input type="checkbox" class="plan-approve" data-bookmark-id="${id}" data-kind="move" ${approval.move ? 'checked' : ''}>
+            <span>
+              <span class="plan-diff-old">📁 ${this.escapeHtml(entry.currentFolder || 'Bookmarks Bar')}</span><br>
+              <span class="plan-diff-new">📁 ${this.escapeHtml(entry.targetFolder)}</span>
+              ${
+                entry.createsFolders?.length
+                  ? `<br><span class="plan-new-folder">+ new folder: ${this.escapeHtml(entry.createsFolders.join(', '))}</span>`
+                  : ''
+              }
+            </span>
+          </label>`
+          : '';
+
+        const renameRow = entry.titleChanged
+          ? `
+          <label class="plan-change">
+            <input type="checkbox" class="plan-approve" data-bookmark-id="${id}" data-kind="rename" ${approval.rename ? 'checked' : ''}>
+            <span>
+              <span class="plan-diff-old">${this.escapeHtml(entry.currentTitle)}</span><br>
+              <span class="plan-diff-new">${this.escapeHtml(entry.newTitle)}</span>
+            </span>
+          </label>`
+          : '';
+
+        return `
+        <div class="bookmark-item plan-entry">
+          <div class="plan-entry-title" title="${this.escapeHtml(entry.url)}">${this.escapeHtml(entry.currentTitle)}</div>
+          ${moveRow}
+          ${renameRow}
+        </div>
+      `;
+      })
+      .join('');
+
+    this.planList.querySelectorAll('.plan-approve').forEach((checkbox) => {
+      checkbox.addEventListener('change', (e) => {
+        const { bookmarkId, kind } = e.currentTarget.dataset;
+        const approval = this.planApprovals.get(bookmarkId);
+        if (approval) {
+          approval[kind] = e.currentTarget.checked;
+        }
+        this.updatePlanApprovedCount();
+      });
+    });
+
+    this.updatePlanApprovedCount();
+  }
+
+  /**
+   * Approve or reject every plan change
+   */
+  setAllPlanApprovals(approved) {
+    if (!this.plan) return;
+
+    this.plan.entries.forEach((entry) => {
+      const approval = this.planApprovals.get(entry.bookmarkId);
+      if (approval) {
+        approval.move = approved && entry.moveChanged;
+        approval.rename = approved && entry.titleChanged;
+      }
+    });
+
+    this.planList.querySelectorAll('.plan-approve').forEach((checkbox) => {
+      checkbox.checked = approved;
+    });
+
+    this.updatePlanApprovedCount();
+  }
+
+  /**
+   * Update approved change count and apply button state
+   */
+  updatePlanApprovedCount() {
+    let count = 0;
+    this.planApprovals?.forEach((approval) => {
+      if (approval.move) count++;
+      if (approval.rename) count++;
+    });
+
+    this.planApprovedCount.textContent = count;
+    this.applyPlanBtn.disabled = count === 0;
+  }
+
+  /**
+   * Apply the approved plan entries
+   */
+  async applyPlan() {
+    if (this.isProcessing || !this.planApprovals) return;
+
+    const approvals = [...this.planApprovals.entries()]
+      .filter(([, approval]) => approval.move || approval.rename)
+      .map(([bookmarkId, approval]) => ({ bookmarkId, ...approval }));
+
+    if (approvals.length === 0) return;
+
+    this.isProcessing = true;
+    this.planSection.classList.add('hidden');
+    this.showProgress();
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'applyCategorizationPlan',
+        data: { approvals }
+      });
+
+      if (response?.success) {
+        const results = response.data;
+        this.showResults({
+          processed: results.processed,
+          moved: results.moved,
+          message: `Plan applied: ${results.moved} bookmarks moved, ${results.renamed} titles updated.`,
+          details: results.errors.length
+            ? `${results.errors.length} entries failed and were left unchanged.`
+            : ''
+        });
+
+        this.plan = null;
+        this.planApprovals = null;
+        this.reviewPlanBtn.classList.add('hidden');
+        await this.loadStats();
+        this.updateUI();
+      } else {
+        this.showError(response?.error || 'Failed to apply plan');
+      }
+    } catch (_error) {
+      console.error('_error applying categorization plan:', _error);
+      this.showError(`Failed to apply plan: ${_error.message}`);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Discard the pending plan without applying anything
+   */
+  async discardPlan() {
+    const confirmed = confirm('Discard this categorization plan? No bookmarks will be changed.');
+    if (!confirmed) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'discardCategorizationPlan'
+      });
+
+      if (response?.success) {
+        this.plan = null;
+        this.planApprovals = null;
+        this.reviewPlanBtn.classList.add('hidden');
+        this.hidePlanReview();
+      } else {
+        this.showError('Failed to discard plan');
+      }
+    } catch (_error) {
+      console.error('_error discarding categorization plan:', _error);
+      this.showError('Failed to discard plan');
+    }
+  }
+
+  /**
+   * Show snapshots view
+   */
+  async showSnapshots() {
+    try {
+      this.actionSection.classList.add('hidden');
+      this.snapshotsSection.classList.remove('hidden');
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'getSnapshots'
+      });
+
+      if (response?.success) {
+        const snapshots = Array.isArray(response.data) ? response.data : [];
+
+        const storageInfo = {
+          snapshotCount: snapshots.length,
+          maxSnapshots: 10,
+          totalSizeMB: '0.00'
+        };
+
+        if (snapshots.length > 0) {
+          // Trees are stored compressed and apart from this list
+          const snapshotsSize = snapshots.reduce((sum, snapshot) => sum + (snapshot.storedBytes || 0), 0);
+          storageInfo.totalSizeMB = (snapshotsSize / (1024 * 1024)).toFixed(2);
+        }
+
+        this.displaySnapshots(snapshots, storageInfo);
+      } else {
+        console.error('Failed to load snapshots:', response?._error);
+        this.showError(`Failed to load snapshots: ${response?.error || 'Unknown error'}`);
+      }
+    } catch (_error) {
+      console.error('_error loading snapshots:', _error);
+      this.showError(`Failed to load snapshots: ${_error.message}`);
+    }
+  }
+
+  /**
+   * Hide snapshots view
+   */
+  hideSnapshots() {
+    this.snapshotsSection.classList.add('hidden');
+    this.actionSection.classList.remove('hidden');
+  }
+
+  /**
+   * Display snapshots list
+   */
+  displaySnapshots(snapshots, storageInfo) {
+    this.snapshots = snapshots;
+    this.snapshotCount.textContent = storageInfo.snapshotCount;
+    this.maxSnapshots.textContent = storageInfo.maxSnapshots;
+    this.storageSize.textContent = storageInfo.totalSizeMB;
+
+    if (snapshots.length === 0) {
+      this.snapshotsList.innerHTML = `
+        <div class="empty-state">
+          <p>No snapshots available yet.</p>
+          <p>Snapshots are created automatically before AI categorization.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.snapshotsList.innerHTML = snapshots
+      .map((snapshot) => {
+        const date = new Date(snapshot.timestamp);
+        const timeAgo = this.formatRelativeTime(date);
+        const fullDate = date.toLocaleString();
+
+        return `
+        <div class="snapshot-item" data-snapshot-id="${snapshot.id}">
+          <div class="snapshot-info">
+            <div class="snapshot-title">${snapshot.description}</div>
+            <div class="snapshot-meta">
+              <span class="snapshot-time" title="${fullDate}">${timeAgo}</span>
+              ${
+                snapshot.metadata.bookmarkCount
+                  ? `<span class="snapshot-count">${snapshot.metadata.bookmarkCount} bookmarks</span>`
+                  : ''
+              }
+            </div>
+          </div>
+          <div class="snapshot-actions">
+            <button class="compare-snapshot-btn" data-snapshot-id="${snapshot.id}">Compare</button>
+            <button class="restore-snapshot-btn" data-snapshot-id="${snapshot.id}">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 5V1L7 6L12 11V7C15.31 7 18 9.69 18 13C18 16.31 15.31 19 12 19C8.69 19 6 16.31 6 13H4C4 17.42 7.58 21 12 21C16.42 21 20 17.42 20 13C20 8.58 16.42 5 12 5Z" fill="currentColor" />
+              </svg>
+              Restore
+            </button>
+            <button class="delete-snapshot-btn" data-snapshot-id="${snapshot.id}">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M6 19C6 20.1 6.9 21 8 21H16C17.1 21 18 20.1 18 19V7H6V19ZM19 4H15.5L14.5 3H9.5L8.5 4H5V6H19V4Z" fill="currentColor" />
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+      })
+      .join('');
+
+    document.querySelectorAll('.compare-snapshot-btn').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        const snapshotId = e.currentTarget.dataset.snapshotId;
+        this.showSnapshotDiff(snapshotId);
+      });
+    });
+
+    document.querySelectorAll('.restore-snapshot-btn').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        const snapshotId = e.currentTarget.dataset.snapshotId;
+        this.restoreSnapshot(snapshotId);
+      });
+    });
+
+    document.querySelectorAll('.delete-snapshot-btn').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        const snapshotId = e.currentTarget.dataset.snapshotId;
         this.deleteSnapshot(snapshotId);
       });
     });
   }
 
+  /**
+   * Compare a snapshot with the current bookmarks, or with another snapshot
+   * picked in the view
+   * @param {string} snapshotId - Snapshot ID
+   */
+  showSnapshotDiff(snapshotId) {
+    this.snapshotsSection.classList.add('hidden');
+    this.snapshotDiffSection.classList.remove('hidden');
+    this.snapshotDiffFromId = snapshotId;
+    this.snapshotDiffType.value = '';
+    this.snapshotDiffSearch.value = '';
+
+    const others = this.snapshots
+      .filter((snapshot) => snapshot.id !== snapshotId)
+      .map((snapshot) => {
+        const when = new Date(snapshot.timestamp).toLocaleString();
+        return `<option value="${this.escapeHtml(snapshot.id)}">${this.escapeHtml(snapshot.description)} (${when})</option>`;
+      })
+      .join('');
+    this.snapshotDiffTarget.innerHTML = `<option value="">Current bookmarks</option>${others}`;
+
+    this.loadSnapshotDiff();
+  }
+
+  /**
+   * Close the comparison and go back to the snapshot list
+   */
+  hideSnapshotDiff() {
+    this.snapshotDiffSection.classList.add('hidden');
+    this.snapshotsSection.classList.remove('hidden');
+  }
+
+  /**
+   * Compare the chosen snapshots. Between two snapshots the older one is
+   * always the starting point.
+   */
+  async loadSnapshotDiff() {
+    const targetId = this.snapshotDiffTarget.value || null;
+    let fromId = this.snapshotDiffFromId;
+    let toId = targetId;
+    if (targetId) {
+      const timeOf = (id) => this.snapshots.find((snapshot) => snapshot.id === id)?.timestamp || 0;
+      if (timeOf(targetId) < timeOf(fromId)) [fromId, toId] = [targetId, fromId];
+    }
+
+    // Restoring is only offered against the current bookmarks
+    this.snapshotDiffControls.classList.toggle('hidden', Boolean(targetId));
+    this.snapshotDiffActions.classList.toggle('hidden', Boolean(targetId));
+    this.selectedSnapshotNodes.clear();
+    this.snapshotDiff = null;
+    this.snapshotDiffSummary.textContent = 'Comparing...';
+    this.snapshotDiffList.innerHTML = '';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'compareSnapshots',
+        data: { fromId, toId }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not compare snapshots');
+      }
+      this.snapshotDiff = response.data;
+    } catch (_error) {
+      console.error('_error comparing snapshots:', _error);
+      this.showError(_error.message);
+    } finally {
+      this.renderSnapshotDiff();
+    }
+  }
+
+  /**
+   * Render the comparison with the chosen type filter and search applied
+   */
+  renderSnapshotDiff() {
+    const diff = this.snapshotDiff;
+    if (!diff) {
+      this.snapshotDiffSummary.textContent = 'Nothing to compare.';
+      this.snapshotDiffList.innerHTML = '';
+      return;
+    }
+
+    const { summary } = diff;
+    const counts = [
+      `${summary.added} added`,
+      `${summary.removed} removed`,
+      `${summary.moved} moved`,
+      `${summary.renamed} renamed`,
+      `${summary.folder_created} folders created`,
+      `${summary.folder_deleted} folders deleted`
+    ].join(', ');
+    // Restoring brings back the "from" side, so anything after it is lost
+    const note = diff.to.id
+      ? ''
+      : ' Restoring this snapshot undoes all of these changes.';
+    this.snapshotDiffSummary.textContent =
+      diff.changes.length > 0
+        ? `From "${diff.from.description}" to "${diff.to.description}": ${counts}.${note}`
+        : `No differences between "${diff.from.description}" and "${diff.to.description}".`;
+
+    const type = this.snapshotDiffType.value;
+    const query = this.snapshotDiffSearch.value.trim().toLowerCase();
+    const changes = diff.changes.filter((change) => {
+      if (type && change.type !== type) return false;
+      if (!query) return true;
+      return [change.title, change.url, change.path, change.oldPath, change.oldTitle].some((text) =>
+        text?.toLowerCase().includes(query)
+      );
+    });
+
+    if (diff.changes.length > 0 && changes.length === 0) {
+      this.snapshotDiffList.innerHTML = '<div class="empty-state"><p>No changes match the filter.</p></div>';
+      return;
+    }
+
+    // Anything present in the snapshot can be put back; additions cannot
+    const restorable = !diff.to.id;
+    this.snapshotDiffList.innerHTML = changes
+      .map((change) => {
+        const icon = change.isFolder ? '📁' : '🔖';
+        const title = `${icon} ${this.escapeHtml(change.title || change.url || 'Untitled')}`;
+        const checkbox =
+          restorable && change.sourceId
+            ? `<input type="checkbox" class="snapshot-diff-select" data-source-id="${this.escapeHtml(change.sourceId)}" ${this.selectedSnapshotNodes.has(change.sourceId) ? 'checked' : ''}>`
+            : '';
+        return `
+        <label class="bookmark-item plan-entry">
+          <span class="plan-change">
+            ${checkbox}
+            <span class="plan-entry-title">${title}</span>
+          </span>
+          <div class="plan-change">${this.describeSnapshotChange(change)}</div>
+        </label>
+      `;
+      })
+      .join('');
+
+    this.snapshotDiffList.querySelectorAll('.snapshot-diff-select').forEach((checkbox) => {
+      checkbox.addEventListener('change', (e) => {
+        const { sourceId } = e.currentTarget.dataset;
+        if (e.currentTarget.checked) {
+          this.selectedSnapshotNodes.add(sourceId);
+        } else {
+          this.selectedSnapshotNodes.delete(sourceId);
+        }
+        this.updateSnapshotDiffSelection();
+      });
+    });
+
+    this.updateSnapshotDiffSelection();
+  }
+
+  /**
+   * Select or clear every change currently shown
+   * @param {boolean} selected - Whether to select
+   */
+  selectShownSnapshotChanges(selected) {
+    this.snapshotDiffList.querySelectorAll('.snapshot-diff-select').forEach((checkbox) => {
+      checkbox.checked = selected;
+      if (selected) {
+        this.selectedSnapshotNodes.add(checkbox.dataset.sourceId);
+      } else {
+        this.selectedSnapshotNodes.delete(checkbox.dataset.sourceId);
+      }
+    });
+    this.updateSnapshotDiffSelection();
+  }
+
+  /**
+   * Update the selected count and restore button
+   */
+  updateSnapshotDiffSelection() {
+    const count = this.selectedSnapshotNodes.size;
+    this.snapshotDiffSelectedCount.textContent = count;
+    this.restoreSelectedDiffBtn.disabled = count === 0;
+  }
+
+  /**
+   * Put the selected bookmarks and folders back where the snapshot had them,
+   * leaving everything else as it is
+   */
+  async restoreSnapshotSelection() {
+    const nodeIds = [...this.selectedSnapshotNodes];
+    if (nodeIds.length === 0) return;
+
+    this.restoreSelectedDiffBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'restoreSnapshotSelection',
+        data: { snapshotId: this.snapshotDiffFromId, nodeIds }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not restore the selection');
+      }
+
+      const { foldersCreated, bookmarksCreated, moved, renamed, errors } = response.data;
+      const message = `Put back ${moved} moved and ${bookmarksCreated} deleted items, restored ${renamed} titles and recreated ${foldersCreated} folders. Undo it from Recent Changes.`;
+      if (errors.length > 0) {
+        this.showError(`${message} ${errors.length} could not be restored: ${errors[0].error}`);
+      } else {
+        this.showNotification(message);
+      }
+
+      this.loadStats().then(() => this.updateUI());
+      await this.loadSnapshotDiff();
+    } catch (_error) {
+      console.error('_error restoring selection:', _error);
+      this.showError(_error.message);
+      this.updateSnapshotDiffSelection();
+    }
+  }
+
+  /**
+   * Describe one compared change as HTML
+   * @param {Object} change - Change from compareSnapshots
+   * @returns {string} HTML
+   */
+  describeSnapshotChange(change) {
+    const path = (value) => this.escapeHtml(value || 'Root');
+    switch (change.type) {
+      case 'added':
+      case 'folder_created':
+        return `<span class="plan-diff-new">Added in ${path(change.path)}</span>`;
+      case 'removed':
+      case 'folder_deleted':
+        return `<span class="plan-diff-old">Removed from ${path(change.path)}</span>`;
+      case 'moved':
+        return `<span class="plan-diff-old">${path(change.oldPath)}</span> → <span class="plan-diff-new">${path(change.newPath)}</span>`;
+      case 'renamed':
+        return `<span class="plan-diff-old">${this.escapeHtml(change.oldTitle)}</span> → <span class="plan-diff-new">${this.escapeHtml(change.title)}</span>`;
+      default:
+        return this.escapeHtml(change.type);
+    }
+  }
+
   /**
    * Restore a snapshot
    */
@@ -1753,6 +3247,7 @@ Need an API key? Visit: https://makersuite.google.com/app/apikey`;
     this.isProcessing = true;
     this.showProgress();
     this.hideSnapshots();
+    this.snapshotDiffSection.classList.add('hidden');
 
     try {
       const response = await chrome.runtime.sendMessage({
@@ -1829,9 +3324,14 @@ Need an API key? Visit: https://makersuite.google.com/app/apikey`;
         let message = 'Diagnostics Report:\n\n';
         message += `Health Status: ${diagnostics.health}\n`;
         message += `Snapshot Count: ${diagnostics.storageInfo?.snapshotCount || 0}\n`;
-        message += `Storage Usage: ${diagnostics.storageState?.usagePercent || 0}%\n`;
+        message += `Snapshot Data: ${diagnostics.storageInfo?.totalSizeMB || 0}MB in ${diagnostics.storageInfo?.baseCount || 0} base trees\n`;
         message += `Total Size: ${diagnostics.storageState?.totalSizeMB || 0}MB\n`;
-        message += `Quota Remaining: ${diagnostics.storageState?.quotaRemainingMB || 0}MB\n`;
+        if (diagnostics.storageInfo?.unlimitedStorage) {
+          message += 'Storage Quota: unlimited\n';
+        } else {
+          message += `Storage Usage: ${diagnostics.storageState?.usagePercent || 0}%\n`;
+          message += `Quota Remaining: ${diagnostics.storageState?.quotaRemainingMB || 0}MB\n`;
+        }
 
         if (diagnostics.repairResult && diagnostics.repairResult.repaired) {
           message += '\n⚠️ Repairs Made:\n';
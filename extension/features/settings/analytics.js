@@ -106,7 +106,7 @@ function updatePeriodStats() {
 }
 
 function updateCategorization() {
-  const { overview, categoryStats, sessions } = analyticsData;
+  const { overview, categoryStats, sessions, cache } = analyticsData;
 
   // Update stats
   document.getElementById('catProcessed').textContent =
@@ -115,6 +115,11 @@ function updateCategorization() {
   document.getElementById('catErrors').textContent = overview.totalErrors;
   document.getElementById('catSuccessRate').textContent = `${overview.overallSuccessRate}%`;
 
+  // Update result cache stats
+  document.getElementById('cacheHits').textContent = cache.hits;
+  document.getElementById('cacheMisses').textContent = cache.misses;
+  document.getElementById('cacheHitRate').textContent = `${cache.hitRate}%`;
+
   // Update top categories
   const topCategoriesEl = document.getElementById('topCategories');
   if (categoryStats.topCategories.length > 0) {
@@ -10,12 +10,20 @@ class OptionsController {
     this.isApiKeyVisible = false;
     this.isCerebrasApiKeyVisible = false;
     this.isGroqApiKeyVisible = false;
+    this.rules = [];
+    this.ruleStats = {};
+    this.editingRuleId = null;
+    this.taxonomy = { locked: false, guidance: [], fallbackCategory: '', folders: [] };
+    this.taxonomyTemplates = [];
 
     this.initializeElements();
     this.attachEventListeners();
     this.loadSettings();
     this.loadStats();
     this.loadLearningData();
+    this.loadRules();
+    this.loadTaxonomy();
+    this.loadSchedule();
     this.loadPerformanceData();
 
     chrome.runtime.onMessage.addListener((message) => {
@@ -58,6 +66,82 @@ class OptionsController {
     this.saveGroqKeyBtn = document.getElementById('saveGroqKey');
     this.groqApiKeyStatus = document.getElementById('groqApiKeyStatus');
 
+    // Custom OpenAI-compatible endpoint elements
+    this.customProviderBaseUrlInput = document.getElementById('customProviderBaseUrl');
+    this.customProviderModelsInput = document.getElementById('customProviderModels');
+    this.customProviderApiKeyInput = document.getElementById('customProviderApiKey');
+    this.customProviderRpmInput = document.getElementById('customProviderRpm');
+    this.customProviderContextWindowInput = document.getElementById('customProviderContextWindow');
+    this.testCustomProviderBtn = document.getElementById('testCustomProvider');
+    this.saveCustomProviderBtn = document.getElementById('saveCustomProvider');
+    this.customProviderStatus = document.getElementById('customProviderStatus');
+
+    // Categorization rule elements
+    this.rulesList = document.getElementById('rulesList');
+    this.ruleFormTitle = document.getElementById('ruleFormTitle');
+    this.ruleNameInput = document.getElementById('ruleName');
+    this.ruleFieldSelect = document.getElementById('ruleField');
+    this.ruleTypeSelect = document.getElementById('ruleType');
+    this.rulePriorityInput = document.getElementById('rulePriority');
+    this.rulePatternInput = document.getElementById('rulePattern');
+    this.ruleFolderInput = document.getElementById('ruleFolder');
+    this.ruleStatus = document.getElementById('ruleStatus');
+    this.saveRuleBtn = document.getElementById('saveRule');
+    this.cancelRuleEditBtn = document.getElementById('cancelRuleEdit');
+    this.ruleTestUrlInput = document.getElementById('ruleTestUrl');
+    this.ruleTestTitleInput = document.getElementById('ruleTestTitle');
+    this.ruleTestResult = document.getElementById('ruleTestResult');
+    this.testRulesBtn = document.getElementById('testRules');
+    this.exportRulesBtn = document.getElementById('exportRules');
+    this.importRulesBtn = document.getElementById('importRules');
+    this.resetRuleStatsBtn = document.getElementById('resetRuleStats');
+
+    // Taxonomy elements
+    this.taxonomyTree = document.getElementById('taxonomyTree');
+    this.taxonomyLockedCheckbox = document.getElementById('taxonomyLocked');
+    this.newTaxonomyFolderInput = document.getElementById('newTaxonomyFolder');
+    this.addTaxonomyFolderBtn = document.getElementById('addTaxonomyFolder');
+    this.taxonomyStatus = document.getElementById('taxonomyStatus');
+    this.saveTaxonomyBtn = document.getElementById('saveTaxonomy');
+    this.taxonomyTemplateSelect = document.getElementById('taxonomyTemplate');
+    this.taxonomyTemplateDescription = document.getElementById('taxonomyTemplateDescription');
+    this.applyTaxonomyTemplateBtn = document.getElementById('applyTaxonomyTemplate');
+    this.taxonomyGuidanceInput = document.getElementById('taxonomyGuidance');
+    this.taxonomyFallbackInput = document.getElementById('taxonomyFallback');
+    this.exportTaxonomyBtn = document.getElementById('exportTaxonomy');
+    this.importTaxonomyBtn = document.getElementById('importTaxonomy');
+
+    // Scheduled organization elements
+    this.scheduleEnabledCheckbox = document.getElementById('scheduleEnabled');
+    this.scheduleFrequencySelect = document.getElementById('scheduleFrequency');
+    this.scheduleTimeInput = document.getElementById('scheduleTime');
+    this.scheduleDayOfWeekSelect = document.getElementById('scheduleDayOfWeek');
+    this.scheduleIntervalHoursInput = document.getElementById('scheduleIntervalHours');
+    this.scheduleScopeSelect = document.getElementById('scheduleScope');
+    this.scheduleFolderSelect = document.getElementById('scheduleFolder');
+    this.scheduleTimeField = document.getElementById('scheduleTimeField');
+    this.scheduleDayField = document.getElementById('scheduleDayField');
+    this.scheduleIntervalField = document.getElementById('scheduleIntervalField');
+    this.scheduleFolderField = document.getElementById('scheduleFolderField');
+    this.quietHoursEnabledCheckbox = document.getElementById('quietHoursEnabled');
+    this.quietStartInput = document.getElementById('quietStart');
+    this.quietEndInput = document.getElementById('quietEnd');
+    this.scheduleNextRun = document.getElementById('scheduleNextRun');
+    this.scheduleStatus = document.getElementById('scheduleStatus');
+    this.saveScheduleBtn = document.getElementById('saveSchedule');
+    this.runScheduleNowBtn = document.getElementById('runScheduleNow');
+    this.scheduleHistory = document.getElementById('scheduleHistory');
+    this.clearScheduleHistoryBtn = document.getElementById('clearScheduleHistory');
+
+    // Bookmark import elements
+    this.importBookmarksText = document.getElementById('importBookmarksText');
+    this.importPreserveFoldersCheckbox = document.getElementById('importPreserveFolders');
+    this.importCategorizeCheckbox = document.getElementById('importCategorize');
+    this.importStatus = document.getElementById('importStatus');
+    this.importReport = document.getElementById('importReport');
+    this.importBookmarksFileBtn = document.getElementById('importBookmarksFile');
+    this.importBookmarksPastedBtn = document.getElementById('importBookmarksPasted');
+
     // Categories elements
     this.categoriesList = document.getElementById('categoriesList');
     this.newCategoryInput = document.getElementById('newCategoryInput');
@@ -66,6 +150,8 @@ class OptionsController {
     // Settings elements
     this.batchSizeSelect = document.getElementById('batchSize');
     this.cleanupEmptyFoldersCheckbox = document.getElementById('cleanupEmptyFolders');
+    this.autoCategorizeNewCheckbox = document.getElementById('autoCategorizeNew');
+    this.linkCheckIntervalSelect = document.getElementById('linkCheckInterval');
     this.maxCategoryDepthSlider = document.getElementById('maxCategoryDepth');
     this.maxDepthValueDisplay = document.getElementById('maxDepthValue');
     this.minBookmarksThresholdSlider = document.getElementById('minBookmarksThreshold');
@@ -182,6 +268,63 @@ class OptionsController {
     this.testGroqKeyBtn.addEventListener('click', () => this.testGroqKey());
     this.saveGroqKeyBtn.addEventListener('click', () => this.saveGroqKey());
 
+    // Custom endpoint events
+    if (this.testCustomProviderBtn) {
+      this.testCustomProviderBtn.addEventListener('click', () => this.testCustomProvider());
+    }
+    if (this.saveCustomProviderBtn) {
+      this.saveCustomProviderBtn.addEventListener('click', () => this.saveCustomProvider());
+    }
+
+    // Categorization rule events
+    if (this.rulesList) {
+      this.saveRuleBtn.addEventListener('click', () => this.saveRule());
+      this.cancelRuleEditBtn.addEventListener('click', () => this.resetRuleForm());
+      this.testRulesBtn.addEventListener('click', () => this.testRules());
+      this.exportRulesBtn.addEventListener('click', () => this.exportRules());
+      this.importRulesBtn.addEventListener('click', () => this.importRules());
+      this.resetRuleStatsBtn.addEventListener('click', () => this.resetRuleStats());
+    }
+
+    // Taxonomy events
+    if (this.taxonomyTree) {
+      this.taxonomyLockedCheckbox.addEventListener('change', (e) => {
+        this.taxonomy.locked = e.target.checked;
+      });
+      this.addTaxonomyFolderBtn.addEventListener('click', () => this.addTaxonomyFolder());
+      this.newTaxonomyFolderInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.addTaxonomyFolder();
+      });
+      this.saveTaxonomyBtn.addEventListener('click', () => this.saveTaxonomy());
+      this.taxonomyTemplateSelect.addEventListener('change', () => this.showTemplateDescription());
+      this.applyTaxonomyTemplateBtn.addEventListener('click', () => this.applyTaxonomyTemplate());
+      this.taxonomyGuidanceInput.addEventListener('input', (e) => {
+        this.taxonomy.guidance = e.target.value.split('\n');
+      });
+      this.taxonomyFallbackInput.addEventListener('input', (e) => {
+        this.taxonomy.fallbackCategory = e.target.value;
+      });
+      this.exportTaxonomyBtn.addEventListener('click', () => this.exportTaxonomy());
+      this.importTaxonomyBtn.addEventListener('click', () => this.importTaxonomy());
+    }
+
+    // Scheduled organization events
+    if (this.scheduleEnabledCheckbox) {
+      this.scheduleFrequencySelect.addEventListener('change', () => this.updateScheduleFields());
+      this.scheduleScopeSelect.addEventListener('change', () => this.updateScheduleFields());
+      this.saveScheduleBtn.addEventListener('click', () => this.saveSchedule());
+      this.runScheduleNowBtn.addEventListener('click', () => this.runScheduleNow());
+      this.clearScheduleHistoryBtn.addEventListener('click', () => this.clearScheduleHistory());
+    }
+
+    // Bookmark import events
+    if (this.importBookmarksFileBtn) {
+      this.importBookmarksFileBtn.addEventListener('click', () => this.chooseImportFile());
+      this.importBookmarksPastedBtn.addEventListener('click', () =>
+        this.importBookmarks(this.importBookmarksText.value, 'pasted.txt')
+      );
+    }
+
     // Categories events
     this.newCategoryInput.addEventListener('input', () => this.onNewCategoryChange());
     this.newCategoryInput.addEventListener('keypress', (e) => {
@@ -192,6 +335,12 @@ class OptionsController {
     // Settings events
     this.batchSizeSelect.addEventListener('change', () => this.saveSettings());
     this.cleanupEmptyFoldersCheckbox.addEventListener('change', () => this.saveSettings());
+    if (this.autoCategorizeNewCheckbox) {
+      this.autoCategorizeNewCheckbox.addEventListener('change', () => this.saveSettings());
+    }
+    if (this.linkCheckIntervalSelect) {
+      this.linkCheckIntervalSelect.addEventListener('change', () => this.saveSettings());
+    }
     this.maxCategoryDepthSlider.addEventListener('input', () => this.onMaxDepthChange());
     this.maxCategoryDepthSlider.addEventListener('change', () => this.saveSettings());
     this.minBookmarksThresholdSlider.addEventListener('input', () => this.onMinThresholdChange());
@@ -295,6 +444,11 @@ class OptionsController {
       apiKey: '',
       cerebrasApiKey: '',
       groqApiKey: '',
+      customProviderBaseUrl: '',
+      customProviderModels: [],
+      customProviderApiKey: '',
+      customProviderRpm: 60,
+      customProviderContextWindow: 8192,
       categories: [
         'Work',
         'Personal',
@@ -308,6 +462,8 @@ class OptionsController {
       lastSortTime: 0,
       batchSize: 50,
       cleanupEmptyFolders: false,
+      autoCategorizeNew: false,
+      linkCheckInterval: 'off',
       maxCategoryDepth: 2,
       minBookmarksThreshold: 3,
       // Advanced settings
@@ -370,12 +526,28 @@ class OptionsController {
       this.groqApiKeyInput.type = 'password';
     }
 
+    // Custom endpoint
+    if (this.customProviderBaseUrlInput) {
+      this.customProviderBaseUrlInput.value = this.settings.customProviderBaseUrl || '';
+      this.customProviderModelsInput.value = (this.settings.customProviderModels || []).join(', ');
+      this.customProviderApiKeyInput.value = this.settings.customProviderApiKey || '';
+      this.customProviderRpmInput.value = this.settings.customProviderRpm || 60;
+      this.customProviderContextWindowInput.value =
+        this.settings.customProviderContextWindow || 8192;
+    }
+
     // Categories
     this.renderCategories();
 
     // Basic settings
     this.batchSizeSelect.value = this.settings.batchSize || 50;
     this.cleanupEmptyFoldersCheckbox.checked = this.settings.cleanupEmptyFolders !== false;
+    if (this.autoCategorizeNewCheckbox) {
+      this.autoCategorizeNewCheckbox.checked = this.settings.autoCategorizeNew === true;
+    }
+    if (this.linkCheckIntervalSelect) {
+      this.linkCheckIntervalSelect.value = this.settings.linkCheckInterval || 'off';
+    }
     this.maxCategoryDepthSlider.value = this.settings.maxCategoryDepth || 2;
     this.maxDepthValueDisplay.textContent = this.settings.maxCategoryDepth || 2;
     this.minBookmarksThresholdSlider.value = this.settings.minBookmarksThreshold || 3;
@@ -414,7 +586,7 @@ class OptionsController {
 
     // Advanced settings - Performance & Optimization
     if (this.retryAttemptsSelect) {
-      this.retryAttemptsSelect.value = this.settings.retryAttempts || 2;
+      this.retryAttemptsSelect.value = this.settings.retryAttempts ?? 2;
     }
     if (this.requestTimeoutSelect) {
       this.requestTimeoutSelect.value = this.settings.requestTimeout || 30000;
@@ -423,7 +595,7 @@ class OptionsController {
       this.enableCachingCheckbox.checked = this.settings.enableCaching !== false;
     }
     if (this.cacheExpirationSelect) {
-      this.cacheExpirationSelect.value = this.settings.cacheExpiration || 2592000000;
+      this.cacheExpirationSelect.value = this.settings.cacheExpiration ?? 2592000000;
     }
 
     // Advanced settings - Snapshot & Backup
@@ -687,6 +859,967 @@ class OptionsController {
     }
   }
 
+  /**
+   * Load categorization rules and their stats
+   */
+  async loadRules() {
+    if (!this.rulesList) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getCategorizationRules'
+      });
+
+      if (response?.success) {
+        this.rules = response.data.rules || [];
+        this.ruleStats = response.data.stats || {};
+        this.renderRules();
+      } else {
+        throw new Error(response?.error || 'Failed to load rules');
+      }
+    } catch (_error) {
+      console.error('_error loading categorization rules:', _error);
+      this.showToast('Failed to load categorization rules', 'error');
+    }
+  }
+
+  /**
+   * Render categorization rules list
+   */
+  renderRules() {
+    this.rulesList.innerHTML = '';
+
+    if (this.rules.length === 0) {
+      this.rulesList.innerHTML =
+        '<p class="rules-empty">No rules yet. Add one below to steer bookmarks without AI.</p>';
+      return;
+    }
+
+    this.rules.forEach((rule) => {
+      const stats = this.ruleStats[rule.id];
+      const fired = stats
+        ? `fired ${stats.count}× · last ${new Date(stats.lastFired).toLocaleDateString()}`
+        : 'never fired';
+
+      const ruleItem = document.createElement('div');
+      ruleItem.className = `rule-item${rule.enabled ? '' : ' disabled'}`;
+      ruleItem.innerHTML = `
+        <input type="checkbox" class="rule-toggle" title="Enable rule" ${rule.enabled ? 'checked' : ''} />
+        <div class="rule-info">
+          <div class="rule-name">${this.escapeHtml(rule.name || rule.pattern)}</div>
+          <div class="rule-detail">
+            ${this.escapeHtml(rule.field)} ${rule.type === 'regex' ? 'matches' : 'is like'}
+            <code>${this.escapeHtml(rule.pattern)}</code> → ${this.escapeHtml(rule.folder)}
+          </div>
+          <div class="rule-detail">Priority ${rule.priority} · ${fired}</div>
+        </div>
+        <div class="rule-actions">
+          <button type="button" class="secondary-btn edit">Edit</button>
+          <button type="button" class="danger-btn delete">Delete</button>
+        </div>
+      `;
+
+      ruleItem
+        .querySelector('.rule-toggle')
+        .addEventListener('change', (e) => this.toggleRule(rule, e.target.checked));
+      ruleItem.querySelector('.edit').addEventListener('click', () => this.editRule(rule));
+      ruleItem.querySelector('.delete').addEventListener('click', () => this.deleteRule(rule));
+
+      this.rulesList.appendChild(ruleItem);
+    });
+  }
+
+  /**
+   * Read the rule form
+   */
+  getRuleFormValues() {
+    return {
+      id: this.editingRuleId || undefined,
+      name: this.ruleNameInput.value.trim(),
+      field: this.ruleFieldSelect.value,
+      type: this.ruleTypeSelect.value,
+      priority: Number.parseInt(this.rulePriorityInput.value) || 0,
+      pattern: this.rulePatternInput.value.trim(),
+      folder: this.ruleFolderInput.value.trim()
+    };
+  }
+
+  /**
+   * Save the rule in the form (add or update)
+   */
+  async saveRule() {
+    const rule = this.getRuleFormValues();
+    if (!rule.pattern || !rule.folder) {
+      this.showRuleStatus('Pattern and target folder are required', 'error');
+      return;
+    }
+
+    if (rule.id) {
+      const existing = this.rules.find((r) => r.id === rule.id);
+      rule.enabled = existing ? existing.enabled : true;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveCategorizationRule',
+        data: { rule }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to save rule');
+      }
+
+      this.showToast(rule.id ? 'Rule updated' : 'Rule added', 'success');
+      this.resetRuleForm();
+      await this.loadRules();
+    } catch (_error) {
+      console.error('_error saving categorization rule:', _error);
+      this.showRuleStatus(_error.message, 'error');
+    }
+  }
+
+  /**
+   * Load a rule into the form for editing
+   */
+  editRule(rule) {
+    this.editingRuleId = rule.id;
+    this.ruleNameInput.value = rule.name || '';
+    this.ruleFieldSelect.value = rule.field;
+    this.ruleTypeSelect.value = rule.type;
+    this.rulePriorityInput.value = rule.priority;
+    this.rulePatternInput.value = rule.pattern;
+    this.ruleFolderInput.value = rule.folder;
+    this.ruleFormTitle.textContent = 'Edit Rule';
+    this.cancelRuleEditBtn.style.display = '';
+    this.ruleNameInput.focus();
+  }
+
+  /**
+   * Clear the rule form
+   */
+  resetRuleForm() {
+    this.editingRuleId = null;
+    this.ruleNameInput.value = '';
+    this.ruleFieldSelect.value = 'url';
+    this.ruleTypeSelect.value = 'glob';
+    this.rulePriorityInput.value = 0;
+    this.rulePatternInput.value = '';
+    this.ruleFolderInput.value = '';
+    this.ruleFormTitle.textContent = 'Add Rule';
+    this.cancelRuleEditBtn.style.display = 'none';
+    this.ruleStatus.classList.add('hidden');
+  }
+
+  /**
+   * Enable or disable a rule
+   */
+  async toggleRule(rule, enabled) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveCategorizationRule',
+        data: { rule: { ...rule, enabled } }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to update rule');
+      }
+      await this.loadRules();
+    } catch (_error) {
+      console.error('_error toggling categorization rule:', _error);
+      this.showToast('Failed to update rule', 'error');
+    }
+  }
+
+  /**
+   * Delete a rule
+   */
+  async deleteRule(rule) {
+    if (!confirm(`Delete the rule "${rule.name || rule.pattern}"?`)) return;
+
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'deleteCategorizationRule',
+        data: { ruleId: rule.id }
+      });
+      if (this.editingRuleId === rule.id) {
+        this.resetRuleForm();
+      }
+      this.showToast('Rule deleted', 'success');
+      await this.loadRules();
+    } catch (_error) {
+      console.error('_error deleting categorization rule:', _error);
+      this.showToast('Failed to delete rule', 'error');
+    }
+  }
+
+  /**
+   * Test a sample URL and title against the saved rules, plus the rule being edited
+   */
+  async testRules() {
+    const url = this.ruleTestUrlInput.value.trim();
+    const title = this.ruleTestTitleInput.value.trim();
+    if (!url && !title) {
+      this.ruleTestResult.textContent = 'Enter a URL or title to test.';
+      return;
+    }
+
+    // Include the unsaved form rule so it can be tried before saving
+    const draft = this.getRuleFormValues();
+    const rules = this.rules.filter((rule) => rule.id !== draft.id);
+    if (draft.pattern && draft.folder) {
+      rules.push({ ...draft, id: draft.id || 'draft', name: `${draft.name || draft.pattern} (unsaved)`, enabled: true });
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'testCategorizationRules',
+        data: { url, title, rules }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Rule test failed');
+      }
+
+      const { match, matchingRules } = response.data;
+      if (!match) {
+        this.ruleTestResult.textContent =
+          matchingRules.length > 0
+            ? 'Only disabled rules match. The AI would categorize this bookmark.'
+            : 'No rule matches. The AI would categorize this bookmark.';
+        return;
+      }
+
+      const others = matchingRules.length - 1;
+      this.ruleTestResult.innerHTML = `
+        ✓ <strong>${this.escapeHtml(match.name || match.pattern)}</strong> →
+        ${this.escapeHtml(match.folder)}
+        ${others > 0 ? `<br><small>${others} lower-priority or disabled rule(s) also match</small>` : ''}
+      `;
+    } catch (_error) {
+      console.error('_error testing categorization rules:', _error);
+      this.ruleTestResult.textContent = `Test failed: ${_error.message}`;
+    }
+  }
+
+  /**
+   * Export categorization rules as JSON
+   */
+  async exportRules() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'exportCategorizationRules'
+      });
+
+      if (response?.success) {
+        const dataStr = JSON.stringify(response.data, null, 2);
+        const blob = new Blob([dataStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `bookmarkmind-rules-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.showToast('Rules exported successfully', 'success');
+      } else {
+        throw new Error('Failed to export rules');
+      }
+    } catch (_error) {
+      console.error('_error exporting categorization rules:', _error);
+      this.showToast('Failed to export rules', 'error');
+    }
+  }
+
+  /**
+   * Import categorization rules from JSON
+   */
+  async importRules() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json';
+
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      try {
+        const rulesData = JSON.parse(await file.text());
+        const merge = confirm('Merge with existing rules? Click OK to merge, Cancel to replace.');
+
+        const response = await chrome.runtime.sendMessage({
+          action: 'importCategorizationRules',
+          data: { rulesData, merge }
+        });
+
+        if (!response?.success) {
+          throw new Error(response?.error || 'Failed to import rules');
+        }
+
+        const { imported, skipped } = response.data;
+        this.showToast(
+          `Imported ${imported} rules${skipped ? `, skipped ${skipped} invalid` : ''}`,
+          skipped ? 'error' : 'success'
+        );
+        await this.loadRules();
+      } catch (_error) {
+        console.error('_error importing categorization rules:', _error);
+        this.showToast(`Failed to import rules: ${_error.message}`, 'error');
+      }
+    };
+
+    input.click();
+  }
+
+  /**
+   * Reset rule fire stats
+   */
+  async resetRuleStats() {
+    if (!confirm('Reset how often each rule has fired?')) return;
+
+    try {
+      await chrome.runtime.sendMessage({ action: 'resetCategorizationRuleStats' });
+      this.showToast('Rule stats reset', 'success');
+      await this.loadRules();
+    } catch (_error) {
+      console.error('_error resetting rule stats:', _error);
+      this.showToast('Failed to reset rule stats', 'error');
+    }
+  }
+
+  /**
+   * Show rule form status message
+   */
+  showRuleStatus(message, type) {
+    this.ruleStatus.classList.remove('hidden', 'success', 'error', 'loading');
+    this.ruleStatus.classList.add(type);
+    this.ruleStatus.querySelector('.status-icon').textContent = type === 'success' ? '✓' : '✗';
+    this.ruleStatus.querySelector('.status-text').textContent = message;
+  }
+
+  /**
+   * Load the category taxonomy
+   */
+  async loadTaxonomy() {
+    if (!this.taxonomyTree) return;
+
+    try {
+      const [response, templatesResponse] = await Promise.all([
+        chrome.runtime.sendMessage({ action: 'getTaxonomy' }),
+        chrome.runtime.sendMessage({ action: 'getTaxonomyTemplates' })
+      ]);
+
+      if (response?.success) {
+        this.taxonomy = response.data;
+        this.renderTaxonomy();
+      } else {
+        throw new Error(response?.error || 'Failed to load taxonomy');
+      }
+
+      if (templatesResponse?.success) {
+        this.taxonomyTemplates = templatesResponse.data;
+        this.renderTaxonomyTemplates();
+      }
+    } catch (_error) {
+      console.error('_error loading taxonomy:', _error);
+      this.showToast('Failed to load taxonomy', 'error');
+    }
+  }
+
+  /**
+   * Fill the template picker, preselecting the template the taxonomy came from
+   */
+  renderTaxonomyTemplates() {
+    this.taxonomyTemplateSelect.innerHTML = '';
+    this.taxonomyTemplates.forEach((template) => {
+      const option = document.createElement('option');
+      option.value = template.templateId;
+      option.textContent = template.name;
+      this.taxonomyTemplateSelect.appendChild(option);
+    });
+    if (this.taxonomy.templateId) {
+      this.taxonomyTemplateSelect.value = this.taxonomy.templateId;
+    }
+    this.showTemplateDescription();
+  }
+
+  /**
+   * Describe the selected template under the picker
+   */
+  showTemplateDescription() {
+    const template = this.taxonomyTemplates.find(
+      (t) => t.templateId === this.taxonomyTemplateSelect.value
+    );
+    this.taxonomyTemplateDescription.textContent = template?.description || '';
+  }
+
+  /**
+   * Load the selected template into the editor. It replaces the folders
+   * being edited and is only stored once the taxonomy is saved.
+   */
+  applyTaxonomyTemplate() {
+    const template = this.taxonomyTemplates.find(
+      (t) => t.templateId === this.taxonomyTemplateSelect.value
+    );
+    if (!template) return;
+    if (
+      this.taxonomy.folders.length > 0 &&
+      !confirm(`Replace the current folders with the "${template.name}" template?`)
+    ) {
+      return;
+    }
+
+    this.taxonomy = {
+      ...JSON.parse(JSON.stringify(template)),
+      locked: this.taxonomy.locked
+    };
+    this.renderTaxonomy();
+    this.showTaxonomyStatus(`Loaded "${template.name}". Edit it if you like, then save.`, 'success');
+  }
+
+  /**
+   * Render the taxonomy tree, children indented under their parents
+   */
+  renderTaxonomy() {
+    this.taxonomyTree.innerHTML = '';
+    this.taxonomyLockedCheckbox.checked = this.taxonomy.locked;
+    this.taxonomyGuidanceInput.value = (this.taxonomy.guidance || []).join('\n');
+    this.taxonomyFallbackInput.value = this.taxonomy.fallbackCategory || '';
+
+    if (this.taxonomy.folders.length === 0) {
+      this.taxonomyTree.innerHTML =
+        '<p class="rules-empty">No folders yet. Without a taxonomy the AI invents categories on each run, following the FMHY-style template.</p>';
+      return;
+    }
+
+    const renderFolders = (folders, depth) => {
+      folders.forEach((folder, index) => {
+        this.taxonomyTree.appendChild(this.renderTaxonomyFolder(folder, folders, index, depth));
+        renderFolders(folder.children, depth + 1);
+      });
+    };
+    renderFolders(this.taxonomy.folders, 0);
+  }
+
+  /**
+   * Build the editor row for one taxonomy folder. Edits change the folder in
+   * place and are kept until the taxonomy is saved.
+   */
+  renderTaxonomyFolder(folder, siblings, index, depth) {
+    const row = document.createElement('div');
+    row.className = 'taxonomy-folder';
+    row.style.marginLeft = `${depth * 24}px`;
+    row.innerHTML = `
+      <input type="text" class="taxonomy-name" placeholder="Folder name" maxlength="50" />
+      <textarea class="taxonomy-description" rows="2" placeholder="What belongs here"></textarea>
+      <textarea class="taxonomy-examples" rows="2" placeholder="Example URLs, one per line"></textarea>
+      <div class="taxonomy-folder-actions">
+        <button type="button" class="secondary-btn add-child">Add Subfolder</button>
+        <button type="button" class="danger-btn delete">Delete</button>
+      </div>
+    `;
+
+    const nameInput = row.querySelector('.taxonomy-name');
+    const descriptionInput = row.querySelector('.taxonomy-description');
+    const examplesInput = row.querySelector('.taxonomy-examples');
+    nameInput.value = folder.name;
+    descriptionInput.value = folder.description;
+    examplesInput.value = folder.exampleUrls.join('\n');
+
+    nameInput.addEventListener('input', () => {
+      folder.name = nameInput.value;
+    });
+    descriptionInput.addEventListener('input', () => {
+      folder.description = descriptionInput.value;
+    });
+    examplesInput.addEventListener('input', () => {
+      folder.exampleUrls = examplesInput.value.split('\n');
+    });
+    row.querySelector('.add-child').addEventListener('click', () => {
+      const name = prompt(`New subfolder of "${folder.name}":`);
+      if (!name || !name.trim()) return;
+      folder.children.push(this.createTaxonomyFolder(name.trim()));
+      this.renderTaxonomy();
+    });
+    row.querySelector('.delete').addEventListener('click', () => {
+      if (
+        folder.children.length > 0 &&
+        !confirm(`Delete "${folder.name}" and its ${folder.children.length} subfolder(s)?`)
+      ) {
+        return;
+      }
+      siblings.splice(index, 1);
+      this.renderTaxonomy();
+    });
+
+    return row;
+  }
+
+  /**
+   * Create an empty taxonomy folder
+   */
+  createTaxonomyFolder(name) {
+    return { name, description: '', exampleUrls: [], children: [] };
+  }
+
+  /**
+   * Add a top-level taxonomy folder
+   */
+  addTaxonomyFolder() {
+    const name = this.newTaxonomyFolderInput.value.trim();
+    if (!name) return;
+
+    this.taxonomy.folders.push(this.createTaxonomyFolder(name));
+    this.newTaxonomyFolderInput.value = '';
+    this.renderTaxonomy();
+  }
+
+  /**
+   * Validate and save the taxonomy
+   */
+  async saveTaxonomy() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveTaxonomy',
+        data: { taxonomy: this.taxonomy }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to save taxonomy');
+      }
+
+      this.taxonomy = response.data;
+      this.renderTaxonomy();
+      this.taxonomyStatus.classList.add('hidden');
+      this.showToast(this.taxonomy.locked ? 'Taxonomy saved and locked' : 'Taxonomy saved', 'success');
+    } catch (_error) {
+      console.error('_error saving taxonomy:', _error);
+      this.showTaxonomyStatus(_error.message, 'error');
+    }
+  }
+
+  /**
+   * Export the saved taxonomy as JSON so it can be shared as a template
+   */
+  async exportTaxonomy() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'exportTaxonomy' });
+
+      if (response?.success) {
+        const dataStr = JSON.stringify(response.data, null, 2);
+        const blob = new Blob([dataStr], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `bookmarkmind-taxonomy-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        this.showToast('Taxonomy exported successfully', 'success');
+      } else {
+        throw new Error('Failed to export taxonomy');
+      }
+    } catch (_error) {
+      console.error('_error exporting taxonomy:', _error);
+      this.showToast('Failed to export taxonomy', 'error');
+    }
+  }
+
+  /**
+   * Import a taxonomy from JSON, replacing the saved one
+   */
+  async importTaxonomy() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json';
+
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      try {
+        const taxonomyData = JSON.parse(await file.text());
+        if (!confirm('Replace your taxonomy with the imported one?')) return;
+
+        const response = await chrome.runtime.sendMessage({
+          action: 'importTaxonomy',
+          data: { taxonomyData }
+        });
+
+        if (!response?.success) {
+          throw new Error(response?.error || 'Failed to import taxonomy');
+        }
+
+        this.taxonomy = response.data;
+        this.renderTaxonomy();
+        this.renderTaxonomyTemplates();
+        this.taxonomyStatus.classList.add('hidden');
+        this.showToast('Taxonomy imported successfully', 'success');
+      } catch (_error) {
+        console.error('_error importing taxonomy:', _error);
+        this.showToast(`Failed to import taxonomy: ${_error.message}`, 'error');
+      }
+    };
+
+    input.click();
+  }
+
+  /**
+   * Show taxonomy status message
+   */
+  showTaxonomyStatus(message, type) {
+    this.taxonomyStatus.classList.remove('hidden', 'success', 'error', 'loading');
+    this.taxonomyStatus.classList.add(type);
+    this.taxonomyStatus.querySelector('.status-icon').textContent = type === 'success' ? '✓' : '✗';
+    this.taxonomyStatus.querySelector('.status-text').textContent = message;
+  }
+
+  /**
+   * Load the organization schedule, its folders and run history
+   */
+  async loadSchedule() {
+    if (!this.scheduleEnabledCheckbox) return;
+
+    try {
+      await this.loadScheduleFolders();
+      const response = await chrome.runtime.sendMessage({
+        action: 'getScheduleStatus'
+      });
+
+      if (response?.success) {
+        this.renderSchedule(response.data);
+      } else {
+        throw new Error(response?.error || 'Failed to load schedule');
+      }
+    } catch (_error) {
+      console.error('_error loading schedule:', _error);
+      this.showToast('Failed to load organization schedule', 'error');
+    }
+  }
+
+  /**
+   * Fill the folder picker for folder-scoped runs
+   */
+  async loadScheduleFolders() {
+    const tree = await chrome.bookmarks.getTree();
+    const options = [];
+
+    const walk = (node, prefix) => {
+      (node.children || []).forEach((child) => {
+        if (child.url) return;
+        const path = prefix ? `${prefix} > ${child.title}` : child.title;
+        options.push({ id: child.id, path });
+        walk(child, path);
+      });
+    };
+    walk(tree[0], '');
+
+    this.scheduleFolderSelect.innerHTML = '';
+    options.forEach(({ id, path }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = path;
+      this.scheduleFolderSelect.appendChild(option);
+    });
+  }
+
+  /**
+   * Render schedule form, next run and history
+   * @param {Object} status - {schedule, nextRunAt, activeRun, history}
+   */
+  renderSchedule(status) {
+    const { schedule } = status;
+
+    this.scheduleEnabledCheckbox.checked = schedule.enabled;
+    this.scheduleFrequencySelect.value = schedule.frequency;
+    this.scheduleTimeInput.value = schedule.time;
+    this.scheduleDayOfWeekSelect.value = String(schedule.dayOfWeek);
+    this.scheduleIntervalHoursInput.value = schedule.intervalHours;
+    this.scheduleScopeSelect.value = schedule.scope;
+    if (schedule.folderId) {
+      this.scheduleFolderSelect.value = schedule.folderId;
+    }
+    this.quietHoursEnabledCheckbox.checked = schedule.quietHoursEnabled;
+    this.quietStartInput.value = schedule.quietStart;
+    this.quietEndInput.value = schedule.quietEnd;
+    this.updateScheduleFields();
+
+    if (status.activeRun) {
+      this.scheduleNextRun.textContent = `A run started ${new Date(
+        status.activeRun.startedAt
+      ).toLocaleString()} is still in progress.`;
+    } else if (status.nextRunAt) {
+      this.scheduleNextRun.textContent = `Next run: ${new Date(status.nextRunAt).toLocaleString()}`;
+    } else {
+      this.scheduleNextRun.textContent = 'Scheduled runs are off.';
+    }
+
+    this.renderScheduleHistory(status.history || []);
+  }
+
+  /**
+   * Render past scheduled runs
+   * @param {Array} history - Run records, newest first
+   */
+  renderScheduleHistory(history) {
+    this.scheduleHistory.innerHTML = '';
+
+    if (history.length === 0) {
+      this.scheduleHistory.innerHTML = '<p class="rules-empty">No runs yet.</p>';
+      return;
+    }
+
+    const scopeLabels = {
+      uncategorized: 'Uncategorized bookmarks',
+      folder: 'Folder',
+      maintenance: 'Consolidation and duplicates'
+    };
+
+    history.forEach((run) => {
+      const summary = run.summary || {};
+      const details = [
+        summary.categorized !== undefined ? `${summary.categorized} categorized` : null,
+        summary.duplicatesRemoved !== undefined
+          ? `${summary.duplicatesRemoved} duplicates removed`
+          : null,
+        summary.foldersRemoved !== undefined ? `${summary.foldersRemoved} folders merged` : null,
+        run.error
+      ].filter(Boolean);
+
+      const runItem = document.createElement('div');
+      runItem.className = 'schedule-run';
+      runItem.innerHTML = `
+        <span class="schedule-run-status ${this.escapeHtml(run.status)}">${this.escapeHtml(run.status)}</span>
+        · ${new Date(run.startedAt).toLocaleString()}
+        ${run.trigger === 'manual' ? '(manual)' : ''}
+        <div class="schedule-run-detail">
+          ${this.escapeHtml(scopeLabels[run.scope] || run.scope)}
+          ${details.length > 0 ? `· ${this.escapeHtml(details.join(' · '))}` : ''}
+        </div>
+      `;
+      this.scheduleHistory.appendChild(runItem);
+    });
+  }
+
+  /**
+   * Show only the schedule fields that apply to the chosen options
+   */
+  updateScheduleFields() {
+    const frequency = this.scheduleFrequencySelect.value;
+    this.scheduleTimeField.style.display = frequency === 'custom' ? 'none' : '';
+    this.scheduleDayField.style.display = frequency === 'weekly' ? '' : 'none';
+    this.scheduleIntervalField.style.display = frequency === 'custom' ? '' : 'none';
+    this.scheduleFolderField.style.display =
+      this.scheduleScopeSelect.value === 'folder' ? '' : 'none';
+  }
+
+  /**
+   * Read the schedule form
+   */
+  getScheduleFormValues() {
+    return {
+      enabled: this.scheduleEnabledCheckbox.checked,
+      frequency: this.scheduleFrequencySelect.value,
+      time: this.scheduleTimeInput.value,
+      dayOfWeek: Number.parseInt(this.scheduleDayOfWeekSelect.value),
+      intervalHours: Number.parseInt(this.scheduleIntervalHoursInput.value),
+      quietHoursEnabled: this.quietHoursEnabledCheckbox.checked,
+      quietStart: this.quietStartInput.value,
+      quietEnd: this.quietEndInput.value,
+      scope: this.scheduleScopeSelect.value,
+      folderId: this.scheduleFolderSelect.value
+    };
+  }
+
+  /**
+   * Save the organization schedule
+   */
+  async saveSchedule() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveSchedule',
+        data: { schedule: this.getScheduleFormValues() }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to save schedule');
+      }
+
+      // Keep later saveSettings() calls from writing back an old schedule
+      this.settings.schedule = response.data.schedule;
+      this.renderSchedule(response.data);
+      this.showScheduleStatus('Schedule saved', 'success');
+    } catch (_error) {
+      console.error('_error saving schedule:', _error);
+      this.showScheduleStatus(_error.message, 'error');
+    }
+  }
+
+  /**
+   * Start an organization run now with the saved schedule's scope
+   */
+  async runScheduleNow() {
+    this.runScheduleNowBtn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'runScheduledOrganizationNow'
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Run failed');
+      }
+
+      const run = response.data;
+      if (run.status === 'skipped' || run.status === 'failed') {
+        this.showScheduleStatus(run.error, 'error');
+      } else if (run.status === 'running') {
+        this.showScheduleStatus('Run started in the background', 'success');
+      } else {
+        this.showScheduleStatus('Run completed', 'success');
+      }
+      await this.loadSchedule();
+    } catch (_error) {
+      console.error('_error running organization:', _error);
+      this.showScheduleStatus(_error.message, 'error');
+    } finally {
+      this.runScheduleNowBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Clear scheduled run history
+   */
+  async clearScheduleHistory() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'clearScheduleHistory' });
+      this.renderScheduleHistory([]);
+    } catch (_error) {
+      console.error('_error clearing schedule history:', _error);
+      this.showToast('Failed to clear run history', 'error');
+    }
+  }
+
+  /**
+   * Show schedule status message
+   */
+  showScheduleStatus(message, type) {
+    this.scheduleStatus.classList.remove('hidden', 'success', 'error', 'loading');
+    this.scheduleStatus.classList.add(type);
+    this.scheduleStatus.querySelector('.status-icon').textContent = type === 'success' ? '✓' : '✗';
+    this.scheduleStatus.querySelector('.status-text').textContent = message;
+  }
+
+  /**
+   * Pick a bookmark export file and import it
+   */
+  chooseImportFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.html,.htm,.csv,.json,.txt';
+
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      await this.importBookmarks(await file.text(), file.name);
+    };
+
+    input.click();
+  }
+
+  /**
+   * Import bookmarks from file content or pasted URLs
+   */
+  async importBookmarks(content, fileName) {
+    if (!content.trim()) {
+      this.showImportStatus('Nothing to import', 'error');
+      return;
+    }
+
+    this.importBookmarksFileBtn.disabled = true;
+    this.importBookmarksPastedBtn.disabled = true;
+    this.importReport.innerHTML = '';
+    this.showImportStatus('Importing bookmarks…', 'loading');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'importBookmarks',
+        data: {
+          content,
+          fileName,
+          options: {
+            preserveFolders: this.importPreserveFoldersCheckbox.checked,
+            categorize: this.importCategorizeCheckbox.checked
+          }
+        }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Import failed');
+      }
+
+      this.renderImportReport(response.data);
+      this.showImportStatus(
+        `Imported ${response.data.imported} of ${response.data.total} bookmarks`,
+        'success'
+      );
+      if (fileName === 'pasted.txt') {
+        this.importBookmarksText.value = '';
+      }
+    } catch (_error) {
+      console.error('_error importing bookmarks:', _error);
+      this.showImportStatus(_error.message, 'error');
+    } finally {
+      this.importBookmarksFileBtn.disabled = false;
+      this.importBookmarksPastedBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Render the import report with the entries that were not imported
+   */
+  renderImportReport(report) {
+    const formats = { html: 'Bookmarks HTML', json: 'JSON', csv: 'CSV', text: 'URL list' };
+    const listEntries = (label, entries) => {
+      if (entries.length === 0) return '';
+      const shown = entries
+        .slice(0, 20)
+        .map(entry => `<li>${this.escapeHtml(entry.url)}${entry.reason ? ` — ${this.escapeHtml(entry.reason)}` : ''}</li>`)
+        .join('');
+      const more = entries.length > 20 ? `<li>…and ${entries.length - 20} more</li>` : '';
+      return `<div>${label}: ${entries.length}</div><ul>${shown}${more}</ul>`;
+    };
+
+    let categorization = '';
+    if (report.categorization?.started) {
+      categorization = '<div>Organizing imported bookmarks in the background.</div>';
+    } else if (report.categorization?.error) {
+      categorization = `<div>Could not organize imported bookmarks: ${this.escapeHtml(report.categorization.error)}</div>`;
+    }
+
+    this.importReport.innerHTML = `
+      <div>Format: ${formats[report.format] || report.format}</div>
+      <div>Imported: ${report.imported}${report.folderId ? ` into "${this.escapeHtml(report.folderTitle)}"` : ''}</div>
+      ${report.foldersCreated ? `<div>Folders created: ${report.foldersCreated}</div>` : ''}
+      ${listEntries('Already bookmarked', report.duplicates)}
+      ${listEntries('Invalid', report.invalid)}
+      ${listEntries('Failed', report.failed)}
+      ${categorization}
+    `;
+  }
+
+  /**
+   * Show import status message
+   */
+  showImportStatus(message, type) {
+    this.importStatus.classList.remove('hidden', 'success', 'error', 'loading');
+    this.importStatus.classList.add(type);
+    const icons = { success: '✓', error: '✗', loading: '⏳' };
+    this.importStatus.querySelector('.status-icon').textContent = icons[type];
+    this.importStatus.querySelector('.status-text').textContent = message;
+  }
+
   /**
    * Render categories list
    */
@@ -1313,6 +2446,133 @@ class OptionsController {
     this.groqApiKeyStatus.classList.add('hidden');
   }
 
+  /**
+   * Read custom endpoint configuration from the form
+   */
+  getCustomProviderFormValues() {
+    return {
+      customProviderBaseUrl: this.customProviderBaseUrlInput.value.trim(),
+      customProviderModels: this.customProviderModelsInput.value
+        .split(',')
+        .map((model) => model.trim())
+        .filter((model) => model),
+      customProviderApiKey: this.customProviderApiKeyInput.value.trim(),
+      customProviderRpm: Number.parseInt(this.customProviderRpmInput.value) || 60,
+      customProviderContextWindow:
+        Number.parseInt(this.customProviderContextWindowInput.value) || 8192
+    };
+  }
+
+  /**
+   * Validate custom endpoint form values
+   * @returns {string|null} Error message or null when valid
+   */
+  validateCustomProvider(config) {
+    if (!config.customProviderBaseUrl) {
+      return 'Please enter the endpoint URL';
+    }
+    try {
+      const url = new URL(config.customProviderBaseUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'Endpoint URL must start with http:// or https://';
+      }
+    } catch (_error) {
+      return 'Endpoint URL is not valid';
+    }
+    if (config.customProviderModels.length === 0) {
+      return 'Please enter at least one model name';
+    }
+    return null;
+  }
+
+  /**
+   * Test custom endpoint through the background testApiKey flow
+   */
+  async testCustomProvider() {
+    const config = this.getCustomProviderFormValues();
+    const validationError = this.validateCustomProvider(config);
+    if (validationError) {
+      this.showCustomProviderStatus(validationError, 'error');
+      return;
+    }
+
+    this.showCustomProviderStatus('Testing custom endpoint...', 'loading');
+    this.testCustomProviderBtn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'testApiKey',
+        data: { provider: 'custom', ...config }
+      });
+
+      if (response?.success && response.valid) {
+        this.showCustomProviderStatus('Custom endpoint is reachable!', 'success');
+        this.showToast('Custom endpoint validated successfully', 'success');
+      } else {
+        const errorMsg = response?.error || 'Endpoint did not answer the test request';
+        this.showCustomProviderStatus(errorMsg, 'error');
+        this.showToast('Custom endpoint test failed', 'error');
+      }
+    } catch (_error) {
+      console.error('Custom endpoint test _error:', _error);
+      this.showCustomProviderStatus('Failed to test custom endpoint', 'error');
+    } finally {
+      this.testCustomProviderBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Save custom endpoint configuration
+   */
+  async saveCustomProvider() {
+    const config = this.getCustomProviderFormValues();
+
+    // An empty URL and model list clears the endpoint
+    const isClearing = !config.customProviderBaseUrl && config.customProviderModels.length === 0;
+    const validationError = isClearing ? null : this.validateCustomProvider(config);
+    if (validationError) {
+      this.showCustomProviderStatus(validationError, 'error');
+      return;
+    }
+
+    try {
+      Object.assign(this.settings, config);
+      await chrome.storage.sync.set({
+        bookmarkMindSettings: this.settings
+      });
+
+      this.showCustomProviderStatus(
+        isClearing ? 'Custom endpoint removed' : 'Custom endpoint saved successfully!',
+        'success'
+      );
+      this.showToast('Custom endpoint saved', 'success');
+    } catch (_error) {
+      console.error('Failed to save custom endpoint:', _error);
+      this.showCustomProviderStatus('Failed to save custom endpoint', 'error');
+    }
+  }
+
+  /**
+   * Show custom endpoint status message
+   */
+  showCustomProviderStatus(message, type) {
+    this.customProviderStatus.classList.remove('hidden', 'success', 'error', 'loading');
+    this.customProviderStatus.classList.add(type);
+
+    const icon = this.customProviderStatus.querySelector('.status-icon');
+    const text = this.customProviderStatus.querySelector('.status-text');
+
+    text.textContent = message;
+
+    if (type === 'success') {
+      icon.textContent = '✓';
+    } else if (type === 'error') {
+      icon.textContent = '✗';
+    } else if (type === 'loading') {
+      icon.textContent = '⟳';
+    }
+  }
+
   /**
    * Handle new category input change
    */
@@ -1444,6 +2704,12 @@ class OptionsController {
       // Update basic settings from UI
       this.settings.batchSize = Number.parseInt(this.batchSizeSelect.value);
       this.settings.cleanupEmptyFolders = this.cleanupEmptyFoldersCheckbox.checked;
+      if (this.autoCategorizeNewCheckbox) {
+        this.settings.autoCategorizeNew = this.autoCategorizeNewCheckbox.checked;
+      }
+      if (this.linkCheckIntervalSelect) {
+        this.settings.linkCheckInterval = this.linkCheckIntervalSelect.value;
+      }
       this.settings.maxCategoryDepth = Number.parseInt(this.maxCategoryDepthSlider.value);
       this.settings.minBookmarksThreshold = Number.parseInt(this.minBookmarksThresholdSlider.value);
 
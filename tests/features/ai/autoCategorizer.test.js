@@ -0,0 +1,167 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { AutoCategorizer } from "../../../extension/features/ai/autoCategorizer.js";
+
+describe("AutoCategorizer", () => {
+    let autoCategorizer;
+    let aiProcessor;
+    let store;
+    let bookmarks;
+
+    const tree = {
+        id: "1",
+        children: [
+            {
+                id: "10",
+                title: "Development",
+                children: [{ id: "11", title: "Docs", children: [] }],
+            },
+            { id: "12", url: "https://example.com", title: "Loose" },
+        ],
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        bookmarks = {
+            1: { id: "1", parentId: "0", index: 0, title: "Bookmarks Bar" },
+            100: { id: "100", parentId: "1", index: 0, url: "https://react.dev", title: "React" },
+            101: { id: "101", parentId: "1", index: 1, url: "https://cats.example", title: "Cats" },
+            102: { id: "102", parentId: "10", index: 0, url: "https://x.dev", title: "Filed" },
+        };
+
+        chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: store[key] }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, items);
+        });
+        chrome.storage.local.remove.mockImplementation(async (key) => {
+            delete store[key];
+        });
+        chrome.bookmarks.get.mockImplementation(async (id) => {
+            if (!bookmarks[id]) throw new Error("Can't find bookmark for id.");
+            return [{ ...bookmarks[id] }];
+        });
+        chrome.bookmarks.move.mockImplementation(async (id, destination) => {
+            bookmarks[id].parentId = destination.parentId;
+        });
+        chrome.bookmarks.getChildren = jest.fn(async (id) =>
+            Object.values(bookmarks).filter((bookmark) => bookmark.parentId === id)
+        );
+        chrome.bookmarks.getSubTree = jest.fn(async (id) =>
+            id === "1" ? [tree] : [{ id: "2", children: [] }]
+        );
+        chrome.runtime.getURL = jest.fn((path) => `chrome-extension://test/${path}`);
+
+        aiProcessor = {
+            configureFromSettings: jest.fn(),
+            processBatch: jest.fn(async (batch) =>
+                batch.map((bookmark) => ({
+                    bookmarkId: bookmark.id,
+                    category: bookmark.id === "100" ? "Development > Docs" : "Pets > Cats",
+                }))
+            ),
+        };
+        autoCategorizer = new AutoCategorizer(aiProcessor);
+    });
+
+    test("should debounce new bookmarks with a single alarm", async () => {
+        await autoCategorizer.enqueue("100");
+        await autoCategorizer.enqueue("101");
+        await autoCategorizer.enqueue("100");
+
+        expect(await autoCategorizer.getQueue()).toEqual(["100", "101"]);
+        expect(chrome.alarms.create).toHaveBeenCalledTimes(3);
+        expect(chrome.alarms.create).toHaveBeenLastCalledWith(
+            "auto_categorize_new_bookmarks",
+            expect.objectContaining({ when: expect.any(Number) })
+        );
+    });
+
+    test("should keep every bookmark from a burst of creations", async () => {
+        const ids = ["100", "101", "102", "103", "104"];
+
+        await Promise.all(ids.map((id) => autoCategorizer.enqueue(id)));
+
+        expect(await autoCategorizer.getQueue()).toEqual(ids);
+    });
+
+    test("should do nothing when the mode is off", async () => {
+        store.autoCategorizeQueue = ["100"];
+
+        const summary = await autoCategorizer.processQueue({ autoCategorizeNew: false });
+
+        expect(summary.moves).toHaveLength(0);
+        expect(aiProcessor.processBatch).not.toHaveBeenCalled();
+        expect(store.autoCategorizeQueue).toBeUndefined();
+    });
+
+    test("should file bookmarks into existing folders only", async () => {
+        store.autoCategorizeQueue = ["100", "101", "102"];
+        const onMarkAsAIMoved = jest.fn();
+
+        const summary = await autoCategorizer.processQueue(
+            { autoCategorizeNew: true },
+            onMarkAsAIMoved
+        );
+
+        // 102 was already filed by the user, 101's folder does not exist
+        expect(aiProcessor.processBatch.mock.calls[0][0].map((b) => b.id)).toEqual(["100", "101"]);
+        expect(aiProcessor.processBatch.mock.calls[0][4]).toEqual({ planMode: true });
+        expect(chrome.bookmarks.move).toHaveBeenCalledTimes(1);
+        expect(chrome.bookmarks.move).toHaveBeenCalledWith("100", { parentId: "11" });
+        expect(onMarkAsAIMoved).toHaveBeenCalledWith("100");
+        expect(store.ai_moved_100).toEqual(expect.any(Number));
+        expect(summary.moves[0].folderPath).toBe("Development > Docs");
+        expect(summary.skipped).toBe(2);
+    });
+
+    test("should resolve slash and arrow paths case-insensitively", async () => {
+        const folders = await autoCategorizer.getExistingFolders();
+
+        expect(autoCategorizer.resolveFolder("development/docs", folders).id).toBe("11");
+        expect(autoCategorizer.resolveFolder("Development", folders).id).toBe("10");
+        expect(autoCategorizer.resolveFolder("Loose", folders)).toBeNull();
+    });
+
+    test("should undo a run from its notification", async () => {
+        store.autoCategorizeQueue = ["100"];
+        const { moves, sessionId } = await autoCategorizer.processQueue({
+            autoCategorizeNew: true,
+        });
+        const notificationId = await autoCategorizer.notify(moves, sessionId);
+
+        expect(chrome.notifications.create).toHaveBeenCalledWith(
+            notificationId,
+            expect.objectContaining({ buttons: [{ title: "Undo" }] })
+        );
+
+        const summary = await autoCategorizer.undo(notificationId);
+
+        expect(summary.restored).toBe(1);
+        expect(chrome.bookmarks.move).toHaveBeenLastCalledWith("100", {
+            parentId: "1",
+            index: 0,
+        });
+        expect(store.autoCategorizeUndo[notificationId]).toBeUndefined();
+
+        // The dashboard history sees the run as undone, not "moved again since"
+        const [session] = await autoCategorizer.journal.getSessions();
+        expect(session).toMatchObject({
+            label: "Auto-categorized new bookmarks",
+            undoneCount: 1,
+            undoneAt: expect.any(Number),
+        });
+    });
+
+    test("should not undo bookmarks the user moved again", async () => {
+        store.autoCategorizeQueue = ["100"];
+        const { moves, sessionId } = await autoCategorizer.processQueue({
+            autoCategorizeNew: true,
+        });
+        const notificationId = await autoCategorizer.notify(moves, sessionId);
+        bookmarks[100].parentId = "10";
+
+        const summary = await autoCategorizer.undo(notificationId);
+
+        expect(summary).toEqual({ restored: 0, skipped: 1 });
+    });
+});
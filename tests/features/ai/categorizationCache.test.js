@@ -0,0 +1,220 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { CategorizationCache } from "../../../extension/features/ai/categorizationCache.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+describe("CategorizationCache", () => {
+    let cache;
+    let store;
+    const settings = { categories: ["Work", "News"] };
+    const folderPaths = ["Work", "News"];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (key) => ({
+            [key]: store[key],
+        }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, items);
+        });
+        cache = new CategorizationCache();
+    });
+
+    test("should reuse a decision for the same normalized URL and model", async () => {
+        await cache.store(
+            [{ id: "1", url: "https://www.github.com/org/repo/?utm_source=x#readme" }],
+            [{ bookmarkId: "1", category: "Work", title: "Repo", confidence: 0.9 }],
+            "gemini-pro",
+            settings
+        );
+
+        const { hits, misses } = await cache.lookup(
+            [
+                { id: "7", title: "Old", url: "http://github.com/org/repo" },
+                { id: "8", title: "New", url: "https://example.com/" },
+            ],
+            ["llama-3", "gemini-pro"],
+            settings,
+            { folderPaths }
+        );
+
+        expect(hits).toEqual([
+            expect.objectContaining({
+                id: 1,
+                bookmarkId: "7",
+                category: "Work",
+                title: "Repo",
+                confidence: 0.9,
+                cached: true,
+                model: "gemini-pro",
+            }),
+        ]);
+        expect(misses.map((b) => b.id)).toEqual(["8"]);
+
+        const otherModel = await cache.lookup(
+            [{ id: "7", url: "https://github.com/org/repo" }],
+            ["llama-3"],
+            settings,
+            { folderPaths }
+        );
+        expect(otherModel.hits).toHaveLength(0);
+    });
+
+    test("should honor enableCaching and cacheExpiration", async () => {
+        const batch = [{ id: "1", url: "https://a.com/" }];
+        const result = [{ bookmarkId: "1", category: "Work" }];
+
+        await cache.store(batch, result, "m", { ...settings, enableCaching: false });
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+
+        await cache.store(batch, result, "m", settings);
+        store.categorizationCache.entries["m|a.com"].at -= 2 * 86400000;
+
+        const disabled = await cache.lookup(batch, ["m"], { ...settings, enableCaching: false }, { folderPaths });
+        expect(disabled.misses).toEqual(batch);
+
+        const never = await cache.lookup(batch, ["m"], { ...settings, cacheExpiration: 0 }, { folderPaths });
+        expect(never.hits).toHaveLength(1);
+
+        const expired = await cache.lookup(batch, ["m"], { ...settings, cacheExpiration: 86400000 }, { folderPaths });
+        expect(expired.hits).toHaveLength(0);
+        expect(store.categorizationCache.entries).toEqual({});
+    });
+
+    test("should invalidate when the taxonomy changes", async () => {
+        const batch = [
+            { id: "1", url: "https://a.com/" },
+            { id: "2", url: "https://b.com/" },
+        ];
+        await cache.store(
+            batch,
+            [
+                { bookmarkId: "1", category: "Work" },
+                { bookmarkId: "2", category: "Reading" },
+            ],
+            "m",
+            settings
+        );
+
+        // "Reading" folder was renamed away; only its entry goes
+        const renamed = await cache.lookup(batch, ["m"], settings, {
+            folderPaths: ["work"],
+        });
+        expect(renamed.hits.map((hit) => hit.bookmarkId)).toEqual(["1"]);
+        expect(await cache.size()).toBe(1);
+
+        // Editing the category list starts over
+        const edited = await cache.lookup(
+            batch,
+            ["m"],
+            { categories: ["Work", "Reading"] },
+            { folderPaths }
+        );
+        expect(edited.hits).toHaveLength(0);
+    });
+
+    test("should invalidate when the saved taxonomy is edited or locked", async () => {
+        const batch = [{ id: "1", url: "https://a.com/" }];
+        const lookup = () => cache.lookup(batch, ["m"], settings, { folderPaths });
+        const remember = () =>
+            cache.store(batch, [{ bookmarkId: "1", category: "Work" }], "m", settings);
+
+        await remember();
+        store.categoryTaxonomy = { locked: false, folders: [{ name: "Work" }] };
+        expect((await lookup()).hits).toHaveLength(0);
+
+        await remember();
+        expect((await lookup()).hits).toHaveLength(1);
+        store.categoryTaxonomy.locked = true;
+        expect((await lookup()).hits).toHaveLength(0);
+    });
+
+    test("should drop the oldest entries over the limit", async () => {
+        cache.MAX_ENTRIES = 2;
+        for (const id of ["1", "2", "3"]) {
+            await cache.store(
+                [{ id, url: `https://${id}.com/` }],
+                [{ bookmarkId: id, category: "Work" }],
+                "m",
+                settings
+            );
+            store.categorizationCache.entries[`m|${id}.com`].at = Number(id);
+        }
+
+        expect(Object.keys(store.categorizationCache.entries)).toEqual([
+            "m|2.com",
+            "m|3.com",
+        ]);
+    });
+});
+
+describe("AIProcessor categorization cache", () => {
+    let aiProcessor;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        aiProcessor = new AIProcessor();
+        aiProcessor.providers.get("gemini").apiKey = "key";
+        aiProcessor.providers.get("gemini").models = [{ name: "gemini-pro" }];
+        aiProcessor._getSettings = jest.fn(async () => ({ categories: ["Work"] }));
+        aiProcessor._getExistingFolderStructure = jest.fn(async () => ["Work"]);
+        aiProcessor._moveBookmarkImmediately = jest.fn(async () => {});
+        aiProcessor.analyticsService = { recordCacheLookup: jest.fn(async () => {}) };
+        aiProcessor.categorizationCache = {
+            isEnabled: () => true,
+            lookup: jest.fn(async (batch) => ({
+                hits: [{ id: 1, bookmarkId: "1", category: "Work", title: "A", cached: true }],
+                misses: batch.slice(1),
+            })),
+            store: jest.fn(async () => {}),
+        };
+    });
+
+    test("should only send cache misses to the model and merge results in order", async () => {
+        aiProcessor._processWithModel = jest.fn(async () => [
+            { id: 1, bookmarkId: "2", category: "Work", title: "B" },
+        ]);
+        const batch = [
+            { id: "1", title: "A", url: "https://a.com/" },
+            { id: "2", title: "B", url: "https://b.com/" },
+        ];
+
+        const results = await aiProcessor._processBatchWithProviderFallback(
+            batch,
+            ["Work"],
+            {}
+        );
+
+        expect(aiProcessor._processWithModel).toHaveBeenCalledWith(
+            expect.objectContaining({ name: "gemini-pro" }),
+            [batch[1]],
+            ["Work"],
+            {}
+        );
+        expect(aiProcessor.categorizationCache.store).toHaveBeenCalledWith(
+            [batch[1]],
+            expect.any(Array),
+            "gemini-pro",
+            { categories: ["Work"] }
+        );
+        expect(aiProcessor.analyticsService.recordCacheLookup).toHaveBeenCalledWith(1, 1);
+        expect(results.map((r) => [r.id, r.bookmarkId])).toEqual([
+            [1, "1"],
+            [2, "2"],
+        ]);
+        expect(aiProcessor._moveBookmarkImmediately).toHaveBeenCalledTimes(2);
+    });
+
+    test("should skip the model when every bookmark is cached", async () => {
+        aiProcessor._processWithModel = jest.fn();
+
+        const results = await aiProcessor._processBatchWithProviderFallback(
+            [{ id: "1", title: "A", url: "https://a.com/" }],
+            ["Work"],
+            {}
+        );
+
+        expect(aiProcessor._processWithModel).not.toHaveBeenCalled();
+        expect(results).toHaveLength(1);
+    });
+});
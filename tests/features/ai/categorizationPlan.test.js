@@ -0,0 +1,157 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { CategorizationPlan } from "../../../extension/features/ai/categorizationPlan.js";
+
+describe("CategorizationPlan", () => {
+    let planService;
+    let plan;
+
+    const batch = [
+        {
+            id: "10",
+            title: "react docs",
+            url: "https://react.dev",
+            parentId: "1",
+            currentFolder: "Bookmarks bar",
+        },
+        {
+            id: "11",
+            title: "MDN Web Docs",
+            url: "https://developer.mozilla.org",
+            parentId: "20",
+            currentFolder: "Bookmarks bar/Development/Docs",
+        },
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        planService = new CategorizationPlan();
+        plan = planService.createPlan({ totalBookmarks: 2 });
+    });
+
+    test("should create an empty plan", () => {
+        expect(plan.status).toBe("collecting");
+        expect(plan.entries).toEqual([]);
+        expect(plan.totalBookmarks).toBe(2);
+    });
+
+    test("should record moves and title rewrites from AI results", () => {
+        planService.addResults(plan, batch, [
+            { bookmarkId: "10", category: "Development/Frontend", title: "React Documentation" },
+            { bookmarkId: "11", category: "Development > Docs", title: "MDN Web Docs" },
+        ]);
+
+        const [react, mdn] = plan.entries;
+        expect(react.targetFolder).toBe("Development > Frontend");
+        expect(react.currentFolder).toBe("");
+        expect(react.moveChanged).toBe(true);
+        expect(react.titleChanged).toBe(true);
+
+        expect(mdn.currentFolder).toBe("Development > Docs");
+        expect(mdn.moveChanged).toBe(false);
+        expect(mdn.titleChanged).toBe(false);
+    });
+
+    test("should replace an earlier proposal for the same bookmark", () => {
+        planService.addResults(plan, batch, [
+            { bookmarkId: "10", category: "Work", title: "react docs" },
+        ]);
+        planService.addResults(plan, batch, [
+            { bookmarkId: "10", category: "Development", title: "react docs" },
+        ]);
+
+        expect(plan.entries).toHaveLength(1);
+        expect(plan.entries[0].targetFolder).toBe("Development");
+    });
+
+    test("should list folders that do not exist yet", () => {
+        planService.addResults(plan, batch, [
+            { bookmarkId: "10", category: "Development/Frontend", title: "React" },
+        ]);
+        planService.markNewFolders(plan, new Set(["development"]));
+
+        expect(plan.newFolders).toEqual(["Development > Frontend"]);
+        expect(plan.entries[0].createsFolders).toEqual(["Development > Frontend"]);
+    });
+
+    test("should summarize plan changes", () => {
+        planService.addResults(plan, batch, [
+            { bookmarkId: "10", category: "Development/Frontend", title: "React" },
+            { bookmarkId: "11", category: "Development/Docs", title: "MDN Web Docs" },
+        ]);
+        planService.markNewFolders(plan, new Set(["development", "development > docs"]));
+
+        expect(planService.getSummary(plan)).toEqual({
+            total: 2,
+            moves: 1,
+            titleRewrites: 1,
+            newFolders: 1,
+            unchanged: 1,
+        });
+    });
+
+    test("should apply only approved changes", async () => {
+        planService.addResults(plan, batch, [
+            { bookmarkId: "10", category: "Development/Frontend", title: "React Documentation" },
+        ]);
+        const aiProcessor = { _createFolderDirect: jest.fn().mockResolvedValue("42") };
+        chrome.bookmarks.get.mockResolvedValue([{ id: "10" }]);
+
+        const results = await planService.applyPlan(
+            plan,
+            [{ bookmarkId: "10", move: true, rename: false }],
+            aiProcessor
+        );
+
+        expect(aiProcessor._createFolderDirect).toHaveBeenCalledWith("Development > Frontend", "1");
+        expect(chrome.bookmarks.move).toHaveBeenCalledWith("10", { parentId: "42" });
+        expect(chrome.bookmarks.update).not.toHaveBeenCalled();
+        expect(results.moved).toBe(1);
+        expect(results.renamed).toBe(0);
+    });
+
+    test("should record applied changes in their own journal session", async () => {
+        planService.addResults(plan, batch, [
+            { bookmarkId: "10", category: "Development", title: "React" },
+        ]);
+        chrome.bookmarks.get.mockResolvedValue([{ id: "10" }]);
+        const startSession = jest.spyOn(planService.journal, "startSession");
+        const endSession = jest.spyOn(planService.journal, "endSession");
+        const progressCallback = jest.fn(() => {
+            throw new Error("Popup closed");
+        });
+
+        await expect(
+            planService.applyPlan(
+                plan,
+                [{ bookmarkId: "10", move: true, rename: true }],
+                { _createFolderDirect: jest.fn().mockResolvedValue("42") },
+                null,
+                progressCallback
+            )
+        ).rejects.toThrow("Popup closed");
+
+        expect(startSession).toHaveBeenCalledWith("Apply categorization plan", {
+            operationType: "apply_plan",
+        });
+        expect(startSession.mock.invocationCallOrder[0]).toBeLessThan(
+            chrome.bookmarks.move.mock.invocationCallOrder[0]
+        );
+        expect(endSession).toHaveBeenCalledTimes(1);
+    });
+
+    test("should skip bookmarks deleted since the plan was made", async () => {
+        planService.addResults(plan, batch, [
+            { bookmarkId: "10", category: "Development", title: "React" },
+        ]);
+        chrome.bookmarks.get.mockRejectedValue(new Error("Can't find bookmark for id."));
+
+        const results = await planService.applyPlan(
+            plan,
+            [{ bookmarkId: "10", move: true, rename: true }],
+            { _createFolderDirect: jest.fn() }
+        );
+
+        expect(chrome.bookmarks.move).not.toHaveBeenCalled();
+        expect(results.errors).toHaveLength(1);
+    });
+});
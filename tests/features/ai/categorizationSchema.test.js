@@ -0,0 +1,203 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { CategorizationSchema } from "../../../extension/features/ai/categorizationSchema.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+/**
+ * Tests for structured categorization output and reply validation
+ */
+
+const batch = [
+    { id: "a", title: "React", url: "https://react.dev/" },
+    { id: "b", title: "Drive", url: "https://drive.google.com/" },
+    { id: "c", title: "Proton", url: "https://protonvpn.com/" },
+];
+
+const entry = (id, category, title = `Title ${id}`) => ({
+    id,
+    category,
+    title,
+    confidence: 0.9,
+    reasoning: "Clear",
+    categoryChanged: true,
+});
+
+describe("CategorizationSchema", () => {
+    let schema;
+
+    beforeEach(() => {
+        schema = new CategorizationSchema({ maxTitleLength: 20 });
+    });
+
+    test("should accept wrapped and bare arrays", () => {
+        expect(schema.getEntries({ results: [entry(1, "Dev")] })).toHaveLength(1);
+        expect(schema.getEntries([entry(1, "Dev")])).toHaveLength(1);
+        expect(() => schema.getEntries({ category: "Dev" })).toThrow(
+            "Response is not an array"
+        );
+    });
+
+    test("should report missing, forbidden and unknown entries by position", () => {
+        const { valid, problems } = schema.validate(
+            [entry(1, "development > Docs"), entry(3, "Gaming")],
+            batch,
+            ["Development", "Privacy"]
+        );
+
+        expect(valid.get(1).category).toBe("Development > Docs");
+        expect(problems.get(2)).toBe("missing from the response");
+        expect(problems.get(3)).toMatch(/not one of the available categories/);
+    });
+
+    test("should reject Other categories and long or empty titles", () => {
+        const { valid, problems } = schema.validate(
+            [
+                entry(1, "Tools > Other"),
+                entry(2, "Privacy", "A title that is far too long"),
+                entry(3, "Privacy", "  "),
+            ],
+            batch,
+            ["Privacy"]
+        );
+
+        expect(valid.size).toBe(0);
+        expect(problems.get(1)).toMatch(/forbidden "Other"/);
+        expect(problems.get(2)).toMatch(/longer than 20/);
+        expect(problems.get(3)).toBe("has no title");
+    });
+
+    test("should accept any category when none are given and the fallback always", () => {
+        const { valid } = schema.validate(
+            [entry(1, "Anything  >  Goes"), entry(2, "tools > utilities")],
+            batch.slice(0, 2),
+            []
+        );
+        expect(valid.get(1).category).toBe("Anything > Goes");
+
+        const restricted = schema.validate([entry(1, "tools > utilities")], batch.slice(0, 1), [
+            "Privacy",
+        ]);
+        expect(restricted.valid.get(1).category).toBe("Tools > Utilities");
+    });
+
+    test("should only accept the categories themselves when exact", () => {
+        const { valid, problems } = schema.validate(
+            [entry(1, "reading"), entry(2, "Reading > Blogs"), entry(3, "Tools > Utilities")],
+            batch,
+            ["Reading"],
+            { exact: true }
+        );
+
+        expect(valid.get(1).category).toBe("Reading");
+        expect(problems.get(2)).toMatch(/not one of the locked taxonomy folders/);
+        expect(problems.get(3)).toMatch(/not one of the locked taxonomy folders/);
+        expect(
+            schema.getJsonSchema(["Reading"]).schema.properties.results.items.properties.category
+        ).toEqual({ type: "string", enum: ["Reading"] });
+    });
+});
+
+describe("Structured output requests", () => {
+    let aiProcessor;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        aiProcessor = new AIProcessor();
+        aiProcessor.analyticsService = null;
+        aiProcessor.performanceMonitor = null;
+    });
+
+    test("should send Gemini a response schema without additionalProperties", () => {
+        const gemini = aiProcessor.providers.get("gemini");
+        const { init } = gemini.buildRequest({
+            model: "gemini-2.5-flash",
+            messages: [{ role: "user", content: "Hi" }],
+            schema: aiProcessor.categorizationSchema.getJsonSchema(),
+        });
+        const { generationConfig } = JSON.parse(init.body);
+
+        expect(generationConfig.responseMimeType).toBe("application/json");
+        expect(generationConfig.responseSchema.type).toBe("OBJECT");
+        expect(generationConfig.responseSchema.properties.results.items.required).toContain(
+            "category"
+        );
+        expect(JSON.stringify(generationConfig)).not.toMatch(/additionalProperties/);
+    });
+
+    test("should only send response_format to models that support it", () => {
+        const groq = aiProcessor.providers.get("groq");
+        const schema = aiProcessor.categorizationSchema.getJsonSchema();
+        const bodyFor = (model) =>
+            JSON.parse(
+                groq.buildRequest({ model, messages: [], maxTokens: 10, schema }).init.body
+            );
+
+        expect(bodyFor("openai/gpt-oss-120b").response_format).toMatchObject({
+            type: "json_schema",
+            json_schema: { name: "bookmark_categorization", strict: true },
+        });
+        expect(bodyFor("llama-3.1-8b-instant").response_format).toBeUndefined();
+    });
+
+    test("should re-ask only for the entries that failed validation", async () => {
+        aiProcessor.providers.get("cerebras").apiKey = "csk-key";
+        aiProcessor._getExistingFolderStructure = jest.fn(async () => ["Reading"]);
+        aiProcessor._buildPrompt = jest.fn(
+            async (bookmarks) => `Categorize ${bookmarks.map((b) => b.id).join(",")}`
+        );
+        aiProcessor._requestCompletion = jest
+            .fn()
+            .mockResolvedValueOnce({
+                text: JSON.stringify({
+                    results: [entry(1, "Development"), entry(2, "Other"), entry(3, "Reading")],
+                }),
+            })
+            .mockResolvedValueOnce({
+                text: JSON.stringify({ results: [entry(1, "Privacy > Cloud")] }),
+            });
+
+        const results = await aiProcessor._processWithModel(
+            { name: "llama-3.3-70b", provider: "cerebras" },
+            batch,
+            ["Development", "Privacy"],
+            {}
+        );
+
+        expect(aiProcessor._requestCompletion).toHaveBeenCalledTimes(2);
+        const [, retryMessages, retryOptions] = aiProcessor._requestCompletion.mock.calls[1];
+        expect(aiProcessor._buildPrompt.mock.calls[1][0]).toEqual([batch[1]]);
+        expect(retryMessages[1].content).toMatch(/Bookmark 1: uses the forbidden "Other"/);
+        expect(retryOptions.schema.name).toBe("bookmark_categorization");
+        expect(results.map((r) => [r.id, r.bookmarkId, r.category])).toEqual([
+            [1, "a", "Development"],
+            [2, "b", "Privacy > Cloud"],
+            [3, "c", "Reading"],
+        ]);
+    });
+
+    test("should fail the model when entries stay invalid", async () => {
+        aiProcessor.providers.get("custom").configure({
+            customProviderBaseUrl: "http://localhost:11434",
+            customProviderModels: ["llama3.1:8b"],
+        });
+        aiProcessor._buildPrompt = jest.fn(async () => "Categorize");
+        aiProcessor._requestCompletion = jest.fn(async () => ({
+            text: JSON.stringify([entry(1, "Other"), entry(2, "Development")]),
+        }));
+
+        const error = await aiProcessor
+            ._processWithModel(
+                { name: "llama3.1:8b", provider: "custom" },
+                batch.slice(0, 2),
+                [],
+                {}
+            )
+            .catch((e) => e);
+
+        expect(error.invalidResponse).toBe(true);
+        expect(error.message).toMatch(/invalid entries for 1 bookmarks: uses the forbidden/);
+        expect(aiProcessor._requestCompletion).toHaveBeenCalledTimes(
+            aiProcessor.MAX_VALIDATION_REASKS + 1
+        );
+        expect(aiProcessor._requestCompletion.mock.calls[0][2].schema).toBeNull();
+    });
+});
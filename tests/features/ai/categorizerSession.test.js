@@ -0,0 +1,174 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { Categorizer } from "../../../extension/features/ai/categorizer.js";
+
+describe("Categorizer session controls", () => {
+    let categorizer;
+    let aiProcessor;
+    let store;
+    let onFinished;
+
+    const session = (overrides = {}) => ({
+        bookmarks: [
+            { id: "1", title: "A", url: "https://a.com" },
+            { id: "2", title: "B", url: "https://b.com" },
+            { id: "3", title: "C", url: "https://c.com" },
+        ],
+        totalBookmarks: 3,
+        currentIndex: 1,
+        batchSize: 1,
+        results: [],
+        generatedCategories: ["Work"],
+        startTime: Date.now(),
+        settings: {},
+        planMode: false,
+        snapshotId: "snap_1",
+        paused: false,
+        pausedAt: null,
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (key) => ({
+            [key]: store[key],
+        }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, items);
+        });
+        chrome.storage.local.remove.mockImplementation(async (key) => {
+            delete store[key];
+        });
+
+        aiProcessor = {
+            configureFromSettings: jest.fn(),
+            hasConfiguredProvider: jest.fn().mockReturnValue(true),
+            _enrichBatchWithTitles: jest.fn(),
+            getNextBatchSize: jest.fn(async (_bookmarks, _start, _categories, _learning, settings) =>
+                settings.batchSize
+            ),
+            processBatch: jest.fn().mockResolvedValue([]),
+        };
+        onFinished = jest.fn();
+        categorizer = new Categorizer(aiProcessor, { onFinished });
+        categorizer._getLearningData = jest.fn().mockResolvedValue({});
+    });
+
+    test("should report no session when nothing is running", async () => {
+        expect(await categorizer.getSession()).toBeNull();
+    });
+
+    test("should summarize the saved session without its bookmarks", async () => {
+        store.categorizationState = session();
+
+        const result = await categorizer.getSession();
+
+        expect(result).toMatchObject({
+            active: true,
+            paused: false,
+            processed: 1,
+            totalBookmarks: 3,
+            progress: 33,
+            snapshotId: "snap_1",
+        });
+        expect(result.bookmarks).toBeUndefined();
+    });
+
+    test("should pause and resume through the batch alarm", async () => {
+        store.categorizationState = session();
+
+        const paused = await categorizer.pause();
+        expect(paused.paused).toBe(true);
+        expect(chrome.alarms.clear).toHaveBeenCalledWith(
+            "process_categorization_batch"
+        );
+
+        await categorizer.processNextBatch();
+        expect(aiProcessor.processBatch).not.toHaveBeenCalled();
+
+        const resumed = await categorizer.resume();
+        expect(resumed.paused).toBe(false);
+        expect(chrome.alarms.create).toHaveBeenCalledWith(
+            "process_categorization_batch",
+            expect.objectContaining({ when: expect.any(Number) })
+        );
+    });
+
+    test("should keep a pause that arrives while a batch runs", async () => {
+        store.categorizationState = session();
+        aiProcessor.processBatch.mockImplementation(async () => {
+            store.categorizationState = {
+                ...store.categorizationState,
+                paused: true,
+                pausedAt: Date.now(),
+            };
+            return [];
+        });
+
+        await categorizer.processNextBatch();
+
+        expect(store.categorizationState.currentIndex).toBe(2);
+        expect(store.categorizationState.paused).toBe(true);
+        expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    test("should not start a second batch when resumed while one runs", async () => {
+        store.categorizationState = session();
+        aiProcessor.processBatch.mockImplementation(async () => {
+            await categorizer.pause();
+            await categorizer.resume();
+            // The resumed alarm fires while this batch is still running
+            await categorizer.processNextBatch();
+            return [];
+        });
+
+        await categorizer.processNextBatch();
+
+        expect(aiProcessor.processBatch).toHaveBeenCalledTimes(1);
+        expect(chrome.alarms.create).toHaveBeenCalledTimes(1);
+        expect(store.categorizationState).toMatchObject({
+            currentIndex: 2,
+            paused: false,
+            batchStartedAt: null,
+        });
+    });
+
+    test("should ignore a stray alarm after the session was cancelled", async () => {
+        await categorizer.processNextBatch();
+
+        expect(chrome.alarms.clear).toHaveBeenCalledWith(
+            "process_categorization_batch"
+        );
+        expect(onFinished).not.toHaveBeenCalled();
+        expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test("should drop a batch result when the session was cancelled mid-batch", async () => {
+        store.categorizationState = session();
+        aiProcessor.processBatch.mockImplementation(async () => {
+            delete store.categorizationState;
+            return [];
+        });
+
+        await categorizer.processNextBatch();
+
+        expect(store.categorizationState).toBeUndefined();
+        expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    test("should cancel and hand back the snapshot for rollback", async () => {
+        store.categorizationState = session({ scheduledRunId: "run_1" });
+
+        const result = await categorizer.cancel();
+
+        expect(result.snapshotId).toBe("snap_1");
+        expect(store.categorizationState).toBeUndefined();
+        expect(onFinished).toHaveBeenCalledWith(
+            expect.objectContaining({ scheduledRunId: "run_1" }),
+            expect.any(Error)
+        );
+        await expect(categorizer.cancel()).rejects.toThrow(
+            "No categorization in progress"
+        );
+    });
+});
@@ -50,4 +50,17 @@ describe("CategoryGrouper", () => {
             "Development/Programming"
         );
     });
+
+    test("should leave taxonomy folders alone and stop grouping when locked", () => {
+        grouper.setTaxonomy(["Adblocking / Privacy", "Tools"]);
+        expect(grouper.getGroupedCategory("Adblocking / Privacy > VPN")).toBe(
+            "Adblocking / Privacy > VPN"
+        );
+        expect(grouper.getGroupedCategory("Programming")).toBe(
+            "Development/Programming"
+        );
+
+        grouper.setTaxonomy(["Tools"], true);
+        expect(grouper.getGroupedCategory("Programming")).toBe("Programming");
+    });
 });
@@ -0,0 +1,174 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import { AIProcessor, RequestQueue } from "../../../extension/features/ai/aiProcessor.js";
+
+/**
+ * Tests for the custom OpenAI-compatible endpoint provider
+ */
+
+describe("Custom OpenAI-compatible provider", () => {
+    let aiProcessor;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+        aiProcessor = new AIProcessor();
+        aiProcessor.analyticsService = null;
+        aiProcessor.performanceMonitor = null;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test("should register a rate limit for the custom provider", () => {
+        const queue = new RequestQueue();
+
+        expect(queue.rateLimits.custom.rpm).toBe(60);
+        expect(queue.metrics.providerMetrics.has("custom")).toBe(true);
+
+        queue.setRateLimit("custom", 5);
+        expect(queue.rateLimits.custom.rpm).toBe(5);
+    });
+
+    test("should parse comma-separated model lists", () => {
+        aiProcessor.configureFromSettings({
+            customProviderBaseUrl: "http://localhost:11434/v1",
+            customProviderModels: "llama3.1:8b, qwen2.5:14b,",
+        });
+        const adapter = aiProcessor.providers.get("custom");
+
+        expect(adapter.getModels().map((m) => m.name)).toEqual([
+            "llama3.1:8b",
+            "qwen2.5:14b",
+        ]);
+        expect(adapter.getModels()[0].provider).toBe("custom");
+        expect(adapter.isConfigured()).toBe(true);
+        expect(aiProcessor.hasConfiguredProvider()).toBe(true);
+    });
+
+    test("should not count an endpoint without models as configured", () => {
+        aiProcessor.configureFromSettings({
+            customProviderBaseUrl: "http://localhost:8080",
+            customProviderModels: [],
+        });
+
+        expect(aiProcessor.providers.get("custom").isConfigured()).toBe(false);
+        expect(aiProcessor.hasConfiguredProvider()).toBe(false);
+    });
+
+    test("should build the chat-completions URL from different base URLs", () => {
+        const urlFor = (baseUrl) => {
+            aiProcessor.configureFromSettings({
+                customProviderBaseUrl: baseUrl,
+                customProviderModels: ["m"],
+            });
+            return aiProcessor.providers.get("custom").getChatUrl();
+        };
+
+        expect(urlFor("http://localhost:11434")).toBe(
+            "http://localhost:11434/v1/chat/completions"
+        );
+        expect(urlFor("http://localhost:11434/v1/")).toBe(
+            "http://localhost:11434/v1/chat/completions"
+        );
+        expect(urlFor("http://gpu-box:8000/v1/chat/completions")).toBe(
+            "http://gpu-box:8000/v1/chat/completions"
+        );
+    });
+
+    test("should put the preferred provider first", () => {
+        const models = [
+            { name: "gemini-2.5-flash", provider: "gemini" },
+            { name: "llama3.1:8b", provider: "custom" },
+        ];
+
+        const ordered = aiProcessor._orderModelsByPreference(models, {
+            aiProvider: "custom",
+        });
+        expect(ordered.map((m) => m.provider)).toEqual(["custom", "gemini"]);
+    });
+
+    test("should use only the preferred provider when fallback is disabled", () => {
+        const models = [
+            { name: "gemini-2.5-flash", provider: "gemini" },
+            { name: "llama3.1:8b", provider: "custom" },
+        ];
+
+        const ordered = aiProcessor._orderModelsByPreference(models, {
+            aiProvider: "custom",
+            enableFallbackProviders: false,
+        });
+        expect(ordered.map((m) => m.name)).toEqual(["llama3.1:8b"]);
+    });
+
+    test("should not fall back to other providers when the preferred one is unavailable", async () => {
+        const settings = { aiProvider: "custom", enableFallbackProviders: false };
+        const adapter = (id, name) => ({
+            id,
+            name: id,
+            loadModels: async () => [{ name, provider: id }],
+        });
+        aiProcessor.providers.getConfigured = jest.fn(() => [
+            adapter("gemini", "gemini-2.5-flash"),
+            adapter("custom", "llama3.1:8b"),
+        ]);
+        aiProcessor._isQuotaExhausted = jest.fn(async (id) => id === "custom");
+
+        expect(
+            aiProcessor._orderModelsByPreference(
+                [{ name: "gemini-2.5-flash", provider: "gemini" }],
+                settings
+            )
+        ).toEqual([]);
+        expect(await aiProcessor._getModelsToTry(settings)).toEqual([]);
+        expect(
+            (await aiProcessor._getModelsToTry({ ...settings, enableFallbackProviders: true }))
+                .map((m) => m.provider)
+        ).toEqual(["gemini"]);
+    });
+
+    test("should send requests without Authorization when no key is set", async () => {
+        aiProcessor.configureFromSettings({
+            customProviderBaseUrl: "http://localhost:11434/v1",
+            customProviderModels: ["llama3.1:8b"],
+        });
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: async () => ({ choices: [{ message: { content: "ok" } }] }),
+        });
+
+        await aiProcessor._requestCompletion(
+            { name: "llama3.1:8b", provider: "custom" },
+            [{ role: "user", content: "Test" }],
+            { maxTokens: 5 }
+        );
+
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toBe("http://localhost:11434/v1/chat/completions");
+        expect(options.headers.Authorization).toBeUndefined();
+        expect(JSON.parse(options.body).model).toBe("llama3.1:8b");
+    });
+
+    test("should test the custom endpoint through testApiKey", async () => {
+        aiProcessor.configureFromSettings({
+            customProviderBaseUrl: "http://localhost:11434/v1",
+            customProviderModels: ["llama3.1:8b"],
+            customProviderApiKey: "local-secret",
+        });
+        global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({}) });
+
+        const valid = await aiProcessor.testApiKey("custom");
+
+        expect(valid).toBe(true);
+        expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe(
+            "Bearer local-secret"
+        );
+    });
+
+    test("should fail the test when no endpoint is configured", async () => {
+        const valid = await aiProcessor.testApiKey("custom");
+
+        expect(valid).toBe(false);
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,161 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { OfflineCategorizer } from "../../../extension/features/ai/offlineCategorizer.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+describe("OfflineCategorizer", () => {
+    let offline;
+
+    beforeEach(() => {
+        offline = new OfflineCategorizer();
+    });
+
+    test("should categorize well-known domains", () => {
+        expect(
+            offline.categorize({ url: "https://github.com/facebook/react", title: "React" })
+                .category
+        ).toBe("Development > Code Hosting");
+        expect(
+            offline.categorize({ url: "https://www.amazon.co.uk/dp/123", title: "Kettle" })
+                .category
+        ).toBe("Shopping > Marketplaces");
+    });
+
+    test("should prefer the most specific domain rule", () => {
+        const result = offline.categorize({
+            url: "https://scholar.google.com/scholar?q=llm",
+            title: "Search",
+        });
+
+        expect(result.category).toBe("Education > Research");
+    });
+
+    test("should fall back to URL path rules for unknown sites", () => {
+        const result = offline.categorize({
+            url: "https://example.io/docs/getting-started",
+            title: "Getting started",
+        });
+
+        expect(result.category).toBe("Development > Documentation");
+        expect(result.confidence).toBe(offline.CONFIDENCE.path);
+    });
+
+    test("should score keywords from the title", () => {
+        const result = offline.categorize({
+            url: "https://example.com/",
+            title: "Best budget and investing tips for your money",
+        });
+
+        expect(result.category).toBe("Finance > Money");
+    });
+
+    test("should use the default category when nothing matches", () => {
+        const result = offline.categorize({ url: "https://qwzx.example/", title: "" });
+
+        expect(result.category).toBe("Tools > Utilities");
+        expect(result.confidence).toBe(offline.CONFIDENCE.fallback);
+    });
+
+    test("should let learned domain patterns win over built-in rules", () => {
+        const learningData = {
+            patterns: {
+                "domain:github.com": {
+                    type: "domain",
+                    value: "github.com",
+                    category: "Work > Repositories",
+                    confidence: 0.8,
+                },
+            },
+        };
+
+        const result = offline.categorize(
+            { url: "https://github.com/acme/app", title: "App" },
+            [],
+            learningData
+        );
+
+        expect(result.category).toBe("Work > Repositories");
+    });
+
+    test("should reuse an available category with matching path", () => {
+        const result = offline.categorize(
+            { url: "https://youtube.com/watch?v=1", title: "Talk" },
+            ["entertainment > video", "Work"]
+        );
+
+        expect(result.category).toBe("entertainment > video");
+    });
+
+    test("should return results in the parsed AI response shape", () => {
+        const results = offline.categorizeBatch([
+            { id: "7", url: "https://reddit.com/r/javascript", title: "r/javascript" },
+        ]);
+
+        expect(results[0]).toMatchObject({
+            id: 1,
+            bookmarkId: "7",
+            category: "Social > Communities",
+            title: "r/javascript",
+            source: "offline",
+        });
+    });
+
+    test("should generate categories without AI", () => {
+        const categories = offline.generateCategories(
+            [{ url: "https://github.com/x/y", title: "y" }],
+            ["Work"]
+        );
+
+        expect(categories).toEqual(
+            expect.arrayContaining(["Work", "Development > Code Hosting", "Tools > Utilities"])
+        );
+    });
+});
+
+describe("AIProcessor offline fallback", () => {
+    let aiProcessor;
+    const batch = [{ id: "5", url: "https://github.com/a/b", title: "b" }];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        aiProcessor = new AIProcessor();
+        aiProcessor.analyticsService = null;
+        aiProcessor.performanceMonitor = null;
+        aiProcessor._getSettings = jest.fn().mockResolvedValue({});
+    });
+
+    test("should categorize offline when no provider is configured", async () => {
+        const results = await aiProcessor.processBatch(batch, [], {}, null, {
+            planMode: true,
+        });
+
+        expect(results[0].category).toBe("Development > Code Hosting");
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test("should fall back to offline rules when every model fails", async () => {
+        aiProcessor.configureFromSettings({ apiKey: "test-key" });
+        aiProcessor.providers.get("gemini").models = [{ name: "gemini-test" }];
+        aiProcessor._processWithModel = jest
+            .fn()
+            .mockRejectedValue(new Error("Server error"));
+
+        const results = await aiProcessor.processBatch(batch, [], {}, null, {
+            planMode: true,
+        });
+
+        expect(aiProcessor._processWithModel).toHaveBeenCalled();
+        expect(results[0].source).toBe("offline");
+    });
+
+    test("should generate categories offline when AI generation fails", async () => {
+        aiProcessor.configureFromSettings({ apiKey: "test-key" });
+        aiProcessor._getExistingFolderStructure = jest.fn().mockResolvedValue([]);
+        aiProcessor._generateCategoriesWithModelFallback = jest
+            .fn()
+            .mockRejectedValue(new Error("QUOTA_EXHAUSTED: try later"));
+
+        const categories = await aiProcessor._generateDynamicCategories(batch);
+
+        expect(categories).toContain("Development > Code Hosting");
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { PageContentExtractor } from "../../../extension/features/ai/pageContentExtractor.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+describe("PageContentExtractor", () => {
+    let extractor;
+
+    const html = `<!doctype html>
+<html lang="en-US">
+<head>
+    <title>Home</title>
+    <meta charset="utf-8">
+    <meta name="description" content="Track sprints, issues &amp; releases for software teams">
+    <meta property="og:title" content="Linear &#8211; Issue tracking">
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content='Linear'>
+    <meta name="keywords" content="issues, project management, , agile">
+    <link rel="icon" href="/favicon.ico">
+    <link rel="canonical" href="/home">
+    <style>.hero { color: red; }</style>
+    <script>window.track("view");</script>
+</head>
+<body>
+    <nav><a href="/">Menu</a></nav>
+    <main>
+        <h1>Plan and <em>build</em> products</h1>
+        <p>Linear streamlines issues,   sprints and roadmaps.</p>
+        <script>ignored()</script>
+    </main>
+    <footer>© 2024</footer>
+</body>
+</html>`;
+
+    beforeEach(() => {
+        extractor = new PageContentExtractor();
+    });
+
+    test("should extract meta, OpenGraph, heading, canonical URL and language", () => {
+        const content = extractor.extract(html, "https://linear.app/");
+
+        expect(content).toEqual({
+            title: "Home",
+            description: "Track sprints, issues & releases for software teams",
+            ogTitle: "Linear – Issue tracking",
+            ogDescription: null,
+            ogType: "website",
+            ogSiteName: "Linear",
+            keywords: ["issues", "project management", "agile"],
+            h1: "Plan and build products",
+            canonicalUrl: "https://linear.app/home",
+            language: "en-us",
+            snippet: "Plan and build products Linear streamlines issues, sprints and roadmaps.",
+        });
+    });
+
+    test("should fall back to the body and cap the snippet", () => {
+        const content = extractor.extract(
+            `<body><header>Site</header><p>${"word ".repeat(200)}</p></body>`
+        );
+
+        expect(content.title).toBeNull();
+        expect(content.keywords).toEqual([]);
+        expect(content.snippet.length).toBeLessThanOrEqual(extractor.SNIPPET_CHARS + 1);
+        expect(content.snippet.endsWith("word…")).toBe(true);
+    });
+
+    test("should keep prompt lines within the token budget", () => {
+        const content = extractor.extract(html, "https://linear.app/");
+
+        const full = extractor.toPromptLines(content, 150, "https://linear.app/");
+        expect(full[0]).toBe('Site Name: "Linear"');
+        expect(full).toContain('Main Heading: "Plan and build products"');
+        expect(full.at(-1)).toMatch(/^Text Snippet: /);
+
+        const tight = extractor.toPromptLines(content, 20, "https://linear.app/");
+        expect(tight.join("").length).toBeLessThanOrEqual(80);
+        expect(tight[1]).toMatch(/^Description: "Track sprints.*…"$/);
+        expect(extractor.toPromptLines(null, 150)).toEqual([]);
+    });
+});
+
+describe("AIProcessor page context", () => {
+    let aiProcessor;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        aiProcessor = new AIProcessor();
+        aiProcessor._getExistingFolderStructure = jest.fn(async () => []);
+    });
+
+    test("should fetch page content during enrichment", async () => {
+        aiProcessor._getSettings = jest.fn(async () => ({}));
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            url: "https://linear.app/",
+            headers: { get: () => "text/html; charset=utf-8" },
+            text: async () =>
+                '<title>Linear</title><meta name="description" content="Issue tracking">',
+        }));
+        const batch = [{ id: "1", title: "Home", url: "https://linear.app/" }];
+
+        await aiProcessor._enrichBatchWithTitles(batch);
+
+        expect(batch[0].title).toBe("Linear");
+        expect(batch[0].pageContent.description).toBe("Issue tracking");
+    });
+
+    test("should skip non-HTML responses", async () => {
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            headers: { get: () => "application/pdf" },
+            text: async () => "%PDF",
+        }));
+
+        expect(await aiProcessor._fetchPageContent("https://a.com/x.pdf")).toBeNull();
+    });
+
+    test("should add page context to the prompt within the batch budget", async () => {
+        aiProcessor.PAGE_CONTEXT_TOKEN_BUDGET = 40;
+        const pageContent = {
+            description: "Track sprints and issues",
+            snippet: "x".repeat(500),
+        };
+
+        const prompt = await aiProcessor._buildPrompt(
+            [
+                { id: "1", title: "Dashboard", url: "https://linear.app/", pageContent },
+                { id: "2", title: "Docs", url: "https://docs.example.com/" },
+            ],
+            ["Work"],
+            {}
+        );
+
+        expect(prompt).toContain('   Description: "Track sprints and issues"');
+        const snippet = prompt.match(/Text Snippet: "(x+)…"/);
+        // One bookmark with content gets the whole 40-token budget
+        expect(snippet[1].length).toBeLessThan(160);
+        expect(prompt.match(/Description:/g)).toHaveLength(1);
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { ProviderRegistry } from "../../../extension/features/ai/providers/providerRegistry.js";
+import { OpenAICompatibleAdapter } from "../../../extension/features/ai/providers/openAICompatibleAdapter.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+/**
+ * Tests for the provider adapters and the registry that holds them
+ */
+
+class TestAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super();
+        this.id = "test";
+        this.name = "Test";
+        this.settingsKey = "testApiKey";
+        this.baseUrl = "https://llm.example.com/v1/chat/completions";
+        this.models = [{ name: "test-large" }];
+        this.pricing = { "test-large": { input: 2, output: 4 } };
+        this.rateLimit = { rpm: 10, maxQueueSize: 20 };
+    }
+}
+
+describe("ProviderRegistry", () => {
+    let registry;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        registry = new ProviderRegistry();
+    });
+
+    test("should declare the rate limits of every built-in provider", () => {
+        const limits = registry.getRateLimits();
+
+        expect(limits.gemini).toEqual({ rpm: 15, maxQueueSize: 100 });
+        expect(limits.cerebras).toEqual({ rpm: 60, maxQueueSize: 200 });
+        expect(limits.groq).toEqual({ rpm: 30, maxQueueSize: 150 });
+        expect(limits.custom.rpm).toBe(60);
+    });
+
+    test("should only list providers with the settings they need", () => {
+        registry.configure({ groqApiKey: "gsk_key" });
+
+        expect(registry.getConfigured().map((adapter) => adapter.id)).toEqual([
+            "groq",
+        ]);
+    });
+
+    test("should find models and prices across providers", () => {
+        registry.configure({ cerebrasApiKey: "csk-key" });
+
+        expect(registry.findModel("qwen-3-32b")).toMatchObject({
+            name: "qwen-3-32b",
+            provider: "cerebras",
+            costPer1MInputTokens: 0.1,
+        });
+        expect(registry.findModel("gemini-2.5-flash").provider).toBe("gemini");
+        expect(registry.findModel("unknown-model")).toBeNull();
+        expect(registry.getPricing("gemini-2.5-pro")).toEqual({
+            input: 1.25,
+            output: 5.0,
+        });
+        expect(registry.getPricing("llama-3.1-8b-instant")).toEqual({
+            input: 0,
+            output: 0,
+        });
+        expect(registry.getPricing("unknown-model")).toEqual({
+            input: 0.1,
+            output: 0.3,
+        });
+    });
+
+    test("should route requests to a newly registered provider", async () => {
+        const processor = new AIProcessor();
+        processor.analyticsService = null;
+        processor.performanceMonitor = null;
+        processor.providers.register(new TestAdapter());
+        processor.configureFromSettings({ testApiKey: "secret" });
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: async () => ({
+                choices: [{ message: { content: "hello" } }],
+                usage: { total_tokens: 12 },
+            }),
+        });
+
+        const [model] = await processor.providers.loadModels();
+        const { text, tokensUsed } = await processor._requestCompletion(model, [
+            { role: "user", content: "Hi" },
+        ]);
+
+        expect(model).toMatchObject({ name: "test-large", provider: "test" });
+        expect(text).toBe("hello");
+        expect(tokensUsed).toBe(12);
+        expect(processor.requestQueue.rateLimits.test.rpm).toBe(10);
+        const [url, init] = global.fetch.mock.calls[0];
+        expect(url).toBe("https://llm.example.com/v1/chat/completions");
+        expect(init.headers.Authorization).toBe("Bearer secret");
+    });
+});
+
+describe("GeminiAdapter", () => {
+    let gemini;
+
+    beforeEach(() => {
+        gemini = new ProviderRegistry().get("gemini");
+        gemini.configure({ apiKey: "AIzaSyTestKey" });
+    });
+
+    test("should send system messages as the system instruction", () => {
+        const { url, init } = gemini.buildRequest({
+            model: "gemini-2.5-flash",
+            messages: [
+                { role: "system", content: "Be brief" },
+                { role: "user", content: "Hi" },
+            ],
+        });
+        const body = JSON.parse(init.body);
+
+        expect(url).toMatch(/models\/gemini-2\.5-flash:generateContent$/);
+        expect(init.headers["x-goog-api-key"]).toBe("AIzaSyTestKey");
+        expect(body.systemInstruction.parts[0].text).toBe("Be brief");
+        expect(body.contents).toEqual([{ role: "user", parts: [{ text: "Hi" }] }]);
+    });
+
+    test("should tell an exhausted quota from a short rate limit", () => {
+        const exhausted = JSON.stringify({
+            error: {
+                message: "Quota exceeded for metric free_tier_requests",
+                details: [
+                    {
+                        "@type": "type.googleapis.com/google.rpc.RetryInfo",
+                        retryDelay: "57.3s",
+                    },
+                ],
+            },
+        });
+        const throttled = JSON.stringify({
+            error: { message: "Resource has been exhausted" },
+        });
+
+        expect(gemini.classifyError(429, exhausted)).toMatchObject({
+            retryable: true,
+            rateLimited: true,
+            quotaResetSeconds: 58,
+        });
+        expect(gemini.classifyError(429, throttled).quotaResetSeconds).toBeNull();
+        expect(gemini.classifyError(401).retryable).toBe(false);
+    });
+});
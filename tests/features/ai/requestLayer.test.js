@@ -0,0 +1,227 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { AIProcessor, RequestQueue } from "../../../extension/features/ai/aiProcessor.js";
+
+describe("RequestQueue timeouts, retries and cancellation", () => {
+    let queue;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        queue = new RequestQueue();
+        queue.retryConfig.baseDelay = 1;
+        queue.retryConfig.jitterFactor = 0;
+    });
+
+    test("should abort a hung request after the timeout and retry it", async () => {
+        queue.configure({ timeout: 20, maxRetries: 1 });
+        const signals = [];
+        const request = jest.fn((signal) => {
+            signals.push(signal);
+            return new Promise(() => {}); // Never settles
+        });
+
+        const error = await queue.enqueue(request, "gemini").catch((e) => e);
+
+        expect(error.name).toBe("TimeoutError");
+        expect(error.message).toMatch(/timeout after/);
+        expect(error.requestAttempts).toBe(2);
+        expect(request).toHaveBeenCalledTimes(2);
+        expect(signals.every((signal) => signal.aborted)).toBe(true);
+        expect(queue.pendingRequests.size).toBe(0);
+    });
+
+    test("should retry network failures the configured number of times", async () => {
+        queue.configure({ maxRetries: 2 });
+        const request = jest
+            .fn()
+            .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+            .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+            .mockResolvedValueOnce("ok");
+
+        await expect(queue.enqueue(request, "groq")).resolves.toBe("ok");
+        expect(request).toHaveBeenCalledTimes(3);
+
+        queue.configure({ maxRetries: 0 });
+        const failing = jest.fn().mockRejectedValue(new TypeError("Failed to fetch"));
+        await expect(queue.enqueue(failing, "groq")).rejects.toMatchObject({
+            requestAttempts: 1,
+        });
+        expect(failing).toHaveBeenCalledTimes(1);
+    });
+
+    test("should cancel running and queued requests", async () => {
+        // Let the first request start, then hold the rest back as if rate limited
+        jest.spyOn(queue, "_canProcessRequest")
+            .mockResolvedValueOnce(true)
+            .mockResolvedValue(false);
+        jest.spyOn(queue, "_calculateThrottleDelay").mockReturnValue(5);
+        let runningSignal;
+        const running = queue.enqueue((signal) => {
+            runningSignal = signal;
+            return new Promise(() => {});
+        }, "cerebras");
+        const queued = queue.enqueue(() => Promise.resolve("never"), "cerebras", "low");
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect(queue.cancelAll("Categorization was cancelled")).toBe(2);
+
+        await expect(running).rejects.toMatchObject({
+            name: "AbortError",
+            cancelled: true,
+            message: "Categorization was cancelled",
+        });
+        await expect(queued).rejects.toMatchObject({ cancelled: true });
+        expect(runningSignal.aborted).toBe(true);
+        expect(queue.queue).toHaveLength(0);
+    });
+});
+
+describe("AIProcessor request settings", () => {
+    let aiProcessor;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        aiProcessor = new AIProcessor();
+        aiProcessor.baseRetryDelay = 1;
+        aiProcessor.requestQueue.retryConfig.baseDelay = 1;
+        aiProcessor.requestQueue.retryConfig.jitterFactor = 0;
+        aiProcessor.providers.get("cerebras").apiKey = "csk-key";
+    });
+
+    test("should apply requestTimeout and retryAttempts from settings", () => {
+        aiProcessor.configureFromSettings({ requestTimeout: 45000, retryAttempts: 0 });
+
+        expect(aiProcessor.maxRetries).toBe(0);
+        expect(aiProcessor.requestQueue.requestTimeout).toBe(45000);
+        expect(aiProcessor.requestQueue.retryConfig.maxRetries).toBe(0);
+    });
+
+    test("should not multiply retries between the queue and provider loop", async () => {
+        aiProcessor.setRequestOptions({ retryAttempts: 2 });
+        global.fetch = jest.fn(async (_url, init) => {
+            expect(init.signal).toBeDefined();
+            throw new TypeError("Failed to fetch");
+        });
+
+        await expect(
+            aiProcessor._requestCompletion(
+                { name: "llama", provider: "cerebras" },
+                [{ role: "user", content: "prompt" }],
+                { batchSize: 1 }
+            )
+        ).rejects.toThrow("Failed to fetch");
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test("should retry HTTP errors from one budget and stop on final ones", async () => {
+        aiProcessor.setRequestOptions({ retryAttempts: 2 });
+        aiProcessor._recordApiRequest = jest.fn(async () => {});
+        const reply = (status) => ({
+            ok: false,
+            status,
+            text: async () => "rate limit exceeded",
+        });
+        global.fetch = jest.fn(async () => reply(429));
+        const request = () =>
+            aiProcessor._requestCompletion(
+                { name: "llama", provider: "cerebras" },
+                [{ role: "user", content: "prompt" }],
+                { batchSize: 1 }
+            );
+
+        await expect(request()).rejects.toMatchObject({
+            status: 429,
+            rateLimited: true,
+            requestAttempts: 3,
+        });
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+
+        global.fetch = jest.fn(async () => reply(400));
+        await expect(request()).rejects.toMatchObject({ status: 400 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should time out a response body that stalls after the headers", async () => {
+        aiProcessor.setRequestOptions({ timeout: 20, retryAttempts: 0 });
+        global.fetch = jest.fn(async () => ({
+            ok: true,
+            status: 200,
+            json: () => new Promise(() => {}), // Body never arrives
+        }));
+
+        await expect(
+            aiProcessor._requestCompletion(
+                { name: "llama", provider: "cerebras" },
+                [{ role: "user", content: "prompt" }],
+                { batchSize: 1 }
+            )
+        ).rejects.toMatchObject({ name: "TimeoutError" });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should apply and cache results of a batch split after truncation", async () => {
+        const batch = [
+            { id: "1", title: "A", url: "https://a.com/" },
+            { id: "2", title: "B", url: "https://b.com/" },
+        ];
+        const truncated = Object.assign(new Error("Response truncated"), {
+            isTruncation: true,
+        });
+        aiProcessor._getSettings = jest.fn(async () => ({}));
+        aiProcessor._getModelsToTry = jest.fn(async () => [
+            { name: "llama", provider: "cerebras" },
+        ]);
+        aiProcessor._applyCachedResults = jest.fn(async () => []);
+        aiProcessor._processWithModel = jest
+            .fn()
+            .mockRejectedValueOnce(truncated)
+            .mockImplementation(async (_model, subBatch) =>
+                subBatch.map((bookmark) => ({ bookmarkId: bookmark.id, category: "Work" }))
+            );
+        aiProcessor.categorizationCache.store = jest.fn(async () => {});
+        aiProcessor._applyBatchResults = jest.fn(async (results) => results);
+
+        const results = await aiProcessor._processBatchWithProviderFallback(batch, [], {});
+
+        const splitResults = [
+            { bookmarkId: "1", category: "Work" },
+            { bookmarkId: "2", category: "Work" },
+        ];
+        expect(aiProcessor._processWithModel).toHaveBeenCalledTimes(3);
+        expect(aiProcessor.categorizationCache.store).toHaveBeenCalledWith(
+            batch,
+            splitResults,
+            "llama",
+            {}
+        );
+        expect(aiProcessor._applyBatchResults).toHaveBeenCalledWith(
+            splitResults,
+            batch,
+            null,
+            {}
+        );
+        expect(results.map((result) => result.bookmarkId)).toEqual(["1", "2"]);
+    });
+
+    test("should stop the provider fallback when the session is cancelled", async () => {
+        aiProcessor.providers.get("cerebras").models = [
+            { name: "a" },
+            { name: "b" },
+        ];
+        aiProcessor._getSettings = jest.fn(async () => ({}));
+        aiProcessor._applyCachedResults = jest.fn(async () => []);
+        aiProcessor._processWithOffline = jest.fn();
+        global.fetch = jest.fn(() => new Promise(() => {}));
+
+        const run = aiProcessor._processBatchWithProviderFallback(
+            [{ id: "1", title: "A", url: "https://a.com/" }],
+            [],
+            {}
+        );
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        aiProcessor.cancelRequests();
+
+        await expect(run).rejects.toMatchObject({ cancelled: true });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(aiProcessor._processWithOffline).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,180 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { ReviewQueue } from "../../../extension/features/ai/reviewQueue.js";
+import { LearningService } from "../../../extension/features/ai/learningService.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+describe("ReviewQueue", () => {
+    let queue;
+    let store;
+    let bookmarks;
+
+    const entry = {
+        bookmarkId: "10",
+        title: "react docs",
+        url: "https://react.dev",
+        suggestedCategory: "Development > Frontend",
+        suggestedTitle: "React Documentation",
+        confidence: 0.4,
+        reasoning: "Looks like frontend docs",
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        bookmarks = {
+            10: { id: "10", parentId: "1", title: "react docs", url: "https://react.dev" },
+        };
+        chrome.storage.local.get.mockImplementation(async (key) =>
+            key in store ? { [key]: store[key] } : {}
+        );
+        chrome.storage.local.set.mockImplementation(async (values) => {
+            Object.assign(store, values);
+        });
+        chrome.bookmarks.get = jest.fn(async (id) => {
+            if (!bookmarks[id]) throw new Error("Can't find bookmark");
+            return [bookmarks[id]];
+        });
+        chrome.bookmarks.update.mockResolvedValue({});
+
+        queue = new ReviewQueue();
+        queue.bookmarkService = {
+            findOrCreateFolderByPath: jest.fn(async () => "50"),
+            moveBookmark: jest.fn(async () => {}),
+            recordCategoryHistory: jest.fn(async () => {}),
+        };
+    });
+
+    test("should replace an earlier suggestion for the same bookmark", async () => {
+        await queue.add([entry]);
+        const length = await queue.add([
+            { ...entry, suggestedCategory: "Reference" },
+            { ...entry, bookmarkId: "11" },
+        ]);
+
+        expect(length).toBe(2);
+        const stored = await queue.getQueue();
+        expect(stored[0].suggestedCategory).toBe("Reference");
+        expect(stored[0].queuedAt).toEqual(expect.any(Number));
+    });
+
+    test("should accept a suggestion with its title", async () => {
+        await queue.add([entry]);
+        const marked = jest.fn();
+
+        await queue.accept("10", marked);
+
+        expect(chrome.bookmarks.update).toHaveBeenCalledWith("10", {
+            title: "React Documentation",
+        });
+        expect(queue.bookmarkService.findOrCreateFolderByPath).toHaveBeenCalledWith(
+            "Development > Frontend",
+            "1"
+        );
+        expect(queue.bookmarkService.moveBookmark).toHaveBeenCalledWith("10", "50");
+        expect(marked).toHaveBeenCalledWith("10");
+        expect(store.ai_confidence_10).toBe(1);
+        expect(await queue.getQueue()).toEqual([]);
+    });
+
+    test("should keep using an existing suggested folder", async () => {
+        bookmarks[30] = { id: "30", title: "Frontend" };
+        await queue.add([{ ...entry, suggestedFolderId: "30" }]);
+
+        await queue.accept("10");
+
+        expect(queue.bookmarkService.findOrCreateFolderByPath).not.toHaveBeenCalled();
+        expect(queue.bookmarkService.moveBookmark).toHaveBeenCalledWith("10", "30");
+    });
+
+    test("should learn from a reassigned folder", async () => {
+        const correction = jest
+            .spyOn(LearningService.prototype, "recordCorrection")
+            .mockResolvedValue();
+        await queue.add([entry]);
+
+        await queue.reassign("10", " Learning ");
+
+        expect(chrome.bookmarks.update).not.toHaveBeenCalled();
+        expect(correction).toHaveBeenCalledWith(
+            bookmarks[10],
+            "Development > Frontend",
+            "Learning",
+            true
+        );
+        await expect(queue.reassign("10", "")).rejects.toThrow(
+            "Choose a folder for this bookmark"
+        );
+        correction.mockRestore();
+    });
+
+    test("should skip, and drop bookmarks deleted since queueing", async () => {
+        await queue.add([entry, { ...entry, bookmarkId: "99" }]);
+
+        expect(await queue.remove("10")).toBe(1);
+        await expect(queue.accept("99")).rejects.toThrow("Bookmark no longer exists");
+        expect(await queue.getQueue()).toEqual([]);
+        await expect(queue.accept("10")).rejects.toThrow(
+            "Bookmark is not waiting for review"
+        );
+    });
+});
+
+describe("AIProcessor confidence", () => {
+    let aiProcessor;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        aiProcessor = new AIProcessor();
+        aiProcessor.reviewQueue = { add: jest.fn(async () => 1) };
+        aiProcessor._moveBookmarkImmediately = jest.fn(async () => {});
+        chrome.storage.local.set.mockResolvedValue();
+    });
+
+    test("should normalize confidence values", () => {
+        expect(aiProcessor._parseConfidence(0.85)).toBe(0.85);
+        expect(aiProcessor._parseConfidence(85)).toBe(0.85);
+        expect(aiProcessor._parseConfidence("70%")).toBe(0.7);
+        expect(aiProcessor._parseConfidence("0.4")).toBe(0.4);
+        expect(aiProcessor._parseConfidence(undefined)).toBeNull();
+        expect(aiProcessor._parseConfidence("high")).toBeNull();
+    });
+
+    test("should queue results below the threshold instead of moving them", async () => {
+        const batch = [
+            { id: "10", title: "react docs", url: "https://react.dev" },
+            { id: "11", title: "mystery", url: "https://example.com" },
+        ];
+
+        const results = await aiProcessor._applyBatchResults(
+            [
+                { bookmarkId: "10", category: "Development", title: "React", confidence: 0.9 },
+                {
+                    bookmarkId: "11",
+                    category: "Misc",
+                    title: "Mystery",
+                    confidence: 0.3,
+                    reasoning: "Page has no content",
+                },
+            ],
+            batch,
+            null,
+            { skipGrouping: true }
+        );
+
+        expect(aiProcessor._moveBookmarkImmediately).toHaveBeenCalledTimes(1);
+        expect(results[1].needsReview).toBe(true);
+        expect(aiProcessor.reviewQueue.add).toHaveBeenCalledWith([
+            expect.objectContaining({
+                bookmarkId: "11",
+                suggestedCategory: "Misc",
+                suggestedTitle: "Mystery",
+                confidence: 0.3,
+                reasoning: "Page has no content",
+            }),
+        ]);
+        expect(chrome.storage.local.set).toHaveBeenCalledWith({
+            ai_confidence_11: 0.3,
+            ai_reasoning_11: "Page has no content",
+        });
+    });
+});
@@ -0,0 +1,175 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { RulesEngine } from "../../../extension/features/ai/rulesEngine.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+describe("RulesEngine", () => {
+    let rulesEngine;
+    let store;
+
+    const issuesRule = {
+        id: "issues",
+        name: "GitHub issues",
+        field: "url",
+        type: "glob",
+        pattern: "*.github.com/*/issues/*",
+        folder: "Development > Issues",
+        priority: 10,
+    };
+    const invoiceRule = {
+        id: "invoices",
+        field: "title",
+        type: "regex",
+        pattern: "/invoice/i",
+        folder: "Finance > Invoices",
+        priority: 5,
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (key) => ({
+            [key]: store[key],
+        }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, items);
+        });
+        chrome.storage.local.remove.mockImplementation(async (key) => {
+            delete store[key];
+        });
+        rulesEngine = new RulesEngine();
+    });
+
+    test("should match URL globs with an optional subdomain", () => {
+        const rule = rulesEngine.normalizeRule(issuesRule);
+
+        expect(
+            rulesEngine.matches(rule, { url: "https://github.com/acme/app/issues/12" })
+        ).toBe(true);
+        expect(
+            rulesEngine.matches(rule, { url: "https://www.gist.github.com/a/issues/1" })
+        ).toBe(true);
+        expect(
+            rulesEngine.matches(rule, { url: "https://github.com/acme/app/pulls/3" })
+        ).toBe(false);
+    });
+
+    test("should match title regexes written as literals", () => {
+        const rule = rulesEngine.normalizeRule(invoiceRule);
+
+        expect(rulesEngine.matches(rule, { url: "https://x.com", title: "March INVOICE" })).toBe(true);
+        expect(rulesEngine.matches(rule, { url: "https://x.com", title: "Receipt" })).toBe(false);
+    });
+
+    test("should reject invalid rules", async () => {
+        const result = rulesEngine.validateRule(
+            rulesEngine.normalizeRule({ type: "regex", pattern: "(", folder: "" })
+        );
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toHaveLength(2);
+        await expect(rulesEngine.addRule({ pattern: "*.example.com" })).rejects.toThrow(
+            "Target folder is required"
+        );
+    });
+
+    test("should pick the highest-priority enabled rule", async () => {
+        const catchAll = {
+            id: "all-github",
+            field: "domain",
+            type: "glob",
+            pattern: "github.com",
+            folder: "Development",
+            priority: 1,
+        };
+        await rulesEngine.importRules([catchAll, issuesRule]);
+
+        const bookmark = { url: "https://github.com/acme/app/issues/1" };
+        let result = await rulesEngine.testBookmark(bookmark);
+        expect(result.match.id).toBe("issues");
+        expect(result.matchingRules).toHaveLength(2);
+
+        await rulesEngine.updateRule("issues", { enabled: false });
+        result = await rulesEngine.testBookmark(bookmark);
+        expect(result.match.id).toBe("all-github");
+    });
+
+    test("should split a batch into rule results and remaining bookmarks", async () => {
+        await rulesEngine.importRules([issuesRule, invoiceRule]);
+
+        const { results, remaining } = await rulesEngine.applyRules([
+            { id: "1", url: "https://github.com/a/b/issues/2", title: "Bug" },
+            { id: "2", url: "https://shop.example/", title: "Invoice #4" },
+            { id: "3", url: "https://example.org/", title: "Hello" },
+        ]);
+
+        expect(results.map((r) => [r.bookmarkId, r.category])).toEqual([
+            ["1", "Development > Issues"],
+            ["2", "Finance > Invoices"],
+        ]);
+        expect(remaining.map((b) => b.id)).toEqual(["3"]);
+    });
+
+    test("should count rule fires", async () => {
+        await rulesEngine.recordFires(["issues", "issues", "invoices"]);
+
+        const stats = await rulesEngine.getStats();
+        expect(stats.issues.count).toBe(2);
+        expect(stats.invoices.count).toBe(1);
+
+        await rulesEngine.resetStats();
+        expect(await rulesEngine.getStats()).toEqual({});
+    });
+
+    test("should round-trip rules through export and import", async () => {
+        await rulesEngine.importRules([issuesRule]);
+        const exported = await rulesEngine.exportRules();
+
+        store = {};
+        const result = await rulesEngine.importRules(
+            JSON.parse(JSON.stringify(exported)),
+            false
+        );
+
+        expect(result).toEqual({ imported: 1, skipped: 0, errors: [] });
+        expect((await rulesEngine.getRules())[0].pattern).toBe(issuesRule.pattern);
+    });
+
+    test("should skip invalid rules on import", async () => {
+        const result = await rulesEngine.importRules({
+            rules: [issuesRule, { pattern: "x" }],
+        });
+
+        expect(result.imported).toBe(1);
+        expect(result.skipped).toBe(1);
+    });
+
+    test("should route matching bookmarks before the AI in processBatch", async () => {
+        await rulesEngine.importRules([issuesRule]);
+        const aiProcessor = new AIProcessor();
+        aiProcessor.analyticsService = null;
+        aiProcessor.performanceMonitor = null;
+        aiProcessor._processBatchWithProviderFallback = jest
+            .fn()
+            .mockResolvedValue([
+                { bookmarkId: "2", category: "Reading", title: "Post", confidence: 0.7 },
+            ]);
+
+        const results = await aiProcessor.processBatch(
+            [
+                { id: "1", url: "https://github.com/a/b/issues/2", title: "Bug" },
+                { id: "2", url: "https://blog.example/post", title: "Post" },
+            ],
+            [],
+            {},
+            null,
+            { planMode: true }
+        );
+
+        expect(aiProcessor._processBatchWithProviderFallback.mock.calls[0][0]).toHaveLength(1);
+        expect(results.map((r) => r.category)).toEqual([
+            "Development > Issues",
+            "Reading",
+        ]);
+        expect(store.categorizationRuleStats).toBeUndefined();
+    });
+});
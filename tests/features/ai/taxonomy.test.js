@@ -0,0 +1,265 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { Taxonomy } from "../../../extension/features/ai/taxonomy.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+/**
+ * Tests for the user-designed category taxonomy
+ */
+
+const developmentTree = (locked = false) => ({
+    locked,
+    folders: [
+        {
+            name: "Development",
+            description: "Building software",
+            exampleUrls: ["github.com"],
+            children: [
+                {
+                    name: "Documentation",
+                    description: "Language and library references",
+                    exampleUrls: ["https://developer.mozilla.org/", "https://docs.github.com/"],
+                },
+            ],
+        },
+        { name: "Reading", description: "Articles to read later" },
+    ],
+});
+
+describe("Taxonomy", () => {
+    let taxonomy;
+    let store;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (key) => ({
+            [key]: store[key],
+        }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, items);
+        });
+        taxonomy = new Taxonomy();
+    });
+
+    test("should save a normalized tree and list its paths", async () => {
+        await taxonomy.saveTaxonomy({
+            ...developmentTree(),
+            folders: [...developmentTree().folders, { name: "  ", children: [] }],
+        });
+        const saved = await taxonomy.getTaxonomy();
+
+        expect(saved.folders).toHaveLength(2);
+        expect(saved.folders[0].exampleUrls).toEqual(["https://github.com"]);
+        expect(taxonomy.getPaths(saved)).toEqual([
+            "Development",
+            "Development > Documentation",
+            "Reading",
+        ]);
+        expect(taxonomy.isLocked(saved)).toBe(false);
+    });
+
+    test("should reject invalid folders", async () => {
+        const result = taxonomy.validateTaxonomy(
+            taxonomy.normalizeTaxonomy({
+                folders: [
+                    { name: "Tools > Misc" },
+                    { name: "Other" },
+                    { name: "Reading", exampleUrls: ["http://"] },
+                    { name: "reading" },
+                ],
+            })
+        );
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            'Folder "Tools > Misc": names cannot contain ">"',
+            'Folder "Other": "Other" is not allowed',
+            'Folder "Reading": "http://" is not a valid URL',
+            'Folder "reading" appears twice',
+        ]);
+        await expect(taxonomy.saveTaxonomy({ locked: true, folders: [] })).rejects.toThrow(
+            "A locked taxonomy needs at least one folder"
+        );
+    });
+
+    test("should match example URLs by site, deepest folder first", () => {
+        const tree = taxonomy.normalizeTaxonomy(developmentTree());
+
+        expect(taxonomy.matchExampleUrl(tree, "https://www.github.com/org/repo")).toBe(
+            "Development"
+        );
+        expect(taxonomy.matchExampleUrl(tree, "https://docs.github.com/en/actions")).toBe(
+            "Development > Documentation"
+        );
+        expect(taxonomy.matchExampleUrl(tree, "https://example.com/")).toBeNull();
+    });
+
+    test("should describe folders for the prompt and say when they are locked", () => {
+        const open = taxonomy.toPromptSection(taxonomy.normalizeTaxonomy(developmentTree()));
+        const locked = taxonomy.toPromptSection(
+            taxonomy.normalizeTaxonomy(developmentTree(true))
+        );
+
+        expect(open).toContain('- "Development > Documentation": Language and library references');
+        expect(open).toContain("Examples: https://developer.mozilla.org/, https://docs.github.com/");
+        expect(open).toContain("USE THESE FOLDERS FIRST");
+        expect(locked).toContain("THESE ARE THE ONLY ALLOWED FOLDERS");
+        expect(taxonomy.toPromptSection(taxonomy.normalizeTaxonomy())).toBe("");
+    });
+
+    test("should round-trip a taxonomy through export and import", async () => {
+        await taxonomy.saveTaxonomy({
+            ...developmentTree(true),
+            name: "Team tree",
+            guidance: ["File docs under the tool they document", " "],
+            fallbackCategory: "Reading>",
+        });
+        const exported = JSON.parse(JSON.stringify(await taxonomy.exportTaxonomy()));
+        store = {};
+
+        const imported = await taxonomy.importTaxonomy(exported);
+
+        expect(imported).toMatchObject({
+            name: "Team tree",
+            guidance: ["File docs under the tool they document"],
+            fallbackCategory: "Reading",
+            locked: true,
+        });
+        expect(taxonomy.getPaths(await taxonomy.getTaxonomy())).toHaveLength(3);
+        await expect(taxonomy.importTaxonomy({ version: "1.0" })).rejects.toThrow(
+            "Import data missing required field (folders)"
+        );
+        await expect(
+            taxonomy.importTaxonomy({ folders: [], fallbackCategory: "Misc > Other" })
+        ).rejects.toThrow('The fallback folder cannot be "Other"');
+    });
+});
+
+describe("AIProcessor with a taxonomy", () => {
+    let aiProcessor;
+    let store;
+
+    const entry = (id, category) => ({
+        id,
+        category,
+        title: `Title ${id}`,
+        confidence: 0.9,
+        reasoning: "Clear",
+        categoryChanged: true,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (key) => ({
+            [key]: store[key],
+        }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, items);
+        });
+        aiProcessor = new AIProcessor();
+        aiProcessor.analyticsService = null;
+        aiProcessor.performanceMonitor = null;
+        aiProcessor._getExistingFolderStructure = jest.fn(async () => ["Old Stuff"]);
+        aiProcessor._getSettings = jest.fn(async () => ({ maxCategoryDepth: 3 }));
+        aiProcessor.providers.get("cerebras").apiKey = "csk-key";
+    });
+
+    test("should use a locked taxonomy instead of generating categories", async () => {
+        await aiProcessor.taxonomy.saveTaxonomy(developmentTree(true));
+        aiProcessor._generateCategoriesWithModelFallback = jest.fn();
+
+        const categories = await aiProcessor._generateDynamicCategories([
+            { title: "MDN", url: "https://developer.mozilla.org/" },
+        ]);
+
+        expect(categories).toEqual(["Development", "Development > Documentation", "Reading"]);
+        expect(aiProcessor._generateCategoriesWithModelFallback).not.toHaveBeenCalled();
+    });
+
+    test("should put taxonomy folders first and show them to the generator", async () => {
+        await aiProcessor.taxonomy.saveTaxonomy(developmentTree());
+        aiProcessor._generateCategoriesWithModelFallback = jest.fn(async () =>
+            JSON.stringify(["Development", "Entertainment > Streaming"])
+        );
+
+        const categories = await aiProcessor._generateDynamicCategories([
+            { title: "Netflix", url: "https://netflix.com/" },
+        ]);
+
+        expect(categories.slice(0, 4)).toEqual([
+            "Development",
+            "Development > Documentation",
+            "Reading",
+            "Entertainment > Streaming",
+        ]);
+        expect(aiProcessor._generateCategoriesWithModelFallback.mock.calls[0][0]).toContain(
+            '- "Reading": Articles to read later'
+        );
+    });
+
+    test("should only accept exact taxonomy folders when locked", async () => {
+        const saved = await aiProcessor.taxonomy.saveTaxonomy(developmentTree(true));
+        const batch = [
+            { id: "a", title: "MDN", url: "https://developer.mozilla.org/" },
+            { id: "b", title: "Blog", url: "https://blog.example.com/" },
+        ];
+        aiProcessor._requestCompletion = jest
+            .fn()
+            .mockResolvedValueOnce({
+                text: JSON.stringify({
+                    results: [
+                        entry(1, "development > documentation"),
+                        entry(2, "Reading > Blogs"),
+                    ],
+                }),
+            })
+            .mockResolvedValueOnce({
+                text: JSON.stringify({ results: [entry(1, "Reading")] }),
+            });
+
+        const results = await aiProcessor._processWithModel(
+            { name: "llama-3.3-70b", provider: "cerebras" },
+            batch,
+            aiProcessor.taxonomy.getPaths(saved),
+            {}
+        );
+
+        const [, messages, options] = aiProcessor._requestCompletion.mock.calls[0];
+        expect(options.schema.schema.properties.results.items.properties.category.enum).toEqual([
+            "Development",
+            "Development > Documentation",
+            "Reading",
+        ]);
+        expect(messages[1].content).toContain("THESE ARE THE ONLY ALLOWED FOLDERS");
+        expect(messages[1].content).not.toContain("- Old Stuff");
+        expect(aiProcessor._requestCompletion.mock.calls[1][1][1].content).toMatch(
+            /Bookmark 1: category "Reading > Blogs" is not one of the locked taxonomy folders/
+        );
+        expect(results.map((r) => r.category)).toEqual([
+            "Development > Documentation",
+            "Reading",
+        ]);
+    });
+
+    test("should file offline bookmarks by example URL and hold back the rest when locked", async () => {
+        const saved = await aiProcessor.taxonomy.saveTaxonomy(developmentTree(true));
+        aiProcessor._applyBatchResults = jest.fn(async (result) => result);
+
+        const results = await aiProcessor._processWithOffline(
+            [
+                { id: "a", title: "Actions", url: "https://docs.github.com/en/actions" },
+                { id: "b", title: "Netflix", url: "https://www.netflix.com/" },
+            ],
+            aiProcessor.taxonomy.getPaths(saved),
+            {}
+        );
+
+        expect(results[0]).toMatchObject({
+            category: "Development > Documentation",
+            confidence: 0.9,
+        });
+        expect(results[1].confidence).toBe(0);
+        expect(results[1].reason).toMatch(/outside the locked taxonomy/);
+    });
+});
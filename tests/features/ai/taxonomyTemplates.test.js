@@ -0,0 +1,136 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { TaxonomyTemplates } from "../../../extension/features/ai/taxonomyTemplates.js";
+import { Taxonomy } from "../../../extension/features/ai/taxonomy.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+/**
+ * Tests for the built-in taxonomy templates and the prompts they steer
+ */
+
+describe("TaxonomyTemplates", () => {
+    let templates;
+    let taxonomy;
+
+    beforeEach(() => {
+        templates = new TaxonomyTemplates();
+        taxonomy = new Taxonomy();
+    });
+
+    test("should ship valid templates whose fallback is one of their folders", () => {
+        const all = templates.getTemplates();
+
+        expect(all.map((t) => t.templateId)).toEqual([
+            "fmhy",
+            "developer",
+            "research",
+            "shopping",
+            "para",
+            "johnny-decimal",
+        ]);
+        for (const template of all) {
+            expect(taxonomy.validateTaxonomy(template)).toEqual({ valid: true, errors: [] });
+            expect(template.guidance.length).toBeGreaterThan(0);
+            expect(taxonomy.getPaths(template)).toContain(template.fallbackCategory);
+        }
+    });
+
+    test("should return copies and default to the FMHY-style template", () => {
+        const para = templates.getTemplate("para");
+        para.folders.pop();
+
+        expect(taxonomy.getPaths(templates.getTemplate("para"))).toEqual(
+            expect.arrayContaining(["Projects", "Areas", "Resources", "Archive"])
+        );
+        expect(templates.getTemplate("missing")).toBeNull();
+        expect(templates.getDefaultTemplate().templateId).toBe("fmhy");
+        expect(
+            taxonomy.matchExampleUrl(templates.getDefaultTemplate(), "https://mullvad.net/en")
+        ).toBe("Adblocking / Privacy > VPN");
+    });
+});
+
+describe("AIProcessor with taxonomy templates", () => {
+    let aiProcessor;
+    let store;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (key) => ({
+            [key]: store[key],
+        }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, items);
+        });
+        aiProcessor = new AIProcessor();
+        aiProcessor.analyticsService = null;
+        aiProcessor.performanceMonitor = null;
+        aiProcessor._getExistingFolderStructure = jest.fn(async () => []);
+        aiProcessor._getSettings = jest.fn(async () => ({ maxCategoryDepth: 3 }));
+        aiProcessor.providers.get("cerebras").apiKey = "csk-key";
+    });
+
+    test("should steer prompts with the FMHY-style template until a taxonomy is saved", async () => {
+        const prompt = await aiProcessor._buildPrompt(
+            [{ title: "Mullvad", url: "https://mullvad.net/" }],
+            ["Work"],
+            {}
+        );
+
+        expect(prompt).toContain("ORGANIZING RULES (FMHY-style (by function))");
+        expect(prompt).toContain('- ✅ "Adblocking / Privacy > VPN" (VPN services: protonvpn.com');
+        expect(prompt).toContain('"category":"Adblocking / Privacy > VPN"');
+        expect(prompt).toContain('use "Tools > Utilities"');
+    });
+
+    test("should generate categories and examples from the chosen template", async () => {
+        await aiProcessor.taxonomy.saveTaxonomy(
+            aiProcessor.taxonomyTemplates.getTemplate("para")
+        );
+        aiProcessor._generateCategoriesWithModelFallback = jest.fn(async () =>
+            JSON.stringify(["Projects > Kitchen Remodel"])
+        );
+
+        const categories = await aiProcessor._generateDynamicCategories([
+            { title: "Tile shop", url: "https://tiles.example.com/" },
+        ]);
+        const prompt = aiProcessor._generateCategoriesWithModelFallback.mock.calls[0][0];
+
+        expect(prompt).toContain("ORGANIZING RULES (PARA (Projects, Areas, Resources, Archive))");
+        expect(prompt).toContain("Choose by how actionable the bookmark is");
+        expect(prompt).not.toContain("Adblocking / Privacy");
+        expect(categories).toContain("Projects > Kitchen Remodel");
+        expect(categories).toContain("Resources");
+        expect(categories).not.toContain("Tools > Utilities");
+    });
+
+    test("should accept the template's fallback folder in replies", async () => {
+        await aiProcessor.taxonomy.saveTaxonomy(
+            aiProcessor.taxonomyTemplates.getTemplate("johnny-decimal")
+        );
+        aiProcessor._requestCompletion = jest.fn(async () => ({
+            text: JSON.stringify({
+                results: [
+                    {
+                        id: 1,
+                        category: "90-99 Reference > 91 Tools & Utilities",
+                        title: "Unit Converter",
+                        confidence: 0.4,
+                        reasoning: "General tool",
+                        categoryChanged: true,
+                    },
+                ],
+            }),
+        }));
+
+        const results = await aiProcessor._processWithModel(
+            { name: "llama-3.3-70b", provider: "cerebras" },
+            [{ id: "a", title: "Converter", url: "https://convert.example.com/" }],
+            ["20-29 Learning"],
+            {}
+        );
+
+        expect(results[0].category).toBe("90-99 Reference > 91 Tools & Utilities");
+        expect(aiProcessor._requestCompletion).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { TokenBatcher } from "../../../extension/features/ai/tokenBatcher.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+/**
+ * Tests for token-aware batching
+ */
+
+describe("TokenBatcher", () => {
+    let batcher;
+
+    beforeEach(() => {
+        batcher = new TokenBatcher();
+    });
+
+    test("should count URLs and non-Latin text as denser than prose", () => {
+        expect(batcher.estimateTokens("")).toBe(0);
+        expect(batcher.estimateTokens("Bookmark categorization expert")).toBe(8);
+        expect(
+            batcher.estimateTokens("https://example.com/a/b?c=1")
+        ).toBeGreaterThan(batcher.estimateTokens("example website about things"));
+        expect(batcher.estimateTokens("日本語のページ")).toBe(7);
+    });
+
+    test("should pack items up to the input and output budgets", () => {
+        const items = [40, 40, 40, 40, 40];
+        const estimate = (tokens) => ({ inputTokens: tokens, outputTokens: 10 });
+
+        // 90% of 200 minus 50 fixed leaves room for three 40-token items
+        const byInput = batcher.createBatches(
+            items,
+            { inputTokens: 200, outputTokens: 1000, fixedInputTokens: 50 },
+            estimate
+        );
+        expect(byInput.map((batch) => batch.length)).toEqual([3, 2]);
+
+        const byOutput = batcher.createBatches(
+            items,
+            { inputTokens: 10000, outputTokens: 30 },
+            estimate
+        );
+        expect(byOutput.map((batch) => batch.length)).toEqual([2, 2, 1]);
+
+        const byCount = batcher.createBatches(
+            items,
+            { inputTokens: 10000, outputTokens: 10000, maxItems: 4 },
+            estimate
+        );
+        expect(byCount.map((batch) => batch.length)).toEqual([4, 1]);
+    });
+
+    test("should give an oversized item a batch of its own", () => {
+        const estimate = (tokens) => ({ inputTokens: tokens, outputTokens: 0 });
+
+        expect(
+            batcher.fitCount([5000, 10], 0, { inputTokens: 100, outputTokens: 100 }, estimate)
+        ).toBe(1);
+        expect(
+            batcher.fitCount([5000, 10], 1, { inputTokens: 100, outputTokens: 100 }, estimate)
+        ).toBe(1);
+    });
+});
+
+describe("AIProcessor token-aware batching", () => {
+    let aiProcessor;
+
+    const bookmark = (id, url = `https://site${id}.com/`) => ({
+        id: `${id}`,
+        title: `Site ${id}`,
+        url,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        aiProcessor = new AIProcessor();
+        aiProcessor._getExistingFolderStructure = jest.fn(async () => []);
+        aiProcessor.configureFromSettings({
+            customProviderBaseUrl: "http://localhost:11434",
+            customProviderModels: ["llama3.1:8b"],
+            customProviderContextWindow: 16384,
+        });
+    });
+
+    test("should pack to the model budget and shrink batches with long URLs", async () => {
+        const settings = { aiProvider: "custom", batchSize: 50 };
+        const short = Array.from({ length: 20 }, (_, i) => bookmark(i));
+        const long = Array.from({ length: 20 }, (_, i) =>
+            bookmark(i, `https://docs.example.com/${"section/".repeat(60)}page-${i}`)
+        );
+
+        const shortBatches = await aiProcessor.createBatches(short, ["Work"], {}, settings);
+        const longBatches = await aiProcessor.createBatches(long, ["Work"], {}, settings);
+
+        expect(shortBatches.flat()).toEqual(short);
+        expect(longBatches.flat()).toEqual(long);
+        expect(longBatches.length).toBeGreaterThan(shortBatches.length);
+        expect(longBatches[0].length).toBeLessThan(shortBatches[0].length);
+        expect(
+            await aiProcessor.getNextBatchSize(long, 0, ["Work"], {}, settings)
+        ).toBe(longBatches[0].length);
+    });
+
+    test("should cap max_tokens at the model's output budget", () => {
+        const model = { name: "llama3.1:8b", provider: "custom" };
+
+        expect(aiProcessor._calculateMaxTokens(200, model)).toBe(4096);
+        expect(aiProcessor._calculateMaxTokens(1, model)).toBe(2000);
+    });
+
+    test("should record estimated and actual tokens for each request", async () => {
+        aiProcessor.analyticsService = { recordTokenEstimate: jest.fn(async () => {}) };
+        aiProcessor._buildPrompt = jest.fn(async () => "Categorize these");
+        aiProcessor._requestCompletion = jest.fn(async () => ({
+            text: JSON.stringify([
+                { id: 1, category: "Work", title: "Site 1", confidence: 0.9, reasoning: "" },
+            ]),
+            inputTokens: 1200,
+            outputTokens: 90,
+        }));
+
+        await aiProcessor._processWithModel(
+            { name: "llama3.1:8b", provider: "custom" },
+            [bookmark(1)],
+            [],
+            {}
+        );
+
+        expect(aiProcessor.analyticsService.recordTokenEstimate).toHaveBeenCalledWith({
+            provider: "custom",
+            model: "llama3.1:8b",
+            batchSize: 1,
+            estimatedInputTokens: expect.any(Number),
+            estimatedOutputTokens: 650,
+            actualInputTokens: 1200,
+            actualOutputTokens: 90,
+        });
+    });
+});
@@ -0,0 +1,194 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { BookmarkExporter } from "../../../extension/features/bookmarks/bookmarkExporter.js";
+import { BookmarkImporter } from "../../../extension/features/bookmarks/bookmarkImporter.js";
+
+describe("BookmarkExporter", () => {
+    let exporter;
+    let store;
+
+    const devFolder = {
+        id: "10",
+        parentId: "1",
+        title: "Dev & Tools",
+        dateAdded: 1700000000000,
+        children: [
+            {
+                id: "100",
+                parentId: "10",
+                title: "MDN Web Docs - Reference",
+                url: "https://developer.mozilla.org/",
+                dateAdded: 1700000001000,
+            },
+            {
+                id: "11",
+                parentId: "10",
+                title: "Node",
+                children: [
+                    {
+                        id: "101",
+                        parentId: "11",
+                        title: "Node.js (docs)",
+                        url: "https://nodejs.org/en/docs",
+                    },
+                ],
+            },
+            { id: "12", parentId: "10", title: "Empty", children: [] },
+        ],
+    };
+
+    const tree = {
+        id: "0",
+        title: "",
+        children: [
+            { id: "1", parentId: "0", title: "Bookmarks bar", children: [devFolder] },
+            {
+                id: "2",
+                parentId: "0",
+                title: "Other bookmarks",
+                children: [
+                    {
+                        id: "102",
+                        parentId: "2",
+                        title: 'Quotes "and", commas',
+                        url: "https://example.com/?a=1&b=2",
+                    },
+                ],
+            },
+        ],
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {
+            ai_confidence_100: 0.92,
+            ai_history_100: [
+                {
+                    category: "Reference",
+                    title: "MDN",
+                    previousTitle: "MDN",
+                    at: 1,
+                },
+                {
+                    category: "Dev & Tools",
+                    title: "MDN Web Docs - Reference",
+                    previousTitle: "MDN",
+                    at: 2,
+                },
+            ],
+        };
+        chrome.storage.local.get.mockImplementation(async (keys) =>
+            Object.fromEntries(
+                keys.filter((key) => key in store).map((key) => [key, store[key]])
+            )
+        );
+        chrome.bookmarks.getTree.mockResolvedValue([tree]);
+        chrome.bookmarks.getSubTree = jest.fn(async (id) =>
+            id === "10" ? [devFolder] : []
+        );
+        exporter = new BookmarkExporter();
+    });
+
+    test("should write Netscape HTML that the importer reads back", async () => {
+        const result = await exporter.export({ format: "html" });
+
+        expect(result.mimeType).toBe("text/html");
+        expect(result.fileName).toMatch(/^bookmarks-export-\d{4}-\d{2}-\d{2}\.html$/);
+        expect(result.content).toContain(
+            '<DT><H3 PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>'
+        );
+        expect(result.content).toContain(
+            '<A HREF="https://example.com/?a=1&amp;b=2">Quotes &quot;and&quot;, commas</A>'
+        );
+        expect(result.content).not.toContain("Empty");
+
+        const { items } = new BookmarkImporter().parse(result.content);
+        expect(items.map((item) => [item.title, item.folderPath])).toEqual([
+            ["MDN Web Docs - Reference", ["Bookmarks bar", "Dev & Tools"]],
+            ["Node.js (docs)", ["Bookmarks bar", "Dev & Tools", "Node"]],
+            ['Quotes "and", commas', ["Other bookmarks"]],
+        ]);
+        expect(items[0].dateAdded).toBe(1700000001000);
+    });
+
+    test("should export a folder subtree as nested Markdown", async () => {
+        const result = await exporter.export({
+            format: "markdown",
+            folderId: "10",
+        });
+
+        expect(result.fileName).toMatch(/^bookmarks-export-dev-tools-/);
+        expect(result.bookmarkCount).toBe(2);
+        expect(result.content).toBe(
+            [
+                "# Dev & Tools",
+                "- [MDN Web Docs - Reference](https://developer.mozilla.org/)",
+                "## Node",
+                "- [Node.js (docs)](https://nodejs.org/en/docs)",
+            ].join("\n\n") + "\n"
+        );
+    });
+
+    test("should use original titles and add metadata when asked", async () => {
+        const result = await exporter.export({
+            format: "markdown",
+            folderId: "10",
+            includeAITitles: false,
+            includeMetadata: true,
+        });
+
+        expect(result.content).toContain(
+            "- [MDN](https://developer.mozilla.org/) — Confidence: 92% · Categories: Reference → Dev & Tools"
+        );
+    });
+
+    test("should write OPML outlines with metadata attributes", async () => {
+        const result = await exporter.export({
+            format: "opml",
+            folderId: "10",
+            includeMetadata: true,
+        });
+
+        expect(result.content).toContain('<opml version="2.0">');
+        expect(result.content).toContain('<outline text="Node">');
+        expect(result.content).toMatch(
+            /<outline text="MDN Web Docs - Reference" type="link" url="https:\/\/developer.mozilla.org\/" created="[^"]+" confidence="0.92" categoryHistory="Reference \| Dev &amp; Tools"\/>/
+        );
+    });
+
+    test("should write CSV with folder paths and quoted cells", async () => {
+        const result = await exporter.export({
+            format: "csv",
+            includeMetadata: true,
+        });
+        const lines = result.content.trim().split("\n");
+
+        expect(lines[0]).toBe(
+            "title,url,folder,created,original_title,confidence,category_history"
+        );
+        expect(lines[1]).toBe(
+            'MDN Web Docs - Reference,https://developer.mozilla.org/,Bookmarks bar/Dev & Tools,2023-11-14T22:13:21.000Z,MDN,0.92,Reference | Dev & Tools'
+        );
+        expect(lines[3]).toBe(
+            '"Quotes ""and"", commas",https://example.com/?a=1&b=2,Other bookmarks,,,,'
+        );
+    });
+
+    test("should keep the JSON export shape", async () => {
+        const result = await exporter.export();
+        const data = JSON.parse(result.content);
+
+        expect(data.version).toBe("1.0.0");
+        expect(data.bookmarks[1]).toEqual({
+            title: "Node.js (docs)",
+            url: "https://nodejs.org/en/docs",
+            path: "Bookmarks bar/Dev & Tools/Node",
+        });
+        expect(chrome.storage.local.get).not.toHaveBeenCalled();
+    });
+
+    test("should reject unknown formats", async () => {
+        await expect(exporter.export({ format: "pdf" })).rejects.toThrow(
+            "Unknown export format: pdf"
+        );
+    });
+});
@@ -0,0 +1,208 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { BookmarkImporter } from "../../../extension/features/bookmarks/bookmarkImporter.js";
+
+describe("BookmarkImporter", () => {
+    let importer;
+    let nextId;
+
+    const netscapeHtml = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000">Dev &amp; Tools</H3>
+    <DL><p>
+        <DT><A HREF="https://developer.mozilla.org/" ADD_DATE="1700000001" TAGS="docs,web">MDN</A>
+        <DT><H3>Nested</H3>
+        <DL><p>
+            <DT><A HREF="https://nodejs.org/en">Node</A>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="https://news.ycombinator.com/?p=2">HN &#8211; Page 2</A>
+    <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+</DL><p>`;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        nextId = 100;
+        importer = new BookmarkImporter();
+        chrome.bookmarks.getTree.mockResolvedValue([
+            {
+                id: "0",
+                children: [
+                    {
+                        id: "1",
+                        children: [
+                            { id: "10", url: "https://www.nodejs.org/en/#top", title: "Node" },
+                        ],
+                    },
+                ],
+            },
+        ]);
+        chrome.bookmarks.create.mockImplementation(async (details) => ({
+            id: String(nextId++),
+            ...details,
+        }));
+    });
+
+    test("should parse Netscape HTML folders, titles and tags", () => {
+        const { format, items, invalid } = importer.parse(
+            netscapeHtml,
+            "bookmarks.html"
+        );
+
+        expect(format).toBe("html");
+        expect(items).toEqual([
+            expect.objectContaining({
+                url: "https://developer.mozilla.org/",
+                title: "MDN",
+                folderPath: ["Dev & Tools"],
+                tags: ["docs", "web"],
+                dateAdded: 1700000001000,
+            }),
+            expect.objectContaining({
+                url: "https://nodejs.org/en",
+                folderPath: ["Dev & Tools", "Nested"],
+            }),
+            expect.objectContaining({
+                title: "HN – Page 2",
+                folderPath: [],
+            }),
+        ]);
+        expect(invalid).toHaveLength(1);
+        expect(invalid[0].url).toBe("javascript:alert(1)");
+    });
+
+    test("should parse Pocket and Raindrop CSV exports with quoted fields", () => {
+        const pocket = importer.parse(
+            'title,url,time_added,tags,status\n"Read, later",https://a.com/x,1700000000,news|tech,unread\n',
+            "part_000000.csv"
+        );
+        expect(pocket.format).toBe("csv");
+        expect(pocket.items[0]).toMatchObject({
+            title: "Read, later",
+            url: "https://a.com/x",
+            tags: ["news", "tech"],
+            dateAdded: 1700000000000,
+        });
+
+        const raindrop = importer.parse(
+            'id,title,note,excerpt,url,folder,tags,created\n1,"Quote ""test""",,,https://b.com,Work/Research,"a, b",2024-01-02T03:04:05.000Z\n'
+        );
+        expect(raindrop.format).toBe("csv");
+        expect(raindrop.items[0]).toMatchObject({
+            title: 'Quote "test"',
+            folderPath: ["Work", "Research"],
+            tags: ["a", "b"],
+        });
+    });
+
+    test("should parse Pinboard JSON and plain URL lists", () => {
+        const pinboard = importer.parse(
+            JSON.stringify([
+                {
+                    href: "https://pinboard.in/",
+                    description: "Pinboard",
+                    tags: "bookmarks tools",
+                    time: "2024-01-01T00:00:00Z",
+                },
+            ])
+        );
+        expect(pinboard.format).toBe("json");
+        expect(pinboard.items[0]).toMatchObject({
+            title: "Pinboard",
+            tags: ["bookmarks", "tools"],
+        });
+
+        const list = importer.parse(
+            "# reading list\nhttps://c.com/article - Great article\nnot a url\n\nhttps://d.com\n"
+        );
+        expect(list.format).toBe("text");
+        expect(list.items.map((item) => [item.url, item.title])).toEqual([
+            ["https://c.com/article", "Great article"],
+            ["https://d.com/", "https://d.com/"],
+        ]);
+        expect(list.invalid).toHaveLength(1);
+    });
+
+    test("should only treat valid JSON as JSON and keep bad entities", () => {
+        const list = importer.parse("[Docs](https://docs.dev/)\nhttps://e.com\n", "links.txt");
+        expect(list.format).toBe("text");
+        expect(list.items.map((item) => item.url)).toContain("https://e.com/");
+
+        const html = importer.parse(
+            '<DL><p><DT><A HREF="https://f.com/">Big &#99999999; &amp; small</A></DL>'
+        );
+        expect(html.items[0].title).toBe("Big &#99999999; & small");
+    });
+
+    test("should skip existing and repeated URLs and rebuild folders", async () => {
+        const parsed = importer.parse(
+            `${netscapeHtml}<A HREF="https://developer.mozilla.org">MDN again</A>`
+        );
+
+        const report = await importer.importItems(parsed, {
+            folderTitle: "Imported Test",
+        });
+
+        expect(chrome.bookmarks.create).toHaveBeenCalledWith({
+            parentId: "2",
+            title: "Imported Test",
+        });
+        expect(chrome.bookmarks.create).toHaveBeenCalledWith({
+            parentId: "101",
+            title: "MDN",
+            url: "https://developer.mozilla.org/",
+        });
+        expect(report).toMatchObject({
+            format: "html",
+            total: 5,
+            imported: 2,
+            foldersCreated: 1,
+            folderId: "100",
+        });
+        expect(report.duplicates.map((entry) => entry.title)).toEqual([
+            "Node",
+            "MDN again",
+        ]);
+        expect(report.invalid).toHaveLength(1);
+    });
+
+    test("should flatten into the import folder and record failures", async () => {
+        chrome.bookmarks.create.mockImplementation(async (details) => {
+            if (details.url === "https://b.com/") {
+                throw new Error("Quota exceeded");
+            }
+            return { id: String(nextId++), ...details };
+        });
+        const parsed = importer.parse(
+            JSON.stringify({
+                bookmarks: [
+                    { url: "https://a.com", title: "A", path: "Work/Deep" },
+                    { url: "https://b.com", title: "B" },
+                ],
+            })
+        );
+
+        const report = await importer.importItems(parsed, {
+            preserveFolders: false,
+        });
+
+        expect(report.imported).toBe(1);
+        expect(report.foldersCreated).toBe(0);
+        expect(report.failed).toEqual([
+            { url: "https://b.com/", title: "B", reason: "Quota exceeded" },
+        ]);
+        expect(report.bookmarkIds).toEqual(["101"]);
+    });
+
+    test("should not create an import folder when everything exists", async () => {
+        const report = await importer.importItems(
+            importer.parse("https://nodejs.org/en")
+        );
+
+        expect(chrome.bookmarks.create).not.toHaveBeenCalled();
+        expect(report.folderId).toBeNull();
+        expect(report.duplicates).toHaveLength(1);
+    });
+});
@@ -0,0 +1,200 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { DuplicateManager } from "../../../extension/features/bookmarks/duplicateManager.js";
+
+describe("DuplicateManager", () => {
+    let manager;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        manager = new DuplicateManager();
+        manager.snapshotManager.createSnapshot = jest.fn(async () => ({
+            id: "snap-1",
+        }));
+    });
+
+    test("should canonicalize trivial URL variants to one key", () => {
+        const variants = [
+            "https://www.example.com/article/",
+            "http://example.com/article",
+            "https://m.example.com/article#comments",
+            "https://example.com/article?utm_source=x&fbclid=abc",
+            "https://example.com/article/amp",
+            "https://amp.example.com/article?amp=1",
+            "https://www.google.com/amp/s/example.com/article",
+            "https://example-com.cdn.ampproject.org/c/s/example.com/article",
+        ];
+
+        expect(new Set(variants.map((url) => manager.canonicalizeUrl(url)))).toEqual(
+            new Set(["example.com/article"])
+        );
+        expect(manager.canonicalizeUrl("https://en.m.wikipedia.org/wiki/Go")).toBe(
+            "en.wikipedia.org/wiki/Go"
+        );
+        expect(manager.canonicalizeUrl("https://a.com/s?q=1&b=2")).toBe(
+            manager.canonicalizeUrl("https://a.com/s?b=2&q=1")
+        );
+        expect(manager.canonicalizeUrl("https://a.com/s?q=1")).not.toBe(
+            manager.canonicalizeUrl("https://a.com/s?q=2")
+        );
+    });
+
+    test("should group near-identical titles on the same site only when asked", () => {
+        const bookmarks = [
+            { id: "1", title: "Guide", url: "https://docs.dev/guide" },
+            { id: "2", title: "Guide", url: "http://docs.dev/guide/" },
+            { id: "3", title: "Intro to React Hooks", url: "https://blog.dev/p/123" },
+            { id: "4", title: "Blog: Intro to React Hooks", url: "https://blog.dev/hooks" },
+            { id: "5", title: "Intro to React Hooks", url: "https://other.dev/hooks" },
+            { id: "6", title: "React Hooks Part 1", url: "https://blog.dev/a" },
+            { id: "7", title: "React Hooks Part 2", url: "https://blog.dev/b" },
+        ];
+
+        expect(manager.groupDuplicates(bookmarks)).toEqual([
+            expect.objectContaining({ type: "url", key: "docs.dev/guide" }),
+        ]);
+
+        const groups = manager.groupDuplicates(bookmarks, { includeTitles: true });
+        expect(groups.map((group) => group.bookmarks.map((b) => b.id))).toEqual([
+            ["1", "2"],
+            ["3", "4"],
+        ]);
+        expect(groups[1].type).toBe("title");
+    });
+
+    test("should not group different pages on the same site", () => {
+        const bookmarks = [
+            { id: "1", title: "Issues · facebook/react · GitHub", url: "https://github.com/facebook/react/issues" },
+            { id: "2", title: "Issues · facebook/react-native · GitHub", url: "https://github.com/facebook/react-native/issues" },
+            { id: "3", title: "Pull requests · vercel/next.js · GitHub", url: "https://github.com/vercel/next.js/pulls" },
+            { id: "4", title: "Pull requests · vercel/swr · GitHub", url: "https://github.com/vercel/swr/pulls" },
+            { id: "5", title: "Docs", url: "https://app.example.com/#/inbox" },
+            { id: "6", title: "Docs", url: "https://app.example.com/#!/settings/" },
+            { id: "7", title: "Docs", url: "https://app.example.com/#!/settings" },
+        ];
+
+        const groups = manager.groupDuplicates(bookmarks, { includeTitles: true });
+
+        expect(groups.map((group) => group.bookmarks.map((b) => b.id))).toEqual([["6", "7"]]);
+        expect(manager.canonicalizeUrl("https://app.example.com/#/inbox")).toBe(
+            "app.example.com#/inbox"
+        );
+    });
+
+    test("should compare titles with the kept copy instead of chaining matches", () => {
+        const bookmarks = [
+            { id: "1", title: "Intro to React Hooks", url: "https://blog.dev/a", dateAdded: 1 },
+            { id: "2", title: "Blog: Intro to React Hooks", url: "https://blog.dev/b", dateAdded: 2 },
+            { id: "3", title: "Blog: Intro to React Hooks Today", url: "https://blog.dev/c", dateAdded: 3 },
+        ];
+
+        const groups = manager.groupDuplicates(bookmarks, { includeTitles: true });
+
+        expect(groups.map((group) => group.bookmarks.map((b) => b.id))).toEqual([["1", "2"]]);
+        expect(
+            manager
+                .groupDuplicates(bookmarks, { includeTitles: true, strategy: "newest" })
+                .map((group) => group.bookmarks.map((b) => b.id))
+        ).toEqual([["2", "3"]]);
+    });
+
+    test("should pick the copy to keep by strategy", () => {
+        const copies = [
+            { id: "1", dateAdded: 300, depth: 1 },
+            { id: "2", dateAdded: 100, depth: 1 },
+            { id: "3", dateAdded: 200, depth: 3 },
+        ];
+
+        expect(manager.pickKeeper(copies, "oldest").id).toBe("2");
+        expect(manager.pickKeeper(copies, "newest").id).toBe("1");
+        expect(manager.pickKeeper(copies, "deepest").id).toBe("3");
+        expect(() => manager.pickKeeper(copies, "random")).toThrow(
+            "Unknown keep strategy"
+        );
+    });
+
+    test("should preselect keepers when finding duplicates", async () => {
+        chrome.bookmarks.getTree.mockResolvedValue([
+            {
+                id: "0",
+                title: "",
+                children: [
+                    {
+                        id: "1",
+                        title: "Bookmarks Bar",
+                        children: [
+                            { id: "10", parentId: "1", title: "A", url: "https://a.com/", dateAdded: 1 },
+                            {
+                                id: "11",
+                                title: "Work",
+                                children: [
+                                    { id: "12", parentId: "11", title: "A", url: "https://www.a.com", dateAdded: 2 },
+                                ],
+                            },
+                        ],
+                    },
+                ],
+            },
+        ]);
+
+        const [group] = await manager.findDuplicates({ strategy: "deepest" });
+
+        expect(group.keepId).toBe("12");
+        expect(group.bookmarks[1]).toMatchObject({
+            folderPath: "Bookmarks Bar > Work",
+            depth: 2,
+        });
+    });
+
+    test("should snapshot, keep the chosen copy and report failures", async () => {
+        chrome.bookmarks.remove = jest.fn(async (id) => {
+            if (id === "4") throw new Error("Bookmark not found");
+        });
+        const groups = [
+            {
+                id: "url-1",
+                keepId: "2",
+                bookmarks: [
+                    { id: "1", dateAdded: 1 },
+                    { id: "2", dateAdded: 2 },
+                ],
+            },
+            {
+                id: "url-3",
+                bookmarks: [
+                    { id: "3", title: "Old", dateAdded: 1 },
+                    { id: "4", title: "New", dateAdded: 2 },
+                ],
+            },
+        ];
+
+        const result = await manager.removeDuplicates(groups, { strategy: "oldest" });
+
+        expect(manager.snapshotManager.createSnapshot).toHaveBeenCalledWith(
+            "Before Removing Duplicates",
+            expect.objectContaining({ operationType: "duplicate_removal", bookmarkCount: 2 })
+        );
+        expect(chrome.bookmarks.remove.mock.calls.map(([id]) => id)).toEqual(["1", "4"]);
+        expect(result).toEqual({
+            groups: 2,
+            removed: 1,
+            kept: ["2", "3"],
+            failed: [{ id: "4", title: "New", error: "Bookmark not found" }],
+            snapshotId: "snap-1",
+        });
+    });
+
+    test("should skip the snapshot when the caller already took one", async () => {
+        chrome.bookmarks.remove = jest.fn(async () => {});
+
+        const result = await manager.removeDuplicates(
+            [{ id: "g", bookmarks: [{ id: "1" }, { id: "2" }] }],
+            { skipSnapshot: true }
+        );
+
+        expect(manager.snapshotManager.createSnapshot).not.toHaveBeenCalled();
+        expect(result.snapshotId).toBeNull();
+        await expect(
+            manager.removeDuplicates([{ id: "g", bookmarks: [] }], { strategy: "random" })
+        ).rejects.toThrow("Unknown keep strategy");
+    });
+});
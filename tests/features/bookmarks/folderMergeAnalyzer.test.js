@@ -0,0 +1,227 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { FolderMergeAnalyzer } from "../../../extension/features/bookmarks/folderMergeAnalyzer.js";
+import { AIProcessor } from "../../../extension/features/ai/aiProcessor.js";
+
+describe("FolderMergeAnalyzer", () => {
+    let analyzer;
+
+    const bookmark = (id) => ({ id, title: `Site ${id}`, url: `https://${id}.com/` });
+    const tree = {
+        1: {
+            id: "1",
+            title: "Bookmarks Bar",
+            children: [
+                { id: "10", title: "Dev Tools", children: [bookmark("b1")] },
+                {
+                    id: "11",
+                    title: "Developer Tools",
+                    children: [bookmark("b2"), bookmark("b3")],
+                },
+                {
+                    id: "12",
+                    title: "Tools",
+                    children: [
+                        { id: "13", title: "Dev", children: [bookmark("b4")] },
+                    ],
+                },
+            ],
+        },
+        2: {
+            id: "2",
+            title: "Other Bookmarks",
+            children: [
+                {
+                    id: "20",
+                    title: "Recipes",
+                    children: [
+                        { id: "21", title: "Recipies", children: [bookmark("b5")] },
+                    ],
+                },
+                { id: "22", title: "News", children: [bookmark("b6")] },
+            ],
+        },
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        chrome.bookmarks.getSubTree = jest.fn(async (id) => [tree[id]]);
+        analyzer = new FolderMergeAnalyzer();
+        analyzer.snapshotManager.createSnapshot = jest.fn(async () => ({
+            id: "snap-1",
+        }));
+    });
+
+    test("should group folders that name the same thing", async () => {
+        const proposals = await analyzer.analyze();
+
+        expect(proposals).toHaveLength(1);
+        expect(proposals[0]).toMatchObject({
+            method: "name",
+            score: 1,
+            target: { id: "11", path: "Developer Tools", bookmarkCount: 2 },
+        });
+        expect(proposals[0].sources.map((source) => source.path)).toEqual([
+            "Dev Tools",
+            "Tools > Dev",
+        ]);
+    });
+
+    test("should not merge a folder with its own parent", async () => {
+        const folders = await analyzer._collectFolders();
+        const groups = analyzer._groupByName(folders);
+
+        const ids = groups.flat().map((folder) => folder.id);
+        expect(ids).not.toContain("20");
+        expect(ids).not.toContain("21");
+        expect(ids).not.toContain("12");
+    });
+
+    test("should only group folders similar to the target, not chains of them", () => {
+        const folder = (id, key, bookmarkCount, ancestorIds = []) => ({
+            id,
+            key,
+            path: key,
+            depth: ancestorIds.length + 1,
+            bookmarkCount,
+            ancestorIds,
+        });
+        // "a" ~ "b" and "b" ~ "c", but "a" and "c" differ in two letters
+        const groups = analyzer._groupByName([
+            folder("1", "abcdefgh", 5),
+            folder("2", "abcdefgx", 3),
+            folder("3", "abcdefxx", 1),
+        ]);
+
+        expect(groups.map((group) => group.map((f) => f.id))).toEqual([["1", "2"]]);
+    });
+
+    test("should drop sources nested inside another source", () => {
+        const folder = (id, ancestorIds, bookmarkCount) => ({
+            id,
+            path: `Folder ${id}`,
+            depth: ancestorIds.length + 1,
+            bookmarkCount,
+            ancestorIds,
+            score: 1,
+        });
+
+        const proposal = analyzer._buildProposal(
+            [folder("1", [], 9), folder("2", [], 2), folder("3", ["2"], 1)],
+            "ai"
+        );
+
+        expect(proposal.target.id).toBe("1");
+        expect(proposal.sources.map((source) => source.id)).toEqual(["2"]);
+    });
+
+    test("should normalize keys and tolerate typos", () => {
+        expect(analyzer.folderKey(["Tools", "Dev"])).toBe("dev tool");
+        expect(analyzer.folderKey(["Docs & References"])).toBe("docs ref");
+        expect(analyzer.similarity("recipe", "recipie")).toBeGreaterThan(0.85);
+        expect(analyzer.similarity("work", "work project")).toBeLessThan(0.85);
+    });
+
+    test("should move contents, merge same-name subfolders and remove emptied sources", async () => {
+        const children = {
+            src: [
+                { id: "a", title: "A", url: "https://a.com/" },
+                { id: "srcSub", title: "Guides" },
+            ],
+            srcSub: [{ id: "b", title: "B", url: "https://b.com/" }],
+            dst: [{ id: "dstSub", title: "guides" }],
+            dstSub: [],
+        };
+        chrome.bookmarks.getChildren = jest.fn(async (id) => [...children[id]]);
+        chrome.bookmarks.move = jest.fn(async (id, { parentId }) => {
+            for (const list of Object.values(children)) {
+                const index = list.findIndex((item) => item.id === id);
+                if (index !== -1) children[parentId].push(...list.splice(index, 1));
+            }
+        });
+        chrome.bookmarks.remove = jest.fn(async (id) => {
+            for (const list of Object.values(children)) {
+                const index = list.findIndex((item) => item.id === id);
+                if (index !== -1) list.splice(index, 1);
+            }
+        });
+        const marked = [];
+
+        const result = await analyzer.applyMerges(
+            [
+                {
+                    id: "merge-dst",
+                    target: { id: "dst", path: "Dst" },
+                    sources: [{ id: "src", path: "Src" }],
+                },
+            ],
+            (id) => marked.push(id)
+        );
+
+        expect(analyzer.snapshotManager.createSnapshot).toHaveBeenCalledWith(
+            "Before Merging Similar Folders",
+            expect.objectContaining({ operationType: "folder_merge" })
+        );
+        expect(chrome.bookmarks.move).toHaveBeenCalledWith("a", { parentId: "dst" });
+        expect(chrome.bookmarks.move).toHaveBeenCalledWith("b", { parentId: "dstSub" });
+        expect(chrome.bookmarks.remove.mock.calls.map(([id]) => id)).toEqual([
+            "srcSub",
+            "src",
+        ]);
+        expect(marked).toEqual(["a", "b"]);
+        expect(result).toEqual({
+            merged: 1,
+            bookmarksMoved: 2,
+            foldersRemoved: 2,
+            failed: [],
+            snapshotId: "snap-1",
+        });
+    });
+
+    test("should only merge automatically when existing folders may change", async () => {
+        analyzer.applyMerges = jest.fn(async () => ({ merged: 1 }));
+
+        expect(await analyzer.autoMerge({ mergeSimilarFolders: false })).toBeNull();
+        expect(await analyzer.autoMerge({ mergeSimilarFolders: true })).toBeNull();
+        expect(analyzer.applyMerges).not.toHaveBeenCalled();
+
+        await analyzer.autoMerge({
+            mergeSimilarFolders: true,
+            preserveExistingFolders: false,
+        });
+        expect(analyzer.applyMerges).toHaveBeenCalledWith(
+            [expect.objectContaining({ id: "merge-11" })],
+            null
+        );
+    });
+
+    test("should use AI suggestions when asked", async () => {
+        analyzer.aiProcessor = {
+            hasConfiguredProvider: () => true,
+            suggestFolderMerges: jest.fn(async () => [["news", "Recipes", "Nope"]]),
+        };
+
+        const proposals = await analyzer.analyze({ useAI: true });
+
+        expect(proposals).toEqual([
+            expect.objectContaining({
+                method: "ai",
+                score: null,
+                target: expect.objectContaining({ id: "20" }),
+                sources: [expect.objectContaining({ id: "22" })],
+            }),
+        ]);
+    });
+});
+
+describe("AIProcessor preserveExistingFolders", () => {
+    test("should default to preserving and follow settings", () => {
+        const aiProcessor = new AIProcessor();
+        expect(aiProcessor.preserveExistingFolders).toBe(true);
+
+        aiProcessor.configureFromSettings({ preserveExistingFolders: false });
+        expect(aiProcessor.preserveExistingFolders).toBe(false);
+
+        aiProcessor.configureFromSettings({});
+        expect(aiProcessor.preserveExistingFolders).toBe(true);
+    });
+});
@@ -0,0 +1,217 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { OperationJournal } from "../../../extension/features/bookmarks/operationJournal.js";
+
+describe("OperationJournal", () => {
+    let journal;
+    let store;
+    let nodes;
+    let nextId;
+
+    const childrenOf = (parentId) =>
+        Object.values(nodes)
+            .filter((node) => node.parentId === parentId)
+            .sort((a, b) => a.index - b.index);
+    const reindex = (parentId) =>
+        childrenOf(parentId).forEach((node, index) => {
+            node.index = index;
+        });
+    const subtree = (id) => ({
+        ...nodes[id],
+        ...(nodes[id].url ? {} : { children: childrenOf(id).map((child) => subtree(child.id)) }),
+    });
+    const insert = (node, parentId, index) => {
+        const siblings = childrenOf(parentId);
+        const position = index ?? siblings.length;
+        siblings.slice(position).forEach((sibling) => sibling.index++);
+        nodes[node.id] = { ...node, parentId, index: position };
+        return { ...nodes[node.id] };
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (key) => ({
+            [key]: store[key] && JSON.parse(JSON.stringify(store[key])),
+        }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, JSON.parse(JSON.stringify(items)));
+        });
+        chrome.storage.local.remove.mockImplementation(async (keys) => {
+            [].concat(keys).forEach((key) => delete store[key]);
+        });
+
+        nextId = 100;
+        nodes = {
+            1: { id: "1", title: "Bookmarks Bar", parentId: "0", index: 0 },
+            10: { id: "10", title: "Work", parentId: "1", index: 0 },
+            20: { id: "20", title: "A", url: "https://a.com/", parentId: "1", index: 1 },
+            21: { id: "21", title: "B", url: "https://b.com/", parentId: "1", index: 2 },
+        };
+        chrome.bookmarks.get = jest.fn(async (id) => {
+            if (!nodes[id]) throw new Error("Can't find bookmark for id.");
+            return [{ ...nodes[id] }];
+        });
+        chrome.bookmarks.getChildren = jest.fn(async (id) => childrenOf(id).map((node) => ({ ...node })));
+        chrome.bookmarks.getSubTree = jest.fn(async (id) => [subtree(id)]);
+        chrome.bookmarks.move = jest.fn(async (id, { parentId, index }) => {
+            const { parentId: oldParentId, index: _oldIndex, ...node } = nodes[id];
+            delete nodes[id];
+            reindex(oldParentId);
+            return insert(node, parentId, index);
+        });
+        chrome.bookmarks.create = jest.fn(async ({ parentId, index, title, url }) =>
+            insert({ id: String(nextId++), title, ...(url ? { url } : {}) }, parentId, index)
+        );
+        chrome.bookmarks.update = jest.fn(async (id, changes) => {
+            Object.assign(nodes[id], changes);
+            return { ...nodes[id] };
+        });
+        const removeNode = async (id) => {
+            const parentId = nodes[id].parentId;
+            const drop = (nodeId) => {
+                childrenOf(nodeId).forEach((child) => drop(child.id));
+                delete nodes[nodeId];
+            };
+            drop(id);
+            reindex(parentId);
+        };
+        chrome.bookmarks.remove = jest.fn(removeNode);
+        chrome.bookmarks.removeTree = jest.fn(removeNode);
+
+        journal = new OperationJournal();
+    });
+
+    test("should record changes in a session and undo it in place", async () => {
+        await journal.startSession("Categorize", { operationType: "categorization" });
+        const folder = await journal.create({ parentId: "1", title: "News" });
+        await journal.update("20", { title: "A site" });
+        await journal.move("20", { parentId: folder.id });
+        await journal.move("21", { parentId: "10" });
+        await journal.endSession();
+
+        const [session] = await journal.getSessions();
+        expect(session).toMatchObject({
+            label: "Categorize",
+            operationType: "categorization",
+            entryCount: 4,
+        });
+        expect(session.endedAt).toEqual(expect.any(Number));
+
+        const result = await journal.undoSession(session.id);
+
+        expect(result).toEqual({ undone: 4, skipped: [], failed: [] });
+        expect(nodes[20]).toMatchObject({ title: "A", parentId: "1", index: 1 });
+        expect(nodes[21]).toMatchObject({ parentId: "1", index: 2 });
+        expect(nodes[folder.id]).toBeUndefined();
+        expect((await journal.getSessions())[0].undoneAt).toEqual(expect.any(Number));
+    });
+
+    test("should undo one bookmark without touching the rest", async () => {
+        await journal.startSession("Categorize");
+        await journal.update("20", { title: "A site" });
+        await journal.move("20", { parentId: "10" });
+        await journal.move("21", { parentId: "10" });
+        await journal.endSession();
+        const [session] = await journal.getSessions();
+
+        const result = await journal.undoBookmark(session.id, "20");
+
+        expect(result.undone).toBe(2);
+        expect(nodes[20]).toMatchObject({ title: "A", parentId: "1" });
+        expect(nodes[21].parentId).toBe("10");
+        expect((await journal.getSessions())[0]).toMatchObject({
+            undoneCount: 2,
+            undoneAt: null,
+        });
+
+        // Already undone entries are not replayed
+        expect((await journal.undoBookmark(session.id, "20")).undone).toBe(0);
+    });
+
+    test("should skip changes that were overtaken since", async () => {
+        await journal.startSession("Categorize");
+        await journal.move("20", { parentId: "10" });
+        await journal.update("21", { title: "B site" });
+        await journal.endSession();
+        const [session] = await journal.getSessions();
+
+        // The user moves and renames the bookmarks afterwards
+        await chrome.bookmarks.move("20", { parentId: "1" });
+        await chrome.bookmarks.update("21", { title: "My B" });
+
+        const result = await journal.undoSession(session.id);
+
+        expect(result.undone).toBe(0);
+        expect(result.skipped.map((entry) => entry.reason)).toEqual([
+            "Changed again since",
+            "Moved again since",
+        ]);
+        expect(nodes[21].title).toBe("My B");
+    });
+
+    test("should recreate deleted folders and follow their new IDs", async () => {
+        await chrome.bookmarks.move("21", { parentId: "10" });
+        await journal.startSession("Clean up");
+        await journal.move("20", { parentId: "10" });
+        await journal.removeTree("10");
+        await journal.endSession();
+        const [session] = await journal.getSessions();
+
+        const marked = [];
+        const result = await journal.undoSession(session.id, (id) => marked.push(id));
+
+        expect(result).toEqual({ undone: 2, skipped: [], failed: [] });
+        const [work] = childrenOf("1").filter((node) => node.title === "Work");
+        expect(work.index).toBe(0);
+        expect(childrenOf(work.id).map((node) => node.url)).toEqual(["https://b.com/"]);
+        const restoredA = Object.values(nodes).find((node) => node.url === "https://a.com/");
+        expect(restoredA.parentId).toBe("1");
+        expect(marked).toContain(restoredA.id);
+    });
+
+    test("should refuse to delete a created folder that is no longer empty", async () => {
+        await journal.startSession("Categorize");
+        const folder = await journal.create({ parentId: "1", title: "News" });
+        await journal.endSession();
+        await chrome.bookmarks.move("21", { parentId: folder.id });
+        const [session] = await journal.getSessions();
+
+        const result = await journal.undoSession(session.id);
+
+        expect(result.skipped).toEqual([
+            expect.objectContaining({ reason: "Folder is no longer empty" }),
+        ]);
+        expect(nodes[folder.id]).toBeDefined();
+    });
+
+    test("should nest sessions and record unbracketed changes in a fallback session", async () => {
+        const outer = await journal.startSession("Scheduled run");
+        expect(await journal.startSession("Merge")).toBe(outer);
+        await journal.move("20", { parentId: "10" });
+        await journal.endSession();
+        expect(journal.sessionId).toBe(outer);
+        await journal.endSession();
+
+        const fallback = new OperationJournal("Link fixes");
+        await fallback.update("21", { url: "https://b.org/" });
+
+        const sessions = await journal.getSessions();
+        expect(sessions.map((session) => [session.label, session.entryCount])).toEqual([
+            ["Link fixes", 1],
+            ["Scheduled run", 1],
+        ]);
+    });
+
+    test("should keep only the newest sessions", async () => {
+        journal.MAX_SESSIONS = 2;
+        for (const label of ["one", "two", "three"]) {
+            await journal.startSession(label);
+            await journal.move("20", { parentId: label === "two" ? "1" : "10" });
+            await journal.endSession();
+        }
+
+        const sessions = await journal.getSessions();
+        expect(sessions.map((session) => session.label)).toEqual(["three", "two"]);
+        expect(Object.keys(store).filter((key) => key.startsWith("operationJournal_"))).toHaveLength(2);
+    });
+});
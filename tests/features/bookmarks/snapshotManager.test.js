@@ -0,0 +1,396 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import { CompressionStream, DecompressionStream } from "node:stream/web";
+import { SnapshotManager } from "../../../extension/features/bookmarks/snapshotManager.js";
+
+describe("SnapshotManager", () => {
+    let manager;
+    let store;
+    let tree;
+
+    const bookmark = (id, parentId, index, url) => ({
+        id,
+        parentId,
+        index,
+        title: `Bookmark ${id}`,
+        url,
+        dateAdded: 1000 + Number(id),
+    });
+    const buildTree = (count) => ({
+        id: "0",
+        title: "",
+        children: [
+            {
+                id: "1",
+                parentId: "0",
+                index: 0,
+                title: "Bookmarks Bar",
+                children: Array.from({ length: count }, (_, index) =>
+                    bookmark(String(100 + index), "1", index, `https://site${index}.com/`)
+                ),
+            },
+            { id: "2", parentId: "0", index: 1, title: "Other Bookmarks", children: [] },
+        ],
+    });
+    const dataKeys = () =>
+        Object.keys(store).filter((key) => key !== manager.storageKey).sort();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (keys) => {
+            const list = keys === null ? Object.keys(store) : [].concat(keys);
+            return Object.fromEntries(
+                list
+                    .filter((key) => key in store)
+                    .map((key) => [key, JSON.parse(JSON.stringify(store[key]))])
+            );
+        });
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, JSON.parse(JSON.stringify(items)));
+        });
+        chrome.storage.local.remove.mockImplementation(async (keys) => {
+            [].concat(keys).forEach((key) => delete store[key]);
+        });
+        chrome.storage.sync.get.mockResolvedValue({});
+
+        tree = buildTree(40);
+        chrome.bookmarks.getTree.mockImplementation(async () => [
+            JSON.parse(JSON.stringify(tree)),
+        ]);
+
+        manager = new SnapshotManager();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete globalThis.CompressionStream;
+        delete globalThis.DecompressionStream;
+    });
+
+    test("should store later snapshots as deltas and rebuild them exactly", async () => {
+        const first = await manager.createSnapshot("Before run");
+        tree.children[0].children.splice(3, 1);
+        tree.children[0].children.forEach((node, index) => {
+            node.index = index;
+        });
+        tree.children[1].children.push(bookmark("500", "2", 0, "https://new.com/"));
+        const second = await manager.createSnapshot("After run");
+
+        const [newest, oldest] = store[manager.storageKey];
+        expect(newest).toMatchObject({ id: second.id, baseId: first.id });
+        expect(oldest).toMatchObject({ id: first.id, baseId: first.id });
+        expect(newest.storedBytes).toBeLessThan(oldest.storedBytes / 4);
+        expect(dataKeys()).toEqual([
+            `bookmarkMindSnapshotBase_${first.id}`,
+            `bookmarkMindSnapshotDelta_${second.id}`,
+        ]);
+
+        // Rebuilt on a fresh instance so nothing comes from the cache
+        const restored = await new SnapshotManager().getSnapshot(second.id);
+        expect(restored.bookmarkTree).toEqual(tree);
+        expect((await new SnapshotManager().getSnapshot(first.id)).bookmarkTree).toEqual(
+            buildTree(40)
+        );
+    });
+
+    test("should start a new base once the delta grows too large", async () => {
+        const first = await manager.createSnapshot("One");
+        tree = buildTree(40);
+        tree.children[0].children.forEach((node) => {
+            node.title = `Renamed ${node.id}`;
+        });
+        const second = await manager.createSnapshot("Two");
+
+        const [newest] = store[manager.storageKey];
+        expect(newest.baseId).toBe(second.id);
+        expect(dataKeys()).toEqual([
+            `bookmarkMindSnapshotBase_${first.id}`,
+            `bookmarkMindSnapshotBase_${second.id}`,
+        ]);
+    });
+
+    test("should keep a base while snapshots still depend on it", async () => {
+        const first = await manager.createSnapshot("One");
+        tree.children[0].children.pop();
+        const second = await manager.createSnapshot("Two");
+
+        expect(await manager.deleteSnapshot(first.id)).toBe(true);
+        expect((await manager.getSnapshots()).map((snapshot) => snapshot.id)).toEqual([
+            second.id,
+        ]);
+        expect((await manager.getSnapshot(second.id)).bookmarkTree).toEqual(tree);
+
+        await manager.deleteSnapshot(second.id);
+        expect(dataKeys()).toEqual([]);
+    });
+
+    test("should drop the oldest snapshots past maxSnapshots with their data", async () => {
+        chrome.storage.sync.get.mockResolvedValue({
+            bookmarkMindSettings: { maxSnapshots: 2 },
+        });
+        manager.REBASE_RATIO = 0; // Every snapshot becomes a base
+        // Snapshots made in the same millisecond would tie on timestamp and ID
+        let now = 1700000000000;
+        jest.spyOn(Date, "now").mockImplementation(() => (now += 1000));
+        const ids = [];
+        for (const label of ["One", "Two", "Three"]) {
+            ids.push((await manager.createSnapshot(label)).id);
+        }
+
+        expect(store[manager.storageKey].map((entry) => entry.id)).toEqual([ids[2], ids[1]]);
+        expect(new Set(dataKeys())).toEqual(
+            new Set([
+                `bookmarkMindSnapshotBase_${ids[1]}`,
+                `bookmarkMindSnapshotBase_${ids[2]}`,
+            ])
+        );
+    });
+
+    test("should convert full-tree snapshots saved by older versions", async () => {
+        const oldTree = buildTree(10);
+        store[manager.storageKey] = [
+            { id: "snapshot_2", timestamp: 2, description: "Newer", metadata: {}, bookmarkTree: oldTree },
+            { id: "snapshot_1", timestamp: 1, description: "Older", metadata: {}, bookmarkTree: buildTree(12) },
+        ];
+
+        const snapshots = await manager.getSnapshots();
+
+        expect(snapshots.map((snapshot) => snapshot.id)).toEqual(["snapshot_2", "snapshot_1"]);
+        expect(store[manager.storageKey][0]).toMatchObject({ baseId: "snapshot_1" });
+        expect(store[manager.storageKey][0].bookmarkTree).toBeUndefined();
+        expect((await new SnapshotManager().getSnapshot("snapshot_2")).bookmarkTree).toEqual(
+            oldTree
+        );
+    });
+
+    test("should gzip stored data when CompressionStream is available", async () => {
+        globalThis.CompressionStream = CompressionStream;
+        globalThis.DecompressionStream = DecompressionStream;
+        tree = buildTree(300);
+
+        const snapshot = await manager.createSnapshot("Compressed");
+        const record = store[`bookmarkMindSnapshotBase_${snapshot.id}`];
+
+        expect(record.encoding).toBe("gzip");
+        expect(record.data.length).toBeLessThan(JSON.stringify(tree).length / 3);
+        expect((await new SnapshotManager().getSnapshot(snapshot.id)).bookmarkTree).toEqual(
+            tree
+        );
+    });
+
+    test("should list what changed between a snapshot and the current bookmarks", async () => {
+        tree = buildTree(3);
+        tree.children[1].children.push({
+            id: "50",
+            parentId: "2",
+            index: 0,
+            title: "Old Folder",
+            children: [bookmark("51", "50", 0, "https://gone.com/")],
+        });
+        const snapshot = await manager.createSnapshot("Before run");
+
+        const bar = tree.children[0];
+        const other = tree.children[1];
+        other.children = [];
+        const work = { id: "60", parentId: "1", index: 3, title: "Work", children: [] };
+        bar.children.push(work);
+        const moved = bar.children.splice(0, 1)[0];
+        work.children.push({ ...moved, parentId: "60", index: 0 });
+        bar.children[0].title = "Renamed";
+        work.children.push(bookmark("61", "60", 1, "https://new.com/"));
+
+        const { from, to, changes, summary } = await manager.compareSnapshots(snapshot.id);
+
+        expect(from.id).toBe(snapshot.id);
+        expect(to).toMatchObject({ id: null, description: "Current bookmarks" });
+        expect(summary).toEqual({
+            added: 1,
+            removed: 1,
+            moved: 1,
+            renamed: 1,
+            folder_created: 1,
+            folder_deleted: 1,
+        });
+        expect(changes).toEqual(
+            expect.arrayContaining([
+                expect.objectContaining({
+                    type: "moved",
+                    id: "100",
+                    oldPath: "Bookmarks Bar",
+                    newPath: "Bookmarks Bar > Work",
+                }),
+                expect.objectContaining({
+                    type: "renamed",
+                    id: "101",
+                    oldTitle: "Bookmark 101",
+                    title: "Renamed",
+                }),
+                expect.objectContaining({ type: "added", url: "https://new.com/" }),
+                expect.objectContaining({ type: "folder_created", title: "Work" }),
+                expect.objectContaining({
+                    type: "folder_deleted",
+                    path: "Other Bookmarks",
+                }),
+                expect.objectContaining({
+                    type: "removed",
+                    path: "Other Bookmarks > Old Folder",
+                }),
+            ])
+        );
+    });
+
+    test("should match bookmarks by URL when a restore gave them new IDs", async () => {
+        tree = buildTree(2);
+        tree.children[0].children.push({
+            id: "50",
+            parentId: "1",
+            index: 2,
+            title: "News",
+            children: [bookmark("51", "50", 0, "https://news.com/")],
+        });
+        const first = await manager.createSnapshot("Before restore");
+
+        tree.children[0].children = [
+            { ...bookmark("200", "1", 0, "https://site0.com/"), title: "Bookmark 100" },
+            {
+                id: "201",
+                parentId: "1",
+                index: 1,
+                title: "News",
+                children: [
+                    { ...bookmark("202", "201", 0, "https://news.com/"), title: "Bookmark 51" },
+                    { ...bookmark("203", "201", 1, "https://site1.com/"), title: "Bookmark 101" },
+                ],
+            },
+        ];
+        const second = await manager.createSnapshot("After restore");
+
+        const { changes } = await manager.compareSnapshots(first.id, second.id);
+
+        expect(changes).toEqual([
+            expect.objectContaining({
+                type: "moved",
+                id: "203",
+                oldPath: "Bookmarks Bar",
+                newPath: "Bookmarks Bar > News",
+            }),
+        ]);
+        await expect(manager.compareSnapshots("snapshot_missing")).rejects.toThrow(
+            "Snapshot snapshot_missing not found"
+        );
+    });
+
+    test("should restore only the selected folder and bookmarks into the live tree", async () => {
+        const findNode = (id, node = tree) =>
+            node.id === id
+                ? node
+                : (node.children || []).reduce(
+                      (found, child) => found || findNode(id, child),
+                      null
+                  );
+        const reindex = (folder) =>
+            folder.children.forEach((child, index) => {
+                child.index = index;
+            });
+        const plain = ({ children: _children, ...node }) => ({ ...node });
+        const insert = (node, parentId, index) => {
+            const parent = findNode(parentId);
+            parent.children.splice(index ?? parent.children.length, 0, node);
+            node.parentId = parentId;
+            reindex(parent);
+            return plain(node);
+        };
+        let nextId = 900;
+        chrome.bookmarks.get = jest.fn(async (id) => [plain(findNode(id))]);
+        chrome.bookmarks.getChildren = jest.fn(async (id) =>
+            findNode(id).children.map(plain)
+        );
+        chrome.bookmarks.move = jest.fn(async (id, { parentId, index }) => {
+            const node = findNode(id);
+            const oldParent = findNode(node.parentId);
+            oldParent.children.splice(node.index, 1);
+            reindex(oldParent);
+            return insert(node, parentId, index);
+        });
+        chrome.bookmarks.create = jest.fn(async ({ parentId, index, title, url }) => {
+            const fields = url ? { url, dateAdded: 1 } : { children: [] };
+            return insert({ id: String(nextId++), title, ...fields }, parentId, index);
+        });
+        chrome.bookmarks.update = jest.fn(async (id, changes) =>
+            plain(Object.assign(findNode(id), changes))
+        );
+
+        tree = buildTree(2);
+        tree.children[1].children.push(
+            {
+                id: "50",
+                parentId: "2",
+                index: 0,
+                title: "News",
+                children: [
+                    bookmark("51", "50", 0, "https://news.com/"),
+                    bookmark("52", "50", 1, "https://daily.com/"),
+                ],
+            },
+            bookmark("53", "2", 1, "https://keep.com/")
+        );
+        const snapshot = await manager.createSnapshot("Before run");
+
+        // A run scrambles everything; the News folder is deleted along the way
+        const [news] = tree.children[1].children.splice(0, 1);
+        reindex(tree.children[1]);
+        insert({ ...news.children[0], id: "61" }, "1");
+        insert(tree.children[1].children.shift(), "1");
+        findNode("100").title = "AI title";
+        findNode("101").title = "Also changed";
+
+        const restoredIds = [];
+        const results = await manager.restoreSelection(
+            snapshot.id,
+            ["50", "100"],
+            (id) => restoredIds.push(id)
+        );
+
+        expect(results).toEqual({
+            foldersCreated: 1,
+            bookmarksCreated: 1,
+            moved: 1,
+            renamed: 1,
+            unchanged: 0,
+            errors: [],
+        });
+        const restoredNews = tree.children[1].children[0];
+        expect(restoredNews.title).toBe("News");
+        expect(restoredNews.children.map((node) => [node.id, node.url])).toEqual([
+            ["61", "https://news.com/"],
+            ["901", "https://daily.com/"],
+        ]);
+        expect(findNode("100").title).toBe("Bookmark 100");
+        // Not selected, so left where and how the run put them
+        expect(findNode("101").title).toBe("Also changed");
+        expect(findNode("53").parentId).toBe("1");
+        expect(restoredIds).toEqual(["61", "901"]);
+
+        const [session] = await manager.journal.getSessions();
+        expect(session).toMatchObject({
+            label: 'Restored from "Before run"',
+            operationType: "selective_restore",
+            entryCount: 4,
+        });
+    });
+
+    test("should not report quota warnings with unlimitedStorage", async () => {
+        chrome.runtime.getManifest.mockReturnValue({ permissions: ["unlimitedStorage"] });
+        manager.QUOTA_BYTES_LIMIT = 100;
+        await manager.createSnapshot("One");
+
+        const diagnostics = await manager.runDiagnostics();
+
+        expect(diagnostics.storageInfo).toMatchObject({
+            snapshotCount: 1,
+            baseCount: 1,
+            unlimitedStorage: true,
+        });
+        expect(diagnostics.health).toBe("good");
+    });
+});
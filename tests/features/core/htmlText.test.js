@@ -0,0 +1,28 @@
+import { describe, test, expect } from "@jest/globals";
+import { HtmlText } from "../../../extension/features/core/htmlText.js";
+
+describe("HtmlText", () => {
+    const htmlText = new HtmlText();
+
+    test("should parse quoted, unquoted and namespaced attributes", () => {
+        expect(
+            htmlText.parseAttributes(
+                `<meta PROPERTY="og:title" content='It&apos;s' data-x=1 xml:lang=en>`
+            )
+        ).toEqual({
+            property: "og:title",
+            content: "It&apos;s",
+            "data-x": "1",
+            "xml:lang": "en",
+        });
+    });
+
+    test("should decode entities and leave invalid references alone", () => {
+        expect(htmlText.decodeEntities("Tom &amp; Jerry &#8211; &#x1F600; &mdash;")).toBe(
+            "Tom & Jerry – 😀 —"
+        );
+        expect(htmlText.decodeEntities("&#99999999; &#x110000; &bogus;")).toBe(
+            "&#99999999; &#x110000; &bogus;"
+        );
+    });
+});
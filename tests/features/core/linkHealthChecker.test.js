@@ -0,0 +1,264 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { LinkHealthChecker } from "../../../extension/features/core/linkHealthChecker.js";
+
+describe("LinkHealthChecker", () => {
+    let checker;
+    let store;
+    let resolutions;
+    let pages;
+    let bodies;
+
+    const bookmarks = [
+        { id: "1", title: "Alive", url: "https://alive.com/", parentId: "1" },
+        { id: "2", title: "Gone", url: "https://gone.com/page", parentId: "1" },
+        { id: "3", title: "Typo", url: "https://no-such-host.test/", parentId: "1" },
+        { id: "4", title: "Slow", url: "https://slow.com/", parentId: "1" },
+        { id: "5", title: "For sale", url: "https://forsale.com/", parentId: "1" },
+        { id: "6", title: "Moved", url: "http://moved.com", parentId: "1" },
+        { id: "7", title: "Bookmarklet", url: "javascript:void(0)", parentId: "1" },
+    ];
+
+    // jsdom has no ReadableStream; this serves the text in 8 KB chunks
+    const streamOf = (text) => {
+        const chunks = [];
+        for (let i = 0; i < text.length; i += 8192) {
+            chunks.push(new TextEncoder().encode(text.slice(i, i + 8192)));
+        }
+        const reader = {
+            read: jest.fn(async () =>
+                chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true }
+            ),
+            cancel: jest.fn(async () => {}),
+        };
+        return { reader, getReader: () => reader, cancel: jest.fn(async () => {}) };
+    };
+
+    const ok = (url, status = 200, finalUrl = url) => ({
+        originalUrl: url,
+        finalUrl,
+        success: true,
+        status,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (key) => ({
+            [key]: store[key],
+        }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, items);
+        });
+
+        resolutions = {
+            "https://alive.com/": ok("https://alive.com/"),
+            "https://gone.com/page": ok("https://gone.com/page", 404),
+            "https://no-such-host.test/": {
+                originalUrl: "https://no-such-host.test/",
+                success: false,
+                error: "Failed to fetch",
+                errorName: "TypeError",
+                errorCode: "ENOTFOUND",
+            },
+            "https://slow.com/": {
+                originalUrl: "https://slow.com/",
+                success: false,
+                error: "signal is aborted without reason",
+                errorName: "AbortError",
+            },
+            "https://forsale.com/": ok("https://forsale.com/"),
+            "http://moved.com": ok("http://moved.com", 301, "https://moved.com/new"),
+        };
+        pages = {
+            "https://alive.com/": { url: "https://alive.com/", body: "<h1>Hello</h1>" },
+            "https://forsale.com/": {
+                url: "https://forsale.com/",
+                body: "<p>This domain may be for sale!</p>",
+            },
+            "https://moved.com/new": { url: "https://moved.com/new", body: "" },
+        };
+        bodies = {};
+        global.fetch = jest.fn(async (url) => {
+            const page = pages[url];
+            if (!page) throw new TypeError("Failed to fetch");
+            bodies[url] = streamOf(page.body);
+            return {
+                url: page.url,
+                status: page.status || 200,
+                headers: { get: () => page.type || "text/html; charset=utf-8" },
+                body: bodies[url],
+            };
+        });
+
+        checker = new LinkHealthChecker({
+            CONCURRENT_LIMIT: 4,
+            REQUEST_TIMEOUT: 1000,
+            resolveUrl: jest.fn(async (url) => resolutions[url]),
+        });
+        checker.bookmarkService = {
+            getAllBookmarks: jest.fn(async () => bookmarks),
+            findOrCreateFolderByPath: jest.fn(async () => "90"),
+        };
+    });
+
+    test("should classify each kind of link", async () => {
+        const progress = jest.fn();
+        const report = await checker.scan(progress);
+
+        expect(checker.resolver.resolveUrl).toHaveBeenCalledWith(
+            "https://alive.com/",
+            0,
+            { skipCache: true }
+        );
+        expect(checker.resolver.resolveUrl).toHaveBeenCalledTimes(6);
+        expect(report.counts).toEqual({
+            alive: 1,
+            redirected: 1,
+            dead: 1,
+            dns: 1,
+            timeout: 1,
+            parked: 1,
+            error: 0,
+        });
+        expect(report.broken).toBe(4);
+        expect(report.newlyBroken).toBe(4);
+        expect(report.results.find((r) => r.bookmarkId === "6")).toMatchObject({
+            status: "redirected",
+            finalUrl: "https://moved.com/new",
+            firstBrokenAt: null,
+        });
+        expect(progress).toHaveBeenLastCalledWith({
+            completed: 6,
+            total: 6,
+            percentage: 100,
+        });
+        expect(store.linkHealth_report).toEqual(report);
+    });
+
+    test("should treat parking hosts, blocked checks and server errors separately", () => {
+        expect(
+            checker.classify(ok("https://a.com/", 200, "https://www.sedoparking.com/x"))
+        ).toBe("parked");
+        expect(checker.classify(ok("https://a.com/", 403))).toBe("alive");
+        expect(checker.classify(ok("https://a.com/", 503))).toBe("error");
+        expect(checker.classify(ok("https://a.com/", 0))).toBe("redirected");
+        expect(checker.classify(ok("https://a.com", 200, "https://a.com/"))).toBe("alive");
+    });
+
+    test("should only report name-resolution failures as DNS", () => {
+        const failed = (error, errorCode = null) => ({
+            originalUrl: "https://a.com/",
+            success: false,
+            error,
+            errorName: "TypeError",
+            errorCode,
+        });
+
+        expect(checker.classify(failed("Failed to fetch", "ENOTFOUND"))).toBe("dns");
+        expect(checker.classify(failed("net::ERR_NAME_NOT_RESOLVED"))).toBe("dns");
+        expect(checker.classify(failed("Failed to fetch"))).toBe("error");
+        expect(checker.classify(failed("fetch failed", "ECONNREFUSED"))).toBe("error");
+        expect(checker.classify(failed("fetch failed", "CERT_HAS_EXPIRED"))).toBe("error");
+    });
+
+    test("should read only the start of HTML pages", async () => {
+        pages["https://alive.com/"] = {
+            url: "https://alive.com/",
+            body: `${"x".repeat(50000)}This domain may be for sale`,
+        };
+        pages["https://forsale.com/"] = {
+            url: "https://forsale.com/",
+            type: "application/pdf",
+            body: "This domain may be for sale",
+        };
+        pages["https://moved.com/new"] = { url: "https://moved.com/new", status: 502, body: "" };
+
+        const statusOf = async (id) =>
+            (await checker.checkBookmark(bookmarks.find((b) => b.id === id))).status;
+
+        expect(await statusOf("1")).toBe("alive");
+        expect(bodies["https://alive.com/"].reader.read).toHaveBeenCalledTimes(3);
+        expect(bodies["https://alive.com/"].reader.cancel).toHaveBeenCalled();
+        expect(await statusOf("5")).toBe("alive");
+        expect(bodies["https://forsale.com/"].reader.read).not.toHaveBeenCalled();
+        expect(bodies["https://forsale.com/"].cancel).toHaveBeenCalled();
+        expect(await statusOf("6")).toBe("error");
+    });
+
+    test("should only count links that broke since the last check as new", async () => {
+        await checker.scan();
+        const firstBrokenAt = store.linkHealth_report.results.find(
+            (r) => r.bookmarkId === "2"
+        ).firstBrokenAt;
+
+        resolutions["https://alive.com/"] = ok("https://alive.com/", 410);
+        const report = await checker.scan();
+
+        expect(report.newlyBroken).toBe(1);
+        expect(report.results.find((r) => r.bookmarkId === "2").firstBrokenAt).toBe(
+            firstBrokenAt
+        );
+    });
+
+    test("should archive selected links and drop them from the report", async () => {
+        await checker.scan();
+        const marked = jest.fn();
+
+        const result = await checker.applyAction("archive", ["2", "3", "99"], marked);
+
+        expect(checker.bookmarkService.findOrCreateFolderByPath).toHaveBeenCalledWith(
+            "Archive > Dead",
+            "2"
+        );
+        expect(chrome.bookmarks.move).toHaveBeenCalledWith("2", { parentId: "90" });
+        expect(marked).toHaveBeenCalledWith("3");
+        expect(result.succeeded).toEqual(["2", "3"]);
+        expect(result.failed).toEqual([
+            { bookmarkId: "99", title: "99", error: "Not in the last link check" },
+        ]);
+        expect(result.report.broken).toBe(2);
+        expect(result.report.counts.dead).toBe(0);
+    });
+
+    test("should replace links with the closest Wayback Machine copy", async () => {
+        await checker.scan();
+        global.fetch = jest.fn(async (url) => ({
+            ok: true,
+            json: async () =>
+                url.includes("gone.com")
+                    ? {
+                          archived_snapshots: {
+                              closest: {
+                                  available: true,
+                                  url: "http://web.archive.org/web/2020/https://gone.com/page",
+                              },
+                          },
+                      }
+                    : { archived_snapshots: {} },
+        }));
+
+        const result = await checker.applyAction("wayback", ["2", "3"]);
+
+        expect(chrome.bookmarks.update).toHaveBeenCalledWith("2", {
+            url: "https://web.archive.org/web/2020/https://gone.com/page",
+        });
+        expect(result.failed).toEqual([
+            { bookmarkId: "3", title: "Typo", error: "No archived copy found" },
+        ]);
+    });
+
+    test("should keep an existing alarm with the same interval", async () => {
+        chrome.alarms.get = jest.fn(async () => ({ periodInMinutes: 7 * 24 * 60 }));
+        expect(await checker.reschedule({ linkCheckInterval: "weekly" })).toBe(7);
+        expect(chrome.alarms.create).not.toHaveBeenCalled();
+
+        await checker.reschedule({ linkCheckInterval: "monthly" });
+        expect(chrome.alarms.create).toHaveBeenCalledWith("link_health_check", {
+            delayInMinutes: 43200,
+            periodInMinutes: 43200,
+        });
+
+        expect(await checker.reschedule({})).toBeNull();
+        expect(chrome.alarms.clear).toHaveBeenCalledWith("link_health_check");
+    });
+});
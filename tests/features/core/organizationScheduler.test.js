@@ -0,0 +1,194 @@
+import { describe, test, expect, beforeEach, jest } from "@jest/globals";
+import { OrganizationScheduler } from "../../../extension/features/core/organizationScheduler.js";
+
+describe("OrganizationScheduler", () => {
+    let scheduler;
+    let store;
+
+    // Local-time timestamp helper so tests do not depend on the machine's zone
+    const at = (day, hours, minutes = 0) =>
+        new Date(2024, 0, day, hours, minutes).getTime(); // 2024-01-01 is a Monday
+
+    const schedule = (overrides = {}) =>
+        scheduler.normalizeSchedule({ enabled: true, ...overrides });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        store = {};
+        chrome.storage.local.get.mockImplementation(async (key) => ({
+            [key]: store[key],
+        }));
+        chrome.storage.local.set.mockImplementation(async (items) => {
+            Object.assign(store, items);
+        });
+        chrome.storage.local.remove.mockImplementation(async (key) => {
+            delete store[key];
+        });
+
+        scheduler = new OrganizationScheduler();
+        scheduler.snapshotManager = {
+            createSnapshot: jest.fn().mockResolvedValue({ id: "snap_1" }),
+        };
+        scheduler.folderConsolidator = {
+            consolidateSparsefolders: jest
+                .fn()
+                .mockResolvedValue({ foldersRemoved: 2, bookmarksMoved: 5 }),
+        };
+    });
+
+    test("should fill in defaults for a partial schedule", () => {
+        const result = scheduler.normalizeSchedule({
+            enabled: true,
+            time: "25:00",
+            scope: "everything",
+        });
+
+        expect(result).toMatchObject({
+            enabled: true,
+            frequency: "daily",
+            time: "03:00",
+            scope: "uncategorized",
+        });
+    });
+
+    test("should calculate daily and weekly run times", () => {
+        const from = at(1, 10);
+
+        expect(scheduler.getNextRunTime(schedule({ time: "09:30" }), from)).toBe(
+            at(2, 9, 30)
+        );
+        expect(scheduler.getNextRunTime(schedule({ time: "11:00" }), from)).toBe(
+            at(1, 11)
+        );
+        expect(
+            scheduler.getNextRunTime(
+                schedule({ frequency: "weekly", dayOfWeek: 3, time: "08:00" }),
+                from
+            )
+        ).toBe(at(3, 8));
+    });
+
+    test("should run overdue custom intervals shortly", () => {
+        const custom = schedule({ frequency: "custom", intervalHours: 6 });
+
+        expect(scheduler.getNextRunTime(custom, at(1, 10), at(1, 8))).toBe(
+            at(1, 14)
+        );
+        expect(scheduler.getNextRunTime(custom, at(1, 10), at(1, 1))).toBe(
+            at(1, 10) + scheduler.MISSED_RUN_DELAY_MS
+        );
+    });
+
+    test("should respect quiet hours that wrap past midnight", () => {
+        const quiet = schedule({
+            time: "23:00",
+            quietHoursEnabled: true,
+            quietStart: "22:00",
+            quietEnd: "07:00",
+        });
+
+        expect(scheduler.isInQuietHours(quiet, at(1, 23))).toBe(true);
+        expect(scheduler.isInQuietHours(quiet, at(1, 6, 59))).toBe(true);
+        expect(scheduler.isInQuietHours(quiet, at(1, 7))).toBe(false);
+        expect(scheduler.getNextRunTime(quiet, at(1, 12))).toBe(at(2, 7));
+    });
+
+    test("should arm and persist the next run", async () => {
+        const nextRunAt = await scheduler.reschedule({ schedule: { enabled: true } });
+
+        expect(chrome.alarms.create).toHaveBeenCalledWith(
+            "scheduled_organization_run",
+            { when: nextRunAt }
+        );
+        expect(store.scheduledRunState.nextRunAt).toBe(nextRunAt);
+
+        await scheduler.reschedule({ schedule: { enabled: false } });
+        expect(chrome.alarms.clear).toHaveBeenCalledWith(
+            "scheduled_organization_run"
+        );
+        expect(store.scheduledRunState.nextRunAt).toBeNull();
+    });
+
+    test("should snapshot, run maintenance and record history", async () => {
+        chrome.bookmarks.getTree.mockResolvedValue([
+            {
+                id: "0",
+                children: [
+                    {
+                        id: "1",
+                        title: "Bookmarks Bar",
+                        children: [
+                            { id: "10", parentId: "1", url: "https://a.com/page#one", title: "Page" },
+                            { id: "11", parentId: "1", url: "https://a.com/page/", title: "Page" },
+                            { id: "12", parentId: "1", url: "https://b.com/", title: "Other" },
+                        ],
+                    },
+                ],
+            },
+        ]);
+
+        const run = await scheduler.run(
+            { schedule: { enabled: true, scope: "maintenance" } },
+            { trigger: "manual" }
+        );
+
+        expect(scheduler.snapshotManager.createSnapshot).toHaveBeenCalled();
+        expect(chrome.bookmarks.remove).toHaveBeenCalledTimes(1);
+        expect(run).toMatchObject({
+            status: "completed",
+            snapshotId: "snap_1",
+            summary: { foldersRemoved: 2, duplicatesRemoved: 1 },
+        });
+        expect((await scheduler.getHistory())[0].id).toBe(run.id);
+        expect(store.scheduledRunState.activeRun).toBeNull();
+    });
+
+    test("should hand categorization runs to the categorizer and finish later", async () => {
+        const categorizer = {
+            categorizeAllBookmarks: jest.fn().mockResolvedValue({ started: true }),
+        };
+
+        const run = await scheduler.run(
+            { schedule: { enabled: true, scope: "folder", folderId: "42" } },
+            { categorizer }
+        );
+
+        expect(run.status).toBe("running");
+        expect(categorizer.categorizeAllBookmarks).toHaveBeenCalledWith(null, true, {
+            folderId: "42",
+            skipSnapshot: true,
+            snapshotId: "snap_1",
+            scheduledRunId: run.id,
+        });
+        expect(await scheduler.getHistory()).toHaveLength(0);
+
+        const finished = await scheduler.finishRun(run.id, {
+            summary: { categorized: 3 },
+        });
+        expect(finished.status).toBe("completed");
+        expect(await scheduler.getHistory()).toHaveLength(1);
+    });
+
+    test("should skip runs while another categorization is in progress", async () => {
+        store.categorizationState = { totalBookmarks: 10 };
+
+        const run = await scheduler.run({ schedule: { enabled: true } }, {});
+
+        expect(run.status).toBe("skipped");
+        expect(scheduler.snapshotManager.createSnapshot).not.toHaveBeenCalled();
+        expect((await scheduler.getHistory())[0].status).toBe("skipped");
+    });
+
+    test("should not run without a snapshot", async () => {
+        scheduler.snapshotManager.createSnapshot.mockRejectedValue(
+            new Error("Storage full")
+        );
+        const categorizer = { categorizeAllBookmarks: jest.fn() };
+
+        const run = await scheduler.run({ schedule: { enabled: true } }, { categorizer });
+
+        expect(run.status).toBe("failed");
+        expect(run.error).toBe("Storage full");
+        expect(categorizer.categorizeAllBookmarks).not.toHaveBeenCalled();
+    });
+});